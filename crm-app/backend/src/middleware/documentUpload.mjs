@@ -0,0 +1,114 @@
+/**
+ * Document upload middleware
+ * Scanned certificates and documents (PDF or image), site photos and videos
+ * stored on disk under an uploads directory outside public/, so they are only
+ * served through authenticated download routes.
+ */
+
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const THUMBNAIL_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_FILE_SIZE_MB = 10;
+
+const describeAllowedTypes = (mimeTypes) => {
+  const kinds = [
+    mimeTypes.includes('application/pdf') && 'PDF',
+    mimeTypes.some(type => type.startsWith('image/')) && 'image',
+    mimeTypes.some(type => type.startsWith('video/')) && 'video'
+  ].filter(Boolean);
+  return `Only ${kinds.join(' and ')} files are allowed`;
+};
+
+/**
+ * Upload helpers for one directory:
+ * - `uploadFile`: middleware accepting an optional `file` field, answering 400 for rejected uploads
+ * - `storedFile(req.file)`: path, original name, mime type and size to keep with the record
+ * - `removeFile(path)`: best-effort delete of a stored file
+ *
+ * Options widen the accepted `mimeTypes` and `maxFileSizeMb` of `file`, and
+ * `withThumbnail` also accepts an optional `thumbnail` image, found in
+ * `req.files.thumbnail[0]`.
+ */
+export const createDocumentUpload = (uploadDir, {
+  mimeTypes = ALLOWED_MIME_TYPES,
+  maxFileSizeMb = MAX_FILE_SIZE_MB,
+  withThumbnail = false
+} = {}) => {
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      if (!fs.existsSync(uploadDir)) {
+        fs.mkdirSync(uploadDir, { recursive: true });
+      }
+      cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'document-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  });
+
+  const upload = multer({
+    storage: storage,
+    limits: { fileSize: maxFileSizeMb * 1024 * 1024 },
+    fileFilter: function (req, file, cb) {
+      if (file.fieldname === 'thumbnail' ? THUMBNAIL_MIME_TYPES.includes(file.mimetype) : mimeTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error(file.fieldname === 'thumbnail' ? 'The thumbnail must be an image' : describeAllowedTypes(mimeTypes)), false);
+      }
+    }
+  });
+
+  const uploadFile = (req, res, next) => {
+    const handler = withThumbnail
+      ? upload.fields([{ name: 'file', maxCount: 1 }, { name: 'thumbnail', maxCount: 1 }])
+      : upload.single('file');
+    handler(req, res, (error) => {
+      if (error) {
+        // Keep nothing of a rejected multi-file upload
+        Object.values(req.files || {}).flat().forEach(file => removeFile(file.path));
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${maxFileSizeMb}MB` : error.message
+        });
+      }
+      if (withThumbnail) req.file = req.files?.file?.[0];
+      next();
+    });
+  };
+
+  const storedFile = (file) => (file ? {
+    path: path.join(uploadDir, file.filename),
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size
+  } : null);
+
+  return { uploadFile, storedFile, removeFile };
+};
+
+export const removeFile = (filePath) => {
+  if (!filePath) return;
+  fs.unlink(filePath, (error) => {
+    if (error && error.code !== 'ENOENT') {
+      console.error('Error removing uploaded file:', error);
+    }
+  });
+};
+
+/**
+ * Send a stored file, or 404 when the record has none or it is gone from disk
+ */
+export const sendStoredFile = (res, { filePath, fileName, mimeType }) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+  if (mimeType) res.type(mimeType);
+  return res.download(path.resolve(filePath), fileName || path.basename(filePath));
+};
@@ -14,6 +14,7 @@ import {
   getConfigAuditHistory,
   getConfigChangesSummary
 } from '../services/postgres/configRepository.js';
+import { validateSurchargeRules } from '../services/surchargeService.js';
 
 const router = express.Router();
 
@@ -95,6 +96,18 @@ router.put('/:configType', devBypass, requireAdmin, asyncHandler(async (req, res
       updatedAt: new Date().toISOString()
     };
   }
+
+  // Surcharge rules are priced into every quotation, so reject malformed ones
+  if (configType === 'surcharges') {
+    const validationError = validateSurchargeRules(configData.rules);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    dataToUpdate = { rules: configData.rules };
+  }
   
   // Prepare audit information
   const auditInfo = {
@@ -7,6 +7,7 @@ import express from 'express';
 import pg from 'pg';
 import dotenv from 'dotenv';
 import { authenticateToken } from '../authMiddleware.mjs';
+import { normalizeGstin, resolveStateCode, getStateName, validateCustomerTaxDetails } from '../services/gstService.js';
 
 dotenv.config();
 
@@ -86,6 +87,12 @@ function snakeToCamel(obj) {
   return newObj;
 }
 
+// Helper to store the GST state name for a state code or name
+function normalizeState(state) {
+  if (state === undefined) return undefined;
+  return state ? getStateName(resolveStateCode(state)) : null;
+}
+
 // Helper to ensure database tables exist
 async function ensureTables(client) {
   try {
@@ -207,6 +214,8 @@ router.get('/', async (req, res) => {
           c.address,
           c.type,
           c.designation,
+          c.gstin,
+          c.state,
           c.notes,
           c.created_at,
           c.updated_at,
@@ -313,6 +322,11 @@ router.post('/', async (req, res) => {
     if (!customerData.name) {
       return res.status(400).json({ error: 'Customer name is required' });
     }
+
+    const taxError = validateCustomerTaxDetails(customerData);
+    if (taxError) {
+      return res.status(400).json({ error: taxError });
+    }
     
     const client = await pool.connect();
     
@@ -330,9 +344,9 @@ router.post('/', async (req, res) => {
       // Insert customer
       await client.query(`
         INSERT INTO customers (
-          id, name, company_name, contact_name, email, phone, address, type, notes, created_at, updated_at
+          id, name, company_name, contact_name, email, phone, address, type, notes, gstin, state, created_at, updated_at
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
         )
       `, [
         customerId,
@@ -344,6 +358,8 @@ router.post('/', async (req, res) => {
         customerData.address || null,
         customerData.type || 'other',
         customerData.notes || null,
+        normalizeGstin(customerData.gstin),
+        normalizeState(customerData.state) || null,
         now,
         now
       ]);
@@ -426,6 +442,11 @@ router.put('/:id', async (req, res) => {
     const { id } = req.params;
     const customerData = req.body;
     const now = new Date().toISOString();
+
+    const taxError = validateCustomerTaxDetails(customerData);
+    if (taxError) {
+      return res.status(400).json({ error: taxError });
+    }
     
     const client = await pool.connect();
     
@@ -451,7 +472,9 @@ router.put('/:id', async (req, res) => {
           address = COALESCE($6, address),
           type = COALESCE($7, type),
           notes = COALESCE($8, notes),
-          updated_at = $9
+          updated_at = $9,
+          gstin = CASE WHEN $10 THEN $11 ELSE gstin END,
+          state = CASE WHEN $12 THEN $13 ELSE state END
         WHERE id = $1
       `, [
         id,
@@ -462,7 +485,11 @@ router.put('/:id', async (req, res) => {
         customerData.address,
         customerData.type,
         customerData.notes,
-        now
+        now,
+        customerData.gstin !== undefined,
+        normalizeGstin(customerData.gstin),
+        customerData.state !== undefined,
+        normalizeState(customerData.state) ?? null
       ]);
       
       // Update contacts if provided
@@ -19,6 +19,9 @@ import express from 'express';
 import pg from 'pg';
 import dotenv from 'dotenv';
 import { authenticateToken } from '../authMiddleware.mjs';
+import { authorizeRoles } from '../middleware/authMiddleware.mjs';
+import { parseBookingDate } from '../services/jobBookingService.js';
+import { getFleetAnalytics, getFleetTrend } from '../services/fleetAnalyticsService.js';
 
 dotenv.config();
 
@@ -188,6 +191,83 @@ router.get('/pipeline-overview', authenticateToken, asyncHandler(async (req, res
   });
 }));
 
+const FLEET_ANALYTICS_ROLES = ['admin', 'operations_manager'];
+const EQUIPMENT_CATEGORIES = ['mobile_crane', 'tower_crane', 'crawler_crane', 'pick_and_carry_crane'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FLEET_ANALYTICS_DAYS = 366;
+const MAX_FLEET_TREND_MONTHS = 24;
+
+const invalidCategory = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid category',
+  validCategories: EQUIPMENT_CATEGORIES
+});
+
+/**
+ * GET /api/dashboard/fleet-analytics?from=&to=&category=
+ * Per-crane utilization, revenue, cost and margin over a period
+ * (the last 90 days by default)
+ */
+router.get('/fleet-analytics', authenticateToken, authorizeRoles(FLEET_ANALYTICS_ROLES), asyncHandler(async (req, res) => {
+  const { category } = req.query;
+
+  const to = req.query.to ? parseBookingDate(req.query.to) : new Date(new Date().setHours(24, 0, 0, 0));
+  const from = req.query.from ? parseBookingDate(req.query.from) : (to && new Date(to.getTime() - 90 * DAY_MS));
+  if (!from || !to || to <= from) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates with to after from'
+    });
+  }
+  if (to - from > MAX_FLEET_ANALYTICS_DAYS * DAY_MS) {
+    return res.status(400).json({
+      success: false,
+      message: `The range can span at most ${MAX_FLEET_ANALYTICS_DAYS} days`
+    });
+  }
+  if (category && !EQUIPMENT_CATEGORIES.includes(category)) {
+    return invalidCategory(res);
+  }
+
+  const analytics = await getFleetAnalytics(pool, { from, to, category: category || null });
+  res.json({
+    success: true,
+    data: analytics
+  });
+}));
+
+/**
+ * GET /api/dashboard/fleet-analytics/trend?months=&category=&equipmentId=
+ * Monthly utilization, revenue, cost and margin of the fleet or one crane
+ */
+router.get('/fleet-analytics/trend', authenticateToken, authorizeRoles(FLEET_ANALYTICS_ROLES), asyncHandler(async (req, res) => {
+  const { category, equipmentId } = req.query;
+
+  const months = req.query.months ? Number(req.query.months) : 6;
+  if (!Number.isInteger(months) || months < 1 || months > MAX_FLEET_TREND_MONTHS) {
+    return res.status(400).json({
+      success: false,
+      message: `months must be a whole number from 1 to ${MAX_FLEET_TREND_MONTHS}`
+    });
+  }
+  if (category && !EQUIPMENT_CATEGORIES.includes(category)) {
+    return invalidCategory(res);
+  }
+
+  const trend = await getFleetTrend(pool, { months, category: category || null, equipmentId: equipmentId || null });
+  if (!trend) {
+    return res.status(404).json({
+      success: false,
+      message: 'Equipment not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: trend
+  });
+}));
+
 // Helper functions for data aggregation
 
 async function getRevenueMetrics(pool, startDate, endDate) {
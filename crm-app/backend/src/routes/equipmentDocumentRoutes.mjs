@@ -0,0 +1,229 @@
+/**
+ * Equipment Document Routes
+ * Register of statutory documents and certificates per crane, with uploaded files and expiry
+ */
+
+import express from 'express';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import { createDocumentUpload, sendStoredFile } from '../middleware/documentUpload.mjs';
+import pool from '../lib/dbConnection.js';
+import {
+  createEquipmentDocument,
+  deleteEquipmentDocument,
+  getDocumentFile,
+  getEquipmentDocument,
+  getExpiryDashboard,
+  listEquipmentDocuments,
+  syncDocumentReminders,
+  updateEquipmentDocument,
+  validateDocument
+} from '../services/equipmentDocumentService.js';
+
+const router = express.Router();
+
+const DOCUMENT_READ_ROLES = ['admin', 'sales_agent', 'operations_manager'];
+const DOCUMENT_WRITE_ROLES = ['admin', 'operations_manager'];
+
+const { uploadFile, storedFile, removeFile } = createDocumentUpload('uploads/equipment-documents');
+
+const serverError = (res, action, error) => {
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+// Multipart fields arrive as strings
+const parseBoolean = (value) => (value === undefined || value === '' ? undefined : value === true || value === 'true');
+
+const documentFields = (body) => ({
+  documentType: body.documentType,
+  documentNumber: body.documentNumber !== undefined ? String(body.documentNumber).trim() : undefined,
+  issuingAuthority: body.issuingAuthority !== undefined ? String(body.issuingAuthority).trim() : undefined,
+  issueDate: body.issueDate,
+  expiryDate: body.expiryDate,
+  isMandatory: parseBoolean(body.isMandatory),
+  notes: body.notes
+});
+
+/**
+ * GET /api/equipment-documents/expiry
+ * Current documents that are expired or expire within `withinDays` (defaults
+ * to the earliest reminder), and mandatory documents missing per crane
+ */
+router.get('/expiry', authenticateToken, authorizeRoles(DOCUMENT_READ_ROLES), async (req, res) => {
+  try {
+    const withinDays = req.query.withinDays !== undefined ? parseInt(req.query.withinDays, 10) : null;
+    if (withinDays !== null && (isNaN(withinDays) || withinDays < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'withinDays must be a non-negative number'
+      });
+    }
+    const dashboard = await getExpiryDashboard(pool, { withinDays });
+    return res.status(200).json({
+      success: true,
+      data: dashboard
+    });
+  } catch (error) {
+    return serverError(res, 'fetching document expiry', error);
+  }
+});
+
+/**
+ * GET /api/equipment-documents?equipmentId=
+ * A crane's documents, grouped by type with the current one first
+ */
+router.get('/', authenticateToken, authorizeRoles(DOCUMENT_READ_ROLES), async (req, res) => {
+  try {
+    if (!req.query.equipmentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'equipmentId is required'
+      });
+    }
+    const documents = await listEquipmentDocuments(pool, req.query.equipmentId);
+    return res.status(200).json({
+      success: true,
+      data: documents
+    });
+  } catch (error) {
+    return serverError(res, 'fetching equipment documents', error);
+  }
+});
+
+/**
+ * POST /api/equipment-documents
+ * Multipart body: equipmentId, documentType, documentNumber?, issuingAuthority?,
+ * issueDate?, expiryDate?, isMandatory?, notes?, file?
+ */
+router.post('/', authenticateToken, authorizeRoles(DOCUMENT_WRITE_ROLES), uploadFile, async (req, res) => {
+  const file = storedFile(req.file);
+  try {
+    const body = req.body || {};
+    const fields = documentFields(body);
+    const validationError = validateDocument(fields);
+    if (validationError) {
+      removeFile(file?.path);
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const equipment = await pool.query('SELECT 1 FROM equipment WHERE id = $1', [body.equipmentId]);
+    if (equipment.rows.length === 0) {
+      removeFile(file?.path);
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    const document = await createEquipmentDocument(pool, body.equipmentId, fields, { file, user: req.user });
+    await syncDocumentReminders(pool, document.equipmentId, document.documentType);
+    return res.status(201).json({
+      success: true,
+      message: 'Document added',
+      data: document
+    });
+  } catch (error) {
+    removeFile(file?.path);
+    return serverError(res, 'adding equipment document', error);
+  }
+});
+
+/**
+ * PUT /api/equipment-documents/:id
+ * Change a document's details; a new `file` replaces the stored one
+ */
+router.put('/:id', authenticateToken, authorizeRoles(DOCUMENT_WRITE_ROLES), uploadFile, async (req, res) => {
+  const file = storedFile(req.file);
+  try {
+    const existing = await getEquipmentDocument(pool, req.params.id);
+    if (!existing) {
+      removeFile(file?.path);
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const changes = documentFields(req.body || {});
+    const validationError = validateDocument({
+      documentType: changes.documentType,
+      issueDate: changes.issueDate !== undefined ? changes.issueDate : existing.issueDate,
+      expiryDate: changes.expiryDate !== undefined ? changes.expiryDate : existing.expiryDate
+    }, { partial: true });
+    if (validationError) {
+      removeFile(file?.path);
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const previousFile = file ? (await getDocumentFile(pool, existing.id))?.filePath : null;
+    const document = await updateEquipmentDocument(pool, existing.id, changes, { file });
+    if (previousFile) removeFile(previousFile);
+
+    await syncDocumentReminders(pool, document.equipmentId, document.documentType);
+    if (document.documentType !== existing.documentType) {
+      await syncDocumentReminders(pool, existing.equipmentId, existing.documentType);
+    }
+    return res.status(200).json({
+      success: true,
+      message: 'Document updated',
+      data: document
+    });
+  } catch (error) {
+    removeFile(file?.path);
+    return serverError(res, 'updating equipment document', error);
+  }
+});
+
+/**
+ * DELETE /api/equipment-documents/:id
+ * Removes the document and its stored file
+ */
+router.delete('/:id', authenticateToken, authorizeRoles(DOCUMENT_WRITE_ROLES), async (req, res) => {
+  try {
+    const deleted = await deleteEquipmentDocument(pool, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+    removeFile(deleted.filePath);
+    await syncDocumentReminders(pool, deleted.equipmentId, deleted.documentType, { removedIds: [req.params.id] });
+    return res.status(200).json({
+      success: true,
+      message: 'Document deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'deleting equipment document', error);
+  }
+});
+
+/**
+ * GET /api/equipment-documents/:id/file
+ * Download the uploaded file of a document
+ */
+router.get('/:id/file', authenticateToken, authorizeRoles(DOCUMENT_READ_ROLES), async (req, res) => {
+  try {
+    const file = await getDocumentFile(pool, req.params.id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+    return sendStoredFile(res, file);
+  } catch (error) {
+    return serverError(res, 'downloading equipment document', error);
+  }
+});
+
+export default router;
@@ -9,6 +9,26 @@ import dotenv from 'dotenv';
 // Import enhanced authentication middleware
 import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
 import * as equipmentRepository from '../services/postgres/equipmentRepository.js';
+import pool from '../lib/dbConnection.js';
+import { getFleetAvailability, parseBookingDate } from '../services/jobBookingService.js';
+import {
+  checkLift,
+  createLoadChart,
+  deleteLoadChart,
+  getLiftSafetyMargin,
+  getLoadChart,
+  listLoadCharts,
+  parseLoadChartCsv,
+  updateLoadChart,
+  validateLift,
+  validateLoadChart
+} from '../services/loadChartService.js';
+import {
+  getLeadRequirements,
+  recommendEquipment,
+  validateRecommendationRequest
+} from '../services/equipmentRecommendationService.js';
+import { recordListRates } from '../services/rateCardService.js';
 
 // Load environment variables
 dotenv.config();
@@ -20,6 +40,12 @@ const EQUIPMENT_READ_ROLES = ['admin', 'sales_agent', 'operations_manager'];
 const EQUIPMENT_WRITE_ROLES = ['admin', 'operations_manager'];
 const EQUIPMENT_DELETE_ROLES = ['admin'];
 
+const EQUIPMENT_CATEGORIES = ['mobile_crane', 'tower_crane', 'crawler_crane', 'pick_and_carry_crane'];
+
+// Longest range the fleet calendar covers in one request
+const MAX_AVAILABILITY_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Initialize equipment table when server starts - commented out for production deployment
 // try {
 //   equipmentRepository.initializeEquipmentTable();
@@ -27,6 +53,25 @@ const EQUIPMENT_DELETE_ROLES = ['admin'];
 //   console.error('Failed to initialize equipment table:', error);
 // }
 
+/**
+ * Keep the crane's list rate card in line with base rates set on the
+ * equipment: changed rates apply from today, older quotations keep theirs
+ */
+const recordBaseRates = async (equipmentId, baseRates, user) => {
+  if (!baseRates || typeof baseRates !== 'object') return;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await recordListRates(client, equipmentId, baseRates, { user });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Wrap all repository calls in try/catch with proper error handling
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch((error) => {
@@ -58,6 +103,339 @@ router.get('/', authenticateToken, authorizeRoles(EQUIPMENT_READ_ROLES), asyncHa
   });
 }));
 
+// GET fleet availability - busy/free/maintenance intervals per crane
+// Query: from, to (default: the next 7 days), category?, minCapacity? (tonnes)
+router.get('/availability', authenticateToken, authorizeRoles(EQUIPMENT_READ_ROLES), asyncHandler(async (req, res, next) => {
+  const { category, minCapacity } = req.query;
+
+  const from = req.query.from ? parseBookingDate(req.query.from) : new Date(new Date().setHours(0, 0, 0, 0));
+  const to = req.query.to ? parseBookingDate(req.query.to) : (from && new Date(from.getTime() + 7 * DAY_MS));
+  if (!from || !to || to <= from) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates with to after from'
+    });
+  }
+  if (to - from > MAX_AVAILABILITY_DAYS * DAY_MS) {
+    return res.status(400).json({
+      success: false,
+      message: `The range can span at most ${MAX_AVAILABILITY_DAYS} days`
+    });
+  }
+  if (category && !EQUIPMENT_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid category',
+      validCategories: EQUIPMENT_CATEGORIES
+    });
+  }
+  const capacity = minCapacity !== undefined && minCapacity !== '' ? Number(minCapacity) : null;
+  if (capacity !== null && (isNaN(capacity) || capacity < 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'minCapacity must be a number of tonnes'
+    });
+  }
+
+  const availability = await getFleetAvailability(pool, { from, to, category: category || null, minCapacity: capacity });
+  res.json({
+    success: true,
+    data: availability
+  });
+}));
+
+const loadChartFields = (body) => ({
+  configuration: body.configuration !== undefined ? String(body.configuration).trim() : undefined,
+  counterweightTons: body.counterweightTons,
+  outriggerSetup: body.outriggerSetup,
+  boomPivotHeightM: body.boomPivotHeightM,
+  source: body.source,
+  notes: body.notes,
+  isActive: body.isActive,
+  points: body.points
+});
+
+// Run `change(client)` in a transaction
+const inTransaction = async (change) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await change(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Body: { loadTons, radiusM, heightM?, riggingTons?, safetyMarginPercent?, category?,
+// equipmentIds?, siteAssessmentId? } - the site assessment fills in any of
+// loadTons, radiusM and heightM not given. Returns the cranes that can make the lift.
+router.post('/lift-check', authenticateToken, authorizeRoles(EQUIPMENT_READ_ROLES), asyncHandler(async (req, res, next) => {
+  const body = req.body || {};
+  const lift = {
+    loadTons: body.loadTons,
+    radiusM: body.radiusM,
+    heightM: body.heightM,
+    riggingTons: body.riggingTons,
+    safetyMarginPercent: body.safetyMarginPercent,
+    category: body.category || null
+  };
+
+  if (body.siteAssessmentId) {
+    const assessment = await pool.query(
+      'SELECT lift_load_tons, lift_radius_m, lift_height_m FROM site_assessments WHERE id = $1',
+      [body.siteAssessmentId]
+    );
+    if (assessment.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site assessment not found'
+      });
+    }
+    const { lift_load_tons, lift_radius_m, lift_height_m } = assessment.rows[0];
+    if (lift.loadTons === undefined || lift.loadTons === '') lift.loadTons = lift_load_tons;
+    if (lift.radiusM === undefined || lift.radiusM === '') lift.radiusM = lift_radius_m;
+    if (lift.heightM === undefined || lift.heightM === '') lift.heightM = lift_height_m;
+  }
+
+  const validationError = validateLift(lift);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+  if (body.equipmentIds !== undefined && !Array.isArray(body.equipmentIds)) {
+    return res.status(400).json({
+      success: false,
+      message: 'equipmentIds must be a list'
+    });
+  }
+
+  const safetyMarginPercent = lift.safetyMarginPercent !== undefined && lift.safetyMarginPercent !== null && lift.safetyMarginPercent !== ''
+    ? Number(lift.safetyMarginPercent)
+    : await getLiftSafetyMargin();
+  const result = await checkLift(pool, {
+    ...lift,
+    heightM: lift.heightM !== undefined && lift.heightM !== '' ? lift.heightM : null,
+    safetyMarginPercent,
+    equipmentIds: body.equipmentIds || null
+  });
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// Body: { leadId?, siteAssessmentId?, category?, loadTons?, radiusM?, heightM?,
+// riggingTons?, safetyMarginPercent?, startDate?, rentalDays, siteDistance?, pricing? }
+// - the lead fills in the category (from service_needed), start date, rental
+// days and the lift of its latest site assessment; siteAssessmentId takes the
+// lift from that assessment instead. Returns the fleet ranked for the quotation.
+router.post('/recommendations', authenticateToken, authorizeRoles(EQUIPMENT_READ_ROLES), asyncHandler(async (req, res, next) => {
+  const body = req.body || {};
+  const request = {
+    category: body.category || null,
+    loadTons: body.loadTons,
+    radiusM: body.radiusM,
+    heightM: body.heightM,
+    riggingTons: body.riggingTons,
+    safetyMarginPercent: body.safetyMarginPercent,
+    startDate: body.startDate,
+    rentalDays: body.rentalDays,
+    siteDistance: body.siteDistance
+  };
+  const fillIn = (values) => {
+    for (const [field, value] of Object.entries(values)) {
+      if ((request[field] === undefined || request[field] === null || request[field] === '') && value !== null) {
+        request[field] = value;
+      }
+    }
+  };
+
+  if (body.siteAssessmentId) {
+    const assessment = await pool.query(
+      'SELECT lift_load_tons, lift_radius_m, lift_height_m FROM site_assessments WHERE id = $1',
+      [body.siteAssessmentId]
+    );
+    if (assessment.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site assessment not found'
+      });
+    }
+    const { lift_load_tons, lift_radius_m, lift_height_m } = assessment.rows[0];
+    fillIn({ loadTons: lift_load_tons, radiusM: lift_radius_m, heightM: lift_height_m });
+  }
+
+  let lead = null;
+  if (body.leadId) {
+    lead = await getLeadRequirements(pool, body.leadId);
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+    const { serviceNeeded, siteAssessmentId, ...requirements } = lead;
+    fillIn(body.siteAssessmentId
+      ? { category: requirements.category, startDate: requirements.startDate, rentalDays: requirements.rentalDays }
+      : requirements);
+  }
+
+  const validationError = validateRecommendationRequest(request);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  let result;
+  try {
+    result = await recommendEquipment(pool, { ...request, pricing: body.pricing || {} });
+  } catch (pricingError) {
+    return res.status(400).json({
+      success: false,
+      message: `Unable to price equipment: ${pricingError.message}`
+    });
+  }
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      serviceNeeded: lead?.serviceNeeded || null,
+      siteAssessmentId: body.siteAssessmentId || lead?.siteAssessmentId || null
+    }
+  });
+}));
+
+// GET load charts of a crane with their capacities
+router.get('/:id/load-charts', authenticateToken, authorizeRoles(EQUIPMENT_READ_ROLES), asyncHandler(async (req, res, next) => {
+  const charts = await listLoadCharts(pool, req.params.id);
+  res.json({
+    success: true,
+    data: charts
+  });
+}));
+
+// CREATE a load chart
+// Body: { configuration, counterweightTons?, outriggerSetup?, boomPivotHeightM?, source?,
+// notes?, isActive?, points: [{ boomLengthM, radiusM, capacityTons, hookHeightM? }] | csv }
+router.post('/:id/load-charts', authenticateToken, authorizeRoles(EQUIPMENT_WRITE_ROLES), asyncHandler(async (req, res, next) => {
+  const fields = loadChartFields(req.body || {});
+  if (req.body?.csv !== undefined) {
+    const parsed = parseLoadChartCsv(req.body.csv);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    fields.points = parsed.points;
+  }
+
+  const validationError = validateLoadChart(fields);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  const equipment = await pool.query('SELECT 1 FROM equipment WHERE id = $1', [req.params.id]);
+  if (equipment.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: `Equipment with ID ${req.params.id} not found`
+    });
+  }
+  const duplicate = await pool.query(
+    'SELECT 1 FROM equipment_load_charts WHERE equipment_id = $1 AND configuration = $2',
+    [req.params.id, fields.configuration]
+  );
+  if (duplicate.rows.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'This crane already has a load chart for that configuration'
+    });
+  }
+
+  const chart = await inTransaction(client => createLoadChart(client, req.params.id, fields, { user: req.user }));
+  res.status(201).json({
+    success: true,
+    data: chart
+  });
+}));
+
+// UPDATE a load chart; `points` or `csv` replaces all its capacities
+router.put('/load-charts/:chartId', authenticateToken, authorizeRoles(EQUIPMENT_WRITE_ROLES), asyncHandler(async (req, res, next) => {
+  const existing = await getLoadChart(pool, req.params.chartId);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Load chart not found'
+    });
+  }
+
+  const changes = loadChartFields(req.body || {});
+  if (req.body?.csv !== undefined) {
+    const parsed = parseLoadChartCsv(req.body.csv);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    changes.points = parsed.points;
+  }
+
+  const validationError = validateLoadChart(changes, { partial: true });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+  if (changes.configuration !== undefined && changes.configuration !== existing.configuration) {
+    const duplicate = await pool.query(
+      'SELECT 1 FROM equipment_load_charts WHERE equipment_id = $1 AND configuration = $2 AND id <> $3',
+      [existing.equipmentId, changes.configuration, existing.id]
+    );
+    if (duplicate.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This crane already has a load chart for that configuration'
+      });
+    }
+  }
+
+  const chart = await inTransaction(client => updateLoadChart(client, existing.id, changes));
+  res.json({
+    success: true,
+    data: chart
+  });
+}));
+
+// DELETE a load chart
+router.delete('/load-charts/:chartId', authenticateToken, authorizeRoles(EQUIPMENT_WRITE_ROLES), asyncHandler(async (req, res, next) => {
+  const deleted = await deleteLoadChart(pool, req.params.chartId);
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Load chart not found'
+    });
+  }
+  res.json({
+    success: true,
+    message: 'Load chart deleted'
+  });
+}));
+
 // GET equipment by ID
 router.get('/:id', asyncHandler(async (req, res, next) => {
   // Public route: no authentication required
@@ -120,12 +498,11 @@ router.post('/', authenticateToken, authorizeRoles(EQUIPMENT_WRITE_ROLES), async
   }
 
   // Validate category values
-  const validCategories = ['mobile_crane', 'tower_crane', 'crawler_crane', 'pick_and_carry_crane'];
-  if (!validCategories.includes(req.body.category)) {
+  if (!EQUIPMENT_CATEGORIES.includes(req.body.category)) {
     return res.status(400).json({
       success: false,
       message: 'Invalid category',
-      validCategories: validCategories
+      validCategories: EQUIPMENT_CATEGORIES
     });
   }
 
@@ -149,6 +526,7 @@ router.post('/', authenticateToken, authorizeRoles(EQUIPMENT_WRITE_ROLES), async
   }
   
   const equipment = await equipmentRepository.createEquipment(req.body);
+  await recordBaseRates(equipment.id, req.body.baseRates, req.user);
   
   res.status(201).json({
     success: true,
@@ -157,9 +535,8 @@ router.post('/', authenticateToken, authorizeRoles(EQUIPMENT_WRITE_ROLES), async
 }));
 
 // UPDATE equipment
-router.put('/:id', asyncHandler(async (req, res, next) => {
-  // Public route: no authentication required
-
+// Rate changes write list rate cards, so this needs the same roles as creating equipment
+router.put('/:id', authenticateToken, authorizeRoles(EQUIPMENT_WRITE_ROLES), asyncHandler(async (req, res, next) => {
   const equipment = await equipmentRepository.updateEquipment(req.params.id, req.body);
   
   if (!equipment) {
@@ -168,6 +545,7 @@ router.put('/:id', asyncHandler(async (req, res, next) => {
       message: `Equipment with ID ${req.params.id} not found` 
     });
   }
+  await recordBaseRates(equipment.id, req.body.baseRates, req.user);
   
   res.json({
     success: true,
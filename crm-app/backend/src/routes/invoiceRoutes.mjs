@@ -0,0 +1,770 @@
+/**
+ * Invoice Routes
+ * Tax invoices raised from accepted quotations or completed jobs, with PDF
+ * rendering through the enhanced template system, payments and receivables ageing
+ */
+
+import express from 'express';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import pool from '../lib/dbConnection.js';
+import { pdfService } from '../services/PdfService.mjs';
+import { EnhancedTemplateBuilder } from '../services/EnhancedTemplateBuilder.mjs';
+import { formatTemplateTax } from '../services/gstService.js';
+import {
+  INVOICE_STATUSES,
+  calculateBillableDays,
+  createInvoiceDraft,
+  deleteDraftInvoice,
+  findAcceptedQuotationForJob,
+  findLiveInvoice,
+  findLiveQuotationBilling,
+  getInvoice,
+  getInvoiceConfig,
+  issueInvoice,
+  listInvoices,
+  voidInvoice
+} from '../services/invoiceService.js';
+import {
+  PAYABLE_STATUSES,
+  cancelOverdueReminders,
+  deletePayment,
+  getReceivablesAgeing,
+  listInvoicePayments,
+  lockInvoiceForPayment,
+  recordPayment,
+  scheduleOverdueReminders,
+  validatePayment
+} from '../services/invoicePaymentService.js';
+import { reconcileJobHours } from '../services/overtimeService.js';
+import { getCompanyInformation } from './quotationPreviewRoutes.mjs';
+
+const router = express.Router();
+
+const INVOICE_READ_ROLES = ['admin', 'sales_agent', 'operations_manager'];
+const INVOICE_WRITE_ROLES = ['admin', 'operations_manager'];
+
+const INVOICE_PDF_OPTIONS = {
+  format: 'A4',
+  quality: 'HIGH',
+  margins: { top: '15mm', right: '15mm', bottom: '15mm', left: '15mm' }
+};
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(amount || 0);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '');
+
+const isUniqueViolation = (error) => error && error.code === '23505';
+
+/**
+ * Create a draft invoice in a transaction so a failed insert leaves no partial
+ * lines. The quotation row is locked before `findBilled(client)` looks for a
+ * live invoice that already bills it, so a quotation invoice and a job invoice
+ * for the same quotation cannot both be drafted. Returns { existing } instead
+ * of drafting when one is found.
+ */
+async function createDraftInTransaction(params, findBilled) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM quotations WHERE id = $1 FOR UPDATE', [params.quotation.id]);
+    const existing = await findBilled(client);
+    if (existing) {
+      await client.query('ROLLBACK');
+      return { existing };
+    }
+    const invoice = await createInvoiceDraft(client, params);
+    await client.query('COMMIT');
+    return { invoice };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Bring an invoice's overdue reminders in line with its balance. Reminders are
+ * best effort: a failure here must not fail the change that triggered it.
+ */
+async function syncOverdueReminders(invoiceId) {
+  try {
+    await scheduleOverdueReminders(pool, invoiceId);
+  } catch (error) {
+    console.error(`⚠️ Could not schedule overdue reminders for invoice ${invoiceId}:`, error.message);
+  }
+}
+
+/**
+ * Built-in tax invoice layout, used when no template is requested.
+ * Elements go through createTemplate so their content is kept as given.
+ */
+function createInvoiceTemplate(templateBuilder) {
+  templateBuilder.createTemplate({
+    name: 'ASP Cranes Tax Invoice',
+    description: 'GST tax invoice',
+    theme: 'PROFESSIONAL',
+    elements: [
+      {
+        type: 'header',
+        content: { title: '{{company.name}}', subtitle: 'TAX INVOICE', alignment: 'center' }
+      },
+      {
+        type: 'company_info',
+        content: {
+          fields: ['{{company.address}}', '{{company.phone}}', '{{company.email}}', 'GSTIN: {{company.gstin}}'],
+          layout: 'vertical',
+          alignment: 'left'
+        }
+      },
+      {
+        type: 'client_info',
+        content: {
+          title: 'Bill To:',
+          fields: ['{{client.name}}', '{{client.address}}', 'GSTIN: {{client.gstin}}'],
+          layout: 'vertical',
+          alignment: 'left'
+        }
+      },
+      {
+        type: 'quotation_info',
+        content: {
+          fields: [
+            { label: 'Invoice #', value: '{{invoice.number}}' },
+            { label: 'Invoice Date', value: '{{invoice.date}}' },
+            { label: 'Due Date', value: '{{invoice.dueDate}}' },
+            { label: 'Place of Supply', value: '{{invoice.placeOfSupply}}' },
+            { label: 'Billing Period', value: '{{invoice.billingPeriod}}' },
+            { label: 'Reference', value: '{{invoice.reference}}' }
+          ],
+          layout: 'table',
+          alignment: 'right'
+        }
+      },
+      {
+        type: 'items_table',
+        content: {
+          columns: {
+            jobType: false,
+            duration: false,
+            mobDemob: false,
+            riskUsage: false,
+            description: 'Description (SAC)',
+            rental: 'Amount'
+          }
+        }
+      },
+      {
+        type: 'totals',
+        content: {
+          fields: [
+            { label: 'Taxable Value', value: '{{totals.subtotal}}', showIf: 'always' },
+            { label: 'Tax (GST)', value: '{{totals.tax}}', showIf: 'hasTax' },
+            { label: 'Invoice Total', value: '{{totals.total}}', showIf: 'always', emphasized: true },
+            { label: 'Amount Paid', value: '{{totals.amountPaid}}', showIf: 'hasPayments' },
+            { label: 'Balance Due', value: '{{totals.balanceDue}}', showIf: 'hasPayments' }
+          ]
+        }
+      },
+      {
+        type: 'terms',
+        content: {
+          title: 'Terms',
+          text: 'Payment due by {{invoice.dueDate}}.\nPlease quote the invoice number with your payment.',
+          showTitle: true
+        }
+      }
+    ]
+  });
+  return templateBuilder.template;
+}
+
+/**
+ * Template data for an invoice. `quotation` mirrors the invoice fields so
+ * quotation templates chosen for an invoice still render sensible values.
+ */
+async function mapInvoiceToTemplateData(invoice) {
+  const company = await getCompanyInformation();
+
+  let reference = '';
+  if (invoice.quotationId) {
+    const result = await pool.query('SELECT quotation_number FROM quotations WHERE id = $1', [invoice.quotationId]);
+    reference = result.rows[0]?.quotation_number ? `Quotation ${result.rows[0].quotation_number}` : '';
+  }
+  if (invoice.jobId) {
+    const result = await pool.query('SELECT title FROM jobs WHERE id = $1', [invoice.jobId]);
+    const jobTitle = result.rows[0]?.title ? `Job: ${result.rows[0].title}` : '';
+    reference = [jobTitle, reference].filter(Boolean).join(' / ');
+  }
+
+  const number = invoice.invoiceNumber || 'DRAFT';
+  const date = formatDate(invoice.issueDate || invoice.createdAt);
+  const dueDate = invoice.dueDate ? formatDate(invoice.dueDate) : 'On issue';
+  const billingPeriod = invoice.billingPeriodStart
+    ? `${formatDate(invoice.billingPeriodStart)} - ${formatDate(invoice.billingPeriodEnd)} (${invoice.billableDays} days)`
+    : `${invoice.billableDays} days`;
+  const tax = formatTemplateTax(invoice.tax, formatCurrency);
+
+  return {
+    company: { ...company, gstin: company.gstNumber },
+    client: {
+      name: invoice.customerName,
+      address: invoice.customerAddress || '',
+      gstin: invoice.customerGstin || 'Unregistered'
+    },
+    invoice: {
+      number,
+      date,
+      dueDate,
+      status: invoice.status,
+      placeOfSupply: tax.placeOfSupply,
+      billingPeriod,
+      billableDays: invoice.billableDays,
+      reference
+    },
+    quotation: {
+      number,
+      date,
+      validUntil: dueDate,
+      paymentTerms: `Due ${dueDate}`,
+      taxRate: tax.rate,
+      placeOfSupply: tax.placeOfSupply
+    },
+    tax,
+    items: invoice.items.map(item => ({
+      no: item.lineNumber,
+      description: item.sacCode ? `${item.description} (${item.sacCode})` : item.description,
+      quantity: `${item.quantity} ${item.unit}`,
+      rate: formatCurrency(item.rate),
+      rental: item.amount
+    })),
+    totals: {
+      subtotal: formatCurrency(invoice.subtotal),
+      tax: formatCurrency(invoice.gstAmount),
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
+      total: formatCurrency(invoice.totalAmount),
+      amountPaid: formatCurrency(invoice.amountPaid),
+      balanceDue: formatCurrency(invoice.balanceDue)
+    }
+  };
+}
+
+/**
+ * GET /api/invoices
+ * Invoices, newest first. Query: status?, customerId?, jobId?, quotationId?
+ */
+router.get('/', authenticateToken, authorizeRoles(INVOICE_READ_ROLES), async (req, res) => {
+  try {
+    const { status, customerId, jobId, quotationId } = req.query;
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${INVOICE_STATUSES.join(', ')}`
+      });
+    }
+
+    const invoices = await listInvoices(pool, { status, customerId, jobId, quotationId });
+    return res.status(200).json({
+      success: true,
+      data: invoices
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/invoices/from-quotation/:quotationId
+ * Draft invoice for the full amount of an accepted quotation
+ */
+router.post('/from-quotation/:quotationId', authenticateToken, authorizeRoles(INVOICE_WRITE_ROLES), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM quotations WHERE id = $1', [req.params.quotationId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    const quotation = result.rows[0];
+    if (quotation.status !== 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only accepted quotations can be invoiced'
+      });
+    }
+
+    const { invoice, existing } = await createDraftInTransaction(
+      { quotation, notes: req.body?.notes || null, user: req.user },
+      (client) => findLiveQuotationBilling(client, quotation.id)
+    );
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.job_id
+          ? `A job for this quotation is already invoiced (${existing.invoice_number || 'draft'})`
+          : `This quotation is already invoiced (${existing.invoice_number || 'draft'})`,
+        data: { invoiceId: existing.id }
+      });
+    }
+    return res.status(201).json({
+      success: true,
+      message: 'Draft invoice created',
+      data: invoice
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation is already invoiced'
+      });
+    }
+    console.error('Error creating invoice from quotation:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/invoices/from-job/:jobId
+ * Draft invoice for a completed job, billed for its actual start to end dates
+ * at the rates of the accepted quotation.
+ * Body: { notes?, includeExtraHours? } - includeExtraHours adds the logged
+ * hours above the quotation's working hours under the overtime policy
+ */
+router.post('/from-job/:jobId', authenticateToken, authorizeRoles(INVOICE_WRITE_ROLES), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [req.params.jobId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    const job = result.rows[0];
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only completed jobs can be invoiced'
+      });
+    }
+    if (!calculateBillableDays(job.actual_start_date, job.actual_end_date)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The job needs valid actual start and end dates before it can be invoiced'
+      });
+    }
+
+    const quotation = await findAcceptedQuotationForJob(pool, job);
+    if (!quotation) {
+      return res.status(409).json({
+        success: false,
+        message: 'No accepted quotation found for this job'
+      });
+    }
+
+    let extraLines = [];
+    if (req.body?.includeExtraHours) {
+      const { sacCode } = await getInvoiceConfig();
+      extraLines = (await reconcileJobHours(pool, { job, quotation, sacCode })).lines;
+    }
+    const { invoice, existing } = await createDraftInTransaction(
+      { quotation, job, extraLines, notes: req.body?.notes || null, user: req.user },
+      async (client) => (await findLiveInvoice(client, { jobId: job.id }))
+        || findLiveInvoice(client, { quotationId: quotation.id })
+    );
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.job_id
+          ? `This job is already invoiced (${existing.invoice_number || 'draft'})`
+          : `The quotation of this job is already invoiced (${existing.invoice_number || 'draft'})`,
+        data: { invoiceId: existing.id }
+      });
+    }
+    return res.status(201).json({
+      success: true,
+      message: 'Draft invoice created',
+      data: invoice
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This job is already invoiced'
+      });
+    }
+    console.error('Error creating invoice from job:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/invoices/reports/ageing
+ * Outstanding balances per customer in 0-30/31-60/61-90/90+ days overdue buckets.
+ * Query: asOf? (YYYY-MM-DD, default today)
+ */
+router.get('/reports/ageing', authenticateToken, authorizeRoles(INVOICE_READ_ROLES), async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    if (asOf && (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(new Date(asOf).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'asOf must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    const report = await getReceivablesAgeing(pool, { asOf: asOf || null });
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building receivables ageing:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/invoices/:id
+ * Invoice with its line items and tax split
+ */
+router.get('/:id', authenticateToken, authorizeRoles(INVOICE_READ_ROLES), async (req, res) => {
+  try {
+    const invoice = await getInvoice(pool, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/invoices/:id/issue
+ * Issue a draft: assigns the next invoice number and the due date
+ */
+router.post('/:id/issue', authenticateToken, authorizeRoles(INVOICE_WRITE_ROLES), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await issueInvoice(client, req.params.id, { user: req.user });
+    if (!invoice) {
+      await client.query('ROLLBACK');
+      const exists = await getInvoice(pool, req.params.id);
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? `Only draft invoices can be issued (this one is ${exists.status})` : 'Invoice not found'
+      });
+    }
+    await client.query('COMMIT');
+    await syncOverdueReminders(invoice.id);
+
+    return res.status(200).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} issued`,
+      data: invoice
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error issuing invoice:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/invoices/:id/void
+ * Void an invoice. Body: { reason }. Invoices with payments cannot be voided.
+ */
+router.post('/:id/void', authenticateToken, authorizeRoles(INVOICE_WRITE_ROLES), async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void an invoice'
+      });
+    }
+
+    const existing = await getInvoice(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (existing.amountPaid > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoices with recorded payments cannot be voided'
+      });
+    }
+
+    const invoice = await voidInvoice(pool, req.params.id, { reason });
+    if (!invoice) {
+      return res.status(409).json({
+        success: false,
+        message: 'This invoice is already void'
+      });
+    }
+    await cancelOverdueReminders(pool, invoice.id);
+    return res.status(200).json({
+      success: true,
+      message: 'Invoice voided',
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Error voiding invoice:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/invoices/:id
+ * Delete a draft invoice; issued invoices must be voided instead
+ */
+router.delete('/:id', authenticateToken, authorizeRoles(INVOICE_WRITE_ROLES), async (req, res) => {
+  try {
+    const deleted = await deleteDraftInvoice(pool, req.params.id);
+    if (!deleted) {
+      const exists = await getInvoice(pool, req.params.id);
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Only draft invoices can be deleted; void issued invoices instead' : 'Invoice not found'
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      message: 'Draft invoice deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting invoice:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/invoices/:id/payments
+ * Payments recorded against an invoice, oldest first
+ */
+router.get('/:id/payments', authenticateToken, authorizeRoles(INVOICE_READ_ROLES), async (req, res) => {
+  try {
+    const invoice = await getInvoice(pool, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const payments = await listInvoicePayments(pool, invoice.id);
+    return res.status(200).json({
+      success: true,
+      data: payments
+    });
+  } catch (error) {
+    console.error('Error fetching invoice payments:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/invoices/:id/payments
+ * Record a payment. Body: { amount, tdsAmount?, tdsSection?, mode, reference?,
+ * paymentDate?, notes? }. amount + tdsAmount may not exceed the balance due.
+ */
+router.post('/:id/payments', authenticateToken, authorizeRoles(INVOICE_WRITE_ROLES), async (req, res) => {
+  const body = req.body || {};
+  const payment = {
+    amount: Number(body.amount || 0),
+    tdsAmount: Number(body.tdsAmount || 0),
+    tdsSection: body.tdsSection ? String(body.tdsSection).trim() : null,
+    mode: body.mode,
+    reference: body.reference ? String(body.reference).trim() : null,
+    paymentDate: body.paymentDate || null,
+    notes: body.notes || null
+  };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await lockInvoiceForPayment(client, req.params.id);
+    if (!invoice) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Payments can only be recorded against issued invoices (this one is ${invoice.status})`
+      });
+    }
+
+    const balanceDue = Number(invoice.total_amount) - Number(invoice.amount_paid);
+    const validationError = validatePayment(payment, balanceDue);
+    if (validationError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = await recordPayment(client, invoice.id, { ...payment, user: req.user });
+    await client.query('COMMIT');
+    await syncOverdueReminders(invoice.id);
+
+    return res.status(201).json({
+      success: true,
+      message: result.status === 'paid' ? 'Payment recorded; invoice fully paid' : 'Payment recorded',
+      data: { ...result.payment, invoiceStatus: result.status }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error recording invoice payment:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/invoices/:id/payments/:paymentId
+ * Remove a payment recorded in error; the invoice balance and status are recalculated
+ */
+router.delete('/:id/payments/:paymentId', authenticateToken, authorizeRoles(INVOICE_WRITE_ROLES), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await lockInvoiceForPayment(client, req.params.id);
+    if (!invoice) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const result = await deletePayment(client, invoice.id, req.params.paymentId);
+    if (!result) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    await client.query('COMMIT');
+    await syncOverdueReminders(invoice.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment deleted',
+      data: { invoiceStatus: result.status }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting invoice payment:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Invoice PDF. Query: templateId? (an enhanced template; the built-in tax
+ * invoice layout otherwise). Falls back to printable HTML without Puppeteer.
+ */
+router.get('/:id/pdf', authenticateToken, authorizeRoles(INVOICE_READ_ROLES), async (req, res) => {
+  try {
+    const invoice = await getInvoice(pool, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+
+    const templateBuilder = new EnhancedTemplateBuilder();
+    const { templateId } = req.query;
+    if (templateId && templateId !== 'default') {
+      await templateBuilder.loadTemplate(templateId);
+    } else {
+      createInvoiceTemplate(templateBuilder);
+    }
+
+    const html = templateBuilder.generatePreviewHTML(await mapInvoiceToTemplateData(invoice));
+    const fileName = `invoice_${(invoice.invoiceNumber || invoice.id).replace(/[^A-Za-z0-9-]/g, '_')}`;
+    const pdfResult = await pdfService.generateFromHTML(html, INVOICE_PDF_OPTIONS);
+
+    if (pdfResult.fallback) {
+      res.setHeader('Content-Type', 'text/html');
+      res.setHeader('Content-Disposition', `inline; filename=${fileName}.html`);
+      return res.send(html);
+    }
+    const buffer = Buffer.isBuffer(pdfResult.data) ? pdfResult.data : Buffer.from(pdfResult.data, 'base64');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}.pdf`);
+    return res.send(buffer);
+  } catch (error) {
+    console.error('❌ [Invoice PDF] PDF generation failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice PDF',
+      message: error.message
+    });
+  }
+});
+
+export default router;
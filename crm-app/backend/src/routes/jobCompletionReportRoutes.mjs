@@ -0,0 +1,330 @@
+/**
+ * Job Completion Report Routes
+ * Completion reports of finished jobs with site photos and the customer's
+ * sign-off, and customer satisfaction scores
+ */
+
+import express from 'express';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import { createDocumentUpload, sendStoredFile } from '../middleware/documentUpload.mjs';
+import pool from '../lib/dbConnection.js';
+import { mapJobRow } from '../services/quotationJobService.js';
+import { findOperatorForUser } from '../services/jobLogService.js';
+import {
+  DEFAULT_SAFETY_CHECKS,
+  REPORTABLE_JOB_STATUSES,
+  SATISFACTION_GROUPS,
+  addReportPhoto,
+  buildHoursSummary,
+  deleteReportPhoto,
+  getJobReport,
+  getReportJob,
+  getReportPhoto,
+  getSatisfactionScores,
+  saveJobReport,
+  signOffJobReport,
+  validateCustomerSignOff,
+  validatePhotoCaption,
+  validateReport
+} from '../services/jobCompletionReportService.js';
+
+const router = express.Router();
+
+const REPORT_WRITE_ROLES = ['admin', 'operations_manager', 'operator'];
+const REPORT_READ_ROLES = ['admin', 'operations_manager', 'operator', 'sales_agent', 'support'];
+const SATISFACTION_ROLES = ['admin', 'operations_manager', 'sales_agent', 'support'];
+
+const { uploadFile, storedFile, removeFile } = createDocumentUpload('uploads/job-completion-photos');
+
+const serverError = (res, action, error) => {
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+/**
+ * Fetch the job of a report. Operators only reach the jobs they worked on.
+ * Sends 404 and returns null otherwise.
+ */
+async function findReportJob(req, res, jobId) {
+  const job = await getReportJob(pool, jobId);
+  let visible = Boolean(job);
+  if (job && req.user.role === 'operator') {
+    const operator = await findOperatorForUser(pool, req.user.id);
+    visible = Boolean(operator) && job.operators.some(o => o.id === operator.id);
+  }
+  if (!visible) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Sends 409 and returns false unless work on the job's site has finished
+ */
+function checkReportable(res, job) {
+  if (REPORTABLE_JOB_STATUSES.includes(job.status)) return true;
+  res.status(409).json({
+    success: false,
+    message: 'A completion report can only be written once work on site has finished'
+  });
+  return false;
+}
+
+const rejectSigned = (res) => res.status(409).json({
+  success: false,
+  message: 'The report has been signed by the customer and cannot be changed'
+});
+
+const emptyReport = () => ({
+  safetyChecks: DEFAULT_SAFETY_CHECKS,
+  safetyNotes: null,
+  incidents: [],
+  workSummary: null,
+  completedByName: null,
+  completedBySignature: null
+});
+
+const reportFields = (body) => ({
+  safetyChecks: body.safetyChecks,
+  safetyNotes: body.safetyNotes !== undefined ? String(body.safetyNotes || '').trim() : undefined,
+  incidents: body.incidents,
+  workSummary: body.workSummary !== undefined ? String(body.workSummary || '').trim() : undefined,
+  completedByName: body.completedByName !== undefined ? String(body.completedByName || '').trim() : undefined,
+  completedBySignature: body.completedBySignature
+});
+
+/**
+ * GET /api/job-reports/satisfaction
+ * Average customer rating overall and per group. Query: groupBy (customer or
+ * operator), from?, to? bounding the signing date
+ */
+router.get('/satisfaction', authenticateToken, authorizeRoles(SATISFACTION_ROLES), async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'customer';
+    if (!SATISFACTION_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of ${SATISFACTION_GROUPS.join(', ')}`
+      });
+    }
+    const scores = await getSatisfactionScores(pool, {
+      groupBy,
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+    return res.status(200).json({
+      success: true,
+      data: scores
+    });
+  } catch (error) {
+    return serverError(res, 'fetching satisfaction scores', error);
+  }
+});
+
+/**
+ * GET /api/job-reports/jobs/:jobId
+ * The job with its cranes and operators, its report (null until one is saved),
+ * the hours worked (captured at sign-off, live from the logbook before) and
+ * the checklist a new report starts with
+ */
+router.get('/jobs/:jobId', authenticateToken, authorizeRoles(REPORT_READ_ROLES), async (req, res) => {
+  try {
+    const job = await findReportJob(req, res, req.params.jobId);
+    if (!job) return null;
+
+    const report = await getJobReport(pool, job.id);
+    const hoursSummary = report?.customerSignedAt ? report.hoursSummary : await buildHoursSummary(pool, job.id);
+    return res.status(200).json({
+      success: true,
+      data: {
+        job: {
+          ...mapJobRow(job, job.equipment.map(e => e.id), job.operators.map(o => o.id)),
+          equipment: job.equipment,
+          operators: job.operators
+        },
+        report,
+        hoursSummary,
+        defaultSafetyChecks: DEFAULT_SAFETY_CHECKS
+      }
+    });
+  } catch (error) {
+    return serverError(res, 'fetching job completion report', error);
+  }
+});
+
+/**
+ * PUT /api/job-reports/jobs/:jobId
+ * Save the report of a job whose work on site has finished. Body: any of
+ * { safetyChecks, safetyNotes, incidents, workSummary, completedByName,
+ * completedBySignature }; fields left out keep their saved value.
+ */
+router.put('/jobs/:jobId', authenticateToken, authorizeRoles(REPORT_WRITE_ROLES), async (req, res) => {
+  try {
+    const job = await findReportJob(req, res, req.params.jobId);
+    if (!job || !checkReportable(res, job)) return null;
+
+    const existing = await getJobReport(pool, job.id);
+    if (existing?.customerSignedAt) return rejectSigned(res);
+
+    const merged = { ...emptyReport(), ...existing };
+    for (const [field, value] of Object.entries(reportFields(req.body || {}))) {
+      if (value !== undefined) merged[field] = value === '' ? null : value;
+    }
+    const validationError = validateReport(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const report = await saveJobReport(pool, job.id, merged, { user: req.user });
+    if (!report) return rejectSigned(res);
+    return res.status(200).json({
+      success: true,
+      message: 'Report saved',
+      data: report
+    });
+  } catch (error) {
+    return serverError(res, 'saving job completion report', error);
+  }
+});
+
+/**
+ * POST /api/job-reports/jobs/:jobId/sign-off
+ * The customer's representative signs the saved report on site.
+ * Body: { customerSignatory, rating (1-5), comments?, signature } with the
+ * drawn signature as a PNG data URL.
+ */
+router.post('/jobs/:jobId/sign-off', authenticateToken, authorizeRoles(REPORT_WRITE_ROLES), async (req, res) => {
+  try {
+    const job = await findReportJob(req, res, req.params.jobId);
+    if (!job || !checkReportable(res, job)) return null;
+
+    const existing = await getJobReport(pool, job.id);
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Save the report before the customer signs it'
+      });
+    }
+    if (existing.customerSignedAt) return rejectSigned(res);
+
+    const body = req.body || {};
+    const validationError = validateCustomerSignOff(body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const report = await signOffJobReport(pool, job.id, body);
+    if (!report) return rejectSigned(res);
+    return res.status(200).json({
+      success: true,
+      message: 'Report signed by the customer',
+      data: report
+    });
+  } catch (error) {
+    return serverError(res, 'signing off job completion report', error);
+  }
+});
+
+/**
+ * POST /api/job-reports/jobs/:jobId/photos
+ * Multipart body: file (an image), caption?. Starts the report when none was saved yet.
+ */
+router.post('/jobs/:jobId/photos', authenticateToken, authorizeRoles(REPORT_WRITE_ROLES), uploadFile, async (req, res) => {
+  const file = storedFile(req.file);
+  try {
+    const validationError = !file || !file.mimeType.startsWith('image/')
+      ? 'An image file is required'
+      : validatePhotoCaption(req.body?.caption);
+    if (validationError) {
+      removeFile(file?.path);
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const job = await findReportJob(req, res, req.params.jobId);
+    if (!job || !checkReportable(res, job)) {
+      removeFile(file.path);
+      return null;
+    }
+
+    const report = await getJobReport(pool, job.id) || await saveJobReport(pool, job.id, emptyReport(), { user: req.user });
+    if (!report || report.customerSignedAt) {
+      removeFile(file.path);
+      return rejectSigned(res);
+    }
+
+    const photo = await addReportPhoto(pool, report.id, { caption: req.body?.caption }, { file, user: req.user });
+    return res.status(201).json({
+      success: true,
+      message: 'Photo added',
+      data: photo
+    });
+  } catch (error) {
+    removeFile(file?.path);
+    return serverError(res, 'adding job completion photo', error);
+  }
+});
+
+/**
+ * DELETE /api/job-reports/photos/:photoId
+ * Removes a photo from a report the customer has not signed yet
+ */
+router.delete('/photos/:photoId', authenticateToken, authorizeRoles(REPORT_WRITE_ROLES), async (req, res) => {
+  try {
+    const photo = await getReportPhoto(pool, req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+    if (!await findReportJob(req, res, photo.jobId)) return null;
+    if (photo.reportSigned) return rejectSigned(res);
+
+    await deleteReportPhoto(pool, photo.id);
+    removeFile(photo.filePath);
+    return res.status(200).json({
+      success: true,
+      message: 'Photo deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'deleting job completion photo', error);
+  }
+});
+
+/**
+ * GET /api/job-reports/photos/:photoId/file
+ * Download a report photo
+ */
+router.get('/photos/:photoId/file', authenticateToken, authorizeRoles(REPORT_READ_ROLES), async (req, res) => {
+  try {
+    const photo = await getReportPhoto(pool, req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+    if (!await findReportJob(req, res, photo.jobId)) return null;
+    return sendStoredFile(res, { filePath: photo.filePath, fileName: photo.fileName, mimeType: photo.fileMimeType });
+  } catch (error) {
+    return serverError(res, 'downloading job completion photo', error);
+  }
+});
+
+export default router;
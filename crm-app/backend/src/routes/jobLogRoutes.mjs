@@ -0,0 +1,371 @@
+/**
+ * Job Log Routes
+ * Daily crane logbook entries, site supervisor sign-off and logbook summaries
+ * for invoicing, timesheets and utilization
+ */
+
+import express from 'express';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import pool from '../lib/dbConnection.js';
+import {
+  SUMMARY_GROUPS,
+  checkLogAssignment,
+  createJobLog,
+  deleteJobLog,
+  findOperatorForUser,
+  getJobLog,
+  listJobLogs,
+  listLogAssignments,
+  signOffJobLog,
+  summarizeJobLogs,
+  updateJobLog,
+  validateJobLog,
+  validateSignOff
+} from '../services/jobLogService.js';
+import { recordEngineHours, sendDueSoonAlerts } from '../services/equipmentMaintenanceService.js';
+import { findAcceptedQuotationForJob, getInvoiceConfig } from '../services/invoiceService.js';
+import { reconcileJobHours } from '../services/overtimeService.js';
+
+const router = express.Router();
+
+const LOG_ROLES = ['admin', 'operations_manager', 'operator'];
+const SUMMARY_ROLES = ['admin', 'sales_agent', 'operations_manager'];
+
+const serverError = (res, action, error) => {
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+/**
+ * Operators only see and write their own logs. Returns { operatorId } with
+ * the operator to restrict to (null for everyone else), or sends 403 and
+ * returns null when an operator login is not linked to an operator record.
+ */
+async function resolveLogScope(req, res) {
+  if (req.user.role !== 'operator') return { operatorId: null };
+  const operator = await findOperatorForUser(pool, req.user.id);
+  if (!operator) {
+    res.status(403).json({
+      success: false,
+      message: 'Your login is not linked to an operator record'
+    });
+    return null;
+  }
+  return { operatorId: operator.id };
+}
+
+/**
+ * Fetch a log the user may change. Sends 404 or 403 and returns null otherwise.
+ */
+async function findWritableLog(req, res) {
+  const scope = await resolveLogScope(req, res);
+  if (!scope) return null;
+  const log = await getJobLog(pool, req.params.id);
+  if (!log || (scope.operatorId && log.operatorId !== scope.operatorId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Log not found'
+    });
+    return null;
+  }
+  return log;
+}
+
+const rejectSigned = (res) => res.status(409).json({
+  success: false,
+  message: 'The log has been signed off by the site supervisor and cannot be changed'
+});
+
+// The closing hour meter reading moves the crane's engine hours on
+const recordLoggedEngineHours = async (log) => {
+  if (log.hourMeterEnd === null) return;
+  try {
+    const recorded = await recordEngineHours(pool, log.equipmentId, log.hourMeterEnd);
+    if (recorded !== null) await sendDueSoonAlerts(pool, { equipmentId: log.equipmentId });
+  } catch (error) {
+    console.error(`⚠️ Could not record engine hours for equipment ${log.equipmentId}:`, error.message);
+  }
+};
+
+const logFields = (body) => ({
+  logDate: body.logDate,
+  startTime: body.startTime,
+  endTime: body.endTime,
+  breakMinutes: body.breakMinutes,
+  breakdownHours: body.breakdownHours,
+  hourMeterStart: body.hourMeterStart,
+  hourMeterEnd: body.hourMeterEnd,
+  dieselLitres: body.dieselLitres,
+  workDescription: body.workDescription !== undefined ? String(body.workDescription).trim() : undefined,
+  remarks: body.remarks !== undefined ? String(body.remarks).trim() : undefined
+});
+
+/**
+ * GET /api/job-logs/assignments
+ * Scheduled and running jobs with their cranes and operators to log work on.
+ * Operators get the jobs they are assigned to; others may pass operatorId.
+ */
+router.get('/assignments', authenticateToken, authorizeRoles(LOG_ROLES), async (req, res) => {
+  try {
+    const scope = await resolveLogScope(req, res);
+    if (!scope) return null;
+    const assignments = await listLogAssignments(pool, {
+      operatorId: scope.operatorId || req.query.operatorId || null
+    });
+    return res.status(200).json({
+      success: true,
+      data: { operatorId: scope.operatorId, assignments }
+    });
+  } catch (error) {
+    return serverError(res, 'fetching log assignments', error);
+  }
+});
+
+/**
+ * GET /api/job-logs/summary
+ * Logbook totals, overall and per group. Query: groupBy (job, equipment,
+ * operator or date), jobId?, equipmentId?, operatorId?, from?, to?,
+ * signedOnly=true to count signed-off logs only
+ */
+router.get('/summary', authenticateToken, authorizeRoles(SUMMARY_ROLES), async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'job';
+    if (!SUMMARY_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of ${SUMMARY_GROUPS.join(', ')}`
+      });
+    }
+    const summary = await summarizeJobLogs(pool, {
+      groupBy,
+      jobId: req.query.jobId || null,
+      equipmentId: req.query.equipmentId || null,
+      operatorId: req.query.operatorId || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      signedOnly: req.query.signedOnly === 'true'
+    });
+    return res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    return serverError(res, 'summarizing job logs', error);
+  }
+});
+
+/**
+ * GET /api/job-logs/reconciliation/:jobId
+ * Hours logged on the job's cranes per day against the accepted quotation's
+ * working hours, with the extra-hour invoice lines under the overtime policy
+ */
+router.get('/reconciliation/:jobId', authenticateToken, authorizeRoles(SUMMARY_ROLES), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [req.params.jobId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    const job = result.rows[0];
+    const quotation = await findAcceptedQuotationForJob(pool, job);
+    if (!quotation) {
+      return res.status(409).json({
+        success: false,
+        message: 'No accepted quotation found for this job'
+      });
+    }
+
+    const { sacCode } = await getInvoiceConfig();
+    const reconciliation = await reconcileJobHours(pool, { job, quotation, sacCode });
+    return res.status(200).json({
+      success: true,
+      data: reconciliation
+    });
+  } catch (error) {
+    return serverError(res, 'reconciling job hours', error);
+  }
+});
+
+/**
+ * GET /api/job-logs
+ * Query: jobId?, equipmentId?, operatorId?, from?, to?. Operators only get their own logs.
+ */
+router.get('/', authenticateToken, authorizeRoles(LOG_ROLES), async (req, res) => {
+  try {
+    const scope = await resolveLogScope(req, res);
+    if (!scope) return null;
+    const logs = await listJobLogs(pool, {
+      jobId: req.query.jobId || null,
+      equipmentId: req.query.equipmentId || null,
+      operatorId: scope.operatorId || req.query.operatorId || null,
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+    return res.status(200).json({
+      success: true,
+      data: logs
+    });
+  } catch (error) {
+    return serverError(res, 'fetching job logs', error);
+  }
+});
+
+/**
+ * POST /api/job-logs
+ * Body: { jobId, equipmentId, operatorId, logDate, startTime, endTime,
+ * breakMinutes?, breakdownHours?, hourMeterStart?, hourMeterEnd?,
+ * dieselLitres?, workDescription?, remarks? }. Operators log their own work
+ * and may leave out operatorId.
+ */
+router.post('/', authenticateToken, authorizeRoles(LOG_ROLES), async (req, res) => {
+  try {
+    const scope = await resolveLogScope(req, res);
+    if (!scope) return null;
+
+    const body = req.body || {};
+    if (scope.operatorId && body.operatorId && body.operatorId !== scope.operatorId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Operators can only log their own work'
+      });
+    }
+    const fields = {
+      ...logFields(body),
+      jobId: body.jobId,
+      equipmentId: body.equipmentId,
+      operatorId: scope.operatorId || body.operatorId
+    };
+    const validationError = validateJobLog(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const rejection = await checkLogAssignment(pool, fields);
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        message: rejection.message
+      });
+    }
+
+    const log = await createJobLog(pool, fields, { user: req.user });
+    await recordLoggedEngineHours(log);
+    return res.status(201).json({
+      success: true,
+      message: 'Log saved',
+      data: log
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This crane and operator already have a log for that day'
+      });
+    }
+    return serverError(res, 'creating job log', error);
+  }
+});
+
+/**
+ * PUT /api/job-logs/:id
+ * Change the times, readings or notes of a log that is not signed off yet
+ */
+router.put('/:id', authenticateToken, authorizeRoles(LOG_ROLES), async (req, res) => {
+  try {
+    const existing = await findWritableLog(req, res);
+    if (!existing) return null;
+    if (existing.signedAt) return rejectSigned(res);
+
+    const changes = logFields(req.body || {});
+    const merged = { ...existing };
+    for (const [field, value] of Object.entries(changes)) {
+      if (value !== undefined) merged[field] = value === '' ? null : value;
+    }
+    const validationError = validateJobLog(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const log = await updateJobLog(pool, existing.id, changes);
+    if (!log) return rejectSigned(res);
+    await recordLoggedEngineHours(log);
+    return res.status(200).json({
+      success: true,
+      message: 'Log updated',
+      data: log
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This crane and operator already have a log for that day'
+      });
+    }
+    return serverError(res, 'updating job log', error);
+  }
+});
+
+/**
+ * POST /api/job-logs/:id/sign-off
+ * The customer's site supervisor confirms the log on the operator's phone.
+ * Body: { supervisorName, signature } with the drawn signature as a PNG data URL.
+ */
+router.post('/:id/sign-off', authenticateToken, authorizeRoles(LOG_ROLES), async (req, res) => {
+  try {
+    const existing = await findWritableLog(req, res);
+    if (!existing) return null;
+    if (existing.signedAt) return rejectSigned(res);
+
+    const body = req.body || {};
+    const validationError = validateSignOff(body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const log = await signOffJobLog(pool, existing.id, body);
+    if (!log) return rejectSigned(res);
+    return res.status(200).json({
+      success: true,
+      message: 'Log signed off',
+      data: log
+    });
+  } catch (error) {
+    return serverError(res, 'signing off job log', error);
+  }
+});
+
+/**
+ * DELETE /api/job-logs/:id
+ * Only admins can delete a signed-off log
+ */
+router.delete('/:id', authenticateToken, authorizeRoles(LOG_ROLES), async (req, res) => {
+  try {
+    const existing = await findWritableLog(req, res);
+    if (!existing) return null;
+    if (existing.signedAt && req.user.role !== 'admin') return rejectSigned(res);
+
+    await deleteJobLog(pool, existing.id);
+    return res.status(200).json({
+      success: true,
+      message: 'Log deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'deleting job log', error);
+  }
+});
+
+export default router;
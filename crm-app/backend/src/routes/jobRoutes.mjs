@@ -3,8 +3,38 @@
  */
 import express from 'express';
 import { authenticateToken } from '../middleware/authMiddleware.mjs';
-import { getJobs, getJobById, createJob, updateJob, deleteJob, getJobEquipment, addJobEquipment, removeJobEquipment, getJobOperators, addJobOperator, removeJobOperator } from '../services/postgres/jobRepository.js';
+import { getJobs, getJobById, updateJob, deleteJob, getJobEquipment, removeJobEquipment, getJobOperators, removeJobOperator } from '../services/postgres/jobRepository.js';
 import { createJobActivity } from '../services/activityService.js';
+import pool from '../lib/dbConnection.js';
+import {
+  RESCHEDULABLE_JOB_STATUSES,
+  canOverrideBookings,
+  checkBookingOverride,
+  findBookingConflicts,
+  getJobResources,
+  getJobWindow,
+  getResourceAvailability,
+  insertJob,
+  insertJobEquipment,
+  insertJobOperator,
+  listBookingOverrides,
+  lockBookingResources,
+  parseBookingDate,
+  recordBookingOverrides,
+  rescheduleJob
+} from '../services/jobBookingService.js';
+import { describeMaintenanceConflicts, findMaintenanceWindows } from '../services/equipmentMaintenanceService.js';
+import { describeDocumentConflicts, findExpiredDocuments } from '../services/equipmentDocumentService.js';
+import { describeCertificationGaps, findCertificationGaps, getCertificationEnforcement } from '../services/operatorCertificationService.js';
+import {
+  applyTransition,
+  findUnavailableResources,
+  getAllowedTransitions,
+  getJobWithResources,
+  listStatusChanges,
+  lockJob,
+  validateTransition
+} from '../services/jobLifecycleService.js';
 import { 
   sendJobAssignedNotification, 
   sendJobCompletedNotification 
@@ -17,6 +47,171 @@ const getErrorMessage = (error) => {
   return String(error);
 };
 
+/**
+ * Check a booking against maintenance windows and overlapping jobs. Equipment
+ * under maintenance is always rejected; clashing jobs are rejected unless an
+ * admin forces them (see checkBookingOverride).
+ * Returns the conflicts to record as overrides ([] when there are none), or
+ * null when a response has already been sent.
+ */
+const resolveBookingConflicts = async (client, req, res, { equipmentIds = [], operatorIds = [], start, end, excludeJobId = null }) => {
+  const maintenanceConflicts = await findMaintenanceWindows(client, { equipmentIds, start, end });
+  if (maintenanceConflicts.length > 0) {
+    res.status(409).json({
+      success: false,
+      error: describeMaintenanceConflicts(maintenanceConflicts),
+      maintenanceConflicts
+    });
+    return null;
+  }
+
+  const documentConflicts = await findExpiredDocuments(client, { equipmentIds, end });
+  if (documentConflicts.length > 0) {
+    res.status(409).json({
+      success: false,
+      error: describeDocumentConflicts(documentConflicts),
+      documentConflicts
+    });
+    return null;
+  }
+
+  const conflicts = await findBookingConflicts(client, { equipmentIds, operatorIds, start, end, excludeJobId });
+  const rejection = checkBookingOverride(conflicts, req.body, req.user);
+  if (rejection) {
+    res.status(rejection.status).json({
+      success: false,
+      error: rejection.message,
+      conflicts,
+      canOverride: canOverrideBookings(req.user)
+    });
+    return null;
+  }
+  return conflicts;
+};
+
+/**
+ * Check that the operators hold valid certifications for the cranes on the job.
+ * Returns the gaps to report as warnings ([] when there are none or the check
+ * is off), or null when the assignment was rejected and a response sent.
+ */
+const resolveCertificationGaps = async (res, { operatorIds = [], equipmentIds = [], end }) => {
+  const enforcement = await getCertificationEnforcement();
+  if (enforcement === 'off') return [];
+
+  const gaps = await findCertificationGaps(pool, { operatorIds, equipmentIds, end });
+  if (gaps.length > 0 && enforcement === 'block') {
+    res.status(409).json({
+      success: false,
+      error: describeCertificationGaps(gaps),
+      certificationConflicts: gaps
+    });
+    return null;
+  }
+  return gaps;
+};
+
+// Unqualified operators saved in 'warn' mode are returned with the result
+const withCertificationWarnings = (result, gaps) => (gaps.length > 0 ? { ...result, certificationWarnings: gaps } : result);
+
+const recordOverrides = async (client, req, jobId, conflicts) => {
+  if (conflicts.length === 0) return;
+  await recordBookingOverrides(client, jobId, conflicts, {
+    reason: String(req.body.overrideReason).trim(),
+    user: req.user
+  });
+};
+
+/**
+ * Check a booking and write it in one transaction, holding a lock on its
+ * equipment and operators so a concurrent booking of the same resource waits
+ * for this one. `book(client, conflicts)` writes the booking and returns the
+ * result, or null when it rejected the request and sent a response.
+ * Returns the result, or null when a response has already been sent.
+ */
+const bookResources = async (req, res, booking, book) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await lockBookingResources(client, booking);
+    const conflicts = await resolveBookingConflicts(client, req, res, booking);
+    const result = conflicts ? await book(client, conflicts) : null;
+    await client.query(result ? 'COMMIT' : 'ROLLBACK');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Move a job to another status through the lifecycle (see jobLifecycleService).
+ * Returns the updated job row, or null when the change was rejected and a
+ * response sent.
+ */
+const changeJobStatus = async (req, res, jobId, { status, reason = null, at = null }) => {
+  const client = await pool.connect();
+  const reject = async (code, body) => {
+    await client.query('ROLLBACK');
+    res.status(code).json(body);
+    return null;
+  };
+
+  let updated;
+  try {
+    await client.query('BEGIN');
+    const job = await lockJob(client, jobId);
+    if (!job) return await reject(404, { error: 'Job not found' });
+
+    const rejection = validateTransition(job, { status, reason, at });
+    if (rejection) {
+      return await reject(rejection.status, {
+        error: rejection.message,
+        status: job.status,
+        allowedTransitions: getAllowedTransitions(job.status)
+      });
+    }
+    if (status === 'mobilizing') {
+      const unavailable = await findUnavailableResources(client, job.id);
+      if (unavailable.length > 0) {
+        return await reject(409, {
+          error: `The job cannot mobilize: ${unavailable.join('; ')}`,
+          unavailableResources: unavailable
+        });
+      }
+    }
+
+    updated = await applyTransition(client, job, { status, reason, at, user: req.user });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  try {
+    await createJobActivity(
+      updated.customer_name,
+      status,
+      req.user?.name || 'System',
+      status === 'cancelled' ? updated.cancellation_reason : null
+    );
+  } catch (activityError) {
+    console.error('Error creating activity:', activityError);
+  }
+  if (status === 'completed') {
+    try {
+      await sendJobCompletedNotification(updated);
+      console.log(`📧 Job completion notification sent for job ${updated.id}`);
+    } catch (notificationError) {
+      console.error('Error sending job completion notification:', notificationError);
+    }
+  }
+  return updated;
+};
+
 // Get all jobs
 router.get('/', async (_req, res) => {
   try {
@@ -81,6 +276,37 @@ router.get('/leads/won-deals', async (req, res) => {
   }
 });
 
+// Equipment and operator availability for a date range
+// Query: start, end (ISO dates or date-times), excludeJobId?
+router.get('/availability', authenticateToken, async (req, res) => {
+  try {
+    const start = parseBookingDate(req.query.start);
+    const end = parseBookingDate(req.query.end);
+    if (!start || !end || end <= start) {
+      return res.status(400).json({
+        success: false,
+        error: 'start and end must be valid dates with end after start'
+      });
+    }
+
+    const availability = await getResourceAvailability(pool, {
+      start,
+      end,
+      excludeJobId: req.query.excludeJobId || null
+    });
+    res.json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    console.error('❌ Error fetching availability:', error);
+    res.status(500).json({
+      success: false,
+      error: getErrorMessage(error)
+    });
+  }
+});
+
 // Get job by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -95,7 +321,35 @@ router.get('/:id', async (req, res) => {
 // Create job
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const job = await createJob(req.body);
+    const start = parseBookingDate(req.body.scheduledStartDate);
+    const end = parseBookingDate(req.body.scheduledEndDate);
+    if (!start || !end || end <= start) {
+      return res.status(400).json({ error: 'scheduledStartDate and scheduledEndDate must be valid dates with the end after the start' });
+    }
+    // Later statuses are reached through POST /:id/status
+    if (req.body.status && !['pending', 'scheduled'].includes(req.body.status)) {
+      return res.status(400).json({ error: 'New jobs must be pending or scheduled' });
+    }
+
+    let certificationGaps;
+    const job = await bookResources(req, res, {
+      equipmentIds: req.body.equipmentIds || [],
+      operatorIds: req.body.operatorIds || [],
+      start,
+      end
+    }, async (client, conflicts) => {
+      certificationGaps = await resolveCertificationGaps(res, {
+        operatorIds: req.body.operatorIds || [],
+        equipmentIds: req.body.equipmentIds || [],
+        end
+      });
+      if (!certificationGaps) return null;
+
+      const created = await insertJob(client, { ...req.body, createdBy: req.body.createdBy || req.user?.id });
+      await recordOverrides(client, req, created.id, conflicts);
+      return created;
+    });
+    if (!job) return;
     
     // Create activity for job creation
     try {
@@ -120,27 +374,28 @@ router.post('/', authenticateToken, async (req, res) => {
       // Don't fail the job creation if notification sending fails
     }
     
-    res.status(201).json(job);
+    res.status(201).json(withCertificationWarnings(job, certificationGaps));
   } catch (error) {
     res.status(500).json({ error: getErrorMessage(error) });
   }
 });
 
-// Update job
-router.put('/:id', async (req, res) => {
+// Update job. A status in the body is applied through the lifecycle, like
+// POST /:id/status, with `reason` (or `cancellationReason`) when cancelling.
+router.put('/:id', authenticateToken, async (req, res) => {
   try {
-    const job = await updateJob(req.params.id, req.body);
-    if (!job) return res.status(404).json({ error: 'Job not found' });
-    
-    // Check if job status changed to completed
-    if (req.body.status === 'completed' && job.status === 'completed') {
-      try {
-        await sendJobCompletedNotification(job);
-        console.log(`📧 Job completion notification sent for job ${job.id}`);
-      } catch (notificationError) {
-        console.error('Error sending job completion notification:', notificationError);
-      }
+    const current = await getJobById(req.params.id);
+    if (!current) return res.status(404).json({ error: 'Job not found' });
+
+    if (req.body.status && req.body.status !== current.status) {
+      const changed = await changeJobStatus(req, res, current.id, {
+        status: req.body.status,
+        reason: req.body.reason ?? req.body.cancellationReason ?? null
+      });
+      if (!changed) return;
     }
+
+    const job = await updateJob(req.params.id, req.body);
     
     // Check if new operators were assigned
     if (req.body.operatorIds && req.body.operatorIds.length > 0) {
@@ -159,6 +414,74 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Move a job along its lifecycle:
+// pending -> scheduled -> mobilizing -> in_progress -> demobilizing -> completed,
+// or cancelled (with a reason) before work starts. Illegal moves answer 409.
+// Body: { status, reason?, at? } - `at` backdates the change to when it happened on site
+router.post('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const updated = await changeJobStatus(req, res, req.params.id, {
+      status: req.body.status,
+      reason: req.body.reason ?? null,
+      at: req.body.at ?? null
+    });
+    if (!updated) return;
+    const job = await getJobWithResources(pool, updated);
+    res.json({ ...job, allowedTransitions: getAllowedTransitions(job.status) });
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Status history of a job
+router.get('/:id/status-history', authenticateToken, async (req, res) => {
+  try {
+    const changes = await listStatusChanges(pool, req.params.id);
+    res.json(changes);
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Move a job to a new scheduled window (drag on the fleet timeline)
+// Body: { scheduledStartDate, scheduledEndDate, override?, overrideReason? }
+router.put('/:id/schedule', authenticateToken, async (req, res) => {
+  try {
+    const start = parseBookingDate(req.body.scheduledStartDate);
+    const end = parseBookingDate(req.body.scheduledEndDate);
+    if (!start || !end || end <= start) {
+      return res.status(400).json({ error: 'scheduledStartDate and scheduledEndDate must be valid dates with the end after the start' });
+    }
+
+    const job = await getJobWindow(pool, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!RESCHEDULABLE_JOB_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Only pending or scheduled jobs can be rescheduled (this one is ${job.status})` });
+    }
+
+    const { equipmentIds, operatorIds } = await getJobResources(pool, job.id);
+    let certificationGaps;
+    const updated = await bookResources(req, res, {
+      equipmentIds,
+      operatorIds,
+      start,
+      end,
+      excludeJobId: job.id
+    }, async (client, conflicts) => {
+      certificationGaps = await resolveCertificationGaps(res, { operatorIds, equipmentIds, end });
+      if (!certificationGaps) return null;
+
+      const rescheduled = await rescheduleJob(client, job.id, { start, end });
+      await recordOverrides(client, req, job.id, conflicts);
+      return rescheduled;
+    });
+    if (!updated) return;
+    res.json(withCertificationWarnings(updated, certificationGaps));
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
 // Delete job
 router.delete('/:id', async (req, res) => {
   try {
@@ -182,8 +505,30 @@ router.get('/:id/equipment', async (req, res) => {
 router.post('/:id/equipment', authenticateToken, async (req, res) => {
   try {
     const { equipmentId } = req.body;
-    const result = await addJobEquipment(req.params.id, equipmentId);
-    res.status(201).json(result);
+    const job = await getJobWindow(pool, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    let certificationGaps;
+    const result = await bookResources(req, res, {
+      equipmentIds: [equipmentId],
+      start: job.scheduled_start_date,
+      end: job.scheduled_end_date,
+      excludeJobId: job.id
+    }, async (client, conflicts) => {
+      const { operatorIds } = await getJobResources(client, job.id);
+      certificationGaps = await resolveCertificationGaps(res, {
+        operatorIds,
+        equipmentIds: [equipmentId],
+        end: job.scheduled_end_date
+      });
+      if (!certificationGaps) return null;
+
+      const assigned = await insertJobEquipment(client, job.id, equipmentId);
+      await recordOverrides(client, req, job.id, conflicts);
+      return assigned;
+    });
+    if (!result) return;
+    res.status(201).json(withCertificationWarnings(result, certificationGaps));
   } catch (error) {
     res.status(500).json({ error: getErrorMessage(error) });
   }
@@ -209,8 +554,30 @@ router.get('/:id/operators', async (req, res) => {
 router.post('/:id/operators', authenticateToken, async (req, res) => {
   try {
     const { operatorId } = req.body;
-    const result = await addJobOperator(req.params.id, operatorId);
-    res.status(201).json(result);
+    const job = await getJobWindow(pool, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    let certificationGaps;
+    const result = await bookResources(req, res, {
+      operatorIds: [operatorId],
+      start: job.scheduled_start_date,
+      end: job.scheduled_end_date,
+      excludeJobId: job.id
+    }, async (client, conflicts) => {
+      const { equipmentIds } = await getJobResources(client, job.id);
+      certificationGaps = await resolveCertificationGaps(res, {
+        operatorIds: [operatorId],
+        equipmentIds,
+        end: job.scheduled_end_date
+      });
+      if (!certificationGaps) return null;
+
+      const assigned = await insertJobOperator(client, job.id, operatorId);
+      await recordOverrides(client, req, job.id, conflicts);
+      return assigned;
+    });
+    if (!result) return;
+    res.status(201).json(withCertificationWarnings(result, certificationGaps));
   } catch (error) {
     res.status(500).json({ error: getErrorMessage(error) });
   }
@@ -224,4 +591,14 @@ router.delete('/:id/operators/:operatorId', async (req, res) => {
   }
 });
 
+// Double bookings forced on a job
+router.get('/:id/booking-overrides', authenticateToken, async (req, res) => {
+  try {
+    const overrides = await listBookingOverrides(pool, req.params.id);
+    res.json(overrides);
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
 export default router;
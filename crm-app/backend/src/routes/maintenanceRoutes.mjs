@@ -0,0 +1,513 @@
+/**
+ * Maintenance Routes
+ * Preventive maintenance plans, maintenance work orders and hour meter readings for cranes
+ */
+
+import express from 'express';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import pool from '../lib/dbConnection.js';
+import {
+  WORK_ORDER_STATUSES,
+  cancelWorkOrder,
+  completeWorkOrder,
+  createMaintenancePlan,
+  createWorkOrder,
+  deleteMaintenancePlan,
+  findMaintenanceWindows,
+  getMaintenancePlan,
+  getWorkOrder,
+  listMaintenancePlans,
+  listWorkOrders,
+  normaliseParts,
+  recordEngineHours,
+  sendDueSoonAlerts,
+  startWorkOrder,
+  updateMaintenancePlan,
+  updateWorkOrder,
+  validatePlan,
+  validateWorkOrder
+} from '../services/equipmentMaintenanceService.js';
+import { findBookingConflicts } from '../services/jobBookingService.js';
+
+const router = express.Router();
+
+const MAINTENANCE_READ_ROLES = ['admin', 'sales_agent', 'operations_manager'];
+const MAINTENANCE_WRITE_ROLES = ['admin', 'operations_manager'];
+
+const serverError = (res, action, error) => {
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+const equipmentExists = async (equipmentId) => {
+  const result = await pool.query('SELECT 1 FROM equipment WHERE id = $1', [equipmentId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Run a work-order state change in a transaction with the work order locked.
+ * `change(client, workOrder)` returns the updated work order, or sends its
+ * own response and returns null.
+ */
+async function changeWorkOrder(req, res, action, change) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const workOrder = await getWorkOrder(client, req.params.id, { forUpdate: true });
+    if (!workOrder) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+    const updated = await change(client, workOrder);
+    if (!updated) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await client.query('COMMIT');
+    return updated;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    serverError(res, action, error);
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /api/maintenance/plans
+ * Maintenance plans with their next due point. Query: equipmentId?, due=true
+ * for plans due soon or overdue, includeInactive=true
+ */
+router.get('/plans', authenticateToken, authorizeRoles(MAINTENANCE_READ_ROLES), async (req, res) => {
+  try {
+    const plans = await listMaintenancePlans(pool, {
+      equipmentId: req.query.equipmentId || null,
+      activeOnly: req.query.includeInactive !== 'true',
+      dueOnly: req.query.due === 'true'
+    });
+    return res.status(200).json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    return serverError(res, 'fetching maintenance plans', error);
+  }
+});
+
+/**
+ * POST /api/maintenance/plans
+ * Body: { equipmentId, name, description?, intervalDays?, intervalHours?,
+ * lastPerformedDate?, lastPerformedHours? }. At least one interval is required.
+ */
+router.post('/plans', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validatePlan(body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const plan = await createMaintenancePlan(pool, body.equipmentId, {
+      name: body.name,
+      description: body.description || null,
+      intervalDays: body.intervalDays || null,
+      intervalHours: body.intervalHours || null,
+      lastPerformedDate: body.lastPerformedDate || null,
+      lastPerformedHours: body.lastPerformedHours ?? null,
+      user: req.user
+    });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+    return res.status(201).json({
+      success: true,
+      message: 'Maintenance plan created',
+      data: plan
+    });
+  } catch (error) {
+    return serverError(res, 'creating maintenance plan', error);
+  }
+});
+
+/**
+ * PUT /api/maintenance/plans/:id
+ * Change a plan's name, intervals, last service or isActive
+ */
+router.put('/plans/:id', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  try {
+    const existing = await getMaintenancePlan(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found'
+      });
+    }
+
+    const body = req.body || {};
+    const changes = {
+      name: body.name !== undefined ? String(body.name).trim() : undefined,
+      description: body.description,
+      intervalDays: body.intervalDays,
+      intervalHours: body.intervalHours,
+      lastPerformedDate: body.lastPerformedDate,
+      lastPerformedHours: body.lastPerformedHours,
+      isActive: body.isActive !== undefined ? Boolean(body.isActive) : undefined
+    };
+    const merged = {
+      name: changes.name ?? existing.name,
+      intervalDays: changes.intervalDays !== undefined ? changes.intervalDays || null : existing.intervalDays,
+      intervalHours: changes.intervalHours !== undefined ? changes.intervalHours || null : existing.intervalHours,
+      lastPerformedDate: changes.lastPerformedDate ?? existing.lastPerformedDate,
+      lastPerformedHours: changes.lastPerformedHours ?? existing.lastPerformedHours
+    };
+    const validationError = validatePlan(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const plan = await updateMaintenancePlan(pool, existing.id, changes);
+    return res.status(200).json({
+      success: true,
+      message: 'Maintenance plan updated',
+      data: plan
+    });
+  } catch (error) {
+    return serverError(res, 'updating maintenance plan', error);
+  }
+});
+
+/**
+ * DELETE /api/maintenance/plans/:id
+ * Work orders raised against the plan are kept
+ */
+router.delete('/plans/:id', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  try {
+    const deleted = await deleteMaintenancePlan(pool, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found'
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      message: 'Maintenance plan deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'deleting maintenance plan', error);
+  }
+});
+
+/**
+ * GET /api/maintenance/work-orders
+ * Query: equipmentId?, status?
+ */
+router.get('/work-orders', authenticateToken, authorizeRoles(MAINTENANCE_READ_ROLES), async (req, res) => {
+  try {
+    const { equipmentId, status } = req.query;
+    if (status && !WORK_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${WORK_ORDER_STATUSES.join(', ')}`
+      });
+    }
+    const workOrders = await listWorkOrders(pool, { equipmentId: equipmentId || null, status: status || null });
+    return res.status(200).json({
+      success: true,
+      data: workOrders
+    });
+  } catch (error) {
+    return serverError(res, 'fetching work orders', error);
+  }
+});
+
+/**
+ * POST /api/maintenance/work-orders
+ * Plan maintenance. Body: { equipmentId, planId?, title, type?, plannedStart,
+ * plannedEnd, performedBy?, notes? }. Jobs already booked on the crane in
+ * that window are returned as affectedJobs so they can be moved.
+ */
+router.post('/work-orders', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateWorkOrder(body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    if (!(await equipmentExists(body.equipmentId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+    if (body.planId) {
+      const plan = await getMaintenancePlan(pool, body.planId);
+      if (!plan || plan.equipmentId !== body.equipmentId) {
+        return res.status(400).json({
+          success: false,
+          message: 'planId must be a maintenance plan of this equipment'
+        });
+      }
+    }
+
+    const window = { start: new Date(body.plannedStart), end: new Date(body.plannedEnd) };
+    const overlapping = await findMaintenanceWindows(pool, { equipmentIds: [body.equipmentId], ...window });
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This crane already has maintenance planned in that window: ${overlapping[0].title}`,
+        data: { workOrderId: overlapping[0].workOrderId }
+      });
+    }
+
+    const workOrder = await createWorkOrder(pool, body.equipmentId, {
+      planId: body.planId || null,
+      title: body.title,
+      type: body.type || 'preventive',
+      plannedStart: window.start,
+      plannedEnd: window.end,
+      performedBy: body.performedBy || null,
+      notes: body.notes || null,
+      user: req.user
+    });
+    const affectedJobs = await findBookingConflicts(pool, { equipmentIds: [body.equipmentId], ...window });
+    return res.status(201).json({
+      success: true,
+      message: affectedJobs.length > 0
+        ? `Work order created; ${affectedJobs.length} booked job(s) overlap this window and should be rescheduled`
+        : 'Work order created',
+      data: { ...workOrder, affectedJobs }
+    });
+  } catch (error) {
+    return serverError(res, 'creating work order', error);
+  }
+});
+
+/**
+ * PUT /api/maintenance/work-orders/:id
+ * Change a planned work order: title, type, plannedStart, plannedEnd, performedBy, notes
+ */
+router.put('/work-orders/:id', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  try {
+    const existing = await getWorkOrder(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+    if (existing.status !== 'planned') {
+      return res.status(409).json({
+        success: false,
+        message: `Only planned work orders can be changed (this one is ${existing.status})`
+      });
+    }
+
+    const body = req.body || {};
+    const window = {
+      plannedStart: body.plannedStart ?? existing.plannedStart,
+      plannedEnd: body.plannedEnd ?? existing.plannedEnd
+    };
+    const validationError = validateWorkOrder({ ...body, ...window }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const workOrder = await updateWorkOrder(pool, existing.id, {
+      title: body.title !== undefined ? String(body.title).trim() : undefined,
+      type: body.type,
+      plannedStart: body.plannedStart !== undefined ? new Date(body.plannedStart) : undefined,
+      plannedEnd: body.plannedEnd !== undefined ? new Date(body.plannedEnd) : undefined,
+      performedBy: body.performedBy,
+      notes: body.notes
+    });
+    return res.status(200).json({
+      success: true,
+      message: 'Work order updated',
+      data: workOrder
+    });
+  } catch (error) {
+    return serverError(res, 'updating work order', error);
+  }
+});
+
+/**
+ * POST /api/maintenance/work-orders/:id/start
+ * Start a planned work order now (or at actualStart); the crane goes into maintenance
+ */
+router.post('/work-orders/:id/start', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  const actualStart = req.body?.actualStart ? new Date(req.body.actualStart) : null;
+  if (actualStart && isNaN(actualStart.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'actualStart must be a valid date'
+    });
+  }
+
+  const workOrder = await changeWorkOrder(req, res, 'starting work order', async (client, existing) => {
+    if (existing.status !== 'planned') {
+      res.status(409).json({
+        success: false,
+        message: `Only planned work orders can be started (this one is ${existing.status})`
+      });
+      return null;
+    }
+    return startWorkOrder(client, existing.id, { actualStart });
+  });
+  if (!workOrder) return;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Work order started; equipment is now in maintenance',
+    data: workOrder
+  });
+});
+
+/**
+ * POST /api/maintenance/work-orders/:id/complete
+ * Body: { actualEnd?, engineHours?, labourCost?, parts?: [{ name, partNumber?,
+ * quantity, unitCost }], performedBy?, notes? }
+ */
+router.post('/work-orders/:id/complete', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  const body = req.body || {};
+  const actualEnd = body.actualEnd ? new Date(body.actualEnd) : new Date();
+  const engineHours = body.engineHours !== undefined && body.engineHours !== '' ? Number(body.engineHours) : null;
+  const labourCost = Number(body.labourCost || 0);
+  const { parts, partsCost, error: partsError } = normaliseParts(body.parts || []);
+
+  const validationError = partsError
+    || (isNaN(actualEnd.getTime()) && 'actualEnd must be a valid date')
+    || (engineHours !== null && (isNaN(engineHours) || engineHours < 0) && 'engineHours must be zero or more')
+    || ((isNaN(labourCost) || labourCost < 0) && 'labourCost must be zero or more');
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  const workOrder = await changeWorkOrder(req, res, 'completing work order', async (client, existing) => {
+    if (!['planned', 'in_progress'].includes(existing.status)) {
+      res.status(409).json({
+        success: false,
+        message: `This work order is already ${existing.status}`
+      });
+      return null;
+    }
+    const start = new Date(existing.actualStart || existing.plannedStart);
+    if (actualEnd <= start) {
+      res.status(400).json({
+        success: false,
+        message: 'actualEnd must be after the start of the work order'
+      });
+      return null;
+    }
+    return completeWorkOrder(client, existing, {
+      actualEnd,
+      engineHours,
+      labourCost,
+      parts,
+      partsCost,
+      performedBy: body.performedBy || null,
+      notes: body.notes || null,
+      user: req.user
+    });
+  });
+  if (!workOrder) return;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Work order completed',
+    data: workOrder
+  });
+});
+
+/**
+ * POST /api/maintenance/work-orders/:id/cancel
+ * Body: { reason? }
+ */
+router.post('/work-orders/:id/cancel', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+  const workOrder = await changeWorkOrder(req, res, 'cancelling work order', async (client, existing) => {
+    if (!['planned', 'in_progress'].includes(existing.status)) {
+      res.status(409).json({
+        success: false,
+        message: `This work order is already ${existing.status}`
+      });
+      return null;
+    }
+    return cancelWorkOrder(client, existing, { reason });
+  });
+  if (!workOrder) return;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Work order cancelled',
+    data: workOrder
+  });
+});
+
+/**
+ * PUT /api/maintenance/equipment/:equipmentId/engine-hours
+ * Record an hour meter reading. Body: { engineHours }. Readings cannot go back.
+ * Plans that become due are alerted straight away.
+ */
+router.put('/equipment/:equipmentId/engine-hours', authenticateToken, authorizeRoles(MAINTENANCE_WRITE_ROLES), async (req, res) => {
+  try {
+    const engineHours = Number(req.body?.engineHours);
+    if (req.body?.engineHours === undefined || isNaN(engineHours) || engineHours < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'engineHours must be zero or more'
+      });
+    }
+
+    const recorded = await recordEngineHours(pool, req.params.equipmentId, engineHours);
+    if (recorded === null) {
+      const exists = await equipmentExists(req.params.equipmentId);
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'engineHours cannot be lower than the current reading' : 'Equipment not found'
+      });
+    }
+
+    try {
+      await sendDueSoonAlerts(pool, { equipmentId: req.params.equipmentId });
+    } catch (alertError) {
+      console.error(`⚠️ Could not send maintenance alerts for equipment ${req.params.equipmentId}:`, alertError.message);
+    }
+
+    const plans = await listMaintenancePlans(pool, { equipmentId: req.params.equipmentId });
+    return res.status(200).json({
+      success: true,
+      message: 'Engine hours recorded',
+      data: { engineHours: recorded, plans }
+    });
+  } catch (error) {
+    return serverError(res, 'recording engine hours', error);
+  }
+});
+
+export default router;
@@ -3,15 +3,49 @@
  */
 import express from 'express';
 import { getOperators } from '../services/postgres/operatorRepository.js';
-import { authenticateToken } from '../middleware/authMiddleware.mjs';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import { createDocumentUpload, sendStoredFile } from '../middleware/documentUpload.mjs';
+import pool from '../lib/dbConnection.js';
+import { parseBookingDate } from '../services/jobBookingService.js';
+import {
+  createCertificationType,
+  createOperatorCertification,
+  deleteOperatorCertification,
+  findCertificationGaps,
+  getCertificationEnforcement,
+  getCertificationFile,
+  getCertificationType,
+  getOperatorCertification,
+  listCertificationTypes,
+  listOperatorCertifications,
+  updateCertificationType,
+  updateOperatorCertification,
+  validateCertification,
+  validateCertificationType
+} from '../services/operatorCertificationService.js';
 
 const router = express.Router();
 
+const CERTIFICATION_WRITE_ROLES = ['admin', 'operations_manager'];
+
+const { uploadFile, storedFile, removeFile } = createDocumentUpload('uploads/operator-certifications');
+
 const getErrorMessage = (error) => {
   if (error instanceof Error) return error.message;
   return String(error);
 };
 
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const certificationFields = (body) => ({
+  certificationTypeId: body.certificationTypeId,
+  certificateNumber: body.certificateNumber !== undefined ? String(body.certificateNumber).trim() : undefined,
+  issuingBody: body.issuingBody !== undefined ? String(body.issuingBody).trim() : undefined,
+  issueDate: body.issueDate,
+  expiryDate: body.expiryDate,
+  notes: body.notes
+});
+
 // Get all operators
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -22,4 +56,169 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Certification types and the crane categories/capacities they qualify for
+router.get('/certification-types', authenticateToken, async (req, res) => {
+  try {
+    const types = await listCertificationTypes(pool, { activeOnly: req.query.includeInactive !== 'true' });
+    res.json(types);
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Body: { name, issuingBody?, description?, equipmentCategories[], maxCapacityTons?, validityMonths? }
+router.post('/certification-types', authenticateToken, authorizeRoles(['admin']), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateCertificationType(body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const type = await createCertificationType(pool, body);
+    res.status(201).json(type);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A certification type with this name already exists' });
+    }
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+router.put('/certification-types/:typeId', authenticateToken, authorizeRoles(['admin']), async (req, res) => {
+  try {
+    const existing = await getCertificationType(pool, req.params.typeId);
+    if (!existing) return res.status(404).json({ error: 'Certification type not found' });
+
+    const body = req.body || {};
+    const validationError = validateCertificationType({ ...existing, ...body });
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const type = await updateCertificationType(pool, existing.id, {
+      name: body.name !== undefined ? String(body.name).trim() : undefined,
+      issuingBody: body.issuingBody,
+      description: body.description,
+      equipmentCategories: body.equipmentCategories,
+      maxCapacityTons: body.maxCapacityTons,
+      validityMonths: body.validityMonths,
+      isActive: body.isActive !== undefined ? Boolean(body.isActive) : undefined
+    });
+    res.json(type);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A certification type with this name already exists' });
+    }
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Operators without a valid certification for the given cranes until `end`
+// Query: operatorIds=a,b&equipmentIds=c,d&end=
+router.get('/certification-gaps', authenticateToken, async (req, res) => {
+  try {
+    const end = parseBookingDate(req.query.end);
+    if (!end) return res.status(400).json({ error: 'end must be a valid date' });
+
+    const [enforcement, gaps] = await Promise.all([
+      getCertificationEnforcement(),
+      findCertificationGaps(pool, {
+        operatorIds: listParam(req.query.operatorIds),
+        equipmentIds: listParam(req.query.equipmentIds),
+        end
+      })
+    ]);
+    res.json({ enforcement, gaps });
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Certifications of every operator, or of one with ?operatorId=
+router.get('/certifications', authenticateToken, async (req, res) => {
+  try {
+    const certifications = await listOperatorCertifications(pool, { operatorId: req.query.operatorId || null });
+    res.json(certifications);
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Multipart body: certificationTypeId, certificateNumber?, issuingBody?, issueDate?, expiryDate?, notes?, file?
+router.post('/:id/certifications', authenticateToken, authorizeRoles(CERTIFICATION_WRITE_ROLES), uploadFile, async (req, res) => {
+  const file = storedFile(req.file);
+  try {
+    const fields = certificationFields(req.body || {});
+    const validationError = validateCertification(fields);
+    if (validationError) {
+      removeFile(file?.path);
+      return res.status(400).json({ error: validationError });
+    }
+
+    const [operator, type] = await Promise.all([
+      pool.query('SELECT 1 FROM operators WHERE id = $1', [req.params.id]),
+      getCertificationType(pool, fields.certificationTypeId)
+    ]);
+    if (operator.rows.length === 0 || !type) {
+      removeFile(file?.path);
+      return res.status(404).json({ error: operator.rows.length === 0 ? 'Operator not found' : 'Certification type not found' });
+    }
+
+    const certification = await createOperatorCertification(pool, req.params.id, fields, { file, user: req.user });
+    res.status(201).json(certification);
+  } catch (error) {
+    removeFile(file?.path);
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Change a certification's details; a new `file` replaces the stored scan
+router.put('/certifications/:certificationId', authenticateToken, authorizeRoles(CERTIFICATION_WRITE_ROLES), uploadFile, async (req, res) => {
+  const file = storedFile(req.file);
+  try {
+    const existing = await getOperatorCertification(pool, req.params.certificationId);
+    if (!existing) {
+      removeFile(file?.path);
+      return res.status(404).json({ error: 'Certification not found' });
+    }
+
+    const changes = certificationFields(req.body || {});
+    const validationError = validateCertification({
+      issueDate: changes.issueDate !== undefined ? changes.issueDate : existing.issueDate,
+      expiryDate: changes.expiryDate !== undefined ? changes.expiryDate : existing.expiryDate
+    }, { partial: true });
+    if (validationError) {
+      removeFile(file?.path);
+      return res.status(400).json({ error: validationError });
+    }
+
+    const previousFile = file ? (await getCertificationFile(pool, existing.id))?.filePath : null;
+    const certification = await updateOperatorCertification(pool, existing.id, changes, { file });
+    if (previousFile) removeFile(previousFile);
+    res.json(certification);
+  } catch (error) {
+    removeFile(file?.path);
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+router.delete('/certifications/:certificationId', authenticateToken, authorizeRoles(CERTIFICATION_WRITE_ROLES), async (req, res) => {
+  try {
+    const deleted = await deleteOperatorCertification(pool, req.params.certificationId);
+    if (!deleted) return res.status(404).json({ error: 'Certification not found' });
+    removeFile(deleted.filePath);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
+// Download the scanned copy of a certification
+router.get('/certifications/:certificationId/file', authenticateToken, async (req, res) => {
+  try {
+    const file = await getCertificationFile(pool, req.params.certificationId);
+    if (!file) return res.status(404).json({ error: 'Certification not found' });
+    return sendStoredFile(res, file);
+  } catch (error) {
+    res.status(500).json({ error: getErrorMessage(error) });
+  }
+});
+
 export default router;
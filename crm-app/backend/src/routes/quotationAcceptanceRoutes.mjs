@@ -0,0 +1,190 @@
+/**
+ * Quotation Acceptance Routes
+ * Public (token-authenticated) customer portal for accepting or rejecting a quotation
+ */
+
+import express from 'express';
+import pool from '../lib/dbConnection.js';
+import { renderQuotationPreviewHTML } from './quotationPreviewRoutes.mjs';
+import {
+  notifyCustomerResponse,
+  recordAcceptance,
+  resolveAcceptanceLink,
+  validateAcceptanceResponse
+} from '../services/quotationAcceptanceService.js';
+import { formatRevisionLabel } from '../services/quotationRevisionService.js';
+
+const router = express.Router();
+
+// Messages for links that can no longer be used
+const CLOSED_LINK_MESSAGES = {
+  not_found: 'This quotation link is invalid',
+  expired: 'This quotation has expired. Please contact us for an updated quotation.',
+  revoked: 'This quotation link has been replaced by a newer one',
+  superseded: 'This quotation has been updated. Please use the latest link you received.'
+};
+
+const mapPublicAcceptance = (acceptance) => acceptance && ({
+  decision: acceptance.decision,
+  signerName: acceptance.signerName,
+  signedAt: acceptance.signedAt
+});
+
+/**
+ * GET /api/public/quotations/:token
+ * Quotation summary and link state for the acceptance portal
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const { state, link, quotation, acceptance } = await resolveAcceptanceLink(pool, req.params.token);
+    if (state === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: CLOSED_LINK_MESSAGES.not_found
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        state,
+        message: CLOSED_LINK_MESSAGES[state] || null,
+        quotation: {
+          quotationNumber: quotation.quotation_number,
+          customerName: quotation.customer_name,
+          totalCost: Number(quotation.total_cost) || 0,
+          validUntil: quotation.valid_until,
+          revision: formatRevisionLabel(link.revisionNumber)
+        },
+        acceptance: mapPublicAcceptance(acceptance) || null
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving quotation acceptance link:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/public/quotations/:token/preview
+ * HTML preview of the quotation revision the link was issued for
+ */
+router.get('/:token/preview', async (req, res) => {
+  try {
+    const { state, link, quotation } = await resolveAcceptanceLink(pool, req.params.token);
+    if (state !== 'open' && state !== 'responded') {
+      return res.status(state === 'not_found' ? 404 : 410).send(`
+        <div style="padding: 40px; text-align: center; font-family: Arial, sans-serif;">
+          <h2 style="color: #dc2626;">Quotation Unavailable</h2>
+          <p>${CLOSED_LINK_MESSAGES[state]}</p>
+        </div>
+      `);
+    }
+
+    const html = await renderQuotationPreviewHTML(quotation.id, { revisionNumber: link.revisionNumber });
+    if (!html) {
+      return res.status(404).send(`
+        <div style="padding: 40px; text-align: center; font-family: Arial, sans-serif;">
+          <h2 style="color: #dc2626;">Quotation Not Found</h2>
+        </div>
+      `);
+    }
+
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    res.setHeader('Content-Security-Policy', "frame-ancestors 'self'");
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(html);
+  } catch (error) {
+    console.error('Error rendering public quotation preview:', error);
+    res.status(500).send(`
+      <div style="padding: 40px; text-align: center; font-family: Arial, sans-serif;">
+        <h2 style="color: #dc2626;">Preview Error</h2>
+        <p>Failed to generate quotation preview.</p>
+      </div>
+    `);
+  }
+});
+
+/**
+ * POST /api/public/quotations/:token/respond
+ * Accept or reject the quotation.
+ * Body: { decision: 'accepted' | 'rejected', signerName, signerEmail?, signatureType: 'typed' | 'drawn', signatureData, comment? }
+ */
+router.post('/:token/respond', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateAcceptanceResponse(body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // The signature, quotation status, deal stage and audit entry are written together
+    const client = await pool.connect();
+    let resolved;
+    let result;
+    try {
+      await client.query('BEGIN');
+      resolved = await resolveAcceptanceLink(client, req.params.token);
+      if (resolved.state !== 'open') {
+        await client.query('ROLLBACK');
+        if (resolved.state === 'responded') {
+          return res.status(409).json({
+            success: false,
+            message: `This quotation has already been ${resolved.acceptance?.decision || 'answered'}`
+          });
+        }
+        return res.status(resolved.state === 'not_found' ? 404 : 410).json({
+          success: false,
+          message: CLOSED_LINK_MESSAGES[resolved.state]
+        });
+      }
+
+      result = await recordAcceptance(client, resolved, {
+        decision: body.decision,
+        signerName: body.signerName,
+        signerEmail: body.signerEmail || null,
+        signatureType: body.signatureType,
+        signatureData: body.signatureData,
+        comment: body.comment || null,
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null
+      });
+      if (!result) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'This quotation is no longer awaiting a response'
+        });
+      }
+      await client.query('COMMIT');
+    } catch (respondError) {
+      await client.query('ROLLBACK');
+      throw respondError;
+    } finally {
+      client.release();
+    }
+
+    await notifyCustomerResponse(resolved.quotation, result.acceptance);
+
+    return res.status(200).json({
+      success: true,
+      message: `Quotation ${result.acceptance.decision}`,
+      data: mapPublicAcceptance(result.acceptance)
+    });
+  } catch (error) {
+    console.error('Error recording quotation acceptance:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -7,6 +7,10 @@ import express from 'express';
 import { authenticateToken, optionalAuth } from '../middleware/authMiddleware.mjs';
 import pool from '../lib/dbConnection.js';
 import { EnhancedTemplateBuilder } from '../services/EnhancedTemplateBuilder.mjs';
+import { applyRevisionSnapshot, getQuotationRevision, parseRevisionNumber } from '../services/quotationRevisionService.js';
+import { buildTemplateTax } from '../services/gstService.js';
+import { GST_RATE } from '../services/quotationPricingService.js';
+import { formatValidUntil } from '../services/quotationValidityService.js';
 
 const router = express.Router();
 
@@ -37,7 +41,7 @@ function generateQuotationNumber(quotationId) {
 router.get('/:id/preview', async (req, res) => {
   try {
     const { id: quotationId } = req.params;
-    const { templateId, format = 'html' } = req.query;
+    const { templateId, format = 'html', revision } = req.query;
     
     console.log('👁️ [Preview] Generating preview for quotation:', quotationId);
     console.log('👁️ [Preview] Template ID:', templateId || 'default');
@@ -49,8 +53,8 @@ router.get('/:id/preview', async (req, res) => {
       });
     }
 
-    // Step 1: Get quotation data
-    const quotationData = await getQuotationWithDetails(quotationId);
+    // Step 1: Get quotation data (optionally a specific revision, e.g. ?revision=R2)
+    const quotationData = await getQuotationWithDetails(quotationId, parseRevisionNumber(revision));
     if (!quotationData) {
       return res.status(404).json({
         success: false,
@@ -144,7 +148,7 @@ router.get('/:id/preview', async (req, res) => {
           activeTemplateId: template.id,
             quotation: quotationData,
             totals: previewData.totals || {},
-            tax: previewData.tax || { rate: previewData?.quotation?.taxRate || 18 }
+            tax: previewData.tax || { rate: previewData?.quotation?.taxRate ?? GST_RATE }
         }
       });
     }
@@ -171,7 +175,7 @@ router.get('/:id/preview', async (req, res) => {
 router.get('/:id/preview/iframe', async (req, res) => {
   try {
     const { id: quotationId } = req.params;
-    const { templateId } = req.query;
+    const { templateId, revision } = req.query;
     
     // Minimal headers for iframe embedding - avoid browser security warnings
     res.setHeader('X-Frame-Options', 'SAMEORIGIN');
@@ -180,7 +184,7 @@ router.get('/:id/preview/iframe', async (req, res) => {
     console.log('🖼️ [Preview] Generating iframe preview for quotation:', quotationId);
     console.log('🖼️ [Preview] Bypassing auth for iframe request');
     
-    const quotationData = await getQuotationWithDetails(quotationId);
+    const quotationData = await getQuotationWithDetails(quotationId, parseRevisionNumber(revision));
     if (!quotationData) {
       return res.status(404).send(`
         <div style="padding: 40px; text-align: center; font-family: Arial, sans-serif;">
@@ -318,7 +322,7 @@ router.get('/:id/preview/iframe', async (req, res) => {
 /**
  * Helper function to get company information from database
  */
-async function getCompanyInformation() {
+export async function getCompanyInformation() {
   try {
     const client = await pool.connect();
     try {
@@ -372,8 +376,9 @@ async function getCompanyInformation() {
 
 /**
  * Helper function to get quotation with details from database
+ * When revisionNumber is given the stored revision snapshot is rendered instead
  */
-async function getQuotationWithDetails(quotationId) {
+async function getQuotationWithDetails(quotationId, revisionNumber = null) {
   try {
     console.log('🔍 [Helper] Fetching quotation:', quotationId);
     
@@ -395,6 +400,16 @@ async function getQuotationWithDetails(quotationId) {
         q.usage_load_factor,
         q.risk_adjustment,
         q.gst_amount,
+        q.supply_type,
+        q.place_of_supply,
+        q.place_of_supply_code,
+        q.customer_gstin,
+        q.cgst_rate,
+        q.cgst_amount,
+        q.sgst_rate,
+        q.sgst_amount,
+        q.igst_rate,
+        q.igst_amount,
         q.status,
         q.notes,
         q.site_distance,
@@ -407,6 +422,7 @@ async function getQuotationWithDetails(quotationId) {
         q.helper_amount,
         q.created_at,
         q.updated_at,
+        q.valid_until,
         c.name as customer_db_name,
         c.email as customer_email,
         c.phone as customer_phone,
@@ -423,7 +439,7 @@ async function getQuotationWithDetails(quotationId) {
       return null;
     }
 
-    const row = result.rows[0];
+    let row = result.rows[0];
     
     // Get quotation machines/items
     const itemsQuery = `
@@ -442,6 +458,16 @@ async function getQuotationWithDetails(quotationId) {
     `;
     
     const itemsResult = await pool.query(itemsQuery, [quotationId]);
+
+    if (revisionNumber) {
+      const revision = await getQuotationRevision(pool, quotationId, revisionNumber);
+      if (!revision) {
+        return null;
+      }
+      const snapshot = applyRevisionSnapshot(row, revision);
+      row = snapshot.row;
+      itemsResult.rows = snapshot.items;
+    }
     
     // Parse customer contact JSON
     let customerContact = {};
@@ -473,6 +499,16 @@ async function getQuotationWithDetails(quotationId) {
       rigger_amount: row.rigger_amount,
       helper_amount: row.helper_amount,
       gst_amount: row.gst_amount,
+      supply_type: row.supply_type,
+      place_of_supply: row.place_of_supply,
+      place_of_supply_code: row.place_of_supply_code,
+      customer_gstin: row.customer_gstin,
+      cgst_rate: row.cgst_rate,
+      cgst_amount: row.cgst_amount,
+      sgst_rate: row.sgst_rate,
+      sgst_amount: row.sgst_amount,
+      igst_rate: row.igst_rate,
+      igst_amount: row.igst_amount,
       site_distance: row.site_distance,
       usage: row.usage,
       risk_factor: row.risk_factor,
@@ -481,6 +517,7 @@ async function getQuotationWithDetails(quotationId) {
       accom_resources: row.accom_resources,
       created_at: row.created_at,
       updated_at: row.updated_at,
+      valid_until: row.valid_until,
       
       // Customer information (prioritize customer_contact JSON, fall back to joined data)
       customer: {
@@ -488,7 +525,8 @@ async function getQuotationWithDetails(quotationId) {
         email: customerContact.email || row.customer_email || '',
         phone: customerContact.phone || row.customer_phone || '',
         address: customerContact.address || row.customer_address || '',
-        company: customerContact.company || row.customer_company || ''
+        company: customerContact.company || row.customer_company || '',
+        gstin: row.customer_gstin || ''
       },
       
       // Items from quotation_machines
@@ -709,7 +747,7 @@ function generateLetterheadCSS(letterhead) {
  * Map quotation data to template format
  */
 function mapQuotationToTemplateData(quotationData) {
-  const gstRate = 18; // could be dynamic later
+  const tax = buildTemplateTax(quotationData, formatCurrency);
   // Ensure numbers
   const numberOrZero = v => (typeof v === 'number' && !isNaN(v)) ? v : (parseFloat(v) || 0);
   // Existing risk logic retained (shortened)
@@ -760,15 +798,19 @@ function mapQuotationToTemplateData(quotationData) {
       date: quotationData.created_at ? new Date(quotationData.created_at).toLocaleDateString('en-IN') : new Date().toLocaleDateString('en-IN'),
       machineType: quotationData.machine_type,
       duration: `${durationDays} days`,
-      validUntil: quotationData.valid_until || new Date(Date.now() + 15*24*60*60*1000).toLocaleDateString('en-IN'),
+      validUntil: formatValidUntil(quotationData.valid_until) || new Date(Date.now() + 15*24*60*60*1000).toLocaleDateString('en-IN'),
       paymentTerms: '50% advance, balance on completion',
-      taxRate: gstRate
+      taxRate: tax.rate,
+      placeOfSupply: tax.placeOfSupply
     },
-    tax: { rate: gstRate },
+    tax,
     items,
     totals: {
       subtotal: formatCurrency(quotationData.total_rent || 0),
       tax: formatCurrency(quotationData.gst_amount || 0),
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
       total: formatCurrency(quotationData.total_cost || 0),
       workingCost: formatCurrency(quotationData.working_cost || 0),
       mobDemobCost: formatCurrency(quotationData.mob_demob_cost || 0),
@@ -792,4 +834,17 @@ function formatCurrency(amount) {
   }).format(amount || 0);
 }
 
+/**
+ * Render the default-template preview HTML for a quotation (or one of its revisions).
+ * Used outside this router, e.g. by the public acceptance portal. Returns null if not found.
+ */
+export async function renderQuotationPreviewHTML(quotationId, { revisionNumber = null } = {}) {
+  const quotationData = await getQuotationWithDetails(quotationId, revisionNumber);
+  if (!quotationData) return null;
+
+  const templateBuilder = new EnhancedTemplateBuilder();
+  await getDefaultTemplate(templateBuilder);
+  return templateBuilder.generatePreviewHTML(mapQuotationToTemplateData(quotationData));
+}
+
 export default router;
\ No newline at end of file
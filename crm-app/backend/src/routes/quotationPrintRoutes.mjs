@@ -7,6 +7,24 @@ import pool from '../lib/dbConnection.js';
 import { templateService } from '../services/TemplateService.mjs';
 import { htmlGeneratorService } from '../services/HtmlGeneratorService.mjs';
 import { pdfService } from '../services/PdfService.mjs';
+import { applyRevisionSnapshot, createQuotationRevision, getQuotationRevision, parseRevisionNumber } from '../services/quotationRevisionService.js';
+import { formatValidUntil, startValidityPeriod } from '../services/quotationValidityService.js';
+import { resolveSendStatus } from '../services/quotationApprovalService.js';
+import { mergePricingInputs } from '../services/quotationPricingService.js';
+import { buildTemplateTax, getTaxBreakdown } from '../services/gstService.js';
+import {
+  createEmailRecord,
+  formatSenderAddress,
+  getSenderAddress,
+  isEmailConfigured,
+  markEmailFailed,
+  markEmailSent,
+  parseAddressList,
+  recordEmailBounce,
+  sendMail
+} from '../services/quotationEmailService.js';
+import { getQuotationAcceptance } from '../services/quotationAcceptanceService.js';
+import { AdvancedPDFGenerator } from '../services/AdvancedPDFGenerator.mjs';
 
 const router = express.Router();
 
@@ -35,6 +53,54 @@ async function getDefaultTemplateConfig() {
   }
 }
 
+const QUOTATION_PDF_OPTIONS = {
+  format: 'A4',
+  quality: 'HIGH',
+  margins: { top: '15mm', right: '15mm', bottom: '15mm', left: '15mm' }
+};
+
+/**
+ * Customer acceptance to stamp on a quotation PDF: the accepted signature for
+ * the requested revision (or the current version), if the customer signed it
+ */
+async function getAcceptedSignature(quotationId, revisionNumber = null) {
+  try {
+    const versionResult = await pool.query('SELECT version FROM quotations WHERE id = $1', [quotationId]);
+    if (versionResult.rows.length === 0) return null;
+    const revision = revisionNumber || Number(versionResult.rows[0].version) || 1;
+    const acceptance = await getQuotationAcceptance(pool, quotationId, revision);
+    return acceptance && acceptance.decision === 'accepted' ? acceptance : null;
+  } catch (error) {
+    console.warn('Could not load quotation acceptance:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Generate the quotation PDF, stamping the customer signature block when the
+ * quotation has been accepted. Returns { fallback, data, html } where `html`
+ * is the (signed) HTML to serve when PDF generation is unavailable.
+ */
+async function generateQuotationPDF(html, signature) {
+  if (!signature) {
+    const pdfResult = await pdfService.generateFromHTML(html, QUOTATION_PDF_OPTIONS);
+    return { ...pdfResult, html };
+  }
+
+  console.log('✍️ [PDF Route] Stamping customer signature from acceptance:', signature.id);
+  const pdfGenerator = new AdvancedPDFGenerator();
+  try {
+    const signedHTML = pdfGenerator.addSignatureToHTML(html, signature);
+    const pdfResult = await pdfGenerator.generatePDF(signedHTML, QUOTATION_PDF_OPTIONS);
+    if (Buffer.isBuffer(pdfResult)) {
+      return { fallback: false, data: pdfResult, html: signedHTML };
+    }
+    return { ...pdfResult, html: signedHTML };
+  } finally {
+    await pdfGenerator.cleanup();
+  }
+}
+
 /**
  * Health check endpoint for print services
  */
@@ -67,11 +133,13 @@ router.get('/ping', (req, res) => {
 
 /**
  * POST /api/quotations/print/pdf - Generate PDF for download
+ * Pass `revision` (e.g. 2 or "R2") to render a specific revision
  */
 router.post('/pdf', optionalAuth, async (req, res) => {
   try {
     const { quotationId, templateId } = req.body;
-    console.log('📄 [PDF Route] Generating PDF for quotation:', quotationId, 'with template:', templateId);
+    const revisionNumber = parseRevisionNumber(req.body.revision);
+    console.log('📄 [PDF Route] Generating PDF for quotation:', quotationId, 'with template:', templateId, 'revision:', revisionNumber || 'current');
     
     if (!quotationId) {
       return res.status(400).json({ success: false, error: 'Quotation ID is required' });
@@ -92,6 +160,9 @@ router.post('/pdf', optionalAuth, async (req, res) => {
     } else {
       console.log('🎨 [PDF Route] Using default template (no templateId parameter)');
     }
+    if (revisionNumber) {
+      params.set('revision', String(revisionNumber));
+    }
     
     const previewUrl = params.toString() ? `${base}?${params.toString()}` : base;
     console.log('🔗 [PDF Route] Preview URL:', previewUrl);
@@ -108,11 +179,7 @@ router.post('/pdf', optionalAuth, async (req, res) => {
       console.log('✅ [PDF Route] Got HTML from preview system, length:', html.length);
       
       // Generate PDF with proper error handling
-      const pdfResult = await pdfService.generateFromHTML(html, { 
-        format: 'A4',
-        quality: 'HIGH',
-        margins: { top: '15mm', right: '15mm', bottom: '15mm', left: '15mm' }
-      });
+      const pdfResult = await generateQuotationPDF(html, await getAcceptedSignature(quotationId, revisionNumber));
 
       // Handle PDF result based on whether Puppeteer is available
       if (pdfResult.fallback) {
@@ -121,7 +188,7 @@ router.post('/pdf', optionalAuth, async (req, res) => {
         // Return HTML that can be printed or converted to PDF on frontend
         res.setHeader('Content-Type', 'text/html');
         res.setHeader('Content-Disposition', `inline; filename=quotation_${quotationId}.html`);
-        return res.send(html);
+        return res.send(pdfResult.html);
       } else {
         // Return proper PDF
         const buffer = Buffer.isBuffer(pdfResult.data) ? pdfResult.data : Buffer.from(pdfResult.data, 'base64');
@@ -134,7 +201,7 @@ router.post('/pdf', optionalAuth, async (req, res) => {
       console.error('❌ [PDF Route] Preview fetch failed:', fetchError);
       
       // Fallback: Load data and generate directly using same system as preview
-      const quotationData = await getQuotationWithDetailsPreviewFormat(quotationId);
+      const quotationData = await getQuotationWithDetailsPreviewFormat(quotationId, revisionNumber);
       if (!quotationData) {
         return res.status(404).json({ success: false, error: 'Quotation not found' });
       }
@@ -157,16 +224,12 @@ router.post('/pdf', optionalAuth, async (req, res) => {
       const html = templateBuilder.generatePreviewHTML(previewData);
       
       // Generate PDF
-      const pdfResult = await pdfService.generateFromHTML(html, { 
-        format: 'A4',
-        quality: 'HIGH',
-        margins: { top: '15mm', right: '15mm', bottom: '15mm', left: '15mm' }
-      });
+      const pdfResult = await generateQuotationPDF(html, await getAcceptedSignature(quotationId, revisionNumber));
 
       if (pdfResult.fallback) {
         res.setHeader('Content-Type', 'text/html');
         res.setHeader('Content-Disposition', `inline; filename=quotation_${quotationId}.html`);
-        return res.send(html);
+        return res.send(pdfResult.html);
       } else {
         const buffer = Buffer.isBuffer(pdfResult.data) ? pdfResult.data : Buffer.from(pdfResult.data, 'base64');
         res.setHeader('Content-Type', 'application/pdf');
@@ -186,40 +249,205 @@ router.post('/pdf', optionalAuth, async (req, res) => {
 });
 
 /**
- * POST /api/quotations/print/email-pdf - Generate PDF and send via email
- * NOTE: This is a stub - integrate real mailer later
+ * POST /api/quotations/print/email-pdf - Generate PDF and send it to the customer over SMTP
+ * Body: { quotationId, emailTo, cc?, bcc?, subject?, message?, templateId?, revision? }
+ * Addresses may be arrays or comma-separated strings. Every attempt is stored in
+ * the quotation's email history; a draft quotation moves to 'sent' once delivered.
  */
-router.post('/email-pdf', optionalAuth, async (req, res) => {
+router.post('/email-pdf', authenticateToken, async (req, res) => {
   try {
-    const { quotationId, templateId, emailTo, subject, message } = req.body;
-    if (!quotationId || !emailTo) {
+    const { quotationId, templateId, subject, message } = req.body;
+    if (!quotationId || !req.body.emailTo) {
       return res.status(400).json({ success: false, error: 'quotationId and emailTo are required' });
     }
 
+    const to = parseAddressList(req.body.emailTo);
+    const cc = parseAddressList(req.body.cc);
+    const bcc = parseAddressList(req.body.bcc);
+    const invalid = [...to.invalid, ...cc.invalid, ...bcc.invalid];
+    if (invalid.length > 0 || to.valid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: invalid.length > 0 ? `Invalid email address(es): ${invalid.join(', ')}` : 'At least one recipient is required'
+      });
+    }
+
+    if (!isEmailConfigured()) {
+      return res.status(503).json({ success: false, error: 'Email delivery is not configured (SMTP_HOST is not set)' });
+    }
+
+    const existingResult = await pool.query('SELECT * FROM quotations WHERE id = $1', [quotationId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Quotation not found' });
+    }
+    const existing = existingResult.rows[0];
+
+    if (existing.status === 'pending_approval') {
+      return res.status(409).json({ success: false, error: 'This quotation is waiting for discount approval' });
+    }
+    if (existing.status === 'expired') {
+      return res.status(409).json({ success: false, error: 'This quotation has expired; extend its validity before sending it' });
+    }
+
+    // Emailing a draft sends it, so it goes through the discount approval check first
+    if (existing.status === 'draft') {
+      const machineRows = await pool.query('SELECT equipment_id, quantity FROM quotation_machines WHERE quotation_id = $1', [quotationId]);
+      const gate = await resolveSendStatus(pool, {
+        quotationId,
+        version: existing.version,
+        inputs: mergePricingInputs(existing, machineRows.rows),
+        user: req.user
+      });
+      if (gate.status !== 'sent') {
+        return res.status(409).json({
+          success: false,
+          error: 'Discount exceeds your approval limit; send the quotation for approval before emailing it',
+          discount: gate.evaluation
+        });
+      }
+    }
+
     // Load data and generate PDF (same as /pdf)
-    const quotationData = await getQuotationWithDetails(quotationId);
+    const revisionNumber = parseRevisionNumber(req.body.revision);
+    const quotationData = await getQuotationWithDetails(quotationId, revisionNumber);
+    if (!quotationData) {
+      return res.status(404).json({ success: false, error: 'Quotation not found' });
+    }
     const template = templateId 
       ? await templateService.getTemplateById(templateId)
       : await templateService.getDefaultTemplate();
     const html = await htmlGeneratorService.generateBasicHTML(template, quotationData);
-    const pdf = await pdfService.generateFromHTML(html, { format: 'A4' });
+    const pdf = await generateQuotationPDF(html, await getAcceptedSignature(quotationId, revisionNumber));
+
+    const documentName = `quotation_${existing.quotation_number || quotationId}`;
+    const attachment = pdf.fallback
+      ? { filename: `${documentName}.html`, content: pdf.html, contentType: 'text/html' }
+      : { filename: `${documentName}.pdf`, content: Buffer.isBuffer(pdf.data) ? pdf.data : Buffer.from(pdf.data, 'base64'), contentType: 'application/pdf' };
+
+    const sender = await getSenderAddress(pool);
+    const emailSubject = (subject && subject.trim()) || `Quotation ${existing.quotation_number || quotationId} - ${sender.name}`;
+    const emailText = (message && message.trim())
+      || `Dear ${existing.customer_name || 'Customer'},\n\nPlease find attached our quotation ${existing.quotation_number || ''}.\n\nRegards,\n${sender.name}`;
+    const emailHtml = emailText
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\n/g, '<br>');
+
+    const email = await createEmailRecord(pool, {
+      quotationId,
+      revisionNumber: revisionNumber || existing.version,
+      from: formatSenderAddress(sender),
+      to: to.valid,
+      cc: cc.valid,
+      bcc: bcc.valid,
+      subject: emailSubject,
+      message: emailText,
+      attachmentName: attachment.filename,
+      user: req.user
+    });
+
+    let delivered;
+    try {
+      const info = await sendMail({
+        from: { name: sender.name, address: sender.address },
+        to: to.valid,
+        cc: cc.valid,
+        bcc: bcc.valid,
+        subject: emailSubject,
+        text: emailText,
+        html: emailHtml,
+        attachments: [attachment]
+      });
+      delivered = await markEmailSent(pool, email.id, info);
+    } catch (sendError) {
+      console.error('❌ [PrintRoutes] SMTP delivery failed:', sendError.message);
+      delivered = await markEmailFailed(pool, email.id, sendError);
+    }
+
+    if (delivered.status !== 'sent') {
+      return res.status(502).json({
+        success: false,
+        error: delivered.status === 'bounced' ? 'All recipients were rejected by the mail server' : 'Failed to send email',
+        data: { email: delivered }
+      });
+    }
+    console.log('📧 [PrintRoutes] Quotation emailed:', { quotationId, messageId: delivered.messageId, to: to.valid });
 
-    // TODO: Send email with attachment using nodemailer (stubbed)
-    console.log('📧 [PrintRoutes] Email stub:', { to: emailTo, subject, attachmentSize: pdf.size });
+    // A delivered draft is now with the customer
+    let status = existing.status;
+    if (existing.status === 'draft') {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const updated = await client.query(`
+          UPDATE quotations SET status = 'sent', updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = 'draft'
+          RETURNING status
+        `, [quotationId]);
+        if (updated.rows.length > 0) {
+          await startValidityPeriod(client, quotationId);
+          await createQuotationRevision(client, quotationId, { createdBy: req.user?.id || null, reason: 'Emailed to customer' });
+          status = 'sent';
+        }
+        await client.query('COMMIT');
+      } catch (transitionError) {
+        await client.query('ROLLBACK');
+        throw transitionError;
+      } finally {
+        client.release();
+      }
+    }
 
-    return res.json({ success: true, message: 'Email sent (stub)' });
+    return res.json({
+      success: true,
+      message: `Email sent to ${to.valid.join(', ')}`,
+      data: { email: delivered, status }
+    });
   } catch (error) {
     console.error('❌ [PrintRoutes] Email PDF failed:', error);
     return res.status(500).json({ success: false, error: 'Failed to email PDF' });
   }
 });
 
+/**
+ * POST /api/quotations/print/email-bounces - Record a bounce reported after delivery
+ * Body: { messageId, recipient?, reason? }. Authenticated with the x-webhook-secret
+ * header (EMAIL_WEBHOOK_SECRET); disabled when the secret is not configured.
+ */
+router.post('/email-bounces', async (req, res) => {
+  try {
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    if (!secret || req.headers['x-webhook-secret'] !== secret) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { messageId, recipient, reason } = req.body || {};
+    if (!messageId) {
+      return res.status(400).json({ success: false, error: 'messageId is required' });
+    }
+
+    const email = await recordEmailBounce(pool, { messageId, recipient, reason });
+    if (!email) {
+      return res.status(404).json({ success: false, error: 'No email found for this message id' });
+    }
+
+    console.log('📭 [PrintRoutes] Bounce recorded for quotation email:', email.id);
+    return res.json({ success: true, data: email });
+  } catch (error) {
+    console.error('❌ [PrintRoutes] Recording bounce failed:', error);
+    return res.status(500).json({ success: false, error: 'Failed to record bounce' });
+  }
+});
+
 /**
  * POST /api/quotations/print - Main print endpoint
+ * Pass `revision` to print a specific revision
  */
 router.post('/print', optionalAuth, async (req, res) => {
   try {
     const { quotationId, templateId, format = 'html' } = req.body;
+    const revisionNumber = parseRevisionNumber(req.body.revision);
     
     console.log('🖨️ [PrintRoutes] Print request:', {
       quotationId,
@@ -237,7 +465,7 @@ router.post('/print', optionalAuth, async (req, res) => {
     }
 
     // Step 1: Get quotation data
-    const quotationData = await getQuotationWithDetails(quotationId);
+    const quotationData = await getQuotationWithDetails(quotationId, revisionNumber);
     if (!quotationData) {
       return res.status(404).json({
         success: false,
@@ -296,7 +524,7 @@ function generateSimpleQuotationHTML(quotationData) {
     quotation: {
       number: quotationData.quotation_number || quotationData.id,
       date: new Date(quotationData.created_at).toLocaleDateString('en-IN'),
-      validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString('en-IN')
+      validUntil: formatValidUntil(quotationData.valid_until) || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString('en-IN')
     },
     items: quotationData.items?.length > 0 ? quotationData.items.map((item, index) => ({
       no: index + 1,
@@ -683,7 +911,7 @@ function createDefaultQuotationTemplate(templateBuilder) {
 
 // Map quotation data to template format (same as preview)
 function mapQuotationToTemplateData(quotationData) {
-  const gstRate = 18;
+  const tax = buildTemplateTax(quotationData, formatCurrency);
   const numberOrZero = v => (typeof v === 'number' && !isNaN(v)) ? v : (parseFloat(v) || 0);
   
   let riskAdjustmentCalculated = numberOrZero(quotationData.risk_adjustment);
@@ -731,15 +959,19 @@ function mapQuotationToTemplateData(quotationData) {
       date: quotationData.created_at ? new Date(quotationData.created_at).toLocaleDateString('en-IN') : new Date().toLocaleDateString('en-IN'),
       machineType: quotationData.machine_type,
       duration: `${durationDays} days`,
-      validUntil: quotationData.valid_until || new Date(Date.now() + 15*24*60*60*1000).toLocaleDateString('en-IN'),
+      validUntil: formatValidUntil(quotationData.valid_until) || new Date(Date.now() + 15*24*60*60*1000).toLocaleDateString('en-IN'),
       paymentTerms: '50% advance, balance on completion',
-      taxRate: gstRate
+      taxRate: tax.rate,
+      placeOfSupply: tax.placeOfSupply
     },
-    tax: { rate: gstRate },
+    tax,
     items,
     totals: {
       subtotal: formatCurrency(quotationData.total_rent || 0), // Use total_rent for subtotal
       tax: formatCurrency(quotationData.gst_amount || 0),
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
       total: formatCurrency(quotationData.total_cost || 0),
       workingCost: formatCurrency(quotationData.working_cost || 0),
       mobDemobCost: formatCurrency(quotationData.mob_demob_cost || 0),
@@ -762,7 +994,7 @@ function formatCurrency(amount) {
 }
 
 // Get quotation with details in preview format
-async function getQuotationWithDetailsPreviewFormat(quotationId) {
+async function getQuotationWithDetailsPreviewFormat(quotationId, revisionNumber = null) {
   try {
     console.log('🔍 [Helper] Fetching quotation:', quotationId);
     
@@ -783,6 +1015,16 @@ async function getQuotationWithDetailsPreviewFormat(quotationId) {
         q.usage_load_factor,
         q.risk_adjustment,
         q.gst_amount,
+        q.supply_type,
+        q.place_of_supply,
+        q.place_of_supply_code,
+        q.customer_gstin,
+        q.cgst_rate,
+        q.cgst_amount,
+        q.sgst_rate,
+        q.sgst_amount,
+        q.igst_rate,
+        q.igst_amount,
         q.status,
         q.notes,
         q.site_distance,
@@ -795,6 +1037,7 @@ async function getQuotationWithDetailsPreviewFormat(quotationId) {
         q.helper_amount,
         q.created_at,
         q.updated_at,
+        q.valid_until,
         c.name as customer_db_name,
         c.email as customer_email,
         c.phone as customer_phone,
@@ -811,7 +1054,7 @@ async function getQuotationWithDetailsPreviewFormat(quotationId) {
       return null;
     }
 
-    const row = result.rows[0];
+    let row = result.rows[0];
     
     // Get quotation machines/items
     const itemsQuery = `
@@ -830,6 +1073,16 @@ async function getQuotationWithDetailsPreviewFormat(quotationId) {
     `;
     
     const itemsResult = await pool.query(itemsQuery, [quotationId]);
+
+    if (revisionNumber) {
+      const revision = await getQuotationRevision(pool, quotationId, revisionNumber);
+      if (!revision) {
+        return null;
+      }
+      const snapshot = applyRevisionSnapshot(row, revision);
+      row = snapshot.row;
+      itemsResult.rows = snapshot.items;
+    }
     
     // Parse customer contact JSON
     let customerContact = {};
@@ -861,6 +1114,16 @@ async function getQuotationWithDetailsPreviewFormat(quotationId) {
       rigger_amount: row.rigger_amount,
       helper_amount: row.helper_amount,
       gst_amount: row.gst_amount,
+      supply_type: row.supply_type,
+      place_of_supply: row.place_of_supply,
+      place_of_supply_code: row.place_of_supply_code,
+      customer_gstin: row.customer_gstin,
+      cgst_rate: row.cgst_rate,
+      cgst_amount: row.cgst_amount,
+      sgst_rate: row.sgst_rate,
+      sgst_amount: row.sgst_amount,
+      igst_rate: row.igst_rate,
+      igst_amount: row.igst_amount,
       site_distance: row.site_distance,
       usage: row.usage,
       risk_factor: row.risk_factor,
@@ -869,13 +1132,15 @@ async function getQuotationWithDetailsPreviewFormat(quotationId) {
       accom_resources: row.accom_resources,
       created_at: row.created_at,
       updated_at: row.updated_at,
+      valid_until: row.valid_until,
       
       customer: {
         name: customerContact.name || row.customer_name || row.customer_db_name || 'Unknown Customer',
         email: customerContact.email || row.customer_email || '',
         phone: customerContact.phone || row.customer_phone || '',
         address: customerContact.address || row.customer_address || '',
-        company: customerContact.company || row.customer_company || ''
+        company: customerContact.company || row.customer_company || '',
+        gstin: row.customer_gstin || ''
       },
       
       items: itemsResult.rows.map(item => ({
@@ -907,7 +1172,7 @@ async function getQuotationWithDetailsPreviewFormat(quotationId) {
 /**
  * Helper function to get quotation with details (legacy format for compatibility)
  */
-async function getQuotationWithDetails(quotationId) {
+async function getQuotationWithDetails(quotationId, revisionNumber = null) {
   try {
     console.log('🔍 [Helper] Fetching quotation:', quotationId, 'Type:', typeof quotationId);
     
@@ -921,10 +1186,22 @@ async function getQuotationWithDetails(quotationId) {
         q.working_hours,
         q.total_rent,
         q.total_cost,
+        q.gst_amount,
+        q.supply_type,
+        q.place_of_supply,
+        q.place_of_supply_code,
+        q.customer_gstin,
+        q.cgst_rate,
+        q.cgst_amount,
+        q.sgst_rate,
+        q.sgst_amount,
+        q.igst_rate,
+        q.igst_amount,
         q.status,
         q.notes,
         q.created_at,
         q.updated_at,
+        q.valid_until,
         c.name as customer_name,
         c.email as customer_email,
         c.phone as customer_phone,
@@ -943,7 +1220,7 @@ async function getQuotationWithDetails(quotationId) {
       return null;
     }
 
-    const row = result.rows[0];
+    let row = result.rows[0];
     
     // Get quotation machines
     const itemsQuery = `
@@ -962,16 +1239,28 @@ async function getQuotationWithDetails(quotationId) {
     `;
     
     const itemsResult = await pool.query(itemsQuery, [quotationId]);
+
+    if (revisionNumber) {
+      const revision = await getQuotationRevision(pool, quotationId, revisionNumber);
+      if (!revision) {
+        return null;
+      }
+      const snapshot = applyRevisionSnapshot(row, revision);
+      row = snapshot.row;
+      itemsResult.rows = snapshot.items;
+    }
     
+    const taxBreakdown = getTaxBreakdown(row);
+
     // Structure the data
     const quotation = {
       id: row.id,
       quotation_number: row.id, // Use ID as quotation number since quotation_number doesn't exist
       description: row.notes || 'Crane Rental Service',
       status: row.status,
-      valid_until: null, // No valid_until in schema
       total_amount: row.total_cost,
-      tax_rate: 18, // Default GST rate
+      tax_rate: taxBreakdown.rate,
+      tax: taxBreakdown,
       machine_type: row.machine_type,
       order_type: row.order_type,
       number_of_days: row.number_of_days,
@@ -979,6 +1268,7 @@ async function getQuotationWithDetails(quotationId) {
       total_rent: row.total_rent,
       created_at: row.created_at,
       updated_at: row.updated_at,
+      valid_until: row.valid_until,
       
       customer: {
         name: row.customer_name,
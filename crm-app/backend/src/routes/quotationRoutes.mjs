@@ -9,6 +9,65 @@ import pg from 'pg';
 import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken } from '../middleware/authMiddleware.mjs';
 import { generateQuotationTemplate } from '../utils/pdfGenerator.js';
+import {
+  calculateQuotationPricing,
+  findPricingMismatches,
+  GST_RATE,
+  hasPricingInputs,
+  isStrictPricing,
+  mergePricingInputs
+} from '../services/quotationPricingService.js';
+import { findPricingCustomerId } from '../services/rateCardService.js';
+import {
+  createQuotationRevision,
+  diffQuotationRevisions,
+  getQuotationRevision,
+  hasQuotationRevision,
+  listQuotationRevisions,
+  parseRevisionNumber
+} from '../services/quotationRevisionService.js';
+import {
+  createApprovalRequest,
+  getDiscountApprovalConfig,
+  getPendingApproval,
+  isApprover,
+  listPendingApprovals,
+  listQuotationApprovals,
+  notifyApprovalDecided,
+  notifyApprovalRequired,
+  recordApprovalDecision,
+  resolveSendStatus
+} from '../services/quotationApprovalService.js';
+import {
+  extendQuotationValidity,
+  getValidityConfig,
+  getValidityHistory,
+  startValidityPeriod
+} from '../services/quotationValidityService.js';
+import {
+  createAcceptanceLink,
+  getQuotationAcceptance,
+  listAcceptanceLinks
+} from '../services/quotationAcceptanceService.js';
+import { listQuotationEmails } from '../services/quotationEmailService.js';
+import { getTaxBreakdown, resolveQuotationTax, saveQuotationTax } from '../services/gstService.js';
+import {
+  buildJobSchedule,
+  createJobFromQuotation,
+  findJobForQuotation,
+  getQuotationEquipmentIds,
+  getQuotationForConversion
+} from '../services/quotationJobService.js';
+import {
+  canOverrideBookings,
+  checkBookingOverride,
+  findBookingConflicts,
+  lockBookingResources,
+  recordBookingOverrides
+} from '../services/jobBookingService.js';
+import { describeMaintenanceConflicts, findMaintenanceWindows } from '../services/equipmentMaintenanceService.js';
+import { describeDocumentConflicts, findExpiredDocuments } from '../services/equipmentDocumentService.js';
+import { createJobActivity } from '../services/activityService.js';
 
 // Helper function to generate quotation number from ID
 function generateQuotationNumber(quotationId) {
@@ -31,28 +90,11 @@ import { QuotationTableBuilder } from '../utils/quotationTableBuilder.mjs';
 
 const router = express.Router();
 
-// Helper functions to extract incident and custom amounts from frontend data structure
-function extractIncidentAmount(quotationData, incidentKey) {
-  // Frontend now sends resolved amounts (custom OR config default) in incident1/2/3 fields.
-  const explicitField = quotationData[incidentKey];
-  const selected = quotationData.incidentalCharges?.includes(incidentKey);
-  console.log(`🔍 Extracting ${incidentKey}:`, {
-    selected,
-    explicitField,
-    type: typeof explicitField,
-    customIncidentAmounts: quotationData.customIncidentAmounts
-  });
-  
-  if (!selected) return null; // not selected -> null
-  if (explicitField === 0) return 0; // explicitly 0 -> save 0
-  if (explicitField === null || explicitField === undefined || explicitField === '') {
-    console.log(`⚠️ ${incidentKey} selected but no amount provided from frontend - this shouldn't happen with new logic`);
-    return null;
-  }
-  const num = Number(explicitField);
-  return isNaN(num) ? null : num;
-}
+// Statuses an edit may move a quotation to; accepted and rejected come only
+// from the customer through the acceptance portal
+const EDITABLE_STATUSES = ['draft', 'sent', 'pending_approval'];
 
+// Helper functions to extract custom amounts from frontend data structure
 function extractCustomAmount(quotationData, amountKey) {
   return quotationData[amountKey] || null;
 }
@@ -72,6 +114,24 @@ function extractOtherFactorsAmount(quotationData, factorKey) {
   return isNaN(num) ? null : num;
 }
 
+// Stored amounts of a quotation row, in the shape of pricing calculations
+function storedCalculations(quotation) {
+  const surcharges = Array.isArray(quotation.surcharges) ? quotation.surcharges : [];
+  return {
+    workingCost: Number(quotation.working_cost) || 0,
+    mobDemobCost: Number(quotation.mob_demob_cost) || 0,
+    foodAccomCost: Number(quotation.food_accom_cost) || 0,
+    riskAdjustment: Number(quotation.risk_adjustment) || 0,
+    usageLoadFactor: Number(quotation.usage_load_factor) || 0,
+    riskUsageTotal: Number(quotation.risk_usage_total) || 0,
+    surchargeCost: surcharges.reduce((sum, line) => sum + (Number(line.amount) || 0), 0),
+    otherFactorsCost: Number(quotation.other_factors_charge) || 0,
+    subtotal: Number(quotation.total_rent) || 0,
+    gstAmount: Number(quotation.gst_amount) || 0,
+    totalAmount: Number(quotation.total_cost) || 0
+  };
+}
+
 // Optional auth for selected endpoints: allows bypass header regardless of NODE_ENV
 const optionalAuth = (req, res, next) => {
   const bypassHeader = req.headers['x-bypass-auth'];
@@ -130,7 +190,9 @@ router.post('/generate', optionalAuth, async (req, res) => {
           quotationId: row.quotation_number || row.id,
           customerName: row.customer_name,
             customerEmail: (row.customer_contact && typeof row.customer_contact === 'object' ? row.customer_contact.email : null) || '',
-          gstRate: row.include_gst ? 18 : 0,
+          gstRate: getTaxBreakdown(row).rate,
+          supplyType: row.supply_type || 'intra_state',
+          placeOfSupply: row.place_of_supply,
           // Build items from machines snapshot or fallback to equipment_snapshot
           items: mRes.rows.length > 0 ? mRes.rows.map((m, idx) => ({
             description: `Equipment ${idx + 1}`,
@@ -153,7 +215,7 @@ router.post('/generate', optionalAuth, async (req, res) => {
         addCharge('Working Cost', Number(row.working_cost));
         addCharge('Mob/Demob Cost', Number(row.mob_demob_cost));
         addCharge('Food & Accommodation', Number(row.food_accom_cost));
-        addCharge('Incidental Charges', Number(row.incident1) + Number(row.incident2) + Number(row.incident3));
+        (Array.isArray(row.surcharges) ? row.surcharges : []).forEach(line => addCharge(line.name, Number(line.amount)));
         addCharge('Other Factors', Number(row.other_factors_charge));
         addCharge('Extra Commercial Charges', Number(row.extra_charge));
         addCharge('Risk & Usage', Number(row.risk_usage_total));
@@ -171,7 +233,7 @@ router.post('/generate', optionalAuth, async (req, res) => {
     }
 
     // Normalize required fields
-    quotation.gstRate = quotation.gstRate !== undefined ? quotation.gstRate : (quotation.includeGst ? 18 : 0);
+    quotation.gstRate = quotation.gstRate !== undefined ? quotation.gstRate : (quotation.includeGst ? GST_RATE : 0);
     quotation.customerName = quotation.customerName || quotation.customer?.name || 'Customer';
     quotation.quotationId = quotation.quotationId || quotation.id || 'N/A';
 
@@ -239,6 +301,48 @@ router.post('/generate-test', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/quotations/calculate
+ * Preview the server-calculated pricing for a set of quotation inputs.
+ * Accepts the same body as POST /api/quotations; if the body carries client-side
+ * totals they are compared and any differences are returned as mismatches.
+ * Rates are the customer's rate cards on `quoteDate` (default today).
+ */
+router.post('/calculate', authenticateToken, async (req, res) => {
+  try {
+    const customerId = await findPricingCustomerId(pool, req.body || {});
+    const pricing = await calculateQuotationPricing({ ...(req.body || {}), customerId });
+    const mismatches = findPricingMismatches(pricing.calculations, req.body || {});
+    const tax = await resolveQuotationTax(pool, {
+      customerId,
+      gstRate: pricing.factors.gstRate,
+      gstAmount: pricing.calculations.gstAmount
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        orderType: pricing.inputs.orderType,
+        machines: pricing.machines,
+        surcharges: pricing.surcharges,
+        riggerAmount: pricing.riggerAmount,
+        helperAmount: pricing.helperAmount,
+        factors: pricing.factors,
+        calculations: pricing.calculations,
+        tax,
+        mismatches,
+        warnings: pricing.warnings
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error calculating quotation pricing:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to calculate quotation pricing'
+    });
+  }
+});
+
 /**
  * GET /api/quotations
  * Get all quotations with basic info for SuiteCRM-style listing
@@ -275,7 +379,8 @@ router.get('/', async (req, res) => {
           q.working_cost,
           q.food_accom_cost,
           q.gst_amount,
-          q.total_rent
+          q.total_rent,
+          q.valid_until
         FROM quotations q
         ORDER BY q.created_at DESC;
       `);
@@ -306,7 +411,8 @@ router.get('/', async (req, res) => {
         working_cost: parseFloat(q.working_cost || 0),
         food_accom_cost: parseFloat(q.food_accom_cost || 0),
         gst_amount: parseFloat(q.gst_amount || 0),
-        total_rent: parseFloat(q.total_rent || 0)
+        total_rent: parseFloat(q.total_rent || 0),
+        valid_until: q.valid_until
       }));
       
       // Set no-cache headers to prevent stale data
@@ -343,6 +449,475 @@ router.get('/print-test', (req, res) => {
   });
 });
 
+/**
+ * GET /api/quotations/:id/revisions
+ * List all revisions (R1, R2, ...) of a quotation
+ */
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const revisions = await listQuotationRevisions(pool, req.params.id);
+    return res.status(200).json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Error fetching quotation revisions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:id/revisions/diff?from=R1&to=R2
+ * Field-by-field and line-by-line diff between two revisions.
+ * `to` defaults to the latest revision.
+ */
+router.get('/:id/revisions/diff', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fromNumber = parseRevisionNumber(req.query.from);
+    let toNumber = parseRevisionNumber(req.query.to);
+
+    if (!fromNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid "from" revision is required (e.g. from=R1)'
+      });
+    }
+    if (!toNumber) {
+      const revisions = await listQuotationRevisions(pool, id);
+      toNumber = revisions.length > 0 ? revisions[revisions.length - 1].revisionNumber : null;
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      getQuotationRevision(pool, id, fromNumber),
+      toNumber ? getQuotationRevision(pool, id, toNumber) : null
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: diffQuotationRevisions(fromRevision, toRevision)
+    });
+  } catch (error) {
+    console.error('Error diffing quotation revisions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:id/revisions/:revision
+ * Get the full snapshot of a single revision (accepts 2 or R2)
+ */
+router.get('/:id/revisions/:revision', authenticateToken, async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    if (!revisionNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid revision number'
+      });
+    }
+
+    const revision = await getQuotationRevision(pool, req.params.id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error fetching quotation revision:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/approvals/pending
+ * Quotations waiting for discount approval, oldest request first
+ */
+router.get('/approvals/pending', authenticateToken, async (req, res) => {
+  try {
+    const approvals = await listPendingApprovals(pool);
+    return res.status(200).json({
+      success: true,
+      data: approvals
+    });
+  } catch (error) {
+    console.error('Error fetching pending approvals:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:id/approvals
+ * Discount approval history of a quotation, newest first
+ */
+router.get('/:id/approvals', authenticateToken, async (req, res) => {
+  try {
+    const approvals = await listQuotationApprovals(pool, req.params.id);
+    return res.status(200).json({
+      success: true,
+      data: approvals
+    });
+  } catch (error) {
+    console.error('Error fetching quotation approvals:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:id/validity-history
+ * Validity audit trail (extensions and automatic expiry), newest first
+ */
+router.get('/:id/validity-history', authenticateToken, async (req, res) => {
+  try {
+    const history = await getValidityHistory(pool, req.params.id);
+    return res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching quotation validity history:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:id/extend-validity
+ * Extend the validity of a quotation. Body: { days } or { validUntil: 'YYYY-MM-DD' }, optional reason.
+ * Without either, the configured validity period is added. Expired quotations go back to sent.
+ */
+router.post('/:id/extend-validity', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { days, validUntil, reason } = req.body || {};
+
+    let extensionDays = null;
+    if (days !== undefined && days !== null && days !== '') {
+      extensionDays = parseInt(days, 10);
+      if (isNaN(extensionDays) || extensionDays < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'days must be a positive whole number'
+        });
+      }
+    }
+
+    let newValidUntil = null;
+    if (validUntil) {
+      const today = new Date().toISOString().slice(0, 10);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(validUntil) || isNaN(new Date(validUntil).getTime()) || validUntil < today) {
+        return res.status(400).json({
+          success: false,
+          message: 'validUntil must be a date (YYYY-MM-DD) no earlier than today'
+        });
+      }
+      newValidUntil = validUntil;
+    }
+
+    const statusResult = await pool.query('SELECT status FROM quotations WHERE id = $1', [id]);
+    if (statusResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    if (['accepted', 'rejected'].includes(statusResult.rows[0].status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot extend the validity of a ${statusResult.rows[0].status} quotation`
+      });
+    }
+
+    // The extension and its audit entry are written together
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      result = await extendQuotationValidity(client, id, {
+        days: extensionDays,
+        validUntil: newValidUntil,
+        reason: reason || null,
+        user: req.user,
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null
+      });
+      await client.query('COMMIT');
+    } catch (extendError) {
+      await client.query('ROLLBACK');
+      throw extendError;
+    } finally {
+      client.release();
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Quotation validity extended',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error extending quotation validity:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:id/acceptance-link
+ * Create a public link the customer can use to accept or reject the sent quotation.
+ * Any earlier open link is revoked. The token is only returned by this call.
+ */
+router.post('/:id/acceptance-link', authenticateToken, async (req, res) => {
+  try {
+    const link = await createAcceptanceLink(pool, req.params.id, { user: req.user });
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    if (link.error) {
+      return res.status(409).json({
+        success: false,
+        message: link.error
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Acceptance link created',
+      data: link
+    });
+  } catch (error) {
+    console.error('Error creating quotation acceptance link:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:id/acceptance
+ * Latest customer response (with signature) and the acceptance links issued
+ */
+router.get('/:id/acceptance', authenticateToken, async (req, res) => {
+  try {
+    const [acceptance, links] = await Promise.all([
+      getQuotationAcceptance(pool, req.params.id),
+      listAcceptanceLinks(pool, req.params.id)
+    ]);
+    return res.status(200).json({
+      success: true,
+      data: { acceptance, links }
+    });
+  } catch (error) {
+    console.error('Error fetching quotation acceptance:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:id/emails
+ * Email history (recipients, subject, SMTP message id, delivery status), newest first
+ */
+router.get('/:id/emails', authenticateToken, async (req, res) => {
+  try {
+    const emails = await listQuotationEmails(pool, req.params.id);
+    return res.status(200).json({
+      success: true,
+      data: emails
+    });
+  } catch (error) {
+    console.error('Error fetching quotation emails:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:id/convert-to-job
+ * Create a scheduled job from an accepted quotation: customer, deal, lead, site,
+ * dates from the start date for number_of_days and equipment from the quotation
+ * machines. Body (all optional): { startDate: 'YYYY-MM-DD', location, title, notes }.
+ * Machines already booked for the period are rejected with the clashing jobs
+ * unless an admin sends { override: true, overrideReason }.
+ */
+router.post('/:id/convert-to-job', authenticateToken, async (req, res) => {
+  try {
+    const { startDate, location, title, notes } = req.body || {};
+    if (startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(new Date(startDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    const quotation = await getQuotationForConversion(pool, req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    if (quotation.status !== 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only accepted quotations can be converted into a job'
+      });
+    }
+
+    const existing = await findJobForQuotation(pool, quotation.id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `This quotation has already been converted into job "${existing.title}"`,
+        data: { jobId: existing.id }
+      });
+    }
+    if (!startDate && !quotation.planned_start_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate is required: neither the quotation nor its lead has a start date'
+      });
+    }
+    if (!location && !quotation.site_location && !quotation.customer_address) {
+      return res.status(400).json({
+        success: false,
+        message: 'location is required: neither the lead nor the customer has an address'
+      });
+    }
+
+    const schedule = buildJobSchedule(startDate || quotation.planned_start_date, quotation.number_of_days);
+    const equipmentIds = await getQuotationEquipmentIds(pool, quotation);
+
+    // Checked and booked in one transaction holding the cranes, so a
+    // concurrent booking of the same crane waits for this one
+    const client = await pool.connect();
+    let job;
+    try {
+      const reject = async (code, body) => {
+        await client.query('ROLLBACK');
+        return res.status(code).json({ success: false, ...body });
+      };
+
+      await client.query('BEGIN');
+      await lockBookingResources(client, { equipmentIds });
+
+      const maintenanceConflicts = await findMaintenanceWindows(client, {
+        equipmentIds,
+        start: schedule.start,
+        end: schedule.end
+      });
+      if (maintenanceConflicts.length > 0) {
+        return await reject(409, {
+          message: describeMaintenanceConflicts(maintenanceConflicts),
+          maintenanceConflicts
+        });
+      }
+      const documentConflicts = await findExpiredDocuments(client, { equipmentIds, end: schedule.end });
+      if (documentConflicts.length > 0) {
+        return await reject(409, {
+          message: describeDocumentConflicts(documentConflicts),
+          documentConflicts
+        });
+      }
+      const conflicts = await findBookingConflicts(client, {
+        equipmentIds,
+        start: schedule.start,
+        end: schedule.end
+      });
+      const rejection = checkBookingOverride(conflicts, req.body, req.user);
+      if (rejection) {
+        return await reject(rejection.status, {
+          message: rejection.message,
+          conflicts,
+          canOverride: canOverrideBookings(req.user)
+        });
+      }
+
+      job = await createJobFromQuotation(client, quotation, {
+        startDate: startDate || null,
+        location: location ? String(location).trim() : null,
+        title: title ? String(title).trim() : null,
+        notes: notes || null,
+        user: req.user
+      });
+      if (conflicts.length > 0) {
+        await recordBookingOverrides(client, job.id, conflicts, {
+          reason: String(req.body.overrideReason).trim(),
+          user: req.user
+        });
+      }
+      await client.query('COMMIT');
+    } catch (convertError) {
+      await client.query('ROLLBACK');
+      throw convertError;
+    } finally {
+      client.release();
+    }
+
+    try {
+      await createJobActivity(job.customerName, 'created', req.user?.name || 'System');
+    } catch (activityError) {
+      console.error('Error creating activity:', activityError);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Job scheduled from quotation',
+      data: job
+    });
+  } catch (error) {
+    if (error && error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation has already been converted into a job'
+      });
+    }
+    console.error('Error converting quotation to job:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * GET /api/quotations/:id
  * Get quotation by ID for SuiteCRM-style detailed view
@@ -358,16 +933,19 @@ router.get('/:id', async (req, res) => {
                q.machine_type, q.order_type, q.number_of_days, q.working_hours, q.food_resources, 
                q.accom_resources, q.site_distance, q.usage, q.risk_factor, q.shift, q.day_night, 
                q.mob_demob, q.mob_relaxation, q.extra_charge, q.other_factors_charge, q.billing, 
-               q.include_gst, q.sunday_working, q.customer_contact, q.incidental_charges, 
+               q.include_gst, q.sunday_working, q.customer_contact, q.surcharges, 
                q.other_factors, q.total_rent, q.total_cost, q.working_cost, q.mob_demob_cost, 
                q.food_accom_cost, q.usage_load_factor, q.risk_adjustment, q.risk_usage_total, 
                q.gst_amount, q.version, q.created_by, q.status, q.template_id, q.notes, 
-               q.created_at, q.updated_at, q.address, q.valid_until, q.incident1, q.incident2, 
-               q.incident3, q.rigger_amount, q.helper_amount, q.primary_equipment_id, 
-               q.equipment_snapshot,
+               q.created_at, q.updated_at, q.address, q.valid_until,
+               q.rigger_amount, q.helper_amount, q.primary_equipment_id, 
+               q.equipment_snapshot, q.supply_type, q.place_of_supply, q.place_of_supply_code,
+               q.customer_gstin, q.cgst_rate, q.cgst_amount, q.sgst_rate, q.sgst_amount,
+               q.igst_rate, q.igst_amount, q.start_date, q.site_assessment_id,
                c.name as c_name, c.contact_name, c.email as customer_email,
                c.phone as customer_phone, c.company_name as customer_company,
                c.address as customer_address, c.designation as customer_designation,
+               c.gstin as customer_db_gstin, c.state as customer_state,
                d.title as deal_title
         FROM quotations q
         LEFT JOIN customers c ON q.customer_id = c.id
@@ -387,11 +965,16 @@ router.get('/:id', async (req, res) => {
       // Get associated machines with enhanced fields for Items Table
       const machinesResult = await client.query(`
         SELECT qm.id, qm.quotation_id, qm.equipment_id, qm.quantity, qm.base_rate, qm.running_cost_per_km,
+               qm.rate_card_id, rc.customer_id AS rate_card_customer_id,
                e.name as equipment_name, e.category, e.max_lifting_capacity
         FROM quotation_machines qm
         LEFT JOIN equipment e ON qm.equipment_id = e.id
+        LEFT JOIN rate_cards rc ON rc.id = qm.rate_card_id
         WHERE qm.quotation_id = $1;
       `, [id]);
+
+      const taxBreakdown = getTaxBreakdown(quotation);
+      const surcharges = quotation.surcharges || [];
       
       const transformedQuotation = {
         id: quotation.id,
@@ -407,7 +990,9 @@ router.get('/:id', async (req, res) => {
           phone: quotation.customer_phone,
           company: quotation.customer_company || quotation.company_name,
           address: quotation.customer_address,
-          designation: quotation.customer_designation
+          designation: quotation.customer_designation,
+          gstin: quotation.customer_db_gstin || null,
+          state: quotation.customer_state || null
         },
         dealTitle: quotation.deal_title,
         machineType: quotation.machine_type,
@@ -428,7 +1013,6 @@ router.get('/:id', async (req, res) => {
         billing: quotation.billing || 'gst',
         includeGst: quotation.include_gst !== false,
         sundayWorking: quotation.sunday_working || 'no',
-        incidentalCharges: quotation.incidental_charges || [],
         otherFactors: quotation.other_factors || [],
         totalRent: Number(quotation.total_rent) || 0,
         totalCost: Number(quotation.total_cost) || 0,
@@ -446,18 +1030,17 @@ router.get('/:id', async (req, res) => {
         notes: quotation.notes || '',
         createdAt: quotation.created_at,
         updatedAt: quotation.updated_at,
+        validUntil: quotation.valid_until || null,
         startDate: quotation.start_date || null,
         endDate: quotation.end_date || null,
+        siteAssessmentId: quotation.site_assessment_id || null,
         // New fields from schema migration with proper type conversion
         primaryEquipmentId: quotation.primary_equipment_id,
         equipmentSnapshot: quotation.equipment_snapshot,
-        incident1: quotation.incident1,
-        incident2: quotation.incident2,
-        incident3: quotation.incident3,
         riggerAmount: Number(quotation.rigger_amount) || null,
         helperAmount: Number(quotation.helper_amount) || null,
-        // Add parsed incidental charges and other factors arrays
-        incidentalCharges: quotation.incidental_charges || [],
+        // Applied surcharge lines and the other factors array
+        surcharges,
         otherFactors: quotation.other_factors || [],
         // Add selected machines data with enhanced mapping for Items Table
         selectedMachines: machinesResult.rows.map((machine, index) => {
@@ -478,6 +1061,8 @@ router.get('/:id', async (req, res) => {
             quantity: quantity,
             baseRate: baseRate,
             runningCostPerKm: Number(machine.running_cost_per_km) || 0,
+            rateCardId: machine.rate_card_id,
+            negotiatedRate: !!machine.rate_card_customer_id,
             // Enhanced fields for Items Table compatibility
             no: index + 1, // Serial number
             description: machine.equipment_name,
@@ -499,7 +1084,7 @@ router.get('/:id', async (req, res) => {
           extraCharges: quotation.extra_charge || 0,
           riskAdjustment: quotation.risk_adjustment || 0,
           riskUsageTotal: quotation.risk_usage_total || 0,
-          incidentalCost: 0, // Will be calculated from incidentalCharges
+          surchargeCost: surcharges.reduce((sum, line) => sum + (Number(line.amount) || 0), 0),
           otherFactorsCost: quotation.other_factors_charge || 0,
           subtotal: quotation.total_rent || 0,
           gstAmount: quotation.gst_amount || 0,
@@ -531,7 +1116,8 @@ router.get('/:id', async (req, res) => {
           qty: machine.quantity || 1,
           price: machine.base_rate || 0
         })),
-        gstRate: 18, // Default GST rate
+        gstRate: taxBreakdown.rate,
+        tax: taxBreakdown,
         terms: [
           'Payment Terms: 50% advance, balance on completion',
           'Equipment delivery within 2-3 working days from advance payment',
@@ -579,8 +1165,7 @@ router.post('/', authenticateToken, async (req, res) => {
       otherFactors: quotationData.otherFactors,
       selectedEquipment: quotationData.selectedEquipment,
       primaryEquipmentId: quotationData.primaryEquipmentId,
-      incidentalCharges: quotationData.incidentalCharges,
-      customIncidentAmounts: quotationData.customIncidentAmounts,
+      surcharges: quotationData.surcharges,
       otherFactors: quotationData.otherFactors,
       customRiggerAmount: quotationData.customRiggerAmount,
       customHelperAmount: quotationData.customHelperAmount,
@@ -610,6 +1195,36 @@ router.post('/', authenticateToken, async (req, res) => {
         message: `Missing required fields: ${missingFields.join(', ')}` 
       });
     }
+
+    // Recalculate pricing on the server - submitted totals are never trusted.
+    // Rates come from today's cards for the customer the quotation is saved against.
+    let pricing;
+    try {
+      pricing = await calculateQuotationPricing({
+        ...quotationData,
+        customerId: await findPricingCustomerId(pool, quotationData),
+        quoteDate: null
+      });
+    } catch (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: `Unable to price quotation: ${pricingError.message}`
+      });
+    }
+    const pricingMismatches = findPricingMismatches(pricing.calculations, quotationData);
+    if (pricingMismatches.length > 0) {
+      console.warn('⚠️ Quotation pricing mismatch between client and server:', pricingMismatches);
+      if (isStrictPricing(quotationData)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Submitted pricing does not match server calculation',
+          data: { calculations: pricing.calculations, mismatches: pricingMismatches }
+        });
+      }
+    }
+    const calculated = pricing.calculations;
+    const validity = await getValidityConfig();
+
     const client = await pool.connect();
     try {
       // Check if customer exists, if not create one
@@ -680,12 +1295,12 @@ router.post('/', authenticateToken, async (req, res) => {
         'high': 'high'
       };
       
-      // Use calculated costs from frontend (no fallbacks to avoid incorrect data)
-      // NOTE: total_rent should be the SUBTOTAL (before GST) - which is the working_cost (actual rental amount)
+      // Use server-calculated costs
+      // NOTE: total_rent should be the SUBTOTAL (before GST)
       // NOTE: total_cost should be the FINAL TOTAL (after GST)
-      const subtotalAmount = quotationData.calculations?.subtotal || quotationData.workingCost || 0;
-      const gstAmount = quotationData.gstAmount || quotationData.calculations?.gstAmount || 0;
-      const finalTotal = quotationData.totalAmount || quotationData.calculations?.totalAmount || (subtotalAmount + gstAmount);
+      const subtotalAmount = calculated.subtotal;
+      const gstAmount = calculated.gstAmount;
+      const finalTotal = calculated.totalAmount;
       
       const customerContact = {
         name: quotationData.customerName,
@@ -706,15 +1321,16 @@ router.post('/', authenticateToken, async (req, res) => {
           total_rent, total_cost, working_cost, mob_demob_cost,
           food_accom_cost, risk_adjustment, usage_load_factor, risk_usage_total, gst_amount, created_by, status, notes,
           deal_id, lead_id, primary_equipment_id, equipment_snapshot,
-          incident1, incident2, incident3, rigger_amount, helper_amount
+          surcharges, rigger_amount, helper_amount, valid_until
         ) VALUES (
           $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
           $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26,
-          $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41, $42, $43
+          $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41,
+          CURRENT_DATE + $42::int
         )
       `;
       // Debug the mapping process - use EXACT values from frontend
-      const mappedOrderType = quotationData.orderType; // Direct use, no fallback that overrides user selection
+      const mappedOrderType = pricing.inputs.orderType; // Order type resolved from the quotation config day limits
       const mappedRiskFactor = quotationData.riskFactor; // Direct use, no mapping override
       // Handle food and accommodation resources as numeric values (number of people)
       // Convert string values to numbers if needed for backward compatibility
@@ -761,22 +1377,15 @@ router.post('/', authenticateToken, async (req, res) => {
         }
       }
 
-      // Extract and log incident/rigger/helper amounts for debugging
-      const incident1Amount = extractIncidentAmount(quotationData, 'incident1');
-      const incident2Amount = extractIncidentAmount(quotationData, 'incident2');
-      const incident3Amount = extractIncidentAmount(quotationData, 'incident3');
-      const riggerAmount = extractOtherFactorsAmount(quotationData, 'rigger');
-      const helperAmount = extractOtherFactorsAmount(quotationData, 'helper');
+      // Surcharge lines and rigger/helper amounts as applied by the pricing engine
+      const riggerAmount = pricing.riggerAmount;
+      const helperAmount = pricing.helperAmount;
       
       console.log('💰 DEBUG: Extracted amounts and costs:', {
-        incident1Amount,
-        incident2Amount, 
-        incident3Amount,
+        surcharges: pricing.surcharges,
         riggerAmount,
         helperAmount,
-        incidentalCharges: quotationData.incidentalCharges,
         otherFactors: quotationData.otherFactors,
-        customIncidentAmounts: quotationData.customIncidentAmounts,
         customRiggerAmount: quotationData.customRiggerAmount,
         frontendRiggerAmount: quotationData.riggerAmount,
         frontendHelperAmount: quotationData.helperAmount,
@@ -846,19 +1455,19 @@ router.post('/', authenticateToken, async (req, res) => {
         quotationData.mobDemob || quotationData.calculations?.mobDemob || 0, // mob_demob - use frontend value
         quotationData.mobRelaxation || quotationData.calculations?.mobRelaxation || 0, // mob_relaxation
         quotationData.extraCharge || 0,
-        riggerAmount + helperAmount, // other_factors_charge - sum of rigger and helper
+        calculated.otherFactorsCost, // other_factors_charge - sum of rigger and helper
         'gst', // billing
-        true, // include_gst
-        'no', // sunday_working
+        pricing.inputs.includeGst, // include_gst
+        pricing.inputs.sundayWorking ? 'yes' : 'no', // sunday_working
         JSON.stringify(customerContact),
         subtotalAmount, // total_rent should be the subtotal (before GST)
         finalTotal,     // total_cost should be the final total (after GST)
-        quotationData.workingCost || quotationData.calculations?.workingCost || 0, // working_cost
-        quotationData.mobDemobCost || quotationData.calculations?.mobDemobCost || 0, // mob_demob_cost
-        quotationData.foodAccomCost || quotationData.calculations?.foodAccomCost || 0, // food_accom_cost
-        quotationData.riskAdjustment || quotationData.calculations?.riskAdjustment || 0, // risk_adjustment
-        quotationData.usageLoadFactor || quotationData.calculations?.usageLoadFactor || 0, // usage_load_factor
-        quotationData.riskUsageTotal || quotationData.calculations?.riskUsageTotal || 0, // risk_usage_total
+        calculated.workingCost, // working_cost
+        calculated.mobDemobCost, // mob_demob_cost
+        calculated.foodAccomCost, // food_accom_cost
+        calculated.riskAdjustment, // risk_adjustment
+        calculated.usageLoadFactor, // usage_load_factor
+        calculated.riskUsageTotal, // risk_usage_total
         gstAmount,
         req.user.id, // created_by (will be replaced with actual user)
         'draft',
@@ -867,11 +1476,10 @@ router.post('/', authenticateToken, async (req, res) => {
         quotationData.leadId || null,
         quotationData.primaryEquipmentId || quotationData.selectedEquipment?.equipmentId || quotationData.selectedEquipment?.id || null, // primary_equipment_id
         quotationData.equipmentSnapshot ? JSON.stringify(quotationData.equipmentSnapshot) : (quotationData.selectedEquipment ? JSON.stringify(quotationData.selectedEquipment) : null), // equipment_snapshot
-        incident1Amount, // incident1
-        incident2Amount, // incident2  
-        incident3Amount, // incident3
+        JSON.stringify(pricing.surcharges), // surcharges
         riggerAmount, // rigger_amount
-        helperAmount  // helper_amount
+        helperAmount, // helper_amount
+        validity.validityDays // valid_until (days from today)
       ];
       await client.query(insertQuery, values);
       
@@ -884,28 +1492,42 @@ router.post('/', authenticateToken, async (req, res) => {
         usage: quotationData.usage
       });
 
-      // Insert selected machines if provided (support for multiple equipment)
-      if (quotationData.selectedMachines && Array.isArray(quotationData.selectedMachines) && quotationData.selectedMachines.length > 0) {
-        console.log('🔧 Inserting', quotationData.selectedMachines.length, 'selected machines');
-        for (const machine of quotationData.selectedMachines) {
-          await client.query(`
-            INSERT INTO quotation_machines (
-              quotation_id, equipment_id, quantity, base_rate, running_cost_per_km
-            ) VALUES ($1, $2, $3, $4, $5)
-          `, [
-            id,
-            machine.id, // Use the primary key id, not equipmentId (business identifier)
-            machine.quantity || 1,
-            machine.baseRate || 0,
-            machine.runningCostPerKm || 0
-          ]);
-        }
+      // Insert priced machines (support for multiple equipment)
+      console.log('🔧 Inserting', pricing.machines.length, 'selected machines');
+      for (const machine of pricing.machines) {
+        await client.query(`
+          INSERT INTO quotation_machines (
+            quotation_id, equipment_id, quantity, base_rate, running_cost_per_km, rate_card_id
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          id,
+          machine.id, // Use the primary key id, not equipmentId (business identifier)
+          machine.quantity,
+          machine.baseRate,
+          machine.runningCostPerKm,
+          machine.rateCardId
+        ]);
       }
+
+      // CGST/SGST or IGST depending on the customer's place of supply
+      const tax = await saveQuotationTax(client, id, await resolveQuotationTax(client, {
+        customerId,
+        gstRate: pricing.factors.gstRate,
+        gstAmount
+      }));
       
       return res.status(201).json({ 
         success: true,
         message: 'Quotation created successfully',
-        data: { id, quotationId: id, totalCost: finalTotal }
+        data: {
+          id,
+          quotationId: id,
+          totalCost: finalTotal,
+          calculations: calculated,
+          tax,
+          pricingMismatches,
+          pricingWarnings: pricing.warnings
+        }
       });
     } finally {
       client.release();
@@ -925,9 +1547,12 @@ router.post('/', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/quotations/:id/status
- * Update quotation status (draft, sent, approved, rejected)
+ * Update quotation status (draft, sent, expired). Accepted and rejected are
+ * the customer's decision, recorded through the acceptance portal, and final.
+ * Sending a quotation discounted beyond the user's threshold moves it to
+ * pending_approval instead.
  */
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -939,7 +1564,7 @@ router.put('/:id/status', async (req, res) => {
       });
     }
     
-    const validStatuses = ['draft', 'sent', 'approved', 'rejected', 'expired'];
+    const validStatuses = ['draft', 'sent', 'expired'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -950,24 +1575,90 @@ router.put('/:id/status', async (req, res) => {
     const client = await pool.connect();
     
     try {
-      const result = await client.query(`
-        UPDATE quotations 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = $2
-        RETURNING id, status
-      `, [status, id]);
-      
-      if (result.rows.length === 0) {
+      const existingResult = await client.query('SELECT * FROM quotations WHERE id = $1', [id]);
+      if (existingResult.rows.length === 0) {
         return res.status(404).json({
           success: false,
           message: 'Quotation not found'
         });
       }
+      const existing = existingResult.rows[0];
+      if (['accepted', 'rejected'].includes(existing.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Quotation is ${existing.status}; its status can no longer be changed`
+        });
+      }
+
+      // Sending goes through the discount approval check
+      let finalStatus = status;
+      let gate = null;
+      if (status === 'sent' && existing.status !== 'sent') {
+        const machineRows = await client.query('SELECT equipment_id, quantity FROM quotation_machines WHERE quotation_id = $1', [id]);
+        gate = await resolveSendStatus(client, {
+          quotationId: id,
+          version: existing.version,
+          inputs: mergePricingInputs(existing, machineRows.rows),
+          user: req.user
+        });
+        finalStatus = gate.status;
+      }
+
+      await client.query('BEGIN');
+      let result;
+      let approval = null;
+      try {
+        result = await client.query(`
+          UPDATE quotations 
+          SET status = $1, updated_at = CURRENT_TIMESTAMP 
+          WHERE id = $2 AND status NOT IN ('accepted', 'rejected')
+          RETURNING id, status, version
+        `, [finalStatus, id]);
+        if (result.rows.length === 0) {
+          // The customer decided while this request was in flight
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: 'Quotation was accepted or rejected; its status can no longer be changed'
+          });
+        }
+
+        if (finalStatus === 'pending_approval') {
+          // Re-sending while already pending keeps the open request
+          approval = existing.status === 'pending_approval' ? await getPendingApproval(client, id) : null;
+          if (!approval) {
+            approval = await createApprovalRequest(client, { quotationId: id, version: existing.version, evaluation: gate.evaluation, user: req.user });
+          }
+        } else if (existing.status === 'pending_approval') {
+          // Leaving pending_approval any other way withdraws the request
+          await client.query(`UPDATE quotation_approvals SET status = 'superseded' WHERE quotation_id = $1 AND status = 'pending'`, [id]);
+        }
+
+        // The validity period starts when the customer receives the quotation
+        if (finalStatus === 'sent' && existing.status !== 'sent') {
+          await startValidityPeriod(client, id);
+        }
+
+        // The version the customer receives is frozen as a revision
+        if (finalStatus === 'sent') {
+          await createQuotationRevision(client, id, { createdBy: req.user?.id || null, reason: 'Sent to customer' });
+        }
+        await client.query('COMMIT');
+      } catch (updateError) {
+        await client.query('ROLLBACK');
+        throw updateError;
+      }
+
+      if (approval && approval.status === 'pending' && existing.status !== 'pending_approval') {
+        await notifyApprovalRequired(existing, approval);
+      }
       
       return res.status(200).json({
         success: true,
-        message: 'Quotation status updated successfully',
-        data: result.rows[0]
+        message: finalStatus === 'pending_approval'
+          ? 'Discount exceeds your approval limit; quotation is pending approval'
+          : 'Quotation status updated successfully',
+        data: { ...result.rows[0], approval, discount: gate?.evaluation || null }
       });
     } finally {
       client.release();
@@ -981,11 +1672,114 @@ router.put('/:id/status', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/quotations/:id/approval/:decision
+ * Approve or reject a pending discount approval (operations_manager / admin).
+ * A reason is required. Approval sends the quotation; rejection returns it to draft.
+ */
+router.post('/:id/approval/:decision', authenticateToken, async (req, res) => {
+  const { id, decision } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown approval decision. Use approve or reject'
+    });
+  }
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to record an approval decision'
+    });
+  }
+
+  try {
+    const config = await getDiscountApprovalConfig();
+    if (!isApprover(req.user, config)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only ' + config.approverRoles.join(', ') + ' users can decide discount approvals'
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      const reject = async (code, message) => {
+        await client.query('ROLLBACK');
+        return res.status(code).json({ success: false, message });
+      };
+
+      const newStatus = decision === 'approve' ? 'sent' : 'draft';
+      let quotation;
+      let approval;
+      let revision = null;
+      await client.query('BEGIN');
+      try {
+        // Locked so two approvers deciding at once are handled one after the other
+        const quotationResult = await client.query('SELECT * FROM quotations WHERE id = $1 FOR UPDATE', [id]);
+        if (quotationResult.rows.length === 0) {
+          return await reject(404, 'Quotation not found');
+        }
+        quotation = quotationResult.rows[0];
+
+        const pending = await getPendingApproval(client, id);
+        if (quotation.status !== 'pending_approval' || !pending) {
+          return await reject(409, 'Quotation is not pending approval');
+        }
+        if (pending.quotationVersion !== quotation.version) {
+          return await reject(409, 'Quotation has changed since approval was requested');
+        }
+
+        approval = await recordApprovalDecision(client, pending.id, {
+          decision: decision === 'approve' ? 'approved' : 'rejected',
+          reason,
+          user: req.user
+        });
+        if (!approval) {
+          return await reject(409, 'The approval request has already been decided');
+        }
+        await client.query(
+          'UPDATE quotations SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [newStatus, id]
+        );
+        if (newStatus === 'sent') {
+          await startValidityPeriod(client, id);
+          revision = await createQuotationRevision(client, id, {
+            createdBy: pending.requestedBy,
+            reason: `Sent to customer (discount approved: ${reason})`
+          });
+        }
+        await client.query('COMMIT');
+      } catch (decisionError) {
+        await client.query('ROLLBACK');
+        throw decisionError;
+      }
+
+      await notifyApprovalDecided(quotation, approval);
+
+      return res.status(200).json({
+        success: true,
+        message: decision === 'approve' ? 'Discount approved and quotation sent' : 'Discount rejected; quotation returned to draft',
+        data: { id, status: newStatus, approval, revision }
+      });
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error recording approval decision:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record approval decision'
+    });
+  }
+});
+
 /**
  * PUT /api/quotations/:id
  * Update a quotation
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -1018,39 +1812,15 @@ router.put('/:id', async (req, res) => {
       mobRelaxation, // Handle camelCase from frontend
       extra_charge,
       extraCharge, // Handle camelCase from frontend
-      other_factors_charge,
-      otherFactorsCharge, // Handle camelCase from frontend
-      working_cost,
-      workingCost, // Handle camelCase from frontend
-      mob_demob_cost,
-      mobDemobCost, // Handle camelCase from frontend
-      food_accom_cost,
-      foodAccomCost, // Handle camelCase from frontend
-      risk_adjustment,
-      riskAdjustment, // Handle camelCase from frontend
-      usage_load_factor,
-      usageLoadFactor, // Handle camelCase from frontend
-      riskUsageTotal,
-      calculations,
-      gst_amount,
-      gstAmount, // Handle camelCase from frontend
-      total_rent,
-      totalRent, // Handle camelCase from frontend
-      total_cost,
-      totalCost, // Handle camelCase from frontend
       notes,
       status,
       selectedMachines,
-      incidentalCharges,
       otherFactors,
       // Fields that will be added to database schema
       primary_equipment_id,
       primaryEquipmentId, // Handle camelCase from frontend
       equipment_snapshot,
       equipmentSnapshot, // Handle camelCase from frontend
-      incident1,
-      incident2,
-      incident3,
       riggerAmount,
       helperAmount,
       billing,
@@ -1060,17 +1830,6 @@ router.put('/:id', async (req, res) => {
       sundayWorking // Handle camelCase from frontend
     } = req.body;
 
-    // Parse incidentalCharges if it comes as a string
-    let parsedIncidentalCharges = incidentalCharges;
-    if (typeof incidentalCharges === 'string') {
-      try {
-        parsedIncidentalCharges = JSON.parse(incidentalCharges);
-      } catch (e) {
-        console.log('Could not parse incidentalCharges, using as array:', incidentalCharges);
-        parsedIncidentalCharges = Array.isArray(incidentalCharges) ? incidentalCharges : [];
-      }
-    }
-
     // Parse otherFactors if it comes as a string  
     let parsedOtherFactors = otherFactors;
     if (typeof otherFactors === 'string') {
@@ -1100,6 +1859,21 @@ router.put('/:id', async (req, res) => {
       }
       
       const existing = existingResult.rows[0];
+
+      if (status && status !== existing.status && !EDITABLE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A quotation cannot be set to ${status} here. Valid statuses: ${EDITABLE_STATUSES.join(', ')}`
+        });
+      }
+
+      // The customer has answered at these prices; changes need a new quotation
+      if (['accepted', 'rejected'].includes(existing.status) && hasPricingInputs(req.body)) {
+        return res.status(409).json({
+          success: false,
+          message: `Quotation is ${existing.status}; its pricing can no longer be changed`
+        });
+      }
       
       // Frontend now sends 'single'/'double' directly - no mapping needed
       
@@ -1124,28 +1898,54 @@ router.put('/:id', async (req, res) => {
       
       const finalShift = shift || existing.shift; // Frontend sends 'single'/'double' directly
       
-      // Calculate correct subtotal and total for database fields
-      // total_rent should be the SUBTOTAL (before GST) - which is the working_cost (actual rental amount)
-      // total_cost should be the FINAL TOTAL (after GST) 
+      // Amounts are only ever the server's: the stored ones, or the
+      // recalculated ones when a pricing input changes. Amounts in the body
+      // are compared with them, never saved.
+      // total_rent is the subtotal (before GST), total_cost the total after GST
       let updatedSubtotal = existing.total_rent;
       let updatedFinalTotal = existing.total_cost;
       let updatedGstAmount = existing.gst_amount;
       
-      // If calculations object is provided, use it to determine correct values
-      if (calculations) {
-        updatedSubtotal = calculations.subtotal || (working_cost || workingCost) || existing.total_rent;
-        updatedFinalTotal = calculations.totalAmount || existing.total_cost;
-        updatedGstAmount = calculations.gstAmount || existing.gst_amount;
-      } else if (totalRent !== undefined || totalCost !== undefined || gstAmount !== undefined) {
-        // If individual total fields are provided, use working_cost as subtotal
-        const providedGst = gst_amount !== undefined ? gst_amount : (gstAmount !== undefined ? gstAmount : existing.gst_amount);
-        const providedTotal = total_cost !== undefined ? total_cost : (totalCost !== undefined ? totalCost : existing.total_cost);
-        const providedSubtotal = total_rent !== undefined ? total_rent : (totalRent !== undefined ? totalRent : (working_cost || workingCost || existing.working_cost));
-        
-        updatedSubtotal = providedSubtotal;
-        updatedFinalTotal = providedTotal;
-        updatedGstAmount = providedGst;
+      let pricing = null;
+      let pricingMismatches = [];
+      if (hasPricingInputs(req.body)) {
+        const machineRows = await client.query('SELECT equipment_id, quantity FROM quotation_machines WHERE quotation_id = $1', [id]);
+        try {
+          pricing = await calculateQuotationPricing(mergePricingInputs(existing, machineRows.rows, req.body));
+        } catch (pricingError) {
+          return res.status(400).json({
+            success: false,
+            message: `Unable to price quotation: ${pricingError.message}`
+          });
+        }
+        pricingMismatches = findPricingMismatches(pricing.calculations, req.body);
+        if (pricingMismatches.length > 0) {
+          console.warn('⚠️ Quotation pricing mismatch between client and server:', pricingMismatches);
+          if (isStrictPricing(req.body)) {
+            return res.status(409).json({
+              success: false,
+              message: 'Submitted pricing does not match server calculation',
+              data: { calculations: pricing.calculations, mismatches: pricingMismatches }
+            });
+          }
+        }
+        updatedSubtotal = pricing.calculations.subtotal;
+        updatedFinalTotal = pricing.calculations.totalAmount;
+        updatedGstAmount = pricing.calculations.gstAmount;
+      } else {
+        pricingMismatches = findPricingMismatches(storedCalculations(existing), req.body);
+        if (pricingMismatches.length > 0) {
+          console.warn('⚠️ Submitted amounts differ from the stored quotation totals:', pricingMismatches);
+          if (isStrictPricing(req.body)) {
+            return res.status(409).json({
+              success: false,
+              message: 'Submitted amounts do not match the stored quotation totals',
+              data: { calculations: storedCalculations(existing), mismatches: pricingMismatches }
+            });
+          }
+        }
       }
+      const calculated = pricing?.calculations;
       
       console.log('🔧 UPDATE DEBUG: Total calculations:', {
         originalTotalRent: existing.total_rent,
@@ -1165,130 +1965,212 @@ router.put('/:id', async (req, res) => {
         });
       }
       
-      // Update the main quotation record
-      const result = await client.query(`
-        UPDATE quotations 
-        SET 
-          customer_name = $1,
-          customer_contact = $2,
-          machine_type = $3,
-          order_type = $4,
-          number_of_days = $5,
-          working_hours = $6,
-          site_distance = $7,
-          usage = $8,
-          risk_factor = $9,
-          shift = $10,
-          day_night = $11,
-          food_resources = $12,
-          accom_resources = $13,
-          mob_demob = $14,
-          mob_relaxation = $15,
-          extra_charge = $16,
-          other_factors_charge = $17,
-          working_cost = $18,
-          mob_demob_cost = $19,
-          food_accom_cost = $20,
-          risk_adjustment = $21,
-          usage_load_factor = $22,
-          risk_usage_total = $23,
-          gst_amount = $24,
-          total_rent = $25,
-          total_cost = $26,
-          notes = $27,
-          status = $28,
-          incidental_charges = $29,
-          other_factors = $30,
-          billing = $31,
-          include_gst = $32,
-          sunday_working = $33,
-          primary_equipment_id = $34,
-          equipment_snapshot = $35,
-          incident1 = $36,
-          incident2 = $37,
-          incident3 = $38,
-          rigger_amount = $39,
-          helper_amount = $40,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = $41
-        RETURNING *
-      `, [
-        mappedCustomerName, // Use mapped value with fallback
-        customer_contact ? JSON.stringify(customer_contact) : existing.customer_contact,
-        mappedMachineType, // Use mapped value with fallback
-        mappedOrderType || existing.order_type, // Use mapped value with fallback
-        mappedNumberOfDays, // Use mapped value with fallback
-        mappedWorkingHours, // Use mapped value with fallback
-        site_distance || siteDistance || existing.site_distance,
-        usage || existing.usage,
-        risk_factor || riskFactor || existing.risk_factor,
-        finalShift, // Frontend sends correct value directly
-        day_night || dayNight || existing.day_night,
-        food_resources !== undefined ? food_resources : (foodResources !== undefined ? foodResources : existing.food_resources),
-        accom_resources !== undefined ? accom_resources : (accomResources !== undefined ? accomResources : existing.accom_resources),
-        mob_demob !== undefined ? mob_demob : (mobDemob !== undefined ? mobDemob : existing.mob_demob),
-        mob_relaxation !== undefined ? mob_relaxation : (mobRelaxation !== undefined ? mobRelaxation : existing.mob_relaxation),
-        extra_charge !== undefined ? extra_charge : (extraCharge !== undefined ? extraCharge : existing.extra_charge),
-        other_factors_charge !== undefined ? other_factors_charge : (otherFactorsCharge !== undefined ? otherFactorsCharge : existing.other_factors_charge),
-        working_cost !== undefined ? working_cost : (workingCost !== undefined ? workingCost : existing.working_cost),
-        mob_demob_cost !== undefined ? mob_demob_cost : (mobDemobCost !== undefined ? mobDemobCost : existing.mob_demob_cost),
-        food_accom_cost !== undefined ? food_accom_cost : (foodAccomCost !== undefined ? foodAccomCost : existing.food_accom_cost),
-        risk_adjustment !== undefined ? risk_adjustment : (riskAdjustment !== undefined ? riskAdjustment : existing.risk_adjustment),
-        usage_load_factor !== undefined ? usage_load_factor : (usageLoadFactor !== undefined ? usageLoadFactor : existing.usage_load_factor),
-        riskUsageTotal !== undefined ? riskUsageTotal : (calculations?.riskUsageTotal !== undefined ? calculations.riskUsageTotal : existing.risk_usage_total),
-        updatedGstAmount,   // GST amount
-        updatedSubtotal,    // total_rent should be subtotal (before GST)
-        updatedFinalTotal,  // total_cost should be final total (after GST)
-        notes !== undefined ? notes : existing.notes,
-        status || existing.status,
-        parsedIncidentalCharges !== undefined ? parsedIncidentalCharges : existing.incidental_charges,
-        parsedOtherFactors !== undefined ? parsedOtherFactors : existing.other_factors,
-        billing || existing.billing,
-        include_gst !== undefined ? include_gst : (includeGst !== undefined ? includeGst : existing.include_gst),
-        sunday_working !== undefined ? sunday_working : (sundayWorking !== undefined ? sundayWorking : existing.sunday_working),
-        primary_equipment_id || primaryEquipmentId || existing.primary_equipment_id,
-        equipment_snapshot ? JSON.stringify(equipment_snapshot) : (equipmentSnapshot ? JSON.stringify(equipmentSnapshot) : existing.equipment_snapshot),
-        extractIncidentAmount(req.body, 'incident1') !== null ? extractIncidentAmount(req.body, 'incident1') : (incident1 !== undefined ? incident1 : existing.incident1),
-        extractIncidentAmount(req.body, 'incident2') !== null ? extractIncidentAmount(req.body, 'incident2') : (incident2 !== undefined ? incident2 : existing.incident2),
-        extractIncidentAmount(req.body, 'incident3') !== null ? extractIncidentAmount(req.body, 'incident3') : (incident3 !== undefined ? incident3 : existing.incident3),
-        extractOtherFactorsAmount(req.body, 'rigger') !== null ? extractOtherFactorsAmount(req.body, 'rigger') : (rigger_amount_mapped !== undefined ? rigger_amount_mapped : existing.rigger_amount),
-        extractOtherFactorsAmount(req.body, 'helper') !== null ? extractOtherFactorsAmount(req.body, 'helper') : (helper_amount_mapped !== undefined ? helper_amount_mapped : existing.helper_amount),
-        id
-      ]);
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Quotation not found'
-        });
+      // Editing a quotation the customer already has (sent, or sent and expired,
+      // or sent and since moved back to draft) creates a new revision: freeze the
+      // sent state (if not yet frozen), apply the edit as the next version and
+      // snapshot that as well, all in one transaction.
+      const isFrozen = await hasQuotationRevision(client, id, existing.version);
+      const createsRevision = isFrozen || ['sent', 'expired'].includes(existing.status);
+      const nextVersion = createsRevision ? (Number(existing.version) || 1) + 1 : existing.version;
+      const revisionAuthor = req.user?.id || null;
+
+      // Sending, or re-pricing a sent / pending quotation, goes through the discount approval check
+      let targetStatus = status || existing.status;
+      if (targetStatus === 'pending_approval' && (pricing || existing.status !== 'pending_approval')) {
+        targetStatus = 'sent';
       }
+      let approvalGate = null;
+      if (targetStatus === 'sent' && (existing.status !== 'sent' || pricing)) {
+        let gateInputs = pricing?.inputs;
+        if (!gateInputs) {
+          const machineRows = await client.query('SELECT equipment_id, quantity FROM quotation_machines WHERE quotation_id = $1', [id]);
+          gateInputs = mergePricingInputs(existing, machineRows.rows);
+        }
+        approvalGate = await resolveSendStatus(client, { quotationId: id, version: nextVersion, inputs: gateInputs, user: req.user });
+        targetStatus = approvalGate.status;
+      }
+
+      const usesTransaction = createsRevision || approvalGate !== null;
+      if (usesTransaction) {
+        await client.query('BEGIN');
+      }
+
+      try {
+        if (createsRevision && !isFrozen) {
+          await createQuotationRevision(client, id, { createdBy: revisionAuthor, reason: 'Sent to customer' });
+        }
+
+        // Update the main quotation record
+        const result = await client.query(`
+          UPDATE quotations 
+          SET 
+            customer_name = $1,
+            customer_contact = $2,
+            machine_type = $3,
+            order_type = $4,
+            number_of_days = $5,
+            working_hours = $6,
+            site_distance = $7,
+            usage = $8,
+            risk_factor = $9,
+            shift = $10,
+            day_night = $11,
+            food_resources = $12,
+            accom_resources = $13,
+            mob_demob = $14,
+            mob_relaxation = $15,
+            extra_charge = $16,
+            other_factors_charge = $17,
+            working_cost = $18,
+            mob_demob_cost = $19,
+            food_accom_cost = $20,
+            risk_adjustment = $21,
+            usage_load_factor = $22,
+            risk_usage_total = $23,
+            gst_amount = $24,
+            total_rent = $25,
+            total_cost = $26,
+            notes = $27,
+            status = $28,
+            surcharges = $29,
+            other_factors = $30,
+            billing = $31,
+            include_gst = $32,
+            sunday_working = $33,
+            primary_equipment_id = $34,
+            equipment_snapshot = $35,
+            rigger_amount = $36,
+            helper_amount = $37,
+            version = $39,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $38
+          RETURNING *
+        `, [
+          mappedCustomerName, // Use mapped value with fallback
+          customer_contact ? JSON.stringify(customer_contact) : existing.customer_contact,
+          mappedMachineType, // Use mapped value with fallback
+          pricing ? pricing.inputs.orderType : (mappedOrderType || existing.order_type), // Use mapped value with fallback
+          mappedNumberOfDays, // Use mapped value with fallback
+          mappedWorkingHours, // Use mapped value with fallback
+          site_distance || siteDistance || existing.site_distance,
+          usage || existing.usage,
+          risk_factor || riskFactor || existing.risk_factor,
+          finalShift, // Frontend sends correct value directly
+          day_night || dayNight || existing.day_night,
+          food_resources !== undefined ? food_resources : (foodResources !== undefined ? foodResources : existing.food_resources),
+          accom_resources !== undefined ? accom_resources : (accomResources !== undefined ? accomResources : existing.accom_resources),
+          mob_demob !== undefined ? mob_demob : (mobDemob !== undefined ? mobDemob : existing.mob_demob),
+          mob_relaxation !== undefined ? mob_relaxation : (mobRelaxation !== undefined ? mobRelaxation : existing.mob_relaxation),
+          extra_charge !== undefined ? extra_charge : (extraCharge !== undefined ? extraCharge : existing.extra_charge),
+          calculated ? calculated.otherFactorsCost : existing.other_factors_charge,
+          calculated ? calculated.workingCost : existing.working_cost,
+          calculated ? calculated.mobDemobCost : existing.mob_demob_cost,
+          calculated ? calculated.foodAccomCost : existing.food_accom_cost,
+          calculated ? calculated.riskAdjustment : existing.risk_adjustment,
+          calculated ? calculated.usageLoadFactor : existing.usage_load_factor,
+          calculated ? calculated.riskUsageTotal : existing.risk_usage_total,
+          updatedGstAmount,   // GST amount
+          updatedSubtotal,    // total_rent should be subtotal (before GST)
+          updatedFinalTotal,  // total_cost should be final total (after GST)
+          notes !== undefined ? notes : existing.notes,
+          targetStatus,
+          JSON.stringify(pricing ? pricing.surcharges : existing.surcharges),
+          parsedOtherFactors !== undefined ? parsedOtherFactors : existing.other_factors,
+          billing || existing.billing,
+          pricing ? pricing.inputs.includeGst : (include_gst !== undefined ? include_gst : (includeGst !== undefined ? includeGst : existing.include_gst)),
+          sunday_working !== undefined ? sunday_working : (sundayWorking !== undefined ? sundayWorking : existing.sunday_working),
+          primary_equipment_id || primaryEquipmentId || existing.primary_equipment_id,
+          equipment_snapshot ? JSON.stringify(equipment_snapshot) : (equipmentSnapshot ? JSON.stringify(equipmentSnapshot) : existing.equipment_snapshot),
+          pricing ? pricing.riggerAmount : (extractOtherFactorsAmount(req.body, 'rigger') !== null ? extractOtherFactorsAmount(req.body, 'rigger') : (rigger_amount_mapped !== undefined ? rigger_amount_mapped : existing.rigger_amount)),
+          pricing ? pricing.helperAmount : (extractOtherFactorsAmount(req.body, 'helper') !== null ? extractOtherFactorsAmount(req.body, 'helper') : (helper_amount_mapped !== undefined ? helper_amount_mapped : existing.helper_amount)),
+          id,
+          nextVersion
+        ]);
       
-      // Update quotation machines
-      if (selectedMachines && Array.isArray(selectedMachines)) {
-        // Delete existing machines
-        await client.query('DELETE FROM quotation_machines WHERE quotation_id = $1', [id]);
+        // Update quotation machines with the rates the pricing engine applied
+        if (pricing) {
+          // Delete existing machines
+          await client.query('DELETE FROM quotation_machines WHERE quotation_id = $1', [id]);
         
-        // Insert updated machines
-        for (const machine of selectedMachines) {
-          await client.query(`
-            INSERT INTO quotation_machines (
-              quotation_id, equipment_id, quantity, base_rate, running_cost_per_km
-            ) VALUES ($1, $2, $3, $4, $5)
-          `, [
-            id,
-            machine.id || machine.equipmentId,
-            machine.quantity || 1,
-            machine.baseRate || 0,
-            machine.runningCostPerKm || 0
-          ]);
+          // Insert updated machines
+          for (const machine of pricing.machines) {
+            await client.query(`
+              INSERT INTO quotation_machines (
+                quotation_id, equipment_id, quantity, base_rate, running_cost_per_km, rate_card_id
+              ) VALUES ($1, $2, $3, $4, $5, $6)
+            `, [
+              id,
+              machine.id,
+              machine.quantity,
+              machine.baseRate,
+              machine.runningCostPerKm,
+              machine.rateCardId
+            ]);
+          }
         }
-      }
+
+        // Keep the CGST/SGST/IGST split in line with the stored GST amount and customer
+        const updatedRow = result.rows[0];
+        const tax = await saveQuotationTax(client, id, await resolveQuotationTax(client, {
+          customerId: updatedRow.customer_id,
+          gstRate: pricing ? pricing.factors.gstRate : getTaxBreakdown(existing).rate,
+          gstAmount: updatedRow.gst_amount
+        }));
       
-      return res.status(200).json({
-        success: true,
-        message: 'Quotation updated successfully',
-        data: result.rows[0]
-      });
+        if (targetStatus === 'sent' && existing.status !== 'sent') {
+          await startValidityPeriod(client, id);
+        }
+
+        let revision = null;
+        if (targetStatus === 'sent' && usesTransaction) {
+          revision = await createQuotationRevision(client, id, {
+            createdBy: revisionAuthor,
+            reason: createsRevision ? (req.body.revisionReason || req.body.changeReason || null) : 'Sent to customer'
+          });
+        }
+
+        let approval = null;
+        if (targetStatus === 'pending_approval' && approvalGate) {
+          approval = await createApprovalRequest(client, { quotationId: id, version: nextVersion, evaluation: approvalGate.evaluation, user: req.user });
+        } else if (existing.status === 'pending_approval' && targetStatus !== 'pending_approval') {
+          await client.query(`UPDATE quotation_approvals SET status = 'superseded' WHERE quotation_id = $1 AND status = 'pending'`, [id]);
+        }
+
+        if (usesTransaction) {
+          await client.query('COMMIT');
+        }
+
+        if (approval) {
+          await notifyApprovalRequired(result.rows[0], approval);
+        }
+
+        let message = 'Quotation updated successfully';
+        if (approval) {
+          message = 'Discount exceeds your approval limit; quotation is pending approval';
+        } else if (revision) {
+          message = `Quotation updated as revision ${revision.label}`;
+        }
+      
+        return res.status(200).json({
+          success: true,
+          message,
+          data: {
+            ...result.rows[0],
+            revision,
+            approval,
+            tax,
+            discount: approvalGate?.evaluation || null,
+            calculations: calculated || null,
+            pricingMismatches,
+            pricingWarnings: pricing ? pricing.warnings : []
+          }
+        });
+      } catch (updateError) {
+        if (usesTransaction) {
+          await client.query('ROLLBACK');
+        }
+        throw updateError;
+      }
       
     } finally {
       client.release();
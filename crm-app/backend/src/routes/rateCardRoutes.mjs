@@ -0,0 +1,255 @@
+/**
+ * Rate Card Routes
+ * Effective-dated list and customer-negotiated rate cards of cranes
+ */
+
+import express from 'express';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import pool from '../lib/dbConnection.js';
+import {
+  RATE_TYPES,
+  countRateCardQuotations,
+  createRateCard,
+  deleteRateCard,
+  findOverlappingRateCards,
+  getRateCard,
+  listRateCards,
+  resolveRates,
+  updateRateCard,
+  validateRateCard
+} from '../services/rateCardService.js';
+import { getEquipmentById } from '../services/postgres/equipmentRepository.js';
+
+const router = express.Router();
+
+const RATE_CARD_READ_ROLES = ['admin', 'sales_agent', 'operations_manager'];
+const RATE_CARD_WRITE_ROLES = ['admin', 'operations_manager'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const serverError = (res, action, error) => {
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+const overlapResponse = (res, overlapping) => res.status(409).json({
+  success: false,
+  message: `These dates overlap the rate card from ${overlapping[0].effectiveFrom}${overlapping[0].effectiveTo ? ` to ${overlapping[0].effectiveTo}` : ''}; end it first`,
+  data: { overlapping }
+});
+
+// `rates` replaces all four rates, so one left out is cleared
+const sameRates = (current, rates) => RATE_TYPES.every(type => {
+  const value = rates[type];
+  return current[type] === (value === undefined || value === null || value === '' ? null : Number(value));
+});
+
+const cardFields = (body) => ({
+  name: body.name !== undefined ? String(body.name || '').trim() : undefined,
+  rates: body.rates,
+  effectiveFrom: body.effectiveFrom,
+  effectiveTo: body.effectiveTo,
+  notes: body.notes
+});
+
+/**
+ * GET /api/rate-cards
+ * Query: equipmentId?, customerId?, list=true for list cards only,
+ * activeOn=YYYY-MM-DD for the cards in force that day
+ */
+router.get('/', authenticateToken, authorizeRoles(RATE_CARD_READ_ROLES), async (req, res) => {
+  try {
+    const { equipmentId, customerId, activeOn } = req.query;
+    if (activeOn && !DATE_PATTERN.test(activeOn)) {
+      return res.status(400).json({
+        success: false,
+        message: 'activeOn must be a date (YYYY-MM-DD)'
+      });
+    }
+    const rateCards = await listRateCards(pool, {
+      equipmentId: equipmentId || null,
+      customerId: customerId || null,
+      listOnly: req.query.list === 'true',
+      activeOn: activeOn || null
+    });
+    return res.status(200).json({
+      success: true,
+      data: rateCards
+    });
+  } catch (error) {
+    return serverError(res, 'fetching rate cards', error);
+  }
+});
+
+/**
+ * GET /api/rate-cards/resolve?equipmentId=&customerId=&date=
+ * The rates a quotation for the customer on the date (default today) would
+ * use, with the card each one comes from
+ */
+router.get('/resolve', authenticateToken, authorizeRoles(RATE_CARD_READ_ROLES), async (req, res) => {
+  try {
+    const { equipmentId, customerId, date } = req.query;
+    if (!equipmentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'equipmentId is required'
+      });
+    }
+    if (date && !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a date (YYYY-MM-DD)'
+      });
+    }
+    const equipment = await getEquipmentById(equipmentId);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+    const resolved = await resolveRates(pool, [equipment], { customerId: customerId || null, quoteDate: date || null });
+    return res.status(200).json({
+      success: true,
+      data: { equipmentId, customerId: customerId || null, date: date || null, ...resolved.get(equipment.id) }
+    });
+  } catch (error) {
+    return serverError(res, 'resolving rates', error);
+  }
+});
+
+/**
+ * POST /api/rate-cards
+ * Body: { equipmentId, customerId? (omit for list rates), name?, rates:
+ * { micro?, small?, monthly?, yearly? }, effectiveFrom, effectiveTo?, notes? }
+ */
+router.post('/', authenticateToken, authorizeRoles(RATE_CARD_WRITE_ROLES), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = { ...cardFields(body), equipmentId: body.equipmentId, customerId: body.customerId || null };
+    const validationError = validateRateCard(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    const references = await pool.query(`
+      SELECT (SELECT 1 FROM equipment WHERE id = $1) AS equipment,
+             (SELECT 1 FROM customers WHERE id = $2) AS customer
+    `, [fields.equipmentId, fields.customerId]);
+    if (!references.rows[0].equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+    if (fields.customerId && !references.rows[0].customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const overlapping = await findOverlappingRateCards(pool, fields);
+    if (overlapping.length > 0) return overlapResponse(res, overlapping);
+
+    const rateCard = await createRateCard(pool, fields, { user: req.user });
+    return res.status(201).json({
+      success: true,
+      message: 'Rate card created',
+      data: rateCard
+    });
+  } catch (error) {
+    return serverError(res, 'creating rate card', error);
+  }
+});
+
+/**
+ * PUT /api/rate-cards/:id
+ * Change a card's name, rates, dates or notes. Once quotations were priced
+ * from a card only its end date, name and notes can change: end it and add a
+ * new card instead.
+ */
+router.put('/:id', authenticateToken, authorizeRoles(RATE_CARD_WRITE_ROLES), async (req, res) => {
+  try {
+    const existing = await getRateCard(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    const changes = cardFields(req.body || {});
+    const merged = {
+      ...existing,
+      name: changes.name ?? existing.name,
+      rates: changes.rates ?? existing.rates,
+      effectiveFrom: changes.effectiveFrom ?? existing.effectiveFrom,
+      effectiveTo: changes.effectiveTo !== undefined ? changes.effectiveTo || null : existing.effectiveTo
+    };
+    const validationError = validateRateCard(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const quotations = await countRateCardQuotations(pool, existing.id);
+    const ratesChanged = changes.rates !== undefined && !sameRates(existing.rates, changes.rates);
+    if (quotations > 0 && (ratesChanged || merged.effectiveFrom !== existing.effectiveFrom)) {
+      return res.status(409).json({
+        success: false,
+        message: `${quotations} quotation(s) were priced from this rate card; set its end date and add a new card for the new rates`
+      });
+    }
+
+    const overlapping = await findOverlappingRateCards(pool, { ...merged, excludeId: existing.id });
+    if (overlapping.length > 0) return overlapResponse(res, overlapping);
+
+    const rateCard = await updateRateCard(pool, existing.id, changes);
+    return res.status(200).json({
+      success: true,
+      message: 'Rate card updated',
+      data: rateCard
+    });
+  } catch (error) {
+    return serverError(res, 'updating rate card', error);
+  }
+});
+
+/**
+ * DELETE /api/rate-cards/:id
+ * Only cards no quotation was priced from; end the others instead
+ */
+router.delete('/:id', authenticateToken, authorizeRoles(RATE_CARD_WRITE_ROLES), async (req, res) => {
+  try {
+    const quotations = await countRateCardQuotations(pool, req.params.id);
+    if (quotations > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${quotations} quotation(s) were priced from this rate card; set its end date instead`
+      });
+    }
+    const deleted = await deleteRateCard(pool, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      message: 'Rate card deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'deleting rate card', error);
+  }
+});
+
+export default router;
@@ -0,0 +1,352 @@
+/**
+ * Site Assessment Routes
+ * Site assessments with their constraint checklist, photos and videos, and
+ * the quotations priced on them
+ */
+
+import express from 'express';
+import { authenticateToken, authorizeRoles } from '../middleware/authMiddleware.mjs';
+import { createDocumentUpload, sendStoredFile } from '../middleware/documentUpload.mjs';
+import pool from '../lib/dbConnection.js';
+import {
+  MAX_MEDIA_SIZE_MB,
+  MEDIA_MIME_TYPES,
+  addAssessmentMedia,
+  createSiteAssessment,
+  deleteAssessmentMedia,
+  deleteSiteAssessment,
+  getAssessmentMedia,
+  getSiteAssessment,
+  listSiteAssessments,
+  resolveAssessmentLinks,
+  setQuotationAssessment,
+  updateSiteAssessment,
+  validateAssessment,
+  validateMediaCaption
+} from '../services/siteAssessmentService.js';
+
+const router = express.Router();
+
+const ASSESSMENT_WRITE_ROLES = ['admin', 'sales_agent', 'operations_manager', 'operator'];
+const ASSESSMENT_READ_ROLES = ['admin', 'sales_agent', 'operations_manager', 'operator', 'support'];
+const QUOTATION_ROLES = ['admin', 'sales_agent', 'operations_manager'];
+
+const { uploadFile, storedFile, removeFile } = createDocumentUpload('uploads/site-assessments', {
+  mimeTypes: MEDIA_MIME_TYPES,
+  maxFileSizeMb: MAX_MEDIA_SIZE_MB,
+  withThumbnail: true
+});
+
+const serverError = (res, action, error) => {
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+const notFound = (res, message = 'Site assessment not found') => res.status(404).json({
+  success: false,
+  message
+});
+
+const text = (value) => (value !== undefined && value !== null ? String(value).trim() : value);
+
+const assessmentFields = (body) => ({
+  title: text(body.title),
+  description: text(body.description),
+  customerId: body.customerId,
+  leadId: body.leadId,
+  jobId: body.jobId,
+  location: text(body.location),
+  constraints: body.constraints,
+  notes: text(body.notes),
+  groundType: body.groundType,
+  groundBearingCapacity: body.groundBearingCapacity,
+  groundMatsRequired: body.groundMatsRequired,
+  overheadLinesPresent: body.overheadLinesPresent,
+  overheadLineClearanceM: body.overheadLineClearanceM,
+  overheadLineVoltageKv: body.overheadLineVoltageKv,
+  accessWidthM: body.accessWidthM,
+  accessHeightM: body.accessHeightM,
+  slopeDegrees: body.slopeDegrees,
+  constraintNotes: body.constraintNotes,
+  liftLoadTons: body.liftLoadTons,
+  liftRadiusM: body.liftRadiusM,
+  liftHeightM: body.liftHeightM
+});
+
+/**
+ * GET /api/site-assessments
+ * Query: customerId?, leadId?, jobId?, quotationId?, search?
+ */
+router.get('/', authenticateToken, authorizeRoles(ASSESSMENT_READ_ROLES), async (req, res) => {
+  try {
+    const assessments = await listSiteAssessments(pool, {
+      customerId: req.query.customerId || null,
+      leadId: req.query.leadId || null,
+      jobId: req.query.jobId || null,
+      quotationId: req.query.quotationId || null,
+      search: req.query.search || null
+    });
+    return res.status(200).json({
+      success: true,
+      data: assessments
+    });
+  } catch (error) {
+    return serverError(res, 'fetching site assessments', error);
+  }
+});
+
+/**
+ * GET /api/site-assessments/:id
+ * The assessment with its media and the quotations priced on it
+ */
+router.get('/:id', authenticateToken, authorizeRoles(ASSESSMENT_READ_ROLES), async (req, res) => {
+  try {
+    const assessment = await getSiteAssessment(pool, req.params.id);
+    if (!assessment) return notFound(res);
+    return res.status(200).json({
+      success: true,
+      data: assessment
+    });
+  } catch (error) {
+    return serverError(res, 'fetching site assessment', error);
+  }
+});
+
+/**
+ * POST /api/site-assessments
+ * Body: { title, location, customerId? | leadId? | jobId?, description?,
+ * notes?, constraints?, groundType?, groundBearingCapacity?,
+ * groundMatsRequired?, overheadLinesPresent?, overheadLineClearanceM?,
+ * overheadLineVoltageKv?, accessWidthM?, accessHeightM?, slopeDegrees?,
+ * constraintNotes?, liftLoadTons?, liftRadiusM?, liftHeightM? }
+ */
+router.post('/', authenticateToken, authorizeRoles(ASSESSMENT_WRITE_ROLES), async (req, res) => {
+  try {
+    const fields = assessmentFields(req.body || {});
+    const validationError = validateAssessment(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const links = await resolveAssessmentLinks(pool, fields);
+    if (links.status) {
+      return res.status(links.status).json({
+        success: false,
+        message: links.message
+      });
+    }
+
+    const assessment = await createSiteAssessment(pool, links.fields, { user: req.user });
+    return res.status(201).json({
+      success: true,
+      message: 'Site assessment saved',
+      data: assessment
+    });
+  } catch (error) {
+    return serverError(res, 'creating site assessment', error);
+  }
+});
+
+/**
+ * PUT /api/site-assessments/:id
+ * Change any of the fields accepted on create
+ */
+router.put('/:id', authenticateToken, authorizeRoles(ASSESSMENT_WRITE_ROLES), async (req, res) => {
+  try {
+    const existing = await getSiteAssessment(pool, req.params.id);
+    if (!existing) return notFound(res);
+
+    const changes = assessmentFields(req.body || {});
+    const validationError = validateAssessment(changes, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    const linked = ['customerId', 'leadId', 'jobId'].map(field => (changes[field] !== undefined ? changes[field] : existing[field]));
+    if (linked.every(value => !value)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An assessment needs a customer, lead or job'
+      });
+    }
+
+    const links = await resolveAssessmentLinks(pool, changes);
+    if (links.status) {
+      return res.status(links.status).json({
+        success: false,
+        message: links.message
+      });
+    }
+
+    const assessment = await updateSiteAssessment(pool, existing.id, links.fields);
+    return res.status(200).json({
+      success: true,
+      message: 'Site assessment updated',
+      data: assessment
+    });
+  } catch (error) {
+    return serverError(res, 'updating site assessment', error);
+  }
+});
+
+/**
+ * DELETE /api/site-assessments/:id
+ * Removes the assessment and its stored media
+ */
+router.delete('/:id', authenticateToken, authorizeRoles(ASSESSMENT_WRITE_ROLES), async (req, res) => {
+  try {
+    const filePaths = await deleteSiteAssessment(pool, req.params.id);
+    if (!filePaths) return notFound(res);
+    filePaths.forEach(removeFile);
+    return res.status(200).json({
+      success: true,
+      message: 'Site assessment deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'deleting site assessment', error);
+  }
+});
+
+/**
+ * POST /api/site-assessments/:id/media
+ * Multipart body: file (JPEG, PNG, WebP, MP4 or QuickTime), thumbnail? (an
+ * image made by the browser), caption?
+ */
+router.post('/:id/media', authenticateToken, authorizeRoles(ASSESSMENT_WRITE_ROLES), uploadFile, async (req, res) => {
+  const file = storedFile(req.file);
+  const thumbnail = storedFile(req.files?.thumbnail?.[0]);
+  const discardUpload = () => {
+    removeFile(file?.path);
+    removeFile(thumbnail?.path);
+  };
+  try {
+    const validationError = file ? validateMediaCaption(req.body?.caption) : 'A photo or video file is required';
+    if (validationError) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const assessment = await pool.query('SELECT 1 FROM site_assessments WHERE id = $1', [req.params.id]);
+    if (assessment.rows.length === 0) {
+      discardUpload();
+      return notFound(res);
+    }
+
+    const media = await addAssessmentMedia(pool, req.params.id, { caption: req.body?.caption }, { file, thumbnail, user: req.user });
+    return res.status(201).json({
+      success: true,
+      message: media.mediaType === 'video' ? 'Video added' : 'Photo added',
+      data: media
+    });
+  } catch (error) {
+    discardUpload();
+    return serverError(res, 'adding site assessment media', error);
+  }
+});
+
+/**
+ * DELETE /api/site-assessments/media/:mediaId
+ */
+router.delete('/media/:mediaId', authenticateToken, authorizeRoles(ASSESSMENT_WRITE_ROLES), async (req, res) => {
+  try {
+    const media = await getAssessmentMedia(pool, req.params.mediaId);
+    if (!media) return notFound(res, 'Media not found');
+    await deleteAssessmentMedia(pool, media.id);
+    removeFile(media.filePath);
+    removeFile(media.thumbnailPath);
+    return res.status(200).json({
+      success: true,
+      message: 'Media deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'deleting site assessment media', error);
+  }
+});
+
+/**
+ * GET /api/site-assessments/media/:mediaId/file
+ * Download a photo or video
+ */
+router.get('/media/:mediaId/file', authenticateToken, authorizeRoles(ASSESSMENT_READ_ROLES), async (req, res) => {
+  try {
+    const media = await getAssessmentMedia(pool, req.params.mediaId);
+    if (!media) return notFound(res, 'Media not found');
+    return sendStoredFile(res, { filePath: media.filePath, fileName: media.fileName, mimeType: media.fileMimeType });
+  } catch (error) {
+    return serverError(res, 'downloading site assessment media', error);
+  }
+});
+
+/**
+ * GET /api/site-assessments/media/:mediaId/thumbnail
+ * Thumbnail of a photo or video; photos without one get the photo itself
+ */
+router.get('/media/:mediaId/thumbnail', authenticateToken, authorizeRoles(ASSESSMENT_READ_ROLES), async (req, res) => {
+  try {
+    const media = await getAssessmentMedia(pool, req.params.mediaId);
+    if (!media) return notFound(res, 'Media not found');
+    if (media.thumbnailPath) {
+      return sendStoredFile(res, { filePath: media.thumbnailPath, fileName: `thumbnail-${media.id}.jpg`, mimeType: 'image/jpeg' });
+    }
+    if (media.mediaType === 'image') {
+      return sendStoredFile(res, { filePath: media.filePath, fileName: media.fileName, mimeType: media.fileMimeType });
+    }
+    return notFound(res, 'This video has no thumbnail');
+  } catch (error) {
+    return serverError(res, 'downloading site assessment thumbnail', error);
+  }
+});
+
+/**
+ * PUT /api/site-assessments/:id/quotations/:quotationId
+ * Price the quotation on this assessment, replacing any it had
+ */
+router.put('/:id/quotations/:quotationId', authenticateToken, authorizeRoles(QUOTATION_ROLES), async (req, res) => {
+  try {
+    const assessment = await getSiteAssessment(pool, req.params.id);
+    if (!assessment) return notFound(res);
+    const attached = await setQuotationAssessment(pool, req.params.quotationId, assessment.id);
+    if (!attached) return notFound(res, 'Quotation not found');
+    return res.status(200).json({
+      success: true,
+      message: 'Site assessment attached to the quotation',
+      data: await getSiteAssessment(pool, assessment.id)
+    });
+  } catch (error) {
+    return serverError(res, 'attaching site assessment to quotation', error);
+  }
+});
+
+/**
+ * DELETE /api/site-assessments/:id/quotations/:quotationId
+ */
+router.delete('/:id/quotations/:quotationId', authenticateToken, authorizeRoles(QUOTATION_ROLES), async (req, res) => {
+  try {
+    const assessment = await getSiteAssessment(pool, req.params.id);
+    if (!assessment) return notFound(res);
+    if (!assessment.quotations.some(quotation => quotation.id === req.params.quotationId)) {
+      return notFound(res, 'The quotation is not priced on this assessment');
+    }
+    await setQuotationAssessment(pool, req.params.quotationId, null);
+    return res.status(200).json({
+      success: true,
+      message: 'Site assessment detached from the quotation',
+      data: await getSiteAssessment(pool, assessment.id)
+    });
+  } catch (error) {
+    return serverError(res, 'detaching site assessment from quotation', error);
+  }
+});
+
+export default router;
@@ -40,6 +40,14 @@ import dbConfigRoutes from './routes/dbConfigRoutes.mjs';
 import enhancedTemplateRoutes from './routes/enhancedTemplateRoutes.mjs';
 import quotationPrintRoutes from './routes/quotationPrintRoutes.mjs';
 import quotationPreviewRoutes from './routes/quotationPreviewRoutes.mjs';
+import quotationAcceptanceRoutes from './routes/quotationAcceptanceRoutes.mjs';
+import invoiceRoutes from './routes/invoiceRoutes.mjs';
+import maintenanceRoutes from './routes/maintenanceRoutes.mjs';
+import equipmentDocumentRoutes from './routes/equipmentDocumentRoutes.mjs';
+import rateCardRoutes from './routes/rateCardRoutes.mjs';
+import jobLogRoutes from './routes/jobLogRoutes.mjs';
+import jobCompletionReportRoutes from './routes/jobCompletionReportRoutes.mjs';
+import siteAssessmentRoutes from './routes/siteAssessmentRoutes.mjs';
 import templateMaintenanceRoutes from './routes/templateMaintenanceRoutes.mjs';
 
 // Import AI routes for CrewAI integration
@@ -48,6 +56,8 @@ import crewaiCloudRoutes from './routes/crewaiCloudRoutes.mjs';
 
 // Import notification engine
 import notificationEngine from './services/notificationEngine.js';
+import { startQuotationValidityScheduler } from './services/quotationValidityService.js';
+import { startMaintenanceScheduler } from './services/equipmentMaintenanceService.js';
 
 // Load environment variables
 dotenv.config();
@@ -68,6 +78,10 @@ try {
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
+
+// Requests arrive through a single nginx hop; trust its X-Forwarded-For so
+// req.ip (rate limiting, acceptance audit) is the client's address
+app.set('trust proxy', 1);
 const isProduction = process.env.NODE_ENV === 'production';
 
 console.log(`Environment check: NODE_ENV=${process.env.NODE_ENV || 'undefined'}, isProduction=${isProduction}`);
@@ -187,9 +201,16 @@ app.use('/api/leads', leadsRoutes);
 app.use('/api/quotations', quotationRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/equipment', equipmentRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/equipment-documents', equipmentDocumentRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/job-logs', jobLogRoutes);
+app.use('/api/job-reports', jobCompletionReportRoutes);
+app.use('/api/site-assessments', siteAssessmentRoutes);
+app.use('/api/invoices', invoiceRoutes);
 app.use('/api/operators', operatorRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/notifications', notificationRoutes);
@@ -216,6 +237,19 @@ console.log('🔧 Mounting /api/quotations-preview routes...');
 app.use('/api/quotations-preview', quotationPreviewRoutes);
 console.log('✅ Quotation preview routes mounted successfully');
 
+// Mount public customer acceptance portal routes (token-authenticated, rate limited)
+const publicQuotationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: {
+    error: 'Too many requests from this IP',
+    retryAfter: 15 * 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+app.use('/api/public/quotations', publicQuotationLimiter, quotationAcceptanceRoutes);
+
 // Mount template maintenance routes
 console.log('🔧 Mounting /api/templates maintenance routes...');
 app.use('/api/templates', templateMaintenanceRoutes);
@@ -263,6 +297,20 @@ const server = app.listen(PORT, async () => {
   } catch (error) {
     console.error('❌ Failed to initialize Notification Engine:', error.message);
   }
+
+  // Expire stale quotations and send expiry reminders
+  try {
+    await startQuotationValidityScheduler();
+  } catch (error) {
+    console.error('❌ Failed to start quotation validity job:', error.message);
+  }
+
+  // Start planned maintenance and send maintenance due alerts
+  try {
+    await startMaintenanceScheduler();
+  } catch (error) {
+    console.error('❌ Failed to start maintenance job:', error.message);
+  }
   
   if (!isProduction) {
     console.log('\nAvailable endpoints:');
@@ -186,6 +186,14 @@ export class AdvancedPDFGenerator {
     return this.generatePDF(watermarkedHTML, pdfOptions);
   }
 
+  /**
+   * Generate PDF with a customer signature block stamped at the end
+   */
+  async generatePDFWithSignature(htmlContent, signature, pdfOptions = {}) {
+    const signedHTML = this.addSignatureToHTML(htmlContent, signature);
+    return this.generatePDF(signedHTML, pdfOptions);
+  }
+
   /**
    * Generate multi-page PDF with headers and footers
    */
@@ -441,6 +449,43 @@ export class AdvancedPDFGenerator {
     }
   }
 
+  /**
+   * Add a customer signature block to HTML content.
+   * `signature` is a quotation acceptance: signerName, signerEmail, signatureType
+   * ('typed' | 'drawn'), signatureData, comment, ipAddress, signedAt, decision.
+   */
+  addSignatureToHTML(htmlContent, signature) {
+    const escape = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const signatureMark = signature.signatureType === 'drawn'
+      ? `<img src="${escape(signature.signatureData)}" alt="Signature" style="max-height: 70px; max-width: 260px;" />`
+      : `<span style="font-family: 'Brush Script MT', 'Segoe Script', cursive; font-size: 28px;">${escape(signature.signatureData)}</span>`;
+
+    const signedAt = signature.signedAt ? new Date(signature.signedAt) : new Date();
+    const decisionLabel = signature.decision === 'rejected' ? 'Rejected' : 'Accepted';
+
+    const signatureHTML = `
+      <div class="customer-signature" style="page-break-inside: avoid; margin: 24px 0; padding: 16px; border: 1px solid #d1d5db; border-radius: 6px; font-family: Arial, sans-serif; font-size: 12px; color: #111827;">
+        <div style="font-weight: bold; font-size: 14px; margin-bottom: 8px;">Customer ${decisionLabel}</div>
+        <div style="border-bottom: 1px solid #9ca3af; padding-bottom: 4px; margin-bottom: 8px; min-height: 40px;">${signatureMark}</div>
+        <div>${decisionLabel} by <strong>${escape(signature.signerName)}</strong>${signature.signerEmail ? ` (${escape(signature.signerEmail)})` : ''}</div>
+        <div>Signed on ${escape(signedAt.toLocaleString('en-IN'))}${signature.ipAddress ? ` from IP ${escape(signature.ipAddress)}` : ''}</div>
+        ${signature.comment ? `<div style="margin-top: 6px;"><strong>Comment:</strong> ${escape(signature.comment)}</div>` : ''}
+      </div>
+    `;
+
+    // Stamp the block after the document content
+    if (htmlContent.includes('</body>')) {
+      return htmlContent.replace('</body>', () => `${signatureHTML}</body>`);
+    } else {
+      return `${htmlContent}${signatureHTML}`;
+    }
+  }
+
   /**
    * Optimize HTML for PDF rendering
    */
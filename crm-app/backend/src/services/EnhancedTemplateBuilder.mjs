@@ -648,7 +648,7 @@ export class EnhancedTemplateBuilder {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Quotation ${data.quotation?.number || 'Preview'}</title>
+    <title>${data.invoice ? `Invoice ${data.invoice.number || 'Draft'}` : `Quotation ${data.quotation?.number || 'Preview'}`}</title>
     <style>
         ${this.generateCSS(theme, options)}
     </style>
@@ -858,11 +858,11 @@ export class EnhancedTemplateBuilder {
       { key: 'rental', label: 'Total Rental', width: '12%', alignment: 'right' }
     ];
     
-    // Filter columns based on element configuration
+    // Filter columns based on element configuration; a string value renames the column
     const columnConfig = element.content?.columns || {};
-    const columns = defaultColumns.filter(col => 
-      columnConfig[col.key] !== false // Show column if not explicitly disabled
-    );
+    const columns = defaultColumns
+      .filter(col => columnConfig[col.key] !== false) // Show column if not explicitly disabled
+      .map(col => (typeof columnConfig[col.key] === 'string' ? { ...col, label: columnConfig[col.key] } : col));
 
     return `
       <div class="element-items-table" style="${this.generateElementStyle(element.style || {})}">
@@ -923,8 +923,16 @@ export class EnhancedTemplateBuilder {
       { label: 'Total', value: '{{totals.total}}', showIf: 'always', emphasized: true }
     ];
     
+    // A plain tax field expands into the quotation's CGST/SGST or IGST lines
+    const taxLines = data?.tax?.lines || [];
+    const expandedFields = fields.flatMap(field => (
+      field.value === '{{totals.tax}}' && taxLines.length > 0
+        ? taxLines.map(line => ({ ...field, label: line.label, value: line.value }))
+        : [field]
+    ));
+
     // Process placeholders in field labels and values so dynamic labels like Tax ({{tax.rate}}%) render properly
-    const processedFields = fields.map(field => ({
+    const processedFields = expandedFields.map(field => ({
       ...field,
       label: this.replacePlaceholders(field.label || '', data),
       value: this.replacePlaceholders(field.value, data)
@@ -1040,6 +1048,7 @@ export class EnhancedTemplateBuilder {
       .replace(/\{\{client\.address\}\}/g, data?.client?.address || data?.customer?.address || 'Client Address')
       .replace(/\{\{client\.phone\}\}/g, data?.client?.phone || data?.customer?.phone || 'Client Phone')
       .replace(/\{\{client\.email\}\}/g, data?.client?.email || data?.customer?.email || 'client@email.com')
+      .replace(/\{\{client\.gstin\}\}/g, data?.client?.gstin || data?.customer?.gstin || '')
       
       // Company placeholders
       .replace(/\{\{company\.name\}\}/g, data?.company?.name || 'ASP CRANES')
@@ -1047,6 +1056,7 @@ export class EnhancedTemplateBuilder {
       .replace(/\{\{company\.phone\}\}/g, data?.company?.phone || 'Company Phone')
       .replace(/\{\{company\.email\}\}/g, data?.company?.email || 'company@email.com')
       .replace(/\{\{company\.website\}\}/g, data?.company?.website || 'www.company.com')
+      .replace(/\{\{company\.gstin\}\}/g, data?.company?.gstNumber || '')
       
       // User/Prepared by placeholders
       .replace(/\{\{prepared_by\}\}/g, data?.prepared_by || data?.user?.name || data?.quotation?.created_by || 'Sales Representative')
@@ -1062,7 +1072,14 @@ export class EnhancedTemplateBuilder {
       .replace(/\{\{totals\.tax\}\}/g, data?.totals?.tax || '₹0')
       .replace(/\{\{totals\.total\}\}/g, data?.totals?.total || '₹0')
       .replace(/\{\{totals\.discount\}\}/g, data?.totals?.discount || '₹0')
-      .replace(/\{\{tax\.rate\}\}/g, (data?.tax?.rate !== undefined ? data.tax.rate : (data?.quotation?.taxRate || 18)) + '');
+      .replace(/\{\{totals\.cgst\}\}/g, data?.totals?.cgst || '₹0')
+      .replace(/\{\{totals\.sgst\}\}/g, data?.totals?.sgst || '₹0')
+      .replace(/\{\{totals\.igst\}\}/g, data?.totals?.igst || '₹0')
+      .replace(/\{\{tax\.rate\}\}/g, (data?.tax?.rate !== undefined ? data.tax.rate : (data?.quotation?.taxRate || 18)) + '')
+      .replace(/\{\{tax\.cgstRate\}\}/g, (data?.tax?.cgstRate ?? 0) + '')
+      .replace(/\{\{tax\.sgstRate\}\}/g, (data?.tax?.sgstRate ?? 0) + '')
+      .replace(/\{\{tax\.igstRate\}\}/g, (data?.tax?.igstRate ?? 0) + '')
+      .replace(/\{\{tax\.placeOfSupply\}\}/g, data?.tax?.placeOfSupply || '');
       
     console.log('🔍 [DEBUG] Result after replacement:', result);
     return result;
@@ -1266,6 +1283,14 @@ export class EnhancedTemplateBuilder {
       });
     }
 
+    // Replace invoice variables
+    if (data.invoice) {
+      Object.entries(data.invoice).forEach(([key, value]) => {
+        const regex = new RegExp(`{{invoice\\.${key}}}`, 'g');
+        processedHtml = processedHtml.replace(regex, value || '');
+      });
+    }
+
     // Replace totals variables
     if (data.totals) {
       Object.entries(data.totals).forEach(([key, value]) => {
@@ -1302,6 +1327,10 @@ export class EnhancedTemplateBuilder {
       case 'always': return true;
       case 'hasDiscount': return parseAmount(data.totals?.discount) > 0;
       case 'hasTax': return parseAmount(data.totals?.tax) > 0;
+      case 'hasCgst': return parseAmount(data.totals?.cgst) > 0;
+      case 'hasSgst': return parseAmount(data.totals?.sgst) > 0;
+      case 'hasIgst': return parseAmount(data.totals?.igst) > 0;
+      case 'hasPayments': return parseAmount(data.totals?.amountPaid) > 0;
       case 'hasFoodAccom': return parseAmount(data.totals?.foodAccomCost) > 0;
       case 'hasUsageLoad': return parseAmount(data.totals?.usageLoadFactor) > 0;
       case 'hasRiskAdjustment': return parseAmount(data.totals?.riskAdjustment) > 0;
@@ -1355,10 +1384,24 @@ export class EnhancedTemplateBuilder {
           mobDemob: '₹20,000'
         }
       ],
+      tax: {
+        rate: 18,
+        supplyType: 'intra_state',
+        placeOfSupply: 'Maharashtra (27)',
+        cgstRate: 9,
+        sgstRate: 9,
+        igstRate: 0,
+        lines: [
+          { key: 'cgst', label: 'CGST (9%)', value: '₹72,000' },
+          { key: 'sgst', label: 'SGST (9%)', value: '₹72,000' }
+        ]
+      },
       totals: {
         subtotal: '₹8,25,000',
         discount: '₹25,000',
         tax: '₹1,44,000',
+        cgst: '₹72,000',
+        sgst: '₹72,000',
         total: '₹9,44,000'
       }
     };
@@ -196,15 +196,19 @@ class HTMLGeneratorService {
    */
   renderBasicTotals(quotationData) {
     const total = quotationData.total_amount || 0;
-    const taxRate = quotationData.tax_rate || 18;
+    const taxRate = quotationData.tax_rate ?? 18;
     const subtotal = total / (1 + taxRate / 100);
     const tax = total - subtotal;
+    // CGST/SGST or IGST lines when the quotation carries a stored split
+    const taxLines = quotationData.tax?.lines?.length
+      ? quotationData.tax.lines.map(line => `<div>${line.label}: ₹${Number(line.amount).toFixed(2)}</div>`).join('')
+      : `<div>Tax (${taxRate}%): ₹${tax.toFixed(2)}</div>`;
 
     return `
       <div class="totals" style="${this.defaultStyles.section}">
         <div style="text-align: right;">
           <div>Subtotal: ₹${subtotal.toFixed(2)}</div>
-          <div>Tax (${taxRate}%): ₹${tax.toFixed(2)}</div>
+          ${taxLines}
           <div style="font-weight: bold; font-size: 18px;">Total: ₹${total.toFixed(2)}</div>
         </div>
       </div>
@@ -480,10 +484,11 @@ class HTMLGeneratorService {
             <td>Subtotal:</td>
             <td>₹${summary.subtotal || '0'}</td>
           </tr>
+          ${(summary.taxLines || [{ label: `GST (${summary.gstRate || '18%'})`, amount: summary.gstAmount || '0' }]).map(line => `
           <tr>
-            <td>GST (${summary.gstRate || '18%'}):</td>
-            <td>₹${summary.gstAmount || '0'}</td>
-          </tr>
+            <td>${line.label}:</td>
+            <td>₹${line.amount}</td>
+          </tr>`).join('')}
           <tr class="total-row">
             <td><strong>Total:</strong></td>
             <td><strong>₹${summary.total || '0'}</strong></td>
@@ -4,6 +4,9 @@
  */
 
 import { Client } from 'pg';
+import { formatValidUntil } from './quotationValidityService.js';
+import { splitGst } from './gstService.js';
+import { GST_RATE } from './quotationPricingService.js';
 
 class TemplateService {
   constructor() {
@@ -339,7 +342,19 @@ class TemplateService {
         gst: mobDemobCharges.demobilization * 0.18
       });
     }
-    
+
+    // Surcharge lines the quotation was priced with
+    (Array.isArray(quotationData.surcharges) ? quotationData.surcharges : []).forEach(surcharge => {
+      const amount = Number(surcharge.amount) || 0;
+      if (amount > 0) {
+        additionalCharges.push({
+          description: surcharge.name,
+          amount,
+          gst: amount * 0.18
+        });
+      }
+    });
+
     // Add incidental charges if they exist
     // Note: Should come from quotation.incidental_charges - for now using defaults
     const incidentalCharges = [];
@@ -361,8 +376,16 @@ class TemplateService {
     const equipmentSubtotal = processedEquipment.reduce((sum, item) => sum + item.workingCost, 0);
     const additionalChargesSubtotal = additionalCharges.reduce((sum, charge) => sum + charge.amount, 0);
     const subtotal = equipmentSubtotal + additionalChargesSubtotal;
-    const gstAmount = subtotal * 0.18;
+    const gstRate = quotationData.tax_rate ?? GST_RATE;
+    const gstAmount = subtotal * (gstRate / 100);
     const totalAmount = subtotal + gstAmount;
+    const gst = splitGst(gstAmount, gstRate, quotationData.tax?.supplyType);
+    const taxLines = quotationData.tax?.supplyType === 'inter_state'
+      ? [{ label: `IGST (${gst.igstRate}%)`, amount: gst.igstAmount.toFixed(2) }]
+      : [
+          { label: `CGST (${gst.cgstRate}%)`, amount: gst.cgstAmount.toFixed(2) },
+          { label: `SGST (${gst.sgstRate}%)`, amount: gst.sgstAmount.toFixed(2) }
+        ];
     
     // Format date
     const createdDate = quotationData.created_at ? 
@@ -384,7 +407,8 @@ class TemplateService {
         number_of_days: quotationData.number_of_days || 1,
         working_hours: quotationData.working_hours || 8,
         machine_type: quotationData.machine_type || 'Mobile Crane',
-        status: quotationData.status || 'Draft'
+        status: quotationData.status || 'Draft',
+        validUntil: formatValidUntil(quotationData.valid_until) || 'N/A'
       },
       // Support both formats for customer data
       customer: {
@@ -427,8 +451,11 @@ class TemplateService {
         equipmentSubtotal: equipmentSubtotal.toFixed(2),
         additionalChargesSubtotal: additionalChargesSubtotal.toFixed(2),
         subtotal: subtotal.toFixed(2),
-        gstRate: '18%',
+        gstRate: `${gstRate}%`,
         gstAmount: gstAmount.toFixed(2),
+        supplyType: quotationData.tax?.supplyType || 'intra_state',
+        placeOfSupply: quotationData.tax?.placeOfSupply || null,
+        taxLines,
         total: totalAmount.toFixed(2),
         currency: 'INR'
       },
@@ -77,11 +77,16 @@ export const createActivity = async (activity) => {
 export const createJobActivity = async (
   customerName,
   action,
-  user
+  user,
+  reason = null
 ) => {
   const titles = {
     created: 'Job scheduled',
     updated: 'Job updated',
+    scheduled: 'Job confirmed',
+    mobilizing: 'Crew mobilizing',
+    in_progress: 'Job started',
+    demobilizing: 'Crew demobilizing',
     completed: 'Job completed',
     cancelled: 'Job cancelled'
   };
@@ -89,6 +94,10 @@ export const createJobActivity = async (
   const descriptions = {
     created: `New job scheduled for ${customerName}`,
     updated: `Job for ${customerName} has been updated`,
+    scheduled: `Job for ${customerName} has been confirmed`,
+    mobilizing: `Equipment and crew are on their way to ${customerName}`,
+    in_progress: `Work has started for ${customerName}`,
+    demobilizing: `Work for ${customerName} is done and equipment is returning`,
     completed: `Job for ${customerName} has been completed`,
     cancelled: `Job for ${customerName} has been cancelled`
   };
@@ -96,6 +105,10 @@ export const createJobActivity = async (
   const statuses = {
     created: 'info',
     updated: 'info',
+    scheduled: 'info',
+    mobilizing: 'info',
+    in_progress: 'info',
+    demobilizing: 'info',
     completed: 'success',
     cancelled: 'warning'
   };
@@ -103,7 +116,7 @@ export const createJobActivity = async (
   return createActivity({
     type: 'job',
     title: titles[action],
-    description: descriptions[action],
+    description: reason ? `${descriptions[action]}: ${reason}` : descriptions[action],
     status: statuses[action],
     user
   });
@@ -0,0 +1,396 @@
+/**
+ * Equipment Document Service
+ * Statutory documents and certificates of each crane, their expiry and renewal reminders.
+ *
+ * A crane can hold several documents of a type (each renewal is a new row); the
+ * current one is the one that expires last, and a document without an expiry
+ * date never expires. A crane cannot be booked on a job that runs past the
+ * expiry of its current mandatory document of any type it has on file.
+ *
+ * Expiry reminders are queued in scheduled_notifications (see
+ * notificationEngine.scheduleNotification) for each configured number of days
+ * before the current document expires, and re-queued whenever the crane's
+ * documents of that type change.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ * Expiry is computed in SQL (CURRENT_DATE) so it follows the database timezone.
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import notificationEngine from './notificationEngine.js';
+
+export const DOCUMENT_TYPES = [
+  'registration',
+  'fitness_certificate',
+  'insurance',
+  'load_test_certificate',
+  'third_party_inspection',
+  'pollution_certificate',
+  'road_tax',
+  'other'
+];
+
+export const DOCUMENT_TYPE_LABELS = {
+  registration: 'Registration Certificate',
+  fitness_certificate: 'Fitness Certificate',
+  insurance: 'Insurance',
+  load_test_certificate: 'Load Test Certificate',
+  third_party_inspection: 'Third-Party Inspection',
+  pollution_certificate: 'Pollution Certificate',
+  road_tax: 'Road Tax',
+  other: 'Other'
+};
+
+// Types that are mandatory unless the document says otherwise
+export const MANDATORY_DOCUMENT_TYPES = ['registration', 'fitness_certificate', 'insurance', 'load_test_certificate'];
+
+const REMINDER_TYPE = 'equipment_document_expiring';
+const REMINDER_HOUR = 9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * Reminder settings, falling back to the defaults for missing or invalid keys
+ */
+export const getDocumentReminderConfig = async () => {
+  const defaults = DEFAULT_CONFIGS.documentReminders;
+  const config = await getConfig('documentReminders');
+  const days = Array.isArray(config.daysBefore)
+    ? config.daysBefore.map(day => parseInt(day, 10)).filter(day => !isNaN(day) && day >= 0)
+    : defaults.daysBefore;
+  return {
+    enabled: config.enabled !== false,
+    daysBefore: [...new Set(days)].sort((a, b) => b - a)
+  };
+};
+
+/**
+ * 'expired' after the expiry date, 'expiring' within `expiringDays`,
+ * 'valid' otherwise and 'no_expiry' for documents that do not expire
+ */
+export const getExpiryStatus = (daysLeft, expiringDays) => {
+  if (daysLeft === null || daysLeft === undefined) return 'no_expiry';
+  if (daysLeft < 0) return 'expired';
+  if (daysLeft <= expiringDays) return 'expiring';
+  return 'valid';
+};
+
+const mapDocumentRow = (row, expiringDays) => ({
+  id: row.id,
+  equipmentId: row.equipment_id,
+  equipmentName: row.equipment_name,
+  equipmentCode: row.equipment_code,
+  documentType: row.document_type,
+  documentNumber: row.document_number,
+  issuingAuthority: row.issuing_authority,
+  issueDate: row.issued_on,
+  expiryDate: row.expires_on,
+  daysLeft: row.days_left,
+  expiryStatus: getExpiryStatus(row.days_left, expiringDays),
+  isMandatory: row.is_mandatory,
+  isCurrent: row.is_current,
+  hasFile: Boolean(row.file_path),
+  fileName: row.file_name,
+  fileMimeType: row.file_mime_type,
+  fileSize: row.file_size,
+  notes: row.notes,
+  uploadedBy: row.uploaded_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// is_current: the latest-expiring document of its type for the crane (no expiry counts as latest)
+const DOCUMENT_SELECT = `
+  SELECT d.*, e.name AS equipment_name, e.equipment_id AS equipment_code,
+         TO_CHAR(d.issue_date, 'YYYY-MM-DD') AS issued_on,
+         TO_CHAR(d.expiry_date, 'YYYY-MM-DD') AS expires_on,
+         d.expiry_date - CURRENT_DATE AS days_left,
+         ROW_NUMBER() OVER (
+           PARTITION BY d.equipment_id, d.document_type
+           ORDER BY d.expiry_date DESC NULLS FIRST, d.created_at DESC
+         ) = 1 AS is_current
+  FROM equipment_documents d
+  JOIN equipment e ON e.id = d.equipment_id
+`;
+
+// Documents count as expiring from the earliest reminder onwards
+const getExpiringDays = (config) => (config.daysBefore.length > 0 ? config.daysBefore[0] : DEFAULT_CONFIGS.documentReminders.daysBefore[0]);
+
+/**
+ * Documents of a crane, grouped by type with the current one first
+ */
+export const listEquipmentDocuments = async (queryable, equipmentId) => {
+  const expiringDays = getExpiringDays(await getDocumentReminderConfig());
+  const result = await queryable.query(`
+    SELECT * FROM (${DOCUMENT_SELECT} WHERE d.equipment_id = $1) docs
+    ORDER BY document_type ASC, is_current DESC, expiry_date DESC NULLS FIRST
+  `, [equipmentId]);
+  return result.rows.map(row => mapDocumentRow(row, expiringDays));
+};
+
+export const getEquipmentDocument = async (queryable, documentId) => {
+  const expiringDays = getExpiringDays(await getDocumentReminderConfig());
+  const result = await queryable.query(`
+    SELECT * FROM (${DOCUMENT_SELECT} WHERE d.equipment_id = (
+      SELECT equipment_id FROM equipment_documents WHERE id = $1
+    )) docs
+    WHERE id = $1
+  `, [documentId]);
+  return result.rows[0] ? mapDocumentRow(result.rows[0], expiringDays) : null;
+};
+
+/**
+ * Stored file details of a document, for downloads and clean-up
+ */
+export const getDocumentFile = async (queryable, documentId) => {
+  const result = await queryable.query(
+    'SELECT file_path, file_name, file_mime_type FROM equipment_documents WHERE id = $1',
+    [documentId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return { filePath: row.file_path, fileName: row.file_name, mimeType: row.file_mime_type };
+};
+
+/**
+ * Validate document fields. Returns an error message, or null when valid.
+ * `partial` skips the required-field checks for updates.
+ */
+export const validateDocument = ({ documentType, issueDate, expiryDate }, { partial = false } = {}) => {
+  if ((!partial || documentType !== undefined) && !DOCUMENT_TYPES.includes(documentType)) {
+    return `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`;
+  }
+  if (isSet(issueDate) && !isValidDate(issueDate)) {
+    return 'Issue date is not a valid date';
+  }
+  if (isSet(expiryDate) && !isValidDate(expiryDate)) {
+    return 'Expiry date is not a valid date';
+  }
+  if (isSet(issueDate) && isSet(expiryDate) && new Date(expiryDate) < new Date(issueDate)) {
+    return 'Expiry date cannot be before the issue date';
+  }
+  return null;
+};
+
+/**
+ * Add a document to a crane's register. `file` holds the stored upload, if any.
+ */
+export const createEquipmentDocument = async (queryable, equipmentId, {
+  documentType,
+  documentNumber = null,
+  issuingAuthority = null,
+  issueDate = null,
+  expiryDate = null,
+  isMandatory,
+  notes = null
+}, { file = null, user = null } = {}) => {
+  const result = await queryable.query(`
+    INSERT INTO equipment_documents (
+      equipment_id, document_type, document_number, issuing_authority, issue_date, expiry_date,
+      is_mandatory, file_path, file_name, file_mime_type, file_size, notes, uploaded_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING id
+  `, [
+    equipmentId,
+    documentType,
+    documentNumber || null,
+    issuingAuthority || null,
+    issueDate || null,
+    expiryDate || null,
+    isMandatory === undefined ? MANDATORY_DOCUMENT_TYPES.includes(documentType) : Boolean(isMandatory),
+    file?.path || null,
+    file?.originalName || null,
+    file?.mimeType || null,
+    file?.size || null,
+    notes || null,
+    user?.id || null
+  ]);
+  return getEquipmentDocument(queryable, result.rows[0].id);
+};
+
+const DOCUMENT_FIELDS = {
+  documentType: 'document_type',
+  documentNumber: 'document_number',
+  issuingAuthority: 'issuing_authority',
+  issueDate: 'issue_date',
+  expiryDate: 'expiry_date',
+  isMandatory: 'is_mandatory',
+  notes: 'notes'
+};
+
+/**
+ * Update a document's details and, when `file` is given, replace its upload
+ */
+export const updateEquipmentDocument = async (queryable, documentId, changes, { file = null } = {}) => {
+  const sets = [];
+  const values = [documentId];
+  for (const [field, column] of Object.entries(DOCUMENT_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(changes[field] === '' ? null : changes[field]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (file) {
+    values.push(file.path, file.originalName, file.mimeType, file.size);
+    const base = values.length - 3;
+    sets.push(`file_path = $${base}`, `file_name = $${base + 1}`, `file_mime_type = $${base + 2}`, `file_size = $${base + 3}`);
+  }
+  if (sets.length === 0) return getEquipmentDocument(queryable, documentId);
+
+  const result = await queryable.query(
+    `UPDATE equipment_documents SET ${sets.join(', ')} WHERE id = $1 RETURNING id`,
+    values
+  );
+  if (!result.rows[0]) return null;
+  return getEquipmentDocument(queryable, documentId);
+};
+
+/**
+ * Delete a document. Returns the deleted row's crane, type and file path, or null.
+ */
+export const deleteEquipmentDocument = async (queryable, documentId) => {
+  const result = await queryable.query(
+    'DELETE FROM equipment_documents WHERE id = $1 RETURNING equipment_id, document_type, file_path',
+    [documentId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return { equipmentId: row.equipment_id, documentType: row.document_type, filePath: row.file_path };
+};
+
+/**
+ * Current documents that are expired or expire within `withinDays`, soonest
+ * first, and the mandatory documents missing from each crane's register
+ */
+export const getExpiryDashboard = async (queryable, { withinDays = null } = {}) => {
+  const expiringDays = getExpiringDays(await getDocumentReminderConfig());
+  const horizon = withinDays === null ? expiringDays : withinDays;
+
+  const documents = await queryable.query(`
+    SELECT * FROM (${DOCUMENT_SELECT}) docs
+    WHERE is_current AND expiry_date IS NOT NULL AND days_left <= $1
+    ORDER BY days_left ASC, equipment_name ASC
+  `, [horizon]);
+
+  const missing = await queryable.query(`
+    SELECT e.id, e.name, e.equipment_id AS equipment_code, t.document_type
+    FROM equipment e
+    CROSS JOIN UNNEST($1::varchar[]) AS t(document_type)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM equipment_documents d WHERE d.equipment_id = e.id AND d.document_type = t.document_type
+    )
+    ORDER BY e.name ASC, t.document_type ASC
+  `, [MANDATORY_DOCUMENT_TYPES]);
+
+  const items = documents.rows.map(row => mapDocumentRow(row, expiringDays));
+  return {
+    withinDays: horizon,
+    summary: {
+      expired: items.filter(item => item.expiryStatus === 'expired').length,
+      expiring: items.filter(item => item.expiryStatus !== 'expired').length,
+      missing: missing.rows.length
+    },
+    documents: items,
+    missing: missing.rows.map(row => ({
+      equipmentId: row.id,
+      equipmentName: row.name,
+      equipmentCode: row.equipment_code,
+      documentType: row.document_type
+    }))
+  };
+};
+
+/**
+ * Mandatory documents of the given cranes that expire before `end`. A crane is
+ * only held to the types it has on file; the latest expiry of each type counts.
+ */
+export const findExpiredDocuments = async (queryable, { equipmentIds = [], end }) => {
+  if (equipmentIds.length === 0) return [];
+  // A document is valid through its expiry date, i.e. until midnight after it
+  const result = await queryable.query(`
+    SELECT d.equipment_id, e.name AS equipment_name, d.document_type,
+           TO_CHAR(MAX(d.expiry_date), 'YYYY-MM-DD') AS expires_on
+    FROM equipment_documents d
+    JOIN equipment e ON e.id = d.equipment_id
+    WHERE d.equipment_id = ANY($1) AND d.is_mandatory
+    GROUP BY d.equipment_id, e.name, d.document_type
+    HAVING BOOL_AND(d.expiry_date IS NOT NULL) AND MAX(d.expiry_date) + 1 < $2::timestamptz
+    ORDER BY e.name ASC, d.document_type ASC
+  `, [equipmentIds, end]);
+  return result.rows.map(row => ({
+    equipmentId: row.equipment_id,
+    equipmentName: row.equipment_name,
+    documentType: row.document_type,
+    expiryDate: row.expires_on
+  }));
+};
+
+/**
+ * Message rejecting a booking on cranes whose documents expire before the job ends
+ */
+export const describeDocumentConflicts = (conflicts) => {
+  const details = conflicts
+    .map(conflict => `${conflict.equipmentName || conflict.equipmentId}: ${DOCUMENT_TYPE_LABELS[conflict.documentType]} expires ${new Date(`${conflict.expiryDate}T00:00:00`).toLocaleDateString('en-IN')}`)
+    .join('; ');
+  return `Equipment documents expire before the job ends - ${details}`;
+};
+
+/**
+ * (Re)queue expiry reminders for a crane's documents of one type: pending
+ * reminders of every document of the type are cancelled, then one reminder
+ * per configured day before the current document's expiry that is still in
+ * the future is queued. `removedIds` covers documents that were just deleted.
+ */
+export const syncDocumentReminders = async (queryable, equipmentId, documentType, { removedIds = [] } = {}) => {
+  await queryable.query(`
+    UPDATE scheduled_notifications
+    SET status = 'cancelled'
+    WHERE status = 'pending' AND type = $1 AND reference_type = 'equipment_document'
+      AND (reference_id = ANY($4) OR reference_id IN (
+        SELECT id FROM equipment_documents WHERE equipment_id = $2 AND document_type = $3
+      ))
+  `, [REMINDER_TYPE, equipmentId, documentType, removedIds]);
+
+  const config = await getDocumentReminderConfig();
+  if (!config.enabled || config.daysBefore.length === 0) return [];
+
+  const result = await queryable.query(`
+    SELECT * FROM (${DOCUMENT_SELECT} WHERE d.equipment_id = $1 AND d.document_type = $2) docs
+    WHERE is_current
+  `, [equipmentId, documentType]);
+  const current = result.rows[0];
+  if (!current || !current.expires_on) return [];
+
+  const expiry = new Date(`${current.expires_on}T00:00:00`);
+  const scheduled = [];
+  for (const days of config.daysBefore) {
+    const scheduleAt = new Date(expiry.getTime() - days * DAY_MS);
+    scheduleAt.setHours(REMINDER_HOUR, 0, 0, 0);
+    if (scheduleAt <= new Date()) continue;
+
+    const queued = await notificationEngine.sendNotification({
+      type: REMINDER_TYPE,
+      data: {
+        equipmentName: current.equipment_name,
+        equipmentCode: current.equipment_code,
+        documentLabel: DOCUMENT_TYPE_LABELS[documentType],
+        documentNumber: current.document_number || '',
+        expiryDate: expiry.toLocaleDateString('en-IN'),
+        daysLeft: days,
+        mandatoryNote: current.is_mandatory
+          ? 'The crane cannot be scheduled on jobs that run past this date until the renewed document is uploaded.'
+          : 'Upload the renewed document once it is issued.',
+        documentsUrl: `${process.env.FRONTEND_URL}/admin/equipment?documents=${equipmentId}`,
+        referenceId: current.id,
+        referenceType: 'equipment_document'
+      },
+      channels: ['in_app', 'email'],
+      priority: current.is_mandatory ? 'high' : 'medium',
+      scheduleAt
+    });
+    if (queued?.success) scheduled.push({ days, scheduleAt });
+  }
+  return scheduled;
+};
@@ -0,0 +1,631 @@
+/**
+ * Equipment Maintenance Service
+ * Preventive maintenance plans, the maintenance work-order log and due-soon alerts.
+ *
+ * A plan is due `interval_days` after it was last carried out and/or once the
+ * hour meter passes `last_performed_hours + interval_hours`, whichever comes
+ * first. Completing a work order raised against a plan starts its next cycle.
+ *
+ * A crane is in `maintenance` status while one of its work orders is in
+ * progress; planned work orders start automatically when their window opens.
+ * Jobs cannot be booked on a crane during a planned or running work order.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ * Due dates are computed in SQL (CURRENT_DATE) so they follow the database timezone.
+ */
+
+import pool from '../lib/dbConnection.js';
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import notificationEngine from './notificationEngine.js';
+
+export const WORK_ORDER_TYPES = ['preventive', 'breakdown', 'inspection'];
+export const WORK_ORDER_STATUSES = ['planned', 'in_progress', 'completed', 'cancelled'];
+
+// Work orders that keep a crane from being booked
+export const BLOCKING_WORK_ORDER_STATUSES = ['planned', 'in_progress'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A running work order blocks the crane until it is closed, even past its planned end
+const WINDOW_START_SQL = 'COALESCE(w.actual_start, w.planned_start)';
+const WINDOW_END_SQL = `CASE WHEN w.status = 'in_progress' THEN GREATEST(w.planned_end, NOW()) ELSE w.planned_end END`;
+
+let schedulerTimer = null;
+let jobRunning = false;
+
+const round1 = (value) => Math.round((Number(value) || 0) * 10) / 10;
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Maintenance settings, falling back to the defaults for missing or invalid keys
+ */
+export const getMaintenanceConfig = async () => {
+  const defaults = DEFAULT_CONFIGS.maintenance;
+  const config = await getConfig('maintenance');
+  const positive = (value, fallback) => {
+    const num = Number(value);
+    return isNaN(num) || num < 0 ? fallback : num;
+  };
+  return {
+    dueSoonDays: positive(config.dueSoonDays, defaults.dueSoonDays),
+    dueSoonHours: positive(config.dueSoonHours, defaults.dueSoonHours),
+    checkIntervalMinutes: positive(config.checkIntervalMinutes, defaults.checkIntervalMinutes) || defaults.checkIntervalMinutes
+  };
+};
+
+/**
+ * 'overdue' once the due date or hours are reached, 'due_soon' within the
+ * configured margin, 'ok' otherwise
+ */
+export const getDueStatus = ({ daysLeft, hoursLeft }, { dueSoonDays, dueSoonHours }) => {
+  if ((daysLeft !== null && daysLeft < 0) || (hoursLeft !== null && hoursLeft <= 0)) return 'overdue';
+  if ((daysLeft !== null && daysLeft <= dueSoonDays) || (hoursLeft !== null && hoursLeft <= dueSoonHours)) return 'due_soon';
+  return 'ok';
+};
+
+/**
+ * Human readable due point of a plan, e.g. "due on 2026-11-02 (5 days)"
+ */
+export const describePlanDue = (plan) => {
+  const parts = [];
+  if (plan.nextDueDate) {
+    parts.push(plan.daysLeft < 0
+      ? `${-plan.daysLeft} day(s) overdue since ${plan.nextDueDate}`
+      : `due on ${plan.nextDueDate} (${plan.daysLeft} day(s))`);
+  }
+  if (plan.nextDueHours !== null) {
+    parts.push(plan.hoursLeft <= 0
+      ? `${-plan.hoursLeft} h past ${plan.nextDueHours} engine hours`
+      : `due at ${plan.nextDueHours} engine hours (${plan.hoursLeft} h left)`);
+  }
+  return parts.join('; ');
+};
+
+const mapPlanRow = (row, config) => {
+  const plan = {
+    id: row.id,
+    equipmentId: row.equipment_id,
+    equipmentName: row.equipment_name,
+    equipmentCode: row.equipment_code,
+    name: row.name,
+    description: row.description,
+    intervalDays: row.interval_days,
+    intervalHours: toNumberOrNull(row.interval_hours),
+    lastPerformedDate: row.last_performed_on,
+    lastPerformedHours: Number(row.last_performed_hours) || 0,
+    engineHours: Number(row.engine_hours) || 0,
+    nextDueDate: row.next_due_date,
+    nextDueHours: toNumberOrNull(row.next_due_hours),
+    daysLeft: row.days_left,
+    hoursLeft: row.hours_left === null ? null : round1(row.hours_left),
+    isActive: row.is_active,
+    alertSentAt: row.alert_sent_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  plan.dueStatus = getDueStatus(plan, config);
+  return plan;
+};
+
+const PLAN_SELECT = `
+  SELECT p.*, e.name AS equipment_name, e.equipment_id AS equipment_code, e.engine_hours,
+         TO_CHAR(p.last_performed_date, 'YYYY-MM-DD') AS last_performed_on,
+         TO_CHAR(p.last_performed_date + p.interval_days, 'YYYY-MM-DD') AS next_due_date,
+         (p.last_performed_date + p.interval_days) - CURRENT_DATE AS days_left,
+         p.last_performed_hours + p.interval_hours AS next_due_hours,
+         p.last_performed_hours + p.interval_hours - e.engine_hours AS hours_left
+  FROM maintenance_plans p
+  JOIN equipment e ON e.id = p.equipment_id
+`;
+
+/**
+ * Maintenance plans with their next due point, soonest first.
+ * `dueOnly` keeps plans that are due soon or overdue.
+ */
+export const listMaintenancePlans = async (queryable, { equipmentId = null, activeOnly = true, dueOnly = false } = {}) => {
+  const config = await getMaintenanceConfig();
+  const result = await queryable.query(`
+    ${PLAN_SELECT}
+    WHERE ($1::varchar IS NULL OR p.equipment_id = $1)
+      AND (NOT $2 OR p.is_active)
+    ORDER BY days_left ASC NULLS LAST, hours_left ASC NULLS LAST, p.name ASC
+  `, [equipmentId, activeOnly]);
+  const plans = result.rows.map(row => mapPlanRow(row, config));
+  return dueOnly ? plans.filter(plan => plan.dueStatus !== 'ok') : plans;
+};
+
+export const getMaintenancePlan = async (queryable, planId) => {
+  const result = await queryable.query(`${PLAN_SELECT} WHERE p.id = $1`, [planId]);
+  if (!result.rows[0]) return null;
+  return mapPlanRow(result.rows[0], await getMaintenanceConfig());
+};
+
+/**
+ * Validate plan fields. Returns an error message, or null when valid.
+ */
+export const validatePlan = ({ name, intervalDays, intervalHours, lastPerformedDate, lastPerformedHours }) => {
+  if (!String(name || '').trim()) return 'name is required';
+  if (!isSet(intervalDays) && !isSet(intervalHours)) return 'A plan needs intervalDays, intervalHours or both';
+  if (isSet(intervalDays) && (!Number.isInteger(Number(intervalDays)) || Number(intervalDays) <= 0)) {
+    return 'intervalDays must be a whole number of days';
+  }
+  if (isSet(intervalHours) && (isNaN(Number(intervalHours)) || Number(intervalHours) <= 0)) {
+    return 'intervalHours must be a positive number of hours';
+  }
+  if (lastPerformedDate && isNaN(new Date(lastPerformedDate).getTime())) return 'lastPerformedDate must be a valid date';
+  if (isSet(lastPerformedHours) && (isNaN(Number(lastPerformedHours)) || Number(lastPerformedHours) < 0)) {
+    return 'lastPerformedHours must be zero or more';
+  }
+  return null;
+};
+
+/**
+ * Create a plan. Without a last service it counts from today and the current hour meter.
+ */
+export const createMaintenancePlan = async (queryable, equipmentId, {
+  name,
+  description = null,
+  intervalDays = null,
+  intervalHours = null,
+  lastPerformedDate = null,
+  lastPerformedHours = null,
+  user = null
+}) => {
+  const result = await queryable.query(`
+    INSERT INTO maintenance_plans (
+      equipment_id, name, description, interval_days, interval_hours,
+      last_performed_date, last_performed_hours, created_by
+    )
+    SELECT e.id, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), COALESCE($7, e.engine_hours), $8
+    FROM equipment e
+    WHERE e.id = $1
+    RETURNING id
+  `, [
+    equipmentId,
+    String(name).trim(),
+    description,
+    intervalDays ? parseInt(intervalDays, 10) : null,
+    intervalHours ? Number(intervalHours) : null,
+    lastPerformedDate,
+    isSet(lastPerformedHours) ? Number(lastPerformedHours) : null,
+    user?.id || null
+  ]);
+  if (!result.rows[0]) return null;
+  return getMaintenancePlan(queryable, result.rows[0].id);
+};
+
+const PLAN_FIELDS = {
+  name: 'name',
+  description: 'description',
+  intervalDays: 'interval_days',
+  intervalHours: 'interval_hours',
+  lastPerformedDate: 'last_performed_date',
+  lastPerformedHours: 'last_performed_hours',
+  isActive: 'is_active'
+};
+
+// Changing when a plan falls due starts a new alert cycle
+const PLAN_SCHEDULE_FIELDS = ['intervalDays', 'intervalHours', 'lastPerformedDate', 'lastPerformedHours'];
+
+export const updateMaintenancePlan = async (queryable, planId, changes) => {
+  const sets = [];
+  const values = [planId];
+  for (const [field, column] of Object.entries(PLAN_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(changes[field] === '' ? null : changes[field]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (PLAN_SCHEDULE_FIELDS.some(field => changes[field] !== undefined)) {
+    sets.push('alert_sent_at = NULL');
+  }
+  if (sets.length === 0) return getMaintenancePlan(queryable, planId);
+
+  const result = await queryable.query(
+    `UPDATE maintenance_plans SET ${sets.join(', ')} WHERE id = $1 RETURNING id`,
+    values
+  );
+  if (!result.rows[0]) return null;
+  return getMaintenancePlan(queryable, planId);
+};
+
+export const deleteMaintenancePlan = async (queryable, planId) => {
+  const result = await queryable.query('DELETE FROM maintenance_plans WHERE id = $1', [planId]);
+  return result.rowCount > 0;
+};
+
+const mapWorkOrderRow = (row) => ({
+  id: row.id,
+  equipmentId: row.equipment_id,
+  equipmentName: row.equipment_name,
+  equipmentCode: row.equipment_code,
+  planId: row.plan_id,
+  planName: row.plan_name,
+  title: row.title,
+  type: row.type,
+  status: row.status,
+  plannedStart: row.planned_start,
+  plannedEnd: row.planned_end,
+  actualStart: row.actual_start,
+  actualEnd: row.actual_end,
+  engineHours: toNumberOrNull(row.engine_hours),
+  labourCost: Number(row.labour_cost) || 0,
+  parts: row.parts || [],
+  partsCost: Number(row.parts_cost) || 0,
+  totalCost: Number(row.total_cost) || 0,
+  downtimeHours: toNumberOrNull(row.downtime_hours),
+  performedBy: row.performed_by,
+  notes: row.notes,
+  createdBy: row.created_by,
+  completedBy: row.completed_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const WORK_ORDER_SELECT = `
+  SELECT w.*, e.name AS equipment_name, e.equipment_id AS equipment_code, p.name AS plan_name
+  FROM maintenance_work_orders w
+  JOIN equipment e ON e.id = w.equipment_id
+  LEFT JOIN maintenance_plans p ON p.id = w.plan_id
+`;
+
+/**
+ * Work orders, newest window first
+ */
+export const listWorkOrders = async (queryable, { equipmentId = null, status = null } = {}) => {
+  const result = await queryable.query(`
+    ${WORK_ORDER_SELECT}
+    WHERE ($1::varchar IS NULL OR w.equipment_id = $1)
+      AND ($2::varchar IS NULL OR w.status = $2)
+    ORDER BY w.planned_start DESC
+  `, [equipmentId, status]);
+  return result.rows.map(mapWorkOrderRow);
+};
+
+export const getWorkOrder = async (queryable, workOrderId, { forUpdate = false } = {}) => {
+  const result = await queryable.query(
+    forUpdate
+      ? 'SELECT * FROM maintenance_work_orders WHERE id = $1 FOR UPDATE'
+      : `${WORK_ORDER_SELECT} WHERE w.id = $1`,
+    [workOrderId]
+  );
+  return result.rows[0] ? mapWorkOrderRow(result.rows[0]) : null;
+};
+
+/**
+ * Validate the planned part of a work order. Returns an error message, or null when valid.
+ */
+export const validateWorkOrder = ({ title, type, plannedStart, plannedEnd }, { partial = false } = {}) => {
+  if (!partial && !String(title || '').trim()) return 'title is required';
+  if (type !== undefined && !WORK_ORDER_TYPES.includes(type)) {
+    return `type must be one of ${WORK_ORDER_TYPES.join(', ')}`;
+  }
+  if (!partial || plannedStart !== undefined || plannedEnd !== undefined) {
+    const start = new Date(plannedStart);
+    const end = new Date(plannedEnd);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      return 'plannedStart and plannedEnd must be valid dates with plannedEnd after plannedStart';
+    }
+  }
+  return null;
+};
+
+/**
+ * Clean up the parts list of a completed work order.
+ * Returns { parts, partsCost } or { error }.
+ */
+export const normaliseParts = (parts = []) => {
+  if (!Array.isArray(parts)) return { error: 'parts must be a list' };
+  const cleaned = [];
+  for (const part of parts) {
+    const name = String(part?.name || '').trim();
+    const quantity = Number(part?.quantity ?? 1);
+    const unitCost = Number(part?.unitCost ?? 0);
+    if (!name) return { error: 'Every part needs a name' };
+    if (isNaN(quantity) || quantity <= 0 || isNaN(unitCost) || unitCost < 0) {
+      return { error: `Invalid quantity or unit cost for part ${name}` };
+    }
+    cleaned.push({ name, partNumber: part.partNumber ? String(part.partNumber).trim() : null, quantity, unitCost: round2(unitCost) });
+  }
+  return { parts: cleaned, partsCost: round2(cleaned.reduce((sum, part) => sum + part.quantity * part.unitCost, 0)) };
+};
+
+export const createWorkOrder = async (queryable, equipmentId, {
+  planId = null,
+  title,
+  type = 'preventive',
+  plannedStart,
+  plannedEnd,
+  performedBy = null,
+  notes = null,
+  user = null
+}) => {
+  const result = await queryable.query(`
+    INSERT INTO maintenance_work_orders (
+      equipment_id, plan_id, title, type, planned_start, planned_end, performed_by, notes, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING id
+  `, [equipmentId, planId, String(title).trim(), type, plannedStart, plannedEnd, performedBy, notes, user?.id || null]);
+  return getWorkOrder(queryable, result.rows[0].id);
+};
+
+const WORK_ORDER_FIELDS = {
+  title: 'title',
+  type: 'type',
+  plannedStart: 'planned_start',
+  plannedEnd: 'planned_end',
+  performedBy: 'performed_by',
+  notes: 'notes'
+};
+
+/**
+ * Change the planned details of a planned work order
+ */
+export const updateWorkOrder = async (queryable, workOrderId, changes) => {
+  const sets = [];
+  const values = [workOrderId];
+  for (const [field, column] of Object.entries(WORK_ORDER_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(changes[field]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (sets.length > 0) {
+    await queryable.query(
+      `UPDATE maintenance_work_orders SET ${sets.join(', ')} WHERE id = $1 AND status = 'planned'`,
+      values
+    );
+  }
+  return getWorkOrder(queryable, workOrderId);
+};
+
+/**
+ * Put a crane in `maintenance` while one of its work orders is in progress.
+ * Once none is, a crane left in maintenance goes back to `in_use` when it is
+ * on a running job, else `available`. Other statuses are left alone.
+ */
+export const syncEquipmentMaintenanceStatus = async (queryable, equipmentId) => {
+  const result = await queryable.query(`
+    UPDATE equipment e
+    SET status = CASE
+      WHEN EXISTS (
+        SELECT 1 FROM maintenance_work_orders w WHERE w.equipment_id = e.id AND w.status = 'in_progress'
+      ) THEN 'maintenance'
+      WHEN e.status <> 'maintenance' THEN e.status
+      WHEN EXISTS (
+        SELECT 1 FROM job_equipment je JOIN jobs j ON j.id = je.job_id
+        WHERE je.equipment_id = e.id AND j.status IN ('mobilizing', 'in_progress', 'demobilizing')
+      ) THEN 'in_use'
+      ELSE 'available'
+    END
+    WHERE e.id = $1
+    RETURNING status
+  `, [equipmentId]);
+  return result.rows[0]?.status || null;
+};
+
+export const startWorkOrder = async (queryable, workOrderId, { actualStart = null } = {}) => {
+  await queryable.query(`
+    UPDATE maintenance_work_orders
+    SET status = 'in_progress', actual_start = COALESCE($2, NOW())
+    WHERE id = $1 AND status = 'planned'
+  `, [workOrderId, actualStart]);
+  const workOrder = await getWorkOrder(queryable, workOrderId);
+  await syncEquipmentMaintenanceStatus(queryable, workOrder.equipmentId);
+  return workOrder;
+};
+
+/**
+ * Close a work order with its cost, parts and hour meter reading. Downtime runs
+ * from the actual start to the actual end. A work order raised against a plan
+ * starts the plan's next cycle from this service.
+ */
+export const completeWorkOrder = async (queryable, workOrder, {
+  actualEnd = null,
+  engineHours = null,
+  labourCost = 0,
+  parts = [],
+  partsCost = 0,
+  performedBy = null,
+  notes = null,
+  user = null
+}) => {
+  const end = actualEnd ? new Date(actualEnd) : new Date();
+  const start = workOrder.actualStart ? new Date(workOrder.actualStart) : new Date(workOrder.plannedStart);
+  const downtimeHours = round1(Math.max(0, end - start) / HOUR_MS);
+
+  await queryable.query(`
+    UPDATE maintenance_work_orders
+    SET status = 'completed',
+        actual_start = COALESCE(actual_start, planned_start),
+        actual_end = $2,
+        engine_hours = $3,
+        labour_cost = $4,
+        parts = $5,
+        parts_cost = $6,
+        total_cost = $4 + $6,
+        downtime_hours = $7,
+        performed_by = COALESCE($8, performed_by),
+        notes = COALESCE($9, notes),
+        completed_by = $10
+    WHERE id = $1
+  `, [
+    workOrder.id,
+    end,
+    engineHours,
+    round2(labourCost),
+    JSON.stringify(parts),
+    partsCost,
+    downtimeHours,
+    performedBy,
+    notes,
+    user?.id || null
+  ]);
+
+  if (engineHours !== null) {
+    await queryable.query(
+      'UPDATE equipment SET engine_hours = GREATEST(engine_hours, $2) WHERE id = $1',
+      [workOrder.equipmentId, engineHours]
+    );
+  }
+  if (workOrder.planId) {
+    await queryable.query(`
+      UPDATE maintenance_plans p
+      SET last_performed_date = $2::date,
+          last_performed_hours = COALESCE($3, e.engine_hours),
+          alert_sent_at = NULL
+      FROM equipment e
+      WHERE p.id = $1 AND e.id = p.equipment_id
+    `, [workOrder.planId, end, engineHours]);
+  }
+
+  await syncEquipmentMaintenanceStatus(queryable, workOrder.equipmentId);
+  return getWorkOrder(queryable, workOrder.id);
+};
+
+export const cancelWorkOrder = async (queryable, workOrder, { reason = null } = {}) => {
+  await queryable.query(`
+    UPDATE maintenance_work_orders
+    SET status = 'cancelled', notes = CASE WHEN $2::text IS NULL THEN notes ELSE CONCAT_WS(E'\\n', notes, $2::text) END
+    WHERE id = $1
+  `, [workOrder.id, reason ? `Cancelled: ${reason}` : null]);
+  await syncEquipmentMaintenanceStatus(queryable, workOrder.equipmentId);
+  return getWorkOrder(queryable, workOrder.id);
+};
+
+/**
+ * Record an hour meter reading. Returns the reading, or null when the crane
+ * does not exist or the reading is below the current one.
+ */
+export const recordEngineHours = async (queryable, equipmentId, engineHours) => {
+  const result = await queryable.query(
+    'UPDATE equipment SET engine_hours = $2 WHERE id = $1 AND engine_hours <= $2 RETURNING engine_hours',
+    [equipmentId, engineHours]
+  );
+  return result.rows[0] ? Number(result.rows[0].engine_hours) : null;
+};
+
+/**
+ * Planned and running work orders of the given cranes that overlap start-end
+ */
+export const findMaintenanceWindows = async (queryable, { equipmentIds = [], start, end, excludeWorkOrderId = null }) => {
+  if (equipmentIds.length === 0) return [];
+  const result = await queryable.query(`
+    SELECT w.id, w.equipment_id, e.name AS equipment_name, w.title, w.type, w.status,
+           ${WINDOW_START_SQL} AS window_start, ${WINDOW_END_SQL} AS window_end
+    FROM maintenance_work_orders w
+    LEFT JOIN equipment e ON e.id = w.equipment_id
+    WHERE w.equipment_id = ANY($1)
+      AND w.status = ANY($2)
+      AND ${WINDOW_START_SQL} < $4 AND ${WINDOW_END_SQL} > $3
+      AND ($5::varchar IS NULL OR w.id <> $5)
+    ORDER BY window_start ASC
+  `, [equipmentIds, BLOCKING_WORK_ORDER_STATUSES, start, end, excludeWorkOrderId]);
+  return result.rows.map(row => ({
+    workOrderId: row.id,
+    equipmentId: row.equipment_id,
+    equipmentName: row.equipment_name,
+    title: row.title,
+    type: row.type,
+    status: row.status,
+    start: row.window_start,
+    end: row.window_end
+  }));
+};
+
+/**
+ * Message rejecting a booking that falls in maintenance windows
+ */
+export const describeMaintenanceConflicts = (windows) => {
+  const formatDate = (value) => new Date(value).toLocaleDateString('en-IN');
+  const details = windows
+    .map(window => `${window.equipmentName || window.equipmentId}: ${window.title} (${formatDate(window.start)} - ${formatDate(window.end)})`)
+    .join('; ');
+  return `Equipment is booked for maintenance during this period - ${details}`;
+};
+
+/**
+ * Start planned work orders whose window has opened
+ */
+export const startDueWorkOrders = async (queryable) => {
+  const result = await queryable.query(`
+    UPDATE maintenance_work_orders
+    SET status = 'in_progress', actual_start = planned_start
+    WHERE status = 'planned' AND planned_start <= NOW()
+    RETURNING id, equipment_id
+  `);
+  for (const equipmentId of new Set(result.rows.map(row => row.equipment_id))) {
+    await syncEquipmentMaintenanceStatus(queryable, equipmentId);
+  }
+  if (result.rows.length > 0) {
+    console.log(`🔧 Started ${result.rows.length} maintenance work order(s)`);
+  }
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * Alert operations about plans that are due soon or overdue. Each plan is
+ * alerted once per cycle; `equipmentId` limits the check to one crane.
+ */
+export const sendDueSoonAlerts = async (queryable, { equipmentId = null } = {}) => {
+  const plans = await listMaintenancePlans(queryable, { equipmentId, dueOnly: true });
+  const alerted = [];
+  for (const plan of plans.filter(item => !item.alertSentAt)) {
+    await notificationEngine.sendNotification({
+      type: 'maintenance_due',
+      data: {
+        equipmentName: plan.equipmentName,
+        equipmentCode: plan.equipmentCode,
+        planName: plan.name,
+        dueStatus: plan.dueStatus === 'overdue' ? 'overdue' : 'due soon',
+        dueDescription: describePlanDue(plan),
+        maintenanceUrl: `${process.env.FRONTEND_URL}/admin/equipment?maintenance=${plan.equipmentId}`,
+        referenceId: plan.id,
+        referenceType: 'maintenance_plan'
+      },
+      channels: ['in_app', 'email'],
+      priority: plan.dueStatus === 'overdue' ? 'high' : 'medium'
+    });
+    await queryable.query('UPDATE maintenance_plans SET alert_sent_at = CURRENT_TIMESTAMP WHERE id = $1', [plan.id]);
+    alerted.push(plan.id);
+  }
+
+  if (alerted.length > 0) {
+    console.log(`🔔 Sent maintenance due alerts for ${alerted.length} plan(s)`);
+  }
+  return alerted;
+};
+
+/**
+ * One pass of the maintenance job: start due work orders, then send due alerts
+ */
+export const runMaintenanceJob = async (queryable = pool) => {
+  const started = await startDueWorkOrders(queryable);
+  const alerted = await sendDueSoonAlerts(queryable);
+  return { started, alerted };
+};
+
+/**
+ * Run the maintenance job now and then every `checkIntervalMinutes`
+ */
+export const startMaintenanceScheduler = async () => {
+  if (schedulerTimer) return;
+
+  const { checkIntervalMinutes } = await getMaintenanceConfig();
+  const run = async () => {
+    if (jobRunning) return;
+    jobRunning = true;
+    try {
+      await runMaintenanceJob();
+    } catch (error) {
+      console.error('Error running maintenance job:', error);
+    } finally {
+      jobRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(run, checkIntervalMinutes * 60 * 1000);
+  run();
+  console.log(`⏰ Maintenance job scheduled every ${checkIntervalMinutes} minute(s)`);
+};
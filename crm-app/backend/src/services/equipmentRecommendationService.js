@@ -0,0 +1,255 @@
+/**
+ * Equipment Recommendation Service
+ * Ranks the fleet for a quotation so the sales agent can add the best crane.
+ *
+ * A crane is suitable when its load charts cover the lift (see
+ * loadChartService; without a radius only its rated capacity is compared),
+ * available when it has no overlapping job booking, maintenance work order or
+ * mandatory document expiring during the rental, and is priced by the
+ * quotation pricing service as the only machine on the quotation. Suitable
+ * cranes come first, then available ones, then the cheapest.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { findBookingConflicts, parseBookingDate } from './jobBookingService.js';
+import { findMaintenanceWindows } from './equipmentMaintenanceService.js';
+import { findExpiredDocuments, DOCUMENT_TYPE_LABELS } from './equipmentDocumentService.js';
+import { checkLift, getLiftSafetyMargin, validateLift } from './loadChartService.js';
+import { calculateQuotationPricing } from './quotationPricingService.js';
+
+const EQUIPMENT_CATEGORIES = ['mobile_crane', 'tower_crane', 'crawler_crane', 'pick_and_carry_crane'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pricing inputs other than the machines, days and distance passed on to the pricing service
+const PRICING_FIELDS = [
+  'workingHours', 'shift', 'dayNight', 'sundayWorking', 'usage', 'riskFactor', 'foodResources', 'accomResources',
+  'mobRelaxation', 'extraCharge', 'surcharges', 'incidentalCharges', 'otherFactors', 'includeGst', 'customerId'
+];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Crane category a lead's service_needed asks for ("Mobile Crane",
+ * "mobile_crane", ...), or null when it is not one
+ */
+export const categoryForService = (serviceNeeded) => {
+  const normalized = String(serviceNeeded || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return EQUIPMENT_CATEGORIES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Requirements recorded on a lead: the crane category, start date and rental
+ * days, and the lift from its latest site assessment that has one. Null when
+ * the lead does not exist.
+ */
+export const getLeadRequirements = async (queryable, leadId) => {
+  const leadResult = await queryable.query(`
+    SELECT id, service_needed, TO_CHAR(start_date, 'YYYY-MM-DD') AS start_date, rental_days
+    FROM leads WHERE id = $1
+  `, [leadId]);
+  const lead = leadResult.rows[0];
+  if (!lead) return null;
+
+  const assessmentResult = await queryable.query(`
+    SELECT id, lift_load_tons, lift_radius_m, lift_height_m
+    FROM site_assessments
+    WHERE lead_id = $1 AND (lift_load_tons IS NOT NULL OR lift_radius_m IS NOT NULL)
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [leadId]);
+  const assessment = assessmentResult.rows[0];
+
+  return {
+    serviceNeeded: lead.service_needed,
+    category: categoryForService(lead.service_needed),
+    startDate: lead.start_date,
+    rentalDays: lead.rental_days,
+    siteAssessmentId: assessment?.id || null,
+    loadTons: assessment?.lift_load_tons ?? null,
+    radiusM: assessment?.lift_radius_m ?? null,
+    heightM: assessment?.lift_height_m ?? null
+  };
+};
+
+/**
+ * Returns an error message, or null when the request is valid
+ */
+export const validateRecommendationRequest = ({
+  category, loadTons, radiusM, heightM, riggingTons, safetyMarginPercent, startDate, rentalDays, siteDistance
+}) => {
+  if (!isSet(rentalDays) || !Number.isInteger(Number(rentalDays)) || Number(rentalDays) <= 0) {
+    return 'rentalDays must be a whole number greater than 0';
+  }
+  if (isSet(startDate) && !parseBookingDate(startDate)) return 'Invalid startDate';
+  if (isSet(siteDistance) && (isNaN(Number(siteDistance)) || Number(siteDistance) < 0)) {
+    return 'siteDistance must be 0 or more';
+  }
+  if (isSet(category) && !EQUIPMENT_CATEGORIES.includes(category)) return 'Invalid category';
+  if (isSet(radiusM)) {
+    return validateLift({ loadTons, radiusM, heightM, riggingTons, safetyMarginPercent });
+  }
+  if (isSet(loadTons) && (isNaN(Number(loadTons)) || Number(loadTons) <= 0)) {
+    return 'loadTons must be a positive number';
+  }
+  return null;
+};
+
+/**
+ * Why each crane cannot be booked for start-end, keyed by equipment id
+ */
+const findUnavailability = async (queryable, equipmentRows, start, end) => {
+  const equipmentIds = equipmentRows.map(row => row.id);
+  const [bookings, maintenance, documents] = await Promise.all([
+    findBookingConflicts(queryable, { equipmentIds, start, end }),
+    findMaintenanceWindows(queryable, { equipmentIds, start, end }),
+    findExpiredDocuments(queryable, { equipmentIds, end })
+  ]);
+  const formatDate = (value) => new Date(value).toLocaleDateString('en-IN');
+
+  const reasons = new Map(equipmentRows.map(row => [
+    row.id,
+    // Cranes put in maintenance by hand, without a work order, are out until released
+    row.status === 'maintenance' ? ['In maintenance'] : []
+  ]));
+  for (const booking of bookings) {
+    reasons.get(booking.resourceId)?.push(
+      `Booked on ${booking.jobTitle || booking.jobId} (${formatDate(booking.scheduledStartDate)} - ${formatDate(booking.scheduledEndDate)})`
+    );
+  }
+  for (const window of maintenance) {
+    reasons.get(window.equipmentId)?.push(
+      `Maintenance: ${window.title} (${formatDate(window.start)} - ${formatDate(window.end)})`
+    );
+  }
+  for (const document of documents) {
+    reasons.get(document.equipmentId)?.push(
+      `${DOCUMENT_TYPE_LABELS[document.documentType]} expires ${formatDate(`${document.expiryDate}T00:00:00`)}`
+    );
+  }
+  return reasons;
+};
+
+/**
+ * Rank the fleet (optionally one category) for a rental of `rentalDays` days
+ * from `startDate` at `siteDistance` km, lifting `loadTons` at `radiusM`.
+ * Without a start date availability is not checked; without a load every
+ * crane is suitable. `pricing` holds the other quotation pricing inputs.
+ */
+export const recommendEquipment = async (queryable, {
+  category = null,
+  loadTons = null,
+  radiusM = null,
+  heightM = null,
+  riggingTons = 0,
+  safetyMarginPercent = null,
+  startDate = null,
+  rentalDays,
+  siteDistance = 0,
+  pricing = {}
+}) => {
+  const equipmentResult = await queryable.query(`
+    SELECT id, equipment_id, name, category, max_lifting_capacity, status
+    FROM equipment
+    WHERE ($1::varchar IS NULL OR category = $1)
+    ORDER BY max_lifting_capacity ASC, name ASC
+  `, [category]);
+  const equipmentRows = equipmentResult.rows;
+
+  // Suitability: the load charts when the radius is known, else the rated capacity
+  let lift = null;
+  const liftChecks = new Map();
+  if (isSet(loadTons) && isSet(radiusM)) {
+    const margin = isSet(safetyMarginPercent) ? Number(safetyMarginPercent) : await getLiftSafetyMargin();
+    const { suitable, unsuitable, ...summary } = await checkLift(queryable, {
+      loadTons,
+      radiusM,
+      heightM,
+      riggingTons,
+      safetyMarginPercent: margin,
+      category
+    });
+    lift = summary;
+    [...suitable, ...unsuitable].forEach(crane => liftChecks.set(crane.equipmentId, crane));
+  } else if (isSet(loadTons)) {
+    lift = { loadTons: Number(loadTons), riggingTons: Number(riggingTons || 0) };
+    lift.totalLoadTons = round2(lift.loadTons + lift.riggingTons);
+  }
+
+  const suitabilityOf = (row) => {
+    if (!lift) return { suitable: true, reason: null, liftOption: null };
+    const check = liftChecks.get(row.id);
+    if (check) return { suitable: check.suitable, reason: check.reason, liftOption: check.option };
+    const capacity = Number(row.max_lifting_capacity) || 0;
+    return capacity >= lift.totalLoadTons
+      ? { suitable: true, reason: null, liftOption: null }
+      : { suitable: false, reason: `Rated ${capacity} t, below the ${lift.totalLoadTons} t load`, liftOption: null };
+  };
+
+  const start = isSet(startDate) ? parseBookingDate(startDate) : null;
+  const end = start ? new Date(start.getTime() + Number(rentalDays) * DAY_MS) : null;
+
+  const cranes = equipmentRows.map(row => ({
+    equipmentId: row.id,
+    equipmentCode: row.equipment_id,
+    name: row.name,
+    category: row.category,
+    maxLiftingCapacity: Number(row.max_lifting_capacity) || 0,
+    status: row.status,
+    ...suitabilityOf(row)
+  }));
+  const suitableRows = equipmentRows.filter((row, index) => cranes[index].suitable);
+  const unavailability = start ? await findUnavailability(queryable, suitableRows, start, end) : new Map();
+
+  const pricingInputs = Object.fromEntries(PRICING_FIELDS.filter(field => pricing[field] !== undefined).map(field => [field, pricing[field]]));
+  const recommendations = [];
+  for (const crane of cranes.filter(item => item.suitable)) {
+    const priced = await calculateQuotationPricing({
+      ...pricingInputs,
+      numberOfDays: Number(rentalDays),
+      siteDistance: Number(siteDistance) || 0,
+      selectedMachines: [{ id: crane.equipmentId, quantity: 1 }]
+    });
+    const reasons = unavailability.get(crane.equipmentId) || [];
+    recommendations.push({
+      ...crane,
+      available: start ? reasons.length === 0 : null,
+      unavailableReasons: reasons,
+      orderType: priced.inputs.orderType,
+      baseRate: priced.machines[0].baseRate,
+      runningCostPerKm: priced.machines[0].runningCostPerKm,
+      workingCost: priced.calculations.workingCost,
+      mobDemobCost: priced.calculations.mobDemobCost,
+      totalAmount: priced.calculations.totalAmount,
+      warnings: priced.warnings
+    });
+  }
+
+  recommendations.sort((a, b) =>
+    Number(a.available === false) - Number(b.available === false)
+    || a.totalAmount - b.totalAmount
+    || a.maxLiftingCapacity - b.maxLiftingCapacity
+  );
+  const best = recommendations.find(crane => crane.available !== false);
+
+  return {
+    category,
+    lift,
+    startDate: start,
+    endDate: end,
+    rentalDays: Number(rentalDays),
+    siteDistance: Number(siteDistance) || 0,
+    recommendations: recommendations.map(crane => ({ ...crane, recommended: crane === best })),
+    excluded: cranes
+      .filter(crane => !crane.suitable)
+      .map(({ equipmentId, equipmentCode, name, category: craneCategory, maxLiftingCapacity, status, reason }) => ({
+        equipmentId, equipmentCode, name, category: craneCategory, maxLiftingCapacity, status, reason
+      }))
+  };
+};
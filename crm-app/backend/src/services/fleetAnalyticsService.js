@@ -0,0 +1,289 @@
+/**
+ * Fleet Analytics Service
+ * Utilization, revenue, cost and margin of each crane over a period.
+ *
+ * - Utilization splits the period into days on hire (jobs that are not
+ *   pending or cancelled, on their actual dates when known), in maintenance
+ *   (work orders that are not cancelled) and available; maintenance wins where
+ *   the two overlap.
+ * - Revenue is the invoiced amount before GST of invoices issued in the
+ *   period, plus accepted quotations starting in the period that are not
+ *   invoiced yet. An amount is shared between the quotation's cranes by base
+ *   rate x quantity; a job invoice without a quotation is shared equally
+ *   between the job's cranes.
+ * - Cost is the maintenance work orders completed in the period, plus the
+ *   running cost: the crane's running_cost per day on hire and the diesel
+ *   logged in the crane logbook at `fleetAnalytics.dieselPricePerLitre`.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import { buildAvailabilityIntervals } from './jobBookingService.js';
+
+// Job statuses during which a crane is on hire
+export const HIRE_JOB_STATUSES = ['scheduled', 'mobilizing', 'in_progress', 'demobilizing', 'completed'];
+
+// Invoice statuses that count as revenue
+const REVENUE_INVOICE_STATUSES = ['issued', 'partially_paid', 'paid'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = (value) => Math.round((Number(value) || 0) * 10) / 10;
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Diesel price and utilization thresholds, each falling back to the default
+ * when unset or not a number
+ */
+export const getFleetAnalyticsConfig = async () => {
+  const config = await getConfig('fleetAnalytics');
+  const defaults = DEFAULT_CONFIGS.fleetAnalytics;
+  return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+    const value = Number(config?.[key]);
+    return [key, config?.[key] !== undefined && config?.[key] !== null && !isNaN(value) && value >= 0 ? value : fallback];
+  }));
+};
+
+/**
+ * What management might do about a crane: `high_demand` when it is on hire
+ * above the high threshold, `loss_making` when its costs exceed its revenue,
+ * `underused` when it is on hire below the low threshold, otherwise null
+ */
+export const getFleetSignal = ({ utilizationPercent, margin, revenue, cost }, { lowUtilizationPercent, highUtilizationPercent }) => {
+  if (utilizationPercent >= highUtilizationPercent) return 'high_demand';
+  if ((revenue > 0 || cost > 0) && margin < 0) return 'loss_making';
+  if (utilizationPercent < lowUtilizationPercent) return 'underused';
+  return null;
+};
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+};
+
+/**
+ * Revenue per crane and kind ('invoiced' or 'accepted') for from-to
+ */
+const getRevenueByEquipment = async (queryable, equipmentIds, from, to) => {
+  const result = await queryable.query(`
+    WITH revenue_sources AS (
+      SELECT 'invoiced' AS kind, i.id AS source_id, COALESCE(i.quotation_id, j.quotation_id) AS quotation_id,
+             i.job_id, i.subtotal AS amount
+      FROM invoices i
+      LEFT JOIN jobs j ON j.id = i.job_id
+      WHERE i.status = ANY($2) AND i.issue_date >= $3::date AND i.issue_date < $4::date
+      UNION ALL
+      SELECT 'accepted', q.id, q.id, NULL, q.total_cost - COALESCE(q.gst_amount, 0)
+      FROM quotations q
+      WHERE q.status = 'accepted'
+        AND COALESCE(q.start_date, q.updated_at::date) >= $3::date
+        AND COALESCE(q.start_date, q.updated_at::date) < $4::date
+        AND NOT EXISTS (
+          SELECT 1 FROM invoices i
+          LEFT JOIN jobs j ON j.id = i.job_id
+          WHERE i.status <> 'void' AND (i.quotation_id = q.id OR j.quotation_id = q.id)
+        )
+    ),
+    shares AS (
+      SELECT s.kind, s.source_id, s.amount, qm.equipment_id,
+             qm.base_rate * qm.quantity AS weight, qm.quantity
+      FROM revenue_sources s
+      JOIN quotation_machines qm ON qm.quotation_id = s.quotation_id
+      UNION ALL
+      SELECT s.kind, s.source_id, s.amount, je.equipment_id, 0, 1
+      FROM revenue_sources s
+      JOIN job_equipment je ON je.job_id = s.job_id
+      WHERE s.quotation_id IS NULL
+    ),
+    weighted AS (
+      SELECT *, SUM(weight) OVER source AS total_weight, SUM(quantity) OVER source AS total_quantity
+      FROM shares
+      WINDOW source AS (PARTITION BY kind, source_id)
+    )
+    SELECT equipment_id, kind,
+           SUM(amount * CASE WHEN total_weight > 0 THEN weight / total_weight ELSE quantity::numeric / total_quantity END) AS revenue,
+           COUNT(DISTINCT source_id) AS sources
+    FROM weighted
+    WHERE equipment_id = ANY($1)
+    GROUP BY equipment_id, kind
+  `, [equipmentIds, REVENUE_INVOICE_STATUSES, from, to]);
+
+  const revenue = new Map();
+  for (const row of result.rows) {
+    const entry = revenue.get(row.equipment_id) || { invoiced: 0, accepted: 0, sources: 0 };
+    entry[row.kind] = Number(row.revenue) || 0;
+    entry.sources += Number(row.sources) || 0;
+    revenue.set(row.equipment_id, entry);
+  }
+  return revenue;
+};
+
+/**
+ * Utilization, revenue, costs and margin of every crane (optionally of one
+ * category) for from-to, with fleet and per-category totals
+ */
+export const getFleetAnalytics = async (queryable, { from, to, category = null }) => {
+  const config = await getFleetAnalyticsConfig();
+
+  const equipmentResult = await queryable.query(`
+    SELECT id, equipment_id, name, category, max_lifting_capacity, status, running_cost
+    FROM equipment
+    WHERE ($1::varchar IS NULL OR category = $1)
+    ORDER BY category ASC, max_lifting_capacity ASC, name ASC
+  `, [category]);
+  const equipmentIds = equipmentResult.rows.map(row => row.id);
+
+  const [hireResult, maintenanceResult, maintenanceCostResult, dieselResult, revenue] = await Promise.all([
+    queryable.query(`
+      SELECT je.equipment_id, j.id AS job_id,
+             COALESCE(j.actual_start_date, j.scheduled_start_date) AS start_date,
+             COALESCE(j.actual_end_date, j.scheduled_end_date) AS end_date
+      FROM job_equipment je
+      JOIN jobs j ON j.id = je.job_id
+      WHERE je.equipment_id = ANY($1)
+        AND j.status = ANY($2)
+        AND COALESCE(j.actual_start_date, j.scheduled_start_date) < $4
+        AND COALESCE(j.actual_end_date, j.scheduled_end_date) > $3
+    `, [equipmentIds, HIRE_JOB_STATUSES, from, to]),
+    queryable.query(`
+      SELECT equipment_id, window_start, window_end
+      FROM (
+        SELECT w.equipment_id,
+               COALESCE(w.actual_start, w.planned_start) AS window_start,
+               COALESCE(w.actual_end, CASE WHEN w.status = 'in_progress' THEN GREATEST(w.planned_end, NOW()) ELSE w.planned_end END) AS window_end
+        FROM maintenance_work_orders w
+        WHERE w.equipment_id = ANY($1) AND w.status <> 'cancelled'
+      ) windows
+      WHERE window_start < $3 AND window_end > $2
+    `, [equipmentIds, from, to]),
+    queryable.query(`
+      SELECT equipment_id, SUM(total_cost) AS total_cost, COUNT(*) AS work_orders
+      FROM maintenance_work_orders
+      WHERE equipment_id = ANY($1) AND status = 'completed'
+        AND actual_end >= $2 AND actual_end < $3
+      GROUP BY equipment_id
+    `, [equipmentIds, from, to]),
+    queryable.query(`
+      SELECT equipment_id, SUM(diesel_litres) AS diesel_litres
+      FROM job_logs
+      WHERE equipment_id = ANY($1) AND log_date >= $2::date AND log_date < $3::date
+      GROUP BY equipment_id
+    `, [equipmentIds, from, to]),
+    getRevenueByEquipment(queryable, equipmentIds, from, to)
+  ]);
+
+  const hires = groupBy(hireResult.rows, 'equipment_id');
+  const maintenanceWindows = groupBy(maintenanceResult.rows, 'equipment_id');
+  const maintenanceCosts = new Map(maintenanceCostResult.rows.map(row => [row.equipment_id, row]));
+  const diesel = new Map(dieselResult.rows.map(row => [row.equipment_id, Number(row.diesel_litres) || 0]));
+  const periodDays = (to - from) / DAY_MS;
+
+  const equipment = equipmentResult.rows.map(row => {
+    const intervals = buildAvailabilityIntervals(
+      (hires.get(row.id) || []).map(hire => ({ jobId: hire.job_id, scheduledStartDate: hire.start_date, scheduledEndDate: hire.end_date })),
+      from,
+      to,
+      (maintenanceWindows.get(row.id) || []).map(window => ({ start: window.window_start, end: window.window_end }))
+    );
+    const daysOf = (type) => intervals
+      .filter(interval => interval.type === type)
+      .reduce((sum, interval) => sum + (interval.end - interval.start) / DAY_MS, 0);
+    const hireDays = daysOf('busy');
+    const maintenanceDays = daysOf('maintenance');
+
+    const earned = revenue.get(row.id) || { invoiced: 0, accepted: 0, sources: 0 };
+    const maintenanceCost = Number(maintenanceCosts.get(row.id)?.total_cost) || 0;
+    const dieselLitres = diesel.get(row.id) || 0;
+    const runningCost = (Number(row.running_cost) || 0) * hireDays + dieselLitres * config.dieselPricePerLitre;
+    const totalRevenue = earned.invoiced + earned.accepted;
+    const cost = maintenanceCost + runningCost;
+    const margin = totalRevenue - cost;
+
+    const result = {
+      equipmentId: row.id,
+      equipmentCode: row.equipment_id,
+      name: row.name,
+      category: row.category,
+      maxLiftingCapacity: Number(row.max_lifting_capacity) || 0,
+      status: row.status,
+      hireDays: round1(hireDays),
+      maintenanceDays: round1(maintenanceDays),
+      availableDays: round1(periodDays - hireDays - maintenanceDays),
+      utilizationPercent: periodDays > 0 ? round1((hireDays / periodDays) * 100) : 0,
+      jobs: new Set((hires.get(row.id) || []).map(hire => hire.job_id)).size,
+      invoicedRevenue: round2(earned.invoiced),
+      acceptedRevenue: round2(earned.accepted),
+      revenue: round2(totalRevenue),
+      maintenanceCost: round2(maintenanceCost),
+      workOrders: Number(maintenanceCosts.get(row.id)?.work_orders) || 0,
+      dieselLitres: round1(dieselLitres),
+      runningCost: round2(runningCost),
+      cost: round2(cost),
+      margin: round2(margin),
+      marginPercent: totalRevenue > 0 ? round1((margin / totalRevenue) * 100) : null
+    };
+    return { ...result, signal: getFleetSignal(result, config) };
+  });
+
+  const summarize = (cranes) => {
+    const sum = (field) => cranes.reduce((total, crane) => total + crane[field], 0);
+    const revenueTotal = sum('revenue');
+    const marginTotal = sum('margin');
+    return {
+      cranes: cranes.length,
+      hireDays: round1(sum('hireDays')),
+      maintenanceDays: round1(sum('maintenanceDays')),
+      availableDays: round1(sum('availableDays')),
+      utilizationPercent: cranes.length > 0 && periodDays > 0 ? round1((sum('hireDays') / (periodDays * cranes.length)) * 100) : 0,
+      revenue: round2(revenueTotal),
+      maintenanceCost: round2(sum('maintenanceCost')),
+      runningCost: round2(sum('runningCost')),
+      cost: round2(sum('cost')),
+      margin: round2(marginTotal),
+      marginPercent: revenueTotal > 0 ? round1((marginTotal / revenueTotal) * 100) : null
+    };
+  };
+
+  return {
+    from,
+    to,
+    periodDays: round1(periodDays),
+    config,
+    totals: summarize(equipment),
+    categories: [...groupBy(equipment, 'category').entries()].map(([name, cranes]) => ({ category: name, ...summarize(cranes) })),
+    equipment
+  };
+};
+
+/**
+ * Fleet totals (or one crane's figures) for each of the last `months`
+ * calendar months, the current month included
+ */
+export const getFleetTrend = async (queryable, { months = 6, category = null, equipmentId = null }) => {
+  const now = new Date();
+  const trend = [];
+  for (let offset = months - 1; offset >= 0; offset--) {
+    const from = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+    const to = new Date(now.getFullYear(), now.getMonth() - offset + 1, 1);
+    const analytics = await getFleetAnalytics(queryable, { from, to, category });
+    const figures = equipmentId
+      ? analytics.equipment.find(crane => crane.equipmentId === equipmentId)
+      : analytics.totals;
+    if (!figures) return null;
+    trend.push({
+      month: `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}`,
+      utilizationPercent: figures.utilizationPercent,
+      hireDays: figures.hireDays,
+      maintenanceDays: figures.maintenanceDays,
+      revenue: figures.revenue,
+      cost: figures.cost,
+      margin: figures.margin
+    });
+  }
+  return trend;
+};
@@ -0,0 +1,276 @@
+/**
+ * GST Service
+ * Place-of-supply rules for splitting GST into CGST + SGST (intra-state) or
+ * IGST (inter-state).
+ *
+ * The supplier state comes from the company GSTIN in company_settings; the
+ * recipient state from the customer GSTIN, falling back to the customer state.
+ * When either side is unknown the supply is treated as intra-state.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { GST_RATE } from './quotationPricingService.js';
+
+// GST state codes (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+export const SUPPLY_TYPES = ['intra_state', 'inter_state'];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatRate = (rate) => `${Number(rate)}%`;
+
+export const normalizeGstin = (value) => {
+  const gstin = String(value || '').replace(/\s+/g, '').toUpperCase();
+  return gstin || null;
+};
+
+export const isValidGstin = (value) => {
+  const gstin = normalizeGstin(value);
+  return !!gstin && GSTIN_PATTERN.test(gstin) && !!GST_STATE_CODES[gstin.slice(0, 2)];
+};
+
+/**
+ * State code from the first two digits of a GSTIN. Only the prefix is checked,
+ * so placeholder company GSTINs still yield their state.
+ */
+export const getStateCodeFromGstin = (value) => {
+  const prefix = normalizeGstin(value)?.slice(0, 2);
+  return prefix && GST_STATE_CODES[prefix] ? prefix : null;
+};
+
+/**
+ * Accepts a state code ("27", "7") or a state name ("Maharashtra") and
+ * returns the two digit GST state code (or null)
+ */
+export const resolveStateCode = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^[0-9]{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return GST_STATE_CODES[code] ? code : null;
+  }
+  const name = text.toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, ' ');
+  return Object.keys(GST_STATE_CODES).find(code => GST_STATE_CODES[code].toLowerCase() === name) || null;
+};
+
+export const getStateName = (code) => GST_STATE_CODES[code] || null;
+
+/**
+ * Validate the GSTIN / state pair entered for a customer.
+ * Returns an error message, or null when valid.
+ */
+export const validateCustomerTaxDetails = ({ gstin, state } = {}) => {
+  if (gstin && !isValidGstin(gstin)) {
+    return 'GSTIN must be a valid 15 character GSTIN (e.g. 27ABCDE1234F1Z5)';
+  }
+  if (state && !resolveStateCode(state)) {
+    return `Unknown state: ${state}`;
+  }
+  if (gstin && state && getStateCodeFromGstin(gstin) !== resolveStateCode(state)) {
+    return 'GSTIN state code does not match the customer state';
+  }
+  return null;
+};
+
+export const determineSupplyType = (supplierStateCode, recipientStateCode) => (
+  supplierStateCode && recipientStateCode && supplierStateCode !== recipientStateCode
+    ? 'inter_state'
+    : 'intra_state'
+);
+
+/**
+ * Split a GST amount into its components. CGST takes the rounded half so the
+ * two halves always add up to the total.
+ */
+export const splitGst = (gstAmount, gstRate, supplyType) => {
+  const amount = round2(gstAmount);
+  const rate = Number(gstRate) || 0;
+  if (supplyType === 'inter_state') {
+    return { cgstRate: 0, cgstAmount: 0, sgstRate: 0, sgstAmount: 0, igstRate: rate, igstAmount: amount };
+  }
+  const cgstAmount = round2(amount / 2);
+  return {
+    cgstRate: rate / 2,
+    cgstAmount,
+    sgstRate: rate / 2,
+    sgstAmount: round2(amount - cgstAmount),
+    igstRate: 0,
+    igstAmount: 0
+  };
+};
+
+/**
+ * Supplier state code from the active company GSTIN
+ */
+export const getCompanyStateCode = async (queryable) => {
+  try {
+    const result = await queryable.query(`
+      SELECT gst_number FROM company_settings
+      WHERE is_active = true
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `);
+    return getStateCodeFromGstin(result.rows[0]?.gst_number);
+  } catch (error) {
+    console.warn('⚠️ Could not load the company GSTIN:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Place of supply and GST split for a quotation priced at gstRate / gstAmount
+ */
+export const resolveQuotationTax = async (queryable, { customerId = null, gstRate = 0, gstAmount = 0 }) => {
+  const companyStateCode = await getCompanyStateCode(queryable);
+
+  let customer = null;
+  if (customerId) {
+    const result = await queryable.query('SELECT gstin, state FROM customers WHERE id = $1', [customerId]);
+    customer = result.rows[0] || null;
+  }
+  const customerGstin = normalizeGstin(customer?.gstin);
+  const customerStateCode = getStateCodeFromGstin(customerGstin) || resolveStateCode(customer?.state);
+
+  const supplyType = determineSupplyType(companyStateCode, customerStateCode);
+  const placeOfSupplyCode = customerStateCode || companyStateCode;
+
+  return {
+    supplyType,
+    placeOfSupply: getStateName(placeOfSupplyCode),
+    placeOfSupplyCode,
+    customerGstin,
+    ...splitGst(gstAmount, gstRate, supplyType)
+  };
+};
+
+/**
+ * Store a resolved tax split on the quotation row
+ */
+export const saveQuotationTax = async (queryable, quotationId, tax) => {
+  await queryable.query(`
+    UPDATE quotations
+    SET supply_type = $2, place_of_supply = $3, place_of_supply_code = $4, customer_gstin = $5,
+        cgst_rate = $6, cgst_amount = $7, sgst_rate = $8, sgst_amount = $9, igst_rate = $10, igst_amount = $11
+    WHERE id = $1
+  `, [
+    quotationId,
+    tax.supplyType,
+    tax.placeOfSupply,
+    tax.placeOfSupplyCode,
+    tax.customerGstin,
+    tax.cgstRate,
+    tax.cgstAmount,
+    tax.sgstRate,
+    tax.sgstAmount,
+    tax.igstRate,
+    tax.igstAmount
+  ]);
+  return tax;
+};
+
+/**
+ * Tax split of a stored quotation row (or revision snapshot). Rows without
+ * split columns are treated as intra-state at the standard rate.
+ */
+export const getTaxBreakdown = (row = {}) => {
+  const gstAmount = round2(row.gst_amount);
+  const hasSplit = row.cgst_rate !== undefined && row.cgst_rate !== null;
+  const split = hasSplit
+    ? {
+        cgstRate: Number(row.cgst_rate) || 0,
+        cgstAmount: round2(row.cgst_amount),
+        sgstRate: Number(row.sgst_rate) || 0,
+        sgstAmount: round2(row.sgst_amount),
+        igstRate: Number(row.igst_rate) || 0,
+        igstAmount: round2(row.igst_amount)
+      }
+    : splitGst(gstAmount, gstAmount > 0 ? GST_RATE : 0, 'intra_state');
+  const supplyType = row.supply_type || (split.igstAmount > 0 ? 'inter_state' : 'intra_state');
+
+  const lines = supplyType === 'inter_state'
+    ? [{ key: 'igst', label: `IGST (${formatRate(split.igstRate)})`, rate: split.igstRate, amount: split.igstAmount }]
+    : [
+        { key: 'cgst', label: `CGST (${formatRate(split.cgstRate)})`, rate: split.cgstRate, amount: split.cgstAmount },
+        { key: 'sgst', label: `SGST (${formatRate(split.sgstRate)})`, rate: split.sgstRate, amount: split.sgstAmount }
+      ];
+
+  return {
+    rate: split.cgstRate + split.sgstRate + split.igstRate,
+    gstAmount,
+    supplyType,
+    placeOfSupply: row.place_of_supply || null,
+    placeOfSupplyCode: row.place_of_supply_code || null,
+    customerGstin: row.customer_gstin || null,
+    ...split,
+    lines: gstAmount > 0 ? lines : []
+  };
+};
+
+/**
+ * Template `tax` data for a tax breakdown, amounts formatted with formatAmount
+ */
+export const formatTemplateTax = (breakdown, formatAmount) => ({
+  rate: breakdown.rate,
+  supplyType: breakdown.supplyType,
+  placeOfSupply: breakdown.placeOfSupply
+    ? `${breakdown.placeOfSupply}${breakdown.placeOfSupplyCode ? ` (${breakdown.placeOfSupplyCode})` : ''}`
+    : '',
+  customerGstin: breakdown.customerGstin || '',
+  cgstRate: breakdown.cgstRate,
+  sgstRate: breakdown.sgstRate,
+  igstRate: breakdown.igstRate,
+  cgst: formatAmount(breakdown.cgstAmount),
+  sgst: formatAmount(breakdown.sgstAmount),
+  igst: formatAmount(breakdown.igstAmount),
+  hasCgst: breakdown.cgstAmount > 0,
+  hasSgst: breakdown.sgstAmount > 0,
+  hasIgst: breakdown.igstAmount > 0,
+  lines: breakdown.lines.map(line => ({ key: line.key, label: line.label, value: formatAmount(line.amount) }))
+});
+
+/**
+ * Template `tax` data for a stored quotation row, amounts formatted with formatAmount
+ */
+export const buildTemplateTax = (row, formatAmount) => formatTemplateTax(getTaxBreakdown(row), formatAmount);
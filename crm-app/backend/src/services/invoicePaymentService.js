@@ -0,0 +1,323 @@
+/**
+ * Invoice Payment Service
+ * Payments against issued invoices, receivables ageing and payment overdue reminders.
+ *
+ * A payment settles `amount + tds_amount` of the invoice: TDS deducted by the
+ * customer counts as paid. The invoice moves between issued, partially_paid
+ * and paid as payments are recorded or removed.
+ *
+ * Overdue reminders are queued in scheduled_notifications (see
+ * notificationEngine.scheduleNotification) for each configured number of days
+ * after the due date, and re-queued whenever the balance changes.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import notificationEngine from './notificationEngine.js';
+
+export const PAYMENT_MODES = ['cash', 'cheque', 'neft', 'rtgs', 'imps', 'upi', 'card', 'other'];
+
+// Statuses that can still take payments
+export const PAYABLE_STATUSES = ['issued', 'partially_paid'];
+
+// Ageing buckets by days past the due date
+export const AGEING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', minDays: null, maxDays: -1 },
+  { key: 'days0To30', label: '0-30 days', minDays: 0, maxDays: 30 },
+  { key: 'days31To60', label: '31-60 days', minDays: 31, maxDays: 60 },
+  { key: 'days61To90', label: '61-90 days', minDays: 61, maxDays: 90 },
+  { key: 'days90Plus', label: '90+ days', minDays: 91, maxDays: null }
+];
+
+const REMINDER_TYPES = ['payment_overdue', 'payment_overdue_customer'];
+const REMINDER_HOUR = 9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const mapPaymentRow = (row) => ({
+  id: row.id,
+  invoiceId: row.invoice_id,
+  paymentDate: row.payment_date,
+  amount: Number(row.amount) || 0,
+  tdsAmount: Number(row.tds_amount) || 0,
+  tdsSection: row.tds_section,
+  mode: row.mode,
+  reference: row.reference,
+  notes: row.notes,
+  recordedBy: row.recorded_by,
+  createdAt: row.created_at
+});
+
+/**
+ * Reminder settings, falling back to the defaults for missing or invalid keys
+ */
+export const getReminderConfig = async () => {
+  const defaults = DEFAULT_CONFIGS.paymentReminders;
+  const config = await getConfig('paymentReminders');
+  const days = Array.isArray(config.daysAfterDue)
+    ? config.daysAfterDue.map(day => parseInt(day, 10)).filter(day => !isNaN(day) && day >= 0)
+    : defaults.daysAfterDue;
+  return {
+    enabled: config.enabled !== false,
+    daysAfterDue: [...new Set(days)].sort((a, b) => a - b),
+    notifyOwner: config.notifyOwner !== false,
+    notifyCustomer: config.notifyCustomer !== false
+  };
+};
+
+/**
+ * Validate a payment against the invoice balance. Returns an error message, or null when valid.
+ */
+export const validatePayment = ({ amount, tdsAmount, mode, paymentDate }, balanceDue) => {
+  if (isNaN(amount) || amount < 0 || isNaN(tdsAmount) || tdsAmount < 0) {
+    return 'amount and tdsAmount must be zero or more';
+  }
+  if (round2(amount + tdsAmount) <= 0) {
+    return 'A payment must settle a positive amount';
+  }
+  if (!PAYMENT_MODES.includes(mode)) {
+    return `mode must be one of: ${PAYMENT_MODES.join(', ')}`;
+  }
+  if (paymentDate) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(paymentDate) || isNaN(new Date(paymentDate).getTime()) || paymentDate > today) {
+      return 'paymentDate must be a date (YYYY-MM-DD) no later than today';
+    }
+  }
+  if (round2(amount + tdsAmount) > round2(balanceDue)) {
+    return `The payment exceeds the balance due (${round2(balanceDue)})`;
+  }
+  return null;
+};
+
+/**
+ * Recompute the paid totals and status of an issued invoice from its payments
+ */
+const refreshInvoiceBalance = async (queryable, invoiceId) => {
+  const result = await queryable.query(`
+    UPDATE invoices i
+    SET amount_paid = p.settled,
+        tds_amount = p.tds,
+        status = CASE
+          WHEN p.settled >= i.total_amount THEN 'paid'
+          WHEN p.settled > 0 THEN 'partially_paid'
+          ELSE 'issued'
+        END
+    FROM (
+      SELECT COALESCE(SUM(amount + tds_amount), 0) AS settled, COALESCE(SUM(tds_amount), 0) AS tds
+      FROM invoice_payments WHERE invoice_id = $1
+    ) p
+    WHERE i.id = $1
+    RETURNING i.status, i.amount_paid, i.total_amount
+  `, [invoiceId]);
+  return result.rows[0];
+};
+
+/**
+ * Record a payment and update the invoice status. Run inside a transaction
+ * with the invoice row locked (see lockPayableInvoice).
+ */
+export const recordPayment = async (queryable, invoiceId, {
+  amount = 0,
+  tdsAmount = 0,
+  tdsSection = null,
+  mode,
+  reference = null,
+  paymentDate = null,
+  notes = null,
+  user = null
+}) => {
+  const result = await queryable.query(`
+    INSERT INTO invoice_payments (invoice_id, payment_date, amount, tds_amount, tds_section, mode, reference, notes, recorded_by)
+    VALUES ($1, COALESCE($2::date, CURRENT_DATE), $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [invoiceId, paymentDate, round2(amount), round2(tdsAmount), tdsSection, mode, reference, notes, user?.id || null]);
+  const balance = await refreshInvoiceBalance(queryable, invoiceId);
+  return { payment: mapPaymentRow(result.rows[0]), status: balance.status };
+};
+
+/**
+ * Remove a payment recorded in error. Returns null when it does not belong to the invoice.
+ */
+export const deletePayment = async (queryable, invoiceId, paymentId) => {
+  const result = await queryable.query(
+    'DELETE FROM invoice_payments WHERE id = $1 AND invoice_id = $2 RETURNING id',
+    [paymentId, invoiceId]
+  );
+  if (result.rows.length === 0) return null;
+  const balance = await refreshInvoiceBalance(queryable, invoiceId);
+  return { status: balance.status };
+};
+
+/**
+ * Lock an invoice row for a payment change. Returns the row, or null when missing.
+ */
+export const lockInvoiceForPayment = async (client, invoiceId) => {
+  const result = await client.query(
+    'SELECT id, status, total_amount, amount_paid FROM invoices WHERE id = $1 FOR UPDATE',
+    [invoiceId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Payments of an invoice, oldest first
+ */
+export const listInvoicePayments = async (queryable, invoiceId) => {
+  const result = await queryable.query(
+    'SELECT * FROM invoice_payments WHERE invoice_id = $1 ORDER BY payment_date ASC, created_at ASC',
+    [invoiceId]
+  );
+  return result.rows.map(mapPaymentRow);
+};
+
+/**
+ * Outstanding balances per customer, bucketed by days past due as of `asOf`
+ * (YYYY-MM-DD, default today)
+ */
+export const getReceivablesAgeing = async (queryable, { asOf = null } = {}) => {
+  const result = await queryable.query(`
+    SELECT i.id, i.invoice_number, i.customer_id, i.customer_name, i.due_date,
+           i.total_amount - i.amount_paid AS balance,
+           (COALESCE($1::date, CURRENT_DATE) - i.due_date) AS days_overdue
+    FROM invoices i
+    WHERE i.status = ANY($2)
+      AND i.issue_date <= COALESCE($1::date, CURRENT_DATE)
+      AND i.total_amount - i.amount_paid > 0
+    ORDER BY i.customer_name ASC, i.due_date ASC
+  `, [asOf, PAYABLE_STATUSES]);
+
+  const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const bucketFor = (daysOverdue) => AGEING_BUCKETS.find(bucket =>
+    (bucket.minDays === null || daysOverdue >= bucket.minDays) &&
+    (bucket.maxDays === null || daysOverdue <= bucket.maxDays)
+  ).key;
+
+  const customers = new Map();
+  const totals = { ...emptyBuckets(), total: 0 };
+  for (const row of result.rows) {
+    const balance = round2(row.balance);
+    const key = bucketFor(Number(row.days_overdue));
+    if (!customers.has(row.customer_id)) {
+      customers.set(row.customer_id, {
+        customerId: row.customer_id,
+        customerName: row.customer_name,
+        ...emptyBuckets(),
+        total: 0,
+        invoices: []
+      });
+    }
+    const customer = customers.get(row.customer_id);
+    customer[key] = round2(customer[key] + balance);
+    customer.total = round2(customer.total + balance);
+    customer.invoices.push({
+      id: row.id,
+      invoiceNumber: row.invoice_number,
+      dueDate: row.due_date,
+      daysOverdue: Math.max(0, Number(row.days_overdue)),
+      balance,
+      bucket: key
+    });
+    totals[key] = round2(totals[key] + balance);
+    totals.total = round2(totals.total + balance);
+  }
+
+  return {
+    asOf: asOf || new Date().toISOString().slice(0, 10),
+    buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    customers: [...customers.values()],
+    totals
+  };
+};
+
+/**
+ * Cancel the pending overdue reminders of an invoice
+ */
+export const cancelOverdueReminders = async (queryable, invoiceId) => {
+  const result = await queryable.query(`
+    UPDATE scheduled_notifications
+    SET status = 'cancelled'
+    WHERE status = 'pending' AND reference_type = 'invoice' AND reference_id = $1 AND type = ANY($2)
+  `, [invoiceId, REMINDER_TYPES]);
+  return result.rowCount;
+};
+
+/**
+ * (Re)queue overdue reminders for an invoice with a balance due: one per
+ * configured day after the due date that is still in the future, to the
+ * owning sales agent and to the customer. Earlier pending reminders are
+ * cancelled first so they never quote a stale balance.
+ */
+export const scheduleOverdueReminders = async (queryable, invoiceId) => {
+  await cancelOverdueReminders(queryable, invoiceId);
+
+  const config = await getReminderConfig();
+  if (!config.enabled || config.daysAfterDue.length === 0) return [];
+
+  // Owner: the deal's assigned agent, else whoever created the quotation or invoice
+  const result = await queryable.query(`
+    SELECT i.id, i.invoice_number, i.customer_name, i.due_date, i.status,
+           i.total_amount - i.amount_paid AS balance,
+           c.email AS customer_email, cs.company_name,
+           u.uid AS owner_id, u.email AS owner_email, u.display_name AS owner_name
+    FROM invoices i
+    LEFT JOIN customers c ON c.id = i.customer_id
+    LEFT JOIN deals d ON d.id = i.deal_id
+    LEFT JOIN quotations q ON q.id = i.quotation_id
+    LEFT JOIN users u ON u.uid = COALESCE(d.assigned_to, q.created_by, i.created_by)
+    LEFT JOIN LATERAL (
+      SELECT company_name FROM company_settings WHERE is_active = true ORDER BY updated_at DESC LIMIT 1
+    ) cs ON true
+    WHERE i.id = $1
+  `, [invoiceId]);
+  const invoice = result.rows[0];
+  if (!invoice || !PAYABLE_STATUSES.includes(invoice.status) || round2(invoice.balance) <= 0 || !invoice.due_date) {
+    return [];
+  }
+
+  const dueDate = new Date(invoice.due_date);
+  const baseData = {
+    invoiceNumber: invoice.invoice_number,
+    customerName: invoice.customer_name,
+    companyName: invoice.company_name || 'ASP Cranes',
+    amount: round2(invoice.balance).toLocaleString('en-IN'),
+    dueDate: dueDate.toLocaleDateString('en-IN'),
+    invoiceUrl: `${process.env.FRONTEND_URL}/invoices?open=${invoice.id}`,
+    referenceId: invoice.id,
+    referenceType: 'invoice'
+  };
+
+  const scheduled = [];
+  for (const days of config.daysAfterDue) {
+    const scheduleAt = new Date(dueDate.getTime() + days * DAY_MS);
+    scheduleAt.setHours(REMINDER_HOUR, 0, 0, 0);
+    if (scheduleAt <= new Date()) continue;
+
+    const data = { ...baseData, daysOverdue: days };
+    if (config.notifyOwner && invoice.owner_id) {
+      const queued = await notificationEngine.sendNotification({
+        type: 'payment_overdue',
+        recipients: [{ id: invoice.owner_id, email: invoice.owner_email, name: invoice.owner_name }],
+        data,
+        channels: ['in_app', 'email'],
+        priority: 'high',
+        scheduleAt
+      });
+      if (queued?.success) scheduled.push({ type: 'payment_overdue', scheduleAt });
+    }
+    if (config.notifyCustomer && invoice.customer_email) {
+      const queued = await notificationEngine.sendNotification({
+        type: 'payment_overdue_customer',
+        recipients: [{ id: null, email: invoice.customer_email, name: invoice.customer_name }],
+        data,
+        channels: ['email'],
+        priority: 'high',
+        scheduleAt
+      });
+      if (queued?.success) scheduled.push({ type: 'payment_overdue_customer', scheduleAt });
+    }
+  }
+  return scheduled;
+};
@@ -0,0 +1,403 @@
+/**
+ * Invoice Service
+ * Tax invoices raised from accepted quotations or completed jobs.
+ *
+ * Invoices are created as drafts and numbered when issued. Numbers are
+ * sequential per financial year (April to March) and taken from
+ * invoice_number_sequences inside the issuing transaction, so they are gapless.
+ *
+ * Job invoices bill the actual job duration: per-day charges of the accepted
+ * quotation are prorated to the billable days, lump-sum charges are billed in full.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import { getTaxBreakdown, resolveQuotationTax } from './gstService.js';
+
+export const INVOICE_STATUSES = ['draft', 'issued', 'partially_paid', 'paid', 'void'];
+
+// GST invoice numbers are limited to 16 characters
+const MAX_INVOICE_NUMBER_LENGTH = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const mapItemRow = (row) => ({
+  id: row.id,
+  lineNumber: row.line_number,
+  description: row.description,
+  sacCode: row.sac_code,
+  quantity: Number(row.quantity) || 0,
+  unit: row.unit,
+  rate: Number(row.rate) || 0,
+  amount: Number(row.amount) || 0
+});
+
+const mapInvoiceRow = (row, items) => ({
+  id: row.id,
+  invoiceNumber: row.invoice_number,
+  financialYear: row.financial_year,
+  status: row.status,
+  sourceType: row.source_type,
+  quotationId: row.quotation_id,
+  jobId: row.job_id,
+  dealId: row.deal_id,
+  customerId: row.customer_id,
+  customerName: row.customer_name,
+  customerAddress: row.customer_address,
+  customerGstin: row.customer_gstin,
+  billingPeriodStart: row.billing_period_start,
+  billingPeriodEnd: row.billing_period_end,
+  billableDays: row.billable_days,
+  subtotal: Number(row.subtotal) || 0,
+  tax: getTaxBreakdown(row),
+  gstAmount: Number(row.gst_amount) || 0,
+  totalAmount: Number(row.total_amount) || 0,
+  amountPaid: Number(row.amount_paid) || 0,
+  tdsAmount: Number(row.tds_amount) || 0,
+  balanceDue: round2(Number(row.total_amount) - Number(row.amount_paid)),
+  issueDate: row.issue_date,
+  dueDate: row.due_date,
+  notes: row.notes,
+  voidReason: row.void_reason,
+  voidedAt: row.voided_at,
+  createdBy: row.created_by,
+  issuedBy: row.issued_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(items ? { items: items.map(mapItemRow) } : {})
+});
+
+/**
+ * Invoice settings, falling back to the defaults for missing or invalid keys
+ */
+export const getInvoiceConfig = async () => {
+  const defaults = DEFAULT_CONFIGS.invoice;
+  const config = await getConfig('invoice');
+  const prefix = String(config.numberPrefix ?? defaults.numberPrefix).replace(/[^A-Za-z0-9-]/g, '');
+  const paymentTermsDays = parseInt(config.paymentTermsDays, 10);
+  return {
+    numberPrefix: prefix || defaults.numberPrefix,
+    paymentTermsDays: isNaN(paymentTermsDays) || paymentTermsDays < 0 ? defaults.paymentTermsDays : paymentTermsDays,
+    sacCode: config.sacCode || defaults.sacCode
+  };
+};
+
+/**
+ * Indian financial year of a date, e.g. 2026-10-18 -> '2026-27'
+ */
+export const getFinancialYear = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Invoice number such as ASP/2026-27/0001. The prefix is shortened when the
+ * number would exceed the 16 character GST limit.
+ */
+export const formatInvoiceNumber = (prefix, financialYear, sequence) => {
+  const suffix = `/${financialYear}/${String(sequence).padStart(4, '0')}`;
+  return `${prefix.slice(0, Math.max(0, MAX_INVOICE_NUMBER_LENGTH - suffix.length))}${suffix}`;
+};
+
+/**
+ * Days billed for a job: the actual start to end, rounded up to whole days
+ */
+export const calculateBillableDays = (startDate, endDate) => {
+  const start = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
+  if (isNaN(start) || isNaN(end) || end < start) return null;
+  return Math.max(1, Math.ceil((end - start) / DAY_MS));
+};
+
+/**
+ * Charge lines for a quotation. With billableDays the per-day charges
+ * (working cost, food & accommodation, per-day and percentage surcharges) are
+ * prorated from the quoted days.
+ */
+export const buildInvoiceLines = (quotation, machines = [], { billableDays = null, sacCode = null } = {}) => {
+  const quotedDays = Number(quotation.number_of_days) || 1;
+  const days = billableDays || quotedDays;
+  const ratio = days / quotedDays;
+
+  const subtotal = round2(quotation.total_rent);
+  const workingCost = round2(quotation.working_cost);
+  const foodAccomCost = round2(quotation.food_accom_cost);
+  const mobDemobCost = round2(quotation.mob_demob_cost);
+  const riskUsageCost = round2(Number(quotation.risk_adjustment) + Number(quotation.usage_load_factor));
+  const surcharges = Array.isArray(quotation.surcharges) ? quotation.surcharges : [];
+  const surchargeCost = round2(surcharges.reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+  // Extra and rigger/helper charges are only stored as part of the subtotal
+  const otherCharges = round2(subtotal - workingCost - foodAccomCost - mobDemobCost - riskUsageCost - surchargeCost);
+
+  const equipment = machines.length > 0
+    ? machines.map(m => `${m.equipment_name || 'Equipment'}${Number(m.quantity) > 1 ? ` x ${m.quantity}` : ''}`).join(', ')
+    : quotation.machine_type;
+
+  const lines = [];
+  const addLine = (description, quantity, unit, rate, amount) => {
+    if (round2(amount) <= 0) return;
+    lines.push({ description, sacCode, quantity, unit, rate: round2(rate), amount: round2(amount) });
+  };
+
+  if (workingCost > 0) {
+    addLine(`Crane rental - ${equipment}`, days, 'Days', workingCost / quotedDays, workingCost * ratio);
+    addLine('Food & accommodation', days, 'Days', foodAccomCost / quotedDays, foodAccomCost * ratio);
+    addLine('Mobilisation / demobilisation', 1, 'Lot', mobDemobCost, mobDemobCost);
+    addLine('Risk & usage charges', 1, 'Lot', riskUsageCost, riskUsageCost);
+    for (const surcharge of surcharges) {
+      const amount = Number(surcharge.amount) || 0;
+      if (surcharge.per === 'once') {
+        addLine(surcharge.name, 1, 'Lot', amount, amount);
+      } else {
+        addLine(surcharge.name, days, 'Days', amount / quotedDays, amount * ratio);
+      }
+    }
+    if (otherCharges > 0.01) {
+      addLine('Other charges', 1, 'Lot', otherCharges, otherCharges);
+    }
+  } else {
+    // Older quotations only carry the subtotal
+    addLine(`Crane rental - ${equipment}`, days, 'Days', subtotal / quotedDays, subtotal * ratio);
+  }
+
+  return lines.map((line, index) => ({ ...line, lineNumber: index + 1 }));
+};
+
+/**
+ * Accepted quotation that a job bills against: the quotation it was converted
+ * from, else the latest accepted quotation of the job's deal (or lead when the
+ * job has no deal)
+ */
+export const findAcceptedQuotationForJob = async (queryable, job) => {
+  if (job.quotation_id) {
+    const linked = await queryable.query(
+      `SELECT * FROM quotations WHERE id = $1 AND status = 'accepted'`,
+      [job.quotation_id]
+    );
+    if (linked.rows[0]) return linked.rows[0];
+  }
+  if (!job.deal_id && !job.lead_id) return null;
+  const result = await queryable.query(`
+    SELECT * FROM quotations
+    WHERE status = 'accepted'
+      AND ${job.deal_id ? 'deal_id = $1' : 'lead_id = $1'}
+    ORDER BY updated_at DESC
+    LIMIT 1
+  `, [job.deal_id || job.lead_id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Live (not void) invoice already raised for a job or quotation, if any
+ */
+export const findLiveInvoice = async (queryable, { jobId = null, quotationId = null }) => {
+  const result = jobId
+    ? await queryable.query(`SELECT id, job_id, status, invoice_number FROM invoices WHERE job_id = $1 AND status <> 'void'`, [jobId])
+    : await queryable.query(
+        `SELECT id, job_id, status, invoice_number FROM invoices WHERE quotation_id = $1 AND job_id IS NULL AND status <> 'void'`,
+        [quotationId]
+      );
+  return result.rows[0] || null;
+};
+
+/**
+ * Live invoice that already bills a quotation, raised either from the
+ * quotation itself or from a job billed against or converted from it
+ */
+export const findLiveQuotationBilling = async (queryable, quotationId) => {
+  const result = await queryable.query(`
+    SELECT id, job_id, status, invoice_number
+    FROM invoices
+    WHERE status <> 'void'
+      AND (quotation_id = $1 OR job_id IN (SELECT id FROM jobs WHERE quotation_id = $1))
+    ORDER BY created_at ASC
+    LIMIT 1
+  `, [quotationId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a draft invoice for an accepted quotation, or for a completed job
+ * billed against its accepted quotation. `extraLines` (such as a job's extra
+ * hours) are billed after the quotation's charges.
+ */
+export const createInvoiceDraft = async (queryable, { quotation, job = null, extraLines = [], notes = null, user = null }) => {
+  const { sacCode } = await getInvoiceConfig();
+
+  const machinesResult = await queryable.query(`
+    SELECT qm.quantity, e.name AS equipment_name
+    FROM quotation_machines qm
+    LEFT JOIN equipment e ON qm.equipment_id = e.id
+    WHERE qm.quotation_id = $1
+    ORDER BY qm.created_at ASC
+  `, [quotation.id]);
+
+  const billableDays = job
+    ? calculateBillableDays(job.actual_start_date, job.actual_end_date)
+    : Number(quotation.number_of_days) || 1;
+  const lines = [
+    ...buildInvoiceLines(quotation, machinesResult.rows, { billableDays: job ? billableDays : null, sacCode }),
+    ...extraLines
+  ].map((line, index) => ({ ...line, lineNumber: index + 1 }));
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  const gstRate = getTaxBreakdown(quotation).rate;
+  const gstAmount = round2(subtotal * (gstRate / 100));
+  const customerId = job?.customer_id || quotation.customer_id;
+  const tax = await resolveQuotationTax(queryable, { customerId, gstRate, gstAmount });
+
+  const customerResult = await queryable.query('SELECT name, company_name, address FROM customers WHERE id = $1', [customerId]);
+  const customer = customerResult.rows[0] || {};
+
+  const invoiceResult = await queryable.query(`
+    INSERT INTO invoices (
+      source_type, quotation_id, job_id, deal_id, customer_id, customer_name, customer_address, customer_gstin,
+      billing_period_start, billing_period_end, billable_days, subtotal,
+      supply_type, place_of_supply, place_of_supply_code,
+      cgst_rate, cgst_amount, sgst_rate, sgst_amount, igst_rate, igst_amount,
+      gst_amount, total_amount, notes, created_by
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9::date, $10::date, $11, $12,
+      $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25
+    )
+    RETURNING *
+  `, [
+    job ? 'job' : 'quotation',
+    quotation.id,
+    job?.id || null,
+    job?.deal_id || quotation.deal_id || null,
+    customerId,
+    customer.company_name || job?.customer_name || quotation.customer_name,
+    customer.address || null,
+    tax.customerGstin,
+    job ? job.actual_start_date : null,
+    job ? job.actual_end_date : null,
+    billableDays,
+    subtotal,
+    tax.supplyType,
+    tax.placeOfSupply,
+    tax.placeOfSupplyCode,
+    tax.cgstRate,
+    tax.cgstAmount,
+    tax.sgstRate,
+    tax.sgstAmount,
+    tax.igstRate,
+    tax.igstAmount,
+    gstAmount,
+    round2(subtotal + gstAmount),
+    notes,
+    user?.id || null
+  ]);
+  const invoice = invoiceResult.rows[0];
+
+  const items = [];
+  for (const line of lines) {
+    const itemResult = await queryable.query(`
+      INSERT INTO invoice_items (invoice_id, line_number, description, sac_code, quantity, unit, rate, amount)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [invoice.id, line.lineNumber, line.description, line.sacCode, line.quantity, line.unit, line.rate, line.amount]);
+    items.push(itemResult.rows[0]);
+  }
+
+  return mapInvoiceRow(invoice, items);
+};
+
+/**
+ * Invoice with its line items, or null
+ */
+export const getInvoice = async (queryable, invoiceId) => {
+  const result = await queryable.query('SELECT * FROM invoices WHERE id = $1', [invoiceId]);
+  if (result.rows.length === 0) return null;
+  const itemsResult = await queryable.query(
+    'SELECT * FROM invoice_items WHERE invoice_id = $1 ORDER BY line_number ASC',
+    [invoiceId]
+  );
+  return mapInvoiceRow(result.rows[0], itemsResult.rows);
+};
+
+/**
+ * Invoices, newest first, optionally filtered by status / customer / job / quotation
+ */
+export const listInvoices = async (queryable, { status = null, customerId = null, jobId = null, quotationId = null } = {}) => {
+  const conditions = [];
+  const params = [];
+  const addFilter = (column, value) => {
+    if (!value) return;
+    params.push(value);
+    conditions.push(`${column} = $${params.length}`);
+  };
+  addFilter('status', status);
+  addFilter('customer_id', customerId);
+  addFilter('job_id', jobId);
+  addFilter('quotation_id', quotationId);
+
+  const result = await queryable.query(`
+    SELECT * FROM invoices
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC
+  `, params);
+  return result.rows.map(row => mapInvoiceRow(row));
+};
+
+/**
+ * Issue a draft invoice: assign the next number of the current financial year
+ * and set the issue and due dates. Must run inside a transaction so an aborted
+ * issue does not consume a number. Returns null when the invoice is not a draft.
+ */
+export const issueInvoice = async (client, invoiceId, { user = null } = {}) => {
+  const { numberPrefix, paymentTermsDays } = await getInvoiceConfig();
+
+  const lockResult = await client.query(
+    `SELECT id, CURRENT_DATE AS today FROM invoices WHERE id = $1 AND status = 'draft' FOR UPDATE`,
+    [invoiceId]
+  );
+  if (lockResult.rows.length === 0) return null;
+
+  const financialYear = getFinancialYear(lockResult.rows[0].today);
+  const sequenceResult = await client.query(`
+    INSERT INTO invoice_number_sequences (financial_year, last_number)
+    VALUES ($1, 1)
+    ON CONFLICT (financial_year)
+    DO UPDATE SET last_number = invoice_number_sequences.last_number + 1, updated_at = CURRENT_TIMESTAMP
+    RETURNING last_number
+  `, [financialYear]);
+  const invoiceNumber = formatInvoiceNumber(numberPrefix, financialYear, sequenceResult.rows[0].last_number);
+
+  await client.query(`
+    UPDATE invoices
+    SET status = 'issued', invoice_number = $2, financial_year = $3,
+        issue_date = CURRENT_DATE, due_date = CURRENT_DATE + $4::int, issued_by = $5
+    WHERE id = $1
+  `, [invoiceId, invoiceNumber, financialYear, paymentTermsDays, user?.id || null]);
+
+  return getInvoice(client, invoiceId);
+};
+
+/**
+ * Void an invoice. Issued numbers stay on the voided invoice so the series
+ * keeps no gaps. Returns null when the invoice does not exist or is already void.
+ */
+export const voidInvoice = async (queryable, invoiceId, { reason }) => {
+  const result = await queryable.query(`
+    UPDATE invoices
+    SET status = 'void', void_reason = $2, voided_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status <> 'void'
+    RETURNING id
+  `, [invoiceId, reason]);
+  return result.rows.length > 0 ? getInvoice(queryable, invoiceId) : null;
+};
+
+/**
+ * Delete a draft invoice (issued invoices can only be voided)
+ */
+export const deleteDraftInvoice = async (queryable, invoiceId) => {
+  const result = await queryable.query(
+    `DELETE FROM invoices WHERE id = $1 AND status = 'draft' RETURNING id`,
+    [invoiceId]
+  );
+  return result.rows.length > 0;
+};
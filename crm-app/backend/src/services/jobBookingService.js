@@ -0,0 +1,446 @@
+/**
+ * Job Booking Service
+ * Keeps equipment and operators from being booked on overlapping jobs.
+ *
+ * A resource is booked by every job it is assigned to that is not completed
+ * or cancelled, for the job's scheduled window. Two windows overlap when each
+ * starts before the other ends, so back-to-back jobs do not clash.
+ *
+ * Admins may force a double booking; the override is recorded in
+ * job_booking_overrides with the clashing jobs and the reason. Maintenance
+ * windows (see equipmentMaintenanceService) cannot be overridden.
+ *
+ * A booking is checked and written in one transaction holding a lock on each
+ * of its resources (lockBookingResources), so two bookings of the same crane
+ * or operator cannot both pass the check.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { findMaintenanceWindows } from './equipmentMaintenanceService.js';
+import { mapJobRow } from './quotationJobService.js';
+
+// Job statuses that hold their equipment and operators
+export const BOOKING_JOB_STATUSES = ['pending', 'scheduled', 'mobilizing', 'in_progress', 'demobilizing'];
+
+// Roles allowed to force a double booking
+export const BOOKING_OVERRIDE_ROLES = ['admin'];
+
+export const canOverrideBookings = (user) => BOOKING_OVERRIDE_ROLES.includes(user?.role);
+
+/**
+ * Whether a booking may go ahead despite conflicts: only when an admin sends
+ * { override: true, overrideReason }. Returns null when it may, otherwise
+ * { status, message } to reject the request with.
+ */
+export const checkBookingOverride = (conflicts, { override, overrideReason } = {}, user) => {
+  if (conflicts.length === 0) return null;
+  if (!override) {
+    return { status: 409, message: 'Equipment or operator is already booked on an overlapping job' };
+  }
+  if (!canOverrideBookings(user)) {
+    return { status: 403, message: 'Only admins can force a double booking' };
+  }
+  if (!String(overrideReason || '').trim()) {
+    return { status: 400, message: 'overrideReason is required to force a double booking' };
+  }
+  return null;
+};
+
+const mapBookingRow = (row) => ({
+  jobId: row.job_id,
+  jobTitle: row.job_title,
+  customerName: row.customer_name,
+  status: row.status,
+  scheduledStartDate: row.scheduled_start_date,
+  scheduledEndDate: row.scheduled_end_date
+});
+
+/**
+ * Parse a date or date-time; returns null when invalid
+ */
+export const parseBookingDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Scheduled window and status of a job, or null when it does not exist
+ */
+export const getJobWindow = async (queryable, jobId) => {
+  const result = await queryable.query(
+    'SELECT id, status, scheduled_start_date, scheduled_end_date FROM jobs WHERE id = $1',
+    [jobId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Bookings of the given equipment and operators that overlap start-end,
+ * one entry per clashing resource and job. `excludeJobId` leaves out the job
+ * being changed.
+ */
+export const findBookingConflicts = async (queryable, {
+  equipmentIds = [],
+  operatorIds = [],
+  start,
+  end,
+  excludeJobId = null
+}) => {
+  if (equipmentIds.length === 0 && operatorIds.length === 0) return [];
+
+  const result = await queryable.query(`
+    SELECT 'equipment' AS resource_type, je.equipment_id AS resource_id, e.name AS resource_name,
+           j.id AS job_id, j.title AS job_title, j.customer_name, j.status,
+           j.scheduled_start_date, j.scheduled_end_date
+    FROM job_equipment je
+    JOIN jobs j ON j.id = je.job_id
+    LEFT JOIN equipment e ON e.id = je.equipment_id
+    WHERE je.equipment_id = ANY($1)
+      AND j.status = ANY($3)
+      AND j.scheduled_start_date < $5 AND j.scheduled_end_date > $4
+      AND ($6::varchar IS NULL OR j.id <> $6)
+    UNION ALL
+    SELECT 'operator', jo.operator_id, o.name,
+           j.id, j.title, j.customer_name, j.status,
+           j.scheduled_start_date, j.scheduled_end_date
+    FROM job_operators jo
+    JOIN jobs j ON j.id = jo.job_id
+    LEFT JOIN operators o ON o.id = jo.operator_id
+    WHERE jo.operator_id = ANY($2)
+      AND j.status = ANY($3)
+      AND j.scheduled_start_date < $5 AND j.scheduled_end_date > $4
+      AND ($6::varchar IS NULL OR j.id <> $6)
+    ORDER BY scheduled_start_date ASC
+  `, [equipmentIds, operatorIds, BOOKING_JOB_STATUSES, start, end, excludeJobId]);
+
+  return result.rows.map(row => ({
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    resourceName: row.resource_name,
+    ...mapBookingRow(row)
+  }));
+};
+
+/**
+ * Hold a lock on each equipment and operator until the transaction ends, so
+ * concurrent bookings of the same resource are checked one after the other.
+ * Locks are taken in a fixed order to avoid deadlocks. Run inside a transaction.
+ */
+export const lockBookingResources = async (client, { equipmentIds = [], operatorIds = [] }) => {
+  const keys = [
+    ...equipmentIds.map(id => `booking:equipment:${id}`),
+    ...operatorIds.map(id => `booking:operator:${id}`)
+  ].sort();
+  for (const key of new Set(keys)) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+  }
+};
+
+/**
+ * Create a job with its equipment and operators
+ */
+export const insertJob = async (queryable, jobData) => {
+  const equipmentIds = jobData.equipmentIds || [];
+  const operatorIds = jobData.operatorIds || [];
+  const result = await queryable.query(`
+    INSERT INTO jobs (
+      title, customer_id, customer_name, deal_id, lead_id, quotation_id, status,
+      scheduled_start_date, scheduled_end_date, location, notes, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *
+  `, [
+    jobData.title,
+    jobData.customerId,
+    jobData.customerName,
+    jobData.dealId || null,
+    jobData.leadId || null,
+    jobData.quotationId || null,
+    jobData.status || 'pending',
+    jobData.scheduledStartDate,
+    jobData.scheduledEndDate,
+    jobData.location,
+    jobData.notes || null,
+    jobData.createdBy
+  ]);
+  const job = result.rows[0];
+  for (const equipmentId of equipmentIds) {
+    await queryable.query('INSERT INTO job_equipment (job_id, equipment_id) VALUES ($1, $2)', [job.id, equipmentId]);
+  }
+  for (const operatorId of operatorIds) {
+    await queryable.query('INSERT INTO job_operators (job_id, operator_id) VALUES ($1, $2)', [job.id, operatorId]);
+  }
+  return mapJobRow(job, equipmentIds, operatorIds);
+};
+
+/**
+ * Assign a crane to a job
+ */
+export const insertJobEquipment = async (queryable, jobId, equipmentId) => {
+  const result = await queryable.query(
+    'INSERT INTO job_equipment (job_id, equipment_id, created_at) VALUES ($1, $2, NOW()) RETURNING *',
+    [jobId, equipmentId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Assign an operator to a job
+ */
+export const insertJobOperator = async (queryable, jobId, operatorId) => {
+  const result = await queryable.query(
+    'INSERT INTO job_operators (job_id, operator_id, created_at) VALUES ($1, $2, NOW()) RETURNING *',
+    [jobId, operatorId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Record a forced double booking: one row per overridden resource
+ */
+export const recordBookingOverrides = async (queryable, jobId, conflicts, { reason, user = null }) => {
+  const byResource = new Map();
+  for (const conflict of conflicts) {
+    const key = `${conflict.resourceType}:${conflict.resourceId}`;
+    if (!byResource.has(key)) {
+      byResource.set(key, { resourceType: conflict.resourceType, resourceId: conflict.resourceId, jobIds: [] });
+    }
+    byResource.get(key).jobIds.push(conflict.jobId);
+  }
+
+  for (const { resourceType, resourceId, jobIds } of byResource.values()) {
+    await queryable.query(`
+      INSERT INTO job_booking_overrides (job_id, resource_type, resource_id, conflicting_job_ids, reason, overridden_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [jobId, resourceType, resourceId, [...new Set(jobIds)], reason, user?.id || null]);
+  }
+  console.log(`⚠️ Double booking forced on job ${jobId} for ${byResource.size} resource(s) by ${user?.email || 'unknown user'}`);
+};
+
+/**
+ * Forced double bookings of a job, newest first
+ */
+export const listBookingOverrides = async (queryable, jobId) => {
+  const result = await queryable.query(`
+    SELECT o.*, u.display_name AS overridden_by_name
+    FROM job_booking_overrides o
+    LEFT JOIN users u ON u.uid = o.overridden_by
+    WHERE o.job_id = $1
+    ORDER BY o.created_at DESC
+  `, [jobId]);
+  return result.rows.map(row => ({
+    id: row.id,
+    jobId: row.job_id,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    conflictingJobIds: row.conflicting_job_ids,
+    reason: row.reason,
+    overriddenBy: row.overridden_by,
+    overriddenByName: row.overridden_by_name,
+    createdAt: row.created_at
+  }));
+};
+
+/**
+ * Every piece of equipment and every operator with its bookings overlapping
+ * start-end and whether it is free for the whole range
+ */
+export const getResourceAvailability = async (queryable, { start, end, excludeJobId = null }) => {
+  const [equipmentResult, operatorResult, bookingResult] = await Promise.all([
+    queryable.query('SELECT id, equipment_id, name, category, status FROM equipment ORDER BY name ASC'),
+    queryable.query('SELECT id, name, specialization, availability FROM operators ORDER BY name ASC'),
+    queryable.query(`
+      SELECT 'equipment' AS resource_type, je.equipment_id AS resource_id,
+             j.id AS job_id, j.title AS job_title, j.customer_name, j.status,
+             j.scheduled_start_date, j.scheduled_end_date
+      FROM job_equipment je
+      JOIN jobs j ON j.id = je.job_id
+      WHERE j.status = ANY($1) AND j.scheduled_start_date < $3 AND j.scheduled_end_date > $2
+        AND ($4::varchar IS NULL OR j.id <> $4)
+      UNION ALL
+      SELECT 'operator', jo.operator_id,
+             j.id, j.title, j.customer_name, j.status,
+             j.scheduled_start_date, j.scheduled_end_date
+      FROM job_operators jo
+      JOIN jobs j ON j.id = jo.job_id
+      WHERE j.status = ANY($1) AND j.scheduled_start_date < $3 AND j.scheduled_end_date > $2
+        AND ($4::varchar IS NULL OR j.id <> $4)
+      ORDER BY scheduled_start_date ASC
+    `, [BOOKING_JOB_STATUSES, start, end, excludeJobId])
+  ]);
+
+  const bookings = new Map();
+  for (const row of bookingResult.rows) {
+    const key = `${row.resource_type}:${row.resource_id}`;
+    if (!bookings.has(key)) bookings.set(key, []);
+    bookings.get(key).push(mapBookingRow(row));
+  }
+
+  return {
+    start,
+    end,
+    equipment: equipmentResult.rows.map(row => {
+      const equipmentBookings = bookings.get(`equipment:${row.id}`) || [];
+      return {
+        id: row.id,
+        equipmentId: row.equipment_id,
+        name: row.name,
+        category: row.category,
+        status: row.status,
+        available: equipmentBookings.length === 0,
+        bookings: equipmentBookings
+      };
+    }),
+    operators: operatorResult.rows.map(row => {
+      const operatorBookings = bookings.get(`operator:${row.id}`) || [];
+      return {
+        id: row.id,
+        name: row.name,
+        specialization: row.specialization,
+        availability: row.availability,
+        available: operatorBookings.length === 0,
+        bookings: operatorBookings
+      };
+    })
+  };
+};
+
+// Job statuses whose schedule can still be moved
+export const RESCHEDULABLE_JOB_STATUSES = ['pending', 'scheduled'];
+
+/**
+ * Equipment and operators assigned to a job
+ */
+export const getJobResources = async (queryable, jobId) => {
+  const [equipmentResult, operatorResult] = await Promise.all([
+    queryable.query('SELECT equipment_id FROM job_equipment WHERE job_id = $1', [jobId]),
+    queryable.query('SELECT operator_id FROM job_operators WHERE job_id = $1', [jobId])
+  ]);
+  return {
+    equipmentIds: equipmentResult.rows.map(row => row.equipment_id),
+    operatorIds: operatorResult.rows.map(row => row.operator_id)
+  };
+};
+
+/**
+ * Move a job to a new scheduled window
+ */
+export const rescheduleJob = async (queryable, jobId, { start, end }) => {
+  const result = await queryable.query(`
+    UPDATE jobs
+    SET scheduled_start_date = $2, scheduled_end_date = $3, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [jobId, start, end]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Split from-to into busy, free and maintenance intervals. Job bookings and
+ * maintenance windows are clipped to the range; where they overlap,
+ * maintenance wins. Each interval lists the jobs booked during it.
+ */
+export const buildAvailabilityIntervals = (bookings, from, to, maintenanceWindows = []) => {
+  const clip = (start, end) => ({
+    start: Math.max(new Date(start).getTime(), from.getTime()),
+    end: Math.min(new Date(end).getTime(), to.getTime())
+  });
+  const jobs = bookings.map(booking => ({
+    ...clip(booking.scheduledStartDate, booking.scheduledEndDate),
+    jobId: booking.jobId
+  }));
+  const maintenance = maintenanceWindows.map(window => clip(window.start, window.end));
+
+  const boundaries = [...new Set([
+    from.getTime(),
+    to.getTime(),
+    ...jobs.flatMap(job => [job.start, job.end]),
+    ...maintenance.flatMap(window => [window.start, window.end])
+  ])]
+    .filter(time => time >= from.getTime() && time <= to.getTime())
+    .sort((a, b) => a - b);
+
+  const intervals = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const covers = (interval) => interval.start <= start && interval.end >= end;
+    const jobIds = jobs.filter(covers).map(job => job.jobId);
+    const type = maintenance.some(covers) ? 'maintenance' : (jobIds.length > 0 ? 'busy' : 'free');
+
+    // Adjacent segments of the same kind (e.g. overlapping bookings) become one interval
+    const last = intervals[intervals.length - 1];
+    if (last && last.type === type && (type === 'free' || type === 'maintenance' || jobIds.some(id => last.jobIds.includes(id)))) {
+      last.end = new Date(end);
+      last.jobIds = [...new Set([...last.jobIds, ...jobIds])];
+    } else {
+      intervals.push({ type, start: new Date(start), end: new Date(end), jobIds });
+    }
+  }
+  return intervals;
+};
+
+/**
+ * Fleet calendar for from-to: every crane (optionally of one category and at
+ * least `minCapacity` tonnes) with its job bookings, maintenance work orders and
+ * busy/free/maintenance intervals
+ */
+export const getFleetAvailability = async (queryable, { from, to, category = null, minCapacity = null }) => {
+  const equipmentResult = await queryable.query(`
+    SELECT id, equipment_id, name, category, max_lifting_capacity, status
+    FROM equipment
+    WHERE ($1::varchar IS NULL OR category = $1)
+      AND ($2::numeric IS NULL OR max_lifting_capacity >= $2)
+    ORDER BY category ASC, max_lifting_capacity ASC, name ASC
+  `, [category, minCapacity]);
+
+  const bookingResult = await queryable.query(`
+    SELECT je.equipment_id, j.id AS job_id, j.title AS job_title, j.customer_name, j.status,
+           j.scheduled_start_date, j.scheduled_end_date, j.location
+    FROM job_equipment je
+    JOIN jobs j ON j.id = je.job_id
+    WHERE je.equipment_id = ANY($1)
+      AND j.status = ANY($2)
+      AND j.scheduled_start_date < $4 AND j.scheduled_end_date > $3
+    ORDER BY j.scheduled_start_date ASC
+  `, [equipmentResult.rows.map(row => row.id), BOOKING_JOB_STATUSES, from, to]);
+
+  const bookings = new Map();
+  for (const row of bookingResult.rows) {
+    if (!bookings.has(row.equipment_id)) bookings.set(row.equipment_id, []);
+    bookings.get(row.equipment_id).push({ ...mapBookingRow(row), location: row.location });
+  }
+
+  const maintenance = new Map();
+  const windows = await findMaintenanceWindows(queryable, {
+    equipmentIds: equipmentResult.rows.map(row => row.id),
+    start: from,
+    end: to
+  });
+  for (const window of windows) {
+    if (!maintenance.has(window.equipmentId)) maintenance.set(window.equipmentId, []);
+    maintenance.get(window.equipmentId).push(window);
+  }
+
+  return {
+    from,
+    to,
+    equipment: equipmentResult.rows.map(row => {
+      const equipmentBookings = bookings.get(row.id) || [];
+      // Cranes put in maintenance by hand, without a work order, are out for the whole range
+      const maintenanceWindows = maintenance.get(row.id)
+        || (row.status === 'maintenance' ? [{ start: from, end: to }] : []);
+      return {
+        id: row.id,
+        equipmentId: row.equipment_id,
+        name: row.name,
+        category: row.category,
+        maxLiftingCapacity: Number(row.max_lifting_capacity) || 0,
+        status: row.status,
+        bookings: equipmentBookings,
+        maintenance: maintenanceWindows.filter(window => window.workOrderId),
+        intervals: buildAvailabilityIntervals(equipmentBookings, from, to, maintenanceWindows)
+      };
+    })
+  };
+};
@@ -0,0 +1,372 @@
+/**
+ * Job Completion Report Service
+ * The completion report of a job: safety checklist, incidents, site photos,
+ * the work done and the hours worked, signed by our site in-charge and the
+ * customer with a 1-5 rating and comments.
+ *
+ * A report can be written once work on site has finished (demobilizing or
+ * completed). The customer's signature locks it and captures the logbook
+ * totals of the job; until then the hours are read live from the logbook.
+ * Signed ratings give satisfaction scores per customer and per operator, a
+ * job's rating counting for every operator on it.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { summarizeJobLogs, validateSignatureImage } from './jobLogService.js';
+
+export const REPORTABLE_JOB_STATUSES = ['demobilizing', 'completed'];
+export const INCIDENT_SEVERITIES = ['near_miss', 'minor', 'major'];
+export const SATISFACTION_GROUPS = ['customer', 'operator'];
+
+// Checklist a new report starts with; items can be added on site
+export const DEFAULT_SAFETY_CHECKS = [
+  { id: 'ppe', label: 'PPE Used Correctly', checked: false },
+  { id: 'site_clearance', label: 'Site Clearance Verified', checked: false },
+  { id: 'emergency_contacts', label: 'Emergency Contact Shared', checked: false },
+  { id: 'equipment_check', label: 'Equipment Pre-Check Complete', checked: false },
+  { id: 'hazards_identified', label: 'Hazards Identified & Marked', checked: false },
+  { id: 'communication', label: 'Communication Protocol Established', checked: false }
+];
+
+const MAX_CHECKS = 30;
+const MAX_INCIDENTS = 20;
+const MAX_LABEL_LENGTH = 200;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_NAME_LENGTH = 100;
+const MAX_CAPTION_LENGTH = 255;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const mapPhotoRow = (row) => ({
+  id: row.id,
+  reportId: row.report_id,
+  caption: row.caption,
+  fileName: row.file_name,
+  fileMimeType: row.file_mime_type,
+  fileSize: row.file_size,
+  uploadedBy: row.uploaded_by,
+  createdAt: row.created_at
+});
+
+const mapReportRow = (row, photos = []) => ({
+  id: row.id,
+  jobId: row.job_id,
+  safetyChecks: row.safety_checks || [],
+  safetyNotes: row.safety_notes,
+  incidents: row.incidents || [],
+  hoursSummary: row.hours_summary,
+  workSummary: row.work_summary,
+  completedByName: row.completed_by_name,
+  completedBySignature: row.completed_by_signature,
+  customerRating: row.customer_rating,
+  customerComments: row.customer_comments,
+  customerSignatory: row.customer_signatory,
+  customerSignature: row.customer_signature,
+  customerSignedAt: row.customer_signed_at,
+  photos,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Job row with the names of its cranes and operators, or null when it does not exist
+ */
+export const getReportJob = async (queryable, jobId) => {
+  const result = await queryable.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+  const job = result.rows[0];
+  if (!job) return null;
+
+  const [equipmentResult, operatorResult] = await Promise.all([
+    queryable.query(`
+      SELECT e.id, e.name FROM job_equipment je JOIN equipment e ON e.id = je.equipment_id
+      WHERE je.job_id = $1 ORDER BY e.name ASC
+    `, [jobId]),
+    queryable.query(`
+      SELECT o.id, o.name FROM job_operators jo JOIN operators o ON o.id = jo.operator_id
+      WHERE jo.job_id = $1 ORDER BY o.name ASC
+    `, [jobId])
+  ]);
+  return { ...job, equipment: equipmentResult.rows, operators: operatorResult.rows };
+};
+
+export const listReportPhotos = async (queryable, reportId) => {
+  const result = await queryable.query(
+    'SELECT * FROM job_completion_photos WHERE report_id = $1 ORDER BY created_at ASC, id ASC',
+    [reportId]
+  );
+  return result.rows.map(mapPhotoRow);
+};
+
+/**
+ * Completion report of a job with its photos, or null when none was written yet
+ */
+export const getJobReport = async (queryable, jobId) => {
+  const result = await queryable.query('SELECT * FROM job_completion_reports WHERE job_id = $1', [jobId]);
+  if (!result.rows[0]) return null;
+  const photos = await listReportPhotos(queryable, result.rows[0].id);
+  return mapReportRow(result.rows[0], photos);
+};
+
+/**
+ * Logbook totals of a job, overall and per crane
+ */
+export const buildHoursSummary = async (queryable, jobId) => {
+  const summary = await summarizeJobLogs(queryable, { groupBy: 'equipment', jobId });
+  const { days, logs, workedHours, billableHours, breakdownHours, engineHours, dieselLitres, unsignedLogs, firstDate, lastDate } = summary.totals;
+  return {
+    days, logs, workedHours, billableHours, breakdownHours, engineHours, dieselLitres, unsignedLogs, firstDate, lastDate,
+    cranes: summary.groups.map(group => ({
+      equipmentId: group.key,
+      name: group.name,
+      days: group.days,
+      workedHours: group.workedHours,
+      billableHours: group.billableHours,
+      breakdownHours: group.breakdownHours
+    }))
+  };
+};
+
+const validateSafetyChecks = (checks) => {
+  if (!Array.isArray(checks)) return 'safetyChecks must be a list';
+  if (checks.length > MAX_CHECKS) return `At most ${MAX_CHECKS} safety checks can be recorded`;
+  for (const check of checks) {
+    if (!check || isBlank(check.id) || isBlank(check.label)) return 'Each safety check needs an id and a label';
+    if (String(check.label).length > MAX_LABEL_LENGTH) return `Safety check labels must be at most ${MAX_LABEL_LENGTH} characters`;
+    if (typeof check.checked !== 'boolean') return 'Each safety check must be checked or not';
+  }
+  return null;
+};
+
+const validateIncidents = (incidents) => {
+  if (!Array.isArray(incidents)) return 'incidents must be a list';
+  if (incidents.length > MAX_INCIDENTS) return `At most ${MAX_INCIDENTS} incidents can be recorded`;
+  for (const incident of incidents) {
+    if (!incident || !INCIDENT_SEVERITIES.includes(incident.severity)) {
+      return `Incident severity must be one of ${INCIDENT_SEVERITIES.join(', ')}`;
+    }
+    if (isBlank(incident.description)) return 'Each incident needs a description';
+    if (String(incident.description).length > MAX_TEXT_LENGTH || String(incident.actionTaken || '').length > MAX_TEXT_LENGTH) {
+      return `Incident details must be at most ${MAX_TEXT_LENGTH} characters`;
+    }
+    if (!isBlank(incident.occurredAt) && isNaN(new Date(incident.occurredAt).getTime())) {
+      return 'Incident occurredAt must be a valid date-time';
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a report before saving. Returns an error message, or null when valid.
+ */
+export const validateReport = (report) => {
+  const checksError = validateSafetyChecks(report.safetyChecks);
+  if (checksError) return checksError;
+  const incidentsError = validateIncidents(report.incidents);
+  if (incidentsError) return incidentsError;
+  if (String(report.safetyNotes || '').length > MAX_TEXT_LENGTH) return `safetyNotes must be at most ${MAX_TEXT_LENGTH} characters`;
+  if (String(report.workSummary || '').length > MAX_TEXT_LENGTH) return `workSummary must be at most ${MAX_TEXT_LENGTH} characters`;
+  if (String(report.completedByName || '').length > MAX_NAME_LENGTH) return `completedByName must be at most ${MAX_NAME_LENGTH} characters`;
+  if (report.completedBySignature) return validateSignatureImage(report.completedBySignature, 'completedBySignature');
+  return null;
+};
+
+// Keep only the known fields of checklist items and incidents
+const cleanChecks = (checks) => checks.map(check => ({
+  id: String(check.id).trim(),
+  label: String(check.label).trim(),
+  checked: check.checked
+}));
+
+const cleanIncidents = (incidents) => incidents.map(incident => ({
+  occurredAt: isBlank(incident.occurredAt) ? null : new Date(incident.occurredAt).toISOString(),
+  severity: incident.severity,
+  description: String(incident.description).trim(),
+  actionTaken: isBlank(incident.actionTaken) ? null : String(incident.actionTaken).trim()
+}));
+
+/**
+ * Create or replace the report of a job. Returns null when the customer has
+ * already signed it.
+ */
+export const saveJobReport = async (queryable, jobId, report, { user = null } = {}) => {
+  const result = await queryable.query(`
+    INSERT INTO job_completion_reports
+      (job_id, safety_checks, safety_notes, incidents, work_summary, completed_by_name, completed_by_signature, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (job_id) DO UPDATE SET
+      safety_checks = EXCLUDED.safety_checks,
+      safety_notes = EXCLUDED.safety_notes,
+      incidents = EXCLUDED.incidents,
+      work_summary = EXCLUDED.work_summary,
+      completed_by_name = EXCLUDED.completed_by_name,
+      completed_by_signature = EXCLUDED.completed_by_signature
+    WHERE job_completion_reports.customer_signed_at IS NULL
+    RETURNING id
+  `, [
+    jobId,
+    JSON.stringify(cleanChecks(report.safetyChecks)),
+    report.safetyNotes || null,
+    JSON.stringify(cleanIncidents(report.incidents)),
+    report.workSummary || null,
+    report.completedByName || null,
+    report.completedBySignature || null,
+    user?.id || null
+  ]);
+  if (!result.rows[0]) return null;
+  return getJobReport(queryable, jobId);
+};
+
+/**
+ * Validate the customer's sign-off. Returns an error message, or null when valid.
+ */
+export const validateCustomerSignOff = ({ customerSignatory, rating, comments, signature }) => {
+  if (isBlank(customerSignatory)) return 'customerSignatory is required';
+  if (String(customerSignatory).trim().length > MAX_NAME_LENGTH) {
+    return `customerSignatory must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!Number.isInteger(Number(rating)) || Number(rating) < 1 || Number(rating) > 5) {
+    return 'rating must be a whole number from 1 to 5';
+  }
+  if (String(comments || '').length > MAX_TEXT_LENGTH) return `comments must be at most ${MAX_TEXT_LENGTH} characters`;
+  return validateSignatureImage(signature);
+};
+
+/**
+ * Record the customer's signature, rating and comments and capture the hours
+ * worked. Returns null when the report does not exist or is already signed.
+ */
+export const signOffJobReport = async (queryable, jobId, { customerSignatory, rating, comments, signature }) => {
+  const hoursSummary = await buildHoursSummary(queryable, jobId);
+  const result = await queryable.query(`
+    UPDATE job_completion_reports
+    SET customer_signatory = $2, customer_rating = $3, customer_comments = $4,
+        customer_signature = $5, hours_summary = $6, customer_signed_at = NOW()
+    WHERE job_id = $1 AND customer_signed_at IS NULL
+    RETURNING id
+  `, [
+    jobId,
+    String(customerSignatory).trim(),
+    Number(rating),
+    isBlank(comments) ? null : String(comments).trim(),
+    signature,
+    JSON.stringify(hoursSummary)
+  ]);
+  if (!result.rows[0]) return null;
+  return getJobReport(queryable, jobId);
+};
+
+export const validatePhotoCaption = (caption) => (
+  String(caption || '').length > MAX_CAPTION_LENGTH ? `caption must be at most ${MAX_CAPTION_LENGTH} characters` : null
+);
+
+export const addReportPhoto = async (queryable, reportId, { caption }, { file, user = null }) => {
+  const result = await queryable.query(`
+    INSERT INTO job_completion_photos (report_id, caption, file_path, file_name, file_mime_type, file_size, uploaded_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    reportId,
+    isBlank(caption) ? null : String(caption).trim(),
+    file.path,
+    file.originalName,
+    file.mimeType,
+    file.size,
+    user?.id || null
+  ]);
+  return mapPhotoRow(result.rows[0]);
+};
+
+/**
+ * Photo with its stored file and the job and signing state of its report
+ */
+export const getReportPhoto = async (queryable, photoId) => {
+  const result = await queryable.query(`
+    SELECT p.*, r.job_id, r.customer_signed_at
+    FROM job_completion_photos p
+    JOIN job_completion_reports r ON r.id = p.report_id
+    WHERE p.id = $1
+  `, [photoId]);
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    ...mapPhotoRow(row),
+    jobId: row.job_id,
+    reportSigned: row.customer_signed_at !== null,
+    filePath: row.file_path
+  };
+};
+
+export const deleteReportPhoto = async (queryable, photoId) => {
+  const result = await queryable.query('DELETE FROM job_completion_photos WHERE id = $1', [photoId]);
+  return result.rowCount > 0;
+};
+
+const GROUP_COLUMNS = {
+  customer: {
+    key: 'COALESCE(j.customer_id, j.customer_name)',
+    name: 'MAX(j.customer_name)',
+    join: ''
+  },
+  operator: {
+    key: 'o.id',
+    name: 'MAX(o.name)',
+    join: 'JOIN job_operators jo ON jo.job_id = j.id JOIN operators o ON o.id = jo.operator_id'
+  }
+};
+
+const RATING_COLUMNS = `
+  COUNT(*) AS reports,
+  AVG(r.customer_rating) AS average_rating,
+  COUNT(*) FILTER (WHERE r.customer_rating = 1) AS rated_1,
+  COUNT(*) FILTER (WHERE r.customer_rating = 2) AS rated_2,
+  COUNT(*) FILTER (WHERE r.customer_rating = 3) AS rated_3,
+  COUNT(*) FILTER (WHERE r.customer_rating = 4) AS rated_4,
+  COUNT(*) FILTER (WHERE r.customer_rating = 5) AS rated_5,
+  MAX(r.customer_signed_at) AS last_rated_at
+`;
+
+const SIGNED_FILTERS = `
+  r.customer_signed_at IS NOT NULL
+  AND ($1::date IS NULL OR r.customer_signed_at >= $1::date)
+  AND ($2::date IS NULL OR r.customer_signed_at < $2::date + 1)
+`;
+
+const mapScoreRow = (row) => ({
+  reports: Number(row.reports) || 0,
+  averageRating: row.average_rating === null || row.average_rating === undefined ? null : round2(row.average_rating),
+  ratings: [1, 2, 3, 4, 5].reduce((counts, rating) => ({ ...counts, [rating]: Number(row[`rated_${rating}`]) || 0 }), {}),
+  lastRatedAt: row.last_rated_at || null
+});
+
+/**
+ * Customer ratings of signed reports, overall and per customer or operator,
+ * lowest average first. `from` and `to` bound the signing date.
+ */
+export const getSatisfactionScores = async (queryable, { groupBy = 'customer', from = null, to = null } = {}) => {
+  const group = GROUP_COLUMNS[groupBy];
+  const [overallResult, groupResult] = await Promise.all([
+    queryable.query(`
+      SELECT ${RATING_COLUMNS}
+      FROM job_completion_reports r
+      WHERE ${SIGNED_FILTERS}
+    `, [from, to]),
+    queryable.query(`
+      SELECT ${group.key} AS key, ${group.name} AS name, ${RATING_COLUMNS}
+      FROM job_completion_reports r
+      JOIN jobs j ON j.id = r.job_id
+      ${group.join}
+      WHERE ${SIGNED_FILTERS}
+      GROUP BY ${group.key}
+      ORDER BY AVG(r.customer_rating) ASC, COUNT(*) DESC
+    `, [from, to])
+  ]);
+
+  return {
+    groupBy,
+    overall: mapScoreRow(overallResult.rows[0] || {}),
+    groups: groupResult.rows.map(row => ({ key: row.key, name: row.name, ...mapScoreRow(row) }))
+  };
+};
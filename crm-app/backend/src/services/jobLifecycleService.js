@@ -0,0 +1,220 @@
+/**
+ * Job Lifecycle Service
+ * Status transitions of a job:
+ *
+ *   pending -> scheduled -> mobilizing -> in_progress -> demobilizing -> completed
+ *
+ * A job can be cancelled, with a reason, until work starts on site. Once work
+ * has started it is demobilized and completed instead.
+ *
+ * Work starting (in_progress) sets the actual start date and work ending
+ * (demobilizing) the actual end date, which job invoices bill. Cranes are
+ * `in_use` and operators `assigned` from mobilization until the job is
+ * completed or cancelled, unless another running job still holds them.
+ * Every change is recorded in job_status_changes.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { mapJobRow } from './quotationJobService.js';
+import { getJobResources } from './jobBookingService.js';
+
+export const JOB_STATUSES = ['pending', 'scheduled', 'mobilizing', 'in_progress', 'demobilizing', 'completed', 'cancelled'];
+
+export const JOB_TRANSITIONS = {
+  pending: ['scheduled', 'cancelled'],
+  scheduled: ['mobilizing', 'cancelled'],
+  mobilizing: ['in_progress', 'cancelled'],
+  in_progress: ['demobilizing'],
+  demobilizing: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// Statuses in which a job's cranes are away from the yard and its operators on it
+export const ACTIVE_JOB_STATUSES = ['mobilizing', 'in_progress', 'demobilizing'];
+
+const MAX_REASON_LENGTH = 1000;
+
+// Changes may be recorded a little after the fact, but not ahead of the clock
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+export const getAllowedTransitions = (status) => JOB_TRANSITIONS[status] || [];
+
+/**
+ * Check a status change. Returns { status, message } to reject it with, or
+ * null when it is allowed.
+ */
+export const validateTransition = (job, { status, reason, at = null }) => {
+  if (!JOB_STATUSES.includes(status)) {
+    return { status: 400, message: `status must be one of ${JOB_STATUSES.join(', ')}` };
+  }
+  if (job.status === status) {
+    return { status: 409, message: `The job is already ${status}` };
+  }
+  if (!getAllowedTransitions(job.status).includes(status)) {
+    const allowed = getAllowedTransitions(job.status);
+    return {
+      status: 409,
+      message: `A ${job.status} job cannot be moved to ${status}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : '')
+    };
+  }
+  if (status === 'cancelled') {
+    const text = String(reason || '').trim();
+    if (!text) return { status: 400, message: 'A reason is required to cancel a job' };
+    if (text.length > MAX_REASON_LENGTH) return { status: 400, message: `reason must be at most ${MAX_REASON_LENGTH} characters` };
+  }
+  if (at !== null) {
+    const date = new Date(at);
+    if (isNaN(date.getTime())) return { status: 400, message: 'at must be a valid date-time' };
+    if (date.getTime() > Date.now() + CLOCK_SKEW_MS) return { status: 400, message: 'at cannot be in the future' };
+    if (status === 'demobilizing' && job.actual_start_date && date < new Date(job.actual_start_date)) {
+      return { status: 400, message: 'Work cannot end before it started' };
+    }
+  }
+  return null;
+};
+
+/**
+ * Job row locked for a status change, or null when it does not exist. Call
+ * inside a transaction.
+ */
+export const lockJob = async (client, jobId) => {
+  const result = await client.query('SELECT * FROM jobs WHERE id = $1 FOR UPDATE', [jobId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Cranes and operators of a job that cannot go to site: cranes under
+ * maintenance or in use on another running job, operators on leave, inactive
+ * or on another running job. Returns messages, [] when all are free.
+ */
+export const findUnavailableResources = async (queryable, jobId) => {
+  const [equipmentResult, operatorResult] = await Promise.all([
+    queryable.query(`
+      SELECT e.name, e.status,
+             (SELECT j.title FROM job_equipment oje JOIN jobs j ON j.id = oje.job_id
+              WHERE oje.equipment_id = e.id AND j.id <> $1 AND j.status = ANY($2) LIMIT 1) AS other_job
+      FROM job_equipment je
+      JOIN equipment e ON e.id = je.equipment_id
+      WHERE je.job_id = $1
+    `, [jobId, ACTIVE_JOB_STATUSES]),
+    queryable.query(`
+      SELECT o.name, o.availability,
+             (SELECT j.title FROM job_operators ojo JOIN jobs j ON j.id = ojo.job_id
+              WHERE ojo.operator_id = o.id AND j.id <> $1 AND j.status = ANY($2) LIMIT 1) AS other_job
+      FROM job_operators jo
+      JOIN operators o ON o.id = jo.operator_id
+      WHERE jo.job_id = $1
+    `, [jobId, ACTIVE_JOB_STATUSES])
+  ]);
+
+  const problems = [];
+  for (const row of equipmentResult.rows) {
+    if (row.status === 'maintenance') problems.push(`${row.name} is under maintenance`);
+    else if (row.other_job) problems.push(`${row.name} is still on ${row.other_job}`);
+  }
+  for (const row of operatorResult.rows) {
+    if (['on_leave', 'inactive'].includes(row.availability)) problems.push(`${row.name} is ${row.availability.replace('_', ' ')}`);
+    else if (row.other_job) problems.push(`${row.name} is still on ${row.other_job}`);
+  }
+  return problems;
+};
+
+const claimResources = async (queryable, jobId) => {
+  await queryable.query(`
+    UPDATE equipment SET status = 'in_use'
+    WHERE status = 'available' AND id IN (SELECT equipment_id FROM job_equipment WHERE job_id = $1)
+  `, [jobId]);
+  await queryable.query(`
+    UPDATE operators SET availability = 'assigned'
+    WHERE availability = 'available' AND id IN (SELECT operator_id FROM job_operators WHERE job_id = $1)
+  `, [jobId]);
+};
+
+const releaseResources = async (queryable, jobId) => {
+  await queryable.query(`
+    UPDATE equipment e SET status = 'available'
+    WHERE e.status = 'in_use'
+      AND e.id IN (SELECT equipment_id FROM job_equipment WHERE job_id = $1)
+      AND NOT EXISTS (
+        SELECT 1 FROM job_equipment oje JOIN jobs j ON j.id = oje.job_id
+        WHERE oje.equipment_id = e.id AND j.id <> $1 AND j.status = ANY($2)
+      )
+  `, [jobId, ACTIVE_JOB_STATUSES]);
+  await queryable.query(`
+    UPDATE operators o SET availability = 'available'
+    WHERE o.availability = 'assigned'
+      AND o.id IN (SELECT operator_id FROM job_operators WHERE job_id = $1)
+      AND NOT EXISTS (
+        SELECT 1 FROM job_operators ojo JOIN jobs j ON j.id = ojo.job_id
+        WHERE ojo.operator_id = o.id AND j.id <> $1 AND j.status = ANY($2)
+      )
+  `, [jobId, ACTIVE_JOB_STATUSES]);
+};
+
+/**
+ * Apply a validated status change to a locked job: set the actual dates or
+ * cancellation, update the crane and operator statuses and record the change.
+ * `at` backdates the change (default now). Returns the updated job row.
+ */
+export const applyTransition = async (queryable, job, { status, reason = null, at = null, user = null }) => {
+  const changedAt = at ? new Date(at) : new Date();
+  const note = String(reason || '').trim() || null;
+
+  const result = await queryable.query(`
+    UPDATE jobs
+    SET status = $2,
+        actual_start_date = CASE WHEN $2 = 'in_progress' THEN COALESCE(actual_start_date, $3) ELSE actual_start_date END,
+        actual_end_date = CASE WHEN $2 = 'demobilizing' THEN COALESCE(actual_end_date, $3) ELSE actual_end_date END,
+        cancellation_reason = CASE WHEN $2 = 'cancelled' THEN $4 ELSE cancellation_reason END,
+        cancelled_at = CASE WHEN $2 = 'cancelled' THEN $3 ELSE cancelled_at END,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [job.id, status, changedAt, note]);
+
+  if (status === 'mobilizing') {
+    await claimResources(queryable, job.id);
+  } else if (status === 'completed' || status === 'cancelled') {
+    await releaseResources(queryable, job.id);
+  }
+
+  await queryable.query(`
+    INSERT INTO job_status_changes (job_id, from_status, to_status, reason, changed_by, changed_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [job.id, job.status, status, note, user?.id || null, changedAt]);
+
+  return result.rows[0];
+};
+
+/**
+ * Job in the API shape with its equipment and operators
+ */
+export const getJobWithResources = async (queryable, jobRow) => {
+  const { equipmentIds, operatorIds } = await getJobResources(queryable, jobRow.id);
+  return mapJobRow(jobRow, equipmentIds, operatorIds);
+};
+
+/**
+ * Status history of a job, oldest first
+ */
+export const listStatusChanges = async (queryable, jobId) => {
+  const result = await queryable.query(`
+    SELECT c.*, u.display_name AS changed_by_name
+    FROM job_status_changes c
+    LEFT JOIN users u ON u.uid = c.changed_by
+    WHERE c.job_id = $1
+    ORDER BY c.changed_at ASC, c.id ASC
+  `, [jobId]);
+  return result.rows.map(row => ({
+    id: row.id,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    reason: row.reason,
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name,
+    changedAt: row.changed_at
+  }));
+};
@@ -0,0 +1,442 @@
+/**
+ * Job Log Service
+ * Daily crane logbook: one log per job, crane, operator and day with the shift
+ * times, hour meter readings, breakdown hours and diesel issued.
+ *
+ * Hours worked are the shift length less breaks; billable hours are hours
+ * worked less breakdown hours. A shift whose end time is before its start time
+ * runs into the next day. A log is locked once the customer's site supervisor
+ * has signed it off.
+ *
+ * Summaries group logs by job, crane, operator or day for invoicing,
+ * timesheets and utilization.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+// Jobs that can have work logged against them
+export const LOGGABLE_JOB_STATUSES = ['scheduled', 'mobilizing', 'in_progress', 'demobilizing', 'completed'];
+
+export const SUMMARY_GROUPS = ['job', 'equipment', 'operator', 'date'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const SIGNATURE_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+={0,2}$/;
+const MAX_SIGNATURE_LENGTH = 500000;
+const MAX_SUPERVISOR_NAME_LENGTH = 100;
+
+const round1 = (value) => Math.round((Number(value) || 0) * 10) / 10;
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+const toNumberOrNull = (value) => (isSet(value) ? Number(value) : null);
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Shift length in hours of a start and end time (HH:mm)
+ */
+export const getShiftHours = (startTime, endTime) => {
+  const minutes = toMinutes(endTime) - toMinutes(startTime);
+  return (minutes < 0 ? minutes + 24 * 60 : minutes) / 60;
+};
+
+const SHIFT_HOURS_SQL = `(EXTRACT(EPOCH FROM (l.end_time - l.start_time)) / 3600
+  + CASE WHEN l.end_time < l.start_time THEN 24 ELSE 0 END)`;
+const WORKED_HOURS_SQL = `(${SHIFT_HOURS_SQL} - l.break_minutes / 60.0)`;
+const BILLABLE_HOURS_SQL = `GREATEST(${WORKED_HOURS_SQL} - l.breakdown_hours, 0)`;
+const SUNDAY_SQL = 'EXTRACT(ISODOW FROM l.log_date) = 7';
+
+const mapLogRow = (row) => ({
+  id: row.id,
+  jobId: row.job_id,
+  jobTitle: row.job_title,
+  customerName: row.customer_name,
+  equipmentId: row.equipment_id,
+  equipmentName: row.equipment_name,
+  equipmentCode: row.equipment_code,
+  operatorId: row.operator_id,
+  operatorName: row.operator_name,
+  logDate: row.log_day,
+  startTime: row.start_at,
+  endTime: row.end_at,
+  breakMinutes: row.break_minutes,
+  breakdownHours: Number(row.breakdown_hours) || 0,
+  workedHours: round2(row.worked_hours),
+  billableHours: round2(row.billable_hours),
+  isSunday: row.is_sunday,
+  hourMeterStart: toNumberOrNull(row.hour_meter_start),
+  hourMeterEnd: toNumberOrNull(row.hour_meter_end),
+  engineHours: row.hour_meter_end !== null && row.hour_meter_start !== null
+    ? round1(row.hour_meter_end - row.hour_meter_start)
+    : null,
+  dieselLitres: Number(row.diesel_litres) || 0,
+  workDescription: row.work_description,
+  remarks: row.remarks,
+  supervisorName: row.supervisor_name,
+  supervisorSignature: row.supervisor_signature,
+  signedAt: row.signed_at,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const LOG_SELECT = `
+  SELECT l.*, j.title AS job_title, j.customer_name, e.name AS equipment_name,
+         e.equipment_id AS equipment_code, o.name AS operator_name,
+         TO_CHAR(l.log_date, 'YYYY-MM-DD') AS log_day,
+         TO_CHAR(l.start_time, 'HH24:MI') AS start_at,
+         TO_CHAR(l.end_time, 'HH24:MI') AS end_at,
+         ${WORKED_HOURS_SQL} AS worked_hours,
+         ${BILLABLE_HOURS_SQL} AS billable_hours,
+         ${SUNDAY_SQL} AS is_sunday
+  FROM job_logs l
+  JOIN jobs j ON j.id = l.job_id
+  JOIN equipment e ON e.id = l.equipment_id
+  JOIN operators o ON o.id = l.operator_id
+`;
+
+const LOG_FILTERS = `
+  ($1::varchar IS NULL OR l.job_id = $1)
+  AND ($2::varchar IS NULL OR l.equipment_id = $2)
+  AND ($3::varchar IS NULL OR l.operator_id = $3)
+  AND ($4::date IS NULL OR l.log_date >= $4)
+  AND ($5::date IS NULL OR l.log_date <= $5)
+`;
+
+/**
+ * Logs, newest day first. `from` and `to` are inclusive dates.
+ */
+export const listJobLogs = async (queryable, {
+  jobId = null,
+  equipmentId = null,
+  operatorId = null,
+  from = null,
+  to = null
+} = {}) => {
+  const result = await queryable.query(`
+    ${LOG_SELECT}
+    WHERE ${LOG_FILTERS}
+    ORDER BY l.log_date DESC, l.start_time DESC
+  `, [jobId, equipmentId, operatorId, from, to]);
+  return result.rows.map(mapLogRow);
+};
+
+export const getJobLog = async (queryable, logId) => {
+  const result = await queryable.query(`${LOG_SELECT} WHERE l.id = $1`, [logId]);
+  return result.rows[0] ? mapLogRow(result.rows[0]) : null;
+};
+
+/**
+ * Operator record linked to a user login, if any
+ */
+export const findOperatorForUser = async (queryable, userId) => {
+  if (!userId) return null;
+  const result = await queryable.query('SELECT id, name FROM operators WHERE user_id = $1 LIMIT 1', [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Scheduled and running jobs with their cranes and operators, soonest first.
+ * `operatorId` keeps the jobs that operator is assigned to.
+ */
+export const listLogAssignments = async (queryable, { operatorId = null } = {}) => {
+  const result = await queryable.query(`
+    SELECT j.id, j.title, j.customer_name, j.location, j.status,
+           j.scheduled_start_date, j.scheduled_end_date,
+           COALESCE((
+             SELECT json_agg(json_build_object(
+               'id', e.id, 'name', e.name, 'code', e.equipment_id, 'engineHours', e.engine_hours
+             ) ORDER BY e.name)
+             FROM job_equipment je JOIN equipment e ON e.id = je.equipment_id
+             WHERE je.job_id = j.id
+           ), '[]') AS equipment,
+           COALESCE((
+             SELECT json_agg(json_build_object('id', o.id, 'name', o.name) ORDER BY o.name)
+             FROM job_operators jo JOIN operators o ON o.id = jo.operator_id
+             WHERE jo.job_id = j.id
+           ), '[]') AS operators
+    FROM jobs j
+    WHERE j.status IN ('scheduled', 'mobilizing', 'in_progress', 'demobilizing')
+      AND ($1::varchar IS NULL OR EXISTS (
+        SELECT 1 FROM job_operators jo WHERE jo.job_id = j.id AND jo.operator_id = $1
+      ))
+    ORDER BY j.scheduled_start_date ASC
+  `, [operatorId]);
+  return result.rows.map(row => ({
+    jobId: row.id,
+    jobTitle: row.title,
+    customerName: row.customer_name,
+    location: row.location,
+    status: row.status,
+    scheduledStartDate: row.scheduled_start_date,
+    scheduledEndDate: row.scheduled_end_date,
+    equipment: row.equipment.map(item => ({ ...item, engineHours: Number(item.engineHours) || 0 })),
+    operators: row.operators
+  }));
+};
+
+/**
+ * Check that a crane and an operator are on a job that can be logged.
+ * Returns { status, message } to reject the log with, or null when it may go ahead.
+ */
+export const checkLogAssignment = async (queryable, { jobId, equipmentId, operatorId }) => {
+  const result = await queryable.query(`
+    SELECT j.status,
+           EXISTS (SELECT 1 FROM job_equipment WHERE job_id = j.id AND equipment_id = $2) AS has_equipment,
+           EXISTS (SELECT 1 FROM job_operators WHERE job_id = j.id AND operator_id = $3) AS has_operator
+    FROM jobs j
+    WHERE j.id = $1
+  `, [jobId, equipmentId, operatorId]);
+  const job = result.rows[0];
+  if (!job) return { status: 404, message: 'Job not found' };
+  if (!LOGGABLE_JOB_STATUSES.includes(job.status)) {
+    return { status: 409, message: `Work cannot be logged on a ${job.status} job` };
+  }
+  if (!job.has_equipment) return { status: 400, message: 'The crane is not assigned to this job' };
+  if (!job.has_operator) return { status: 400, message: 'The operator is not assigned to this job' };
+  return null;
+};
+
+// Local calendar date, so a log for today is accepted whatever the UTC date is
+const today = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Validate a complete log. Returns an error message, or null when valid.
+ */
+export const validateJobLog = ({
+  jobId,
+  equipmentId,
+  operatorId,
+  logDate,
+  startTime,
+  endTime,
+  breakMinutes = 0,
+  breakdownHours = 0,
+  hourMeterStart = null,
+  hourMeterEnd = null,
+  dieselLitres = 0
+}) => {
+  if (!jobId || !equipmentId || !operatorId) return 'jobId, equipmentId and operatorId are required';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(logDate || '')) || isNaN(new Date(logDate).getTime())) {
+    return 'logDate must be a date (YYYY-MM-DD)';
+  }
+  if (logDate > today()) return 'Work cannot be logged for a future date';
+  if (!TIME_PATTERN.test(String(startTime || '')) || !TIME_PATTERN.test(String(endTime || ''))) {
+    return 'startTime and endTime must be times (HH:mm)';
+  }
+  if (startTime === endTime) return 'endTime must differ from startTime';
+  if (!Number.isInteger(Number(breakMinutes)) || Number(breakMinutes) < 0) {
+    return 'breakMinutes must be a whole number of minutes';
+  }
+  const workedHours = getShiftHours(startTime, endTime) - Number(breakMinutes) / 60;
+  if (workedHours <= 0) return 'Breaks cannot take up the whole shift';
+  if (isNaN(Number(breakdownHours)) || Number(breakdownHours) < 0) return 'breakdownHours must be zero or more';
+  if (Number(breakdownHours) > workedHours) return 'breakdownHours cannot exceed the hours worked';
+  if (isSet(hourMeterStart) && (isNaN(Number(hourMeterStart)) || Number(hourMeterStart) < 0)) {
+    return 'hourMeterStart must be zero or more';
+  }
+  if (isSet(hourMeterEnd) && (isNaN(Number(hourMeterEnd)) || Number(hourMeterEnd) < 0)) {
+    return 'hourMeterEnd must be zero or more';
+  }
+  if (isSet(hourMeterStart) && isSet(hourMeterEnd)) {
+    const engineHours = Number(hourMeterEnd) - Number(hourMeterStart);
+    if (engineHours < 0) return 'hourMeterEnd cannot be lower than hourMeterStart';
+    if (engineHours > getShiftHours(startTime, endTime)) return 'The hour meter cannot run longer than the shift';
+  }
+  if (isNaN(Number(dieselLitres)) || Number(dieselLitres) < 0) return 'dieselLitres must be zero or more';
+  return null;
+};
+
+export const createJobLog = async (queryable, {
+  jobId,
+  equipmentId,
+  operatorId,
+  logDate,
+  startTime,
+  endTime,
+  breakMinutes = 0,
+  breakdownHours = 0,
+  hourMeterStart = null,
+  hourMeterEnd = null,
+  dieselLitres = 0,
+  workDescription = null,
+  remarks = null
+}, { user = null } = {}) => {
+  const result = await queryable.query(`
+    INSERT INTO job_logs (
+      job_id, equipment_id, operator_id, log_date, start_time, end_time, break_minutes,
+      breakdown_hours, hour_meter_start, hour_meter_end, diesel_litres, work_description, remarks, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING id
+  `, [
+    jobId,
+    equipmentId,
+    operatorId,
+    logDate,
+    startTime,
+    endTime,
+    parseInt(breakMinutes, 10) || 0,
+    Number(breakdownHours) || 0,
+    toNumberOrNull(hourMeterStart),
+    toNumberOrNull(hourMeterEnd),
+    Number(dieselLitres) || 0,
+    workDescription || null,
+    remarks || null,
+    user?.id || null
+  ]);
+  return getJobLog(queryable, result.rows[0].id);
+};
+
+const LOG_FIELDS = {
+  logDate: 'log_date',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  breakMinutes: 'break_minutes',
+  breakdownHours: 'breakdown_hours',
+  hourMeterStart: 'hour_meter_start',
+  hourMeterEnd: 'hour_meter_end',
+  dieselLitres: 'diesel_litres',
+  workDescription: 'work_description',
+  remarks: 'remarks'
+};
+
+/**
+ * Change a log that has not been signed off yet. Returns null when the log
+ * does not exist or is already signed.
+ */
+export const updateJobLog = async (queryable, logId, changes) => {
+  const sets = [];
+  const values = [logId];
+  for (const [field, column] of Object.entries(LOG_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(changes[field] === '' ? null : changes[field]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (sets.length === 0) return getJobLog(queryable, logId);
+
+  const result = await queryable.query(
+    `UPDATE job_logs SET ${sets.join(', ')} WHERE id = $1 AND signed_at IS NULL RETURNING id`,
+    values
+  );
+  if (!result.rows[0]) return null;
+  return getJobLog(queryable, logId);
+};
+
+/**
+ * Validate a signature drawn on the phone. Returns an error message, or null when valid.
+ */
+export const validateSignatureImage = (signature, field = 'signature') => {
+  if (typeof signature !== 'string' || !SIGNATURE_PATTERN.test(signature)) {
+    return `${field} must be a PNG data URL`;
+  }
+  if (signature.length > MAX_SIGNATURE_LENGTH) return 'The signature image is too large';
+  return null;
+};
+
+/**
+ * Validate a site supervisor sign-off. Returns an error message, or null when valid.
+ */
+export const validateSignOff = ({ supervisorName, signature }) => {
+  if (!supervisorName || !String(supervisorName).trim()) return 'supervisorName is required';
+  if (String(supervisorName).trim().length > MAX_SUPERVISOR_NAME_LENGTH) {
+    return `supervisorName must be at most ${MAX_SUPERVISOR_NAME_LENGTH} characters`;
+  }
+  return validateSignatureImage(signature);
+};
+
+/**
+ * Record the site supervisor's sign-off. Returns null when the log does not
+ * exist or is already signed.
+ */
+export const signOffJobLog = async (queryable, logId, { supervisorName, signature }) => {
+  const result = await queryable.query(`
+    UPDATE job_logs
+    SET supervisor_name = $2, supervisor_signature = $3, signed_at = NOW()
+    WHERE id = $1 AND signed_at IS NULL
+    RETURNING id
+  `, [logId, String(supervisorName).trim(), signature]);
+  if (!result.rows[0]) return null;
+  return getJobLog(queryable, logId);
+};
+
+export const deleteJobLog = async (queryable, logId) => {
+  const result = await queryable.query('DELETE FROM job_logs WHERE id = $1', [logId]);
+  return result.rowCount > 0;
+};
+
+const GROUP_COLUMNS = {
+  job: { key: 'l.job_id', name: 'j.title' },
+  equipment: { key: 'l.equipment_id', name: 'e.name' },
+  operator: { key: 'l.operator_id', name: 'o.name' },
+  date: { key: `TO_CHAR(l.log_date, 'YYYY-MM-DD')`, name: `TO_CHAR(l.log_date, 'Dy DD Mon YYYY')` }
+};
+
+const mapSummaryRow = (row) => ({
+  days: Number(row.days) || 0,
+  logs: Number(row.logs) || 0,
+  workedHours: round2(row.worked_hours),
+  billableHours: round2(row.billable_hours),
+  breakdownHours: round1(row.breakdown_hours),
+  engineHours: round1(row.engine_hours),
+  dieselLitres: round1(row.diesel_litres),
+  sundayDays: Number(row.sunday_days) || 0,
+  sundayHours: round2(row.sunday_hours),
+  unsignedLogs: Number(row.unsigned_logs) || 0,
+  firstDate: row.first_date,
+  lastDate: row.last_date
+});
+
+/**
+ * Totals of the matching logs, overall and per job, crane, operator or day.
+ * `signedOnly` leaves out logs the site supervisor has not signed off.
+ */
+export const summarizeJobLogs = async (queryable, {
+  groupBy = 'job',
+  jobId = null,
+  equipmentId = null,
+  operatorId = null,
+  from = null,
+  to = null,
+  signedOnly = false
+} = {}) => {
+  const group = GROUP_COLUMNS[groupBy];
+  const result = await queryable.query(`
+    SELECT ${group.key} AS key, ${group.name} AS name,
+           COUNT(DISTINCT l.log_date) AS days,
+           COUNT(*) AS logs,
+           SUM(${WORKED_HOURS_SQL}) AS worked_hours,
+           SUM(${BILLABLE_HOURS_SQL}) AS billable_hours,
+           SUM(l.breakdown_hours) AS breakdown_hours,
+           SUM(l.hour_meter_end - l.hour_meter_start) AS engine_hours,
+           SUM(l.diesel_litres) AS diesel_litres,
+           COUNT(DISTINCT l.log_date) FILTER (WHERE ${SUNDAY_SQL}) AS sunday_days,
+           COALESCE(SUM(${WORKED_HOURS_SQL}) FILTER (WHERE ${SUNDAY_SQL}), 0) AS sunday_hours,
+           COUNT(*) FILTER (WHERE l.signed_at IS NULL) AS unsigned_logs,
+           TO_CHAR(MIN(l.log_date), 'YYYY-MM-DD') AS first_date,
+           TO_CHAR(MAX(l.log_date), 'YYYY-MM-DD') AS last_date
+    FROM job_logs l
+    JOIN jobs j ON j.id = l.job_id
+    JOIN equipment e ON e.id = l.equipment_id
+    JOIN operators o ON o.id = l.operator_id
+    WHERE ${LOG_FILTERS}
+      AND (NOT $6 OR l.signed_at IS NOT NULL)
+    GROUP BY GROUPING SETS ((${group.key}, ${group.name}), ())
+    ORDER BY GROUPING(${group.key}) ASC, ${group.key} ASC
+  `, [jobId, equipmentId, operatorId, from, to, signedOnly]);
+
+  // The grand total is the row without a key; it is missing when nothing matched
+  const totalRow = result.rows.find(row => row.key === null);
+  return {
+    groupBy,
+    totals: mapSummaryRow(totalRow || {}),
+    groups: result.rows
+      .filter(row => row !== totalRow)
+      .map(row => ({ key: row.key, name: row.name, ...mapSummaryRow(row) }))
+  };
+};
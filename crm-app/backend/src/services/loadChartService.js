@@ -0,0 +1,403 @@
+/**
+ * Load Chart Service
+ * Manufacturer load charts of each crane and the lift check against them.
+ *
+ * A chart belongs to one counterweight/outrigger configuration of a crane and
+ * lists the rated capacity at each boom length and working radius. Charts are
+ * imported from CSV either as a table (a `radius` column, then one column per
+ * boom length) or as rows of boom_length, radius, capacity[, hook_height].
+ *
+ * The lift check reads charts the way a lift planner does: a radius that is
+ * not listed takes the capacity at the next larger listed radius (never
+ * interpolated), and the load plus rigging may use at most
+ * 100 - `liftCheck.safetyMarginPercent` % of that capacity. Hook height comes
+ * from the chart, or is estimated from the boom length, radius and boom pivot
+ * height.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+
+const EQUIPMENT_CATEGORIES = ['mobile_crane', 'tower_crane', 'crawler_crane', 'pick_and_carry_crane'];
+
+const MAX_CONFIGURATION_LENGTH = 255;
+const MAX_POINTS = 2000;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const isPositive = (value) => isSet(value) && !isNaN(Number(value)) && Number(value) > 0;
+const isNonNegative = (value) => isSet(value) && !isNaN(Number(value)) && Number(value) >= 0;
+
+// API field -> column, for inserts and partial updates
+const CHART_FIELDS = {
+  configuration: 'configuration',
+  counterweightTons: 'counterweight_tons',
+  outriggerSetup: 'outrigger_setup',
+  boomPivotHeightM: 'boom_pivot_height_m',
+  source: 'source',
+  notes: 'notes',
+  isActive: 'is_active'
+};
+
+/**
+ * Safety margin in percent, falling back to the default when unset or out of range
+ */
+export const getLiftSafetyMargin = async () => {
+  const config = await getConfig('liftCheck');
+  const margin = Number(config.safetyMarginPercent);
+  return isSet(config.safetyMarginPercent) && !isNaN(margin) && margin >= 0 && margin < 100
+    ? margin
+    : DEFAULT_CONFIGS.liftCheck.safetyMarginPercent;
+};
+
+const mapPointRow = (row) => ({
+  boomLengthM: Number(row.boom_length_m),
+  radiusM: Number(row.radius_m),
+  capacityTons: Number(row.capacity_tons),
+  hookHeightM: toNumberOrNull(row.hook_height_m)
+});
+
+const mapChartRow = (row, points = []) => ({
+  id: row.id,
+  equipmentId: row.equipment_id,
+  configuration: row.configuration,
+  counterweightTons: toNumberOrNull(row.counterweight_tons),
+  outriggerSetup: row.outrigger_setup,
+  boomPivotHeightM: Number(row.boom_pivot_height_m),
+  source: row.source,
+  notes: row.notes,
+  isActive: row.is_active,
+  boomLengths: [...new Set(points.map(point => point.boomLengthM))].sort((a, b) => a - b),
+  maxCapacityTons: points.length > 0 ? Math.max(...points.map(point => point.capacityTons)) : null,
+  points,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const loadPoints = async (queryable, chartIds) => {
+  if (chartIds.length === 0) return new Map();
+  const result = await queryable.query(`
+    SELECT * FROM equipment_load_chart_points
+    WHERE chart_id = ANY($1)
+    ORDER BY boom_length_m ASC, radius_m ASC
+  `, [chartIds]);
+  const byChart = new Map(chartIds.map(id => [id, []]));
+  result.rows.forEach(row => byChart.get(row.chart_id).push(mapPointRow(row)));
+  return byChart;
+};
+
+export const listLoadCharts = async (queryable, equipmentId) => {
+  const result = await queryable.query(
+    'SELECT * FROM equipment_load_charts WHERE equipment_id = $1 ORDER BY is_active DESC, configuration ASC',
+    [equipmentId]
+  );
+  const points = await loadPoints(queryable, result.rows.map(row => row.id));
+  return result.rows.map(row => mapChartRow(row, points.get(row.id)));
+};
+
+export const getLoadChart = async (queryable, chartId) => {
+  const result = await queryable.query('SELECT * FROM equipment_load_charts WHERE id = $1', [chartId]);
+  if (!result.rows[0]) return null;
+  const points = await loadPoints(queryable, [chartId]);
+  return mapChartRow(result.rows[0], points.get(chartId));
+};
+
+const validatePoints = (points) => {
+  if (!Array.isArray(points) || points.length === 0) return 'A load chart needs at least one capacity';
+  if (points.length > MAX_POINTS) return `A load chart can have at most ${MAX_POINTS} capacities`;
+  const seen = new Set();
+  for (const point of points) {
+    if (!isPositive(point?.boomLengthM) || !isPositive(point.radiusM) || !isPositive(point.capacityTons)) {
+      return 'Every capacity needs a positive boom length, radius and capacity';
+    }
+    if (isSet(point.hookHeightM) && !isPositive(point.hookHeightM)) return 'Hook heights must be positive';
+    const key = `${Number(point.boomLengthM)}/${Number(point.radiusM)}`;
+    if (seen.has(key)) return `Boom length ${point.boomLengthM} m at radius ${point.radiusM} m is listed twice`;
+    seen.add(key);
+  }
+  return null;
+};
+
+/**
+ * Validate a load chart. With `partial`, only the fields present are checked.
+ * Returns an error message, or null when valid.
+ */
+export const validateLoadChart = (fields, { partial = false } = {}) => {
+  if (!partial || fields.configuration !== undefined) {
+    if (!isSet(fields.configuration) || !String(fields.configuration).trim()) return 'configuration is required';
+    if (String(fields.configuration).length > MAX_CONFIGURATION_LENGTH) {
+      return `configuration must be at most ${MAX_CONFIGURATION_LENGTH} characters`;
+    }
+  }
+  if (isSet(fields.counterweightTons) && !isNonNegative(fields.counterweightTons)) return 'counterweightTons must be 0 or more';
+  if (isSet(fields.boomPivotHeightM) && !isNonNegative(fields.boomPivotHeightM)) return 'boomPivotHeightM must be 0 or more';
+  if (!partial || fields.points !== undefined) {
+    const pointsError = validatePoints(fields.points);
+    if (pointsError) return pointsError;
+  }
+  return null;
+};
+
+const splitCsvLine = (line) => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+const parseCell = (cell) => (cell === '' || cell === '-' ? null : Number(cell));
+
+/**
+ * Read load chart capacities from CSV text. Returns { points } or { error }.
+ */
+export const parseLoadChartCsv = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+  if (lines.length < 2) return { error: 'The CSV needs a header row and at least one row of capacities' };
+
+  const header = splitCsvLine(lines[0]).map(cell => cell.toLowerCase());
+  const rows = lines.slice(1).map(splitCsvLine);
+  const column = (prefix) => header.findIndex(cell => cell.startsWith(prefix));
+  const points = [];
+
+  if (column('boom') >= 0 && column('capacity') >= 0) {
+    // Rows of boom_length, radius, capacity[, hook_height]
+    const [boomColumn, radiusColumn, capacityColumn, hookColumn] = ['boom', 'radius', 'capacity', 'hook'].map(column);
+    if (radiusColumn < 0) return { error: 'The CSV needs a radius column' };
+    for (const [index, row] of rows.entries()) {
+      const point = {
+        boomLengthM: parseCell(row[boomColumn] ?? ''),
+        radiusM: parseCell(row[radiusColumn] ?? ''),
+        capacityTons: parseCell(row[capacityColumn] ?? ''),
+        hookHeightM: hookColumn >= 0 ? parseCell(row[hookColumn] ?? '') : null
+      };
+      if ([point.boomLengthM, point.radiusM, point.capacityTons].some(value => value === null || isNaN(value))) {
+        return { error: `Row ${index + 2} needs a numeric boom length, radius and capacity` };
+      }
+      points.push(point);
+    }
+  } else {
+    // Table: radius down the first column, one column per boom length
+    const boomLengths = header.slice(1).map(cell => parseCell(cell.replace(/m$/, '').trim()));
+    if (boomLengths.length === 0 || boomLengths.some(value => value === null || isNaN(value))) {
+      return { error: 'The header needs a boom length above every capacity column, or boom_length, radius and capacity columns' };
+    }
+    for (const [index, row] of rows.entries()) {
+      const radius = parseCell(row[0]);
+      if (radius === null || isNaN(radius)) return { error: `Row ${index + 2} needs a numeric radius in the first column` };
+      for (const [boomIndex, boomLengthM] of boomLengths.entries()) {
+        const capacity = parseCell(row[boomIndex + 1] ?? '');
+        if (capacity === null) continue;
+        if (isNaN(capacity)) return { error: `Row ${index + 2} has a capacity that is not a number` };
+        points.push({ boomLengthM, radiusM: radius, capacityTons: capacity, hookHeightM: null });
+      }
+    }
+  }
+
+  const pointsError = validatePoints(points);
+  return pointsError ? { error: pointsError } : { points };
+};
+
+const replacePoints = async (queryable, chartId, points) => {
+  await queryable.query('DELETE FROM equipment_load_chart_points WHERE chart_id = $1', [chartId]);
+  await queryable.query(`
+    INSERT INTO equipment_load_chart_points (chart_id, boom_length_m, radius_m, capacity_tons, hook_height_m)
+    SELECT $1, * FROM unnest($2::numeric[], $3::numeric[], $4::numeric[], $5::numeric[])
+  `, [
+    chartId,
+    points.map(point => Number(point.boomLengthM)),
+    points.map(point => Number(point.radiusM)),
+    points.map(point => Number(point.capacityTons)),
+    points.map(point => (isSet(point.hookHeightM) ? Number(point.hookHeightM) : null))
+  ]);
+};
+
+const columnValue = (value) => (value === '' ? null : value);
+
+/**
+ * Add a chart with its capacities. Run inside a transaction.
+ */
+export const createLoadChart = async (queryable, equipmentId, fields, { user = null } = {}) => {
+  const columns = ['equipment_id', 'created_by'];
+  const values = [equipmentId, user?.id || null];
+  for (const [field, column] of Object.entries(CHART_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    columns.push(column);
+    values.push(columnValue(fields[field]));
+  }
+  const result = await queryable.query(`
+    INSERT INTO equipment_load_charts (${columns.join(', ')})
+    VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+    RETURNING id
+  `, values);
+  const chartId = result.rows[0].id;
+  await replacePoints(queryable, chartId, fields.points);
+  return getLoadChart(queryable, chartId);
+};
+
+/**
+ * Change a chart's details; `points` replaces all its capacities. Run inside a
+ * transaction. Returns null when the chart does not exist.
+ */
+export const updateLoadChart = async (queryable, chartId, changes) => {
+  const sets = [];
+  const values = [chartId];
+  for (const [field, column] of Object.entries(CHART_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(columnValue(changes[field]));
+    sets.push(`${column} = $${values.length}`);
+  }
+  const result = sets.length > 0
+    ? await queryable.query(`UPDATE equipment_load_charts SET ${sets.join(', ')} WHERE id = $1 RETURNING id`, values)
+    : await queryable.query('SELECT id FROM equipment_load_charts WHERE id = $1', [chartId]);
+  if (!result.rows[0]) return null;
+  if (changes.points !== undefined) await replacePoints(queryable, chartId, changes.points);
+  return getLoadChart(queryable, chartId);
+};
+
+export const deleteLoadChart = async (queryable, chartId) => {
+  const result = await queryable.query('DELETE FROM equipment_load_charts WHERE id = $1', [chartId]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Validate a lift check request. Returns an error message, or null when valid.
+ */
+export const validateLift = ({ loadTons, radiusM, heightM, riggingTons, safetyMarginPercent, category }) => {
+  if (!isPositive(loadTons)) return 'loadTons must be a positive number';
+  if (!isPositive(radiusM)) return 'radiusM must be a positive number';
+  if (isSet(heightM) && !isNonNegative(heightM)) return 'heightM must be 0 or more';
+  if (isSet(riggingTons) && !isNonNegative(riggingTons)) return 'riggingTons must be 0 or more';
+  if (isSet(safetyMarginPercent)) {
+    const margin = Number(safetyMarginPercent);
+    if (isNaN(margin) || margin < 0 || margin >= 100) return 'safetyMarginPercent must be from 0 to less than 100';
+  }
+  if (isSet(category) && !EQUIPMENT_CATEGORIES.includes(category)) return 'Invalid category';
+  return null;
+};
+
+/**
+ * Hook height a boom reaches at a radius: from the chart when published,
+ * otherwise the boom tip height above the pivot
+ */
+const hookHeightAt = (point, boomPivotHeightM) => {
+  if (point.hookHeightM !== null) return point.hookHeightM;
+  if (point.radiusM >= point.boomLengthM) return boomPivotHeightM;
+  return round2(Math.sqrt(point.boomLengthM ** 2 - point.radiusM ** 2) + boomPivotHeightM);
+};
+
+/**
+ * Best way one chart can make the lift: for each boom length, the capacity at
+ * the first listed radius at or beyond the working radius. Returns the option
+ * with the most capacity, preferring the shorter boom on a tie, or null when
+ * no boom reaches the radius and height.
+ */
+const bestChartOption = (chart, { radiusM, heightM }) => {
+  let best = null;
+  for (const boomLengthM of chart.boomLengths) {
+    const point = chart.points.find(item => item.boomLengthM === boomLengthM && item.radiusM >= radiusM);
+    if (!point) continue;
+    const hookHeightM = hookHeightAt(point, chart.boomPivotHeightM);
+    if (heightM !== null && hookHeightM < heightM) continue;
+    if (!best || point.capacityTons > best.capacityTons) {
+      best = {
+        chartId: chart.id,
+        configuration: chart.configuration,
+        counterweightTons: chart.counterweightTons,
+        boomLengthM,
+        chartRadiusM: point.radiusM,
+        capacityTons: point.capacityTons,
+        hookHeightM
+      };
+    }
+  }
+  return best;
+};
+
+/**
+ * Check a lift against the active load charts of the fleet (or of one
+ * category, or of the given cranes). Cranes that can make it come first,
+ * smallest crane first; the others say why not.
+ */
+export const checkLift = async (queryable, {
+  loadTons,
+  radiusM,
+  heightM = null,
+  riggingTons = 0,
+  safetyMarginPercent,
+  category = null,
+  equipmentIds = null
+}) => {
+  const margin = Number(safetyMarginPercent);
+  const totalLoadTons = round2(Number(loadTons) + Number(riggingTons || 0));
+  const requiredCapacityTons = round2(totalLoadTons / (1 - margin / 100));
+  const lift = { radiusM: Number(radiusM), heightM: isSet(heightM) ? Number(heightM) : null };
+
+  const equipmentResult = await queryable.query(`
+    SELECT id, equipment_id, name, category, max_lifting_capacity, status
+    FROM equipment
+    WHERE ($1::varchar IS NULL OR category = $1)
+      AND ($2::varchar[] IS NULL OR id = ANY($2))
+    ORDER BY max_lifting_capacity ASC, name ASC
+  `, [category, equipmentIds && equipmentIds.length > 0 ? equipmentIds : null]);
+
+  const chartResult = await queryable.query(
+    'SELECT * FROM equipment_load_charts WHERE is_active AND equipment_id = ANY($1)',
+    [equipmentResult.rows.map(row => row.id)]
+  );
+  const points = await loadPoints(queryable, chartResult.rows.map(row => row.id));
+  const chartsByEquipment = new Map();
+  chartResult.rows.forEach(row => {
+    const charts = chartsByEquipment.get(row.equipment_id) || [];
+    charts.push(mapChartRow(row, points.get(row.id)));
+    chartsByEquipment.set(row.equipment_id, charts);
+  });
+
+  const cranes = equipmentResult.rows.map(row => {
+    const crane = {
+      equipmentId: row.id,
+      equipmentCode: row.equipment_id,
+      name: row.name,
+      category: row.category,
+      maxLiftingCapacity: Number(row.max_lifting_capacity),
+      status: row.status
+    };
+    const charts = chartsByEquipment.get(row.id) || [];
+    if (charts.length === 0) {
+      return { ...crane, suitable: false, reason: 'No load chart on file', option: null };
+    }
+
+    const options = charts.map(chart => bestChartOption(chart, lift)).filter(Boolean);
+    if (options.length === 0) {
+      const reachesRadius = charts.some(chart => chart.points.some(point => point.radiusM >= lift.radiusM));
+      return {
+        ...crane,
+        suitable: false,
+        reason: reachesRadius ? `No boom reaches ${lift.heightM} m hook height at ${lift.radiusM} m` : `Cannot reach ${lift.radiusM} m radius`,
+        option: null
+      };
+    }
+
+    const best = options.reduce((winner, option) => (option.capacityTons > winner.capacityTons ? option : winner));
+    const option = { ...best, utilizationPercent: round2((totalLoadTons / best.capacityTons) * 100) };
+    return best.capacityTons >= requiredCapacityTons
+      ? { ...crane, suitable: true, reason: null, option }
+      : {
+        ...crane,
+        suitable: false,
+        reason: `Rated ${best.capacityTons} t at ${best.chartRadiusM} m, needs ${requiredCapacityTons} t`,
+        option
+      };
+  });
+
+  return {
+    loadTons: Number(loadTons),
+    riggingTons: Number(riggingTons || 0),
+    totalLoadTons,
+    radiusM: lift.radiusM,
+    heightM: lift.heightM,
+    safetyMarginPercent: margin,
+    requiredCapacityTons,
+    suitable: cranes.filter(crane => crane.suitable),
+    unsuitable: cranes.filter(crane => !crane.suitable)
+  };
+};
@@ -16,12 +16,22 @@ class NotificationEngine {
     this.activeConnections = new Map(); // userId -> WebSocket connection
     this.notificationTemplates = new Map();
     this.notificationRules = new Map();
+    this.scheduledProcessor = null;
     
     this.initializeServices();
     this.loadTemplates();
     this.loadRules();
   }
 
+  /**
+   * Attach real-time (WebSocket) delivery to the HTTP server
+   */
+  async initialize(server) {
+    if (server && !this.webSocketServer) {
+      this.initializeWebSocket(server);
+    }
+  }
+
   /**
    * Initialize external services (Email, SMS)
    */
@@ -29,7 +39,7 @@ class NotificationEngine {
     try {
       // Initialize Email Service
       if (process.env.SMTP_HOST) {
-        this.emailTransporter = nodemailer.createTransporter({
+        this.emailTransporter = nodemailer.createTransport({
           host: process.env.SMTP_HOST,
           port: process.env.SMTP_PORT || 587,
           secure: process.env.SMTP_SECURE === 'true',
@@ -198,6 +208,100 @@ class NotificationEngine {
           <p><a href="{{leadUrl}}">View Lead Details</a></p>
         `,
         sms: 'Follow-up reminder: {{customerName}} - {{serviceNeeded}}'
+      },
+      'quotation_approval_required': {
+        subject: 'Approval Required: Quotation {{quotationNumber}}',
+        message: 'Quotation {{quotationNumber}} for {{customerName}} is {{discountPercent}}% below list price (limit {{thresholdPercent}}%) and needs approval',
+        email: `
+          <h2>Quotation Discount Approval Required</h2>
+          <p>Quotation #{{quotationNumber}} for {{customerName}} exceeds the discount limit and is waiting for approval.</p>
+          <ul>
+            <li><strong>List Price:</strong> ₹{{listPrice}}</li>
+            <li><strong>Quoted Price:</strong> ₹{{quotedPrice}}</li>
+            <li><strong>Discount:</strong> {{discountPercent}}% (limit {{thresholdPercent}}%)</li>
+          </ul>
+          <p><a href="{{quotationUrl}}">Review Quotation</a></p>
+        `,
+        sms: 'Quotation {{quotationNumber}} needs discount approval ({{discountPercent}}% off list)'
+      },
+      'quotation_approval_decided': {
+        subject: 'Quotation {{quotationNumber}} {{decision}}',
+        message: 'Discount on quotation {{quotationNumber}} for {{customerName}} was {{decision}}: {{reason}}',
+        email: `
+          <h2>Quotation Discount {{decision}}</h2>
+          <p>The discount on quotation #{{quotationNumber}} for {{customerName}} was {{decision}}.</p>
+          <p><strong>Reason:</strong> {{reason}}</p>
+          <p><a href="{{quotationUrl}}">View Quotation</a></p>
+        `,
+        sms: 'Quotation {{quotationNumber}} discount {{decision}}: {{reason}}'
+      },
+      'quotation_expiring': {
+        subject: 'Quotation {{quotationNumber}} expires on {{validUntil}}',
+        message: 'Quotation {{quotationNumber}} for {{customerName}} expires in {{daysLeft}} day(s) on {{validUntil}}',
+        email: `
+          <h2>Quotation Expiring Soon</h2>
+          <p>Quotation #{{quotationNumber}} for {{customerName}} is valid until {{validUntil}} ({{daysLeft}} day(s) left).</p>
+          <p>Follow up with the customer or extend the validity if needed.</p>
+          <p><a href="{{quotationUrl}}">View Quotation</a></p>
+        `,
+        sms: 'Quotation {{quotationNumber}} for {{customerName}} expires on {{validUntil}}'
+      },
+      'payment_overdue': {
+        subject: 'Payment overdue: Invoice {{invoiceNumber}}',
+        message: 'Invoice {{invoiceNumber}} for {{customerName}} is {{daysOverdue}} day(s) overdue. Balance due: ₹{{amount}}',
+        email: `
+          <h2>Payment Overdue</h2>
+          <p>Invoice #{{invoiceNumber}} for {{customerName}} was due on {{dueDate}} and is {{daysOverdue}} day(s) overdue.</p>
+          <p><strong>Balance due:</strong> ₹{{amount}}</p>
+          <p><a href="{{invoiceUrl}}">View Invoice</a></p>
+        `,
+        sms: 'Invoice {{invoiceNumber}} for {{customerName}} is overdue. Balance: Rs.{{amount}}'
+      },
+      'payment_overdue_customer': {
+        subject: 'Payment reminder: Invoice {{invoiceNumber}} from {{companyName}}',
+        message: 'Dear {{customerName}}, invoice {{invoiceNumber}} was due on {{dueDate}}. The outstanding balance is ₹{{amount}}. Please arrange payment at the earliest.',
+        email: `
+          <p>Dear {{customerName}},</p>
+          <p>This is a reminder that invoice <strong>{{invoiceNumber}}</strong> was due on {{dueDate}}
+          and is {{daysOverdue}} day(s) overdue. The outstanding balance is <strong>₹{{amount}}</strong>.</p>
+          <p>Please arrange payment at the earliest, quoting the invoice number. If you have already paid, please ignore this reminder.</p>
+          <p>Regards,<br>{{companyName}}</p>
+        `,
+        sms: 'Reminder: invoice {{invoiceNumber}} from {{companyName}} is overdue. Balance Rs.{{amount}}'
+      },
+      'quotation_customer_response': {
+        subject: 'Quotation {{quotationNumber}} {{decision}} by customer',
+        message: '{{signerName}} {{decision}} quotation {{quotationNumber}} for {{customerName}}',
+        email: `
+          <h2>Quotation {{decision}} by Customer</h2>
+          <p>{{signerName}} {{decision}} quotation #{{quotationNumber}} for {{customerName}}.</p>
+          <p><strong>Comment:</strong> {{comment}}</p>
+          <p><a href="{{quotationUrl}}">View Quotation</a></p>
+        `,
+        sms: 'Quotation {{quotationNumber}} {{decision}} by {{signerName}}'
+      },
+      'maintenance_due': {
+        subject: 'Maintenance {{dueStatus}}: {{equipmentName}} - {{planName}}',
+        message: '{{planName}} on {{equipmentName}} ({{equipmentCode}}) is {{dueStatus}}: {{dueDescription}}',
+        email: `
+          <h2>Maintenance {{dueStatus}}</h2>
+          <p>{{planName}} on {{equipmentName}} ({{equipmentCode}}) is {{dueStatus}}.</p>
+          <p>{{dueDescription}}</p>
+          <p>Plan a work order so the crane is not booked on jobs during the service.</p>
+          <p><a href="{{maintenanceUrl}}">View Maintenance</a></p>
+        `,
+        sms: 'Maintenance {{dueStatus}}: {{planName}} on {{equipmentName}} - {{dueDescription}}'
+      },
+      'equipment_document_expiring': {
+        subject: '{{documentLabel}} of {{equipmentName}} expires on {{expiryDate}}',
+        message: '{{documentLabel}} {{documentNumber}} of {{equipmentName}} ({{equipmentCode}}) expires in {{daysLeft}} day(s) on {{expiryDate}}',
+        email: `
+          <h2>Document Expiring</h2>
+          <p>The {{documentLabel}} ({{documentNumber}}) of {{equipmentName}} ({{equipmentCode}}) expires on {{expiryDate}}, in {{daysLeft}} day(s).</p>
+          <p>{{mandatoryNote}}</p>
+          <p><a href="{{documentsUrl}}">View Documents</a></p>
+        `,
+        sms: '{{documentLabel}} of {{equipmentName}} expires on {{expiryDate}}'
       }
     };
 
@@ -270,6 +374,55 @@ class NotificationEngine {
         channels: ['in_app', 'email'],
         conditions: {},
         isActive: true
+      },
+      'quotation_approval_required': {
+        userRoles: ['operations_manager', 'admin'],
+        channels: ['in_app', 'email'],
+        conditions: {},
+        isActive: true
+      },
+      'quotation_approval_decided': {
+        userRoles: ['sales_agent'],
+        channels: ['in_app'],
+        conditions: {},
+        isActive: true
+      },
+      'quotation_expiring': {
+        userRoles: ['sales_agent'],
+        channels: ['in_app', 'email'],
+        conditions: {},
+        isActive: true
+      },
+      'payment_overdue': {
+        userRoles: ['sales_agent'],
+        channels: ['in_app', 'email'],
+        conditions: {},
+        isActive: true
+      },
+      // Sent to the customer's email address only, so there are no user roles
+      'payment_overdue_customer': {
+        userRoles: [],
+        channels: ['email'],
+        conditions: {},
+        isActive: true
+      },
+      'quotation_customer_response': {
+        userRoles: ['sales_agent'],
+        channels: ['in_app'],
+        conditions: {},
+        isActive: true
+      },
+      'maintenance_due': {
+        userRoles: ['operations_manager', 'admin'],
+        channels: ['in_app', 'email'],
+        conditions: {},
+        isActive: true
+      },
+      'equipment_document_expiring': {
+        userRoles: ['operations_manager', 'admin'],
+        channels: ['in_app', 'email'],
+        conditions: {},
+        isActive: true
       }
     };
 
@@ -388,7 +541,7 @@ class NotificationEngine {
         RETURNING id
       `;
       
-      const result = await db.query(query, [
+      const result = await db.one(query, [
         recipient.id,
         title,
         message,
@@ -403,7 +556,7 @@ class NotificationEngine {
       if (connection && connection.readyState === 1) {
         connection.send(JSON.stringify({
           type: 'notification',
-          id: result.rows[0].id,
+          id: result.id,
           title,
           message,
           notificationType: type,
@@ -412,7 +565,7 @@ class NotificationEngine {
         }));
       }
 
-      return { success: true, id: result.rows[0].id };
+      return { success: true, id: result.id };
     } catch (error) {
       console.error('Error sending in-app notification:', error);
       return { success: false, error: error.message };
@@ -537,22 +690,24 @@ class NotificationEngine {
     try {
       const query = `
         INSERT INTO scheduled_notifications 
-        (type, recipients, data, channels, priority, scheduled_at, status)
-        VALUES ($1, $2, $3, $4, $5, $6, 'pending')
+        (type, recipients, data, channels, priority, reference_type, reference_id, scheduled_at, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending')
         RETURNING id
       `;
       
-      const result = await db.query(query, [
+      const result = await db.one(query, [
         type,
         JSON.stringify(recipients),
         JSON.stringify(data),
         JSON.stringify(channels),
         priority,
+        data.referenceType || null,
+        data.referenceId || null,
         scheduleAt
       ]);
 
       console.log(`⏰ Notification scheduled for ${scheduleAt}`);
-      return { success: true, id: result.rows[0].id };
+      return { success: true, id: result.id };
     } catch (error) {
       console.error('Error scheduling notification:', error);
       return { success: false, error: error.message };
@@ -572,17 +727,21 @@ class NotificationEngine {
         LIMIT 50
       `;
       
-      const result = await db.query(query);
+      // recipients, data and channels are JSONB and arrive parsed
+      const notifications = await db.any(query);
       
-      for (const notification of result.rows) {
+      for (const notification of notifications) {
         try {
-          await this.sendNotification({
+          const sent = await this.sendNotification({
             type: notification.type,
-            recipients: JSON.parse(notification.recipients),
-            data: JSON.parse(notification.data),
-            channels: JSON.parse(notification.channels),
+            recipients: notification.recipients || [],
+            data: notification.data || {},
+            channels: notification.channels || [],
             priority: notification.priority
           });
+          if (sent === false) {
+            throw new Error(`Notification type ${notification.type} could not be sent`);
+          }
 
           // Mark as sent
           await db.query(
@@ -601,8 +760,8 @@ class NotificationEngine {
         }
       }
 
-      if (result.rows.length > 0) {
-        console.log(`📅 Processed ${result.rows.length} scheduled notifications`);
+      if (notifications.length > 0) {
+        console.log(`📅 Processed ${notifications.length} scheduled notifications`);
       }
 
     } catch (error) {
@@ -621,8 +780,7 @@ class NotificationEngine {
         WHERE role = ANY($1)
       `;
       
-      const result = await db.query(query, [roles]);
-      return result.rows;
+      return await db.any(query, [roles]);
     } catch (error) {
       console.error('Error getting users by roles:', error);
       return [];
@@ -667,8 +825,10 @@ class NotificationEngine {
    * Start scheduled notification processor
    */
   startScheduledProcessor() {
+    if (this.scheduledProcessor) return;
+
     // Process scheduled notifications every minute
-    setInterval(() => {
+    this.scheduledProcessor = setInterval(() => {
       this.processScheduledNotifications();
     }, 60000);
 
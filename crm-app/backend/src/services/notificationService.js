@@ -143,7 +143,7 @@ export const sendPaymentOverdueNotification = async (invoiceData) => {
       amount: invoiceData.amount?.toLocaleString('en-IN'),
       dueDate: new Date(invoiceData.due_date).toLocaleDateString(),
       customerName: invoiceData.customer_name,
-      invoiceUrl: `${process.env.FRONTEND_URL}/invoices/${invoiceData.id}`
+      invoiceUrl: `${process.env.FRONTEND_URL}/invoices?open=${invoiceData.id}`
     },
     priority: 'high'
   });
@@ -0,0 +1,351 @@
+/**
+ * Operator Certification Service
+ * Certification types, the certifications held by each operator and whether
+ * an operator is qualified for the cranes on a job.
+ *
+ * A certification type qualifies its holder for a set of equipment categories,
+ * up to `max_capacity_tons` (NULL covers every capacity). An operator is
+ * qualified for a crane while holding a certification of such a type that is
+ * valid until the job ends (a certification without an expiry never expires).
+ *
+ * Job assignment follows the `operatorCertifications.enforcement` config:
+ * 'block' rejects unqualified assignments, 'warn' saves them and reports the
+ * gaps, 'off' skips the check.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+
+export const EQUIPMENT_CATEGORIES = ['mobile_crane', 'tower_crane', 'crawler_crane', 'pick_and_carry_crane'];
+export const ENFORCEMENT_MODES = ['block', 'warn', 'off'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * How unqualified assignments are handled, falling back to the default
+ */
+export const getCertificationEnforcement = async () => {
+  const config = await getConfig('operatorCertifications');
+  return ENFORCEMENT_MODES.includes(config.enforcement)
+    ? config.enforcement
+    : DEFAULT_CONFIGS.operatorCertifications.enforcement;
+};
+
+const mapTypeRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  issuingBody: row.issuing_body,
+  description: row.description,
+  equipmentCategories: row.equipment_categories || [],
+  maxCapacityTons: toNumberOrNull(row.max_capacity_tons),
+  validityMonths: row.validity_months,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+export const listCertificationTypes = async (queryable, { activeOnly = true } = {}) => {
+  const result = await queryable.query(
+    'SELECT * FROM certification_types WHERE (NOT $1 OR is_active) ORDER BY name ASC',
+    [activeOnly]
+  );
+  return result.rows.map(mapTypeRow);
+};
+
+export const getCertificationType = async (queryable, typeId) => {
+  const result = await queryable.query('SELECT * FROM certification_types WHERE id = $1', [typeId]);
+  return result.rows[0] ? mapTypeRow(result.rows[0]) : null;
+};
+
+/**
+ * Validate certification type fields. Returns an error message, or null when valid.
+ */
+export const validateCertificationType = ({ name, equipmentCategories, maxCapacityTons, validityMonths }) => {
+  if (!name || !String(name).trim()) {
+    return 'Name is required';
+  }
+  if (!Array.isArray(equipmentCategories) || equipmentCategories.some(category => !EQUIPMENT_CATEGORIES.includes(category))) {
+    return `Equipment categories must be a list of: ${EQUIPMENT_CATEGORIES.join(', ')}`;
+  }
+  if (isSet(maxCapacityTons) && !(Number(maxCapacityTons) > 0)) {
+    return 'Maximum capacity must be a positive number of tons';
+  }
+  if (isSet(validityMonths) && !(Number.isInteger(Number(validityMonths)) && Number(validityMonths) > 0)) {
+    return 'Validity must be a positive whole number of months';
+  }
+  return null;
+};
+
+export const createCertificationType = async (queryable, {
+  name,
+  issuingBody = null,
+  description = null,
+  equipmentCategories = [],
+  maxCapacityTons = null,
+  validityMonths = null
+}) => {
+  const result = await queryable.query(`
+    INSERT INTO certification_types (name, issuing_body, description, equipment_categories, max_capacity_tons, validity_months)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [
+    String(name).trim(),
+    issuingBody || null,
+    description || null,
+    equipmentCategories,
+    isSet(maxCapacityTons) ? Number(maxCapacityTons) : null,
+    isSet(validityMonths) ? Number(validityMonths) : null
+  ]);
+  return mapTypeRow(result.rows[0]);
+};
+
+const TYPE_FIELDS = {
+  name: 'name',
+  issuingBody: 'issuing_body',
+  description: 'description',
+  equipmentCategories: 'equipment_categories',
+  maxCapacityTons: 'max_capacity_tons',
+  validityMonths: 'validity_months',
+  isActive: 'is_active'
+};
+
+export const updateCertificationType = async (queryable, typeId, changes) => {
+  const sets = [];
+  const values = [typeId];
+  for (const [field, column] of Object.entries(TYPE_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(changes[field] === '' ? null : changes[field]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (sets.length === 0) return getCertificationType(queryable, typeId);
+
+  const result = await queryable.query(
+    `UPDATE certification_types SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+    values
+  );
+  return result.rows[0] ? mapTypeRow(result.rows[0]) : null;
+};
+
+const mapCertificationRow = (row) => ({
+  id: row.id,
+  operatorId: row.operator_id,
+  operatorName: row.operator_name,
+  certificationTypeId: row.certification_type_id,
+  certificationTypeName: row.type_name,
+  equipmentCategories: row.equipment_categories || [],
+  maxCapacityTons: toNumberOrNull(row.max_capacity_tons),
+  certificateNumber: row.certificate_number,
+  issuingBody: row.issuing_body,
+  issueDate: row.issued_on,
+  expiryDate: row.expires_on,
+  daysLeft: row.days_left,
+  isExpired: row.days_left !== null && row.days_left < 0,
+  hasFile: Boolean(row.file_path),
+  fileName: row.file_name,
+  fileMimeType: row.file_mime_type,
+  fileSize: row.file_size,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const CERTIFICATION_SELECT = `
+  SELECT c.*, o.name AS operator_name, t.name AS type_name, t.equipment_categories, t.max_capacity_tons,
+         TO_CHAR(c.issue_date, 'YYYY-MM-DD') AS issued_on,
+         TO_CHAR(c.expiry_date, 'YYYY-MM-DD') AS expires_on,
+         c.expiry_date - CURRENT_DATE AS days_left
+  FROM operator_certifications c
+  JOIN operators o ON o.id = c.operator_id
+  JOIN certification_types t ON t.id = c.certification_type_id
+`;
+
+/**
+ * Certifications of an operator, or of every operator, latest expiry first
+ */
+export const listOperatorCertifications = async (queryable, { operatorId = null } = {}) => {
+  const result = await queryable.query(`
+    ${CERTIFICATION_SELECT}
+    WHERE ($1::varchar IS NULL OR c.operator_id = $1)
+    ORDER BY o.name ASC, c.expiry_date DESC NULLS FIRST
+  `, [operatorId]);
+  return result.rows.map(mapCertificationRow);
+};
+
+export const getOperatorCertification = async (queryable, certificationId) => {
+  const result = await queryable.query(`${CERTIFICATION_SELECT} WHERE c.id = $1`, [certificationId]);
+  return result.rows[0] ? mapCertificationRow(result.rows[0]) : null;
+};
+
+/**
+ * Stored file details of a certification, for downloads and clean-up
+ */
+export const getCertificationFile = async (queryable, certificationId) => {
+  const result = await queryable.query(
+    'SELECT file_path, file_name, file_mime_type FROM operator_certifications WHERE id = $1',
+    [certificationId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return { filePath: row.file_path, fileName: row.file_name, mimeType: row.file_mime_type };
+};
+
+/**
+ * Validate certification fields. Returns an error message, or null when valid.
+ * `partial` skips the required-field checks for updates.
+ */
+export const validateCertification = ({ certificationTypeId, issueDate, expiryDate }, { partial = false } = {}) => {
+  if (!partial && !certificationTypeId) {
+    return 'certificationTypeId is required';
+  }
+  if (isSet(issueDate) && !isValidDate(issueDate)) {
+    return 'Issue date is not a valid date';
+  }
+  if (isSet(expiryDate) && !isValidDate(expiryDate)) {
+    return 'Expiry date is not a valid date';
+  }
+  if (isSet(issueDate) && isSet(expiryDate) && new Date(expiryDate) < new Date(issueDate)) {
+    return 'Expiry date cannot be before the issue date';
+  }
+  return null;
+};
+
+/**
+ * Record a certification held by an operator. `file` holds the stored scan, if any.
+ */
+export const createOperatorCertification = async (queryable, operatorId, {
+  certificationTypeId,
+  certificateNumber = null,
+  issuingBody = null,
+  issueDate = null,
+  expiryDate = null,
+  notes = null
+}, { file = null, user = null } = {}) => {
+  const result = await queryable.query(`
+    INSERT INTO operator_certifications (
+      operator_id, certification_type_id, certificate_number, issuing_body, issue_date, expiry_date,
+      file_path, file_name, file_mime_type, file_size, notes, created_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING id
+  `, [
+    operatorId,
+    certificationTypeId,
+    certificateNumber || null,
+    issuingBody || null,
+    issueDate || null,
+    expiryDate || null,
+    file?.path || null,
+    file?.originalName || null,
+    file?.mimeType || null,
+    file?.size || null,
+    notes || null,
+    user?.id || null
+  ]);
+  return getOperatorCertification(queryable, result.rows[0].id);
+};
+
+const CERTIFICATION_FIELDS = {
+  certificationTypeId: 'certification_type_id',
+  certificateNumber: 'certificate_number',
+  issuingBody: 'issuing_body',
+  issueDate: 'issue_date',
+  expiryDate: 'expiry_date',
+  notes: 'notes'
+};
+
+/**
+ * Update a certification's details and, when `file` is given, replace its scan
+ */
+export const updateOperatorCertification = async (queryable, certificationId, changes, { file = null } = {}) => {
+  const sets = [];
+  const values = [certificationId];
+  for (const [field, column] of Object.entries(CERTIFICATION_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(changes[field] === '' ? null : changes[field]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (file) {
+    values.push(file.path, file.originalName, file.mimeType, file.size);
+    const base = values.length - 3;
+    sets.push(`file_path = $${base}`, `file_name = $${base + 1}`, `file_mime_type = $${base + 2}`, `file_size = $${base + 3}`);
+  }
+  if (sets.length === 0) return getOperatorCertification(queryable, certificationId);
+
+  const result = await queryable.query(
+    `UPDATE operator_certifications SET ${sets.join(', ')} WHERE id = $1 RETURNING id`,
+    values
+  );
+  if (!result.rows[0]) return null;
+  return getOperatorCertification(queryable, certificationId);
+};
+
+/**
+ * Delete a certification. Returns its stored file path, or null when not found.
+ */
+export const deleteOperatorCertification = async (queryable, certificationId) => {
+  const result = await queryable.query(
+    'DELETE FROM operator_certifications WHERE id = $1 RETURNING file_path',
+    [certificationId]
+  );
+  if (!result.rows[0]) return null;
+  return { filePath: result.rows[0].file_path };
+};
+
+/**
+ * Operator and crane pairs where the operator holds no certification covering
+ * the crane's category and capacity that is valid until `end`. `reason` is
+ * 'expired' when a covering certification exists but lapses before the job
+ * ends (`expiryDate` is its latest expiry), 'missing' otherwise.
+ */
+export const findCertificationGaps = async (queryable, { operatorIds = [], equipmentIds = [], end }) => {
+  if (operatorIds.length === 0 || equipmentIds.length === 0) return [];
+  // A certification is valid through its expiry date, i.e. until midnight after it
+  const result = await queryable.query(`
+    SELECT o.id AS operator_id, o.name AS operator_name,
+           e.id AS equipment_id, e.name AS equipment_name, e.category, e.max_lifting_capacity,
+           q.covering, q.latest_expiry
+    FROM operators o
+    CROSS JOIN equipment e
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*) AS covering,
+             COUNT(*) FILTER (WHERE c.expiry_date IS NULL OR c.expiry_date + 1 >= $3::timestamptz) AS valid,
+             TO_CHAR(MAX(c.expiry_date), 'YYYY-MM-DD') AS latest_expiry
+      FROM operator_certifications c
+      JOIN certification_types t ON t.id = c.certification_type_id
+      WHERE c.operator_id = o.id
+        AND e.category = ANY(t.equipment_categories)
+        AND (t.max_capacity_tons IS NULL OR t.max_capacity_tons >= e.max_lifting_capacity)
+    ) q
+    WHERE o.id = ANY($1) AND e.id = ANY($2) AND q.valid = 0
+    ORDER BY o.name ASC, e.name ASC
+  `, [operatorIds, equipmentIds, end]);
+  return result.rows.map(row => ({
+    operatorId: row.operator_id,
+    operatorName: row.operator_name,
+    equipmentId: row.equipment_id,
+    equipmentName: row.equipment_name,
+    category: row.category,
+    capacityTons: Number(row.max_lifting_capacity),
+    reason: Number(row.covering) > 0 ? 'expired' : 'missing',
+    expiryDate: Number(row.covering) > 0 ? row.latest_expiry : null
+  }));
+};
+
+/**
+ * Message describing operators who are not certified for the cranes on a job
+ */
+export const describeCertificationGaps = (gaps) => {
+  const details = gaps
+    .map(gap => {
+      const crane = `${gap.equipmentName} (${gap.category.replace(/_/g, ' ')}, ${gap.capacityTons} t)`;
+      return gap.reason === 'expired'
+        ? `${gap.operatorName}'s certification for ${crane} expires ${new Date(`${gap.expiryDate}T00:00:00`).toLocaleDateString('en-IN')}`
+        : `${gap.operatorName} has no certification for ${crane}`;
+    })
+    .join('; ');
+  return `Operators are not certified for the assigned equipment - ${details}`;
+};
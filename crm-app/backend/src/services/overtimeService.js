@@ -0,0 +1,248 @@
+/**
+ * Overtime Service
+ * Reconciles the hours logged on a job's cranes against its accepted quotation
+ * and prices the extra hours under the `overtime` config.
+ *
+ * A crane's billable hours on a day (the time covered by its operators' logs,
+ * with overlapping logs counted once, less breaks and breakdown) above the
+ * quotation's working hours are extra hours. They are
+ * billed at the order type's multiplier of the crane's hourly-equivalent rate:
+ * the quoted base rate for hourly order types, the monthly rate spread over
+ * 26 working days of the quoted working hours for monthly ones. Extra hours
+ * inside the night window also take the config's night factor; an overrun is
+ * taken to fall in the night hours worked that day first.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import { getShiftHours } from './jobLogService.js';
+
+// Working days used to convert monthly rates, as in quotation pricing
+const WORKING_DAYS_PER_MONTH = 26;
+const DAY_MINUTES = 24 * 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const toFactor = (value, fallback) => {
+  const factor = Number(value);
+  return isNaN(factor) || factor < 0 ? fallback : factor;
+};
+
+/**
+ * Overtime settings, falling back to the defaults for missing or invalid keys.
+ * Configs saved before night shifts became a surcharge rule keep their
+ * additionalParams.dayNightFactors.night as the night factor.
+ */
+export const getOvertimeConfig = async () => {
+  const defaults = DEFAULT_CONFIGS.overtime;
+  const [config, additionalParams] = await Promise.all([getConfig('overtime'), getConfig('additionalParams')]);
+  const multipliers = {};
+  for (const [orderType, multiplier] of Object.entries(defaults.multipliers)) {
+    multipliers[orderType] = toFactor(config.multipliers?.[orderType], multiplier);
+  }
+  return {
+    enabled: config.enabled !== false,
+    multipliers,
+    nightStart: TIME_PATTERN.test(config.nightStart) ? config.nightStart : defaults.nightStart,
+    nightEnd: TIME_PATTERN.test(config.nightEnd) ? config.nightEnd : defaults.nightEnd,
+    signedLogsOnly: config.signedLogsOnly !== false,
+    dayFactor: 1,
+    nightFactor: toFactor(config.nightFactor ?? additionalParams.dayNightFactors?.night, defaults.nightFactor)
+  };
+};
+
+// Minutes between `start` and `end` (minutes from the log day's midnight) inside the night window
+const getNightMinutes = (start, end, nightStart, nightEnd) => {
+  const windowStart = toMinutes(nightStart);
+  let windowEnd = toMinutes(nightEnd);
+  if (windowEnd <= windowStart) windowEnd += DAY_MINUTES;
+
+  // The shift spans at most two calendar days, so check the night before, of and after its start
+  let minutes = 0;
+  for (const offset of [-DAY_MINUTES, 0, DAY_MINUTES]) {
+    minutes += Math.max(0, Math.min(end, windowEnd + offset) - Math.max(start, windowStart + offset));
+  }
+  return minutes;
+};
+
+/**
+ * Hours of a shift (HH:mm start and end) that fall inside the night window.
+ * Both may run past midnight.
+ */
+export const getNightHours = (startTime, endTime, nightStart, nightEnd) => {
+  const start = toMinutes(startTime);
+  return getNightMinutes(start, start + getShiftHours(startTime, endTime) * 60, nightStart, nightEnd) / 60;
+};
+
+/**
+ * Merge a crane-day's logs into the stretches of time they cover, so hours
+ * logged by two operators at once are counted once. Overlapping logs share
+ * their breaks and breakdown: a stretch deducts the largest of its logs'.
+ */
+const mergeShifts = (shifts) => {
+  const merged = [];
+  for (const shift of [...shifts].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && shift.start < last.end) {
+      last.end = Math.max(last.end, shift.end);
+      last.deductedHours = Math.max(last.deductedHours, shift.deductedHours);
+    } else {
+      merged.push({ ...shift });
+    }
+  }
+  return merged;
+};
+
+/**
+ * Hourly-equivalent rate of a quoted crane rate
+ */
+export const getHourlyEquivalentRate = (quotation, baseRate) => {
+  const rate = Number(baseRate) || 0;
+  if (quotation.order_type !== 'monthly') return rate;
+  const workingHours = Number(quotation.working_hours) || 1;
+  return rate / (WORKING_DAYS_PER_MONTH * workingHours);
+};
+
+/**
+ * Logged hours of a job per crane and day against the quotation's working
+ * hours, with invoice lines for the extra hours
+ */
+export const reconcileJobHours = async (queryable, { job, quotation, sacCode = null }) => {
+  const config = await getOvertimeConfig();
+  const contractedHours = Number(quotation.working_hours) || 0;
+  const multiplier = config.enabled ? config.multipliers[quotation.order_type] || 0 : 0;
+
+  const machinesResult = await queryable.query(`
+    SELECT qm.equipment_id, qm.base_rate
+    FROM quotation_machines qm
+    WHERE qm.quotation_id = $1
+    ORDER BY qm.created_at ASC
+  `, [quotation.id]);
+  const quotedRates = new Map(machinesResult.rows.map(row => [row.equipment_id, getHourlyEquivalentRate(quotation, row.base_rate)]));
+  // A crane swapped in on site is billed at the quoted crane's rate (the highest when several were quoted)
+  const substituteRate = quotedRates.size > 0
+    ? Math.max(...quotedRates.values())
+    : (Number(quotation.working_cost) || 0) / ((Number(quotation.number_of_days) || 1) * (contractedHours || 1));
+
+  const logsResult = await queryable.query(`
+    SELECT l.equipment_id, e.name AS equipment_name,
+           TO_CHAR(l.log_date, 'YYYY-MM-DD') AS log_day,
+           TO_CHAR(l.start_time, 'HH24:MI') AS start_at,
+           TO_CHAR(l.end_time, 'HH24:MI') AS end_at,
+           l.break_minutes, l.breakdown_hours, l.signed_at
+    FROM job_logs l
+    JOIN equipment e ON e.id = l.equipment_id
+    WHERE l.job_id = $1
+    ORDER BY e.name ASC, l.log_date ASC, l.start_time ASC
+  `, [job.id]);
+
+  const days = new Map();
+  let unsignedLogs = 0;
+  for (const row of logsResult.rows) {
+    if (!row.signed_at) {
+      unsignedLogs += 1;
+      if (config.signedLogsOnly) continue;
+    }
+    const key = `${row.equipment_id}|${row.log_day}`;
+    if (!days.has(key)) {
+      days.set(key, {
+        equipmentId: row.equipment_id,
+        equipmentName: row.equipment_name,
+        date: row.log_day,
+        shifts: []
+      });
+    }
+    const start = toMinutes(row.start_at);
+    days.get(key).shifts.push({
+      start,
+      end: start + getShiftHours(row.start_at, row.end_at) * 60,
+      deductedHours: Number(row.break_minutes) / 60 + Number(row.breakdown_hours)
+    });
+  }
+  for (const day of days.values()) {
+    const stretches = mergeShifts(day.shifts);
+    day.logs = day.shifts.length;
+    day.billableHours = stretches.reduce(
+      (total, stretch) => total + Math.max((stretch.end - stretch.start) / 60 - stretch.deductedHours, 0),
+      0
+    );
+    day.nightHours = stretches.reduce(
+      (total, stretch) => total + getNightMinutes(stretch.start, stretch.end, config.nightStart, config.nightEnd) / 60,
+      0
+    );
+  }
+
+  const cranes = new Map();
+  const dayRows = [...days.values()].map(day => {
+    const extraHours = Math.max(day.billableHours - contractedHours, 0);
+    const nightExtraHours = Math.min(extraHours, day.nightHours);
+    const row = {
+      equipmentId: day.equipmentId,
+      equipmentName: day.equipmentName,
+      date: day.date,
+      logs: day.logs,
+      billableHours: round2(day.billableHours),
+      contractedHours,
+      extraHours: round2(extraHours),
+      dayExtraHours: round2(extraHours - nightExtraHours),
+      nightExtraHours: round2(nightExtraHours)
+    };
+    if (!cranes.has(day.equipmentId)) {
+      cranes.set(day.equipmentId, { equipmentName: day.equipmentName, dayExtraHours: 0, nightExtraHours: 0 });
+    }
+    cranes.get(day.equipmentId).dayExtraHours += row.dayExtraHours;
+    cranes.get(day.equipmentId).nightExtraHours += row.nightExtraHours;
+    return row;
+  });
+
+  const lines = [];
+  if (multiplier > 0) {
+    for (const [equipmentId, crane] of cranes) {
+      const hourlyRate = quotedRates.get(equipmentId) ?? substituteRate;
+      const addLine = (description, hours, factor) => {
+        const quantity = round2(hours);
+        const rate = round2(hourlyRate * multiplier * factor);
+        if (quantity <= 0 || rate <= 0) return;
+        lines.push({ description, sacCode, quantity, unit: 'Hours', rate, amount: round2(quantity * rate) });
+      };
+      addLine(`Extra hours - ${crane.equipmentName}`, crane.dayExtraHours, config.dayFactor);
+      addLine(`Extra hours (night) - ${crane.equipmentName}`, crane.nightExtraHours, config.nightFactor);
+    }
+  }
+
+  const sum = (rows, key) => round2(rows.reduce((total, row) => total + row[key], 0));
+  return {
+    jobId: job.id,
+    quotationId: quotation.id,
+    quotationNumber: quotation.quotation_number || null,
+    orderType: quotation.order_type,
+    contractedHoursPerDay: contractedHours,
+    policy: {
+      enabled: config.enabled,
+      multiplier,
+      dayFactor: config.dayFactor,
+      nightFactor: config.nightFactor,
+      nightStart: config.nightStart,
+      nightEnd: config.nightEnd,
+      signedLogsOnly: config.signedLogsOnly
+    },
+    days: dayRows,
+    lines,
+    totals: {
+      billableHours: sum(dayRows, 'billableHours'),
+      extraHours: sum(dayRows, 'extraHours'),
+      dayExtraHours: sum(dayRows, 'dayExtraHours'),
+      nightExtraHours: sum(dayRows, 'nightExtraHours'),
+      amount: sum(lines, 'amount'),
+      unsignedLogs
+    }
+  };
+};
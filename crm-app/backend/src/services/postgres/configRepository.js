@@ -42,17 +42,90 @@ export const DEFAULT_CONFIGS = {
   additionalParams: {
     riggerAmount: 40000,
     helperAmount: 12000,
-    incidentalOptions: [
-      { value: "incident1", label: "Incident 1 - ₹5,000", amount: 5000 },
-      { value: "incident2", label: "Incident 2 - ₹10,000", amount: 10000 },
-      { value: "incident3", label: "Incident 3 - ₹15,000", amount: 15000 }
-    ],
     usageFactors: { normal: 0, medium: 20, heavy: 50 },
     riskFactors: { low: 0, medium: 10, high: 20 },
     shiftFactors: { single: 1.0, double: 1.8 },
-    dayNightFactors: { day: 1.0, night: 1.3 },
     riskUsagePercentage: 5.0
   },
+  surcharges: {
+    // Rule shape and conditions are described in services/surchargeService.js
+    rules: [
+      { id: 'night_shift', name: 'Night shift', type: 'percent', amount: 30, apply: 'auto', conditions: { nightShift: true }, active: true },
+      { id: 'incident1', name: 'Incident 1', type: 'fixed', amount: 5000, per: 'once', apply: 'optional', conditions: {}, active: true },
+      { id: 'incident2', name: 'Incident 2', type: 'fixed', amount: 10000, per: 'once', apply: 'optional', conditions: {}, active: true },
+      { id: 'incident3', name: 'Incident 3', type: 'fixed', amount: 15000, per: 'once', apply: 'optional', conditions: {}, active: true }
+    ]
+  },
+  discountApproval: {
+    enabled: true,
+    // Maximum % below list price each role may quote without approval
+    thresholds: {
+      sales_agent: 5,
+      support: 0,
+      operations_manager: 15,
+      admin: 100
+    },
+    approverRoles: ['operations_manager', 'admin']
+  },
+  quotationValidity: {
+    validityDays: 30,
+    // Remind the quotation owner this many days before it expires
+    reminderDaysBefore: 3,
+    checkIntervalMinutes: 60
+  },
+  documentReminders: {
+    enabled: true,
+    // Expiry reminders go out this many days before a document expires
+    daysBefore: [30, 15, 7]
+  },
+  operatorCertifications: {
+    // 'block' rejects operators without a valid certification for the job's cranes, 'warn' only reports them, 'off' skips the check
+    enforcement: 'warn'
+  },
+  invoice: {
+    // Invoice numbers look like ASP/2026-27/0001 (at most 16 characters under GST rules)
+    numberPrefix: 'ASP',
+    paymentTermsDays: 30,
+    // SAC for rental of construction machinery with operator
+    sacCode: '997313'
+  },
+  overtime: {
+    enabled: true,
+    // Logged hours above the quotation's working hours per day are billed at this
+    // multiple of the hourly-equivalent rate; 0 leaves the order type unbilled
+    multipliers: { micro: 1.0, small: 1.25, monthly: 1.5, yearly: 1.5 },
+    // Extra hours inside this window are billed at nightFactor times the extra-hour rate
+    nightStart: '20:00',
+    nightEnd: '06:00',
+    nightFactor: 1.3,
+    // Only count logs signed by the site supervisor
+    signedLogsOnly: true
+  },
+  paymentReminders: {
+    enabled: true,
+    // Overdue reminders go out this many days after the due date
+    daysAfterDue: [1, 7, 15, 30],
+    notifyOwner: true,
+    notifyCustomer: true
+  },
+  maintenance: {
+    // Alert operations when a plan is due within this many days or engine hours
+    dueSoonDays: 7,
+    dueSoonHours: 25,
+    checkIntervalMinutes: 60
+  },
+  liftCheck: {
+    // Share of the rated capacity held back: 25 lets a lift use at most 75% of the load chart
+    safetyMarginPercent: 25
+  },
+  fleetAnalytics: {
+    // Diesel logged in the crane logbook is costed at this price (INR per litre)
+    dieselPricePerLitre: 90,
+    // Cranes on hire less than this share of the period are flagged underused
+    lowUtilizationPercent: 30,
+    // Cranes on hire at least this share of the period are flagged high demand
+    highUtilizationPercent: 80
+  },
   defaultTemplate: {
     defaultTemplateId: 'qtpl_a650c77a',
     updatedAt: new Date().toISOString()
@@ -24,6 +24,7 @@ export const getEquipmentByCategory = async (category) => {
       runningCostPerKm: parseFloat(item.running_cost_per_km) || 0,
       description: item.description,
       status: item.status,
+      engineHours: parseFloat(item.engine_hours) || 0,
       createdAt: item.created_at,
       updatedAt: item.updated_at
     }));
@@ -63,6 +64,7 @@ export const getAllEquipment = async () => {
       runningCostPerKm: parseFloat(item.running_cost_per_km) || 0,
       description: item.description,
       status: item.status,
+      engineHours: parseFloat(item.engine_hours) || 0,
       createdAt: item.created_at,
       updatedAt: item.updated_at
     }));
@@ -101,6 +103,7 @@ export const getEquipmentById = async (id) => {
       runningCostPerKm: parseFloat(equipment.running_cost_per_km) || 0,
       description: equipment.description,
       status: equipment.status,
+      engineHours: parseFloat(equipment.engine_hours) || 0,
       createdAt: equipment.created_at,
       updatedAt: equipment.updated_at
     };
@@ -25,22 +25,7 @@ export const getJobById = async (id) => {
   }
 };
 
-export const createJob = async (jobData) => {
-  try {
-    console.log('🆕 Creating new job...');
-    const result = await db.one(
-      `INSERT INTO jobs (title, description, status, created_at, updated_at) 
-       VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *`,
-      [jobData.title, jobData.description, jobData.status || 'pending']
-    );
-    console.log(`✅ Job created successfully: ${result.id}`);
-    return result;
-  } catch (error) {
-    console.error('❌ Error creating job:', error);
-    throw error;
-  }
-};
-
+// Status changes go through jobLifecycleService, not here
 export const updateJob = async (id, jobData) => {
   try {
     console.log(`📝 Updating job: ${id}`);
@@ -52,13 +37,13 @@ export const updateJob = async (id, jobData) => {
       updates.push(`title = $${paramIndex++}`);
       values.push(jobData.title);
     }
-    if (jobData.description) {
-      updates.push(`description = $${paramIndex++}`);
-      values.push(jobData.description);
+    if (jobData.location) {
+      updates.push(`location = $${paramIndex++}`);
+      values.push(jobData.location);
     }
-    if (jobData.status) {
-      updates.push(`status = $${paramIndex++}`);
-      values.push(jobData.status);
+    if (jobData.notes !== undefined) {
+      updates.push(`notes = $${paramIndex++}`);
+      values.push(jobData.notes || null);
     }
 
     updates.push(`updated_at = NOW()`);
@@ -97,21 +82,6 @@ export const getJobEquipment = async (jobId) => {
   }
 };
 
-export const addJobEquipment = async (jobId, equipmentId) => {
-  try {
-    console.log(`🔗 Adding equipment ${equipmentId} to job ${jobId}`);
-    const result = await db.one(
-      'INSERT INTO job_equipment (job_id, equipment_id, created_at) VALUES ($1, $2, NOW()) RETURNING *',
-      [jobId, equipmentId]
-    );
-    console.log(`✅ Equipment added to job successfully`);
-    return result;
-  } catch (error) {
-    console.error('❌ Error adding job equipment:', error);
-    throw error;
-  }
-};
-
 export const removeJobEquipment = async (jobId, equipmentId) => {
   try {
     console.log(`🗑️ Removing equipment ${equipmentId} from job ${jobId}`);
@@ -135,21 +105,6 @@ export const getJobOperators = async (jobId) => {
   }
 };
 
-export const addJobOperator = async (jobId, operatorId) => {
-  try {
-    console.log(`🔗 Adding operator ${operatorId} to job ${jobId}`);
-    const result = await db.one(
-      'INSERT INTO job_operators (job_id, operator_id, created_at) VALUES ($1, $2, NOW()) RETURNING *',
-      [jobId, operatorId]
-    );
-    console.log(`✅ Operator added to job successfully`);
-    return result;
-  } catch (error) {
-    console.error('❌ Error adding job operator:', error);
-    throw error;
-  }
-};
-
 export const removeJobOperator = async (jobId, operatorId) => {
   try {
     console.log(`🗑️ Removing operator ${operatorId} from job ${jobId}`);
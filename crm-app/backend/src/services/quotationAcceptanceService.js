@@ -0,0 +1,308 @@
+/**
+ * Quotation Acceptance Service
+ * Tokenized customer links for accepting or rejecting a sent quotation with an e-signature.
+ *
+ * A link is bound to the quotation revision that was current when it was
+ * created; editing and re-sending the quotation invalidates it. Only the
+ * SHA-256 hash of the token is stored.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import crypto from 'crypto';
+import { getValidityConfig } from './quotationValidityService.js';
+import notificationEngine from './notificationEngine.js';
+
+// Deal stages a customer response may move a linked deal out of
+const DEAL_STAGE_TRANSITIONS = {
+  accepted: { stage: 'won', from: ['qualification', 'proposal', 'negotiation'] },
+  rejected: { stage: 'negotiation', from: ['qualification', 'proposal'] }
+};
+
+const MAX_SIGNER_NAME_LENGTH = 100;
+const MAX_TYPED_SIGNATURE_LENGTH = 100;
+const MAX_DRAWN_SIGNATURE_LENGTH = 500000;
+const DRAWN_SIGNATURE_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+={0,2}$/;
+
+export const hashAcceptanceToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const buildAcceptanceUrl = (token) => `${process.env.FRONTEND_URL}/quote/${token}`;
+
+const mapAcceptanceRow = (row) => ({
+  id: row.id,
+  quotationId: row.quotation_id,
+  linkId: row.link_id,
+  revisionNumber: row.revision_number,
+  decision: row.decision,
+  signerName: row.signer_name,
+  signerEmail: row.signer_email,
+  signatureType: row.signature_type,
+  signatureData: row.signature_data,
+  comment: row.comment,
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  signedAt: row.signed_at
+});
+
+const mapLinkRow = (row) => ({
+  id: row.id,
+  quotationId: row.quotation_id,
+  revisionNumber: row.revision_number,
+  expiresAt: row.expires_at,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  revokedAt: row.revoked_at,
+  usedAt: row.used_at
+});
+
+/**
+ * Create an acceptance link for a sent quotation, revoking any earlier open link.
+ * The raw token is only available in the return value of this call.
+ * Returns null when the quotation does not exist and { error } when it cannot be sent out.
+ */
+export const createAcceptanceLink = async (queryable, quotationId, { user = null } = {}) => {
+  const quotationResult = await queryable.query(
+    'SELECT id, status, version, valid_until FROM quotations WHERE id = $1',
+    [quotationId]
+  );
+  if (quotationResult.rows.length === 0) return null;
+  const quotation = quotationResult.rows[0];
+
+  if (quotation.status !== 'sent') {
+    return { error: `Only sent quotations can be shared for acceptance (current status: ${quotation.status})` };
+  }
+
+  await queryable.query(`
+    UPDATE quotation_acceptance_links SET revoked_at = CURRENT_TIMESTAMP
+    WHERE quotation_id = $1 AND revoked_at IS NULL AND used_at IS NULL
+  `, [quotationId]);
+
+  // Links stay open until the end of the quotation's validity period
+  const { validityDays } = await getValidityConfig();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await queryable.query(`
+    INSERT INTO quotation_acceptance_links (quotation_id, revision_number, token_hash, expires_at, created_by)
+    VALUES ($1, $2, $3, (COALESCE($4::date, CURRENT_DATE + $5::int) + 1)::timestamptz, $6)
+    RETURNING *
+  `, [
+    quotationId,
+    Number(quotation.version) || 1,
+    hashAcceptanceToken(token),
+    quotation.valid_until,
+    validityDays,
+    user?.id || null
+  ]);
+
+  console.log(`🔗 Created acceptance link for quotation ${quotationId}`);
+  return {
+    ...mapLinkRow(result.rows[0]),
+    token,
+    url: buildAcceptanceUrl(token)
+  };
+};
+
+/**
+ * Look up the link and quotation for a token.
+ * Returns { state, link, quotation, acceptance } where state is one of
+ * 'open', 'responded', 'expired', 'revoked', 'superseded' or 'not_found'.
+ */
+export const resolveAcceptanceLink = async (queryable, token) => {
+  if (!token) return { state: 'not_found' };
+
+  const linkResult = await queryable.query(
+    'SELECT * FROM quotation_acceptance_links WHERE token_hash = $1',
+    [hashAcceptanceToken(token)]
+  );
+  if (linkResult.rows.length === 0) return { state: 'not_found' };
+  const linkRow = linkResult.rows[0];
+
+  const quotationResult = await queryable.query(`
+    SELECT id, quotation_number, customer_name, customer_id, deal_id, total_cost, status,
+           version, valid_until, created_by, (valid_until < CURRENT_DATE) as is_past_validity
+    FROM quotations WHERE id = $1
+  `, [linkRow.quotation_id]);
+  if (quotationResult.rows.length === 0) return { state: 'not_found' };
+  const quotation = quotationResult.rows[0];
+  const link = mapLinkRow(linkRow);
+
+  if (link.usedAt) {
+    const acceptance = await getQuotationAcceptance(queryable, quotation.id, link.revisionNumber);
+    return { state: 'responded', link, quotation, acceptance };
+  }
+  if (link.revokedAt) return { state: 'revoked', link, quotation };
+  if (Number(quotation.version) !== link.revisionNumber) return { state: 'superseded', link, quotation };
+  if (new Date(link.expiresAt) <= new Date() || quotation.status === 'expired' || quotation.is_past_validity) {
+    return { state: 'expired', link, quotation };
+  }
+  if (quotation.status !== 'sent') return { state: 'superseded', link, quotation };
+
+  return { state: 'open', link, quotation };
+};
+
+/**
+ * Validate a customer response. Returns an error message or null.
+ */
+export const validateAcceptanceResponse = ({ decision, signerName, signatureType, signatureData }) => {
+  if (!['accepted', 'rejected'].includes(decision)) {
+    return 'decision must be "accepted" or "rejected"';
+  }
+  if (!signerName || !String(signerName).trim()) {
+    return 'signerName is required';
+  }
+  if (String(signerName).trim().length > MAX_SIGNER_NAME_LENGTH) {
+    return `signerName must be at most ${MAX_SIGNER_NAME_LENGTH} characters`;
+  }
+  if (signatureType === 'typed') {
+    if (!signatureData || !String(signatureData).trim()) return 'A typed signature is required';
+    if (String(signatureData).trim().length > MAX_TYPED_SIGNATURE_LENGTH) {
+      return `Typed signatures must be at most ${MAX_TYPED_SIGNATURE_LENGTH} characters`;
+    }
+    return null;
+  }
+  if (signatureType === 'drawn') {
+    if (typeof signatureData !== 'string' || !DRAWN_SIGNATURE_PATTERN.test(signatureData)) {
+      return 'A drawn signature must be a PNG data URL';
+    }
+    if (signatureData.length > MAX_DRAWN_SIGNATURE_LENGTH) return 'The drawn signature image is too large';
+    return null;
+  }
+  return 'signatureType must be "typed" or "drawn"';
+};
+
+const advanceDealStage = async (queryable, dealId, decision) => {
+  const transition = DEAL_STAGE_TRANSITIONS[decision];
+  if (!dealId || !transition) return null;
+
+  const result = await queryable.query(`
+    UPDATE deals SET stage = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND stage = ANY($3)
+    RETURNING id, stage
+  `, [transition.stage, dealId, transition.from]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Record a signed customer response for an open link: store the signature,
+ * close the link, move the quotation to accepted/rejected, advance the linked
+ * deal and write an audit log entry. Returns null if the quotation is no longer
+ * awaiting a response (e.g. it changed since the link was resolved).
+ */
+export const recordAcceptance = async (queryable, { link, quotation }, {
+  decision,
+  signerName,
+  signerEmail = null,
+  signatureType,
+  signatureData,
+  comment = null,
+  ipAddress = null,
+  userAgent = null
+}) => {
+  const statusResult = await queryable.query(`
+    UPDATE quotations SET status = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND status = 'sent' AND version = $3
+    RETURNING id, status
+  `, [decision, quotation.id, link.revisionNumber]);
+  if (statusResult.rows.length === 0) return null;
+
+  const linkResult = await queryable.query(`
+    UPDATE quotation_acceptance_links SET used_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND used_at IS NULL AND revoked_at IS NULL
+    RETURNING id
+  `, [link.id]);
+  if (linkResult.rows.length === 0) return null;
+
+  const inserted = await queryable.query(`
+    INSERT INTO quotation_acceptances (
+      quotation_id, link_id, revision_number, decision, signer_name, signer_email,
+      signature_type, signature_data, comment, ip_address, user_agent
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    quotation.id,
+    link.id,
+    link.revisionNumber,
+    decision,
+    String(signerName).trim(),
+    signerEmail ? String(signerEmail).trim() : null,
+    signatureType,
+    signatureType === 'typed' ? String(signatureData).trim() : signatureData,
+    comment ? String(comment).trim() : null,
+    ipAddress,
+    userAgent
+  ]);
+  const acceptance = mapAcceptanceRow(inserted.rows[0]);
+
+  const deal = await advanceDealStage(queryable, quotation.deal_id, decision);
+
+  await queryable.query(`
+    INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address, user_agent)
+    VALUES (NULL, $1, 'quotation', $2, $3, $4, $5)
+  `, [
+    decision === 'accepted' ? 'customer_accept' : 'customer_reject',
+    quotation.id,
+    JSON.stringify({
+      status: { from: 'sent', to: decision },
+      revision: link.revisionNumber,
+      signerName: acceptance.signerName,
+      acceptanceId: acceptance.id,
+      dealStage: deal ? deal.stage : null
+    }),
+    ipAddress,
+    userAgent
+  ]);
+
+  console.log(`✍️ Quotation ${quotation.id} ${decision} by customer (${acceptance.signerName})`);
+  return { acceptance, deal };
+};
+
+/**
+ * Latest customer response for a quotation, optionally for a specific revision
+ */
+export const getQuotationAcceptance = async (queryable, quotationId, revisionNumber = null) => {
+  const result = await queryable.query(`
+    SELECT * FROM quotation_acceptances
+    WHERE quotation_id = $1 AND ($2::int IS NULL OR revision_number = $2::int)
+    ORDER BY signed_at DESC
+    LIMIT 1
+  `, [quotationId, revisionNumber]);
+  return result.rows.length > 0 ? mapAcceptanceRow(result.rows[0]) : null;
+};
+
+/**
+ * Acceptance links for a quotation, newest first (without tokens)
+ */
+export const listAcceptanceLinks = async (queryable, quotationId) => {
+  const result = await queryable.query(
+    'SELECT * FROM quotation_acceptance_links WHERE quotation_id = $1 ORDER BY created_at DESC',
+    [quotationId]
+  );
+  return result.rows.map(mapLinkRow);
+};
+
+/**
+ * Tell the quotation owner how the customer responded.
+ * Notification failures never block the response.
+ */
+export const notifyCustomerResponse = async (quotation, acceptance) => {
+  if (!quotation.created_by) return;
+  try {
+    await notificationEngine.sendNotification({
+      type: 'quotation_customer_response',
+      recipients: [{ id: quotation.created_by }],
+      data: {
+        quotationNumber: quotation.quotation_number || quotation.id,
+        customerName: quotation.customer_name,
+        decision: acceptance.decision,
+        signerName: acceptance.signerName,
+        comment: acceptance.comment || '',
+        quotationUrl: `${process.env.FRONTEND_URL}/quotations/${quotation.id}`,
+        referenceId: quotation.id,
+        referenceType: 'quotation'
+      },
+      channels: ['in_app'],
+      priority: 'high'
+    });
+  } catch (error) {
+    console.error('Error notifying customer response:', error);
+  }
+};
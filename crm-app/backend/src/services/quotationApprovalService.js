@@ -0,0 +1,266 @@
+/**
+ * Quotation Approval Service
+ * Discount approval workflow for quotations.
+ *
+ * The discount is measured against the list price: the same quotation priced
+ * without mob relaxation, with the distance-based mob/demob instead of a manual
+ * one and with the configured surcharge / rigger / helper amounts instead of
+ * any custom ones. A quotation whose discount exceeds the
+ * threshold for the user's role goes to 'pending_approval' instead of 'sent'
+ * until an approver signs off.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import { calculateQuotationPricing, PRICING_TOLERANCE } from './quotationPricingService.js';
+import notificationEngine from './notificationEngine.js';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const mapApprovalRow = (row) => ({
+  id: row.id,
+  quotationId: row.quotation_id,
+  quotationVersion: row.quotation_version,
+  requestedBy: row.requested_by,
+  requestedRole: row.requested_role,
+  listPrice: Number(row.list_price),
+  quotedPrice: Number(row.quoted_price),
+  discountPercent: Number(row.discount_percent),
+  thresholdPercent: Number(row.threshold_percent),
+  status: row.status,
+  decidedBy: row.decided_by,
+  decisionReason: row.decision_reason,
+  decidedAt: row.decided_at,
+  createdAt: row.created_at
+});
+
+/**
+ * Discount approval settings, falling back to the defaults for missing keys
+ */
+export const getDiscountApprovalConfig = async () => {
+  const defaults = DEFAULT_CONFIGS.discountApproval;
+  const config = await getConfig('discountApproval');
+  return {
+    enabled: config.enabled !== undefined ? config.enabled !== false : defaults.enabled,
+    thresholds: { ...defaults.thresholds, ...(config.thresholds || {}) },
+    approverRoles: Array.isArray(config.approverRoles) && config.approverRoles.length > 0
+      ? config.approverRoles
+      : defaults.approverRoles
+  };
+};
+
+export const isApprover = (user, config) => !!user && config.approverRoles.includes(user.role);
+
+/**
+ * Compare the quoted price with the list price for a set of normalized pricing inputs.
+ * Roles without a configured threshold may not discount at all.
+ */
+export const evaluateDiscount = async (inputs, role, config) => {
+  const listInputs = {
+    ...inputs,
+    // A manual mob/demob below the distance-based cost is a discount too
+    mobDemob: inputs.siteDistance > 0 ? 0 : inputs.mobDemob,
+    mobRelaxation: 0,
+    surcharges: inputs.surcharges.map(({ ruleId }) => ({ ruleId, customAmount: null })),
+    riggerAmount: null,
+    helperAmount: null
+  };
+  const [quoted, list] = await Promise.all([
+    calculateQuotationPricing(inputs),
+    calculateQuotationPricing(listInputs)
+  ]);
+
+  const listPrice = list.calculations.subtotal;
+  const quotedPrice = quoted.calculations.subtotal;
+  const discountPercent = listPrice > 0 ? round2(Math.max(0, (listPrice - quotedPrice) / listPrice * 100)) : 0;
+  const threshold = config.thresholds[role];
+  const thresholdPercent = threshold === undefined || threshold === null ? 0 : Number(threshold);
+
+  return {
+    listPrice,
+    quotedPrice,
+    discountPercent,
+    thresholdPercent,
+    requiresApproval: discountPercent > thresholdPercent
+  };
+};
+
+/**
+ * The approved request covering this version of the quotation at this price, if any
+ */
+export const findApprovedRequest = async (queryable, quotationId, version, quotedPrice) => {
+  const result = await queryable.query(`
+    SELECT * FROM quotation_approvals
+    WHERE quotation_id = $1 AND quotation_version = $2 AND status = 'approved'
+    ORDER BY decided_at DESC
+  `, [quotationId, version]);
+  const match = result.rows.find(row => Math.abs(Number(row.quoted_price) - quotedPrice) <= PRICING_TOLERANCE);
+  return match ? mapApprovalRow(match) : null;
+};
+
+/**
+ * Decide which status a quotation being sent should actually get.
+ * Returns { status: 'sent' | 'pending_approval', evaluation, approval }.
+ */
+export const resolveSendStatus = async (queryable, { quotationId, version, inputs, user }) => {
+  const config = await getDiscountApprovalConfig();
+  if (!config.enabled) {
+    return { status: 'sent', evaluation: null, approval: null };
+  }
+
+  let evaluation;
+  try {
+    evaluation = await evaluateDiscount(inputs, user?.role, config);
+  } catch (error) {
+    // A quotation that cannot be priced cannot be checked, so it needs a sign-off
+    console.warn(`⚠️ Could not evaluate discount for quotation ${quotationId}:`, error.message);
+    return { status: 'pending_approval', evaluation: null, approval: null, error: error.message };
+  }
+
+  if (!evaluation.requiresApproval) {
+    return { status: 'sent', evaluation, approval: null };
+  }
+
+  const approval = await findApprovedRequest(queryable, quotationId, version, evaluation.quotedPrice);
+  return { status: approval ? 'sent' : 'pending_approval', evaluation, approval };
+};
+
+/**
+ * Record a pending approval request, superseding any older pending request
+ */
+export const createApprovalRequest = async (queryable, { quotationId, version, evaluation, user }) => {
+  await queryable.query(`
+    UPDATE quotation_approvals SET status = 'superseded'
+    WHERE quotation_id = $1 AND status = 'pending'
+  `, [quotationId]);
+
+  const result = await queryable.query(`
+    INSERT INTO quotation_approvals (
+      quotation_id, quotation_version, requested_by, requested_role,
+      list_price, quoted_price, discount_percent, threshold_percent
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    quotationId,
+    version,
+    user?.id || null,
+    user?.role || null,
+    evaluation?.listPrice ?? 0,
+    evaluation?.quotedPrice ?? 0,
+    evaluation?.discountPercent ?? 0,
+    evaluation?.thresholdPercent ?? 0
+  ]);
+
+  console.log(`🔏 Discount approval requested for quotation ${quotationId}`);
+  return mapApprovalRow(result.rows[0]);
+};
+
+export const getPendingApproval = async (queryable, quotationId) => {
+  const result = await queryable.query(`
+    SELECT * FROM quotation_approvals
+    WHERE quotation_id = $1 AND status = 'pending'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [quotationId]);
+  return result.rows.length > 0 ? mapApprovalRow(result.rows[0]) : null;
+};
+
+/**
+ * Approval history for a quotation, newest first
+ */
+export const listQuotationApprovals = async (queryable, quotationId) => {
+  const result = await queryable.query(
+    'SELECT * FROM quotation_approvals WHERE quotation_id = $1 ORDER BY created_at DESC',
+    [quotationId]
+  );
+  return result.rows.map(mapApprovalRow);
+};
+
+/**
+ * All pending requests with the quotation they belong to, oldest first
+ */
+export const listPendingApprovals = async (queryable) => {
+  const result = await queryable.query(`
+    SELECT qa.*, q.quotation_number, q.customer_name, q.total_cost
+    FROM quotation_approvals qa
+    JOIN quotations q ON qa.quotation_id = q.id
+    WHERE qa.status = 'pending'
+    ORDER BY qa.created_at ASC
+  `);
+  return result.rows.map(row => ({
+    ...mapApprovalRow(row),
+    quotationNumber: row.quotation_number,
+    customerName: row.customer_name,
+    totalCost: Number(row.total_cost) || 0
+  }));
+};
+
+/**
+ * Mark a pending request approved or rejected with the approver's reason
+ */
+export const recordApprovalDecision = async (queryable, approvalId, { decision, reason, user }) => {
+  const result = await queryable.query(`
+    UPDATE quotation_approvals
+    SET status = $1, decided_by = $2, decision_reason = $3, decided_at = CURRENT_TIMESTAMP
+    WHERE id = $4 AND status = 'pending'
+    RETURNING *
+  `, [decision, user?.id || null, reason, approvalId]);
+  return result.rows.length > 0 ? mapApprovalRow(result.rows[0]) : null;
+};
+
+/**
+ * Notify approvers that a quotation is waiting for sign-off.
+ * Notification failures never block the quotation workflow.
+ */
+export const notifyApprovalRequired = async (quotation, approval) => {
+  try {
+    const config = await getDiscountApprovalConfig();
+    const recipients = await notificationEngine.getUsersByRoles(config.approverRoles);
+    await notificationEngine.sendNotification({
+      type: 'quotation_approval_required',
+      recipients,
+      data: {
+        quotationNumber: quotation.quotation_number || quotation.id,
+        customerName: quotation.customer_name,
+        discountPercent: approval.discountPercent,
+        thresholdPercent: approval.thresholdPercent,
+        quotedPrice: approval.quotedPrice.toLocaleString('en-IN'),
+        listPrice: approval.listPrice.toLocaleString('en-IN'),
+        quotationUrl: `${process.env.FRONTEND_URL}/quotations/${quotation.id}`,
+        referenceId: quotation.id,
+        referenceType: 'quotation'
+      },
+      channels: ['in_app', 'email'],
+      priority: 'high'
+    });
+  } catch (error) {
+    console.error('Error notifying approvers:', error);
+  }
+};
+
+/**
+ * Notify the requester of the approver's decision
+ */
+export const notifyApprovalDecided = async (quotation, approval) => {
+  if (!approval.requestedBy) return;
+  try {
+    await notificationEngine.sendNotification({
+      type: 'quotation_approval_decided',
+      recipients: [{ id: approval.requestedBy }],
+      data: {
+        quotationNumber: quotation.quotation_number || quotation.id,
+        customerName: quotation.customer_name,
+        decision: approval.status,
+        reason: approval.decisionReason,
+        quotationUrl: `${process.env.FRONTEND_URL}/quotations/${quotation.id}`,
+        referenceId: quotation.id,
+        referenceType: 'quotation'
+      },
+      channels: ['in_app'],
+      priority: 'high'
+    });
+  } catch (error) {
+    console.error('Error notifying approval decision:', error);
+  }
+};
@@ -0,0 +1,198 @@
+/**
+ * Quotation Email Service
+ * SMTP delivery of quotation PDFs with a per-quotation email history.
+ *
+ * SMTP is configured through SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER /
+ * SMTP_PASS. Authentication is skipped when SMTP_USER is unset, so a local SMTP
+ * catcher (e.g. Mailpit on port 1025) works out of the box.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import nodemailer from 'nodemailer';
+
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+let transporter = null;
+
+const mapEmailRow = (row) => ({
+  id: row.id,
+  quotationId: row.quotation_id,
+  revisionNumber: row.revision_number,
+  from: row.from_address,
+  to: row.to_addresses || [],
+  cc: row.cc_addresses || [],
+  bcc: row.bcc_addresses || [],
+  subject: row.subject,
+  message: row.message,
+  attachmentName: row.attachment_name,
+  messageId: row.message_id,
+  status: row.status,
+  rejectedRecipients: row.rejected_recipients || [],
+  smtpResponse: row.smtp_response,
+  errorMessage: row.error_message,
+  sentBy: row.sent_by,
+  createdAt: row.created_at,
+  sentAt: row.sent_at,
+  bouncedAt: row.bounced_at
+});
+
+export const isEmailConfigured = () => !!process.env.SMTP_HOST;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Accepts an array or a comma/semicolon separated string of addresses.
+ * Returns { valid, invalid } with duplicates removed.
+ */
+export const parseAddressList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+  const addresses = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+  return {
+    valid: addresses.filter(address => EMAIL_PATTERN.test(address)),
+    invalid: addresses.filter(address => !EMAIL_PATTERN.test(address))
+  };
+};
+
+/**
+ * From address built from the active company settings, falling back to SMTP_FROM
+ */
+export const getSenderAddress = async (queryable) => {
+  let company = null;
+  try {
+    const result = await queryable.query(`
+      SELECT company_name, email FROM company_settings
+      WHERE is_active = true
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `);
+    company = result.rows[0] || null;
+  } catch (error) {
+    console.warn('⚠️ Could not load company settings for the sender address:', error.message);
+  }
+
+  const address = company?.email || process.env.SMTP_FROM || 'noreply@aspcranes.com';
+  const name = company?.company_name || 'ASP Cranes';
+  return { name, address };
+};
+
+export const formatSenderAddress = (sender) => `"${sender.name.replace(/"/g, '')}" <${sender.address}>`;
+
+/**
+ * Record an email before it is handed to SMTP
+ */
+export const createEmailRecord = async (queryable, {
+  quotationId,
+  revisionNumber = null,
+  from,
+  to,
+  cc = [],
+  bcc = [],
+  subject,
+  message = null,
+  attachmentName = null,
+  user = null
+}) => {
+  const result = await queryable.query(`
+    INSERT INTO quotation_emails (
+      quotation_id, revision_number, from_address, to_addresses, cc_addresses, bcc_addresses,
+      subject, message, attachment_name, sent_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    quotationId,
+    revisionNumber,
+    from,
+    JSON.stringify(to),
+    JSON.stringify(cc),
+    JSON.stringify(bcc),
+    subject,
+    message,
+    attachmentName,
+    user?.id || null
+  ]);
+  return mapEmailRow(result.rows[0]);
+};
+
+const describeRejections = (rejected = [], rejectedErrors = []) => rejected.map(recipient => {
+  const error = rejectedErrors.find(err => err.recipient === recipient);
+  return { recipient, reason: error?.response || error?.message || 'Rejected by SMTP server' };
+});
+
+/**
+ * Send a message over SMTP. Resolves with the nodemailer info object and
+ * rejects with the nodemailer error (which carries responseCode / response).
+ */
+export const sendMail = async (mailOptions) => getTransporter().sendMail(mailOptions);
+
+/**
+ * Store the SMTP outcome of a delivered message. Recipients the server refused
+ * are kept as bounces; the email only counts as sent if someone accepted it.
+ */
+export const markEmailSent = async (queryable, emailId, info) => {
+  const rejected = describeRejections(info.rejected, info.rejectedErrors);
+  const status = (info.accepted || []).length > 0 ? 'sent' : 'bounced';
+  const result = await queryable.query(`
+    UPDATE quotation_emails
+    SET status = $2, message_id = $3, smtp_response = $4, rejected_recipients = $5,
+        sent_at = CURRENT_TIMESTAMP,
+        bounced_at = CASE WHEN $2 = 'bounced' THEN CURRENT_TIMESTAMP ELSE NULL END
+    WHERE id = $1
+    RETURNING *
+  `, [emailId, status, info.messageId || null, info.response || null, JSON.stringify(rejected)]);
+  return mapEmailRow(result.rows[0]);
+};
+
+/**
+ * Store an SMTP failure. Envelope errors (every recipient refused) are bounces.
+ */
+export const markEmailFailed = async (queryable, emailId, error) => {
+  const isBounce = error.code === 'EENVELOPE' && Array.isArray(error.rejected) && error.rejected.length > 0;
+  const rejected = isBounce ? describeRejections(error.rejected, error.rejectedErrors) : [];
+  const result = await queryable.query(`
+    UPDATE quotation_emails
+    SET status = $2, error_message = $3, smtp_response = $4, rejected_recipients = $5,
+        bounced_at = CASE WHEN $2 = 'bounced' THEN CURRENT_TIMESTAMP ELSE NULL END
+    WHERE id = $1
+    RETURNING *
+  `, [emailId, isBounce ? 'bounced' : 'failed', error.message, error.response || null, JSON.stringify(rejected)]);
+  return mapEmailRow(result.rows[0]);
+};
+
+/**
+ * Record a bounce reported after delivery (e.g. by a bounce mailbox processor
+ * or the mail provider's webhook), matched on the SMTP message id
+ */
+export const recordEmailBounce = async (queryable, { messageId, recipient = null, reason = null }) => {
+  const result = await queryable.query(`
+    UPDATE quotation_emails
+    SET status = 'bounced', bounced_at = CURRENT_TIMESTAMP,
+        rejected_recipients = rejected_recipients || $2::jsonb
+    WHERE message_id = $1
+    RETURNING *
+  `, [messageId, JSON.stringify([{ recipient, reason: reason || 'Bounced' }])]);
+  return result.rows.length > 0 ? mapEmailRow(result.rows[0]) : null;
+};
+
+/**
+ * Email history for a quotation, newest first
+ */
+export const listQuotationEmails = async (queryable, quotationId) => {
+  const result = await queryable.query(
+    'SELECT * FROM quotation_emails WHERE quotation_id = $1 ORDER BY created_at DESC',
+    [quotationId]
+  );
+  return result.rows.map(mapEmailRow);
+};
@@ -0,0 +1,155 @@
+/**
+ * Quotation Job Service
+ * Converts an accepted quotation into a scheduled job.
+ *
+ * The job takes the customer, deal and lead of the quotation, is scheduled
+ * from the quotation's start date (or its lead's) for `number_of_days`, is
+ * located at the lead's site and gets one job_equipment row per quotation
+ * machine. The job keeps a link back to the quotation in jobs.quotation_id.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Jobs rows in the shape of the frontend Job type
+ */
+export const mapJobRow = (row, equipmentIds = [], operatorIds = []) => ({
+  id: row.id,
+  title: row.title,
+  quotationId: row.quotation_id || null,
+  leadId: row.lead_id,
+  dealId: row.deal_id,
+  customerId: row.customer_id,
+  customerName: row.customer_name,
+  equipmentIds,
+  operatorIds,
+  status: row.status,
+  scheduledStartDate: row.scheduled_start_date,
+  scheduledEndDate: row.scheduled_end_date,
+  actualStartDate: row.actual_start_date,
+  actualEndDate: row.actual_end_date,
+  cancellationReason: row.cancellation_reason || null,
+  location: row.location,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Scheduled window of a hire: from the start of `startDate` for `numberOfDays`
+ * whole days, so the scheduled end is the start of the day after the last hire day
+ */
+export const buildJobSchedule = (startDate, numberOfDays) => {
+  const start = new Date(`${startDate}T00:00:00`);
+  const days = Math.max(1, parseInt(numberOfDays, 10) || 1);
+  if (isNaN(start.getTime())) return null;
+  return { start, end: new Date(start.getTime() + days * DAY_MS) };
+};
+
+/**
+ * Quotation with what a job needs from its lead: the planned start date and site
+ */
+export const getQuotationForConversion = async (queryable, quotationId) => {
+  const result = await queryable.query(`
+    SELECT q.*,
+           COALESCE(q.lead_id, d.lead_id) AS resolved_lead_id,
+           TO_CHAR(COALESCE(q.start_date, l.start_date), 'YYYY-MM-DD') AS planned_start_date,
+           l.site_location,
+           c.address AS customer_address
+    FROM quotations q
+    LEFT JOIN deals d ON d.id = q.deal_id
+    LEFT JOIN leads l ON l.id = COALESCE(q.lead_id, d.lead_id)
+    LEFT JOIN customers c ON c.id = q.customer_id
+    WHERE q.id = $1
+  `, [quotationId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Live (not cancelled) job already converted from a quotation, if any
+ */
+export const findJobForQuotation = async (queryable, quotationId) => {
+  const result = await queryable.query(
+    `SELECT id, title, status FROM jobs WHERE quotation_id = $1 AND status <> 'cancelled'`,
+    [quotationId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Equipment the job will get: the quotation machines, or the primary machine
+ * of older quotations without any
+ */
+export const getQuotationEquipmentIds = async (queryable, quotation) => {
+  const result = await queryable.query(
+    'SELECT equipment_id FROM quotation_machines WHERE quotation_id = $1',
+    [quotation.id]
+  );
+  if (result.rows.length > 0) return result.rows.map(row => row.equipment_id);
+  return quotation.primary_equipment_id ? [quotation.primary_equipment_id] : [];
+};
+
+/**
+ * Create the job for an accepted quotation with its equipment. Run inside a
+ * transaction so a failed equipment insert leaves no job behind.
+ * `startDate` and `location` override the values taken from the quotation and lead.
+ */
+export const createJobFromQuotation = async (queryable, quotation, {
+  startDate = null,
+  location = null,
+  title = null,
+  notes = null,
+  user = null
+} = {}) => {
+  const schedule = buildJobSchedule(startDate || quotation.planned_start_date, quotation.number_of_days);
+  const jobTitle = title || `${quotation.customer_name} - ${quotation.quotation_number || quotation.machine_type}`;
+
+  const jobResult = await queryable.query(`
+    INSERT INTO jobs (
+      title, customer_id, customer_name, deal_id, lead_id, quotation_id, status,
+      scheduled_start_date, scheduled_end_date, location, notes, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, 'scheduled', $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    jobTitle,
+    quotation.customer_id,
+    quotation.customer_name,
+    quotation.deal_id,
+    quotation.resolved_lead_id,
+    quotation.id,
+    schedule.start,
+    schedule.end,
+    location || quotation.site_location || quotation.customer_address,
+    notes || quotation.notes || null,
+    user?.id || quotation.created_by
+  ]);
+  const job = jobResult.rows[0];
+
+  // Older quotations only carry their primary machine
+  const equipmentResult = await queryable.query(`
+    INSERT INTO job_equipment (job_id, equipment_id, quantity)
+    SELECT $1, qm.equipment_id, qm.quantity
+    FROM quotation_machines qm
+    WHERE qm.quotation_id = $2
+    UNION ALL
+    SELECT $1, q.primary_equipment_id, 1
+    FROM quotations q
+    WHERE q.id = $2
+      AND q.primary_equipment_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM quotation_machines WHERE quotation_id = $2)
+    RETURNING equipment_id
+  `, [job.id, quotation.id]);
+
+  // The site assessment the quotation was priced on goes with the job
+  if (quotation.site_assessment_id) {
+    await queryable.query(
+      'UPDATE site_assessments SET job_id = $1 WHERE id = $2 AND job_id IS NULL',
+      [job.id, quotation.site_assessment_id]
+    );
+  }
+
+  return mapJobRow(job, equipmentResult.rows.map(row => row.equipment_id));
+};
@@ -0,0 +1,402 @@
+/**
+ * Quotation Pricing Service
+ * Authoritative server-side calculation of quotation costs.
+ *
+ * Mirrors the calculation performed in QuotationCreation.tsx but resolves
+ * base rates from the rate cards in force on the quote date for the customer
+ * (falling back to the equipment table) and factors and surcharge rules from
+ * the config table, so the stored totals never depend on what the browser
+ * submitted.
+ */
+
+import pool from '../lib/dbConnection.js';
+import { getConfig } from './postgres/configRepository.js';
+import { getEquipmentById } from './postgres/equipmentRepository.js';
+import { resolveRates } from './rateCardService.js';
+import { getCustomerRegion, getSurchargeRules, priceSurcharges } from './surchargeService.js';
+
+// Working days used to convert monthly rates into daily / monthly units
+const WORKING_DAYS_PER_MONTH = 26;
+export const GST_RATE = 18;
+
+// Maximum difference (in ₹) tolerated between submitted and calculated amounts
+export const PRICING_TOLERANCE = Number(process.env.PRICING_TOLERANCE || 1);
+
+// Fields compared against the client submission: [result key, submitted keys...]
+const COMPARED_FIELDS = [
+  ['workingCost', 'workingCost', 'working_cost'],
+  ['mobDemobCost', 'mobDemobCost', 'mob_demob_cost'],
+  ['foodAccomCost', 'foodAccomCost', 'food_accom_cost'],
+  ['riskAdjustment', 'riskAdjustment', 'risk_adjustment'],
+  ['usageLoadFactor', 'usageLoadFactor', 'usage_load_factor'],
+  ['riskUsageTotal', 'riskUsageTotal', 'risk_usage_total'],
+  ['surchargeCost', 'surchargeCost'],
+  ['otherFactorsCost', 'otherFactorsCost'],
+  ['subtotal', 'subtotal', 'totalRent', 'total_rent'],
+  ['gstAmount', 'gstAmount', 'gst_amount'],
+  ['totalAmount', 'totalAmount', 'totalCost', 'total_cost']
+];
+
+// Request fields that influence pricing; updates without them keep stored totals
+const PRICING_INPUT_FIELDS = [
+  'orderType', 'order_type', 'numberOfDays', 'number_of_days', 'workingHours', 'working_hours',
+  'foodResources', 'food_resources', 'accomResources', 'accom_resources', 'siteDistance', 'site_distance',
+  'usage', 'riskFactor', 'risk_factor', 'shift', 'dayNight', 'day_night', 'sundayWorking', 'sunday_working',
+  'mobDemob', 'mob_demob', 'mobRelaxation', 'mob_relaxation', 'extraCharge', 'extra_charge', 'surcharges',
+  'incidentalCharges', 'otherFactors', 'incident1', 'incident2', 'incident3', 'riggerAmount', 'helperAmount',
+  'customIncidentAmounts', 'customRiggerAmount', 'customHelperAmount', 'includeGst', 'include_gst', 'selectedMachines'
+];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  const num = Number(value);
+  return isNaN(num) ? fallback : num;
+};
+
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return [];
+    }
+  }
+  return [];
+};
+
+const toAmount = (value) => {
+  const amount = toNumber(value, null);
+  return amount !== null && amount >= 0 ? amount : null;
+};
+
+const toResourceCount = (value) => {
+  if (value === 'ASP Provided') return 2;
+  return toNumber(value, 0);
+};
+
+/**
+ * Determine the order type for a rental duration using the quotation config
+ */
+export const determineOrderType = (numberOfDays, orderTypeLimits) => {
+  const days = toNumber(numberOfDays, 0);
+  const limits = orderTypeLimits || {};
+  if (days <= 0) return 'micro';
+  for (const type of ['micro', 'small', 'monthly', 'yearly']) {
+    if (limits[type] && days >= limits[type].minDays && days <= limits[type].maxDays) {
+      return type;
+    }
+  }
+  return days > (limits.monthly?.maxDays || 365) ? 'yearly' : 'micro';
+};
+
+/**
+ * Normalize a quotation request body (camelCase or snake_case) into pricing inputs
+ */
+export const normalizePricingInputs = (data = {}) => {
+  const machines = toArray(data.selectedMachines)
+    .map(machine => ({
+      id: machine.id || machine.equipmentId || machine.equipment_id,
+      quantity: Math.max(1, toNumber(machine.quantity, 1))
+    }))
+    .filter(machine => machine.id);
+
+  if (machines.length === 0) {
+    const single = data.selectedEquipment;
+    const singleId = (single && (single.id || single.equipmentId)) || data.primaryEquipmentId || data.primary_equipment_id;
+    if (singleId) {
+      machines.push({ id: singleId, quantity: 1 });
+    }
+  }
+
+  // Older clients select the incidental charges by key, with their amounts in incident1-3
+  const customIncidentAmounts = data.customIncidentAmounts || {};
+  const surcharges = data.surcharges !== undefined && data.surcharges !== null
+    ? toArray(data.surcharges).map(line => ({
+      ruleId: line?.ruleId || line?.rule_id,
+      customAmount: toAmount(line?.customAmount ?? line?.custom_amount)
+    }))
+    : toArray(data.incidentalCharges ?? data.incidental_charges).map(key => ({
+      ruleId: key,
+      customAmount: toAmount(data[key] ?? customIncidentAmounts[key])
+    }));
+  const factorAmount = (resolved, custom) => {
+    const value = resolved ?? custom;
+    return value !== null && value !== undefined && value !== '' ? toNumber(value, null) : null;
+  };
+
+  const includeGst = data.includeGst ?? data.include_gst;
+
+  return {
+    // Rate cards are resolved for this customer on this date (default today)
+    customerId: data.customerId || data.customer_id || null,
+    quoteDate: data.quoteDate || data.quote_date || data.created_at || null,
+    orderType: data.orderType || data.order_type || null,
+    numberOfDays: toNumber(data.numberOfDays ?? data.number_of_days, 0),
+    workingHours: toNumber(data.workingHours ?? data.working_hours, 8) || 8,
+    foodResources: toResourceCount(data.foodResources ?? data.food_resources),
+    accomResources: toResourceCount(data.accomResources ?? data.accom_resources),
+    siteDistance: toNumber(data.siteDistance ?? data.site_distance, 0),
+    usage: data.usage || 'normal',
+    riskFactor: data.riskFactor || data.risk_factor || 'low',
+    shift: data.shift || 'single',
+    dayNight: data.dayNight || data.day_night || 'day',
+    sundayWorking: [true, 'true', 'yes'].includes(data.sundayWorking ?? data.sunday_working),
+    mobDemob: toNumber(data.mobDemob ?? data.mob_demob, 0),
+    mobRelaxation: toNumber(data.mobRelaxation ?? data.mob_relaxation, 0),
+    extraCharge: toNumber(data.extraCharge ?? data.extra_charge, 0),
+    surcharges: surcharges.filter(selection => selection.ruleId),
+    otherFactors: toArray(data.otherFactors ?? data.other_factors),
+    riggerAmount: factorAmount(data.riggerAmount ?? data.rigger_amount, data.customRiggerAmount),
+    helperAmount: factorAmount(data.helperAmount ?? data.helper_amount, data.customHelperAmount),
+    includeGst: includeGst === undefined || includeGst === null ? true : includeGst !== false && includeGst !== 'false',
+    machines
+  };
+};
+
+// Always taken from the stored quotation: rates stay those of its customer on the day it was made
+const STORED_PRICING_FIELDS = ['customerId', 'customer_id', 'quoteDate', 'quote_date', 'created_at'];
+
+/**
+ * Build pricing inputs from a stored quotation row and its quotation_machines rows.
+ * Request body values (if any) take precedence over the stored ones, except
+ * for the customer and quote date.
+ */
+export const mergePricingInputs = (existingRow = {}, machineRows = [], overrides = {}) => {
+  const stored = {
+    ...existingRow,
+    selectedMachines: machineRows.map(m => ({ id: m.equipment_id, quantity: m.quantity }))
+  };
+  const merged = { ...stored };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && !STORED_PRICING_FIELDS.includes(key)) merged[key] = value;
+  }
+  // Incidental charges from an older client replace the stored surcharge lines
+  if (overrides.incidentalCharges !== undefined && overrides.surcharges === undefined) {
+    delete merged.surcharges;
+  }
+  // Machines supplied in the body replace the stored list entirely
+  if (!Array.isArray(overrides.selectedMachines) || overrides.selectedMachines.length === 0) {
+    merged.selectedMachines = stored.selectedMachines;
+  }
+  return normalizePricingInputs(merged);
+};
+
+/**
+ * Load the configuration needed for pricing.
+ * resourceRates is only mandatory when food/accommodation resources are requested.
+ */
+const loadPricingConfig = async (inputs, warnings) => {
+  const [additionalParams, quotationConfig, surchargeRules] = await Promise.all([
+    getConfig('additionalParams'),
+    getConfig('quotation'),
+    getSurchargeRules()
+  ]);
+
+  let resourceRates = null;
+  try {
+    resourceRates = await getConfig('resourceRates');
+  } catch (error) {
+    if (inputs.foodResources > 0 || inputs.accomResources > 0) {
+      throw new Error(`Cannot price food & accommodation: ${error.message}`);
+    }
+    warnings.push('Resource rates are not configured; food & accommodation priced at ₹0');
+  }
+
+  return { additionalParams: additionalParams || {}, quotationConfig: quotationConfig || {}, resourceRates, surchargeRules };
+};
+
+/**
+ * Calculate the full cost breakdown for a quotation.
+ * Returns the normalized inputs, per-machine lines, calculations and warnings.
+ * Throws if referenced equipment does not exist.
+ */
+export const calculateQuotationPricing = async (data) => {
+  const inputs = data && data.machines ? data : normalizePricingInputs(data);
+  const warnings = [];
+
+  if (inputs.numberOfDays <= 0) {
+    throw new Error('numberOfDays must be greater than 0');
+  }
+  if (inputs.machines.length === 0) {
+    throw new Error('At least one equipment item is required for pricing');
+  }
+
+  const { additionalParams, quotationConfig, resourceRates, surchargeRules } = await loadPricingConfig(inputs, warnings);
+
+  const orderType = determineOrderType(inputs.numberOfDays, quotationConfig.orderTypeLimits);
+  if (inputs.orderType && inputs.orderType !== orderType) {
+    warnings.push(`Order type "${inputs.orderType}" does not match ${inputs.numberOfDays} days; using "${orderType}"`);
+  }
+
+  const totalHours = inputs.numberOfDays * inputs.workingHours;
+
+  // Resolve each machine against the equipment table and its rate cards
+  const equipmentRows = [];
+  for (const machine of inputs.machines) {
+    const equipment = await getEquipmentById(machine.id);
+    if (!equipment) {
+      throw new Error(`Equipment not found: ${machine.id}`);
+    }
+    equipmentRows.push(equipment);
+  }
+  const resolvedRates = await resolveRates(pool, equipmentRows, {
+    customerId: inputs.customerId,
+    quoteDate: inputs.quoteDate
+  });
+
+  const machines = [];
+  for (const [index, machine] of inputs.machines.entries()) {
+    const equipment = equipmentRows[index];
+    const { rates, rateCardIds, customerRateCard } = resolvedRates.get(equipment.id);
+    const baseRate = toNumber(rates[orderType], 0);
+    const units = orderType === 'monthly' ? Math.ceil(inputs.numberOfDays / WORKING_DAYS_PER_MONTH) : totalHours;
+    if (!equipment.runningCostPerKm && inputs.siteDistance > 0 && inputs.mobDemob <= 0) {
+      warnings.push(`Equipment "${equipment.name}" has no running cost per km configured`);
+    }
+    machines.push({
+      id: equipment.id,
+      equipmentId: equipment.equipmentId,
+      name: equipment.name,
+      category: equipment.category,
+      quantity: machine.quantity,
+      baseRate,
+      baseRates: rates,
+      rateCardId: rateCardIds[orderType],
+      negotiatedRate: !!customerRateCard && rateCardIds[orderType] === customerRateCard.id,
+      runningCostPerKm: toNumber(equipment.runningCostPerKm, 0),
+      baseWorkingCost: baseRate * machine.quantity * units
+    });
+  }
+
+  // Working cost with the shift multiplier; night work is a surcharge rule
+  const shiftMultiplier = toNumber(additionalParams.shiftFactors?.[inputs.shift], 1);
+  const baseWorkingCost = machines.reduce((sum, m) => sum + m.baseWorkingCost, 0);
+  const workingCost = baseWorkingCost * shiftMultiplier;
+
+  // Food & accommodation (monthly rates converted to daily)
+  const foodRatePerDay = resourceRates?.foodRatePerMonth ? resourceRates.foodRatePerMonth / WORKING_DAYS_PER_MONTH : 0;
+  const accomRatePerDay = resourceRates?.accommodationRatePerMonth ? resourceRates.accommodationRatePerMonth / WORKING_DAYS_PER_MONTH : 0;
+  const foodAccomCost = (inputs.foodResources * foodRatePerDay * inputs.numberOfDays) +
+    (inputs.accomResources * accomRatePerDay * inputs.numberOfDays);
+
+  // Mobilization / demobilization
+  let mobDemobCost = 0;
+  if (inputs.mobDemob > 0) {
+    mobDemobCost = inputs.mobDemob;
+  } else if (inputs.siteDistance > 0) {
+    mobDemobCost = machines.reduce((sum, m) => sum + inputs.siteDistance * 2 * m.runningCostPerKm * m.quantity, 0);
+    if (inputs.mobRelaxation > 0) {
+      mobDemobCost = Math.max(0, mobDemobCost - inputs.mobRelaxation);
+    }
+  }
+
+  // Risk & usage on the monthly base rate of all equipment
+  const totalMonthlyBaseRate = machines.reduce((sum, m) => sum + toNumber(m.baseRates?.monthly, 0) * m.quantity, 0);
+  const riskPercentage = toNumber(additionalParams.riskFactors?.[inputs.riskFactor], 0);
+  const usagePercentage = toNumber(additionalParams.usageFactors?.[inputs.usage], 0);
+  const riskAdjustment = totalMonthlyBaseRate * (riskPercentage / 100);
+  const usageLoadFactor = totalMonthlyBaseRate * (usagePercentage / 100);
+  const riskUsageTotal = riskAdjustment + usageLoadFactor;
+
+  // Surcharges: the customer's region is only looked up when a rule depends on it
+  const region = surchargeRules.some(rule => rule.conditions?.regions?.length)
+    ? await getCustomerRegion(pool, inputs.customerId)
+    : null;
+  const { lines: surcharges, warnings: surchargeWarnings } = priceSurcharges(surchargeRules, {
+    selections: inputs.surcharges,
+    machines: machines.map(m => ({ category: m.category, workingCost: m.baseWorkingCost * shiftMultiplier })),
+    numberOfDays: inputs.numberOfDays,
+    orderType,
+    siteDistance: inputs.siteDistance,
+    nightShift: inputs.dayNight === 'night',
+    sundayWorking: inputs.sundayWorking,
+    region
+  });
+  warnings.push(...surchargeWarnings);
+  const surchargeCost = surcharges.reduce((sum, line) => sum + line.amount, 0);
+
+  // Rigger / helper
+  const riggerSelected = inputs.otherFactors.includes('rigger');
+  const helperSelected = inputs.otherFactors.includes('helper');
+  const riggerAmount = riggerSelected ? toNumber(inputs.riggerAmount ?? additionalParams.riggerAmount, 0) : null;
+  const helperAmount = helperSelected ? toNumber(inputs.helperAmount ?? additionalParams.helperAmount, 0) : null;
+  const otherFactorsCost = (riggerAmount || 0) + (helperAmount || 0);
+
+  const extraCharges = inputs.extraCharge;
+  const subtotal = workingCost + foodAccomCost + mobDemobCost + riskUsageTotal + extraCharges + surchargeCost + otherFactorsCost;
+  const gstRate = inputs.includeGst ? GST_RATE : 0;
+  const gstAmount = subtotal * (gstRate / 100);
+  const totalAmount = subtotal + gstAmount;
+
+  return {
+    inputs: { ...inputs, orderType },
+    machines: machines.map(({ baseWorkingCost: machineCost, ...m }) => ({ ...m, workingCost: round2(machineCost * shiftMultiplier) })),
+    surcharges,
+    riggerAmount,
+    helperAmount,
+    factors: { shiftMultiplier, riskPercentage, usagePercentage, gstRate },
+    calculations: {
+      baseRate: machines[0]?.baseRate || 0,
+      totalHours,
+      workingCost: round2(workingCost),
+      mobDemobCost: round2(mobDemobCost),
+      foodAccomCost: round2(foodAccomCost),
+      usageLoadFactor: round2(usageLoadFactor),
+      extraCharges: round2(extraCharges),
+      riskAdjustment: round2(riskAdjustment),
+      riskUsageTotal: round2(riskUsageTotal),
+      totalMonthlyBaseRate: round2(totalMonthlyBaseRate),
+      surchargeCost: round2(surchargeCost),
+      otherFactorsCost: round2(otherFactorsCost),
+      subtotal: round2(subtotal),
+      gstAmount: round2(gstAmount),
+      totalAmount: round2(totalAmount)
+    },
+    warnings
+  };
+};
+
+/**
+ * Compare client-submitted amounts against the calculated ones.
+ * Only fields the client actually sent are compared.
+ */
+export const findPricingMismatches = (calculations, submitted = {}, tolerance = PRICING_TOLERANCE) => {
+  const sources = [submitted.calculations || {}, submitted];
+  const mismatches = [];
+
+  for (const [field, ...keys] of COMPARED_FIELDS) {
+    let submittedValue;
+    for (const source of sources) {
+      for (const key of keys) {
+        if (submittedValue === undefined && source[key] !== undefined && source[key] !== null && source[key] !== '') {
+          submittedValue = Number(source[key]);
+        }
+      }
+    }
+    if (submittedValue === undefined || isNaN(submittedValue)) continue;
+
+    const difference = round2(submittedValue - calculations[field]);
+    if (Math.abs(difference) > tolerance) {
+      mismatches.push({ field, submitted: submittedValue, calculated: calculations[field], difference });
+    }
+  }
+
+  return mismatches;
+};
+
+/**
+ * Whether a request body changes any pricing input
+ */
+export const hasPricingInputs = (body = {}) => PRICING_INPUT_FIELDS.some(field => body[field] !== undefined);
+
+/**
+ * Whether pricing mismatches should reject the request instead of being flagged
+ */
+export const isStrictPricing = (body = {}) => {
+  if (body.strictPricing !== undefined) return body.strictPricing === true || body.strictPricing === 'true';
+  return process.env.PRICING_STRICT_MODE === 'true';
+};
@@ -0,0 +1,224 @@
+/**
+ * Quotation Revision Service
+ * Immutable snapshots (R1, R2, ...) of quotations that have been sent to a customer.
+ *
+ * All functions take a pg queryable (pool or a checked-out client) so revisions
+ * can be written inside the same transaction as the quotation update.
+ */
+
+// Quotation columns that are bookkeeping only and never shown in a diff
+const IGNORED_DIFF_FIELDS = ['id', 'created_at', 'updated_at', 'version'];
+
+// Quotation columns that move with the quotation's lifecycle rather than its
+// content, so a sent version may differ from its snapshot in these
+const LIFECYCLE_FIELDS = ['status', 'valid_until', 'expiry_reminder_sent_at', 'site_assessment_id'];
+
+// Per-line fields compared between machine snapshots
+const MACHINE_DIFF_FIELDS = ['quantity', 'base_rate', 'running_cost_per_km', 'rate_card_id'];
+
+export const formatRevisionLabel = (revisionNumber) => `R${revisionNumber}`;
+
+/**
+ * Accepts 2, "2", "R2" or "r2" and returns the revision number (or null)
+ */
+export const parseRevisionNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const num = parseInt(String(value).replace(/^r/i, ''), 10);
+  return isNaN(num) || num < 1 ? null : num;
+};
+
+const mapRevisionRow = (row) => ({
+  id: row.id,
+  quotationId: row.quotation_id,
+  revisionNumber: row.revision_number,
+  label: formatRevisionLabel(row.revision_number),
+  status: row.quotation_snapshot?.status,
+  totalCost: Number(row.quotation_snapshot?.total_cost) || 0,
+  changeReason: row.change_reason,
+  createdBy: row.created_by,
+  createdAt: row.created_at
+});
+
+/**
+ * True once the given version of a quotation has been frozen as a revision;
+ * any later edit must then move the quotation to the next version
+ */
+export const hasQuotationRevision = async (queryable, quotationId, revisionNumber) => {
+  const result = await queryable.query(
+    'SELECT 1 FROM quotation_revisions WHERE quotation_id = $1 AND revision_number = $2',
+    [quotationId, Number(revisionNumber) || 1]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Snapshot the current state of a quotation and its machines as revision
+ * number `quotations.version`. If that revision already exists it is returned
+ * unchanged - revisions are never overwritten - provided it still matches the
+ * quotation; a snapshot that no longer does is never reused.
+ */
+export const createQuotationRevision = async (queryable, quotationId, { createdBy = null, reason = null } = {}) => {
+  const quotationResult = await queryable.query('SELECT * FROM quotations WHERE id = $1', [quotationId]);
+  if (quotationResult.rows.length === 0) {
+    throw new Error(`Quotation not found: ${quotationId}`);
+  }
+  const quotation = quotationResult.rows[0];
+  const revisionNumber = Number(quotation.version) || 1;
+
+  const machinesResult = await queryable.query(`
+    SELECT qm.equipment_id, qm.quantity, qm.base_rate, qm.running_cost_per_km, qm.rate_card_id,
+           e.equipment_id as equipment_code, e.name as equipment_name,
+           e.category as equipment_category, e.max_lifting_capacity
+    FROM quotation_machines qm
+    LEFT JOIN equipment e ON qm.equipment_id = e.id
+    WHERE qm.quotation_id = $1
+    ORDER BY qm.id ASC
+  `, [quotationId]);
+
+  const existing = await queryable.query(
+    'SELECT * FROM quotation_revisions WHERE quotation_id = $1 AND revision_number = $2',
+    [quotationId, revisionNumber]
+  );
+  if (existing.rows.length > 0) {
+    const row = existing.rows[0];
+    // Compare through JSON so dates read back from the snapshot match the row's
+    const diff = diffQuotationRevisions(
+      { revisionNumber, quotation: row.quotation_snapshot, machines: row.machines_snapshot || [] },
+      { revisionNumber, quotation: JSON.parse(JSON.stringify(quotation)), machines: machinesResult.rows }
+    );
+    const changedFields = diff.fields.filter(change => !LIFECYCLE_FIELDS.includes(change.field));
+    if (changedFields.length > 0 || diff.lines.length > 0) {
+      throw new Error(
+        `Quotation ${quotationId} changed since ${formatRevisionLabel(revisionNumber)} without a new version`
+      );
+    }
+    return mapRevisionRow(row);
+  }
+
+  const inserted = await queryable.query(`
+    INSERT INTO quotation_revisions (
+      quotation_id, revision_number, quotation_snapshot, machines_snapshot, change_reason, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [
+    quotationId,
+    revisionNumber,
+    JSON.stringify(quotation),
+    JSON.stringify(machinesResult.rows),
+    reason,
+    createdBy
+  ]);
+
+  console.log(`📸 Created revision ${formatRevisionLabel(revisionNumber)} for quotation ${quotationId}`);
+  return mapRevisionRow(inserted.rows[0]);
+};
+
+/**
+ * List revision summaries for a quotation, oldest first
+ */
+export const listQuotationRevisions = async (queryable, quotationId) => {
+  const result = await queryable.query(
+    'SELECT * FROM quotation_revisions WHERE quotation_id = $1 ORDER BY revision_number ASC',
+    [quotationId]
+  );
+  return result.rows.map(mapRevisionRow);
+};
+
+/**
+ * Get a single revision including its full snapshots
+ */
+export const getQuotationRevision = async (queryable, quotationId, revisionNumber) => {
+  const result = await queryable.query(
+    'SELECT * FROM quotation_revisions WHERE quotation_id = $1 AND revision_number = $2',
+    [quotationId, revisionNumber]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    ...mapRevisionRow(row),
+    quotation: row.quotation_snapshot,
+    machines: row.machines_snapshot || []
+  };
+};
+
+const normalizeValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return value;
+};
+
+/**
+ * Field-by-field diff of the quotation and line-by-line diff of its machines
+ */
+export const diffQuotationRevisions = (fromRevision, toRevision) => {
+  const fields = [];
+  const keys = new Set([...Object.keys(fromRevision.quotation || {}), ...Object.keys(toRevision.quotation || {})]);
+  for (const key of keys) {
+    if (IGNORED_DIFF_FIELDS.includes(key)) continue;
+    const before = fromRevision.quotation?.[key] ?? null;
+    const after = toRevision.quotation?.[key] ?? null;
+    if (normalizeValue(before) !== normalizeValue(after)) {
+      fields.push({ field: key, from: before, to: after });
+    }
+  }
+
+  const lines = [];
+  const fromLines = new Map((fromRevision.machines || []).map(m => [m.equipment_id, m]));
+  const toLines = new Map((toRevision.machines || []).map(m => [m.equipment_id, m]));
+
+  for (const [equipmentId, before] of fromLines) {
+    const after = toLines.get(equipmentId);
+    if (!after) {
+      lines.push({ change: 'removed', equipmentId, equipmentName: before.equipment_name, from: before, to: null });
+      continue;
+    }
+    const changes = MACHINE_DIFF_FIELDS
+      .filter(field => normalizeValue(before[field]) !== normalizeValue(after[field]))
+      .map(field => ({ field, from: before[field], to: after[field] }));
+    if (changes.length > 0) {
+      lines.push({ change: 'modified', equipmentId, equipmentName: after.equipment_name, changes });
+    }
+  }
+  for (const [equipmentId, after] of toLines) {
+    if (!fromLines.has(equipmentId)) {
+      lines.push({ change: 'added', equipmentId, equipmentName: after.equipment_name, from: null, to: after });
+    }
+  }
+
+  return {
+    from: formatRevisionLabel(fromRevision.revisionNumber),
+    to: formatRevisionLabel(toRevision.revisionNumber),
+    fields,
+    lines
+  };
+};
+
+/**
+ * Overlay a revision onto a freshly queried quotation row and its machine rows,
+ * so existing print/preview helpers can render the revision unchanged.
+ */
+export const applyRevisionSnapshot = (row, revision) => {
+  const snapshot = revision.quotation || {};
+  const merged = { ...row };
+  for (const key of Object.keys(row)) {
+    if (snapshot[key] !== undefined) merged[key] = snapshot[key];
+  }
+  if (merged.quotation_number) {
+    merged.quotation_number = `${merged.quotation_number}-${revision.label}`;
+  }
+  merged.revision_number = revision.revisionNumber;
+
+  const items = (revision.machines || []).map(machine => ({
+    quantity: machine.quantity,
+    base_rate: machine.base_rate,
+    running_cost_per_km: machine.running_cost_per_km,
+    equipment_name: machine.equipment_name,
+    equipment_category: machine.equipment_category,
+    max_lifting_capacity: machine.max_lifting_capacity,
+    equipment_id: machine.equipment_code
+  }));
+
+  return { row: merged, items };
+};
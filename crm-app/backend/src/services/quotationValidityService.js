@@ -0,0 +1,248 @@
+/**
+ * Quotation Validity Service
+ * valid_until dates, expiry reminders and automatic expiry of sent quotations.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ * Dates are computed in SQL (CURRENT_DATE) so they follow the database timezone.
+ */
+
+import pool from '../lib/dbConnection.js';
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import notificationEngine from './notificationEngine.js';
+
+// Audit log actions written by this service
+const AUDIT_ACTIONS = ['extend_validity', 'expire'];
+
+let schedulerTimer = null;
+let jobRunning = false;
+
+/**
+ * Validity settings, falling back to the defaults for missing or invalid keys
+ */
+export const getValidityConfig = async () => {
+  const defaults = DEFAULT_CONFIGS.quotationValidity;
+  const config = await getConfig('quotationValidity');
+  const positive = (value, fallback) => {
+    const num = parseInt(value, 10);
+    return isNaN(num) || num < 0 ? fallback : num;
+  };
+  return {
+    validityDays: positive(config.validityDays, defaults.validityDays) || defaults.validityDays,
+    reminderDaysBefore: positive(config.reminderDaysBefore, defaults.reminderDaysBefore),
+    checkIntervalMinutes: positive(config.checkIntervalMinutes, defaults.checkIntervalMinutes) || defaults.checkIntervalMinutes
+  };
+};
+
+/**
+ * Format a valid_until value (Date or YYYY-MM-DD) for documents, or null when unset
+ */
+export const formatValidUntil = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toLocaleDateString('en-IN');
+};
+
+const writeAuditLog = async (queryable, { userId = null, action, quotationId, changes, ipAddress = null, userAgent = null }) => {
+  await queryable.query(`
+    INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address, user_agent)
+    VALUES ($1, $2, 'quotation', $3, $4, $5, $6)
+  `, [userId, action, quotationId, JSON.stringify(changes), ipAddress, userAgent]);
+};
+
+/**
+ * Restart the validity period when a quotation goes out to the customer
+ */
+export const startValidityPeriod = async (queryable, quotationId) => {
+  const { validityDays } = await getValidityConfig();
+  const result = await queryable.query(`
+    UPDATE quotations
+    SET valid_until = CURRENT_DATE + $2::int, expiry_reminder_sent_at = NULL
+    WHERE id = $1
+    RETURNING valid_until
+  `, [quotationId, validityDays]);
+  return result.rows[0]?.valid_until || null;
+};
+
+/**
+ * Extend the validity of a quotation by `days` (from today or the current
+ * valid_until, whichever is later) or to an explicit `validUntil` date.
+ * Expired quotations go back to 'sent'. Every extension is written to audit_logs.
+ */
+export const extendQuotationValidity = async (queryable, quotationId, {
+  days = null,
+  validUntil = null,
+  reason = null,
+  user = null,
+  ipAddress = null,
+  userAgent = null
+} = {}) => {
+  const existingResult = await queryable.query(
+    'SELECT id, status, valid_until FROM quotations WHERE id = $1',
+    [quotationId]
+  );
+  if (existingResult.rows.length === 0) return null;
+  const existing = existingResult.rows[0];
+
+  const extensionDays = days !== null && days !== undefined ? days : (await getValidityConfig()).validityDays;
+
+  const result = await queryable.query(`
+    UPDATE quotations
+    SET valid_until = COALESCE($2::date, GREATEST(COALESCE(valid_until, CURRENT_DATE), CURRENT_DATE) + $3::int),
+        expiry_reminder_sent_at = NULL,
+        status = CASE WHEN status = 'expired' THEN 'sent' ELSE status END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id, status, valid_until
+  `, [quotationId, validUntil, extensionDays]);
+  const updated = result.rows[0];
+
+  await writeAuditLog(queryable, {
+    userId: user?.id || null,
+    action: 'extend_validity',
+    quotationId,
+    changes: {
+      validUntil: { from: existing.valid_until, to: updated.valid_until },
+      status: { from: existing.status, to: updated.status },
+      days: validUntil ? null : extensionDays,
+      reason
+    },
+    ipAddress,
+    userAgent
+  });
+
+  console.log(`📅 Extended validity of quotation ${quotationId} to ${formatValidUntil(updated.valid_until)}`);
+  return {
+    id: updated.id,
+    status: updated.status,
+    validUntil: updated.valid_until,
+    previousValidUntil: existing.valid_until,
+    previousStatus: existing.status
+  };
+};
+
+/**
+ * Validity audit trail (extensions and automatic expiry), newest first
+ */
+export const getValidityHistory = async (queryable, quotationId) => {
+  const result = await queryable.query(`
+    SELECT id, user_id, action, changes, created_at
+    FROM audit_logs
+    WHERE entity_type = 'quotation' AND entity_id = $1 AND action = ANY($2)
+    ORDER BY created_at DESC
+  `, [quotationId, AUDIT_ACTIONS]);
+  return result.rows.map(row => ({
+    id: row.id,
+    action: row.action,
+    userId: row.user_id,
+    changes: row.changes,
+    createdAt: row.created_at
+  }));
+};
+
+/**
+ * Move sent quotations past their valid_until date to 'expired'
+ */
+export const expireStaleQuotations = async (queryable) => {
+  const result = await queryable.query(`
+    UPDATE quotations
+    SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'sent' AND valid_until < CURRENT_DATE
+    RETURNING id, valid_until
+  `);
+
+  for (const row of result.rows) {
+    await writeAuditLog(queryable, {
+      action: 'expire',
+      quotationId: row.id,
+      changes: {
+        status: { from: 'sent', to: 'expired' },
+        validUntil: row.valid_until
+      }
+    });
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`⌛ Expired ${result.rows.length} quotation(s)`);
+  }
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * Remind owners of sent quotations expiring within `reminderDaysBefore` days.
+ * Each quotation is reminded once per validity period.
+ */
+export const sendExpiryReminders = async (queryable, reminderDaysBefore) => {
+  const result = await queryable.query(`
+    SELECT q.id, q.quotation_number, q.customer_name, q.valid_until,
+           (q.valid_until - CURRENT_DATE) as days_left,
+           u.uid as owner_id, u.email as owner_email, u.display_name as owner_name
+    FROM quotations q
+    JOIN users u ON q.created_by = u.uid
+    WHERE q.status = 'sent'
+      AND q.expiry_reminder_sent_at IS NULL
+      AND q.valid_until BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+  `, [reminderDaysBefore]);
+
+  const reminded = [];
+  for (const row of result.rows) {
+    await notificationEngine.sendNotification({
+      type: 'quotation_expiring',
+      recipients: [{ id: row.owner_id, email: row.owner_email, name: row.owner_name }],
+      data: {
+        quotationNumber: row.quotation_number || row.id,
+        customerName: row.customer_name,
+        validUntil: formatValidUntil(row.valid_until),
+        daysLeft: row.days_left,
+        quotationUrl: `${process.env.FRONTEND_URL}/quotations/${row.id}`,
+        referenceId: row.id,
+        referenceType: 'quotation'
+      },
+      channels: ['in_app', 'email'],
+      priority: 'medium'
+    });
+    await queryable.query(
+      'UPDATE quotations SET expiry_reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [row.id]
+    );
+    reminded.push(row.id);
+  }
+
+  if (reminded.length > 0) {
+    console.log(`🔔 Sent expiry reminders for ${reminded.length} quotation(s)`);
+  }
+  return reminded;
+};
+
+/**
+ * One pass of the validity job: expire stale quotations, then send reminders
+ */
+export const runQuotationValidityJob = async (queryable = pool) => {
+  const config = await getValidityConfig();
+  const expired = await expireStaleQuotations(queryable);
+  const reminded = await sendExpiryReminders(queryable, config.reminderDaysBefore);
+  return { expired, reminded };
+};
+
+/**
+ * Run the validity job now and then every `checkIntervalMinutes`
+ */
+export const startQuotationValidityScheduler = async () => {
+  if (schedulerTimer) return;
+
+  const { checkIntervalMinutes } = await getValidityConfig();
+  const run = async () => {
+    if (jobRunning) return;
+    jobRunning = true;
+    try {
+      await runQuotationValidityJob();
+    } catch (error) {
+      console.error('Error running quotation validity job:', error);
+    } finally {
+      jobRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(run, checkIntervalMinutes * 60 * 1000);
+  run();
+  console.log(`⏰ Quotation validity job scheduled every ${checkIntervalMinutes} minute(s)`);
+};
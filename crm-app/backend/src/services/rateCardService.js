@@ -0,0 +1,299 @@
+/**
+ * Rate Card Service
+ * Effective-dated base rates of each crane, and the rates a quotation uses.
+ *
+ * A rate card gives a crane's micro, small, monthly and yearly rates from
+ * `effective_from` to `effective_to` (inclusive, open while null). List cards
+ * have no customer; negotiated cards belong to one customer and override the
+ * list card. Cards of the same crane and customer (or two list cards) may not
+ * overlap.
+ *
+ * Pricing resolves each rate for the quote date: the customer's card, then the
+ * list card, then the equipment's own base rates. A card may leave rates out,
+ * e.g. a customer negotiated only a monthly rate.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+export const RATE_TYPES = ['micro', 'small', 'monthly', 'yearly'];
+
+const MAX_NAME_LENGTH = 255;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// API field -> column, for inserts and partial updates
+const CARD_FIELDS = {
+  equipmentId: 'equipment_id',
+  customerId: 'customer_id',
+  name: 'name',
+  effectiveFrom: 'effective_from',
+  effectiveTo: 'effective_to',
+  notes: 'notes'
+};
+
+const RATE_COLUMNS = {
+  micro: 'rate_micro',
+  small: 'rate_small',
+  monthly: 'rate_monthly',
+  yearly: 'rate_yearly'
+};
+
+const CARD_COLUMNS = `
+  rc.*, TO_CHAR(rc.effective_from, 'YYYY-MM-DD') AS effective_from_date,
+  TO_CHAR(rc.effective_to, 'YYYY-MM-DD') AS effective_to_date,
+  e.name AS equipment_name, e.equipment_id AS equipment_code,
+  c.name AS customer_name, c.company_name AS customer_company
+`;
+
+const CARD_JOINS = `
+  JOIN equipment e ON e.id = rc.equipment_id
+  LEFT JOIN customers c ON c.id = rc.customer_id
+`;
+
+const mapRateCardRow = (row) => ({
+  id: row.id,
+  equipmentId: row.equipment_id,
+  equipmentName: row.equipment_name,
+  equipmentCode: row.equipment_code,
+  customerId: row.customer_id,
+  customerName: row.customer_company || row.customer_name || null,
+  name: row.name,
+  rates: Object.fromEntries(RATE_TYPES.map(type => [type, toNumberOrNull(row[RATE_COLUMNS[type]])])),
+  effectiveFrom: row.effective_from_date,
+  effectiveTo: row.effective_to_date,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Validate a rate card. With `partial`, only the fields present are checked.
+ * Returns an error message, or null when valid.
+ */
+export const validateRateCard = (fields, { partial = false } = {}) => {
+  if (!partial && !isSet(fields.equipmentId)) return 'equipmentId is required';
+  if (isSet(fields.name) && String(fields.name).length > MAX_NAME_LENGTH) {
+    return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!partial || fields.effectiveFrom !== undefined) {
+    if (!isDate(fields.effectiveFrom)) return 'effectiveFrom must be a date (YYYY-MM-DD)';
+  }
+  if (isSet(fields.effectiveTo) && !isDate(fields.effectiveTo)) return 'effectiveTo must be a date (YYYY-MM-DD)';
+  if (isSet(fields.effectiveFrom) && isSet(fields.effectiveTo) && fields.effectiveTo < fields.effectiveFrom) {
+    return 'effectiveTo cannot be before effectiveFrom';
+  }
+  if (!partial || fields.rates !== undefined) {
+    const rates = fields.rates || {};
+    const unknown = Object.keys(rates).find(type => !RATE_TYPES.includes(type));
+    if (unknown) return `Unknown rate "${unknown}"; rates are ${RATE_TYPES.join(', ')}`;
+    const given = RATE_TYPES.filter(type => isSet(rates[type]));
+    if (given.length === 0) return 'A rate card needs at least one rate';
+    if (given.some(type => isNaN(Number(rates[type])) || Number(rates[type]) < 0)) return 'Rates must be 0 or more';
+  }
+  return null;
+};
+
+export const listRateCards = async (queryable, { equipmentId = null, customerId = null, listOnly = false, activeOn = null } = {}) => {
+  const result = await queryable.query(`
+    SELECT ${CARD_COLUMNS}
+    FROM rate_cards rc
+    ${CARD_JOINS}
+    WHERE ($1::varchar IS NULL OR rc.equipment_id = $1)
+      AND ($2::varchar IS NULL OR rc.customer_id = $2)
+      AND (NOT $3 OR rc.customer_id IS NULL)
+      AND ($4::date IS NULL OR (rc.effective_from <= $4::date AND (rc.effective_to IS NULL OR rc.effective_to >= $4::date)))
+    ORDER BY e.name ASC, rc.customer_id ASC NULLS FIRST, rc.effective_from DESC
+  `, [equipmentId, customerId, listOnly, activeOn]);
+  return result.rows.map(mapRateCardRow);
+};
+
+export const getRateCard = async (queryable, rateCardId, { forUpdate = false } = {}) => {
+  const result = await queryable.query(`
+    SELECT ${CARD_COLUMNS}
+    FROM rate_cards rc
+    ${CARD_JOINS}
+    WHERE rc.id = $1
+    ${forUpdate ? 'FOR UPDATE OF rc' : ''}
+  `, [rateCardId]);
+  return result.rows[0] ? mapRateCardRow(result.rows[0]) : null;
+};
+
+/**
+ * Cards of the same crane and customer (list cards when customerId is null)
+ * whose dates overlap effectiveFrom-effectiveTo
+ */
+export const findOverlappingRateCards = async (queryable, { equipmentId, customerId = null, effectiveFrom, effectiveTo = null, excludeId = null }) => {
+  const result = await queryable.query(`
+    SELECT ${CARD_COLUMNS}
+    FROM rate_cards rc
+    ${CARD_JOINS}
+    WHERE rc.equipment_id = $1
+      AND rc.customer_id IS NOT DISTINCT FROM $2
+      AND ($5::varchar IS NULL OR rc.id <> $5)
+      AND rc.effective_from <= COALESCE($4::date, 'infinity'::date)
+      AND COALESCE(rc.effective_to, 'infinity'::date) >= $3::date
+    ORDER BY rc.effective_from ASC
+  `, [equipmentId, customerId || null, effectiveFrom, effectiveTo || null, excludeId]);
+  return result.rows.map(mapRateCardRow);
+};
+
+const rateValues = (rates = {}) => RATE_TYPES.map(type => (isSet(rates[type]) ? Number(rates[type]) : null));
+
+export const createRateCard = async (queryable, fields, { user = null } = {}) => {
+  const columns = ['created_by', ...RATE_TYPES.map(type => RATE_COLUMNS[type])];
+  const values = [user?.id || null, ...rateValues(fields.rates)];
+  for (const [field, column] of Object.entries(CARD_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    columns.push(column);
+    values.push(isSet(fields[field]) ? fields[field] : null);
+  }
+  const result = await queryable.query(`
+    INSERT INTO rate_cards (${columns.join(', ')})
+    VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+    RETURNING id
+  `, values);
+  return getRateCard(queryable, result.rows[0].id);
+};
+
+/**
+ * Change a card's name, dates, notes or rates; `rates` replaces all four.
+ * The crane and customer cannot change. Returns null when the card does not exist.
+ */
+export const updateRateCard = async (queryable, rateCardId, changes) => {
+  const sets = [];
+  const values = [rateCardId];
+  for (const field of ['name', 'effectiveFrom', 'effectiveTo', 'notes']) {
+    if (changes[field] === undefined) continue;
+    values.push(isSet(changes[field]) ? changes[field] : null);
+    sets.push(`${CARD_FIELDS[field]} = $${values.length}`);
+  }
+  if (changes.rates !== undefined) {
+    rateValues(changes.rates).forEach((value, index) => {
+      values.push(value);
+      sets.push(`${RATE_COLUMNS[RATE_TYPES[index]]} = $${values.length}`);
+    });
+  }
+  const result = sets.length > 0
+    ? await queryable.query(`UPDATE rate_cards SET ${sets.join(', ')} WHERE id = $1 RETURNING id`, values)
+    : await queryable.query('SELECT id FROM rate_cards WHERE id = $1', [rateCardId]);
+  if (!result.rows[0]) return null;
+  return getRateCard(queryable, rateCardId);
+};
+
+/**
+ * Number of quotation machines priced from a card; such cards are ended
+ * (effectiveTo) rather than deleted
+ */
+export const countRateCardQuotations = async (queryable, rateCardId) => {
+  const result = await queryable.query(
+    'SELECT COUNT(DISTINCT quotation_id) AS quotations FROM quotation_machines WHERE rate_card_id = $1',
+    [rateCardId]
+  );
+  return Number(result.rows[0].quotations) || 0;
+};
+
+export const deleteRateCard = async (queryable, rateCardId) => {
+  const result = await queryable.query('DELETE FROM rate_cards WHERE id = $1', [rateCardId]);
+  return result.rowCount > 0;
+};
+
+/**
+ * The rates each crane is quoted at on `quoteDate` (default today) for
+ * `customerId`. `equipment` rows give the fallback rates as `baseRates`.
+ * Returns a Map of equipment id -> { rates, rateCardIds, customerRateCard,
+ * listRateCard }, where rateCardIds names the card each rate came from.
+ */
+export const resolveRates = async (queryable, equipment, { customerId = null, quoteDate = null } = {}) => {
+  const equipmentIds = [...new Set(equipment.map(item => item.id))];
+  const result = equipmentIds.length > 0
+    ? await queryable.query(`
+      SELECT ${CARD_COLUMNS}
+      FROM rate_cards rc
+      ${CARD_JOINS}
+      WHERE rc.equipment_id = ANY($1)
+        AND (rc.customer_id IS NULL OR rc.customer_id = $2)
+        AND rc.effective_from <= COALESCE($3::date, CURRENT_DATE)
+        AND (rc.effective_to IS NULL OR rc.effective_to >= COALESCE($3::date, CURRENT_DATE))
+      ORDER BY rc.effective_from DESC
+    `, [equipmentIds, customerId || null, quoteDate || null])
+    : { rows: [] };
+  const cards = result.rows.map(mapRateCardRow);
+
+  return new Map(equipment.map(item => {
+    const customerRateCard = customerId ? cards.find(card => card.equipmentId === item.id && card.customerId === customerId) || null : null;
+    const listRateCard = cards.find(card => card.equipmentId === item.id && !card.customerId) || null;
+    const rates = {};
+    const rateCardIds = {};
+    for (const type of RATE_TYPES) {
+      const source = [customerRateCard, listRateCard].find(card => card && card.rates[type] !== null);
+      rates[type] = source ? source.rates[type] : Number(item.baseRates?.[type]) || 0;
+      rateCardIds[type] = source ? source.id : null;
+    }
+    return [item.id, { rates, rateCardIds, customerRateCard, listRateCard }];
+  }));
+};
+
+/**
+ * Record new list rates of a crane from today, as the equipment form does
+ * when its base rates are changed: the current list card ends yesterday and a
+ * new one starts today (or today's card is changed in place). Run inside a
+ * transaction. Returns the new or changed card, or null when nothing changed.
+ */
+export const recordListRates = async (queryable, equipmentId, baseRates, { user = null } = {}) => {
+  const current = (await queryable.query(`
+    SELECT ${CARD_COLUMNS}, rc.effective_from = CURRENT_DATE AS starts_today
+    FROM rate_cards rc
+    ${CARD_JOINS}
+    WHERE rc.equipment_id = $1 AND rc.customer_id IS NULL
+      AND rc.effective_from <= CURRENT_DATE AND (rc.effective_to IS NULL OR rc.effective_to >= CURRENT_DATE)
+    FOR UPDATE OF rc
+  `, [equipmentId])).rows[0];
+
+  const rates = current ? { ...mapRateCardRow(current).rates } : {};
+  for (const type of RATE_TYPES) {
+    if (baseRates?.[type] !== undefined) rates[type] = isSet(baseRates[type]) ? Number(baseRates[type]) : null;
+  }
+  if (current && RATE_TYPES.every(type => rates[type] === toNumberOrNull(current[RATE_COLUMNS[type]]))) return null;
+  if (RATE_TYPES.every(type => rates[type] === null || rates[type] === undefined)) return null;
+
+  if (current?.starts_today) {
+    return updateRateCard(queryable, current.id, { rates });
+  }
+  if (current) {
+    await queryable.query('UPDATE rate_cards SET effective_to = CURRENT_DATE - 1 WHERE id = $1', [current.id]);
+  }
+  // Runs until a list card already planned for later, if any
+  const dates = (await queryable.query(`
+    SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today,
+           TO_CHAR(MIN(effective_from) - 1, 'YYYY-MM-DD') AS effective_to
+    FROM rate_cards
+    WHERE equipment_id = $1 AND customer_id IS NULL AND effective_from > CURRENT_DATE
+  `, [equipmentId])).rows[0];
+  return createRateCard(queryable, {
+    equipmentId,
+    name: 'List rates',
+    rates,
+    effectiveFrom: dates.today,
+    effectiveTo: dates.effective_to
+  }, { user });
+};
+
+/**
+ * The customer a quotation is priced for: its customerId, else the customer
+ * the quotation would be saved against (matched by email or name, as on create)
+ */
+export const findPricingCustomerId = async (queryable, data = {}) => {
+  const customerId = data.customerId || data.customer_id;
+  if (customerId) return customerId;
+  const email = data.customerEmail || null;
+  const name = data.customerName || null;
+  if (!email && !name) return null;
+  const result = await queryable.query(
+    'SELECT id FROM customers WHERE email = $1 OR name = $2 LIMIT 1',
+    [email, name]
+  );
+  return result.rows[0]?.id || null;
+};
@@ -0,0 +1,350 @@
+/**
+ * Site Assessment Service
+ * Site assessments made before quoting or mobilizing: where the crane will
+ * stand, the constraint checklist (ground bearing, overhead lines, access
+ * width and height, slope), photos and videos of the site.
+ *
+ * An assessment belongs to a customer, a lead or a job (the customer is taken
+ * from the lead or job when not given). A quotation can be priced on an
+ * assessment (quotations.site_assessment_id); converting the quotation into a
+ * job links the assessment to the job.
+ *
+ * Media files are stored on disk; the uploading browser makes the JPEG
+ * thumbnail (a frame for videos), so no image tooling is needed here.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+export const GROUND_TYPES = ['concrete', 'asphalt', 'compacted_soil', 'gravel', 'soft_soil', 'other'];
+export const CONSTRAINT_KEYS = ['ground_bearing', 'overhead_lines', 'access', 'slope', 'other'];
+export const MEDIA_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/quicktime'];
+export const MAX_MEDIA_SIZE_MB = 100;
+
+const NOTE_KEYS = ['groundBearing', 'overheadLines', 'access', 'slope', 'other'];
+const MAX_TITLE_LENGTH = 255;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_CAPTION_LENGTH = 255;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+// API field -> column, for inserts and partial updates
+const ASSESSMENT_FIELDS = {
+  title: 'title',
+  description: 'description',
+  customerId: 'customer_id',
+  leadId: 'lead_id',
+  jobId: 'job_id',
+  location: 'location',
+  constraints: 'constraints',
+  notes: 'notes',
+  groundType: 'ground_type',
+  groundBearingCapacity: 'ground_bearing_capacity',
+  groundMatsRequired: 'ground_mats_required',
+  overheadLinesPresent: 'overhead_lines_present',
+  overheadLineClearanceM: 'overhead_line_clearance_m',
+  overheadLineVoltageKv: 'overhead_line_voltage_kv',
+  accessWidthM: 'access_width_m',
+  accessHeightM: 'access_height_m',
+  slopeDegrees: 'slope_degrees',
+  constraintNotes: 'constraint_notes',
+  liftLoadTons: 'lift_load_tons',
+  liftRadiusM: 'lift_radius_m',
+  liftHeightM: 'lift_height_m'
+};
+
+// Numeric checklist fields with the range each must fall in
+const MEASUREMENTS = {
+  groundBearingCapacity: { label: 'Ground bearing capacity', min: 0, exclusiveMin: true },
+  overheadLineClearanceM: { label: 'Overhead line clearance', min: 0 },
+  overheadLineVoltageKv: { label: 'Overhead line voltage', min: 0 },
+  accessWidthM: { label: 'Access width', min: 0, exclusiveMin: true },
+  accessHeightM: { label: 'Access height', min: 0, exclusiveMin: true },
+  slopeDegrees: { label: 'Slope', min: 0, max: 89.99 },
+  liftLoadTons: { label: 'Load weight', min: 0, exclusiveMin: true },
+  liftRadiusM: { label: 'Working radius', min: 0, exclusiveMin: true },
+  liftHeightM: { label: 'Hook height', min: 0 }
+};
+
+const mapMediaRow = (row) => ({
+  id: row.id,
+  assessmentId: row.assessment_id,
+  mediaType: row.media_type,
+  caption: row.caption,
+  fileName: row.file_name,
+  fileMimeType: row.file_mime_type,
+  fileSize: row.file_size,
+  hasThumbnail: Boolean(row.thumbnail_path),
+  uploadedBy: row.uploaded_by,
+  createdAt: row.created_at
+});
+
+const mapAssessmentRow = (row, { media = [], quotations = [] } = {}) => ({
+  id: row.id,
+  title: row.title,
+  description: row.description,
+  customerId: row.customer_id,
+  customerName: row.customer_name || null,
+  leadId: row.lead_id,
+  leadName: row.lead_name || null,
+  jobId: row.job_id,
+  jobTitle: row.job_title || null,
+  location: row.location,
+  constraints: row.constraints || [],
+  notes: row.notes,
+  groundType: row.ground_type,
+  groundBearingCapacity: toNumberOrNull(row.ground_bearing_capacity),
+  groundMatsRequired: row.ground_mats_required,
+  overheadLinesPresent: row.overhead_lines_present,
+  overheadLineClearanceM: toNumberOrNull(row.overhead_line_clearance_m),
+  overheadLineVoltageKv: toNumberOrNull(row.overhead_line_voltage_kv),
+  accessWidthM: toNumberOrNull(row.access_width_m),
+  accessHeightM: toNumberOrNull(row.access_height_m),
+  slopeDegrees: toNumberOrNull(row.slope_degrees),
+  constraintNotes: row.constraint_notes || {},
+  liftLoadTons: toNumberOrNull(row.lift_load_tons),
+  liftRadiusM: toNumberOrNull(row.lift_radius_m),
+  liftHeightM: toNumberOrNull(row.lift_height_m),
+  mediaCount: row.media_count !== undefined ? Number(row.media_count) : media.length,
+  media,
+  quotations,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const ASSESSMENT_SELECT = `
+  SELECT a.*, c.name AS customer_name, l.customer_name AS lead_name, j.title AS job_title,
+         (SELECT COUNT(*) FROM site_assessment_media m WHERE m.assessment_id = a.id) AS media_count
+  FROM site_assessments a
+  LEFT JOIN customers c ON c.id = a.customer_id
+  LEFT JOIN leads l ON l.id = a.lead_id
+  LEFT JOIN jobs j ON j.id = a.job_id
+`;
+
+/**
+ * Assessments, newest first. Filters: customerId, leadId, jobId, quotationId
+ * (the assessment that quotation was priced on) and a title/location search.
+ */
+export const listSiteAssessments = async (queryable, {
+  customerId = null,
+  leadId = null,
+  jobId = null,
+  quotationId = null,
+  search = null
+} = {}) => {
+  const result = await queryable.query(`
+    ${ASSESSMENT_SELECT}
+    WHERE ($1::varchar IS NULL OR a.customer_id = $1)
+      AND ($2::varchar IS NULL OR a.lead_id = $2)
+      AND ($3::varchar IS NULL OR a.job_id = $3)
+      AND ($4::varchar IS NULL OR a.id = (SELECT site_assessment_id FROM quotations WHERE id = $4))
+      AND ($5::text IS NULL OR a.title ILIKE '%' || $5 || '%' OR a.location ILIKE '%' || $5 || '%')
+    ORDER BY a.created_at DESC
+  `, [customerId, leadId, jobId, quotationId, search]);
+  return result.rows.map(row => mapAssessmentRow(row));
+};
+
+export const listAssessmentMedia = async (queryable, assessmentId) => {
+  const result = await queryable.query(
+    'SELECT * FROM site_assessment_media WHERE assessment_id = $1 ORDER BY created_at ASC, id ASC',
+    [assessmentId]
+  );
+  return result.rows.map(mapMediaRow);
+};
+
+/**
+ * Assessment with its media and the quotations priced on it, or null
+ */
+export const getSiteAssessment = async (queryable, assessmentId) => {
+  const result = await queryable.query(`${ASSESSMENT_SELECT} WHERE a.id = $1`, [assessmentId]);
+  if (!result.rows[0]) return null;
+  const [media, quotationResult] = await Promise.all([
+    listAssessmentMedia(queryable, assessmentId),
+    queryable.query(
+      'SELECT id, quotation_number, status FROM quotations WHERE site_assessment_id = $1 ORDER BY created_at ASC',
+      [assessmentId]
+    )
+  ]);
+  const quotations = quotationResult.rows.map(row => ({
+    id: row.id,
+    quotationNumber: row.quotation_number,
+    status: row.status
+  }));
+  return mapAssessmentRow(result.rows[0], { media, quotations });
+};
+
+/**
+ * Validate an assessment. With `partial`, only the fields present are
+ * checked. Returns an error message, or null when valid.
+ */
+export const validateAssessment = (fields, { partial = false } = {}) => {
+  if (!partial || fields.title !== undefined) {
+    if (!isSet(fields.title) || !String(fields.title).trim()) return 'title is required';
+    if (String(fields.title).length > MAX_TITLE_LENGTH) return `title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (!partial || fields.location !== undefined) {
+    if (!isSet(fields.location) || !String(fields.location).trim()) return 'location is required';
+  }
+  if (!partial && !isSet(fields.customerId) && !isSet(fields.leadId) && !isSet(fields.jobId)) {
+    return 'An assessment needs a customer, lead or job';
+  }
+  if (String(fields.description || '').length > MAX_TEXT_LENGTH) return `description must be at most ${MAX_TEXT_LENGTH} characters`;
+  if (String(fields.notes || '').length > MAX_TEXT_LENGTH) return `notes must be at most ${MAX_TEXT_LENGTH} characters`;
+  if (isSet(fields.groundType) && !GROUND_TYPES.includes(fields.groundType)) {
+    return `groundType must be one of ${GROUND_TYPES.join(', ')}`;
+  }
+  for (const [field, { label, min, max, exclusiveMin }] of Object.entries(MEASUREMENTS)) {
+    if (!isSet(fields[field])) continue;
+    const value = Number(fields[field]);
+    if (isNaN(value) || value < min || (exclusiveMin && value === min) || (max !== undefined && value > max)) {
+      return `${label} is out of range`;
+    }
+  }
+  if (fields.constraints !== undefined) {
+    if (!Array.isArray(fields.constraints) || fields.constraints.some(key => !CONSTRAINT_KEYS.includes(key))) {
+      return `constraints must be a list of ${CONSTRAINT_KEYS.join(', ')}`;
+    }
+  }
+  if (fields.constraintNotes !== undefined && fields.constraintNotes !== null) {
+    const notes = fields.constraintNotes;
+    if (typeof notes !== 'object' || Array.isArray(notes) || Object.keys(notes).some(key => !NOTE_KEYS.includes(key))) {
+      return `constraintNotes may only have ${NOTE_KEYS.join(', ')}`;
+    }
+    if (Object.values(notes).some(note => String(note || '').length > MAX_TEXT_LENGTH)) {
+      return `Constraint notes must be at most ${MAX_TEXT_LENGTH} characters`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check the customer, lead and job an assessment is linked to exist, and fill
+ * in the customer from the lead or job. Returns { fields } or { status, message }.
+ */
+export const resolveAssessmentLinks = async (queryable, fields) => {
+  const resolved = { ...fields };
+  if (isSet(fields.jobId)) {
+    const job = await queryable.query('SELECT customer_id FROM jobs WHERE id = $1', [fields.jobId]);
+    if (!job.rows[0]) return { status: 404, message: 'Job not found' };
+    if (!isSet(resolved.customerId)) resolved.customerId = job.rows[0].customer_id;
+  }
+  if (isSet(fields.leadId)) {
+    const lead = await queryable.query('SELECT customer_id FROM leads WHERE id = $1', [fields.leadId]);
+    if (!lead.rows[0]) return { status: 404, message: 'Lead not found' };
+    if (!isSet(resolved.customerId) && lead.rows[0].customer_id) resolved.customerId = lead.rows[0].customer_id;
+  }
+  if (isSet(fields.customerId)) {
+    const customer = await queryable.query('SELECT 1 FROM customers WHERE id = $1', [resolved.customerId]);
+    if (!customer.rows[0]) return { status: 404, message: 'Customer not found' };
+  }
+  return { fields: resolved };
+};
+
+const columnValue = (field, value) => {
+  if (value === '') return null;
+  if (field === 'constraintNotes') return JSON.stringify(value || {});
+  return value;
+};
+
+export const createSiteAssessment = async (queryable, fields, { user = null } = {}) => {
+  const columns = ['created_by'];
+  const values = [user?.id || null];
+  for (const [field, column] of Object.entries(ASSESSMENT_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    columns.push(column);
+    values.push(columnValue(field, fields[field]));
+  }
+  const result = await queryable.query(`
+    INSERT INTO site_assessments (${columns.join(', ')})
+    VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+    RETURNING id
+  `, values);
+  return getSiteAssessment(queryable, result.rows[0].id);
+};
+
+export const updateSiteAssessment = async (queryable, assessmentId, changes) => {
+  const sets = [];
+  const values = [assessmentId];
+  for (const [field, column] of Object.entries(ASSESSMENT_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    values.push(columnValue(field, changes[field]));
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (sets.length === 0) return getSiteAssessment(queryable, assessmentId);
+
+  const result = await queryable.query(
+    `UPDATE site_assessments SET ${sets.join(', ')} WHERE id = $1 RETURNING id`,
+    values
+  );
+  if (!result.rows[0]) return null;
+  return getSiteAssessment(queryable, assessmentId);
+};
+
+/**
+ * Delete an assessment. Returns the stored files of its media to remove, or
+ * null when it does not exist.
+ */
+export const deleteSiteAssessment = async (queryable, assessmentId) => {
+  const media = await queryable.query(
+    'SELECT file_path, thumbnail_path FROM site_assessment_media WHERE assessment_id = $1',
+    [assessmentId]
+  );
+  const result = await queryable.query('DELETE FROM site_assessments WHERE id = $1', [assessmentId]);
+  if (result.rowCount === 0) return null;
+  return media.rows.flatMap(row => [row.file_path, row.thumbnail_path]).filter(Boolean);
+};
+
+export const validateMediaCaption = (caption) => (
+  String(caption || '').length > MAX_CAPTION_LENGTH ? `caption must be at most ${MAX_CAPTION_LENGTH} characters` : null
+);
+
+/**
+ * Add a stored photo or video to an assessment with its thumbnail, if any
+ */
+export const addAssessmentMedia = async (queryable, assessmentId, { caption }, { file, thumbnail = null, user = null }) => {
+  const result = await queryable.query(`
+    INSERT INTO site_assessment_media (
+      assessment_id, media_type, caption, file_path, file_name, file_mime_type, file_size, thumbnail_path, uploaded_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    assessmentId,
+    file.mimeType.startsWith('video/') ? 'video' : 'image',
+    isSet(caption) ? String(caption).trim() : null,
+    file.path,
+    file.originalName,
+    file.mimeType,
+    file.size,
+    thumbnail?.path || null,
+    user?.id || null
+  ]);
+  return mapMediaRow(result.rows[0]);
+};
+
+/**
+ * Media item with the paths of its stored file and thumbnail, or null
+ */
+export const getAssessmentMedia = async (queryable, mediaId) => {
+  const result = await queryable.query('SELECT * FROM site_assessment_media WHERE id = $1', [mediaId]);
+  const row = result.rows[0];
+  if (!row) return null;
+  return { ...mapMediaRow(row), filePath: row.file_path, thumbnailPath: row.thumbnail_path };
+};
+
+export const deleteAssessmentMedia = async (queryable, mediaId) => {
+  const result = await queryable.query('DELETE FROM site_assessment_media WHERE id = $1', [mediaId]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Price a quotation on an assessment (null detaches it). Returns false when
+ * the quotation does not exist.
+ */
+export const setQuotationAssessment = async (queryable, quotationId, assessmentId) => {
+  const result = await queryable.query(
+    'UPDATE quotations SET site_assessment_id = $2 WHERE id = $1',
+    [quotationId, assessmentId]
+  );
+  return result.rowCount > 0;
+};
@@ -0,0 +1,206 @@
+/**
+ * Surcharge Service
+ * Named surcharges of the `surcharges` config, priced into quotations as lines.
+ *
+ * A rule adds a percentage of the working cost or a fixed amount, charged once
+ * or per rental day. It applies when all of its conditions hold: order types,
+ * crane categories, a site distance band (minimum inclusive, maximum
+ * exclusive), night shift, Sunday working and the customer's region (GST state
+ * code). Conditions left out match any quotation. 'auto' rules apply whenever
+ * they match, 'optional' ones only when the quotation selects them. A
+ * percentage limited to categories is taken on the working cost of those
+ * cranes only.
+ *
+ * Quotations store the lines they were priced with; a line's customAmount
+ * replaces the calculated amount.
+ *
+ * Database functions take a pg queryable (pool or a checked-out client).
+ */
+
+import { getConfig, DEFAULT_CONFIGS } from './postgres/configRepository.js';
+import { getStateCodeFromGstin, resolveStateCode } from './gstService.js';
+
+export const SURCHARGE_TYPES = ['percent', 'fixed'];
+export const SURCHARGE_PERIODS = ['once', 'day'];
+export const SURCHARGE_MODES = ['auto', 'optional'];
+
+const ORDER_TYPES = ['micro', 'small', 'monthly', 'yearly'];
+const EQUIPMENT_CATEGORIES = ['mobile_crane', 'tower_crane', 'crawler_crane', 'pick_and_carry_crane'];
+
+const RULE_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const MAX_NAME_LENGTH = 100;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const hasItems = (list) => Array.isArray(list) && list.length > 0;
+
+const isListOf = (value, allowed) => Array.isArray(value) && value.every(item => allowed(item));
+
+const validateConditions = (conditions) => {
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return 'conditions must be an object';
+  }
+  if (conditions.orderTypes !== undefined && !isListOf(conditions.orderTypes, type => ORDER_TYPES.includes(type))) {
+    return `orderTypes must be among ${ORDER_TYPES.join(', ')}`;
+  }
+  if (conditions.categories !== undefined && !isListOf(conditions.categories, category => EQUIPMENT_CATEGORIES.includes(category))) {
+    return `categories must be among ${EQUIPMENT_CATEGORIES.join(', ')}`;
+  }
+  if (conditions.regions !== undefined && !isListOf(conditions.regions, region => resolveStateCode(region) === region)) {
+    return 'regions must be two digit GST state codes';
+  }
+  for (const key of ['minDistanceKm', 'maxDistanceKm']) {
+    const value = conditions[key];
+    if (isSet(value) && (isNaN(Number(value)) || Number(value) < 0)) {
+      return `${key} must be a number of at least 0`;
+    }
+  }
+  if (isSet(conditions.minDistanceKm) && isSet(conditions.maxDistanceKm) &&
+    Number(conditions.maxDistanceKm) <= Number(conditions.minDistanceKm)) {
+    return 'maxDistanceKm must be greater than minDistanceKm';
+  }
+  for (const key of ['nightShift', 'sundayWorking']) {
+    if (conditions[key] !== undefined && typeof conditions[key] !== 'boolean') {
+      return `${key} must be true or false`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate the rule list of the `surcharges` config.
+ * Returns an error message, or null when valid.
+ */
+export const validateSurchargeRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return 'rules must be a list';
+  }
+  const ids = new Set();
+  for (const [index, rule] of rules.entries()) {
+    const label = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      return `${label} must be an object`;
+    }
+    if (!RULE_ID_PATTERN.test(String(rule.id || ''))) {
+      return `${label}: id must be at most 50 letters, digits, _ or -`;
+    }
+    if (ids.has(rule.id)) {
+      return `${label}: id "${rule.id}" is used by another rule`;
+    }
+    ids.add(rule.id);
+    if (!isSet(rule.name) || String(rule.name).trim().length > MAX_NAME_LENGTH) {
+      return `${label}: name is required (at most ${MAX_NAME_LENGTH} characters)`;
+    }
+    if (!SURCHARGE_TYPES.includes(rule.type)) {
+      return `${label}: type must be one of ${SURCHARGE_TYPES.join(', ')}`;
+    }
+    if (!isSet(rule.amount) || isNaN(Number(rule.amount)) || Number(rule.amount) < 0) {
+      return `${label}: amount must be a number of at least 0`;
+    }
+    if (rule.type === 'fixed' && !SURCHARGE_PERIODS.includes(rule.per)) {
+      return `${label}: per must be one of ${SURCHARGE_PERIODS.join(', ')}`;
+    }
+    if (!SURCHARGE_MODES.includes(rule.apply)) {
+      return `${label}: apply must be one of ${SURCHARGE_MODES.join(', ')}`;
+    }
+    const conditionError = validateConditions(rule.conditions ?? {});
+    if (conditionError) {
+      return `${label}: ${conditionError}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Active rules of the `surcharges` config, falling back to the default rules
+ * when none are stored
+ */
+export const getSurchargeRules = async () => {
+  const config = await getConfig('surcharges');
+  const rules = Array.isArray(config?.rules) ? config.rules : DEFAULT_CONFIGS.surcharges.rules;
+  return rules.filter(rule => rule && rule.active !== false);
+};
+
+/**
+ * GST state code of a customer from its GSTIN, else its state; null when unknown
+ */
+export const getCustomerRegion = async (q, customerId) => {
+  if (!customerId) return null;
+  const result = await q.query('SELECT gstin, state FROM customers WHERE id = $1', [customerId]);
+  const customer = result.rows[0];
+  if (!customer) return null;
+  return getStateCodeFromGstin(customer.gstin) || resolveStateCode(customer.state);
+};
+
+/**
+ * Whether a rule's conditions hold for a quotation.
+ * context: { orderType, categories, siteDistance, nightShift, sundayWorking, region }
+ */
+export const surchargeRuleMatches = (rule, context) => {
+  const conditions = rule.conditions || {};
+  if (hasItems(conditions.orderTypes) && !conditions.orderTypes.includes(context.orderType)) return false;
+  if (hasItems(conditions.categories) && !context.categories.some(category => conditions.categories.includes(category))) return false;
+  if (isSet(conditions.minDistanceKm) && context.siteDistance < Number(conditions.minDistanceKm)) return false;
+  if (isSet(conditions.maxDistanceKm) && context.siteDistance >= Number(conditions.maxDistanceKm)) return false;
+  if (conditions.nightShift === true && !context.nightShift) return false;
+  if (conditions.sundayWorking === true && !context.sundayWorking) return false;
+  if (hasItems(conditions.regions) && !conditions.regions.includes(context.region)) return false;
+  return true;
+};
+
+/**
+ * Price the surcharge lines of a quotation.
+ * machines are { category, workingCost }; selections are { ruleId, customAmount }
+ * for the optional rules chosen and any amounts entered by hand. Returns the
+ * lines and warnings for selections that were left out.
+ */
+export const priceSurcharges = (rules, { selections = [], machines = [], numberOfDays = 0, ...context }) => {
+  const selected = new Map(selections.map(selection => [selection.ruleId, selection]));
+  const categories = machines.map(machine => machine.category);
+  const lines = [];
+  const warnings = [];
+
+  for (const rule of rules) {
+    const selection = selected.get(rule.id);
+    const optional = rule.apply === 'optional';
+    if (optional && !selection) continue;
+    if (!surchargeRuleMatches(rule, { ...context, categories })) {
+      if (optional) warnings.push(`Surcharge "${rule.name}" does not apply to this quotation and was left out`);
+      continue;
+    }
+
+    const rate = Number(rule.amount) || 0;
+    let calculated;
+    if (rule.type === 'percent') {
+      const ruleCategories = rule.conditions?.categories;
+      const base = machines
+        .filter(machine => !hasItems(ruleCategories) || ruleCategories.includes(machine.category))
+        .reduce((sum, machine) => sum + machine.workingCost, 0);
+      calculated = base * (rate / 100);
+    } else {
+      calculated = rule.per === 'day' ? rate * numberOfDays : rate;
+    }
+    const customAmount = selection && isSet(selection.customAmount) ? Number(selection.customAmount) : null;
+
+    lines.push({
+      ruleId: rule.id,
+      name: rule.name,
+      type: rule.type,
+      rate,
+      per: rule.type === 'fixed' ? rule.per : null,
+      apply: optional ? 'optional' : 'auto',
+      amount: round2(customAmount ?? calculated),
+      customAmount
+    });
+  }
+
+  for (const ruleId of selected.keys()) {
+    if (!rules.some(rule => rule.id === ruleId)) {
+      warnings.push(`Surcharge "${ruleId}" is no longer configured and was left out`);
+    }
+  }
+
+  return { lines, warnings };
+};
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { AdvancedPDFGenerator } from '../services/AdvancedPDFGenerator.mjs';
+import { splitGst } from '../services/gstService.js';
 
 // Initialize PDF generator
 const pdfGenerator = new AdvancedPDFGenerator();
@@ -59,6 +60,10 @@ function generateQuotationHTML(quotation, companyInfo) {
   const subtotal = calculateSubtotal(quotation.items);
   const gstAmount = subtotal * (quotation.gstRate / 100);
   const total = subtotal + gstAmount;
+  const gst = splitGst(gstAmount, quotation.gstRate, quotation.supplyType);
+  const taxLines = quotation.supplyType === 'inter_state'
+    ? [[`IGST (${gst.igstRate}%)`, gst.igstAmount]]
+    : [[`CGST (${gst.cgstRate}%)`, gst.cgstAmount], [`SGST (${gst.sgstRate}%)`, gst.sgstAmount]];
 
   return `
     <!DOCTYPE html>
@@ -308,6 +313,12 @@ function generateQuotationHTML(quotation, companyInfo) {
                 <span class="detail-label">GST Rate:</span>
                 <span class="detail-value">${quotation.gstRate}%</span>
               </div>
+              ${quotation.placeOfSupply ? `
+                <div class="detail-item">
+                  <span class="detail-label">Place of Supply:</span>
+                  <span class="detail-value">${quotation.placeOfSupply}</span>
+                </div>
+              ` : ''}
             </div>
           </div>
           
@@ -339,10 +350,12 @@ function generateQuotationHTML(quotation, companyInfo) {
               <span>Subtotal:</span>
               <span>₹${subtotal.toLocaleString('en-IN')}</span>
             </div>
-            <div class="total-row">
-              <span>GST (${quotation.gstRate}%):</span>
-              <span>₹${gstAmount.toLocaleString('en-IN')}</span>
-            </div>
+            ${taxLines.map(([label, amount]) => `
+              <div class="total-row">
+                <span>${label}:</span>
+                <span>₹${amount.toLocaleString('en-IN')}</span>
+              </div>
+            `).join('')}
             <div class="total-row">
               <span>Total Amount:</span>
               <span>₹${total.toLocaleString('en-IN')}</span>
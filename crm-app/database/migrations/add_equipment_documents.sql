@@ -0,0 +1,49 @@
+-- Migration: Equipment document register
+-- Purpose: Registrations, fitness certificates, insurance, load-test
+-- certificates and inspection reports per crane, with the uploaded file and
+-- expiry date. Mandatory documents that expire before a job ends keep the
+-- crane off that job; expiry reminders go out ahead of time.
+
+CREATE TABLE IF NOT EXISTS equipment_documents (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'edoc_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    equipment_id VARCHAR(50) NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+    document_type VARCHAR(40) NOT NULL CHECK (document_type IN (
+        'registration', 'fitness_certificate', 'insurance', 'load_test_certificate',
+        'third_party_inspection', 'pollution_certificate', 'road_tax', 'other'
+    )),
+    document_number VARCHAR(100),
+    issuing_authority VARCHAR(255),
+    issue_date DATE,
+    expiry_date DATE,
+    is_mandatory BOOLEAN NOT NULL DEFAULT FALSE,
+    file_path VARCHAR(500),
+    file_name VARCHAR(255),
+    file_mime_type VARCHAR(100),
+    file_size INTEGER,
+    notes TEXT,
+    uploaded_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT equipment_document_dates CHECK (expiry_date IS NULL OR issue_date IS NULL OR expiry_date >= issue_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_documents_equipment ON equipment_documents(equipment_id, document_type);
+CREATE INDEX IF NOT EXISTS idx_equipment_documents_expiry ON equipment_documents(expiry_date) WHERE expiry_date IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_equipment_documents_updated_at ON equipment_documents;
+CREATE TRIGGER update_equipment_documents_updated_at
+BEFORE UPDATE ON equipment_documents
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Start every crane's register with its registration, which does not expire
+INSERT INTO equipment_documents (equipment_id, document_type, issue_date, is_mandatory, notes)
+SELECT e.id, 'registration', e.registration_date, TRUE, 'Created from the equipment registration date'
+FROM equipment e
+WHERE NOT EXISTS (
+    SELECT 1 FROM equipment_documents d WHERE d.equipment_id = e.id AND d.document_type = 'registration'
+);
+
+COMMENT ON TABLE equipment_documents IS 'Statutory documents and certificates of each crane';
+COMMENT ON COLUMN equipment_documents.expiry_date IS 'Last day the document is valid; NULL when it does not expire';
+COMMENT ON COLUMN equipment_documents.is_mandatory IS 'A crane cannot work past the expiry of its latest mandatory document of this type';
+COMMENT ON COLUMN equipment_documents.file_path IS 'Uploaded file under uploads/equipment-documents';
@@ -0,0 +1,76 @@
+-- Migration: Preventive maintenance for equipment
+-- Purpose: Maintenance plans per crane (every N days and/or every N engine
+-- hours) and a work-order log with cost, parts and downtime. A crane is in
+-- `maintenance` status while one of its work orders is in progress, and jobs
+-- cannot be booked on it during a planned or running work order.
+
+ALTER TABLE equipment ADD COLUMN IF NOT EXISTS engine_hours NUMERIC(10, 1) NOT NULL DEFAULT 0 CHECK (engine_hours >= 0);
+
+CREATE TABLE IF NOT EXISTS maintenance_plans (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'mpl_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    equipment_id VARCHAR(50) NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    interval_days INTEGER CHECK (interval_days > 0),
+    interval_hours NUMERIC(10, 1) CHECK (interval_hours > 0),
+    last_performed_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    last_performed_hours NUMERIC(10, 1) NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    alert_sent_at TIMESTAMP WITH TIME ZONE,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT maintenance_plan_has_interval CHECK (interval_days IS NOT NULL OR interval_hours IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_equipment_id ON maintenance_plans(equipment_id);
+
+CREATE TABLE IF NOT EXISTS maintenance_work_orders (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'mwo_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    equipment_id VARCHAR(50) NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+    plan_id VARCHAR(50) REFERENCES maintenance_plans(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'preventive'
+        CHECK (type IN ('preventive', 'breakdown', 'inspection')),
+    status VARCHAR(20) NOT NULL DEFAULT 'planned'
+        CHECK (status IN ('planned', 'in_progress', 'completed', 'cancelled')),
+    planned_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    planned_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    actual_start TIMESTAMP WITH TIME ZONE,
+    actual_end TIMESTAMP WITH TIME ZONE,
+    engine_hours NUMERIC(10, 1) CHECK (engine_hours >= 0),
+    labour_cost NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (labour_cost >= 0),
+    parts JSONB NOT NULL DEFAULT '[]',
+    parts_cost NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (parts_cost >= 0),
+    total_cost NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (total_cost >= 0),
+    downtime_hours NUMERIC(10, 1),
+    performed_by VARCHAR(255),
+    notes TEXT,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    completed_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT maintenance_window_order CHECK (planned_end > planned_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_work_orders_equipment_id ON maintenance_work_orders(equipment_id);
+CREATE INDEX IF NOT EXISTS idx_maintenance_work_orders_open
+    ON maintenance_work_orders(planned_start, planned_end) WHERE status IN ('planned', 'in_progress');
+
+DROP TRIGGER IF EXISTS update_maintenance_plans_updated_at ON maintenance_plans;
+CREATE TRIGGER update_maintenance_plans_updated_at
+BEFORE UPDATE ON maintenance_plans
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_maintenance_work_orders_updated_at ON maintenance_work_orders;
+CREATE TRIGGER update_maintenance_work_orders_updated_at
+BEFORE UPDATE ON maintenance_work_orders
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN equipment.engine_hours IS 'Latest hour meter reading';
+COMMENT ON TABLE maintenance_plans IS 'Recurring preventive maintenance, due every interval_days and/or interval_hours';
+COMMENT ON COLUMN maintenance_plans.last_performed_hours IS 'Hour meter reading when the plan was last carried out; the next service is due interval_hours later';
+COMMENT ON COLUMN maintenance_plans.alert_sent_at IS 'When the due-soon alert for the current cycle went out; cleared when the plan is carried out';
+COMMENT ON TABLE maintenance_work_orders IS 'Maintenance carried out or planned on a crane; jobs cannot be booked during planned or running work orders';
+COMMENT ON COLUMN maintenance_work_orders.parts IS 'Parts used: [{ name, partNumber, quantity, unitCost }]';
+COMMENT ON COLUMN maintenance_work_orders.downtime_hours IS 'Hours between actual start and actual end';
@@ -0,0 +1,34 @@
+-- Migration: Split GST into CGST/SGST/IGST
+-- Purpose: Customers carry a GSTIN and state so the place of supply can be
+-- determined. Quotations store the tax split: CGST + SGST for intra-state
+-- supply, IGST for inter-state supply.
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS gstin VARCHAR(15);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS state VARCHAR(100);
+
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS supply_type VARCHAR(20) NOT NULL DEFAULT 'intra_state'
+    CHECK (supply_type IN ('intra_state', 'inter_state'));
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS place_of_supply VARCHAR(100);
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS place_of_supply_code VARCHAR(2);
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS customer_gstin VARCHAR(15);
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS cgst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS cgst_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS sgst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS sgst_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS igst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS igst_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- Existing quotations were priced at a flat 18% and are treated as intra-state
+UPDATE quotations
+SET cgst_rate = 9,
+    sgst_rate = 9,
+    cgst_amount = ROUND(gst_amount / 2, 2),
+    sgst_amount = gst_amount - ROUND(gst_amount / 2, 2)
+WHERE gst_amount > 0 AND cgst_amount = 0 AND sgst_amount = 0 AND igst_amount = 0;
+
+COMMENT ON COLUMN customers.gstin IS '15 character GSTIN; its first two digits are the state code';
+COMMENT ON COLUMN customers.state IS 'Billing state, used as place of supply when the customer has no GSTIN';
+COMMENT ON COLUMN quotations.supply_type IS 'intra_state (CGST + SGST) or inter_state (IGST), from the company and customer states';
+COMMENT ON COLUMN quotations.place_of_supply IS 'State name of the place of supply at the time the quotation was priced';
+COMMENT ON COLUMN quotations.place_of_supply_code IS 'Two digit GST state code of the place of supply';
+COMMENT ON COLUMN quotations.customer_gstin IS 'Customer GSTIN at the time the quotation was priced';
@@ -0,0 +1,64 @@
+-- Migration: Invoice payments and scheduled notifications
+-- Purpose: Payments received against invoices (partial payments, several modes,
+-- TDS deducted by the customer) and the scheduled_notifications table the
+-- notification engine processes, used for payment overdue reminders.
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'pay_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    invoice_id VARCHAR(50) NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (amount >= 0),
+    tds_amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (tds_amount >= 0),
+    tds_section VARCHAR(10),
+    mode VARCHAR(20) NOT NULL
+        CHECK (mode IN ('cash', 'cheque', 'neft', 'rtgs', 'imps', 'upi', 'card', 'other')),
+    reference VARCHAR(100),
+    notes TEXT,
+    recorded_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT payment_settles_something CHECK (amount + tds_amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice_id ON invoice_payments(invoice_id);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tds_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS scheduled_notifications (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    recipients JSONB NOT NULL DEFAULT '[]',
+    data JSONB NOT NULL DEFAULT '{}',
+    channels JSONB NOT NULL DEFAULT '[]',
+    priority VARCHAR(20) NOT NULL DEFAULT 'medium',
+    reference_type VARCHAR(50),
+    reference_id VARCHAR(50),
+    scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'failed', 'cancelled')),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_notifications_due
+    ON scheduled_notifications(scheduled_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_scheduled_notifications_reference
+    ON scheduled_notifications(reference_type, reference_id);
+
+CREATE TABLE IF NOT EXISTS notification_logs (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    type VARCHAR(50) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    recipient VARCHAR(255),
+    success BOOLEAN NOT NULL DEFAULT FALSE,
+    message_id VARCHAR(255),
+    error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN invoice_payments.amount IS 'Amount actually received';
+COMMENT ON COLUMN invoice_payments.tds_amount IS 'Tax deducted at source by the customer; settles the invoice like a payment';
+COMMENT ON COLUMN invoices.amount_paid IS 'Amount received plus TDS deducted, across all payments';
+COMMENT ON COLUMN invoices.tds_amount IS 'TDS deducted across all payments';
+COMMENT ON TABLE scheduled_notifications IS 'Notifications queued for later delivery by the notification engine';
@@ -0,0 +1,91 @@
+-- Migration: Invoices
+-- Purpose: Tax invoices raised from accepted quotations or completed jobs.
+-- Invoices start as drafts and get a sequential number per financial year
+-- when they are issued, so issued numbers have no gaps.
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'inv_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    invoice_number VARCHAR(16) UNIQUE,
+    financial_year VARCHAR(7),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'issued', 'partially_paid', 'paid', 'void')),
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('quotation', 'job')),
+    quotation_id VARCHAR(50) REFERENCES quotations(id) ON DELETE SET NULL,
+    job_id VARCHAR(50) REFERENCES jobs(id) ON DELETE SET NULL,
+    deal_id VARCHAR(50) REFERENCES deals(id) ON DELETE SET NULL,
+    customer_id VARCHAR(50) NOT NULL REFERENCES customers(id) ON DELETE RESTRICT,
+    customer_name VARCHAR(255) NOT NULL,
+    customer_address TEXT,
+    customer_gstin VARCHAR(15),
+    billing_period_start DATE,
+    billing_period_end DATE,
+    billable_days INTEGER CHECK (billable_days > 0),
+    subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (subtotal >= 0),
+    supply_type VARCHAR(20) NOT NULL DEFAULT 'intra_state'
+        CHECK (supply_type IN ('intra_state', 'inter_state')),
+    place_of_supply VARCHAR(100),
+    place_of_supply_code VARCHAR(2),
+    cgst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    cgst_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    sgst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    sgst_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    igst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    igst_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    gst_amount NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (gst_amount >= 0),
+    total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (total_amount >= 0),
+    amount_paid NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (amount_paid >= 0),
+    issue_date DATE,
+    due_date DATE,
+    notes TEXT,
+    void_reason TEXT,
+    voided_at TIMESTAMP WITH TIME ZONE,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    issued_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT invoice_must_have_source CHECK (quotation_id IS NOT NULL OR job_id IS NOT NULL),
+    CONSTRAINT issued_invoice_has_number CHECK (status = 'draft' OR status = 'void' OR invoice_number IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'invi_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    invoice_id VARCHAR(50) NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    description TEXT NOT NULL,
+    sac_code VARCHAR(10),
+    quantity NUMERIC(10, 2) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    unit VARCHAR(20) NOT NULL DEFAULT 'Nos',
+    rate NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (rate >= 0),
+    amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (amount >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (invoice_id, line_number)
+);
+
+-- Last number issued per financial year (e.g. '2026-27')
+CREATE TABLE IF NOT EXISTS invoice_number_sequences (
+    financial_year VARCHAR(7) PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0 CHECK (last_number >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_customer_id ON invoices(customer_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+CREATE INDEX IF NOT EXISTS idx_invoices_due_date ON invoices(due_date);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items(invoice_id);
+
+-- A job or quotation is billed by at most one live invoice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_job_unique
+    ON invoices(job_id) WHERE job_id IS NOT NULL AND status <> 'void';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_quotation_unique
+    ON invoices(quotation_id) WHERE job_id IS NULL AND quotation_id IS NOT NULL AND status <> 'void';
+
+DROP TRIGGER IF EXISTS update_invoices_updated_at ON invoices;
+CREATE TRIGGER update_invoices_updated_at
+BEFORE UPDATE ON invoices
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE invoices IS 'Tax invoices raised from accepted quotations or completed jobs';
+COMMENT ON COLUMN invoices.invoice_number IS 'Sequential per financial year, assigned on issue (e.g. ASP/2026-27/0001)';
+COMMENT ON COLUMN invoices.billable_days IS 'Days billed: the actual job duration for job invoices, the quoted days otherwise';
+COMMENT ON COLUMN invoices.amount_paid IS 'Total of payments received against the invoice';
+COMMENT ON TABLE invoice_number_sequences IS 'Gapless invoice numbering; incremented inside the issuing transaction';
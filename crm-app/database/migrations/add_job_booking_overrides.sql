@@ -0,0 +1,21 @@
+-- Migration: Job booking overrides
+-- Purpose: Equipment and operators cannot be assigned to overlapping jobs.
+-- An admin may force such a double booking; each override is recorded here
+-- with the jobs it clashes with, the reason and who forced it.
+
+CREATE TABLE IF NOT EXISTS job_booking_overrides (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'jbo_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    job_id VARCHAR(50) NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('equipment', 'operator')),
+    resource_id VARCHAR(50) NOT NULL,
+    conflicting_job_ids TEXT[] NOT NULL,
+    reason TEXT NOT NULL,
+    overridden_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_booking_overrides_job_id ON job_booking_overrides(job_id);
+CREATE INDEX IF NOT EXISTS idx_job_booking_overrides_resource ON job_booking_overrides(resource_type, resource_id);
+
+COMMENT ON TABLE job_booking_overrides IS 'Double bookings of equipment or operators forced by an admin';
+COMMENT ON COLUMN job_booking_overrides.conflicting_job_ids IS 'Jobs already holding the resource for an overlapping period';
@@ -0,0 +1,61 @@
+-- Migration: Job completion reports
+-- Purpose: One completion report per job with the safety checklist, incidents,
+-- site photos and the hours worked, signed by our site in-charge and the
+-- customer. The customer's rating and comments feed satisfaction scores per
+-- customer and per operator.
+
+CREATE TABLE IF NOT EXISTS job_completion_reports (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'jcr_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    job_id VARCHAR(50) NOT NULL UNIQUE REFERENCES jobs(id) ON DELETE CASCADE,
+    -- [{ "id": "ppe", "label": "PPE used correctly", "checked": true }]
+    safety_checks JSONB NOT NULL DEFAULT '[]',
+    safety_notes TEXT,
+    -- [{ "occurredAt": "...", "severity": "near_miss|minor|major", "description": "...", "actionTaken": "..." }]
+    incidents JSONB NOT NULL DEFAULT '[]',
+    -- Logbook totals when the report was signed: days, logs, workedHours, billableHours, breakdownHours,
+    -- engineHours, dieselLitres, ... and the same per crane under "cranes"
+    hours_summary JSONB,
+    work_summary TEXT,
+    completed_by_name VARCHAR(100),
+    completed_by_signature TEXT,
+    customer_rating SMALLINT CHECK (customer_rating BETWEEN 1 AND 5),
+    customer_comments TEXT,
+    customer_signatory VARCHAR(100),
+    customer_signature TEXT,
+    customer_signed_at TIMESTAMP WITH TIME ZONE,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT job_completion_reports_signed_check CHECK (
+        customer_signed_at IS NULL
+        OR (customer_signatory IS NOT NULL AND customer_signature IS NOT NULL AND customer_rating IS NOT NULL)
+    )
+);
+
+DROP TRIGGER IF EXISTS update_job_completion_reports_updated_at ON job_completion_reports;
+CREATE TRIGGER update_job_completion_reports_updated_at
+BEFORE UPDATE ON job_completion_reports
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_job_completion_reports_signed ON job_completion_reports(customer_signed_at)
+    WHERE customer_signed_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS job_completion_photos (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'jcp_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    report_id VARCHAR(50) NOT NULL REFERENCES job_completion_reports(id) ON DELETE CASCADE,
+    caption VARCHAR(255),
+    file_path TEXT NOT NULL,
+    file_name VARCHAR(255),
+    file_mime_type VARCHAR(100),
+    file_size INTEGER,
+    uploaded_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_completion_photos_report_id ON job_completion_photos(report_id);
+
+COMMENT ON TABLE job_completion_reports IS 'Completion report of a job, locked once the customer signs it';
+COMMENT ON COLUMN job_completion_reports.hours_summary IS 'Logbook totals of the job, captured when the customer signs';
+COMMENT ON COLUMN job_completion_reports.customer_rating IS 'Customer satisfaction from 1 (poor) to 5 (excellent)';
+COMMENT ON COLUMN job_completion_reports.customer_signature IS 'Customer signature as a PNG data URL';
+COMMENT ON TABLE job_completion_photos IS 'Site photos attached to a job completion report';
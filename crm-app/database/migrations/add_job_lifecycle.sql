@@ -0,0 +1,28 @@
+-- Migration: Job lifecycle
+-- Purpose: Jobs move pending -> scheduled -> mobilizing -> in_progress ->
+-- demobilizing -> completed, or are cancelled with a reason before work starts.
+-- Every status change is recorded in job_status_changes.
+
+-- Allow the mobilizing and demobilizing statuses
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check
+    CHECK (status IN ('pending', 'scheduled', 'mobilizing', 'in_progress', 'demobilizing', 'completed', 'cancelled'));
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS job_status_changes (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'jsc_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    job_id VARCHAR(50) NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    changed_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_status_changes_job_id ON job_status_changes(job_id, changed_at);
+
+COMMENT ON COLUMN jobs.cancellation_reason IS 'Why the job was cancelled';
+COMMENT ON TABLE job_status_changes IS 'Status history of jobs, one row per transition';
+COMMENT ON COLUMN job_status_changes.changed_at IS 'When the change took effect; may be backdated to when it happened on site';
@@ -0,0 +1,24 @@
+-- Migration: Link jobs to the quotation they were converted from
+-- Purpose: An accepted quotation can be converted into a scheduled job in one
+-- step. The job keeps a reference to its quotation, and the quotation carries
+-- the planned start date used to schedule it.
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS quotation_id VARCHAR(50) REFERENCES quotations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_quotation_id ON jobs(quotation_id);
+
+-- A quotation is converted into at most one live job
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_jobs_live_quotation
+    ON jobs(quotation_id) WHERE quotation_id IS NOT NULL AND status <> 'cancelled';
+
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS start_date DATE;
+
+-- Quotations raised before this migration take the start date of their lead
+UPDATE quotations q
+SET start_date = l.start_date
+FROM leads l
+WHERE q.start_date IS NULL
+  AND l.id = COALESCE(q.lead_id, (SELECT d.lead_id FROM deals d WHERE d.id = q.deal_id));
+
+COMMENT ON COLUMN jobs.quotation_id IS 'Accepted quotation the job was converted from';
+COMMENT ON COLUMN quotations.start_date IS 'Planned start of the hire; the job is scheduled from this date';
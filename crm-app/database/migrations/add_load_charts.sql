@@ -0,0 +1,51 @@
+-- Migration: Crane load charts
+-- Purpose: Rated capacity of each crane by boom length and working radius for
+-- each counterweight/outrigger configuration, so lifts can be checked against
+-- the fleet instead of against max_lifting_capacity alone. Site assessments
+-- record the lift they were made for.
+
+CREATE TABLE IF NOT EXISTS equipment_load_charts (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'elc_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    equipment_id VARCHAR(50) NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+    configuration VARCHAR(255) NOT NULL,
+    counterweight_tons NUMERIC(8,2) CHECK (counterweight_tons >= 0),
+    outrigger_setup VARCHAR(100),
+    boom_pivot_height_m NUMERIC(6,2) NOT NULL DEFAULT 0 CHECK (boom_pivot_height_m >= 0),
+    source VARCHAR(255),
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (equipment_id, configuration)
+);
+
+CREATE TABLE IF NOT EXISTS equipment_load_chart_points (
+    chart_id VARCHAR(50) NOT NULL REFERENCES equipment_load_charts(id) ON DELETE CASCADE,
+    boom_length_m NUMERIC(6,2) NOT NULL CHECK (boom_length_m > 0),
+    radius_m NUMERIC(6,2) NOT NULL CHECK (radius_m > 0),
+    capacity_tons NUMERIC(8,2) NOT NULL CHECK (capacity_tons > 0),
+    hook_height_m NUMERIC(6,2) CHECK (hook_height_m > 0),
+    PRIMARY KEY (chart_id, boom_length_m, radius_m)
+);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_load_charts_equipment ON equipment_load_charts(equipment_id);
+
+DROP TRIGGER IF EXISTS update_equipment_load_charts_updated_at ON equipment_load_charts;
+CREATE TRIGGER update_equipment_load_charts_updated_at
+BEFORE UPDATE ON equipment_load_charts
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The lift a site assessment was made for
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS lift_load_tons NUMERIC(8,2) CHECK (lift_load_tons > 0);
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS lift_radius_m NUMERIC(6,2) CHECK (lift_radius_m > 0);
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS lift_height_m NUMERIC(6,2) CHECK (lift_height_m >= 0);
+
+COMMENT ON TABLE equipment_load_charts IS 'Manufacturer load chart of a crane for one counterweight/outrigger configuration';
+COMMENT ON COLUMN equipment_load_charts.boom_pivot_height_m IS 'Height of the boom foot pivot above ground, used to estimate hook height where the chart gives none';
+COMMENT ON COLUMN equipment_load_charts.is_active IS 'Inactive charts (e.g. counterweight not owned) are ignored by the lift check';
+COMMENT ON TABLE equipment_load_chart_points IS 'Rated capacity at a boom length and working radius';
+COMMENT ON COLUMN equipment_load_chart_points.hook_height_m IS 'Maximum hook height from the range chart, if published';
+COMMENT ON COLUMN site_assessments.lift_load_tons IS 'Heaviest load to be lifted, excluding rigging';
+COMMENT ON COLUMN site_assessments.lift_radius_m IS 'Working radius needed for the heaviest lift';
+COMMENT ON COLUMN site_assessments.lift_height_m IS 'Hook height needed above ground';
@@ -0,0 +1,68 @@
+-- Migration: Operator certifications
+-- Purpose: Structured operator licences and certifications with expiry and a
+-- scanned copy, and which crane categories and capacities each certification
+-- type qualifies an operator for. Job assignment checks operators against the
+-- cranes on the job. operators.certifications (free text) is kept for reference.
+
+CREATE TABLE IF NOT EXISTS certification_types (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'ctp_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    name VARCHAR(255) NOT NULL UNIQUE,
+    issuing_body VARCHAR(255),
+    description TEXT,
+    equipment_categories VARCHAR(50)[] NOT NULL DEFAULT '{}',
+    max_capacity_tons NUMERIC(10, 2) CHECK (max_capacity_tons IS NULL OR max_capacity_tons > 0),
+    validity_months INTEGER CHECK (validity_months IS NULL OR validity_months > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS operator_certifications (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'ocert_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    operator_id VARCHAR(50) NOT NULL REFERENCES operators(id) ON DELETE CASCADE,
+    certification_type_id VARCHAR(50) NOT NULL REFERENCES certification_types(id) ON DELETE RESTRICT,
+    certificate_number VARCHAR(100),
+    issuing_body VARCHAR(255),
+    issue_date DATE,
+    expiry_date DATE,
+    file_path VARCHAR(500),
+    file_name VARCHAR(255),
+    file_mime_type VARCHAR(100),
+    file_size INTEGER,
+    notes TEXT,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT operator_certification_dates CHECK (expiry_date IS NULL OR issue_date IS NULL OR expiry_date >= issue_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_operator_certifications_operator ON operator_certifications(operator_id);
+CREATE INDEX IF NOT EXISTS idx_operator_certifications_type ON operator_certifications(certification_type_id);
+
+DROP TRIGGER IF EXISTS update_certification_types_updated_at ON certification_types;
+CREATE TRIGGER update_certification_types_updated_at
+BEFORE UPDATE ON certification_types
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_operator_certifications_updated_at ON operator_certifications;
+CREATE TRIGGER update_operator_certifications_updated_at
+BEFORE UPDATE ON operator_certifications
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO certification_types (name, issuing_body, equipment_categories, max_capacity_tons, validity_months, description)
+VALUES
+    ('Mobile Crane Operator - up to 50 t', 'Approved training institute', ARRAY['mobile_crane'], 50, 36, 'Mobile cranes with a rated capacity up to 50 tonnes'),
+    ('Mobile Crane Operator - all capacities', 'Approved training institute', ARRAY['mobile_crane'], NULL, 36, 'Mobile cranes of any capacity'),
+    ('Crawler Crane Operator', 'Approved training institute', ARRAY['crawler_crane'], NULL, 36, NULL),
+    ('Tower Crane Operator', 'Approved training institute', ARRAY['tower_crane'], NULL, 36, NULL),
+    ('Pick and Carry Crane Operator', 'Approved training institute', ARRAY['pick_and_carry_crane'], NULL, 36, NULL),
+    ('Heavy Vehicle Driving Licence', 'Regional Transport Office', '{}', NULL, NULL, 'Needed to drive cranes on public roads; does not qualify for crane operation by itself')
+ON CONFLICT (name) DO NOTHING;
+
+COMMENT ON TABLE certification_types IS 'Kinds of operator licences and certifications and the cranes they qualify for';
+COMMENT ON COLUMN certification_types.equipment_categories IS 'Equipment categories this certification qualifies an operator for';
+COMMENT ON COLUMN certification_types.max_capacity_tons IS 'Largest crane capacity covered; NULL covers all capacities';
+COMMENT ON COLUMN certification_types.validity_months IS 'Usual validity, used to suggest an expiry date';
+COMMENT ON TABLE operator_certifications IS 'Licences and certifications held by each operator';
+COMMENT ON COLUMN operator_certifications.expiry_date IS 'Last day the certification is valid; NULL when it does not expire';
+COMMENT ON COLUMN operators.certifications IS 'Legacy free-text certifications; see operator_certifications';
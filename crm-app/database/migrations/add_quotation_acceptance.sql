@@ -0,0 +1,40 @@
+-- Migration: Add customer quotation acceptance
+-- Purpose: Tokenized public links that let a customer accept or reject a sent
+-- quotation with a typed or drawn signature, and the signed responses themselves.
+
+CREATE TABLE IF NOT EXISTS quotation_acceptance_links (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'qacl_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    quotation_id VARCHAR(50) NOT NULL REFERENCES quotations(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotation_acceptance_links_quotation_id ON quotation_acceptance_links(quotation_id);
+
+CREATE TABLE IF NOT EXISTS quotation_acceptances (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'qacc_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    quotation_id VARCHAR(50) NOT NULL REFERENCES quotations(id) ON DELETE CASCADE,
+    link_id VARCHAR(50) REFERENCES quotation_acceptance_links(id) ON DELETE SET NULL,
+    revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('accepted', 'rejected')),
+    signer_name VARCHAR(100) NOT NULL,
+    signer_email VARCHAR(100),
+    signature_type VARCHAR(20) NOT NULL CHECK (signature_type IN ('typed', 'drawn')),
+    signature_data TEXT NOT NULL,
+    comment TEXT,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    signed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotation_acceptances_quotation_id ON quotation_acceptances(quotation_id);
+
+COMMENT ON TABLE quotation_acceptance_links IS 'Public customer links for accepting or rejecting a quotation revision';
+COMMENT ON COLUMN quotation_acceptance_links.token_hash IS 'SHA-256 of the link token; the raw token is only returned when the link is created';
+COMMENT ON TABLE quotation_acceptances IS 'Signed customer responses (accept/reject) captured through acceptance links';
+COMMENT ON COLUMN quotation_acceptances.signature_data IS 'Typed name for typed signatures, PNG data URL for drawn signatures';
@@ -0,0 +1,35 @@
+-- Migration: Add quotation discount approvals
+-- Purpose: Quotations discounted beyond the configured per-role threshold wait in
+-- 'pending_approval' until an operations manager / admin signs off with a reason.
+
+-- Allow the pending_approval status
+ALTER TABLE quotations DROP CONSTRAINT IF EXISTS quotations_status_check;
+ALTER TABLE quotations ADD CONSTRAINT quotations_status_check
+    CHECK (status IN ('draft', 'pending_approval', 'sent', 'accepted', 'rejected'));
+
+CREATE TABLE IF NOT EXISTS quotation_approvals (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'qapr_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    quotation_id VARCHAR(50) NOT NULL REFERENCES quotations(id) ON DELETE CASCADE,
+    quotation_version INTEGER NOT NULL DEFAULT 1,
+    requested_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    requested_role VARCHAR(50),
+    list_price DECIMAL(12, 2) NOT NULL,
+    quoted_price DECIMAL(12, 2) NOT NULL,
+    discount_percent DECIMAL(6, 2) NOT NULL,
+    threshold_percent DECIMAL(6, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'superseded')),
+    decided_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    decision_reason TEXT,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotation_approvals_quotation_id ON quotation_approvals(quotation_id);
+CREATE INDEX IF NOT EXISTS idx_quotation_approvals_status ON quotation_approvals(status);
+
+-- The notification engine records a priority for in-app notifications
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS priority VARCHAR(20) DEFAULT 'medium';
+
+COMMENT ON TABLE quotation_approvals IS 'Discount approval requests for quotations priced below list beyond the role threshold';
+COMMENT ON COLUMN quotation_approvals.list_price IS 'Subtotal without mob relaxation or custom incident/rigger/helper amounts';
+COMMENT ON COLUMN quotation_approvals.quoted_price IS 'Subtotal actually quoted when approval was requested';
@@ -0,0 +1,32 @@
+-- Migration: Add quotation email history
+-- Purpose: Record every quotation PDF emailed to a customer (recipients, subject,
+-- SMTP message id) with its delivery outcome, including failures and bounces.
+
+CREATE TABLE IF NOT EXISTS quotation_emails (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'qeml_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    quotation_id VARCHAR(50) NOT NULL REFERENCES quotations(id) ON DELETE CASCADE,
+    revision_number INTEGER,
+    from_address VARCHAR(255) NOT NULL,
+    to_addresses JSONB NOT NULL DEFAULT '[]',
+    cc_addresses JSONB NOT NULL DEFAULT '[]',
+    bcc_addresses JSONB NOT NULL DEFAULT '[]',
+    subject VARCHAR(255) NOT NULL,
+    message TEXT,
+    attachment_name VARCHAR(255),
+    message_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'sent', 'failed', 'bounced')),
+    rejected_recipients JSONB NOT NULL DEFAULT '[]',
+    smtp_response TEXT,
+    error_message TEXT,
+    sent_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    bounced_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotation_emails_quotation_id ON quotation_emails(quotation_id);
+CREATE INDEX IF NOT EXISTS idx_quotation_emails_message_id ON quotation_emails(message_id);
+
+COMMENT ON TABLE quotation_emails IS 'Quotation PDFs emailed to customers and their delivery status';
+COMMENT ON COLUMN quotation_emails.status IS 'sending, sent, failed (SMTP error) or bounced (recipients rejected at send time or reported later)';
+COMMENT ON COLUMN quotation_emails.rejected_recipients IS 'Recipients the SMTP server refused or that bounced later, with the reason';
@@ -0,0 +1,61 @@
+-- Migration: Add quotation revisions
+-- Purpose: Keep an immutable snapshot (R1, R2, ...) of every version of a quotation
+-- that has been sent to a customer, including its quotation_machines lines.
+
+CREATE TABLE IF NOT EXISTS quotation_revisions (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'qrev_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    quotation_id VARCHAR(50) NOT NULL REFERENCES quotations(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+    quotation_snapshot JSONB NOT NULL,
+    machines_snapshot JSONB NOT NULL DEFAULT '[]',
+    change_reason TEXT,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_quotation_revision UNIQUE (quotation_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotation_revisions_quotation_id ON quotation_revisions(quotation_id);
+
+-- Revisions are immutable once written
+CREATE OR REPLACE FUNCTION prevent_quotation_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Quotation revisions are immutable (revision % of %)', OLD.revision_number, OLD.quotation_id;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS quotation_revisions_immutable ON quotation_revisions;
+CREATE TRIGGER quotation_revisions_immutable
+    BEFORE UPDATE ON quotation_revisions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_quotation_revision_update();
+
+-- Snapshot quotations that are already out with customers as their current revision
+INSERT INTO quotation_revisions (quotation_id, revision_number, quotation_snapshot, machines_snapshot, change_reason, created_by)
+SELECT
+    q.id,
+    q.version,
+    to_jsonb(q),
+    COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+            'equipment_id', qm.equipment_id,
+            'quantity', qm.quantity,
+            'base_rate', qm.base_rate,
+            'running_cost_per_km', qm.running_cost_per_km,
+            'equipment_code', e.equipment_id,
+            'equipment_name', e.name,
+            'equipment_category', e.category,
+            'max_lifting_capacity', e.max_lifting_capacity
+        ) ORDER BY qm.id)
+        FROM quotation_machines qm
+        LEFT JOIN equipment e ON qm.equipment_id = e.id
+        WHERE qm.quotation_id = q.id
+    ), '[]'::jsonb),
+    'Initial revision (migration)',
+    q.created_by
+FROM quotations q
+WHERE q.status <> 'draft'
+ON CONFLICT (quotation_id, revision_number) DO NOTHING;
+
+COMMENT ON TABLE quotation_revisions IS 'Immutable snapshots of sent quotations (R1, R2, ...) with their machine lines';
+COMMENT ON COLUMN quotation_revisions.revision_number IS 'Matches quotations.version at the time the snapshot was taken';
@@ -0,0 +1,72 @@
+-- Migration: Configurable quotation surcharges
+-- Purpose: Night work and incidental charges become surcharge rules of the
+-- `surcharges` config, and each quotation stores the surcharge lines it was
+-- priced with instead of the fixed incident1-3 amounts.
+
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS surcharges JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Seed the rules from the night factor and incidental options in use, unless
+-- the rules were configured already
+INSERT INTO config (name, value)
+SELECT 'surcharges', jsonb_build_object('rules',
+    jsonb_build_array(jsonb_build_object(
+        'id', 'night_shift',
+        'name', 'Night shift',
+        'type', 'percent',
+        'amount', ROUND((COALESCE((ap.value #>> '{dayNightFactors,night}')::numeric, 1.3) - 1) * 100, 2),
+        'apply', 'auto',
+        'conditions', jsonb_build_object('nightShift', true),
+        'active', true
+    )) || COALESCE(
+        (SELECT jsonb_agg(jsonb_build_object(
+            'id', opt ->> 'value',
+            'name', split_part(opt ->> 'label', ' - ', 1),
+            'type', 'fixed',
+            'amount', (opt ->> 'amount')::numeric,
+            'per', 'once',
+            'apply', 'optional',
+            'conditions', '{}'::jsonb,
+            'active', true
+        ))
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(ap.value -> 'incidentalOptions') = 'array' THEN ap.value -> 'incidentalOptions' ELSE '[]'::jsonb END
+        ) AS opt),
+        '[]'::jsonb
+    ))
+FROM config ap
+WHERE ap.name = 'additionalParams'
+ON CONFLICT (name) DO NOTHING;
+
+-- Incidental charges of existing quotations become surcharge lines. Their
+-- amounts were stored in incident1-3 where those columns exist, else the
+-- standard amounts applied; they are kept as custom amounts so repricing the
+-- quotation does not change them.
+UPDATE quotations q
+SET surcharges = lines.surcharges
+FROM (
+    SELECT source.id, jsonb_agg(jsonb_build_object(
+        'ruleId', charge.key,
+        'name', 'Incident ' || RIGHT(charge.key, 1),
+        'type', 'fixed',
+        'rate', charge.amount,
+        'per', 'once',
+        'apply', 'optional',
+        'amount', charge.amount,
+        'customAmount', charge.amount
+    ) ORDER BY charge.key) AS surcharges
+    FROM quotations source
+    CROSS JOIN LATERAL (
+        SELECT key, COALESCE(
+            NULLIF(to_jsonb(source) ->> key, '')::numeric,
+            CASE key WHEN 'incident1' THEN 5000 WHEN 'incident2' THEN 10000 ELSE 15000 END
+        ) AS amount
+        FROM unnest(source.incidental_charges) AS key
+        WHERE key IN ('incident1', 'incident2', 'incident3')
+    ) charge
+    GROUP BY source.id
+) lines
+WHERE q.id = lines.id
+  AND q.surcharges = '[]'::jsonb;
+
+COMMENT ON COLUMN quotations.surcharges IS 'Surcharge lines priced into the quotation: [{ruleId, name, type, rate, per, apply, amount, customAmount}]';
+COMMENT ON COLUMN quotations.incidental_charges IS 'Superseded by surcharges; kept for quotations made before surcharge rules';
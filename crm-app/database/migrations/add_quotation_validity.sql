@@ -0,0 +1,22 @@
+-- Migration: Add quotation validity and expiry
+-- Purpose: Quotations carry a valid_until date derived from the configured validity
+-- period. A scheduled job reminds the owner before expiry and moves stale 'sent'
+-- quotations to 'expired'.
+
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS valid_until DATE;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- Allow the expired status
+ALTER TABLE quotations DROP CONSTRAINT IF EXISTS quotations_status_check;
+ALTER TABLE quotations ADD CONSTRAINT quotations_status_check
+    CHECK (status IN ('draft', 'pending_approval', 'sent', 'accepted', 'rejected', 'expired'));
+
+-- Existing quotations get the default 30 day validity from their creation date
+UPDATE quotations
+SET valid_until = (created_at + INTERVAL '30 days')::date
+WHERE valid_until IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quotations_status_valid_until ON quotations(status, valid_until);
+
+COMMENT ON COLUMN quotations.valid_until IS 'Last day the quotation can be accepted; reset when the quotation is sent';
+COMMENT ON COLUMN quotations.expiry_reminder_sent_at IS 'When the owner was reminded of the upcoming expiry; cleared when validity is extended';
@@ -0,0 +1,52 @@
+-- Migration: Effective-dated rate cards
+-- Purpose: Base rates of each crane for a period, either the list rates
+-- (no customer) or rates negotiated with one customer, so changing a rate no
+-- longer changes what older quotations were priced on. Each quotation machine
+-- records the card it was priced from.
+
+CREATE TABLE IF NOT EXISTS rate_cards (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'rc_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    equipment_id VARCHAR(50) NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+    customer_id VARCHAR(50) REFERENCES customers(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    rate_micro NUMERIC(10,2) CHECK (rate_micro >= 0),
+    rate_small NUMERIC(10,2) CHECK (rate_small >= 0),
+    rate_monthly NUMERIC(10,2) CHECK (rate_monthly >= 0),
+    rate_yearly NUMERIC(10,2) CHECK (rate_yearly >= 0),
+    effective_from DATE NOT NULL,
+    effective_to DATE,
+    notes TEXT,
+    created_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (effective_to IS NULL OR effective_to >= effective_from),
+    CHECK (COALESCE(rate_micro, rate_small, rate_monthly, rate_yearly) IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_equipment ON rate_cards(equipment_id, customer_id, effective_from);
+CREATE INDEX IF NOT EXISTS idx_rate_cards_customer ON rate_cards(customer_id) WHERE customer_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_rate_cards_updated_at ON rate_cards;
+CREATE TRIGGER update_rate_cards_updated_at
+BEFORE UPDATE ON rate_cards
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The card each quoted machine was priced from (null: the equipment's own rates)
+ALTER TABLE quotation_machines ADD COLUMN IF NOT EXISTS rate_card_id VARCHAR(50) REFERENCES rate_cards(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_quotation_machines_rate_card ON quotation_machines(rate_card_id);
+
+-- Today's equipment rates become each crane's list card, covering every
+-- quotation made so far. Existing quotation machines are left without a card:
+-- what they were priced on before this migration is not known.
+INSERT INTO rate_cards (equipment_id, name, rate_micro, rate_small, rate_monthly, rate_yearly, effective_from)
+SELECT e.id, 'List rates', e.base_rate_micro, e.base_rate_small, e.base_rate_monthly, e.base_rate_yearly,
+       LEAST(e.created_at, (SELECT MIN(created_at) FROM quotations), CURRENT_TIMESTAMP)::date
+FROM equipment e
+WHERE COALESCE(e.base_rate_micro, e.base_rate_small, e.base_rate_monthly, e.base_rate_yearly) IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM rate_cards rc WHERE rc.equipment_id = e.id AND rc.customer_id IS NULL);
+
+COMMENT ON TABLE rate_cards IS 'Base rates of a crane for a period: list rates, or negotiated with one customer';
+COMMENT ON COLUMN rate_cards.customer_id IS 'Customer the rates were negotiated with; null for list rates';
+COMMENT ON COLUMN rate_cards.rate_micro IS 'Hourly rate for micro orders; null falls back to the list card, then the equipment';
+COMMENT ON COLUMN rate_cards.effective_to IS 'Last day the card applies (inclusive); null while current';
+COMMENT ON COLUMN quotation_machines.rate_card_id IS 'Rate card the base rate was taken from; null when the equipment rates were used';
@@ -0,0 +1,58 @@
+-- Migration: Site assessments
+-- Purpose: Site assessments linked to a customer, lead or job with a structured
+-- constraint checklist (ground bearing, overhead lines, access, slope), photos
+-- and videos stored on disk with thumbnails, and the assessment a quotation was
+-- priced on.
+
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS lead_id VARCHAR(50) REFERENCES leads(id) ON DELETE SET NULL;
+
+-- An assessment can be made for a lead before the customer exists
+ALTER TABLE site_assessments ALTER COLUMN customer_id DROP NOT NULL;
+ALTER TABLE site_assessments ALTER COLUMN description DROP NOT NULL;
+ALTER TABLE site_assessments ALTER COLUMN created_by DROP NOT NULL;
+
+-- Constraint checklist
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS ground_type VARCHAR(30)
+    CHECK (ground_type IN ('concrete', 'asphalt', 'compacted_soil', 'gravel', 'soft_soil', 'other'));
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS ground_bearing_capacity NUMERIC(8,2) CHECK (ground_bearing_capacity > 0);
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS ground_mats_required BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS overhead_lines_present BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS overhead_line_clearance_m NUMERIC(6,2) CHECK (overhead_line_clearance_m >= 0);
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS overhead_line_voltage_kv NUMERIC(7,2) CHECK (overhead_line_voltage_kv >= 0);
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS access_width_m NUMERIC(6,2) CHECK (access_width_m > 0);
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS access_height_m NUMERIC(6,2) CHECK (access_height_m > 0);
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS slope_degrees NUMERIC(5,2) CHECK (slope_degrees >= 0 AND slope_degrees < 90);
+-- { "groundBearing": "...", "overheadLines": "...", "access": "...", "slope": "...", "other": "..." }
+ALTER TABLE site_assessments ADD COLUMN IF NOT EXISTS constraint_notes JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_site_assessments_lead_id ON site_assessments(lead_id);
+
+CREATE TABLE IF NOT EXISTS site_assessment_media (
+    id VARCHAR(50) PRIMARY KEY DEFAULT 'sam_' || SUBSTRING(uuid_generate_v4()::text FROM 1 FOR 8),
+    assessment_id VARCHAR(50) NOT NULL REFERENCES site_assessments(id) ON DELETE CASCADE,
+    media_type VARCHAR(10) NOT NULL CHECK (media_type IN ('image', 'video')),
+    caption VARCHAR(255),
+    file_path TEXT NOT NULL,
+    file_name VARCHAR(255),
+    file_mime_type VARCHAR(100),
+    file_size INTEGER,
+    thumbnail_path TEXT,
+    uploaded_by VARCHAR(50) REFERENCES users(uid) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_assessment_media_assessment_id ON site_assessment_media(assessment_id);
+
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS site_assessment_id VARCHAR(50) REFERENCES site_assessments(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN site_assessments.constraints IS 'Checklist items flagged as a problem on site: ground_bearing, overhead_lines, access, slope, other';
+COMMENT ON COLUMN site_assessments.images IS 'Deprecated: media is stored in site_assessment_media';
+COMMENT ON COLUMN site_assessments.videos IS 'Deprecated: media is stored in site_assessment_media';
+COMMENT ON COLUMN site_assessments.ground_bearing_capacity IS 'Allowable ground bearing pressure in t/m²';
+COMMENT ON COLUMN site_assessments.overhead_line_clearance_m IS 'Horizontal distance from the crane setup area to the nearest overhead line';
+COMMENT ON COLUMN site_assessments.access_width_m IS 'Narrowest width of the route into the site';
+COMMENT ON COLUMN site_assessments.access_height_m IS 'Lowest overhead clearance on the route into the site';
+COMMENT ON COLUMN site_assessments.slope_degrees IS 'Slope of the crane setup area';
+COMMENT ON TABLE site_assessment_media IS 'Photos and videos of a site assessment';
+COMMENT ON COLUMN site_assessment_media.thumbnail_path IS 'JPEG thumbnail made by the uploading browser (a frame for videos)';
+COMMENT ON COLUMN quotations.site_assessment_id IS 'Site assessment the quotation was priced on';
@@ -8,6 +8,7 @@ import { Suspense } from 'react';
 import { FloatingChatWidget } from './components/chat/FloatingChatWidget';
 import { AuthErrorBoundary } from './components/auth/AuthErrorBoundary';
 import { LoginPage } from './pages/LoginPage';
+import { QuotationAcceptancePortal } from './pages/QuotationAcceptancePortal';
 import { AppShell } from './components/layout/AppShell';
 import { UnifiedDashboard } from './pages/UnifiedDashboard';
 import { LeadManagement } from './pages/LeadManagement';
@@ -15,11 +16,16 @@ import ToastContainer from './components/common/ToastContainer';
 import QuotationManagement from './components/quotations/QuotationManagement';
 import { QuotationCreation } from './pages/QuotationCreation';
 import QuotationDetail from './pages/quotations/QuotationDetail';
+import { Invoices } from './pages/Invoices';
 import DealSelectionPage from './pages/DealSelectionPage';
 import { JobScheduling } from './pages/JobScheduling';
 import { SiteAssessment } from './pages/SiteAssessment';
 import { JobSummaryFeedback } from './pages/JobSummaryFeedback';
 import { EquipmentManagement } from './pages/EquipmentManagement';
+import { EquipmentDocumentExpiry } from './pages/EquipmentDocumentExpiry';
+import { FleetAnalytics } from './pages/FleetAnalytics';
+import { Operators } from './pages/Operators';
+import { OperatorDashboard } from './pages/OperatorDashboard';
 import { ServicesManagement } from './pages/ServicesManagement';
 import { UserManagement } from './pages/UserManagement';
 import { Config } from './pages/Config';
@@ -124,6 +130,7 @@ function AppContent() {
         
         {/* Public routes */}
         <Route path="/login" element={<LoginPage />} />
+        <Route path="/quote/:token" element={<QuotationAcceptancePortal />} />
         
         {/* Protected routes that require authentication */}
         <Route element={<ProtectedRoute />}>
@@ -149,6 +156,24 @@ function AppContent() {
                 <EquipmentManagement />
               </ProtectedRoute>
             } />
+
+            <Route path="admin/equipment/certificates" element={
+              <ProtectedRoute allowedRoles={['admin', 'operations_manager']}>
+                <EquipmentDocumentExpiry />
+              </ProtectedRoute>
+            } />
+
+            <Route path="admin/equipment/analytics" element={
+              <ProtectedRoute allowedRoles={['admin', 'operations_manager']}>
+                <FleetAnalytics />
+              </ProtectedRoute>
+            } />
+
+            <Route path="admin/operators" element={
+              <ProtectedRoute allowedRoles={['admin', 'operations_manager']}>
+                <Operators />
+              </ProtectedRoute>
+            } />
             
             <Route path="admin/services" element={
               <ProtectedRoute allowedRoles={['admin', 'operations_manager']}>
@@ -230,6 +255,12 @@ function AppContent() {
               </ProtectedRoute>
             } />
             
+            <Route path="invoices" element={
+              <ProtectedRoute allowedRoles={['admin', 'sales_agent', 'operations_manager']}>
+                <Invoices />
+              </ProtectedRoute>
+            } />
+            
             <Route path="quotation-creation" element={
               <ProtectedRoute allowedRoles={['admin', 'sales_agent', 'operations_manager']}>
                 <QuotationCreation />
@@ -248,14 +279,26 @@ function AppContent() {
               </ProtectedRoute>
             } />
             
-            <Route path="site-assessments" element={
+            <Route path="logbook" element={
               <ProtectedRoute allowedRoles={['admin', 'operations_manager', 'operator']}>
+                <OperatorDashboard />
+              </ProtectedRoute>
+            } />
+            
+            <Route path="site-assessments" element={
+              <ProtectedRoute allowedRoles={['admin', 'operations_manager', 'operator', 'sales_agent']}>
                 <SiteAssessment />
               </ProtectedRoute>
             } />
             
             <Route path="job-summary" element={
-              <ProtectedRoute allowedRoles={['admin', 'operations_manager', 'operator']}>
+              <ProtectedRoute allowedRoles={['admin', 'operations_manager', 'operator', 'sales_agent', 'support']}>
+                <JobSummaryFeedback />
+              </ProtectedRoute>
+            } />
+
+            <Route path="job-summary/:id" element={
+              <ProtectedRoute allowedRoles={['admin', 'operations_manager', 'operator', 'sales_agent', 'support']}>
                 <JobSummaryFeedback />
               </ProtectedRoute>
             } />
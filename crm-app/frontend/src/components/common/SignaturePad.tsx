@@ -0,0 +1,82 @@
+/**
+ * Signature Pad - a signature drawn with a finger or mouse, passed on as a
+ * PNG data URL (null while empty or after clearing).
+ */
+import { useRef } from 'react';
+
+interface SignaturePadProps {
+  label?: string;
+  onChange: (signature: string | null) => void;
+}
+
+export function SignaturePad({ label = 'Signature', onChange }: SignaturePadProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const isDrawingRef = useRef(false);
+  const hasDrawingRef = useRef(false);
+
+  const getCanvasPoint = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  const handlePointerDown = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    const context = event.currentTarget.getContext('2d');
+    if (!context) return;
+    const { x, y } = getCanvasPoint(event);
+    event.currentTarget.setPointerCapture(event.pointerId);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.strokeStyle = '#111827';
+    context.beginPath();
+    context.moveTo(x, y);
+    isDrawingRef.current = true;
+  };
+
+  const handlePointerMove = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    if (!isDrawingRef.current) return;
+    const context = event.currentTarget.getContext('2d');
+    if (!context) return;
+    const { x, y } = getCanvasPoint(event);
+    context.lineTo(x, y);
+    context.stroke();
+    hasDrawingRef.current = true;
+  };
+
+  const handlePointerUp = () => {
+    if (!isDrawingRef.current) return;
+    isDrawingRef.current = false;
+    if (hasDrawingRef.current && canvasRef.current) {
+      onChange(canvasRef.current.toDataURL('image/png'));
+    }
+  };
+
+  const clearDrawing = () => {
+    const canvas = canvasRef.current;
+    canvas?.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+    hasDrawingRef.current = false;
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <span className="block text-sm font-medium text-gray-700 mb-1">{label}</span>
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={200}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className="w-full border border-gray-300 rounded-md bg-white touch-none"
+      />
+      <button type="button" onClick={clearDrawing} className="mt-1 text-sm text-blue-600 hover:underline">
+        Clear
+      </button>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { cn } from '../../utils/cn';
 
 export type LeadStatus = 'new' | 'contacted' | 'qualified' | 'lost' | 'converted';
-export type JobStatus = 'pending' | 'in_progress' | 'completed' | 'cancelled';
+export type JobStatus = 'pending' | 'scheduled' | 'mobilizing' | 'in_progress' | 'demobilizing' | 'completed' | 'cancelled';
 export type QuotationStatus = 'draft' | 'sent' | 'accepted' | 'rejected';
 
 type StatusBadgeProps = {
@@ -27,6 +27,11 @@ export function StatusBadge({ status, className }: StatusBadgeProps) {
       // Job statuses
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
+      case 'scheduled':
+        return 'bg-indigo-100 text-indigo-800';
+      case 'mobilizing':
+      case 'demobilizing':
+        return 'bg-orange-100 text-orange-800';
       case 'in_progress':
         return 'bg-blue-100 text-blue-800';
       case 'completed':
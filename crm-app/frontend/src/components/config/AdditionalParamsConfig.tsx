@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Save, RefreshCw, Percent, AlertTriangle, Clock, Moon, Wrench } from 'lucide-react';
+import { Save, RefreshCw, Percent, AlertTriangle, Clock, Wrench } from 'lucide-react';
 import { Input } from '../common/Input';
 import { Button } from '../common/Button';
 import { Toast } from '../common/Toast';
@@ -11,11 +11,6 @@ export function AdditionalParamsConfig() {
   const [isSaving, setIsSaving] = useState(false);  const [params, setParams] = useState({
     riggerAmount: 40000,
     helperAmount: 12000,
-    incidentalOptions: [
-      { value: "incident1", label: "Incident 1 - ₹5,000", amount: 5000 },
-      { value: "incident2", label: "Incident 2 - ₹10,000", amount: 10000 },
-      { value: "incident3", label: "Incident 3 - ₹15,000", amount: 15000 }
-    ],
     usageFactors: {
       normal: 0,
       medium: 20,
@@ -29,10 +24,6 @@ export function AdditionalParamsConfig() {
     shiftFactors: {
       single: 1.0,
       double: 1.8
-    },
-    dayNightFactors: {
-      day: 1.0,
-      night: 1.3
     }
   });
 
@@ -68,11 +59,6 @@ export function AdditionalParamsConfig() {
           ...params.shiftFactors,
           ...(config?.shiftFactors || {})
         },
-        dayNightFactors: {
-          ...params.dayNightFactors,
-          ...(config?.dayNightFactors || {})
-        },
-        incidentalOptions: config?.incidentalOptions || params.incidentalOptions,
         riggerAmount: config?.riggerAmount !== undefined ? config.riggerAmount : params.riggerAmount,
         helperAmount: config?.helperAmount !== undefined ? config.helperAmount : params.helperAmount
       };
@@ -285,35 +271,12 @@ export function AdditionalParamsConfig() {
             />
           </CardContent>
         </Card>
-
-        {/* Other Factors */}        <Card>
-          <CardHeader>
-            <div className="flex items-center gap-2">
-              <Moon className="h-5 w-5 text-primary-500" />
-              <CardTitle>Day/Night Factors</CardTitle>
-            </div>
-          </CardHeader>
-          <CardContent className="space-y-4">
-            <MultiplierInput
-              label="Day Factor"
-              value={params.dayNightFactors.day}
-              onChange={(value) => setParams(prev => ({
-                ...prev,
-                dayNightFactors: { ...prev.dayNightFactors, day: value }
-              }))}
-            />
-            <MultiplierInput
-              label="Night Factor"
-              value={params.dayNightFactors.night}
-              onChange={(value) => setParams(prev => ({
-                ...prev,
-                dayNightFactors: { ...prev.dayNightFactors, night: value }
-              }))}
-            />
-          </CardContent>
-        </Card>
       </div>
 
+      <p className="text-sm text-gray-500">
+        Night shift and incidental charges are surcharge rules, set up under Surcharges.
+      </p>
+
       <div className="flex justify-end pt-4 border-t border-gray-200">
         <Button
           onClick={handleSave}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Save, RefreshCw, Users, AlertTriangle, Wrench } from 'lucide-react';
+import { Save, RefreshCw, Users, Wrench } from 'lucide-react';
 import { Input } from '../common/Input';
 import { Button } from '../common/Button';
 import { Toast } from '../common/Toast';
@@ -15,12 +15,7 @@ export function ResourceRatesConfig() {
   
   const [additionalParams, setAdditionalParams] = useState({
     riggerAmount: 40000,
-    helperAmount: 12000,
-    incidentalOptions: [
-      { value: "incident1", label: "Incident 1", amount: 5000 },
-      { value: "incident2", label: "Incident 2", amount: 10000 },
-      { value: "incident3", label: "Incident 3", amount: 15000 }
-    ]
+    helperAmount: 12000
   });
   const [toast, setToast] = useState<{
     show: boolean;
@@ -47,12 +42,7 @@ export function ResourceRatesConfig() {
       
       setAdditionalParams({
         riggerAmount: paramsConfig.riggerAmount || 40000,
-        helperAmount: paramsConfig.helperAmount || 12000,
-        incidentalOptions: paramsConfig.incidentalOptions || [
-          { value: "incident1", label: "Incident 1", amount: 5000 },
-          { value: "incident2", label: "Incident 2", amount: 10000 },
-          { value: "incident3", label: "Incident 3", amount: 15000 }
-        ]
+        helperAmount: paramsConfig.helperAmount || 12000
       });
     } catch (error) {
       showToast('Error loading configuration', 'error');
@@ -84,13 +74,6 @@ export function ResourceRatesConfig() {
         return;
       }
 
-      // Validate incident amounts
-      const hasInvalidIncident = additionalParams.incidentalOptions.some(incident => !incident.amount || incident.amount <= 0);
-      if (hasInvalidIncident) {
-        showToast('All incident amounts must be greater than 0', 'error');
-        return;
-      }
-
       // Save both configurations
       await Promise.all([
         updateResourceRatesConfig(rates),
@@ -257,50 +240,6 @@ export function ResourceRatesConfig() {
         </div>
       </div>
 
-      {/* Incident Charges Section */}
-      <div>
-        <h2 className="text-lg font-semibold text-gray-900 mb-4">Incident Charges</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-          {additionalParams.incidentalOptions.map((incident, index) => (
-            <div key={incident.value} className="bg-white rounded-lg border border-gray-200 p-4 hover:shadow-sm transition-shadow duration-200">
-              <div className="flex items-center gap-2 mb-4">
-                <AlertTriangle className="h-5 w-5 text-orange-500" />
-                <h3 className="font-medium text-gray-900">{incident.label}</h3>
-              </div>
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Amount
-                  </label>
-                  <div className="relative mt-1">
-                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                      <span className="text-gray-500 sm:text-sm">₹</span>
-                    </div>
-                    <Input
-                      type="number"
-                      value={incident.amount}
-                      onChange={(e) => {
-                        const newOptions = [...additionalParams.incidentalOptions];
-                        newOptions[index] = { ...incident, amount: Number(e.target.value) };
-                        setAdditionalParams(prev => ({
-                          ...prev,
-                          incidentalOptions: newOptions
-                        }));
-                      }}
-                      className="pl-7"
-                      min="0"
-                    />
-                  </div>
-                </div>
-                <div className="text-xs text-gray-500">
-                  Per incident occurrence
-                </div>
-              </div>
-            </div>
-          ))}
-        </div>
-      </div>
-
       <div className="flex justify-end pt-4 border-t border-gray-200">
         <Button
           onClick={handleSave}
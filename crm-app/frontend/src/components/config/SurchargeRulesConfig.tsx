@@ -0,0 +1,336 @@
+import { useState, useEffect } from 'react';
+import { Save, RefreshCw, Plus, Trash2, BadgePercent } from 'lucide-react';
+import { Input } from '../common/Input';
+import { Select } from '../common/Select';
+import { Button } from '../common/Button';
+import { Toast } from '../common/Toast';
+import { Card, CardHeader, CardTitle, CardContent } from '../common/Card';
+import { SurchargeConditions, SurchargeRule, getSurchargeRules, updateSurchargeRules } from '../../services/surcharges';
+import { CraneCategory, OrderType } from '../../types/equipment';
+import { GST_STATES } from '../../types/customer';
+
+const ORDER_TYPES: { value: OrderType; label: string }[] = [
+  { value: 'micro', label: 'Micro' },
+  { value: 'small', label: 'Small' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'yearly', label: 'Yearly' },
+];
+
+const CATEGORIES: { value: CraneCategory; label: string }[] = [
+  { value: 'mobile_crane', label: 'Mobile Crane' },
+  { value: 'tower_crane', label: 'Tower Crane' },
+  { value: 'crawler_crane', label: 'Crawler Crane' },
+  { value: 'pick_and_carry_crane', label: 'Pick & Carry Crane' },
+];
+
+const newRule = (): SurchargeRule => ({
+  id: `surcharge_${Date.now().toString(36)}`,
+  name: '',
+  type: 'fixed',
+  amount: 0,
+  per: 'once',
+  apply: 'optional',
+  conditions: {},
+  active: true,
+});
+
+const toggle = <T,>(list: T[] | undefined, value: T): T[] => {
+  const current = list || [];
+  return current.includes(value) ? current.filter(item => item !== value) : [...current, value];
+};
+
+export function SurchargeRulesConfig() {
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [rules, setRules] = useState<SurchargeRule[]>([]);
+
+  const [toast, setToast] = useState<{
+    show: boolean;
+    title: string;
+    variant?: 'success' | 'error' | 'warning';
+  }>({ show: false, title: '' });
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setIsLoading(true);
+      setRules(await getSurchargeRules());
+    } catch (error) {
+      showToast('Error loading surcharge rules', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success') => {
+    setToast({ show: true, title, variant });
+    setTimeout(() => setToast({ show: false, title: '' }), 3000);
+  };
+
+  const updateRule = (index: number, changes: Partial<SurchargeRule>) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateConditions = (index: number, changes: Partial<SurchargeConditions>) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, conditions: { ...rule.conditions, ...changes } } : rule)));
+  };
+
+  const handleSave = async () => {
+    if (rules.some(rule => !rule.name.trim())) {
+      showToast('Every surcharge needs a name', 'error');
+      return;
+    }
+    try {
+      setIsSaving(true);
+      // Empty conditions are left out so they match any quotation
+      const cleaned = rules.map(rule => ({
+        ...rule,
+        name: rule.name.trim(),
+        per: rule.type === 'fixed' ? rule.per || 'once' : undefined,
+        conditions: Object.fromEntries(
+          Object.entries(rule.conditions).filter(([, value]) =>
+            value !== undefined && value !== null && value !== false && !(Array.isArray(value) && value.length === 0)
+          )
+        ),
+      }));
+      setRules(await updateSurchargeRules(cleaned));
+      showToast('Surcharge rules updated successfully');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Error saving surcharge rules', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-48">
+        <RefreshCw className="w-6 h-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  const distanceValue = (value?: number | null) => (value === undefined || value === null ? '' : value);
+  const toDistance = (value: string) => (value === '' ? null : Number(value));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600 max-w-3xl">
+          Surcharges are added to every quotation they match. Automatic ones apply whenever all their conditions
+          hold; optional ones when the salesperson selects them. Percentages are of the working cost of the matching
+          cranes. Conditions left empty match any quotation.
+        </p>
+        <Button variant="outline" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setRules(prev => [...prev, newRule()])}>
+          Add Surcharge
+        </Button>
+      </div>
+
+      {rules.length === 0 && (
+        <p className="text-sm text-gray-500">No surcharges configured.</p>
+      )}
+
+      {rules.map((rule, index) => (
+        <Card key={rule.id}>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <BadgePercent className="h-5 w-5 text-primary-500" />
+                <CardTitle>{rule.name || 'New surcharge'}</CardTitle>
+              </div>
+              <div className="flex items-center gap-3">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.active}
+                    onChange={(e) => updateRule(index, { active: e.target.checked })}
+                    className="rounded border-gray-300 text-primary-600"
+                  />
+                  Active
+                </label>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-error-600 hover:text-error-700 hover:bg-error-50"
+                  onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              <Input
+                label="Name"
+                value={rule.name}
+                onChange={(e) => updateRule(index, { name: e.target.value })}
+                required
+              />
+              <Select
+                label="Type"
+                options={[
+                  { value: 'percent', label: '% of working cost' },
+                  { value: 'fixed', label: 'Fixed amount (₹)' },
+                ]}
+                value={rule.type}
+                onChange={(value) => updateRule(index, { type: value as SurchargeRule['type'] })}
+              />
+              <Input
+                label={rule.type === 'percent' ? 'Percentage' : 'Amount (₹)'}
+                type="number"
+                min="0"
+                value={rule.amount}
+                onChange={(e) => updateRule(index, { amount: Number(e.target.value) })}
+                required
+              />
+              {rule.type === 'fixed' && (
+                <Select
+                  label="Charged"
+                  options={[
+                    { value: 'once', label: 'Once per quotation' },
+                    { value: 'day', label: 'Per rental day' },
+                  ]}
+                  value={rule.per || 'once'}
+                  onChange={(value) => updateRule(index, { per: value as SurchargeRule['per'] })}
+                />
+              )}
+              <Select
+                label="Applies"
+                options={[
+                  { value: 'auto', label: 'Automatically' },
+                  { value: 'optional', label: 'When selected' },
+                ]}
+                value={rule.apply}
+                onChange={(value) => updateRule(index, { apply: value as SurchargeRule['apply'] })}
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Order types</p>
+                <div className="flex flex-wrap gap-3">
+                  {ORDER_TYPES.map(orderType => (
+                    <label key={orderType.value} className="flex items-center gap-1.5 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={rule.conditions.orderTypes?.includes(orderType.value) || false}
+                        onChange={() => updateConditions(index, { orderTypes: toggle(rule.conditions.orderTypes, orderType.value) })}
+                        className="rounded border-gray-300 text-primary-600"
+                      />
+                      {orderType.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Crane categories</p>
+                <div className="flex flex-wrap gap-3">
+                  {CATEGORIES.map(category => (
+                    <label key={category.value} className="flex items-center gap-1.5 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={rule.conditions.categories?.includes(category.value) || false}
+                        onChange={() => updateConditions(index, { categories: toggle(rule.conditions.categories, category.value) })}
+                        className="rounded border-gray-300 text-primary-600"
+                      />
+                      {category.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <Input
+                label="Site distance from (km)"
+                type="number"
+                min="0"
+                value={distanceValue(rule.conditions.minDistanceKm)}
+                onChange={(e) => updateConditions(index, { minDistanceKm: toDistance(e.target.value) })}
+              />
+              <Input
+                label="Site distance below (km)"
+                type="number"
+                min="0"
+                value={distanceValue(rule.conditions.maxDistanceKm)}
+                onChange={(e) => updateConditions(index, { maxDistanceKm: toDistance(e.target.value) })}
+              />
+              <label className="flex items-center gap-2 text-sm text-gray-700 pb-3">
+                <input
+                  type="checkbox"
+                  checked={rule.conditions.nightShift === true}
+                  onChange={(e) => updateConditions(index, { nightShift: e.target.checked })}
+                  className="rounded border-gray-300 text-primary-600"
+                />
+                Night shift only
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700 pb-3">
+                <input
+                  type="checkbox"
+                  checked={rule.conditions.sundayWorking === true}
+                  onChange={(e) => updateConditions(index, { sundayWorking: e.target.checked })}
+                  className="rounded border-gray-300 text-primary-600"
+                />
+                Sunday working only
+              </label>
+            </div>
+
+            <div>
+              <Select
+                label="Customer regions"
+                options={[
+                  { value: '', label: 'Add a state...' },
+                  ...GST_STATES
+                    .filter(state => !rule.conditions.regions?.includes(state.code))
+                    .map(state => ({ value: state.code, label: `${state.code} - ${state.name}` })),
+                ]}
+                value=""
+                onChange={(value) => value && updateConditions(index, { regions: [...(rule.conditions.regions || []), value] })}
+              />
+              <div className="flex flex-wrap gap-2">
+                {(rule.conditions.regions || []).map(code => (
+                  <button
+                    key={code}
+                    type="button"
+                    onClick={() => updateConditions(index, { regions: toggle(rule.conditions.regions, code) })}
+                    className="px-2 py-1 text-xs rounded-full bg-primary-50 text-primary-700 hover:bg-primary-100"
+                    title="Remove"
+                  >
+                    {GST_STATES.find(state => state.code === code)?.name || code} ×
+                  </button>
+                ))}
+                {!rule.conditions.regions?.length && (
+                  <span className="text-xs text-gray-500">All regions</span>
+                )}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+
+      <div className="flex justify-end pt-4 border-t border-gray-200">
+        <Button
+          onClick={handleSave}
+          disabled={isSaving}
+          leftIcon={isSaving ? <RefreshCw className="animate-spin" /> : <Save />}
+          className="w-full sm:w-auto"
+        >
+          {isSaving ? 'Saving Changes...' : 'Save Changes'}
+        </Button>
+      </div>
+
+      {toast.show && (
+        <Toast
+          title={toast.title}
+          variant={toast.variant}
+          isVisible={toast.show}
+          onClose={() => setToast({ show: false, title: '' })}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+/**
+ * Equipment Documents - register of one crane's registration, fitness, insurance,
+ * load-test and inspection documents with their files. A renewal is added as a
+ * new document; the one that expires last is the current one.
+ */
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { FileText, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { Select } from '../common/Select';
+import { Badge } from '../common/Badge';
+import { Equipment } from '../../types/equipment';
+import {
+  DOCUMENT_TYPE_LABELS,
+  EXPIRY_STATUS_LABELS,
+  EquipmentDocument,
+  EquipmentDocumentType,
+  MANDATORY_DOCUMENT_TYPES,
+  createEquipmentDocument,
+  deleteEquipmentDocument,
+  getEquipmentDocuments,
+  openDocumentFile,
+} from '../../services/equipmentDocuments';
+
+interface EquipmentDocumentsProps {
+  equipment: Equipment;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+export const EXPIRY_BADGES: Record<EquipmentDocument['expiryStatus'], 'success' | 'warning' | 'error' | 'outline'> = {
+  expired: 'error',
+  expiring: 'warning',
+  valid: 'success',
+  no_expiry: 'outline',
+};
+
+const TYPE_OPTIONS = (Object.keys(DOCUMENT_TYPE_LABELS) as EquipmentDocumentType[]).map(type => ({
+  value: type,
+  label: DOCUMENT_TYPE_LABELS[type],
+}));
+
+const formatDate = (value: string | null) => (value ? format(new Date(`${value}T00:00:00`), 'dd MMM yyyy') : '-');
+
+const emptyForm = {
+  documentType: 'fitness_certificate' as EquipmentDocumentType,
+  documentNumber: '',
+  issuingAuthority: '',
+  issueDate: '',
+  expiryDate: '',
+  isMandatory: true,
+  notes: '',
+};
+
+export function EquipmentDocuments({ equipment, onMessage }: EquipmentDocumentsProps) {
+  const [documents, setDocuments] = useState<EquipmentDocument[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [file, setFile] = useState<File | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadDocuments = async () => {
+    try {
+      setDocuments(await getEquipmentDocuments(equipment.id));
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to fetch documents', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDocuments();
+  }, [equipment.id]);
+
+  const openForm = (documentType?: EquipmentDocumentType, renewing?: EquipmentDocument) => {
+    const type = documentType || emptyForm.documentType;
+    setForm({
+      ...emptyForm,
+      documentType: type,
+      issuingAuthority: renewing?.issuingAuthority || '',
+      isMandatory: renewing ? renewing.isMandatory : MANDATORY_DOCUMENT_TYPES.includes(type),
+    });
+    setFile(null);
+    setShowForm(true);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await createEquipmentDocument({
+        equipmentId: equipment.id,
+        documentType: form.documentType,
+        documentNumber: form.documentNumber || undefined,
+        issuingAuthority: form.issuingAuthority || undefined,
+        issueDate: form.issueDate || undefined,
+        expiryDate: form.expiryDate || undefined,
+        isMandatory: form.isMandatory,
+        notes: form.notes || undefined,
+        file,
+      });
+      onMessage('Document added', 'success');
+      setShowForm(false);
+      await loadDocuments();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to add document', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (document: EquipmentDocument) => {
+    if (!window.confirm(`Delete ${DOCUMENT_TYPE_LABELS[document.documentType]} ${document.documentNumber || ''}?`)) return;
+    try {
+      await deleteEquipmentDocument(document.id);
+      onMessage('Document deleted', 'success');
+      await loadDocuments();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to delete document', 'error');
+    }
+  };
+
+  const handleOpenFile = async (document: EquipmentDocument) => {
+    try {
+      await openDocumentFile(document.id);
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to open document', 'error');
+    }
+  };
+
+  if (isLoading) {
+    return <div className="text-center py-4">Loading documents...</div>;
+  }
+
+  const missingTypes = MANDATORY_DOCUMENT_TYPES.filter(type => !documents.some(document => document.documentType === type));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          The crane cannot be scheduled on jobs that run past the expiry of a mandatory document.
+        </p>
+        <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => openForm()}>
+          Add Document
+        </Button>
+      </div>
+
+      {missingTypes.length > 0 && (
+        <div className="p-3 text-sm text-warning-800 bg-warning-50 rounded-md">
+          Missing: {missingTypes.map(type => DOCUMENT_TYPE_LABELS[type]).join(', ')}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="grid grid-cols-2 gap-3 p-3 bg-gray-50 rounded-md">
+          <Select
+            label="Type"
+            options={TYPE_OPTIONS}
+            value={form.documentType}
+            onChange={(value) => setForm({
+              ...form,
+              documentType: value as EquipmentDocumentType,
+              isMandatory: MANDATORY_DOCUMENT_TYPES.includes(value as EquipmentDocumentType),
+            })}
+          />
+          <FormInput
+            label="Document number"
+            value={form.documentNumber}
+            onChange={(e) => setForm({ ...form, documentNumber: e.target.value })}
+          />
+          <FormInput
+            label="Issued by"
+            value={form.issuingAuthority}
+            onChange={(e) => setForm({ ...form, issuingAuthority: e.target.value })}
+            placeholder="e.g. RTO Pune, insurer, inspection agency"
+          />
+          <FormInput
+            label="File (PDF or image, max 10MB)"
+            type="file"
+            accept="application/pdf,image/jpeg,image/png,image/webp"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+          />
+          <FormInput
+            label="Issue date"
+            type="date"
+            value={form.issueDate}
+            onChange={(e) => setForm({ ...form, issueDate: e.target.value })}
+          />
+          <FormInput
+            label="Expiry date"
+            type="date"
+            min={form.issueDate || undefined}
+            value={form.expiryDate}
+            onChange={(e) => setForm({ ...form, expiryDate: e.target.value })}
+          />
+          <FormInput
+            label="Notes"
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700 mt-6">
+            <input
+              type="checkbox"
+              checked={form.isMandatory}
+              onChange={(e) => setForm({ ...form, isMandatory: e.target.checked })}
+            />
+            Mandatory for scheduling
+          </label>
+          <div className="col-span-2 flex justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button size="sm" disabled={isSaving} onClick={handleSave}>
+              Save Document
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {documents.length === 0 ? (
+        <p className="text-sm text-gray-500">No documents yet.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2">Document</th>
+              <th className="py-2">Number</th>
+              <th className="py-2">Issued</th>
+              <th className="py-2">Expires</th>
+              <th className="py-2">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {documents.map(document => (
+              <tr key={document.id} className={document.isCurrent ? '' : 'text-gray-400'}>
+                <td className="py-2">
+                  <div className="font-medium text-gray-900">{DOCUMENT_TYPE_LABELS[document.documentType]}</div>
+                  <div className="text-xs text-gray-500">
+                    {[document.isMandatory && 'Mandatory', !document.isCurrent && 'Superseded', document.issuingAuthority]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </div>
+                </td>
+                <td className="py-2 text-gray-600">{document.documentNumber || '-'}</td>
+                <td className="py-2 text-gray-600">{formatDate(document.issueDate)}</td>
+                <td className="py-2 text-gray-600">
+                  {formatDate(document.expiryDate)}
+                  {document.daysLeft !== null && document.daysLeft >= 0 && document.isCurrent && (
+                    <span className="text-xs text-gray-500"> ({document.daysLeft} days)</span>
+                  )}
+                </td>
+                <td className="py-2">
+                  {document.isCurrent && (
+                    <Badge variant={EXPIRY_BADGES[document.expiryStatus]}>{EXPIRY_STATUS_LABELS[document.expiryStatus]}</Badge>
+                  )}
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  {document.hasFile && (
+                    <Button variant="ghost" size="sm" title="View file" onClick={() => handleOpenFile(document)}>
+                      <FileText className="h-4 w-4" />
+                    </Button>
+                  )}
+                  {document.isCurrent && document.expiryDate && (
+                    <Button variant="ghost" size="sm" title="Add renewal" onClick={() => openForm(document.documentType, document)}>
+                      <RefreshCw className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-error-600 hover:text-error-700 hover:bg-error-50"
+                    onClick={() => handleDelete(document)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,303 @@
+/**
+ * Equipment Load Charts - rated capacity of one crane by boom length and
+ * working radius, one chart per counterweight/outrigger configuration,
+ * imported from CSV.
+ */
+import { Fragment, useEffect, useState } from 'react';
+import { Eye, Plus, Trash2, Upload } from 'lucide-react';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { Badge } from '../common/Badge';
+import { Equipment } from '../../types/equipment';
+import {
+  LoadChart,
+  createLoadChart,
+  deleteLoadChart,
+  getLoadCharts,
+  updateLoadChart,
+} from '../../services/loadCharts';
+
+interface EquipmentLoadChartsProps {
+  equipment: Equipment;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+const CSV_HELP = 'First column radius (m), then one column per boom length (m) with the capacity in tonnes; '
+  + 'leave a cell blank where the boom cannot work. Rows of boom_length, radius, capacity[, hook_height] also work.';
+
+const emptyForm = {
+  configuration: '',
+  counterweightTons: '',
+  outriggerSetup: '',
+  boomPivotHeightM: '',
+  source: '',
+};
+
+// Capacities as a radius x boom length table
+function ChartTable({ chart }: { chart: LoadChart }) {
+  const radii = [...new Set(chart.points.map(point => point.radiusM))].sort((a, b) => a - b);
+  const capacity = (boomLengthM: number, radiusM: number) =>
+    chart.points.find(point => point.boomLengthM === boomLengthM && point.radiusM === radiusM)?.capacityTons;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="py-1 pr-3 text-left">Radius (m) \ Boom (m)</th>
+            {chart.boomLengths.map(boomLengthM => (
+              <th key={boomLengthM} className="py-1 px-2 text-right">{boomLengthM}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {radii.map(radiusM => (
+            <tr key={radiusM}>
+              <td className="py-1 pr-3 font-medium text-gray-700">{radiusM}</td>
+              {chart.boomLengths.map(boomLengthM => (
+                <td key={boomLengthM} className="py-1 px-2 text-right text-gray-600">
+                  {capacity(boomLengthM, radiusM) ?? '-'}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function EquipmentLoadCharts({ equipment, onMessage }: EquipmentLoadChartsProps) {
+  const [charts, setCharts] = useState<LoadChart[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [file, setFile] = useState<File | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [openChartId, setOpenChartId] = useState<string | null>(null);
+
+  const loadCharts = async () => {
+    try {
+      setCharts(await getLoadCharts(equipment.id));
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to fetch load charts', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCharts();
+  }, [equipment.id]);
+
+  const handleSave = async () => {
+    if (!file) {
+      onMessage('Choose the CSV of the load chart', 'warning');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await createLoadChart(equipment.id, {
+        configuration: form.configuration,
+        counterweightTons: form.counterweightTons ? Number(form.counterweightTons) : null,
+        outriggerSetup: form.outriggerSetup || undefined,
+        boomPivotHeightM: form.boomPivotHeightM ? Number(form.boomPivotHeightM) : undefined,
+        source: form.source || undefined,
+        csv: await file.text(),
+      });
+      onMessage('Load chart added', 'success');
+      setShowForm(false);
+      setForm(emptyForm);
+      setFile(null);
+      await loadCharts();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to add load chart', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReplaceCsv = async (chart: LoadChart, csvFile: File | undefined) => {
+    if (!csvFile) return;
+    try {
+      await updateLoadChart(chart.id, { csv: await csvFile.text() });
+      onMessage('Load chart capacities replaced', 'success');
+      await loadCharts();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to update load chart', 'error');
+    }
+  };
+
+  const handleToggleActive = async (chart: LoadChart) => {
+    try {
+      await updateLoadChart(chart.id, { isActive: !chart.isActive });
+      await loadCharts();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to update load chart', 'error');
+    }
+  };
+
+  const handleDelete = async (chart: LoadChart) => {
+    if (!window.confirm(`Delete the load chart "${chart.configuration}"?`)) return;
+    try {
+      await deleteLoadChart(chart.id);
+      onMessage('Load chart deleted', 'success');
+      await loadCharts();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to delete load chart', 'error');
+    }
+  };
+
+  if (isLoading) {
+    return <div className="text-center py-4">Loading load charts...</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          Lift checks use the active charts. Rated {equipment.maxLiftingCapacity} t at the shortest radius.
+        </p>
+        <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setShowForm(true)}>
+          Import Chart
+        </Button>
+      </div>
+
+      {showForm && (
+        <div className="grid grid-cols-2 gap-3 p-3 bg-gray-50 rounded-md">
+          <FormInput
+            label="Configuration"
+            value={form.configuration}
+            onChange={(e) => setForm({ ...form, configuration: e.target.value })}
+            placeholder="e.g. 36 t counterweight, outriggers fully extended"
+            required
+          />
+          <FormInput
+            label="Counterweight (t)"
+            type="number"
+            min={0}
+            value={form.counterweightTons}
+            onChange={(e) => setForm({ ...form, counterweightTons: e.target.value })}
+          />
+          <FormInput
+            label="Outrigger setup"
+            value={form.outriggerSetup}
+            onChange={(e) => setForm({ ...form, outriggerSetup: e.target.value })}
+            placeholder="e.g. 7.2 m x 7.2 m"
+          />
+          <FormInput
+            label="Boom pivot height (m)"
+            type="number"
+            min={0}
+            step="0.1"
+            value={form.boomPivotHeightM}
+            onChange={(e) => setForm({ ...form, boomPivotHeightM: e.target.value })}
+          />
+          <FormInput
+            label="Source"
+            value={form.source}
+            onChange={(e) => setForm({ ...form, source: e.target.value })}
+            placeholder="Manufacturer chart reference"
+          />
+          <FormInput
+            label="Load chart (CSV)"
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+          />
+          <p className="col-span-2 text-xs text-gray-500">{CSV_HELP}</p>
+          <div className="col-span-2 flex justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button size="sm" disabled={isSaving || !form.configuration} onClick={handleSave}>
+              Save Chart
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {charts.length === 0 ? (
+        <p className="text-sm text-gray-500">No load charts yet; the lift check skips this crane.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2">Configuration</th>
+              <th className="py-2">Boom</th>
+              <th className="py-2 text-right">Max capacity</th>
+              <th className="py-2">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {charts.map(chart => (
+              <Fragment key={chart.id}>
+                <tr className={chart.isActive ? '' : 'text-gray-400'}>
+                  <td className="py-2">
+                    <div className="font-medium text-gray-900">{chart.configuration}</div>
+                    <div className="text-xs text-gray-500">
+                      {[
+                        chart.counterweightTons !== null && `${chart.counterweightTons} t counterweight`,
+                        chart.outriggerSetup,
+                        chart.source,
+                      ].filter(Boolean).join(' · ')}
+                    </div>
+                  </td>
+                  <td className="py-2 text-gray-600">
+                    {chart.boomLengths.length > 0
+                      ? `${chart.boomLengths[0]}-${chart.boomLengths[chart.boomLengths.length - 1]} m`
+                      : '-'}
+                  </td>
+                  <td className="py-2 text-right text-gray-600">{chart.maxCapacityTons ?? '-'} t</td>
+                  <td className="py-2">
+                    <button type="button" onClick={() => handleToggleActive(chart)}>
+                      <Badge variant={chart.isActive ? 'success' : 'outline'}>{chart.isActive ? 'Active' : 'Inactive'}</Badge>
+                    </button>
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="View capacities"
+                      onClick={() => setOpenChartId(openChartId === chart.id ? null : chart.id)}
+                    >
+                      <Eye className="h-4 w-4" />
+                    </Button>
+                    <label className="inline-flex items-center justify-center h-8 px-3 rounded-lg text-gray-700 hover:bg-gray-100 cursor-pointer" title="Replace from CSV">
+                      <Upload className="h-4 w-4" />
+                      <input
+                        type="file"
+                        accept=".csv,text/csv"
+                        className="hidden"
+                        onChange={(e) => {
+                          handleReplaceCsv(chart, e.target.files?.[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-error-600 hover:text-error-700 hover:bg-error-50"
+                      onClick={() => handleDelete(chart)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </td>
+                </tr>
+                {openChartId === chart.id && (
+                  <tr>
+                    <td colSpan={5} className="py-2">
+                      <ChartTable chart={chart} />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
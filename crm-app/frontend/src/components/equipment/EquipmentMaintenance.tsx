@@ -0,0 +1,491 @@
+/**
+ * Equipment Maintenance - hour meter, preventive maintenance plans and the
+ * work-order log of one crane. Starting a work order puts the crane in
+ * maintenance; completing it records cost, parts and downtime.
+ */
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { Select } from '../common/Select';
+import { Badge } from '../common/Badge';
+import { Equipment } from '../../types/equipment';
+import { formatCurrency } from '../../utils/formatters';
+import {
+  MaintenancePlan,
+  MaintenanceWorkOrder,
+  WorkOrderPart,
+  WorkOrderType,
+  WORK_ORDER_STATUS_LABELS,
+  WORK_ORDER_TYPE_LABELS,
+  cancelWorkOrder,
+  completeWorkOrder,
+  createMaintenancePlan,
+  createWorkOrder,
+  deleteMaintenancePlan,
+  getMaintenancePlans,
+  getWorkOrders,
+  recordEngineHours,
+  startWorkOrder,
+} from '../../services/maintenance';
+
+interface EquipmentMaintenanceProps {
+  equipment: Equipment;
+  onChanged: () => void;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+const DUE_BADGES: Record<MaintenancePlan['dueStatus'], { label: string; variant: 'success' | 'warning' | 'error' }> = {
+  ok: { label: 'OK', variant: 'success' },
+  due_soon: { label: 'Due soon', variant: 'warning' },
+  overdue: { label: 'Overdue', variant: 'error' },
+};
+
+const STATUS_BADGES: Record<MaintenanceWorkOrder['status'], 'default' | 'warning' | 'success' | 'outline'> = {
+  planned: 'default',
+  in_progress: 'warning',
+  completed: 'success',
+  cancelled: 'outline',
+};
+
+const TYPE_OPTIONS = (Object.keys(WORK_ORDER_TYPE_LABELS) as WorkOrderType[]).map(type => ({
+  value: type,
+  label: WORK_ORDER_TYPE_LABELS[type],
+}));
+
+const formatDateTime = (value: string | null) => (value ? format(new Date(value), 'dd MMM yyyy, HH:mm') : '-');
+
+const emptyPlanForm = { name: '', intervalDays: '', intervalHours: '' };
+const emptyWorkOrderForm = { title: '', type: 'preventive' as WorkOrderType, planId: '', plannedStart: '', plannedEnd: '' };
+const emptyCompletionForm = { engineHours: '', labourCost: '', notes: '' };
+const emptyPart = { name: '', partNumber: '', quantity: '1', unitCost: '' };
+
+export function EquipmentMaintenance({ equipment, onChanged, onMessage }: EquipmentMaintenanceProps) {
+  const [plans, setPlans] = useState<MaintenancePlan[]>([]);
+  const [workOrders, setWorkOrders] = useState<MaintenanceWorkOrder[]>([]);
+  const [engineHours, setEngineHours] = useState(equipment.engineHours || 0);
+  const [meterReading, setMeterReading] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [showPlanForm, setShowPlanForm] = useState(false);
+  const [planForm, setPlanForm] = useState(emptyPlanForm);
+  const [showWorkOrderForm, setShowWorkOrderForm] = useState(false);
+  const [workOrderForm, setWorkOrderForm] = useState(emptyWorkOrderForm);
+  const [completingId, setCompletingId] = useState<string | null>(null);
+  const [completionForm, setCompletionForm] = useState(emptyCompletionForm);
+  const [parts, setParts] = useState([{ ...emptyPart }]);
+
+  const loadMaintenance = async () => {
+    try {
+      const [planData, workOrderData] = await Promise.all([
+        getMaintenancePlans({ equipmentId: equipment.id }),
+        getWorkOrders({ equipmentId: equipment.id }),
+      ]);
+      setPlans(planData);
+      setWorkOrders(workOrderData);
+      if (planData.length > 0) setEngineHours(planData[0].engineHours);
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to fetch maintenance', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMaintenance();
+  }, [equipment.id]);
+
+  // Run a change, then reload; the crane's status may have changed with it
+  const runAction = async (action: () => Promise<unknown>, successMessage: string) => {
+    try {
+      await action();
+      onMessage(successMessage, 'success');
+      await loadMaintenance();
+      onChanged();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Maintenance update failed', 'error');
+    }
+  };
+
+  const handleRecordHours = () => runAction(async () => {
+    const result = await recordEngineHours(equipment.id, Number(meterReading));
+    setEngineHours(result.engineHours);
+    setMeterReading('');
+  }, 'Engine hours recorded');
+
+  const handleCreatePlan = () => runAction(async () => {
+    await createMaintenancePlan({
+      equipmentId: equipment.id,
+      name: planForm.name,
+      intervalDays: planForm.intervalDays ? Number(planForm.intervalDays) : null,
+      intervalHours: planForm.intervalHours ? Number(planForm.intervalHours) : null,
+    });
+    setPlanForm(emptyPlanForm);
+    setShowPlanForm(false);
+  }, 'Maintenance plan created');
+
+  const openWorkOrderForm = (plan?: MaintenancePlan) => {
+    setWorkOrderForm({
+      ...emptyWorkOrderForm,
+      title: plan ? plan.name : '',
+      planId: plan ? plan.id : '',
+    });
+    setShowWorkOrderForm(true);
+  };
+
+  const handleCreateWorkOrder = async () => {
+    try {
+      const workOrder = await createWorkOrder({
+        equipmentId: equipment.id,
+        planId: workOrderForm.planId || null,
+        title: workOrderForm.title,
+        type: workOrderForm.type,
+        plannedStart: new Date(workOrderForm.plannedStart).toISOString(),
+        plannedEnd: new Date(workOrderForm.plannedEnd).toISOString(),
+      });
+      const affected = workOrder.affectedJobs || [];
+      onMessage(
+        affected.length > 0
+          ? `Work order planned; reschedule ${affected.map(job => job.jobTitle).join(', ')}`
+          : 'Work order planned',
+        affected.length > 0 ? 'warning' : 'success'
+      );
+      setWorkOrderForm(emptyWorkOrderForm);
+      setShowWorkOrderForm(false);
+      await loadMaintenance();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to create work order', 'error');
+    }
+  };
+
+  const openCompletion = (workOrder: MaintenanceWorkOrder) => {
+    setCompletingId(workOrder.id);
+    setCompletionForm({ ...emptyCompletionForm, engineHours: String(engineHours) });
+    setParts([{ ...emptyPart }]);
+  };
+
+  const handleComplete = (workOrderId: string) => runAction(async () => {
+    const usedParts: WorkOrderPart[] = parts
+      .filter(part => part.name.trim())
+      .map(part => ({
+        name: part.name.trim(),
+        partNumber: part.partNumber.trim() || null,
+        quantity: Number(part.quantity) || 1,
+        unitCost: Number(part.unitCost) || 0,
+      }));
+    await completeWorkOrder(workOrderId, {
+      engineHours: completionForm.engineHours ? Number(completionForm.engineHours) : null,
+      labourCost: Number(completionForm.labourCost) || 0,
+      parts: usedParts,
+      notes: completionForm.notes || undefined,
+    });
+    setCompletingId(null);
+  }, 'Work order completed');
+
+  const handleCancel = (workOrder: MaintenanceWorkOrder) => {
+    const reason = window.prompt(`Cancel "${workOrder.title}"? Reason (optional):`);
+    if (reason === null) return;
+    runAction(() => cancelWorkOrder(workOrder.id, reason || undefined), 'Work order cancelled');
+  };
+
+  const handleDeletePlan = (plan: MaintenancePlan) => {
+    if (!window.confirm(`Delete the maintenance plan "${plan.name}"?`)) return;
+    runAction(() => deleteMaintenancePlan(plan.id), 'Maintenance plan deleted');
+  };
+
+  const updatePart = (index: number, field: keyof typeof emptyPart, value: string) => {
+    setParts(prev => prev.map((part, i) => (i === index ? { ...part, [field]: value } : part)));
+  };
+
+  if (isLoading) {
+    return <div className="text-center py-4">Loading maintenance...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <div className="text-sm text-gray-500">Hour meter</div>
+          <div className="text-lg font-semibold text-gray-900">{engineHours} h</div>
+        </div>
+        <div className="w-40">
+          <FormInput
+            label="New reading (h)"
+            type="number"
+            min={engineHours}
+            value={meterReading}
+            onChange={(e) => setMeterReading(e.target.value)}
+          />
+        </div>
+        <Button variant="outline" size="sm" className="mb-4" disabled={!meterReading} onClick={handleRecordHours}>
+          Record
+        </Button>
+      </div>
+
+      <section>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-base font-semibold text-gray-900">Maintenance Plans</h3>
+          <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setShowPlanForm(!showPlanForm)}>
+            Add Plan
+          </Button>
+        </div>
+        {showPlanForm && (
+          <div className="grid grid-cols-3 gap-3 p-3 mb-3 bg-gray-50 rounded-md">
+            <FormInput
+              label="Name"
+              value={planForm.name}
+              onChange={(e) => setPlanForm({ ...planForm, name: e.target.value })}
+              placeholder="e.g. 250 h engine service"
+              required
+            />
+            <FormInput
+              label="Every (days)"
+              type="number"
+              min="1"
+              value={planForm.intervalDays}
+              onChange={(e) => setPlanForm({ ...planForm, intervalDays: e.target.value })}
+            />
+            <FormInput
+              label="Every (engine hours)"
+              type="number"
+              min="1"
+              value={planForm.intervalHours}
+              onChange={(e) => setPlanForm({ ...planForm, intervalHours: e.target.value })}
+            />
+            <div className="col-span-3 flex justify-end">
+              <Button
+                size="sm"
+                disabled={!planForm.name || (!planForm.intervalDays && !planForm.intervalHours)}
+                onClick={handleCreatePlan}
+              >
+                Save Plan
+              </Button>
+            </div>
+          </div>
+        )}
+        {plans.length === 0 ? (
+          <p className="text-sm text-gray-500">No maintenance plans yet.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">Plan</th>
+                <th className="py-2">Interval</th>
+                <th className="py-2">Last done</th>
+                <th className="py-2">Next due</th>
+                <th className="py-2">Status</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {plans.map(plan => (
+                <tr key={plan.id}>
+                  <td className="py-2 font-medium text-gray-900">{plan.name}</td>
+                  <td className="py-2 text-gray-600">
+                    {[plan.intervalDays && `${plan.intervalDays} days`, plan.intervalHours && `${plan.intervalHours} h`]
+                      .filter(Boolean)
+                      .join(' / ')}
+                  </td>
+                  <td className="py-2 text-gray-600">{plan.lastPerformedDate} · {plan.lastPerformedHours} h</td>
+                  <td className="py-2 text-gray-600">
+                    {[plan.nextDueDate, plan.nextDueHours !== null && `${plan.nextDueHours} h`].filter(Boolean).join(' / ')}
+                  </td>
+                  <td className="py-2">
+                    <Badge variant={DUE_BADGES[plan.dueStatus].variant}>{DUE_BADGES[plan.dueStatus].label}</Badge>
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <Button variant="ghost" size="sm" onClick={() => openWorkOrderForm(plan)}>
+                      Plan Work Order
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-error-600 hover:text-error-700 hover:bg-error-50"
+                      onClick={() => handleDeletePlan(plan)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-base font-semibold text-gray-900">Work Orders</h3>
+          <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => openWorkOrderForm()}>
+            New Work Order
+          </Button>
+        </div>
+        {showWorkOrderForm && (
+          <div className="grid grid-cols-2 gap-3 p-3 mb-3 bg-gray-50 rounded-md">
+            <FormInput
+              label="Title"
+              value={workOrderForm.title}
+              onChange={(e) => setWorkOrderForm({ ...workOrderForm, title: e.target.value })}
+              required
+            />
+            <Select
+              label="Type"
+              options={TYPE_OPTIONS}
+              value={workOrderForm.type}
+              onChange={(value) => setWorkOrderForm({ ...workOrderForm, type: value as WorkOrderType })}
+            />
+            <FormInput
+              label="Planned start"
+              type="datetime-local"
+              value={workOrderForm.plannedStart}
+              onChange={(e) => setWorkOrderForm({ ...workOrderForm, plannedStart: e.target.value })}
+              required
+            />
+            <FormInput
+              label="Planned end"
+              type="datetime-local"
+              value={workOrderForm.plannedEnd}
+              onChange={(e) => setWorkOrderForm({ ...workOrderForm, plannedEnd: e.target.value })}
+              required
+            />
+            <Select
+              label="Plan"
+              options={[{ value: '', label: 'None' }, ...plans.map(plan => ({ value: plan.id, label: plan.name }))]}
+              value={workOrderForm.planId}
+              onChange={(value) => setWorkOrderForm({ ...workOrderForm, planId: value })}
+            />
+            <div className="flex items-end justify-end gap-2 mb-4">
+              <Button variant="outline" size="sm" onClick={() => setShowWorkOrderForm(false)}>
+                Cancel
+              </Button>
+              <Button
+                size="sm"
+                disabled={!workOrderForm.title || !workOrderForm.plannedStart || !workOrderForm.plannedEnd}
+                onClick={handleCreateWorkOrder}
+              >
+                Save Work Order
+              </Button>
+            </div>
+          </div>
+        )}
+        {workOrders.length === 0 ? (
+          <p className="text-sm text-gray-500">No work orders yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {workOrders.map(workOrder => (
+              <div key={workOrder.id} className="border border-gray-200 rounded-md p-3">
+                <div className="flex items-start justify-between gap-3">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-900">{workOrder.title}</span>
+                      <Badge variant={STATUS_BADGES[workOrder.status]}>{WORK_ORDER_STATUS_LABELS[workOrder.status]}</Badge>
+                      <span className="text-xs text-gray-500">{WORK_ORDER_TYPE_LABELS[workOrder.type]}</span>
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {workOrder.status === 'completed'
+                        ? `${formatDateTime(workOrder.actualStart)} - ${formatDateTime(workOrder.actualEnd)} · ${workOrder.downtimeHours} h downtime`
+                        : `${formatDateTime(workOrder.plannedStart)} - ${formatDateTime(workOrder.plannedEnd)}`}
+                    </div>
+                    {workOrder.status === 'completed' && (
+                      <div className="text-xs text-gray-600 mt-1">
+                        Labour {formatCurrency(workOrder.labourCost)} + parts {formatCurrency(workOrder.partsCost)} = {formatCurrency(workOrder.totalCost)}
+                        {workOrder.parts.length > 0 && ` (${workOrder.parts.map(part => `${part.quantity} × ${part.name}`).join(', ')})`}
+                      </div>
+                    )}
+                  </div>
+                  {(workOrder.status === 'planned' || workOrder.status === 'in_progress') && (
+                    <div className="flex gap-2 whitespace-nowrap">
+                      {workOrder.status === 'planned' && (
+                        <Button variant="outline" size="sm" onClick={() => runAction(() => startWorkOrder(workOrder.id), 'Work order started')}>
+                          Start
+                        </Button>
+                      )}
+                      <Button variant="success" size="sm" onClick={() => openCompletion(workOrder)}>
+                        Complete
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleCancel(workOrder)}>
+                        Cancel
+                      </Button>
+                    </div>
+                  )}
+                </div>
+
+                {completingId === workOrder.id && (
+                  <div className="mt-3 p-3 bg-gray-50 rounded-md space-y-2">
+                    <div className="grid grid-cols-3 gap-3">
+                      <FormInput
+                        label="Engine hours"
+                        type="number"
+                        min={engineHours}
+                        value={completionForm.engineHours}
+                        onChange={(e) => setCompletionForm({ ...completionForm, engineHours: e.target.value })}
+                      />
+                      <FormInput
+                        label="Labour cost"
+                        type="number"
+                        min="0"
+                        value={completionForm.labourCost}
+                        onChange={(e) => setCompletionForm({ ...completionForm, labourCost: e.target.value })}
+                      />
+                      <FormInput
+                        label="Notes"
+                        value={completionForm.notes}
+                        onChange={(e) => setCompletionForm({ ...completionForm, notes: e.target.value })}
+                      />
+                    </div>
+                    <div className="text-sm font-medium text-gray-700">Parts used</div>
+                    {parts.map((part, index) => (
+                      <div key={index} className="grid grid-cols-4 gap-2">
+                        <input
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                          placeholder="Part"
+                          value={part.name}
+                          onChange={(e) => updatePart(index, 'name', e.target.value)}
+                        />
+                        <input
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                          placeholder="Part number"
+                          value={part.partNumber}
+                          onChange={(e) => updatePart(index, 'partNumber', e.target.value)}
+                        />
+                        <input
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                          type="number"
+                          min="1"
+                          placeholder="Qty"
+                          value={part.quantity}
+                          onChange={(e) => updatePart(index, 'quantity', e.target.value)}
+                        />
+                        <input
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                          type="number"
+                          min="0"
+                          placeholder="Unit cost"
+                          value={part.unitCost}
+                          onChange={(e) => updatePart(index, 'unitCost', e.target.value)}
+                        />
+                      </div>
+                    ))}
+                    <div className="flex justify-between">
+                      <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setParts([...parts, { ...emptyPart }])}>
+                        Add Part
+                      </Button>
+                      <div className="flex gap-2">
+                        <Button variant="outline" size="sm" onClick={() => setCompletingId(null)}>
+                          Back
+                        </Button>
+                        <Button size="sm" onClick={() => handleComplete(workOrder.id)}>
+                          Close Work Order
+                        </Button>
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+/**
+ * Equipment Rate Cards - effective-dated list rates of one crane and the rates
+ * negotiated with individual customers. Quotations take each rate from the
+ * customer's card, then the list card, then the equipment itself.
+ */
+import { useEffect, useState } from 'react';
+import { CalendarX, Plus, Trash2 } from 'lucide-react';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { Select } from '../common/Select';
+import { Badge } from '../common/Badge';
+import { Equipment } from '../../types/equipment';
+import { Customer, getCustomers } from '../../services/customer';
+import {
+  RATE_TYPES,
+  RateCard,
+  RateType,
+  createRateCard,
+  deleteRateCard,
+  getRateCards,
+  updateRateCard,
+} from '../../services/rateCards';
+import { formatCurrency } from '../../utils/formatters';
+
+interface EquipmentRateCardsProps {
+  equipment: Equipment;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+const RATE_LABELS: Record<RateType, string> = {
+  micro: 'Micro (per hour)',
+  small: 'Small (per hour)',
+  monthly: 'Monthly (per day)',
+  yearly: 'Yearly (per day)',
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyForm = () => ({
+  customerId: '',
+  name: '',
+  rates: { micro: '', small: '', monthly: '', yearly: '' } as Record<RateType, string>,
+  effectiveFrom: today(),
+  effectiveTo: '',
+  notes: '',
+});
+
+export function EquipmentRateCards({ equipment, onMessage }: EquipmentRateCardsProps) {
+  const [rateCards, setRateCards] = useState<RateCard[]>([]);
+  const [customers, setCustomers] = useState<Customer[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadRateCards = async () => {
+    try {
+      setRateCards(await getRateCards({ equipmentId: equipment.id }));
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to fetch rate cards', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRateCards();
+  }, [equipment.id]);
+
+  useEffect(() => {
+    getCustomers()
+      .then(setCustomers)
+      .catch(error => console.error('Error fetching customers:', error));
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await createRateCard({
+        equipmentId: equipment.id,
+        customerId: form.customerId || null,
+        name: form.name || undefined,
+        rates: Object.fromEntries(
+          RATE_TYPES.map(type => [type, form.rates[type] === '' ? null : Number(form.rates[type])])
+        ) as Record<RateType, number | null>,
+        effectiveFrom: form.effectiveFrom,
+        effectiveTo: form.effectiveTo || null,
+        notes: form.notes || undefined,
+      });
+      onMessage('Rate card added', 'success');
+      setShowForm(false);
+      setForm(emptyForm());
+      await loadRateCards();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to add rate card', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Cards quotations were priced from cannot change their rates, only end
+  const handleEnd = async (rateCard: RateCard) => {
+    const effectiveTo = window.prompt('Last day the rates apply (YYYY-MM-DD)', today());
+    if (!effectiveTo) return;
+    try {
+      await updateRateCard(rateCard.id, { effectiveTo });
+      onMessage('Rate card ended', 'success');
+      await loadRateCards();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to update rate card', 'error');
+    }
+  };
+
+  const handleDelete = async (rateCard: RateCard) => {
+    if (!window.confirm(`Delete the rate card from ${rateCard.effectiveFrom}?`)) return;
+    try {
+      await deleteRateCard(rateCard.id);
+      onMessage('Rate card deleted', 'success');
+      await loadRateCards();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to delete rate card', 'error');
+    }
+  };
+
+  if (isLoading) {
+    return <div className="text-center py-4">Loading rate cards...</div>;
+  }
+
+  const current = today();
+  const status = (rateCard: RateCard) => {
+    if (rateCard.effectiveFrom > current) return <Badge variant="warning">Upcoming</Badge>;
+    if (rateCard.effectiveTo && rateCard.effectiveTo < current) return <Badge variant="outline">Ended</Badge>;
+    return <Badge variant="success">Current</Badge>;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          Quotations use the customer's card, then the list card, then the rates on the equipment. Editing the
+          equipment rates starts a new list card from today.
+        </p>
+        <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setShowForm(true)}>
+          Add Rate Card
+        </Button>
+      </div>
+
+      {showForm && (
+        <div className="grid grid-cols-2 gap-3 p-3 bg-gray-50 rounded-md">
+          <Select
+            label="Customer"
+            options={[
+              { value: '', label: 'List rates (all customers)' },
+              ...customers.map(customer => ({ value: customer.id, label: customer.name })),
+            ]}
+            value={form.customerId}
+            onChange={(value) => setForm({ ...form, customerId: value })}
+          />
+          <FormInput
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. 2026 annual contract"
+          />
+          {RATE_TYPES.map(type => (
+            <FormInput
+              key={type}
+              label={RATE_LABELS[type]}
+              type="number"
+              min={0}
+              value={form.rates[type]}
+              onChange={(e) => setForm({ ...form, rates: { ...form.rates, [type]: e.target.value } })}
+              placeholder={form.customerId ? 'Blank: list rate' : 'Blank: equipment rate'}
+            />
+          ))}
+          <FormInput
+            label="Effective from"
+            type="date"
+            value={form.effectiveFrom}
+            onChange={(e) => setForm({ ...form, effectiveFrom: e.target.value })}
+            required
+          />
+          <FormInput
+            label="Effective to (inclusive)"
+            type="date"
+            value={form.effectiveTo}
+            onChange={(e) => setForm({ ...form, effectiveTo: e.target.value })}
+          />
+          <div className="col-span-2">
+            <FormInput
+              label="Notes"
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            />
+          </div>
+          <div className="col-span-2 flex justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button
+              size="sm"
+              disabled={isSaving || !form.effectiveFrom || RATE_TYPES.every(type => form.rates[type] === '')}
+              onClick={handleSave}
+            >
+              Save Rate Card
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {rateCards.length === 0 ? (
+        <p className="text-sm text-gray-500">No rate cards yet; quotations use the rates on the equipment.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2">Rates for</th>
+              <th className="py-2">Period</th>
+              {RATE_TYPES.map(type => (
+                <th key={type} className="py-2 text-right capitalize">{type}</th>
+              ))}
+              <th className="py-2">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rateCards.map(rateCard => (
+              <tr key={rateCard.id}>
+                <td className="py-2">
+                  <div className="font-medium text-gray-900">{rateCard.customerName || 'List rates'}</div>
+                  <div className="text-xs text-gray-500">
+                    {[rateCard.customerId && rateCard.name, rateCard.notes].filter(Boolean).join(' · ')}
+                  </div>
+                </td>
+                <td className="py-2 text-gray-600 whitespace-nowrap">
+                  {rateCard.effectiveFrom} – {rateCard.effectiveTo || 'open'}
+                </td>
+                {RATE_TYPES.map(type => (
+                  <td key={type} className="py-2 text-right text-gray-600">
+                    {rateCard.rates[type] !== null ? formatCurrency(rateCard.rates[type] as number) : '-'}
+                  </td>
+                ))}
+                <td className="py-2">{status(rateCard)}</td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  {(!rateCard.effectiveTo || rateCard.effectiveTo >= current) && (
+                    <Button variant="ghost" size="sm" title="Set end date" onClick={() => handleEnd(rateCard)}>
+                      <CalendarX className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-error-600 hover:text-error-700 hover:bg-error-50"
+                    onClick={() => handleDelete(rateCard)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+/**
+ * Lift Check Panel - which cranes can make a lift according to their load
+ * charts, from the load, radius and hook height entered or taken from a site
+ * assessment. Used when picking equipment for a quotation.
+ */
+import { useEffect, useState } from 'react';
+import { CheckCircle, Loader2, Plus } from 'lucide-react';
+import { LiftCheckResult, checkLift } from '../../services/loadCharts';
+import { SiteAssessment, getSiteAssessments } from '../../services/siteAssessmentService';
+
+interface LiftCheckPanelProps {
+  // Only check cranes of this category
+  category?: string;
+  selectedEquipmentIds?: string[];
+  onSelect: (equipmentId: string) => void;
+}
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const emptyLift = { loadTons: '', riggingTons: '', radiusM: '', heightM: '', safetyMarginPercent: '' };
+
+const toNumber = (value: string) => (value.trim() === '' ? undefined : Number(value));
+
+export function LiftCheckPanel({ category, selectedEquipmentIds = [], onSelect }: LiftCheckPanelProps) {
+  const [assessments, setAssessments] = useState<SiteAssessment[]>([]);
+  const [assessmentId, setAssessmentId] = useState('');
+  const [lift, setLift] = useState(emptyLift);
+  const [result, setResult] = useState<LiftCheckResult | null>(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getSiteAssessments()
+      .then(items => setAssessments(items.filter(item => item.liftLoadTons !== null || item.liftRadiusM !== null)))
+      .catch((err) => console.error('Error fetching site assessments:', err));
+  }, []);
+
+  // A new category makes the last result stale
+  useEffect(() => {
+    setResult(null);
+  }, [category]);
+
+  const handleAssessmentChange = (id: string) => {
+    setAssessmentId(id);
+    const assessment = assessments.find(item => item.id === id);
+    if (!assessment) return;
+    setLift(prev => ({
+      ...prev,
+      loadTons: assessment.liftLoadTons !== null ? String(assessment.liftLoadTons) : prev.loadTons,
+      radiusM: assessment.liftRadiusM !== null ? String(assessment.liftRadiusM) : prev.radiusM,
+      heightM: assessment.liftHeightM !== null ? String(assessment.liftHeightM) : prev.heightM,
+    }));
+  };
+
+  const handleCheck = async () => {
+    setIsChecking(true);
+    setError(null);
+    try {
+      setResult(await checkLift({
+        loadTons: toNumber(lift.loadTons),
+        riggingTons: toNumber(lift.riggingTons),
+        radiusM: toNumber(lift.radiusM),
+        heightM: toNumber(lift.heightM) ?? null,
+        safetyMarginPercent: toNumber(lift.safetyMarginPercent),
+        category: category || undefined,
+      }));
+    } catch (err) {
+      setResult(null);
+      setError(err instanceof Error ? err.message : 'Failed to check the lift');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-900">Lift Check</h3>
+        <p className="text-xs text-gray-500">Cranes whose load charts cover the lift with the safety margin, smallest first.</p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-gray-700 mb-1">Site assessment</label>
+          <select value={assessmentId} onChange={(e) => handleAssessmentChange(e.target.value)} className={inputClass}>
+            <option value="">Enter the lift below</option>
+            {assessments.map(assessment => (
+              <option key={assessment.id} value={assessment.id}>
+                {assessment.title} - {assessment.customerName || assessment.leadName || assessment.location}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Load (t) *</label>
+          <input type="number" min={0} step="0.1" value={lift.loadTons} onChange={(e) => setLift({ ...lift, loadTons: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Rigging (t)</label>
+          <input type="number" min={0} step="0.1" value={lift.riggingTons} onChange={(e) => setLift({ ...lift, riggingTons: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Radius (m) *</label>
+          <input type="number" min={0} step="0.1" value={lift.radiusM} onChange={(e) => setLift({ ...lift, radiusM: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Hook height (m)</label>
+          <input type="number" min={0} step="0.1" value={lift.heightM} onChange={(e) => setLift({ ...lift, heightM: e.target.value })} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="flex items-end gap-3">
+        <div className="w-40">
+          <label className="block text-xs font-medium text-gray-700 mb-1">Safety margin (%)</label>
+          <input
+            type="number"
+            min={0}
+            max={99}
+            value={lift.safetyMarginPercent}
+            onChange={(e) => setLift({ ...lift, safetyMarginPercent: e.target.value })}
+            placeholder="Default"
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="button"
+          onClick={handleCheck}
+          disabled={isChecking || !lift.loadTons || !lift.radiusM}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+        >
+          {isChecking && <Loader2 className="h-4 w-4 animate-spin" />}
+          Check Lift
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {result && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            {result.totalLoadTons} t at {result.radiusM} m{result.heightM !== null ? `, ${result.heightM} m hook height` : ''} needs
+            {' '}{result.requiredCapacityTons} t rated capacity ({result.safetyMarginPercent}% margin).
+          </p>
+
+          {result.suitable.length === 0 ? (
+            <p className="text-sm text-orange-700">No crane in the fleet can make this lift.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-1">Crane</th>
+                  <th className="py-1">Configuration</th>
+                  <th className="py-1 text-right">Boom</th>
+                  <th className="py-1 text-right">Rated</th>
+                  <th className="py-1 text-right">Used</th>
+                  <th className="py-1" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {result.suitable.map(crane => (
+                  <tr key={crane.equipmentId}>
+                    <td className="py-1">
+                      <div className="font-medium text-gray-900">{crane.name}</div>
+                      <div className="text-xs text-gray-500">{crane.maxLiftingCapacity} t · {crane.status.replace('_', ' ')}</div>
+                    </td>
+                    <td className="py-1 text-gray-600">{crane.option?.configuration}</td>
+                    <td className="py-1 text-right text-gray-600">{crane.option?.boomLengthM} m</td>
+                    <td className="py-1 text-right text-gray-600">{crane.option?.capacityTons} t @ {crane.option?.chartRadiusM} m</td>
+                    <td className="py-1 text-right text-gray-600">{crane.option?.utilizationPercent}%</td>
+                    <td className="py-1 text-right">
+                      {selectedEquipmentIds.includes(crane.equipmentId) ? (
+                        <CheckCircle className="h-4 w-4 text-green-600 inline" />
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => onSelect(crane.equipmentId)}
+                          className="text-blue-600 hover:text-blue-800 inline-flex items-center gap-1 text-xs"
+                        >
+                          <Plus className="h-3 w-3" /> Add
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {result.unsuitable.length > 0 && (
+            <details className="text-sm text-gray-600">
+              <summary className="cursor-pointer">{result.unsuitable.length} crane(s) cannot make the lift</summary>
+              <ul className="mt-2 space-y-1">
+                {result.unsuitable.map(crane => (
+                  <li key={crane.equipmentId}>
+                    <span className="font-medium">{crane.name}</span>: {crane.reason}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * Customer Satisfaction Scores - average rating of signed completion reports,
+ * per customer or per operator, lowest first.
+ */
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { Card, CardHeader, CardTitle, CardContent } from '../common/Card';
+import { Select } from '../common/Select';
+import { SatisfactionGroup, SatisfactionScores, getSatisfactionScores } from '../../services/jobCompletionReports';
+
+const GROUP_OPTIONS = [
+  { value: 'customer', label: 'By customer' },
+  { value: 'operator', label: 'By operator' },
+];
+
+const formatRating = (rating: number | null) => (rating === null ? '-' : rating.toFixed(2));
+
+export function CustomerSatisfactionScores() {
+  const [groupBy, setGroupBy] = useState<SatisfactionGroup>('customer');
+  const [scores, setScores] = useState<SatisfactionScores | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setError(null);
+    getSatisfactionScores(groupBy)
+      .then(setScores)
+      .catch((err) => {
+        console.error('Error fetching satisfaction scores:', err);
+        setError(err instanceof Error ? err.message : 'Failed to fetch satisfaction scores');
+      });
+  }, [groupBy]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center gap-4">
+          <CardTitle>Customer Satisfaction</CardTitle>
+          <div className="w-48">
+            <Select
+              options={GROUP_OPTIONS}
+              value={groupBy}
+              onChange={(value) => setGroupBy(value as SatisfactionGroup)}
+            />
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : !scores ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : scores.overall.reports === 0 ? (
+          <p className="text-gray-500 text-center py-4">No customer has signed a completion report yet</p>
+        ) : (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Average {formatRating(scores.overall.averageRating)} / 5 from {scores.overall.reports} signed report(s)
+            </p>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-4 font-medium">{groupBy === 'customer' ? 'Customer' : 'Operator'}</th>
+                  <th className="py-1 pr-4 font-medium text-right">Average</th>
+                  <th className="py-1 pr-4 font-medium text-right">Reports</th>
+                  <th className="py-1 pr-4 font-medium text-right">Rated 1-2</th>
+                  <th className="py-1 font-medium text-right">Last rated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scores.groups.map(group => (
+                  <tr key={group.key} className="border-t border-gray-100">
+                    <td className="py-1 pr-4">{group.name}</td>
+                    <td className="py-1 pr-4 text-right">{formatRating(group.averageRating)}</td>
+                    <td className="py-1 pr-4 text-right">{group.reports}</td>
+                    <td className="py-1 pr-4 text-right">{group.ratings[1] + group.ratings[2]}</td>
+                    <td className="py-1 text-right">
+                      {group.lastRatedAt ? format(new Date(group.lastRatedAt), 'MMM d, yyyy') : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,259 @@
+/**
+ * Fleet Timeline - Gantt-style view of crane bookings. Rows are cranes, bars are
+ * jobs; dragging a pending or scheduled job moves it by whole days, validated on the server.
+ */
+import { useEffect, useState } from 'react';
+import { addDays, format } from 'date-fns';
+import {
+  BookingConflictError,
+  FleetAvailability,
+  FleetEquipmentAvailability,
+  getFleetAvailability,
+  rescheduleJob,
+} from '../../services/job';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LANE_HEIGHT = 28;
+const DRAGGABLE_STATUSES = ['pending', 'scheduled'];
+
+const CATEGORY_OPTIONS = [
+  { value: '', label: 'All categories' },
+  { value: 'mobile_crane', label: 'Mobile crane' },
+  { value: 'tower_crane', label: 'Tower crane' },
+  { value: 'crawler_crane', label: 'Crawler crane' },
+  { value: 'pick_and_carry_crane', label: 'Pick & carry crane' },
+];
+
+const STATUS_COLORS: Record<string, string> = {
+  pending: 'bg-amber-400',
+  scheduled: 'bg-blue-500',
+  mobilizing: 'bg-teal-500',
+  in_progress: 'bg-green-500',
+  demobilizing: 'bg-teal-500',
+};
+
+interface FleetTimelineProps {
+  startDate: Date;
+  days?: number;
+  onRescheduled: () => void;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+interface DragState {
+  jobId: string;
+  originX: number;
+  dayWidth: number;
+  deltaDays: number;
+}
+
+type Booking = FleetEquipmentAvailability['bookings'][number];
+
+// Place overlapping bookings (forced double bookings) on separate lanes
+const assignLanes = (bookings: Booking[]) => {
+  const laneEnds: number[] = [];
+  const lanes = new Map<string, number>();
+  [...bookings]
+    .sort((a, b) => new Date(a.scheduledStartDate).getTime() - new Date(b.scheduledStartDate).getTime())
+    .forEach(booking => {
+      const start = new Date(booking.scheduledStartDate).getTime();
+      let lane = laneEnds.findIndex(end => end <= start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = new Date(booking.scheduledEndDate).getTime();
+      lanes.set(booking.jobId, lane);
+    });
+  return { lanes, count: Math.max(1, laneEnds.length) };
+};
+
+export function FleetTimeline({ startDate, days = 14, onRescheduled, onMessage }: FleetTimelineProps) {
+  const [availability, setAvailability] = useState<FleetAvailability | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [category, setCategory] = useState('');
+  const [minCapacity, setMinCapacity] = useState('');
+  const [drag, setDrag] = useState<DragState | null>(null);
+
+  const from = new Date(new Date(startDate).setHours(0, 0, 0, 0));
+  const to = addDays(from, days);
+  const rangeMs = to.getTime() - from.getTime();
+  const dayColumns = Array.from({ length: days }, (_, i) => addDays(from, i));
+
+  const loadAvailability = async () => {
+    setIsLoading(true);
+    try {
+      setAvailability(await getFleetAvailability(from.toISOString(), to.toISOString(), {
+        category: category || undefined,
+        minCapacity: Number(minCapacity) || undefined,
+      }));
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to fetch fleet availability', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAvailability();
+  }, [from.getTime(), days, category, minCapacity]);
+
+  const toPercent = (value: Date) =>
+    ((Math.min(Math.max(value.getTime(), from.getTime()), to.getTime()) - from.getTime()) / rangeMs) * 100;
+
+  const moveBooking = async (booking: Booking, deltaDays: number) => {
+    const start = new Date(new Date(booking.scheduledStartDate).getTime() + deltaDays * DAY_MS).toISOString();
+    const end = new Date(new Date(booking.scheduledEndDate).getTime() + deltaDays * DAY_MS).toISOString();
+    try {
+      await rescheduleJob(booking.jobId, start, end);
+    } catch (error) {
+      if (!(error instanceof BookingConflictError)) {
+        onMessage(error instanceof Error ? error.message : 'Failed to reschedule job', 'error');
+        return;
+      }
+      const clashes = error.conflicts.map(c => `${c.resourceName || c.resourceId} on ${c.jobTitle}`).join(', ');
+      if (!error.canOverride) {
+        onMessage(`Cannot move ${booking.jobTitle}: ${clashes}`, 'error');
+        return;
+      }
+      const reason = window.prompt(`Moving ${booking.jobTitle} double-books ${clashes}. Reason for forcing it:`);
+      if (!reason || !reason.trim()) return;
+      try {
+        await rescheduleJob(booking.jobId, start, end, { overrideReason: reason.trim() });
+      } catch (overrideError) {
+        onMessage(overrideError instanceof Error ? overrideError.message : 'Failed to reschedule job', 'error');
+        return;
+      }
+    }
+    onMessage(`${booking.jobTitle} moved to ${format(new Date(start), 'MMM d')}`, 'success');
+    await loadAvailability();
+    onRescheduled();
+  };
+
+  const handlePointerDown = (event: React.PointerEvent<HTMLDivElement>, booking: Booking) => {
+    if (!DRAGGABLE_STATUSES.includes(booking.status)) return;
+    const track = event.currentTarget.parentElement;
+    if (!track) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDrag({
+      jobId: booking.jobId,
+      originX: event.clientX,
+      dayWidth: track.getBoundingClientRect().width / days,
+      deltaDays: 0,
+    });
+  };
+
+  const handlePointerMove = (event: React.PointerEvent<HTMLDivElement>) => {
+    if (!drag) return;
+    const deltaDays = Math.round((event.clientX - drag.originX) / drag.dayWidth);
+    if (deltaDays !== drag.deltaDays) {
+      setDrag({ ...drag, deltaDays });
+    }
+  };
+
+  const handlePointerUp = (booking: Booking) => {
+    if (!drag) return;
+    const { deltaDays } = drag;
+    setDrag(null);
+    if (deltaDays !== 0) {
+      moveBooking(booking, deltaDays);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select
+          value={category}
+          onChange={e => setCategory(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-1.5"
+        >
+          {CATEGORY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={minCapacity}
+          onChange={e => setMinCapacity(e.target.value)}
+          placeholder="Min capacity (t)"
+          className="w-36 border border-gray-300 rounded-md px-3 py-1.5"
+        />
+        <div className="flex items-center gap-3 text-xs text-gray-600 ml-auto">
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-400" /> Pending</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-500" /> Scheduled</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-green-500" /> In progress</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-gray-300" /> Maintenance</span>
+        </div>
+      </div>
+
+      {isLoading && !availability ? (
+        <div className="py-8 text-center text-gray-500">Loading fleet availability...</div>
+      ) : !availability || availability.equipment.length === 0 ? (
+        <div className="py-8 text-center text-gray-500">No cranes match the filters.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <div className="min-w-[900px]">
+            <div className="grid grid-cols-[200px_1fr] border-b border-gray-200">
+              <div className="px-2 py-2 text-xs font-medium text-gray-600">Crane</div>
+              <div className="grid" style={{ gridTemplateColumns: `repeat(${days}, minmax(0, 1fr))` }}>
+                {dayColumns.map(day => (
+                  <div key={day.toISOString()} className="px-1 py-2 text-center text-xs text-gray-600 border-l border-gray-100">
+                    {format(day, 'EEE d')}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {availability.equipment.map(crane => {
+              const { lanes, count } = assignLanes(crane.bookings);
+              return (
+                <div key={crane.id} className="grid grid-cols-[200px_1fr] border-b border-gray-100">
+                  <div className="px-2 py-2 text-sm">
+                    <div className="font-medium text-gray-900 truncate">{crane.name}</div>
+                    <div className="text-xs text-gray-500">{crane.maxLiftingCapacity} t · {crane.equipmentId}</div>
+                  </div>
+                  <div className="relative" style={{ height: count * LANE_HEIGHT + 16 }}>
+                    <div className="absolute inset-0 grid" style={{ gridTemplateColumns: `repeat(${days}, minmax(0, 1fr))` }}>
+                      {dayColumns.map(day => (
+                        <div key={day.toISOString()} className="border-l border-gray-100" />
+                      ))}
+                    </div>
+                    {crane.intervals.filter(interval => interval.type === 'maintenance').map(interval => (
+                      <div
+                        key={`maintenance-${interval.start}`}
+                        className="absolute top-0 bottom-0 bg-gray-300/60"
+                        style={{
+                          left: `${toPercent(new Date(interval.start))}%`,
+                          width: `${toPercent(new Date(interval.end)) - toPercent(new Date(interval.start))}%`,
+                        }}
+                        title={crane.maintenance.map(window => window.title).join(', ') || 'Under maintenance'}
+                      />
+                    ))}
+                    {crane.bookings.map(booking => {
+                      const left = toPercent(new Date(booking.scheduledStartDate));
+                      const width = Math.max(toPercent(new Date(booking.scheduledEndDate)) - left, 0.5);
+                      const offset = drag?.jobId === booking.jobId ? (drag.deltaDays * 100) / days : 0;
+                      const draggable = DRAGGABLE_STATUSES.includes(booking.status);
+                      return (
+                        <div
+                          key={booking.jobId}
+                          className={`absolute h-6 rounded px-2 text-xs text-white truncate leading-6 select-none ${STATUS_COLORS[booking.status] || 'bg-gray-500'} ${draggable ? 'cursor-grab active:cursor-grabbing' : ''} ${drag?.jobId === booking.jobId ? 'opacity-75 ring-2 ring-blue-300' : ''}`}
+                          style={{ left: `${left + offset}%`, width: `${width}%`, top: 8 + (lanes.get(booking.jobId) || 0) * LANE_HEIGHT }}
+                          title={`${booking.jobTitle} - ${booking.customerName}\n${format(new Date(booking.scheduledStartDate), 'MMM d, h:mm a')} - ${format(new Date(booking.scheduledEndDate), 'MMM d, h:mm a')}${booking.location ? `\n${booking.location}` : ''}`}
+                          onPointerDown={event => handlePointerDown(event, booking)}
+                          onPointerMove={handlePointerMove}
+                          onPointerUp={() => handlePointerUp(booking)}
+                          onPointerCancel={() => setDrag(null)}
+                        >
+                          {booking.jobTitle}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * Job Status Actions - moves a job along its lifecycle (confirm, mobilize,
+ * start, finish, complete or cancel with a reason) and lists its status history.
+ */
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { Button } from '../common/Button';
+import { TextArea } from '../common/TextArea';
+import {
+  JOB_STATUS_LABELS,
+  JOB_TRANSITIONS,
+  Job,
+  JobStatus,
+  JobStatusChange,
+  changeJobStatus,
+  getJobStatusHistory,
+} from '../../services/job';
+
+const ACTION_LABELS: Record<JobStatus, string> = {
+  pending: 'Back to Pending',
+  scheduled: 'Confirm Schedule',
+  mobilizing: 'Mobilize',
+  in_progress: 'Start Work',
+  demobilizing: 'Finish Work',
+  completed: 'Complete',
+  cancelled: 'Cancel Job',
+};
+
+interface JobStatusActionsProps {
+  jobId: string;
+  status: JobStatus;
+  onChanged: (job: Job) => void;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+export function JobStatusActions({ jobId, status, onChanged, onMessage }: JobStatusActionsProps) {
+  const [history, setHistory] = useState<JobStatusChange[]>([]);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchHistory = async () => {
+    try {
+      setHistory(await getJobStatusHistory(jobId));
+    } catch (error) {
+      console.error('Error fetching job status history:', error);
+    }
+  };
+
+  useEffect(() => {
+    setIsCancelling(false);
+    setReason('');
+    fetchHistory();
+  }, [jobId]);
+
+  const handleChange = async (next: JobStatus) => {
+    setIsSaving(true);
+    try {
+      const job = await changeJobStatus(jobId, next, next === 'cancelled' ? { reason: reason.trim() } : {});
+      onMessage(`Job ${JOB_STATUS_LABELS[next].toLowerCase()}`, 'success');
+      setIsCancelling(false);
+      setReason('');
+      onChanged(job);
+      fetchHistory();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to change job status', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const nextSteps = (JOB_TRANSITIONS[status] || []).filter(next => next !== 'cancelled');
+  const canCancel = (JOB_TRANSITIONS[status] || []).includes('cancelled');
+
+  return (
+    <div className="space-y-3">
+      {(nextSteps.length > 0 || canCancel) && (
+        <div className="flex flex-wrap gap-2">
+          {nextSteps.map(next => (
+            <Button key={next} size="sm" disabled={isSaving} onClick={() => handleChange(next)}>
+              {ACTION_LABELS[next]}
+            </Button>
+          ))}
+          {canCancel && !isCancelling && (
+            <Button size="sm" variant="outline" disabled={isSaving} onClick={() => setIsCancelling(true)}>
+              {ACTION_LABELS.cancelled}
+            </Button>
+          )}
+        </div>
+      )}
+
+      {isCancelling && (
+        <div className="space-y-2">
+          <TextArea
+            label="Reason for cancelling"
+            required
+            rows={2}
+            maxLength={1000}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <div className="flex gap-2">
+            <Button size="sm" variant="outline" onClick={() => setIsCancelling(false)}>
+              Keep Job
+            </Button>
+            <Button size="sm" variant="destructive" disabled={isSaving || !reason.trim()} onClick={() => handleChange('cancelled')}>
+              Cancel Job
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <ul className="text-sm text-gray-600 space-y-1">
+          {history.map(change => (
+            <li key={change.id}>
+              {format(new Date(change.changedAt), 'MMM d, yyyy h:mm a')} · {JOB_STATUS_LABELS[change.fromStatus] || change.fromStatus}
+              {' → '}
+              {JOB_STATUS_LABELS[change.toStatus] || change.toStatus}
+              {change.changedByName && ` by ${change.changedByName}`}
+              {change.reason && ` (${change.reason})`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
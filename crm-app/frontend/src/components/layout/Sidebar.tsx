@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { 
   Calendar, 
+  NotebookPen,
   Clipboard, 
   Cog, 
   CreditCard, 
@@ -19,6 +20,10 @@ import {
   CheckSquare,
   Megaphone,
   FileImage,
+  Receipt,
+  ShieldCheck,
+  HardHat,
+  TrendingUp,
   Users2
 } from 'lucide-react';
 import { useAuthStore } from '../../store/authStore';
@@ -71,6 +76,12 @@ const navItems: NavItem[] = [
     href: '/quotations',
     roles: ['admin', 'sales_agent'],
   },
+  {
+    label: 'Invoices',
+    icon: <Receipt size={18} />,
+    href: '/invoices',
+    roles: ['admin', 'sales_agent', 'operations_manager'],
+  },
   {
     label: 'Customers',
     icon: <Building2 size={18} />,
@@ -113,11 +124,17 @@ const navItems: NavItem[] = [
     href: '/jobs',
     roles: ['admin', 'operations_manager', 'operator'],
   },
+  {
+    label: 'Logbook',
+    icon: <NotebookPen size={18} />,
+    href: '/logbook',
+    roles: ['admin', 'operations_manager', 'operator'],
+  },
   {
     label: 'Site Assessment',
     icon: <Image size={18} />,
     href: '/site-assessments',
-    roles: ['admin', 'operations_manager', 'operator'],
+    roles: ['admin', 'operations_manager', 'operator', 'sales_agent'],
   },
   {
     label: 'Configuration',
@@ -135,6 +152,25 @@ const navItems: NavItem[] = [
     label: 'Equipment',
     icon: <Settings size={18} />,
     href: '/admin/equipment',
+    end: true,
+    roles: ['admin', 'operations_manager'],
+  },
+  {
+    label: 'Certificates',
+    icon: <ShieldCheck size={18} />,
+    href: '/admin/equipment/certificates',
+    roles: ['admin', 'operations_manager'],
+  },
+  {
+    label: 'Fleet Analytics',
+    icon: <TrendingUp size={18} />,
+    href: '/admin/equipment/analytics',
+    roles: ['admin', 'operations_manager'],
+  },
+  {
+    label: 'Operators',
+    icon: <HardHat size={18} />,
+    href: '/admin/operators',
     roles: ['admin', 'operations_manager'],
   },
   {
@@ -147,7 +183,7 @@ const navItems: NavItem[] = [
     label: 'Feedback',
     icon: <MessageSquare size={18} />,
     href: '/job-summary',
-    roles: ['admin', 'operations_manager', 'operator'],
+    roles: ['admin', 'operations_manager', 'operator', 'sales_agent', 'support'],
   },
   // Removed old 'Templates' entry for legacy quotation templates
   {
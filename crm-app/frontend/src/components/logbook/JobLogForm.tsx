@@ -0,0 +1,252 @@
+/**
+ * Job Log Form - the day's logbook entry for a crane on a job: shift times,
+ * breaks, hour meter readings, breakdown hours and diesel issued. Laid out in
+ * one column so operators can fill it in on a phone at the site.
+ */
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { Select } from '../common/Select';
+import { TextArea } from '../common/TextArea';
+import { JobLog, LogAssignment, createJobLog, updateJobLog } from '../../services/jobLogs';
+
+interface JobLogFormProps {
+  assignments: LogAssignment[];
+  // The logged-in operator; managers pick the operator instead
+  operatorId: string | null;
+  log?: JobLog | null;
+  defaultJobId?: string;
+  onSaved: (log: JobLog) => void;
+  onCancel: () => void;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+const shiftHours = (startTime: string, endTime: string, breakMinutes: string) => {
+  if (!startTime || !endTime || startTime === endTime) return null;
+  const toMinutes = (time: string) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  let minutes = toMinutes(endTime) - toMinutes(startTime);
+  if (minutes < 0) minutes += 24 * 60;
+  return Math.round(((minutes - (Number(breakMinutes) || 0)) / 60) * 100) / 100;
+};
+
+const numberOrNull = (value: string) => (value === '' ? null : Number(value));
+
+export function JobLogForm({ assignments, operatorId, log, defaultJobId, onSaved, onCancel, onMessage }: JobLogFormProps) {
+  const firstAssignment = assignments.find(item => item.jobId === defaultJobId) || assignments[0];
+  const onlyCrane = firstAssignment?.equipment.length === 1 ? firstAssignment.equipment[0] : null;
+  const [form, setForm] = useState({
+    jobId: log?.jobId || firstAssignment?.jobId || '',
+    equipmentId: log?.equipmentId || onlyCrane?.id || '',
+    operatorId: log?.operatorId || operatorId || '',
+    logDate: log?.logDate || format(new Date(), 'yyyy-MM-dd'),
+    startTime: log?.startTime || '08:00',
+    endTime: log?.endTime || '18:00',
+    breakMinutes: String(log?.breakMinutes ?? 60),
+    breakdownHours: String(log?.breakdownHours ?? 0),
+    hourMeterStart: log ? (log.hourMeterStart != null ? String(log.hourMeterStart) : '') : onlyCrane ? String(onlyCrane.engineHours) : '',
+    hourMeterEnd: log?.hourMeterEnd != null ? String(log.hourMeterEnd) : '',
+    dieselLitres: String(log?.dieselLitres ?? 0),
+    workDescription: log?.workDescription || '',
+    remarks: log?.remarks || '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const assignment = assignments.find(item => item.jobId === form.jobId);
+  const worked = shiftHours(form.startTime, form.endTime, form.breakMinutes);
+
+  const selectJob = (jobId: string) => {
+    const next = assignments.find(item => item.jobId === jobId);
+    const crane = next?.equipment.length === 1 ? next.equipment[0] : null;
+    setForm({
+      ...form,
+      jobId,
+      equipmentId: crane?.id || '',
+      operatorId: operatorId || '',
+      hourMeterStart: crane ? String(crane.engineHours) : '',
+    });
+  };
+
+  // The opening reading defaults to the crane's last recorded engine hours
+  const selectEquipment = (equipmentId: string) => {
+    const crane = assignment?.equipment.find(item => item.id === equipmentId);
+    setForm({
+      ...form,
+      equipmentId,
+      hourMeterStart: crane ? String(crane.engineHours) : form.hourMeterStart,
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const fields = {
+        logDate: form.logDate,
+        startTime: form.startTime,
+        endTime: form.endTime,
+        breakMinutes: Number(form.breakMinutes) || 0,
+        breakdownHours: Number(form.breakdownHours) || 0,
+        hourMeterStart: numberOrNull(form.hourMeterStart),
+        hourMeterEnd: numberOrNull(form.hourMeterEnd),
+        dieselLitres: Number(form.dieselLitres) || 0,
+        workDescription: form.workDescription,
+        remarks: form.remarks,
+      };
+      const saved = log
+        ? await updateJobLog(log.id, fields)
+        : await createJobLog({
+            ...fields,
+            jobId: form.jobId,
+            equipmentId: form.equipmentId,
+            operatorId: operatorId ? undefined : form.operatorId,
+          });
+      onMessage(log ? 'Log updated' : 'Log saved', 'success');
+      onSaved(saved);
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to save log', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const canSave = form.jobId && form.equipmentId && form.operatorId && form.logDate && worked !== null && worked > 0;
+
+  return (
+    <div className="space-y-1">
+      {log ? (
+        <p className="text-sm text-gray-600 mb-3">
+          {log.jobTitle} · {log.equipmentName} · {log.operatorName}
+        </p>
+      ) : (
+        <>
+          <Select
+            label="Job"
+            required
+            options={[
+              { value: '', label: '-- Select job --' },
+              ...assignments.map(item => ({ value: item.jobId, label: `${item.jobTitle} (${item.customerName})` })),
+            ]}
+            value={form.jobId}
+            onChange={selectJob}
+          />
+          <Select
+            label="Crane"
+            required
+            options={[
+              { value: '', label: '-- Select crane --' },
+              ...(assignment?.equipment || []).map(item => ({ value: item.id, label: `${item.name} (${item.code})` })),
+            ]}
+            value={form.equipmentId}
+            onChange={selectEquipment}
+          />
+          {!operatorId && (
+            <Select
+              label="Operator"
+              required
+              options={[
+                { value: '', label: '-- Select operator --' },
+                ...(assignment?.operators || []).map(item => ({ value: item.id, label: item.name })),
+              ]}
+              value={form.operatorId}
+              onChange={(value) => setForm({ ...form, operatorId: value })}
+            />
+          )}
+        </>
+      )}
+
+      <FormInput
+        label="Date"
+        type="date"
+        required
+        max={format(new Date(), 'yyyy-MM-dd')}
+        value={form.logDate}
+        onChange={(e) => setForm({ ...form, logDate: e.target.value })}
+      />
+      <div className="grid grid-cols-2 gap-3">
+        <FormInput
+          label="Start"
+          type="time"
+          required
+          value={form.startTime}
+          onChange={(e) => setForm({ ...form, startTime: e.target.value })}
+        />
+        <FormInput
+          label="Stop"
+          type="time"
+          required
+          value={form.endTime}
+          onChange={(e) => setForm({ ...form, endTime: e.target.value })}
+        />
+        <FormInput
+          label="Breaks (min)"
+          type="number"
+          inputMode="numeric"
+          min="0"
+          value={form.breakMinutes}
+          onChange={(e) => setForm({ ...form, breakMinutes: e.target.value })}
+        />
+        <FormInput
+          label="Breakdown (h)"
+          type="number"
+          inputMode="decimal"
+          min="0"
+          step="0.5"
+          value={form.breakdownHours}
+          onChange={(e) => setForm({ ...form, breakdownHours: e.target.value })}
+        />
+        <FormInput
+          label="Hour meter start"
+          type="number"
+          inputMode="decimal"
+          min="0"
+          step="0.1"
+          value={form.hourMeterStart}
+          onChange={(e) => setForm({ ...form, hourMeterStart: e.target.value })}
+        />
+        <FormInput
+          label="Hour meter end"
+          type="number"
+          inputMode="decimal"
+          min={form.hourMeterStart || '0'}
+          step="0.1"
+          value={form.hourMeterEnd}
+          onChange={(e) => setForm({ ...form, hourMeterEnd: e.target.value })}
+        />
+      </div>
+      <FormInput
+        label="Diesel issued (litres)"
+        type="number"
+        inputMode="decimal"
+        min="0"
+        value={form.dieselLitres}
+        onChange={(e) => setForm({ ...form, dieselLitres: e.target.value })}
+      />
+      <TextArea
+        label="Work done"
+        rows={2}
+        value={form.workDescription}
+        onChange={(e) => setForm({ ...form, workDescription: e.target.value })}
+      />
+      <TextArea
+        label="Remarks"
+        rows={2}
+        value={form.remarks}
+        onChange={(e) => setForm({ ...form, remarks: e.target.value })}
+      />
+
+      <p className="text-sm text-gray-600 pt-2">
+        {worked === null ? 'Enter the start and stop times' : `${worked} h worked`}
+        {form.endTime < form.startTime && ' (stops the next day)'}
+      </p>
+
+      <div className="flex gap-2 pt-2">
+        <Button variant="outline" fullWidth onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button fullWidth disabled={isSaving || !canSave} onClick={handleSave}>
+          {log ? 'Update Log' : 'Save Log'}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * Supervisor Sign-Off - the customer's site supervisor checks the day's log
+ * on the operator's phone and signs it with a finger. Signed logs are locked.
+ */
+import { useState } from 'react';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { SignaturePad } from '../common/SignaturePad';
+import { JobLog, signOffJobLog } from '../../services/jobLogs';
+
+interface SupervisorSignOffProps {
+  log: JobLog;
+  onSigned: (log: JobLog) => void;
+  onCancel: () => void;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+export function SupervisorSignOff({ log, onSigned, onCancel, onMessage }: SupervisorSignOffProps) {
+  const [supervisorName, setSupervisorName] = useState('');
+  const [signature, setSignature] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSign = async () => {
+    if (!signature) return;
+    setIsSaving(true);
+    try {
+      const signed = await signOffJobLog(log.id, supervisorName.trim(), signature);
+      onMessage('Log signed off', 'success');
+      onSigned(signed);
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to sign off log', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-sm bg-gray-50 rounded-md p-3">
+        <dt className="text-gray-500">Crane</dt>
+        <dd className="text-gray-900">{log.equipmentName}</dd>
+        <dt className="text-gray-500">Operator</dt>
+        <dd className="text-gray-900">{log.operatorName}</dd>
+        <dt className="text-gray-500">Date</dt>
+        <dd className="text-gray-900">{new Date(`${log.logDate}T00:00:00`).toLocaleDateString('en-IN')}</dd>
+        <dt className="text-gray-500">Shift</dt>
+        <dd className="text-gray-900">{log.startTime} - {log.endTime}</dd>
+        <dt className="text-gray-500">Hours worked</dt>
+        <dd className="text-gray-900">{log.workedHours} h</dd>
+        <dt className="text-gray-500">Breakdown</dt>
+        <dd className="text-gray-900">{log.breakdownHours} h</dd>
+        {log.engineHours !== null && (
+          <>
+            <dt className="text-gray-500">Hour meter</dt>
+            <dd className="text-gray-900">{log.hourMeterStart} - {log.hourMeterEnd} ({log.engineHours} h)</dd>
+          </>
+        )}
+        <dt className="text-gray-500">Diesel</dt>
+        <dd className="text-gray-900">{log.dieselLitres} L</dd>
+      </dl>
+
+      <FormInput
+        label="Site supervisor name"
+        required
+        maxLength={100}
+        value={supervisorName}
+        onChange={(e) => setSupervisorName(e.target.value)}
+      />
+      <SignaturePad onChange={setSignature} />
+      <p className="text-xs text-gray-500">By signing you confirm the hours and readings above. The log cannot be changed afterwards.</p>
+
+      <div className="flex gap-2">
+        <Button variant="outline" fullWidth onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button fullWidth disabled={isSaving || !supervisorName.trim() || !signature} onClick={handleSign}>
+          Sign Off
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+/**
+ * Operator Certifications - licences and certifications held by one operator,
+ * with their scanned copies. Jobs check these against the category and
+ * capacity of the cranes the operator is assigned to.
+ */
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { FileText, Plus, Trash2 } from 'lucide-react';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { Select } from '../common/Select';
+import { Badge } from '../common/Badge';
+import { Operator } from '../../types/job';
+import {
+  CertificationType,
+  OperatorCertification,
+  createOperatorCertification,
+  deleteOperatorCertification,
+  getOperatorCertifications,
+  openCertificationFile,
+} from '../../services/operatorCertifications';
+
+interface OperatorCertificationsProps {
+  operator: Operator;
+  certificationTypes: CertificationType[];
+  onChanged: () => void;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}
+
+const formatDate = (value: string | null) => (value ? format(new Date(`${value}T00:00:00`), 'dd MMM yyyy') : '-');
+
+// Suggested expiry from the type's usual validity
+const suggestExpiry = (issueDate: string, validityMonths: number | null) => {
+  if (!issueDate || !validityMonths) return '';
+  const expiry = new Date(`${issueDate}T00:00:00`);
+  expiry.setMonth(expiry.getMonth() + validityMonths);
+  expiry.setDate(expiry.getDate() - 1);
+  return format(expiry, 'yyyy-MM-dd');
+};
+
+const emptyForm = { certificationTypeId: '', certificateNumber: '', issuingBody: '', issueDate: '', expiryDate: '', notes: '' };
+
+export function OperatorCertifications({ operator, certificationTypes, onChanged, onMessage }: OperatorCertificationsProps) {
+  const [certifications, setCertifications] = useState<OperatorCertification[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [file, setFile] = useState<File | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadCertifications = async () => {
+    try {
+      setCertifications(await getOperatorCertifications(operator.id));
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to fetch certifications', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCertifications();
+  }, [operator.id]);
+
+  const selectedType = certificationTypes.find(type => type.id === form.certificationTypeId);
+
+  const selectType = (typeId: string) => {
+    const type = certificationTypes.find(item => item.id === typeId);
+    setForm({
+      ...form,
+      certificationTypeId: typeId,
+      issuingBody: form.issuingBody || type?.issuingBody || '',
+      expiryDate: form.expiryDate || suggestExpiry(form.issueDate, type?.validityMonths ?? null),
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await createOperatorCertification(operator.id, {
+        certificationTypeId: form.certificationTypeId,
+        certificateNumber: form.certificateNumber || undefined,
+        issuingBody: form.issuingBody || undefined,
+        issueDate: form.issueDate || undefined,
+        expiryDate: form.expiryDate || undefined,
+        notes: form.notes || undefined,
+        file,
+      });
+      onMessage('Certification added', 'success');
+      setForm(emptyForm);
+      setFile(null);
+      setShowForm(false);
+      await loadCertifications();
+      onChanged();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to add certification', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (certification: OperatorCertification) => {
+    if (!window.confirm(`Delete ${certification.certificationTypeName} ${certification.certificateNumber || ''}?`)) return;
+    try {
+      await deleteOperatorCertification(certification.id);
+      onMessage('Certification deleted', 'success');
+      await loadCertifications();
+      onChanged();
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to delete certification', 'error');
+    }
+  };
+
+  const handleOpenFile = async (certification: OperatorCertification) => {
+    try {
+      await openCertificationFile(certification.id);
+    } catch (error) {
+      onMessage(error instanceof Error ? error.message : 'Failed to open certification', 'error');
+    }
+  };
+
+  if (isLoading) {
+    return <div className="text-center py-4">Loading certifications...</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          {operator.specialization ? `Specialisation: ${operator.specialization}` : 'No specialisation recorded'}
+          {operator.certifications && operator.certifications.length > 0 && ` · Noted: ${operator.certifications.join(', ')}`}
+        </p>
+        <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setShowForm(!showForm)}>
+          Add Certification
+        </Button>
+      </div>
+
+      {showForm && (
+        <div className="grid grid-cols-2 gap-3 p-3 bg-gray-50 rounded-md">
+          <Select
+            label="Certification"
+            options={[
+              { value: '', label: '-- Select certification --' },
+              ...certificationTypes.map(type => ({ value: type.id, label: type.name })),
+            ]}
+            value={form.certificationTypeId}
+            onChange={selectType}
+          />
+          <FormInput
+            label="Certificate number"
+            value={form.certificateNumber}
+            onChange={(e) => setForm({ ...form, certificateNumber: e.target.value })}
+          />
+          <FormInput
+            label="Issued by"
+            value={form.issuingBody}
+            onChange={(e) => setForm({ ...form, issuingBody: e.target.value })}
+          />
+          <FormInput
+            label="Scanned copy (PDF or image, max 10MB)"
+            type="file"
+            accept="application/pdf,image/jpeg,image/png,image/webp"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+          />
+          <FormInput
+            label="Issue date"
+            type="date"
+            value={form.issueDate}
+            onChange={(e) => setForm({
+              ...form,
+              issueDate: e.target.value,
+              expiryDate: form.expiryDate || suggestExpiry(e.target.value, selectedType?.validityMonths ?? null),
+            })}
+          />
+          <FormInput
+            label="Expiry date"
+            type="date"
+            min={form.issueDate || undefined}
+            value={form.expiryDate}
+            onChange={(e) => setForm({ ...form, expiryDate: e.target.value })}
+          />
+          <div className="col-span-2 flex justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button size="sm" disabled={isSaving || !form.certificationTypeId} onClick={handleSave}>
+              Save Certification
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {certifications.length === 0 ? (
+        <p className="text-sm text-gray-500">No certifications recorded.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2">Certification</th>
+              <th className="py-2">Number</th>
+              <th className="py-2">Issued</th>
+              <th className="py-2">Expires</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {certifications.map(certification => (
+              <tr key={certification.id}>
+                <td className="py-2">
+                  <div className="font-medium text-gray-900">{certification.certificationTypeName}</div>
+                  <div className="text-xs text-gray-500">{certification.issuingBody || ''}</div>
+                </td>
+                <td className="py-2 text-gray-600">{certification.certificateNumber || '-'}</td>
+                <td className="py-2 text-gray-600">{formatDate(certification.issueDate)}</td>
+                <td className="py-2 text-gray-600">
+                  {formatDate(certification.expiryDate)}{' '}
+                  {certification.isExpired && <Badge variant="error">Expired</Badge>}
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  {certification.hasFile && (
+                    <Button variant="ghost" size="sm" title="View scan" onClick={() => handleOpenFile(certification)}>
+                      <FileText className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-error-600 hover:text-error-700 hover:bg-error-50"
+                    onClick={() => handleDelete(certification)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
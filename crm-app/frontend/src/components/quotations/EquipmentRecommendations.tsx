@@ -0,0 +1,203 @@
+/**
+ * Equipment Recommendations - the fleet ranked for a quotation by whether a
+ * crane can make the lift, is free for the rental and what it would cost,
+ * with one click to add a crane to the quotation.
+ */
+import { useState } from 'react';
+import { CheckCircle, Plus, Sparkles } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '../common/Card';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { Badge } from '../common/Badge';
+import {
+  EquipmentRecommendation,
+  EquipmentRecommendationRequest,
+  EquipmentRecommendationResult,
+  getEquipmentRecommendations,
+} from '../../services/equipmentRecommendations';
+import { formatCurrency } from '../../utils/formatters';
+
+interface EquipmentRecommendationsProps {
+  leadId?: string;
+  category?: string;
+  rentalDays: number;
+  siteDistance: number;
+  pricing: EquipmentRecommendationRequest['pricing'];
+  selectedEquipmentIds: string[];
+  onAdd: (recommendation: EquipmentRecommendation) => void;
+}
+
+const toNumber = (value: string) => (value.trim() === '' ? undefined : Number(value));
+
+export function EquipmentRecommendations({
+  leadId,
+  category,
+  rentalDays,
+  siteDistance,
+  pricing,
+  selectedEquipmentIds,
+  onAdd,
+}: EquipmentRecommendationsProps) {
+  // Left blank to use the lead's start date and site assessment
+  const [lift, setLift] = useState({ loadTons: '', radiusM: '', heightM: '', startDate: '' });
+  const [result, setResult] = useState<EquipmentRecommendationResult | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleRecommend = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setResult(await getEquipmentRecommendations({
+        leadId: leadId || undefined,
+        category: category || undefined,
+        loadTons: toNumber(lift.loadTons),
+        radiusM: toNumber(lift.radiusM),
+        heightM: toNumber(lift.heightM),
+        startDate: lift.startDate || undefined,
+        rentalDays: rentalDays || undefined,
+        siteDistance,
+        pricing,
+      }));
+    } catch (err) {
+      setResult(null);
+      setError(err instanceof Error ? err.message : 'Failed to fetch equipment recommendations');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const describeLift = (data: EquipmentRecommendationResult) => {
+    if (!data.lift) return 'No lift given; every crane is suitable';
+    const radius = data.lift.radiusM ? ` at ${data.lift.radiusM} m` : '';
+    const required = data.lift.requiredCapacityTons ? ` (${data.lift.requiredCapacityTons} t rated with margin)` : '';
+    return `${data.lift.totalLoadTons} t${radius}${required}`;
+  };
+
+  return (
+    <Card className="shadow-sm mb-6">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-base font-medium flex items-center gap-2">
+          <Sparkles className="w-4 h-4 text-gray-500" />
+          Recommended Equipment
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-0 space-y-3">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+          <FormInput
+            type="number"
+            label="Load (t)"
+            value={lift.loadTons}
+            onChange={(e) => setLift({ ...lift, loadTons: e.target.value })}
+            min="0"
+            placeholder={leadId ? 'From lead' : ''}
+          />
+          <FormInput
+            type="number"
+            label="Radius (m)"
+            value={lift.radiusM}
+            onChange={(e) => setLift({ ...lift, radiusM: e.target.value })}
+            min="0"
+            placeholder={leadId ? 'From lead' : ''}
+          />
+          <FormInput
+            type="number"
+            label="Hook height (m)"
+            value={lift.heightM}
+            onChange={(e) => setLift({ ...lift, heightM: e.target.value })}
+            min="0"
+          />
+          <FormInput
+            type="date"
+            label="Start date"
+            value={lift.startDate}
+            onChange={(e) => setLift({ ...lift, startDate: e.target.value })}
+          />
+          <Button
+            type="button"
+            onClick={handleRecommend}
+            isLoading={isLoading}
+            loadingText="Ranking..."
+            disabled={!rentalDays && !leadId}
+          >
+            Recommend
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {result && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              {describeLift(result)} · {result.rentalDays} days
+              {result.startDate ? ` from ${new Date(result.startDate).toLocaleDateString('en-IN')}` : ', availability not checked'}
+              {result.siteDistance > 0 ? ` · ${result.siteDistance} km` : ''}
+            </p>
+
+            {result.recommendations.length === 0 ? (
+              <p className="text-sm text-amber-700">No crane in the fleet can make this lift.</p>
+            ) : (
+              <div className="space-y-2">
+                {result.recommendations.map(crane => (
+                  <div
+                    key={crane.equipmentId}
+                    className={`flex items-start justify-between gap-3 p-3 border rounded-lg ${crane.recommended ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}
+                  >
+                    <div className="flex-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900">{crane.name}</span>
+                        {crane.recommended && <Badge variant="success">Best option</Badge>}
+                        {crane.available === false && <Badge variant="warning">Unavailable</Badge>}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {[
+                          `${crane.maxLiftingCapacity} t`,
+                          crane.liftOption && `${crane.liftOption.configuration}, ${crane.liftOption.boomLengthM} m boom, ${crane.liftOption.utilizationPercent}% of chart`,
+                          `${formatCurrency(crane.workingCost)} working + ${formatCurrency(crane.mobDemobCost)} mob/demob`,
+                        ].filter(Boolean).join(' · ')}
+                      </div>
+                      {crane.unavailableReasons.map(reason => (
+                        <div key={reason} className="text-xs text-amber-700">{reason}</div>
+                      ))}
+                    </div>
+                    <div className="text-right">
+                      <div className="font-semibold text-gray-900">{formatCurrency(crane.totalAmount)}</div>
+                      {selectedEquipmentIds.includes(crane.equipmentId) ? (
+                        <span className="inline-flex items-center gap-1 text-xs text-green-700">
+                          <CheckCircle className="w-3 h-3" /> Added
+                        </span>
+                      ) : (
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="xs"
+                          leftIcon={<Plus className="w-3 h-3" />}
+                          onClick={() => onAdd(crane)}
+                        >
+                          Add
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {result.excluded.length > 0 && (
+              <details className="text-sm text-gray-600">
+                <summary className="cursor-pointer">{result.excluded.length} crane(s) cannot make the lift</summary>
+                <ul className="mt-2 space-y-1">
+                  {result.excluded.map(crane => (
+                    <li key={crane.equipmentId}>
+                      <span className="font-medium">{crane.name}</span>: {crane.reason}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
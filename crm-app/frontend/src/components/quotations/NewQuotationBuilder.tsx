@@ -12,6 +12,7 @@ import {
 } from 'lucide-react';
 import { getEquipment } from '../../services/equipment';
 import { Equipment } from '../../types/equipment';
+import { LiftCheckPanel } from '../equipment/LiftCheckPanel';
 
 interface NewQuotationBuilderProps {
   onClose: () => void;
@@ -587,6 +588,76 @@ const NewQuotationBuilder: React.FC<NewQuotationBuilderProps> = ({
     }
   };
 
+  // Adds a machine of the fleet to the quotation, or one more of it if already added
+  const addMachine = (equipmentId: string) => {
+    const selectedEquipment = availableEquipment.find(eq => eq.id === equipmentId);
+    console.log('🎯 Equipment selection debug:', {
+      selectedId: equipmentId,
+      foundEquipment: selectedEquipment,
+      currentOrderType: formData.orderType,
+      availableEquipmentCount: availableEquipment.length,
+      sampleEquipment: availableEquipment[0],
+      selectedEquipmentFullData: selectedEquipment ? {
+        ...selectedEquipment,
+        allKeys: Object.keys(selectedEquipment),
+        rateKeys: Object.keys(selectedEquipment).filter(key => key.toLowerCase().includes('rate'))
+      } : null
+    });
+
+    if (selectedEquipment) {
+      const existingIndex = formData.selectedMachines.findIndex(m => m.id === selectedEquipment.id);
+      if (existingIndex >= 0) {
+        // Increase quantity
+        setFormData(prev => ({
+          ...prev,
+          selectedMachines: prev.selectedMachines.map((m, i) => 
+            i === existingIndex ? { ...m, quantity: m.quantity + 1 } : m
+          )
+        }));
+      } else {
+        // Add new machine - simple approach like old implementation
+        const orderType = formData.orderType as 'micro' | 'small' | 'monthly' | 'yearly';
+        let baseRate = 0;
+
+        console.log('🎯 Equipment selection:', {
+          equipment: selectedEquipment.name,
+          orderType: orderType,
+          baseRates: selectedEquipment.baseRates
+        });
+
+        // Use baseRates object from backend (simplified approach)
+        if (selectedEquipment.baseRates && selectedEquipment.baseRates[orderType]) {
+          baseRate = selectedEquipment.baseRates[orderType];
+          console.log('✅ Got rate:', baseRate);
+        } else {
+          console.log('❌ No rate found for order type:', orderType);
+          console.log('Available rates:', selectedEquipment.baseRates);
+        }
+
+        console.log('📊 Adding equipment with rate:', baseRate);
+
+        if (baseRate === 0) {
+          console.warn('⚠️ WARNING: Equipment added with 0 rate!');
+        }
+
+        setFormData(prev => ({
+          ...prev,
+          selectedMachines: [...prev.selectedMachines, {
+            id: selectedEquipment.id,
+            type: selectedEquipment.category,
+            label: selectedEquipment.name,
+            baseRate: baseRate,
+            baseRates: selectedEquipment.baseRates || {},
+            rateType: formData.orderType,
+            quantity: 1
+          }]
+        }));
+      }
+    } else {
+      console.error('Equipment not found:', equipmentId);
+    }
+  };
+
   // Helper function to get rate unit display text
   const getRateUnit = (orderType: string) => {
     switch (orderType) {
@@ -717,72 +788,7 @@ const NewQuotationBuilder: React.FC<NewQuotationBuilderProps> = ({
                       value=""
                       onChange={(e) => {
                         if (e.target.value) {
-                          const selectedEquipment = availableEquipment.find(eq => eq.id === e.target.value);
-                          console.log('🎯 Equipment selection debug:', {
-                            selectedId: e.target.value,
-                            foundEquipment: selectedEquipment,
-                            currentOrderType: formData.orderType,
-                            availableEquipmentCount: availableEquipment.length,
-                            sampleEquipment: availableEquipment[0],
-                            selectedEquipmentFullData: selectedEquipment ? {
-                              ...selectedEquipment,
-                              allKeys: Object.keys(selectedEquipment),
-                              rateKeys: Object.keys(selectedEquipment).filter(key => key.toLowerCase().includes('rate'))
-                            } : null
-                          });
-                          
-                          if (selectedEquipment) {
-                            const existingIndex = formData.selectedMachines.findIndex(m => m.id === selectedEquipment.id);
-                            if (existingIndex >= 0) {
-                              // Increase quantity
-                              setFormData(prev => ({
-                                ...prev,
-                                selectedMachines: prev.selectedMachines.map((m, i) => 
-                                  i === existingIndex ? { ...m, quantity: m.quantity + 1 } : m
-                                )
-                              }));
-                            } else {
-                              // Add new machine - simple approach like old implementation
-                              const orderType = formData.orderType as 'micro' | 'small' | 'monthly' | 'yearly';
-                              let baseRate = 0;
-                              
-                              console.log('🎯 Equipment selection:', {
-                                equipment: selectedEquipment.name,
-                                orderType: orderType,
-                                baseRates: selectedEquipment.baseRates
-                              });
-                              
-                              // Use baseRates object from backend (simplified approach)
-                              if (selectedEquipment.baseRates && selectedEquipment.baseRates[orderType]) {
-                                baseRate = selectedEquipment.baseRates[orderType];
-                                console.log('✅ Got rate:', baseRate);
-                              } else {
-                                console.log('❌ No rate found for order type:', orderType);
-                                console.log('Available rates:', selectedEquipment.baseRates);
-                              }
-                              
-                              console.log('📊 Adding equipment with rate:', baseRate);
-                              
-                              if (baseRate === 0) {
-                                console.warn('⚠️ WARNING: Equipment added with 0 rate!');
-                              }
-                              
-                              setFormData(prev => ({
-                                ...prev,
-                                selectedMachines: [...prev.selectedMachines, {
-                                  id: selectedEquipment.id,
-                                  type: selectedEquipment.category,
-                                  label: selectedEquipment.name,
-                                  baseRate: baseRate,
-                                  baseRates: selectedEquipment.baseRates || {},
-                                  rateType: formData.orderType,
-                                  quantity: 1
-                                }]
-                              }));
-                            }
-                          } else {
-                            console.error('Equipment not found:', e.target.value);
-                          }
+                          addMachine(e.target.value);
                         }
                       }}
                       className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
@@ -835,6 +841,14 @@ const NewQuotationBuilder: React.FC<NewQuotationBuilderProps> = ({
                       )}
                     </select>
                   </div>
+
+                  <div className="mt-4">
+                    <LiftCheckPanel
+                      category={formData.machineType}
+                      selectedEquipmentIds={formData.selectedMachines.map(machine => machine.id)}
+                      onSelect={addMachine}
+                    />
+                  </div>
                   
                   {formData.selectedMachines.length > 0 && (
                     <div className="mt-4 space-y-3">
@@ -31,7 +31,7 @@ interface QuotationListItem {
   number_of_days: number;
   working_hours: number;
   total_cost: number;
-  status: 'draft' | 'sent' | 'accepted' | 'rejected';
+  status: 'draft' | 'pending_approval' | 'sent' | 'accepted' | 'rejected' | 'expired';
   created_at: string;
   updated_at: string;
   site_distance?: number;
@@ -141,9 +141,11 @@ const QuotationManagementComplete: React.FC = () => {
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'draft': return 'bg-gray-100 text-gray-800';
+      case 'pending_approval': return 'bg-yellow-100 text-yellow-800';
       case 'sent': return 'bg-blue-100 text-blue-800';
       case 'accepted': return 'bg-green-100 text-green-800';
       case 'rejected': return 'bg-red-100 text-red-800';
+      case 'expired': return 'bg-orange-100 text-orange-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -449,9 +451,11 @@ ASP Cranes Team`;
             >
               <option value="all">All Status</option>
               <option value="draft">Draft</option>
+              <option value="pending_approval">Pending Approval</option>
               <option value="sent">Sent</option>
               <option value="accepted">Accepted</option>
               <option value="rejected">Rejected</option>
+              <option value="expired">Expired</option>
             </select>
           </div>
         </div>
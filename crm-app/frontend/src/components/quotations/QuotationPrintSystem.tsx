@@ -99,6 +99,8 @@ interface Template {
 
 interface EmailFormData {
   to: string;
+  cc: string;
+  bcc: string;
   subject: string;
   message: string;
 }
@@ -117,6 +119,8 @@ const QuotationPrintSystem: React.FC<QuotationPrintSystemProps> = ({
   const [isEmailDialogOpen, setIsEmailDialogOpen] = useState(false);
   const [emailForm, setEmailForm] = useState<EmailFormData>({
     to: '',
+    cc: '',
+    bcc: '',
     subject: `Quotation #${quotationId}`,
     message: 'Please find the attached quotation for your review.'
   });
@@ -394,6 +398,8 @@ const QuotationPrintSystem: React.FC<QuotationPrintSystemProps> = ({
           quotationId,
           templateId: selectedTemplate,
           emailTo: emailForm.to,
+          cc: emailForm.cc,
+          bcc: emailForm.bcc,
           subject: emailForm.subject,
           message: emailForm.message
         })
@@ -410,11 +416,12 @@ const QuotationPrintSystem: React.FC<QuotationPrintSystemProps> = ({
       }
     } catch (error) {
       console.error('Error sending email:', error);
+      const errorMessage = error instanceof Error ? error.message : 'Failed to send quotation via email.';
       setOperationStatus({
         type: 'error',
-        message: 'Failed to send email. Please try again.'
+        message: errorMessage
       });
-      showNotification("Email Error", "Failed to send quotation via email.", "error");
+      showNotification("Email Error", errorMessage, "error");
     } finally {
       setIsLoading(false);
     }
@@ -610,10 +617,34 @@ const QuotationPrintSystem: React.FC<QuotationPrintSystemProps> = ({
                 </label>
                 <input
                   id="email-to"
-                  type="email"
+                  type="text"
                   value={emailForm.to}
                   onChange={(e) => setEmailForm({ ...emailForm, to: e.target.value })}
-                  placeholder="recipient@example.com"
+                  placeholder="recipient@example.com, another@example.com"
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="email-cc" className="block text-sm font-medium text-gray-700">
+                  Cc
+                </label>
+                <input
+                  id="email-cc"
+                  type="text"
+                  value={emailForm.cc}
+                  onChange={(e) => setEmailForm({ ...emailForm, cc: e.target.value })}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="email-bcc" className="block text-sm font-medium text-gray-700">
+                  Bcc
+                </label>
+                <input
+                  id="email-bcc"
+                  type="text"
+                  value={emailForm.bcc}
+                  onChange={(e) => setEmailForm({ ...emailForm, bcc: e.target.value })}
                   className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 />
               </div>
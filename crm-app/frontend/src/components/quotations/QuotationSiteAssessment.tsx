@@ -0,0 +1,185 @@
+/**
+ * Quotation Site Assessment - the site assessment a quotation is priced on,
+ * with its checklist readings, and picking or removing one.
+ */
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { MapPin } from 'lucide-react';
+import { Button } from '../ui/button';
+import {
+  GROUND_TYPE_LABELS,
+  SiteAssessment,
+  attachAssessmentToQuotation,
+  detachAssessmentFromQuotation,
+  getSiteAssessment,
+  getSiteAssessments,
+} from '../../services/siteAssessmentService';
+
+interface QuotationSiteAssessmentProps {
+  quotationId: string;
+  siteAssessmentId: string | null;
+  // Offer this customer's assessments first
+  customerId?: string | null;
+  canEdit: boolean;
+  onChange: (siteAssessmentId: string | null) => void;
+}
+
+const FLAG_LABELS: Record<string, string> = {
+  ground_bearing: 'Ground bearing',
+  overhead_lines: 'Overhead lines',
+  access: 'Access',
+  slope: 'Slope',
+  other: 'Other',
+};
+
+const reading = (value: number | null, unit: string) => (value === null ? '-' : `${value} ${unit}`);
+
+export function QuotationSiteAssessment({
+  quotationId,
+  siteAssessmentId,
+  customerId,
+  canEdit,
+  onChange,
+}: QuotationSiteAssessmentProps) {
+  const [assessment, setAssessment] = useState<SiteAssessment | null>(null);
+  const [options, setOptions] = useState<SiteAssessment[]>([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setError(null);
+    if (!siteAssessmentId) {
+      setAssessment(null);
+      return;
+    }
+    getSiteAssessment(siteAssessmentId)
+      .then(setAssessment)
+      .catch((err) => {
+        console.error('Error fetching site assessment:', err);
+        setError(err instanceof Error ? err.message : 'Failed to fetch site assessment');
+      });
+  }, [siteAssessmentId]);
+
+  useEffect(() => {
+    if (!canEdit || siteAssessmentId) return;
+    getSiteAssessments()
+      .then(assessments => {
+        // The customer's own assessments first, newest first within each group
+        const own = assessments.filter(item => customerId && item.customerId === customerId);
+        const others = assessments.filter(item => !customerId || item.customerId !== customerId);
+        setOptions([...own, ...others]);
+      })
+      .catch((err) => console.error('Error fetching site assessments:', err));
+  }, [canEdit, siteAssessmentId, customerId]);
+
+  const handleAttach = async () => {
+    if (!selectedId) return;
+    setIsSaving(true);
+    try {
+      await attachAssessmentToQuotation(selectedId, quotationId);
+      setSelectedId('');
+      onChange(selectedId);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to attach site assessment');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDetach = async () => {
+    if (!siteAssessmentId || !window.confirm('Remove the site assessment from this quotation?')) return;
+    setIsSaving(true);
+    try {
+      await detachAssessmentFromQuotation(siteAssessmentId, quotationId);
+      onChange(null);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to detach site assessment');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 mt-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <MapPin className="h-5 w-5 mr-2" />
+        Site Assessment
+      </h2>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {siteAssessmentId && assessment ? (
+        <div className="space-y-3 text-sm">
+          <div>
+            <p className="font-medium text-gray-900">{assessment.title}</p>
+            <p className="text-gray-600">{assessment.location}</p>
+          </div>
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1">
+            <dt className="text-gray-500">Ground</dt>
+            <dd>
+              {assessment.groundType ? GROUND_TYPE_LABELS[assessment.groundType] : '-'}
+              {assessment.groundBearingCapacity !== null && `, ${assessment.groundBearingCapacity} t/m²`}
+              {assessment.groundMatsRequired && ', mats required'}
+            </dd>
+            <dt className="text-gray-500">Overhead lines</dt>
+            <dd>
+              {assessment.overheadLinesPresent
+                ? `${reading(assessment.overheadLineClearanceM, 'm')} away, ${reading(assessment.overheadLineVoltageKv, 'kV')}`
+                : 'None'}
+            </dd>
+            <dt className="text-gray-500">Access</dt>
+            <dd>{reading(assessment.accessWidthM, 'm')} wide, {reading(assessment.accessHeightM, 'm')} high</dd>
+            <dt className="text-gray-500">Slope</dt>
+            <dd>{reading(assessment.slopeDegrees, '°')}</dd>
+          </dl>
+          {assessment.constraints.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {assessment.constraints.map(key => (
+                <span key={key} className="px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                  {FLAG_LABELS[key] || key}
+                </span>
+              ))}
+            </div>
+          )}
+          <p className="text-gray-500">{assessment.mediaCount} photo(s) and video(s)</p>
+          <Link to="/site-assessments" className="block text-blue-600 hover:underline">
+            Open site assessments
+          </Link>
+          {canEdit && (
+            <Button onClick={handleDetach} disabled={isSaving} variant="outline" size="sm">
+              Remove from Quotation
+            </Button>
+          )}
+        </div>
+      ) : siteAssessmentId ? (
+        !error && <p className="text-sm text-gray-500">Loading...</p>
+      ) : canEdit ? (
+        <div className="space-y-2">
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="w-full text-sm border border-gray-300 rounded-md p-2"
+          >
+            <option value="">Select a site assessment</option>
+            {options.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.title} - {option.customerName || option.leadName || option.location}
+              </option>
+            ))}
+          </select>
+          <Button
+            onClick={handleAttach}
+            disabled={!selectedId || isSaving}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white"
+            size="sm"
+          >
+            Attach Site Assessment
+          </Button>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No site assessment attached</p>
+      )}
+    </div>
+  );
+}
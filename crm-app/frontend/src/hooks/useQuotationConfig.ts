@@ -24,11 +24,6 @@ interface QuotationConfigHookReturn {
   additionalParams: {
     riggerAmount: number;
     helperAmount: number;
-    incidentalOptions: Array<{
-      value: string;
-      label: string;
-      amount: number;
-    }>;
     usageFactors: {
       normal: number;
       medium: number;
@@ -43,10 +38,6 @@ interface QuotationConfigHookReturn {
       single: number;
       double: number;
     };
-    dayNightFactors: {
-      day: number;
-      night: number;
-    };
 
   } | null;
   
@@ -9,11 +9,13 @@ import {
   Zap,
   Palette,
   Activity,
-  BarChart3
+  BarChart3,
+  BadgePercent
 } from 'lucide-react';
 import { QuotationConfig } from '../components/config/QuotationConfig';
 import { ResourceRatesConfig } from '../components/config/ResourceRatesConfig';
 import { AdditionalParamsConfig } from '../components/config/AdditionalParamsConfig';
+import { SurchargeRulesConfig } from '../components/config/SurchargeRulesConfig';
 import { DefaultTemplateConfig } from '../components/config/DefaultTemplateConfig';
 import { useAuthStore } from '../store/authStore';
 
@@ -49,6 +51,14 @@ const configTabs = [
     description: 'Additional system parameters',
     component: AdditionalParamsConfig,
     color: 'from-orange-600 to-orange-700'
+  },
+  {
+    id: 'surcharges',
+    label: 'Surcharges',
+    icon: BadgePercent,
+    description: 'Conditional surcharges added to quotations',
+    component: SurchargeRulesConfig,
+    color: 'from-rose-600 to-rose-700'
   }
 ];
 
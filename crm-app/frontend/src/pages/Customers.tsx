@@ -25,7 +25,7 @@ import { Modal } from '../components/common/Modal';
 import { Toast } from '../components/common/Toast';
 
 import { useAuthStore } from '../store/authStore';
-import { Customer } from '../types/customer';
+import { Customer, GST_STATES, GSTIN_PATTERN } from '../types/customer';
 import { 
   getCustomers,
   createCustomer,
@@ -66,7 +66,9 @@ export function Customers() {
     address: '',
     type: 'other',
     designation: '',
-    notes: ''
+    notes: '',
+    gstin: '',
+    state: ''
   });
 
   useEffect(() => {
@@ -207,6 +209,19 @@ export function Customers() {
       return;
     }
 
+    const gstin = (formData.gstin || '').replace(/\s+/g, '').toUpperCase();
+    if (gstin) {
+      if (!GSTIN_PATTERN.test(gstin)) {
+        showToast('GSTIN must be a valid 15 character GSTIN', 'error');
+        return;
+      }
+      const gstinState = GST_STATES.find(state => state.code === gstin.slice(0, 2));
+      if (formData.state && gstinState?.name !== formData.state) {
+        showToast('GSTIN state code does not match the selected state', 'error');
+        return;
+      }
+    }
+
     try {
       if (selectedCustomer) {        const updatedCustomer = await updateCustomer(selectedCustomer.id, formData);
         if (updatedCustomer) {
@@ -226,7 +241,7 @@ export function Customers() {
       setIsModalOpen(false);
       resetForm();
     } catch (error) {
-      showToast('Error saving customer', 'error');
+      showToast(error instanceof Error && error.message ? error.message : 'Error saving customer', 'error');
     }
   };
 
@@ -254,7 +269,9 @@ export function Customers() {
       address: '',
       type: 'other' as const,
       designation: '',
-      notes: ''
+      notes: '',
+      gstin: '',
+      state: ''
     });
     setSelectedCustomer(null);
   };
@@ -509,7 +526,9 @@ export function Customers() {
                                     address: customer.address,
                                     type: customer.type,
                                     designation: customer.designation || '',
-                                    notes: customer.notes || ''
+                                    notes: customer.notes || '',
+                                    gstin: customer.gstin || '',
+                                    state: customer.state || ''
                                   });
                                   setIsModalOpen(true);
                                 }
@@ -564,7 +583,9 @@ export function Customers() {
                                       address: customer.address,
                                       type: customer.type,
                                       designation: customer.designation || '',
-                                      notes: customer.notes || ''
+                                      notes: customer.notes || '',
+                                      gstin: customer.gstin || '',
+                                      state: customer.state || ''
                                     });
                                     setIsModalOpen(true);
                                   }
@@ -768,6 +789,31 @@ export function Customers() {
             />
           </div>
 
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormInput
+              label="GSTIN"
+              value={formData.gstin || ''}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setFormData(prev => ({ ...prev, gstin: e.target.value.toUpperCase() }))}
+              maxLength={15}
+              placeholder="e.g., 27ABCDE1234F1Z5"
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                State
+              </label>
+              <select
+                value={formData.state || ''}
+                onChange={(e) => setFormData(prev => ({ ...prev, state: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Select state (used for GST place of supply)</option>
+                {GST_STATES.map(state => (
+                  <option key={state.code} value={state.name}>{state.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Notes (Optional)
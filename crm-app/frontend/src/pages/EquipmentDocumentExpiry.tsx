@@ -0,0 +1,173 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { RefreshCw } from 'lucide-react';
+import { Card, CardContent } from '../components/common/Card';
+import { Button } from '../components/common/Button';
+import { Badge } from '../components/common/Badge';
+import { Select } from '../components/common/Select';
+import { Toast } from '../components/common/Toast';
+import { EXPIRY_BADGES } from '../components/equipment/EquipmentDocuments';
+import {
+  DOCUMENT_TYPE_LABELS,
+  DocumentExpiryDashboard,
+  EXPIRY_STATUS_LABELS,
+  getDocumentExpiry,
+} from '../services/equipmentDocuments';
+
+const WINDOW_OPTIONS = [
+  { value: '30', label: 'Next 30 days' },
+  { value: '60', label: 'Next 60 days' },
+  { value: '90', label: 'Next 90 days' },
+  { value: '180', label: 'Next 180 days' },
+];
+
+const formatDate = (value?: string | null) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString('en-IN') : '-');
+
+export function EquipmentDocumentExpiry() {
+  const navigate = useNavigate();
+  const [withinDays, setWithinDays] = useState('30');
+  const [dashboard, setDashboard] = useState<DocumentExpiryDashboard | null>(null);
+  const [toast, setToast] = useState<{
+    show: boolean;
+    title: string;
+    variant?: 'success' | 'error' | 'warning';
+  }>({ show: false, title: '' });
+
+  const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success') => {
+    setToast({ show: true, title, variant });
+    setTimeout(() => setToast({ show: false, title: '' }), 3000);
+  };
+
+  const fetchExpiry = async () => {
+    try {
+      setDashboard(null);
+      setDashboard(await getDocumentExpiry(Number(withinDays)));
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch document expiry', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchExpiry();
+  }, [withinDays]);
+
+  const openDocuments = (equipmentId: string) => navigate(`/admin/equipment?documents=${equipmentId}`);
+
+  return (
+    <div className="space-y-4 p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold text-gray-900">Equipment Certificates</h1>
+          {dashboard && (
+            <p className="text-sm text-gray-500">
+              {dashboard.summary.expired} expired · {dashboard.summary.expiring} expiring · {dashboard.summary.missing} missing
+            </p>
+          )}
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="w-44">
+            <Select options={WINDOW_OPTIONS} value={withinDays} onChange={setWithinDays} />
+          </div>
+          <Button variant="outline" size="sm" onClick={fetchExpiry} leftIcon={<RefreshCw size={14} />}>
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      <Card>
+        <CardContent>
+          <h2 className="font-medium text-gray-900 mb-4">Expired and expiring documents</h2>
+          {!dashboard ? (
+            <div className="py-10 text-center text-gray-500">Loading documents...</div>
+          ) : dashboard.documents.length === 0 ? (
+            <div className="py-10 text-center text-gray-500">No documents expire in the next {dashboard.withinDays} days.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Equipment</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Document</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Number</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Expires</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {dashboard.documents.map(document => (
+                    <tr
+                      key={document.id}
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => openDocuments(document.equipmentId)}
+                    >
+                      <td className="px-3 py-2">
+                        <div className="font-medium text-gray-900">{document.equipmentName}</div>
+                        <div className="text-xs text-gray-500">{document.equipmentCode}</div>
+                      </td>
+                      <td className="px-3 py-2">
+                        {DOCUMENT_TYPE_LABELS[document.documentType]}
+                        {document.isMandatory && <span className="text-xs text-gray-500"> · Mandatory</span>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">{document.documentNumber || '-'}</td>
+                      <td className="px-3 py-2 text-gray-600">
+                        {formatDate(document.expiryDate)}
+                        {document.daysLeft !== null && (
+                          <span className="text-xs text-gray-500">
+                            {' '}({document.daysLeft < 0 ? `${-document.daysLeft} days ago` : `in ${document.daysLeft} days`})
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <Badge variant={EXPIRY_BADGES[document.expiryStatus]}>{EXPIRY_STATUS_LABELS[document.expiryStatus]}</Badge>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {dashboard && dashboard.missing.length > 0 && (
+        <Card>
+          <CardContent>
+            <h2 className="font-medium text-gray-900 mb-4">Missing mandatory documents</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Equipment</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Document</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {dashboard.missing.map(item => (
+                    <tr
+                      key={`${item.equipmentId}-${item.documentType}`}
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => openDocuments(item.equipmentId)}
+                    >
+                      <td className="px-3 py-2">
+                        <span className="font-medium text-gray-900">{item.equipmentName}</span>
+                        <span className="text-xs text-gray-500"> {item.equipmentCode}</span>
+                      </td>
+                      <td className="px-3 py-2">{DOCUMENT_TYPE_LABELS[item.documentType]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Toast
+        title={toast.title}
+        variant={toast.variant}
+        isVisible={toast.show}
+        onClose={() => setToast({ show: false, title: '' })}
+      />
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Search, Edit2, Trash2, Calendar, Weight, Truck } from 'lucide-react';
+import { Plus, Search, Edit2, Trash2, Calendar, Weight, Truck, Wrench, FileText, BarChart3, IndianRupee } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
 import { Card, CardHeader, CardTitle, CardContent } from '../components/common/Card';
 import { Button } from '../components/common/Button';
 import { FormInput } from '../components/common/FormInput';
@@ -12,6 +13,10 @@ import { useAuthStore } from '../store/authStore';
 import { Equipment, CraneCategory, BaseRates } from '../types/equipment';
 import { getEquipment, createEquipment, updateEquipment, deleteEquipment } from '../services/api/equipmentService';
 import { formatCurrency } from '../utils/formatters';
+import { EquipmentMaintenance } from '../components/equipment/EquipmentMaintenance';
+import { EquipmentDocuments } from '../components/equipment/EquipmentDocuments';
+import { EquipmentLoadCharts } from '../components/equipment/EquipmentLoadCharts';
+import { EquipmentRateCards } from '../components/equipment/EquipmentRateCards';
 
 // Helper function to normalize equipment data
 const normalizeEquipment = (equipment: Equipment): Equipment => {
@@ -75,6 +80,11 @@ export function EquipmentManagement() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [selectedEquipment, setSelectedEquipment] = useState<Equipment | null>(null);
+  const [maintenanceEquipment, setMaintenanceEquipment] = useState<Equipment | null>(null);
+  const [documentsEquipment, setDocumentsEquipment] = useState<Equipment | null>(null);
+  const [loadChartEquipment, setLoadChartEquipment] = useState<Equipment | null>(null);
+  const [rateCardEquipment, setRateCardEquipment] = useState<Equipment | null>(null);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [toast, setToast] = useState<{
     show: boolean;
     title: string;
@@ -107,7 +117,20 @@ export function EquipmentManagement() {
 
   useEffect(() => {
     filterEquipment();
-  }, [equipment, searchTerm, statusFilter, categoryFilter]);  const fetchEquipment = async () => {
+  }, [equipment, searchTerm, statusFilter, categoryFilter]);
+
+  // Maintenance alerts and document reminders link here with ?maintenance= or ?documents=<equipment id>
+  useEffect(() => {
+    const maintenanceId = searchParams.get('maintenance');
+    const documentsId = searchParams.get('documents');
+    if ((!maintenanceId && !documentsId) || equipment.length === 0) return;
+    const maintenanceItem = maintenanceId ? equipment.find(e => e.id === maintenanceId) : undefined;
+    if (maintenanceItem) setMaintenanceEquipment(maintenanceItem);
+    const documentsItem = documentsId ? equipment.find(e => e.id === documentsId) : undefined;
+    if (documentsItem) setDocumentsEquipment(documentsItem);
+    setSearchParams({}, { replace: true });
+  }, [equipment, searchParams]);
+  const fetchEquipment = async () => {
     try {
       let data = await getEquipment();
       
@@ -489,6 +512,38 @@ export function EquipmentManagement() {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <div className="flex items-center gap-2">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Maintenance"
+                            onClick={() => setMaintenanceEquipment(item)}
+                          >
+                            <Wrench className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Documents"
+                            onClick={() => setDocumentsEquipment(item)}
+                          >
+                            <FileText className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Load charts"
+                            onClick={() => setLoadChartEquipment(item)}
+                          >
+                            <BarChart3 className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Rate cards"
+                            onClick={() => setRateCardEquipment(item)}
+                          >
+                            <IndianRupee className="h-4 w-4" />
+                          </Button>
                           <Button
                             variant="ghost"
                             size="sm"
@@ -735,6 +790,63 @@ export function EquipmentManagement() {
         </div>
       </Modal>
 
+      <Modal
+        title={maintenanceEquipment ? `Maintenance - ${maintenanceEquipment.name}` : 'Maintenance'}
+        isOpen={!!maintenanceEquipment}
+        onClose={() => setMaintenanceEquipment(null)}
+        size="xl"
+      >
+        {maintenanceEquipment && (
+          <EquipmentMaintenance
+            equipment={maintenanceEquipment}
+            onChanged={fetchEquipment}
+            onMessage={showToast}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        title={documentsEquipment ? `Documents - ${documentsEquipment.name}` : 'Documents'}
+        isOpen={!!documentsEquipment}
+        onClose={() => setDocumentsEquipment(null)}
+        size="xl"
+      >
+        {documentsEquipment && (
+          <EquipmentDocuments
+            equipment={documentsEquipment}
+            onMessage={showToast}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        title={loadChartEquipment ? `Load Charts - ${loadChartEquipment.name}` : 'Load Charts'}
+        isOpen={!!loadChartEquipment}
+        onClose={() => setLoadChartEquipment(null)}
+        size="xl"
+      >
+        {loadChartEquipment && (
+          <EquipmentLoadCharts
+            equipment={loadChartEquipment}
+            onMessage={showToast}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        title={rateCardEquipment ? `Rate Cards - ${rateCardEquipment.name}` : 'Rate Cards'}
+        isOpen={!!rateCardEquipment}
+        onClose={() => setRateCardEquipment(null)}
+        size="xl"
+      >
+        {rateCardEquipment && (
+          <EquipmentRateCards
+            equipment={rateCardEquipment}
+            onMessage={showToast}
+          />
+        )}
+      </Modal>
+
       <Toast
         title={toast.title}
         variant={toast.variant}
@@ -0,0 +1,320 @@
+import { useEffect, useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { Card, CardContent } from '../components/common/Card';
+import { Button } from '../components/common/Button';
+import { Badge } from '../components/common/Badge';
+import { Select } from '../components/common/Select';
+import { Toast } from '../components/common/Toast';
+import {
+  CraneAnalytics,
+  FLEET_SIGNAL_LABELS,
+  FleetAnalytics as FleetAnalyticsData,
+  FleetFigures,
+  FleetSignal,
+  FleetTrendPoint,
+  getFleetAnalytics,
+  getFleetTrend,
+} from '../services/fleetAnalytics';
+import { CraneCategory } from '../types/equipment';
+import { formatCurrency } from '../utils/formatters';
+
+const PERIOD_OPTIONS = [
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: '180', label: 'Last 180 days' },
+  { value: '365', label: 'Last 365 days' },
+];
+
+const CATEGORY_LABELS: Record<CraneCategory, string> = {
+  mobile_crane: 'Mobile Crane',
+  tower_crane: 'Tower Crane',
+  crawler_crane: 'Crawler Crane',
+  pick_and_carry_crane: 'Pick & Carry Crane',
+};
+
+const CATEGORY_OPTIONS = [
+  { value: '', label: 'All categories' },
+  ...(Object.keys(CATEGORY_LABELS) as CraneCategory[]).map(category => ({ value: category, label: CATEGORY_LABELS[category] })),
+];
+
+const SIGNAL_BADGES: Record<FleetSignal, 'success' | 'warning' | 'error'> = {
+  high_demand: 'success',
+  underused: 'warning',
+  loss_making: 'error',
+};
+
+const formatMargin = (figures: Pick<FleetFigures, 'margin' | 'marginPercent'>) => (
+  <span className={figures.margin < 0 ? 'text-red-600' : 'text-gray-900'}>
+    {formatCurrency(figures.margin)}
+    {figures.marginPercent !== null && <span className="text-xs text-gray-500"> ({figures.marginPercent}%)</span>}
+  </span>
+);
+
+// Days on hire, in maintenance and available as one stacked bar
+function UtilizationBar({ figures }: { figures: FleetFigures }) {
+  const total = figures.hireDays + figures.maintenanceDays + figures.availableDays;
+  const share = (days: number) => `${total > 0 ? (days / total) * 100 : 0}%`;
+  return (
+    <div className="w-32">
+      <div className="flex h-2 rounded bg-gray-100 overflow-hidden">
+        <div className="bg-green-500" style={{ width: share(figures.hireDays) }} />
+        <div className="bg-amber-400" style={{ width: share(figures.maintenanceDays) }} />
+      </div>
+      <div className="text-xs text-gray-500 mt-1">
+        {figures.utilizationPercent}% · {figures.hireDays}d hire · {figures.maintenanceDays}d maint.
+      </div>
+    </div>
+  );
+}
+
+export function FleetAnalytics() {
+  const [periodDays, setPeriodDays] = useState('90');
+  const [category, setCategory] = useState('');
+  const [analytics, setAnalytics] = useState<FleetAnalyticsData | null>(null);
+  const [selectedCrane, setSelectedCrane] = useState<CraneAnalytics | null>(null);
+  const [trend, setTrend] = useState<FleetTrendPoint[] | null>(null);
+  const [toast, setToast] = useState<{
+    show: boolean;
+    title: string;
+    variant?: 'success' | 'error' | 'warning';
+  }>({ show: false, title: '' });
+
+  const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success') => {
+    setToast({ show: true, title, variant });
+    setTimeout(() => setToast({ show: false, title: '' }), 3000);
+  };
+
+  const fetchAnalytics = async () => {
+    const to = new Date();
+    to.setHours(24, 0, 0, 0);
+    const from = new Date(to.getTime() - Number(periodDays) * 24 * 60 * 60 * 1000);
+    try {
+      setAnalytics(null);
+      setAnalytics(await getFleetAnalytics({ from: from.toISOString(), to: to.toISOString(), category }));
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch fleet analytics', 'error');
+    }
+  };
+
+  const fetchTrend = async () => {
+    try {
+      setTrend(null);
+      setTrend(await getFleetTrend({ months: 6, category, equipmentId: selectedCrane?.equipmentId }));
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch fleet trend', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [periodDays, category]);
+
+  useEffect(() => {
+    fetchTrend();
+  }, [category, selectedCrane]);
+
+  const handleCategoryChange = (value: string) => {
+    setSelectedCrane(null);
+    setCategory(value);
+  };
+
+  const refresh = () => {
+    fetchAnalytics();
+    fetchTrend();
+  };
+
+  return (
+    <div className="space-y-4 p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold text-gray-900">Fleet Analytics</h1>
+          {analytics && (
+            <p className="text-sm text-gray-500">
+              {analytics.totals.cranes} cranes · {analytics.totals.utilizationPercent}% on hire over {analytics.periodDays} days
+            </p>
+          )}
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="w-44">
+            <Select options={CATEGORY_OPTIONS} value={category} onChange={handleCategoryChange} />
+          </div>
+          <div className="w-40">
+            <Select options={PERIOD_OPTIONS} value={periodDays} onChange={setPeriodDays} />
+          </div>
+          <Button variant="outline" size="sm" onClick={refresh} leftIcon={<RefreshCw size={14} />}>
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {analytics && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            { label: 'Utilization', value: `${analytics.totals.utilizationPercent}%` },
+            { label: 'Revenue', value: formatCurrency(analytics.totals.revenue) },
+            { label: 'Maintenance + running cost', value: formatCurrency(analytics.totals.cost) },
+            { label: 'Margin', value: formatMargin(analytics.totals) },
+          ].map(item => (
+            <Card key={item.label}>
+              <CardContent>
+                <div className="text-sm text-gray-500">{item.label}</div>
+                <div className="text-xl font-semibold text-gray-900">{item.value}</div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Card>
+        <CardContent>
+          <h2 className="font-medium text-gray-900 mb-1">Cranes</h2>
+          {analytics && (
+            <p className="text-xs text-gray-500 mb-4">
+              Underused below {analytics.config.lowUtilizationPercent}% on hire, high demand from {analytics.config.highUtilizationPercent}%.
+              Diesel is costed at {formatCurrency(analytics.config.dieselPricePerLitre)} a litre. Select a crane for its monthly trend.
+            </p>
+          )}
+          {!analytics ? (
+            <div className="py-10 text-center text-gray-500">Loading fleet analytics...</div>
+          ) : analytics.equipment.length === 0 ? (
+            <div className="py-10 text-center text-gray-500">No cranes in this category.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Equipment</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Utilization</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Revenue</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Maintenance</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Running</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Margin</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Signal</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {analytics.equipment.map(crane => (
+                    <tr
+                      key={crane.equipmentId}
+                      className={`cursor-pointer ${selectedCrane?.equipmentId === crane.equipmentId ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                      onClick={() => setSelectedCrane(selectedCrane?.equipmentId === crane.equipmentId ? null : crane)}
+                    >
+                      <td className="px-3 py-2">
+                        <div className="font-medium text-gray-900">{crane.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {crane.equipmentCode} · {CATEGORY_LABELS[crane.category]} · {crane.maxLiftingCapacity} t
+                        </div>
+                      </td>
+                      <td className="px-3 py-2">
+                        <UtilizationBar figures={crane} />
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <div className="text-gray-900">{formatCurrency(crane.revenue)}</div>
+                        {crane.acceptedRevenue > 0 && (
+                          <div className="text-xs text-gray-500">{formatCurrency(crane.acceptedRevenue)} not invoiced</div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">
+                        {formatCurrency(crane.maintenanceCost)}
+                        {crane.workOrders > 0 && <div className="text-xs text-gray-500">{crane.workOrders} work orders</div>}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">
+                        {formatCurrency(crane.runningCost)}
+                        {crane.dieselLitres > 0 && <div className="text-xs text-gray-500">{crane.dieselLitres} L diesel</div>}
+                      </td>
+                      <td className="px-3 py-2 text-right">{formatMargin(crane)}</td>
+                      <td className="px-3 py-2">
+                        {crane.signal && <Badge variant={SIGNAL_BADGES[crane.signal]}>{FLEET_SIGNAL_LABELS[crane.signal]}</Badge>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {analytics && analytics.categories.length > 1 && (
+        <Card>
+          <CardContent>
+            <h2 className="font-medium text-gray-900 mb-4">By category</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Category</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Cranes</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Utilization</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Revenue</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Cost</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Margin</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {analytics.categories.map(item => (
+                    <tr key={item.category}>
+                      <td className="px-3 py-2 font-medium text-gray-900">{CATEGORY_LABELS[item.category] || item.category}</td>
+                      <td className="px-3 py-2 text-right text-gray-600">{item.cranes}</td>
+                      <td className="px-3 py-2"><UtilizationBar figures={item} /></td>
+                      <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(item.revenue)}</td>
+                      <td className="px-3 py-2 text-right text-gray-600">{formatCurrency(item.cost)}</td>
+                      <td className="px-3 py-2 text-right">{formatMargin(item)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardContent>
+          <h2 className="font-medium text-gray-900 mb-4">
+            Monthly trend · {selectedCrane ? selectedCrane.name : 'whole fleet'}
+          </h2>
+          {!trend ? (
+            <div className="py-10 text-center text-gray-500">Loading trend...</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Month</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Utilization</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Revenue</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Cost</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-600">Margin</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {trend.map(point => (
+                    <tr key={point.month}>
+                      <td className="px-3 py-2 text-gray-900">
+                        {new Date(`${point.month}-01T00:00:00`).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' })}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">{point.utilizationPercent}%</td>
+                      <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(point.revenue)}</td>
+                      <td className="px-3 py-2 text-right text-gray-600">{formatCurrency(point.cost)}</td>
+                      <td className={`px-3 py-2 text-right ${point.margin < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                        {formatCurrency(point.margin)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Toast
+        title={toast.title}
+        variant={toast.variant}
+        isVisible={toast.show}
+        onClose={() => setToast({ show: false, title: '' })}
+      />
+    </div>
+  );
+}
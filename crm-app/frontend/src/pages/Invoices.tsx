@@ -0,0 +1,751 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { BarChart3, FileText, IndianRupee, List, Plus, RefreshCw, Search, Send, Trash2, XCircle } from 'lucide-react';
+import { Card, CardContent } from '../components/common/Card';
+import { Button } from '../components/common/Button';
+import { Badge } from '../components/common/Badge';
+import { Modal } from '../components/common/Modal';
+import { Toast } from '../components/common/Toast';
+import { formatCurrency } from '../services/formatters';
+import { getJobs } from '../services/job';
+import { Job } from '../types/job';
+import {
+  INVOICE_STATUS_LABELS,
+  Invoice,
+  InvoicePayment,
+  InvoiceStatus,
+  PAYMENT_MODE_LABELS,
+  PaymentMode,
+  ReceivablesAgeing,
+  createInvoiceFromJob,
+  deleteInvoice,
+  deleteInvoicePayment,
+  getInvoiceById,
+  getInvoicePayments,
+  getInvoices,
+  getReceivablesAgeing,
+  issueInvoice,
+  openInvoicePdf,
+  recordInvoicePayment,
+  voidInvoice,
+} from '../services/invoice';
+import { JobHoursReconciliation, getJobHoursReconciliation } from '../services/jobLogs';
+
+const STATUS_VARIANTS: Record<InvoiceStatus, 'default' | 'secondary' | 'success' | 'warning' | 'error' | 'outline'> = {
+  draft: 'outline',
+  issued: 'default',
+  partially_paid: 'warning',
+  paid: 'success',
+  void: 'error',
+};
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString('en-IN') : '-');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyPaymentForm = () => ({
+  amount: '',
+  tdsAmount: '',
+  tdsSection: '',
+  mode: 'neft' as PaymentMode,
+  reference: '',
+  paymentDate: today(),
+  notes: '',
+});
+
+export function Invoices() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [invoices, setInvoices] = useState<Invoice[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState<InvoiceStatus | 'all'>('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selected, setSelected] = useState<Invoice | null>(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [voidReason, setVoidReason] = useState('');
+  const [isJobModalOpen, setIsJobModalOpen] = useState(false);
+  const [completedJobs, setCompletedJobs] = useState<Job[]>([]);
+  const [hoursReview, setHoursReview] = useState<JobHoursReconciliation | null>(null);
+  const [payments, setPayments] = useState<InvoicePayment[]>([]);
+  const [paymentForm, setPaymentForm] = useState(emptyPaymentForm);
+  const [view, setView] = useState<'list' | 'ageing'>('list');
+  const [ageing, setAgeing] = useState<ReceivablesAgeing | null>(null);
+  const [ageingAsOf, setAgeingAsOf] = useState(today);
+  const [toast, setToast] = useState<{
+    show: boolean;
+    title: string;
+    variant?: 'success' | 'error' | 'warning';
+  }>({ show: false, title: '' });
+
+  const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success') => {
+    setToast({ show: true, title, variant });
+    setTimeout(() => setToast({ show: false, title: '' }), 3000);
+  };
+
+  const fetchInvoices = async () => {
+    setIsLoading(true);
+    try {
+      setInvoices(await getInvoices());
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch invoices', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openInvoice = async (invoiceId: string) => {
+    try {
+      setVoidReason('');
+      setPaymentForm(emptyPaymentForm());
+      const [invoice, invoicePayments] = await Promise.all([
+        getInvoiceById(invoiceId),
+        getInvoicePayments(invoiceId),
+      ]);
+      setSelected(invoice);
+      setPayments(invoicePayments);
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch invoice', 'error');
+    }
+  };
+
+  const fetchAgeing = async (asOf: string) => {
+    try {
+      setAgeing(await getReceivablesAgeing(asOf));
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch receivables ageing', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchInvoices();
+  }, []);
+
+  useEffect(() => {
+    if (view === 'ageing') {
+      fetchAgeing(ageingAsOf);
+    }
+  }, [view, ageingAsOf]);
+
+  // Invoices created elsewhere (e.g. from a quotation) open via ?open=<id>
+  useEffect(() => {
+    const invoiceId = searchParams.get('open');
+    if (invoiceId) {
+      openInvoice(invoiceId);
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams]);
+
+  const filteredInvoices = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return invoices.filter(invoice =>
+      (statusFilter === 'all' || invoice.status === statusFilter) &&
+      (!term ||
+        invoice.customerName.toLowerCase().includes(term) ||
+        (invoice.invoiceNumber || '').toLowerCase().includes(term))
+    );
+  }, [invoices, statusFilter, searchTerm]);
+
+  const outstanding = useMemo(
+    () => invoices
+      .filter(invoice => invoice.status === 'issued' || invoice.status === 'partially_paid')
+      .reduce((sum, invoice) => sum + invoice.balanceDue, 0),
+    [invoices]
+  );
+
+  const runAction = async (action: () => Promise<void>, successMessage: string) => {
+    setIsWorking(true);
+    try {
+      await action();
+      showToast(successMessage);
+      await fetchInvoices();
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Something went wrong', 'error');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleIssue = (invoice: Invoice) => runAction(async () => {
+    setSelected(await issueInvoice(invoice.id));
+  }, 'Invoice issued');
+
+  const handleVoid = (invoice: Invoice) => {
+    if (!voidReason.trim()) {
+      showToast('Enter a reason to void the invoice', 'warning');
+      return;
+    }
+    runAction(async () => {
+      setSelected(await voidInvoice(invoice.id, voidReason.trim()));
+      setVoidReason('');
+    }, 'Invoice voided');
+  };
+
+  const handleDelete = (invoice: Invoice) => {
+    if (!window.confirm('Delete this draft invoice?')) return;
+    runAction(async () => {
+      await deleteInvoice(invoice.id);
+      setSelected(null);
+    }, 'Draft invoice deleted');
+  };
+
+  const handlePdf = async (invoice: Invoice) => {
+    try {
+      await openInvoicePdf(invoice.id);
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to generate invoice PDF', 'error');
+    }
+  };
+
+  const handleRecordPayment = (invoice: Invoice) => {
+    const amount = Number(paymentForm.amount || 0);
+    const tdsAmount = Number(paymentForm.tdsAmount || 0);
+    if (amount + tdsAmount <= 0) {
+      showToast('Enter the amount received or TDS deducted', 'warning');
+      return;
+    }
+    if (amount + tdsAmount > invoice.balanceDue + 0.005) {
+      showToast(`The payment exceeds the balance due of ${formatCurrency(invoice.balanceDue)}`, 'warning');
+      return;
+    }
+    runAction(async () => {
+      await recordInvoicePayment(invoice.id, {
+        amount,
+        tdsAmount,
+        tdsSection: paymentForm.tdsSection.trim() || undefined,
+        mode: paymentForm.mode,
+        reference: paymentForm.reference.trim() || undefined,
+        paymentDate: paymentForm.paymentDate || undefined,
+        notes: paymentForm.notes.trim() || undefined,
+      });
+      await openInvoice(invoice.id);
+    }, 'Payment recorded');
+  };
+
+  const handleDeletePayment = (invoice: Invoice, payment: InvoicePayment) => {
+    if (!window.confirm('Delete this payment? The invoice balance will be recalculated.')) return;
+    runAction(async () => {
+      await deleteInvoicePayment(invoice.id, payment.id);
+      await openInvoice(invoice.id);
+    }, 'Payment deleted');
+  };
+
+  const openJobModal = async () => {
+    setIsJobModalOpen(true);
+    setHoursReview(null);
+    try {
+      const invoicedJobs = new Set(invoices.filter(i => i.jobId && i.status !== 'void').map(i => i.jobId));
+      const jobs = await getJobs();
+      setCompletedJobs(jobs.filter(job => job.status === 'completed' && !invoicedJobs.has(job.id)));
+    } catch (error) {
+      showToast('Failed to fetch jobs', 'error');
+    }
+  };
+
+  const handleReviewHours = async (job: Job) => {
+    if (hoursReview?.jobId === job.id) {
+      setHoursReview(null);
+      return;
+    }
+    try {
+      setHoursReview(await getJobHoursReconciliation(job.id));
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to reconcile logged hours', 'error');
+    }
+  };
+
+  const handleCreateFromJob = (job: Job, includeExtraHours = false) => runAction(async () => {
+    const invoice = await createInvoiceFromJob(job.id, { includeExtraHours });
+    setIsJobModalOpen(false);
+    setHoursReview(null);
+    setSelected(invoice);
+  }, 'Draft invoice created');
+
+  return (
+    <div className="space-y-4 p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold text-gray-900">Invoices</h1>
+          <p className="text-sm text-gray-500">Outstanding: {formatCurrency(outstanding)}</p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setView(view === 'list' ? 'ageing' : 'list')}
+            leftIcon={view === 'list' ? <BarChart3 size={14} /> : <List size={14} />}
+          >
+            {view === 'list' ? 'Receivables Ageing' : 'Invoice List'}
+          </Button>
+          <Button variant="outline" size="sm" onClick={fetchInvoices} leftIcon={<RefreshCw size={14} />}>
+            Refresh
+          </Button>
+          <Button size="sm" onClick={openJobModal} leftIcon={<Plus size={14} />}>
+            Invoice Completed Job
+          </Button>
+        </div>
+      </div>
+
+      {view === 'ageing' && (
+        <Card>
+          <CardContent>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="font-medium text-gray-900">Receivables ageing (days past due)</h2>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                As of
+                <input
+                  type="date"
+                  value={ageingAsOf}
+                  max={today()}
+                  onChange={e => setAgeingAsOf(e.target.value || today())}
+                  className="border border-gray-300 rounded-md px-2 py-1"
+                />
+              </label>
+            </div>
+            {!ageing ? (
+              <div className="py-10 text-center text-gray-500">Loading receivables...</div>
+            ) : ageing.customers.length === 0 ? (
+              <div className="py-10 text-center text-gray-500">Nothing outstanding.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-600">Customer</th>
+                      {ageing.buckets.map(bucket => (
+                        <th key={bucket.key} className="px-3 py-2 text-right font-medium text-gray-600">{bucket.label}</th>
+                      ))}
+                      <th className="px-3 py-2 text-right font-medium text-gray-600">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {ageing.customers.map(customer => (
+                      <tr key={customer.customerId}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium text-gray-900">{customer.customerName}</div>
+                          <div className="text-xs text-gray-500">
+                            {customer.invoices.map(invoice => invoice.invoiceNumber).join(', ')}
+                          </div>
+                        </td>
+                        {ageing.buckets.map(bucket => (
+                          <td key={bucket.key} className="px-3 py-2 text-right">
+                            {customer[bucket.key] ? formatCurrency(customer[bucket.key]) : '-'}
+                          </td>
+                        ))}
+                        <td className="px-3 py-2 text-right font-medium">{formatCurrency(customer.total)}</td>
+                      </tr>
+                    ))}
+                    <tr className="bg-gray-50 font-semibold">
+                      <td className="px-3 py-2">Total</td>
+                      {ageing.buckets.map(bucket => (
+                        <td key={bucket.key} className="px-3 py-2 text-right">{formatCurrency(ageing.totals[bucket.key])}</td>
+                      ))}
+                      <td className="px-3 py-2 text-right">{formatCurrency(ageing.totals.total)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {view === 'list' && (
+        <Card>
+          <CardContent>
+            <div className="flex flex-col sm:flex-row gap-3 mb-4">
+              <div className="relative flex-1">
+                <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={e => setSearchTerm(e.target.value)}
+                  placeholder="Search by customer or invoice number"
+                  className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+              </div>
+              <select
+                value={statusFilter}
+                onChange={e => setStatusFilter(e.target.value as InvoiceStatus | 'all')}
+                className="border border-gray-300 rounded-md text-sm px-3 py-2"
+              >
+                <option value="all">All statuses</option>
+                {(Object.keys(INVOICE_STATUS_LABELS) as InvoiceStatus[]).map(status => (
+                  <option key={status} value={status}>{INVOICE_STATUS_LABELS[status]}</option>
+                ))}
+              </select>
+            </div>
+
+            {isLoading ? (
+              <div className="py-10 text-center text-gray-500">Loading invoices...</div>
+            ) : filteredInvoices.length === 0 ? (
+              <div className="py-10 text-center text-gray-500">
+                No invoices yet. Create one from an accepted quotation or a completed job.
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-600">Invoice #</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-600">Customer</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-600">Source</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-600">Issued</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-600">Due</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-600">Total</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-600">Balance</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-600">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {filteredInvoices.map(invoice => (
+                      <tr
+                        key={invoice.id}
+                        className="hover:bg-gray-50 cursor-pointer"
+                        onClick={() => openInvoice(invoice.id)}
+                      >
+                        <td className="px-3 py-2 font-medium text-gray-900">{invoice.invoiceNumber || 'Draft'}</td>
+                        <td className="px-3 py-2">{invoice.customerName}</td>
+                        <td className="px-3 py-2 capitalize">{invoice.sourceType}</td>
+                        <td className="px-3 py-2">{formatDate(invoice.issueDate)}</td>
+                        <td className="px-3 py-2">{formatDate(invoice.dueDate)}</td>
+                        <td className="px-3 py-2 text-right">{formatCurrency(invoice.totalAmount)}</td>
+                        <td className="px-3 py-2 text-right">
+                          {invoice.status === 'void' || invoice.status === 'draft' ? '-' : formatCurrency(invoice.balanceDue)}
+                        </td>
+                        <td className="px-3 py-2">
+                          <Badge variant={STATUS_VARIANTS[invoice.status]}>{INVOICE_STATUS_LABELS[invoice.status]}</Badge>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Modal
+        isOpen={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected ? `Invoice ${selected.invoiceNumber || '(draft)'}` : ''}
+        size="xl"
+      >
+        {selected && (
+          <div className="space-y-4 text-sm">
+            <div className="flex items-center justify-between">
+              <Badge variant={STATUS_VARIANTS[selected.status]}>{INVOICE_STATUS_LABELS[selected.status]}</Badge>
+              {selected.quotationId && (
+                <Button variant="link" size="sm" onClick={() => navigate(`/quotations/${selected.quotationId}`)}>
+                  View quotation
+                </Button>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <div className="font-medium text-gray-900">{selected.customerName}</div>
+                {selected.customerAddress && <div className="text-gray-600">{selected.customerAddress}</div>}
+                <div className="text-gray-600">GSTIN: {selected.customerGstin || 'Unregistered'}</div>
+              </div>
+              <div className="space-y-1 sm:text-right text-gray-600">
+                <div>Issued: {formatDate(selected.issueDate)}</div>
+                <div>Due: {formatDate(selected.dueDate)}</div>
+                {selected.tax.placeOfSupply && (
+                  <div>
+                    Place of supply: {selected.tax.placeOfSupply}
+                    {selected.tax.placeOfSupplyCode ? ` (${selected.tax.placeOfSupplyCode})` : ''}
+                  </div>
+                )}
+                <div>
+                  Billed: {selected.billingPeriodStart
+                    ? `${formatDate(selected.billingPeriodStart)} - ${formatDate(selected.billingPeriodEnd)}, `
+                    : ''}
+                  {selected.billableDays} days
+                </div>
+              </div>
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-2 py-2 text-left font-medium text-gray-600">Description</th>
+                  <th className="px-2 py-2 text-left font-medium text-gray-600">SAC</th>
+                  <th className="px-2 py-2 text-right font-medium text-gray-600">Qty</th>
+                  <th className="px-2 py-2 text-right font-medium text-gray-600">Rate</th>
+                  <th className="px-2 py-2 text-right font-medium text-gray-600">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {(selected.items || []).map(item => (
+                  <tr key={item.id}>
+                    <td className="px-2 py-2">{item.description}</td>
+                    <td className="px-2 py-2">{item.sacCode || '-'}</td>
+                    <td className="px-2 py-2 text-right">{item.quantity} {item.unit}</td>
+                    <td className="px-2 py-2 text-right">{formatCurrency(item.rate)}</td>
+                    <td className="px-2 py-2 text-right">{formatCurrency(item.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="ml-auto max-w-xs space-y-1">
+              <div className="flex justify-between"><span>Taxable value</span><span>{formatCurrency(selected.subtotal)}</span></div>
+              {selected.tax.lines.map(line => (
+                <div key={line.key} className="flex justify-between"><span>{line.label}</span><span>{formatCurrency(line.amount)}</span></div>
+              ))}
+              <div className="flex justify-between font-semibold border-t pt-1">
+                <span>Total</span><span>{formatCurrency(selected.totalAmount)}</span>
+              </div>
+              {selected.amountPaid > 0 && (
+                <>
+                  <div className="flex justify-between"><span>Paid</span><span>{formatCurrency(selected.amountPaid)}</span></div>
+                  {selected.tdsAmount > 0 && (
+                    <div className="flex justify-between text-gray-500"><span>of which TDS</span><span>{formatCurrency(selected.tdsAmount)}</span></div>
+                  )}
+                  <div className="flex justify-between font-medium"><span>Balance due</span><span>{formatCurrency(selected.balanceDue)}</span></div>
+                </>
+              )}
+            </div>
+
+            {payments.length > 0 && (
+              <div>
+                <h3 className="font-medium text-gray-900 mb-2">Payments</h3>
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-2 py-2 text-left font-medium text-gray-600">Date</th>
+                      <th className="px-2 py-2 text-left font-medium text-gray-600">Mode</th>
+                      <th className="px-2 py-2 text-left font-medium text-gray-600">Reference</th>
+                      <th className="px-2 py-2 text-right font-medium text-gray-600">Received</th>
+                      <th className="px-2 py-2 text-right font-medium text-gray-600">TDS</th>
+                      <th className="px-2 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {payments.map(payment => (
+                      <tr key={payment.id}>
+                        <td className="px-2 py-2">{formatDate(payment.paymentDate)}</td>
+                        <td className="px-2 py-2">{PAYMENT_MODE_LABELS[payment.mode]}</td>
+                        <td className="px-2 py-2">{payment.reference || '-'}</td>
+                        <td className="px-2 py-2 text-right">{formatCurrency(payment.amount)}</td>
+                        <td className="px-2 py-2 text-right">
+                          {payment.tdsAmount > 0
+                            ? `${formatCurrency(payment.tdsAmount)}${payment.tdsSection ? ` (${payment.tdsSection})` : ''}`
+                            : '-'}
+                        </td>
+                        <td className="px-2 py-2 text-right">
+                          <button
+                            type="button"
+                            onClick={() => handleDeletePayment(selected, payment)}
+                            disabled={isWorking}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Delete payment"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {(selected.status === 'issued' || selected.status === 'partially_paid') && (
+              <div className="rounded-md border border-gray-200 p-3 space-y-2">
+                <h3 className="font-medium text-gray-900">Record Payment</h3>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={paymentForm.amount}
+                    onChange={e => setPaymentForm({ ...paymentForm, amount: e.target.value })}
+                    placeholder="Amount received"
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={paymentForm.tdsAmount}
+                    onChange={e => setPaymentForm({ ...paymentForm, tdsAmount: e.target.value })}
+                    placeholder="TDS deducted"
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                  <input
+                    type="text"
+                    value={paymentForm.tdsSection}
+                    onChange={e => setPaymentForm({ ...paymentForm, tdsSection: e.target.value })}
+                    placeholder="TDS section (e.g. 194C)"
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                  <select
+                    value={paymentForm.mode}
+                    onChange={e => setPaymentForm({ ...paymentForm, mode: e.target.value as PaymentMode })}
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  >
+                    {(Object.keys(PAYMENT_MODE_LABELS) as PaymentMode[]).map(mode => (
+                      <option key={mode} value={mode}>{PAYMENT_MODE_LABELS[mode]}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="date"
+                    value={paymentForm.paymentDate}
+                    max={today()}
+                    onChange={e => setPaymentForm({ ...paymentForm, paymentDate: e.target.value })}
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                  <input
+                    type="text"
+                    value={paymentForm.reference}
+                    onChange={e => setPaymentForm({ ...paymentForm, reference: e.target.value })}
+                    placeholder="UTR / cheque no."
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                  <input
+                    type="text"
+                    value={paymentForm.notes}
+                    onChange={e => setPaymentForm({ ...paymentForm, notes: e.target.value })}
+                    placeholder="Notes"
+                    className="col-span-2 border border-gray-300 rounded-md px-3 py-2"
+                  />
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-500">Balance due: {formatCurrency(selected.balanceDue)}</span>
+                  <Button size="sm" onClick={() => handleRecordPayment(selected)} isLoading={isWorking} leftIcon={<IndianRupee size={14} />}>
+                    Record Payment
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {selected.status === 'void' && (
+              <div className="rounded-md bg-red-50 p-3 text-red-800">
+                Voided {formatDate(selected.voidedAt)}: {selected.voidReason}
+              </div>
+            )}
+            {selected.notes && <div className="text-gray-600">Notes: {selected.notes}</div>}
+
+            <div className="flex flex-wrap gap-2 border-t pt-4">
+              <Button variant="outline" size="sm" onClick={() => handlePdf(selected)} leftIcon={<FileText size={14} />}>
+                {selected.status === 'draft' ? 'Preview PDF' : 'Download PDF'}
+              </Button>
+              {selected.status === 'draft' && (
+                <>
+                  <Button size="sm" onClick={() => handleIssue(selected)} isLoading={isWorking} leftIcon={<Send size={14} />}>
+                    Issue Invoice
+                  </Button>
+                  <Button variant="destructive" size="sm" onClick={() => handleDelete(selected)} disabled={isWorking} leftIcon={<Trash2 size={14} />}>
+                    Delete Draft
+                  </Button>
+                </>
+              )}
+            </div>
+
+            {selected.status !== 'void' && selected.status !== 'draft' && selected.amountPaid === 0 && (
+              <div className="flex flex-col sm:flex-row gap-2">
+                <input
+                  type="text"
+                  value={voidReason}
+                  onChange={e => setVoidReason(e.target.value)}
+                  placeholder="Reason for voiding"
+                  className="flex-1 border border-gray-300 rounded-md px-3 py-2"
+                />
+                <Button variant="destructive" size="sm" onClick={() => handleVoid(selected)} disabled={isWorking} leftIcon={<XCircle size={14} />}>
+                  Void Invoice
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={isJobModalOpen}
+        onClose={() => setIsJobModalOpen(false)}
+        title="Invoice a Completed Job"
+        description="Jobs are billed for their actual start to end dates at the accepted quotation's rates."
+        size="lg"
+      >
+        {completedJobs.length === 0 ? (
+          <div className="py-6 text-center text-gray-500">No completed jobs waiting to be invoiced.</div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {completedJobs.map(job => (
+              <li key={job.id} className="py-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium text-gray-900">{job.title}</div>
+                    <div className="text-gray-500">
+                      {formatDate(job.actualStartDate)} - {formatDate(job.actualEndDate)}
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button size="sm" variant="outline" onClick={() => handleReviewHours(job)} disabled={isWorking}>
+                      Logged Hours
+                    </Button>
+                    <Button size="sm" onClick={() => handleCreateFromJob(job)} disabled={isWorking}>
+                      Create Invoice
+                    </Button>
+                  </div>
+                </div>
+                {hoursReview?.jobId === job.id && (
+                  <div className="mt-3 rounded-md bg-gray-50 p-3 space-y-2">
+                    <p className="text-gray-600">
+                      {hoursReview.totals.billableHours} h billable against {hoursReview.contractedHoursPerDay} h a day
+                      quoted; {hoursReview.totals.extraHours} h extra
+                      {hoursReview.totals.nightExtraHours > 0 && ` (${hoursReview.totals.nightExtraHours} h at night)`}.
+                    </p>
+                    {hoursReview.totals.unsignedLogs > 0 && (
+                      <p className="text-warning-700">
+                        {hoursReview.totals.unsignedLogs} log(s) not signed off
+                        {hoursReview.policy.signedLogsOnly ? ' are left out.' : '.'}
+                      </p>
+                    )}
+                    {hoursReview.lines.length === 0 ? (
+                      <p className="text-gray-500">
+                        {hoursReview.policy.multiplier > 0
+                          ? 'No extra hours to bill.'
+                          : `Extra hours are not billed on ${hoursReview.orderType} orders.`}
+                      </p>
+                    ) : (
+                      <>
+                        <table className="min-w-full text-sm">
+                          <tbody className="divide-y divide-gray-200">
+                            {hoursReview.lines.map(line => (
+                              <tr key={line.description}>
+                                <td className="py-1 text-gray-700">{line.description}</td>
+                                <td className="py-1 text-right text-gray-600">{line.quantity} h x {formatCurrency(line.rate)}</td>
+                                <td className="py-1 text-right font-medium">{formatCurrency(line.amount)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        <div className="flex justify-end">
+                          <Button size="sm" onClick={() => handleCreateFromJob(job, true)} disabled={isWorking}>
+                            Invoice with {formatCurrency(hoursReview.totals.amount)} Extra Hours
+                          </Button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </Modal>
+
+      {toast.show && (
+        <Toast
+          title={toast.title}
+          variant={toast.variant}
+          isVisible={toast.show}
+          onClose={() => setToast({ show: false, title: '' })}
+        />
+      )}
+    </div>
+  );
+}
@@ -14,18 +14,41 @@ import { Modal } from '../components/common/Modal';
 import { StatusBadge } from '../components/common/StatusBadge';
 import { Toast } from '../components/common/Toast';
 import { useAuthStore } from '../store/authStore';
-import { getJobs, getAllEquipment, getAllOperators, createJob, getEquipmentById, getLeadsWithWonDeals } from '../services/job';
+import {
+  getJobs,
+  getAllEquipment,
+  getAllOperators,
+  createJob,
+  getEquipmentById,
+  getLeadsWithWonDeals,
+  getResourceAvailability,
+  BookingConflict,
+  BookingConflictError,
+  CertificationConflictError,
+  DocumentConflictError,
+  JobBooking,
+  MaintenanceConflictError,
+  ResourceAvailability,
+} from '../services/job';
 import { getDealById } from '../services/deal';
 import { getQuotationsForLead } from '../services/quotation';
 import { Job, Equipment, Operator } from '../types/job';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { jobApiClient } from '../services/job';
+import { FleetTimeline } from '../components/jobs/FleetTimeline';
+import { JobStatusActions } from '../components/jobs/JobStatusActions';
+import {
+  CertificationEnforcement,
+  CertificationGap,
+  describeCertificationGap,
+  getCertificationGaps,
+} from '../services/operatorCertifications';
 
 const TIME_SLOTS = Array.from({ length: 15 }, (_, i) => addHours(new Date().setHours(6, 0, 0, 0), i));
 
 export function JobScheduling() {
   const { user } = useAuthStore();
-  const [view, setView] = useState<'week' | 'month'>('week');
+  const [view, setView] = useState<'week' | 'month' | 'timeline'>('week');
   const [currentDate, setCurrentDate] = useState(new Date());
   const [jobs, setJobs] = useState<Job[]>([]);
   const [equipment, setEquipment] = useState<Equipment[]>([]);
@@ -58,6 +81,13 @@ export function JobScheduling() {
 
   const [operatorFilter, setOperatorFilter] = useState<string>(''); // '' means all operators
 
+  // Bookings for the selected time slot, checked on the server
+  const [availability, setAvailability] = useState<ResourceAvailability | null>(null);
+  const [bookingConflicts, setBookingConflicts] = useState<BookingConflict[]>([]);
+  const [certificationCheck, setCertificationCheck] = useState<{ enforcement: CertificationEnforcement; gaps: CertificationGap[] } | null>(null);
+  const [canOverrideBooking, setCanOverrideBooking] = useState(false);
+  const [overrideReason, setOverrideReason] = useState('');
+
   useEffect(() => {
     fetchData();
     
@@ -90,9 +120,40 @@ export function JobScheduling() {
     }
   }, [location]);
 
+  // Load equipment and operator bookings whenever the time slot changes
+  useEffect(() => {
+    const start = new Date(formData.startDate);
+    const end = new Date(formData.endDate);
+    if (!formData.startDate || !formData.endDate || isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      setAvailability(null);
+      return;
+    }
+    getResourceAvailability(start.toISOString(), end.toISOString())
+      .then(setAvailability)
+      .catch(error => {
+        console.error('Error fetching availability:', error);
+        setAvailability(null);
+      });
+  }, [formData.startDate, formData.endDate, jobs]);
+
+  // Check the selected operator's certifications for the selected crane until the job ends
+  useEffect(() => {
+    const end = new Date(formData.endDate);
+    if (!formData.equipmentId || !formData.operatorId || isNaN(end.getTime())) {
+      setCertificationCheck(null);
+      return;
+    }
+    getCertificationGaps([formData.operatorId], [formData.equipmentId], end.toISOString())
+      .then(setCertificationCheck)
+      .catch(error => {
+        console.error('Error checking operator certifications:', error);
+        setCertificationCheck(null);
+      });
+  }, [formData.equipmentId, formData.operatorId, formData.endDate]);
+
   // Reset operator selection if the selected operator becomes unavailable when dates change
   useEffect(() => {
-    if (formData.operatorId && formData.startDate && formData.endDate) {
+    if (formData.operatorId && availability) {
       const availableOperators = getAvailableOperators();
       const isSelectedOperatorAvailable = availableOperators.some(op => op.id === formData.operatorId);
       
@@ -100,7 +161,7 @@ export function JobScheduling() {
         setFormData(prev => ({ ...prev, operatorId: '' }));
       }
     }
-  }, [formData.startDate, formData.endDate, jobs]);
+  }, [availability]);
 
   const fetchData = async () => {
     try {
@@ -277,7 +338,7 @@ export function JobScheduling() {
     }
   };
 
-  const handleCreateJob = async () => {
+  const handleCreateJob = async (override = false) => {
     try {
       // Validate required fields
       if (!formData.leadId || !formData.equipmentId || !formData.operatorId || 
@@ -299,7 +360,7 @@ export function JobScheduling() {
         return;
       }
 
-      await createJob({
+      const created = await createJob({
         title: 'Scheduled Job',
         leadId: formData.leadId,
         customerId: lead?.customerId || '',
@@ -313,6 +374,7 @@ export function JobScheduling() {
         notes: formData.notes,
         dealId: wonDealId || undefined,
         createdBy: user?.id || '',
+        ...(override ? { override: true, overrideReason: overrideReason.trim() } : {}),
       });
 
       // Instead of setJobs, refetch all jobs from backend
@@ -324,9 +386,27 @@ export function JobScheduling() {
       setWonDealId(null);
       setWonDealCustomerName(null);
       
-      showToast('Job scheduled successfully', 'success');
+      if (created.certificationWarnings?.length) {
+        showToast(`Job scheduled; ${created.certificationWarnings.map(describeCertificationGap).join('; ')}`, 'warning');
+      } else {
+        showToast('Job scheduled successfully', 'success');
+      }
     } catch (error) {
       console.error('Error creating job:', error);
+      if (error instanceof BookingConflictError) {
+        setBookingConflicts(error.conflicts);
+        setCanOverrideBooking(error.canOverride);
+        showToast(error.message, 'error');
+        return;
+      }
+      if (
+        error instanceof MaintenanceConflictError ||
+        error instanceof DocumentConflictError ||
+        error instanceof CertificationConflictError
+      ) {
+        showToast(error.message, 'error');
+        return;
+      }
       showToast('Error creating job', 'error');
     }
   };
@@ -343,6 +423,9 @@ export function JobScheduling() {
     });
     // Reset deal equipment as well
     setDealEquipment([]);
+    setBookingConflicts([]);
+    setCanOverrideBooking(false);
+    setOverrideReason('');
   };
 
   const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success') => {
@@ -350,50 +433,30 @@ export function JobScheduling() {
     setTimeout(() => setToast({ show: false, title: '' }), 3000);
   };
 
-  const checkAvailability = (equipmentId: string, operatorId: string, startDate: string, endDate: string) => {
-    const conflictingJobs = jobs.filter(job => {
-      const jobStart = new Date(job.scheduledStartDate);
-      const jobEnd = new Date(job.scheduledEndDate);
-      const newStart = new Date(startDate);
-      const newEnd = new Date(endDate);
-
-      return (
-        (job.equipmentIds.includes(equipmentId) || job.operatorIds.includes(operatorId)) &&
-        job.status !== 'completed' &&
-        job.status !== 'cancelled' &&
-        ((newStart >= jobStart && newStart < jobEnd) ||
-          (newEnd > jobStart && newEnd <= jobEnd) ||
-          (newStart <= jobStart && newEnd >= jobEnd))
-      );
-    });
+  const handleJobStatusChanged = (updated: Job) => {
+    setSelectedJob(updated);
+    setJobs(prev => prev.map(job => (job.id === updated.id ? updated : job)));
+  };
 
-    return conflictingJobs;
+  // Jobs already holding the selected equipment or operator in the selected time slot
+  const checkAvailability = (equipmentId: string, operatorId: string): JobBooking[] => {
+    if (!availability) return [];
+    const bookings = [
+      ...(availability.equipment.find(item => item.id === equipmentId)?.bookings || []),
+      ...(availability.operators.find(item => item.id === operatorId)?.bookings || []),
+    ];
+    return bookings.filter((booking, index) => bookings.findIndex(b => b.jobId === booking.jobId) === index);
   };
 
   // Get available operators for the selected time slot
   const getAvailableOperators = () => {
-    if (!formData.startDate || !formData.endDate) {
+    if (!availability) {
       return operators; // Return all operators if no time selected
     }
 
-    const start = new Date(formData.startDate);
-    const end = new Date(formData.endDate);
-
-    return operators.filter(operator => {
-      const conflictingJobs = jobs.filter(job => {
-        const jobStart = new Date(job.scheduledStartDate);
-        const jobEnd = new Date(job.scheduledEndDate);
-        
-        return (
-          job.operatorIds.includes(operator.id) &&
-          job.status !== 'completed' &&
-          job.status !== 'cancelled' &&
-          ((start >= jobStart && start < jobEnd) || (end > jobStart && end <= jobEnd) || (start <= jobStart && end >= jobEnd))
-        );
-      });
-
-      return conflictingJobs.length === 0;
-    });
+    return operators.filter(operator =>
+      availability.operators.find(item => item.id === operator.id)?.available !== false
+    );
   };
 
   const renderWeekView = () => {
@@ -547,9 +610,13 @@ export function JobScheduling() {
         </div>
         <div className="flex items-center gap-2 flex-1 justify-end min-w-0">
           <Select
-            options={[{ value: 'week', label: 'Week View' }, { value: 'month', label: 'Month View' }]}
+            options={[
+              { value: 'week', label: 'Week View' },
+              { value: 'month', label: 'Month View' },
+              { value: 'timeline', label: 'Fleet Timeline' }
+            ]}
             value={view}
-            onChange={(value: string) => setView(value as 'week' | 'month')}
+            onChange={(value: string) => setView(value as 'week' | 'month' | 'timeline')}
             className="w-24 min-w-0"
           />
           <Select
@@ -586,9 +653,17 @@ export function JobScheduling() {
       <Card>
         <CardContent className="p-6">
           <div className="mb-4">
-            <h3 className="text-lg font-semibold text-gray-900">Job Schedule</h3>
+            <h3 className="text-lg font-semibold text-gray-900">
+              {view === 'timeline' ? 'Fleet Timeline' : 'Job Schedule'}
+            </h3>
           </div>
-          {isLoading ? (
+          {view === 'timeline' ? (
+            <FleetTimeline
+              startDate={currentDate}
+              onRescheduled={fetchData}
+              onMessage={showToast}
+            />
+          ) : isLoading ? (
             <div className="text-center py-4">Loading schedule...</div>
           ) : leads.length === 0 ? (
             <div className="text-center py-12 bg-gray-50 rounded-lg">
@@ -818,12 +893,7 @@ export function JobScheduling() {
             <div className="bg-gray-50 p-4 rounded-md">
               <h4 className="font-medium mb-2">Availability Check</h4>
               {(() => {
-                const conflicts = checkAvailability(
-                  formData.equipmentId,
-                  formData.operatorId,
-                  formData.startDate,
-                  formData.endDate
-                );
+                const conflicts = checkAvailability(formData.equipmentId, formData.operatorId);
 
                 return conflicts.length > 0 ? (
                   <div className="text-error-600">
@@ -831,7 +901,7 @@ export function JobScheduling() {
                     <ul className="list-disc list-inside text-sm">
                       {/* Use equipmentIds and operatorIds for conflict display */}
                       {conflicts.map(conflict => (
-                        <li key={conflict.id}>
+                        <li key={conflict.jobId}>
                           {conflict.customerName} - {format(new Date(conflict.scheduledStartDate), 'MMM d, h:mm a')}
                         </li>
                       ))}
@@ -841,6 +911,48 @@ export function JobScheduling() {
                   <p className="text-success-600">Equipment and operator are available for the selected time slot.</p>
                 );
               })()}
+              {certificationCheck && certificationCheck.enforcement !== 'off' && certificationCheck.gaps.length > 0 && (
+                <div className={`mt-2 text-sm ${certificationCheck.enforcement === 'block' ? 'text-error-600' : 'text-warning-700'}`}>
+                  {certificationCheck.gaps.map(gap => (
+                    <p key={`${gap.operatorId}-${gap.equipmentId}`}>{describeCertificationGap(gap)}</p>
+                  ))}
+                  {certificationCheck.enforcement === 'block' && <p>The job cannot be saved with this operator.</p>}
+                </div>
+              )}
+            </div>
+          )}
+
+          {bookingConflicts.length > 0 && (
+            <div className="bg-error-50 border border-error-200 p-4 rounded-md text-sm">
+              <h4 className="font-medium text-error-700 mb-2">Double booking rejected</h4>
+              <ul className="list-disc list-inside text-error-700">
+                {bookingConflicts.map(conflict => (
+                  <li key={`${conflict.resourceType}-${conflict.resourceId}-${conflict.jobId}`}>
+                    {conflict.resourceName || conflict.resourceId} is booked on {conflict.jobTitle} ({conflict.customerName}),{' '}
+                    {format(new Date(conflict.scheduledStartDate), 'MMM d, h:mm a')} - {format(new Date(conflict.scheduledEndDate), 'MMM d, h:mm a')}
+                  </li>
+                ))}
+              </ul>
+              {canOverrideBooking ? (
+                <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="text"
+                    value={overrideReason}
+                    onChange={(e) => setOverrideReason(e.target.value)}
+                    placeholder="Reason for forcing the double booking"
+                    className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-black"
+                  />
+                  <Button
+                    variant="outline"
+                    onClick={() => handleCreateJob(true)}
+                    disabled={!overrideReason.trim()}
+                  >
+                    Schedule Anyway
+                  </Button>
+                </div>
+              ) : (
+                <p className="mt-2 text-gray-600">Pick other equipment, an operator or a time slot, or ask an admin to force the booking.</p>
+              )}
             </div>
           )}
         </div>
@@ -855,7 +967,7 @@ export function JobScheduling() {
           >
             Cancel
           </Button>
-          <Button onClick={handleCreateJob} variant="accent">Schedule Job</Button>
+          <Button onClick={() => handleCreateJob()} variant="accent">Schedule Job</Button>
         </div>
       </Modal>
 
@@ -866,7 +978,7 @@ export function JobScheduling() {
         size="lg"
       >
         {selectedJob && (
-          <JobDetailsContent selectedJob={selectedJob} />
+          <JobDetailsContent selectedJob={selectedJob} onStatusChanged={handleJobStatusChanged} onMessage={showToast} />
         )}
       </Modal>
 
@@ -885,7 +997,16 @@ export function JobScheduling() {
 }
 
 // New component for Job Details modal content
-function JobDetailsContent({ selectedJob }: { selectedJob: any }) {
+function JobDetailsContent({
+  selectedJob,
+  onStatusChanged,
+  onMessage,
+}: {
+  selectedJob: any;
+  onStatusChanged: (job: Job) => void;
+  onMessage: (title: string, variant: 'success' | 'error' | 'warning') => void;
+}) {
+  const navigate = useNavigate();
   const [equipmentNames, setEquipmentNames] = React.useState<string>('');
   const [operatorNames, setOperatorNames] = React.useState<string>('');
 
@@ -1028,7 +1149,29 @@ function JobDetailsContent({ selectedJob }: { selectedJob: any }) {
             readOnly
           />
         </div>
+        {selectedJob.cancellationReason && (
+          <div className="col-span-2">
+            <h4 className="text-sm font-medium text-black">Cancellation Reason</h4>
+            <p className="mt-1 text-sm text-gray-700">{selectedJob.cancellationReason}</p>
+          </div>
+        )}
+      </div>
+      <div>
+        <h4 className="text-sm font-medium text-black mb-2">Progress</h4>
+        <JobStatusActions
+          jobId={selectedJob.id}
+          status={selectedJob.status}
+          onChanged={onStatusChanged}
+          onMessage={onMessage}
+        />
       </div>
+      {['demobilizing', 'completed'].includes(selectedJob.status) && (
+        <div className="flex justify-end">
+          <Button size="sm" variant="outline" onClick={() => navigate(`/job-summary/${selectedJob.id}`)}>
+            Completion Report
+          </Button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,11 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams } from 'react-router-dom';
-import { 
+import { format } from 'date-fns';
+import {
   Calendar,
-  Clock,
+  Camera,
   Download,
   MapPin,
-  Send,
+  Plus,
+  Save,
+  Trash2,
   Truck,
   User,
   CheckCircle2
@@ -14,42 +17,82 @@ import { Card, CardHeader, CardTitle, CardContent } from '../components/common/C
 import { Button } from '../components/common/Button';
 import { TextArea } from '../components/common/TextArea';
 import { Input } from '../components/common/Input';
+import { FormInput } from '../components/common/FormInput';
+import { Select } from '../components/common/Select';
+import { SignaturePad } from '../components/common/SignaturePad';
+import { StatusBadge } from '../components/common/StatusBadge';
 import { Toast } from '../components/common/Toast';
+import { CustomerSatisfactionScores } from '../components/jobs/CustomerSatisfactionScores';
 import { useAuthStore } from '../store/authStore';
-import { Job } from '../types/job';
-
-interface SafetyCheck {
-  id: string;
-  label: string;
-  checked: boolean;
-}
-
-interface CustomerFeedback {
-  rating: number;
-  comments: string;
-  submittedAt: string;
+import {
+  INCIDENT_SEVERITY_LABELS,
+  IncidentSeverity,
+  JobIncident,
+  JobReportView,
+  SafetyCheck,
+  addReportPhoto,
+  deleteReportPhoto,
+  fetchReportPhotoUrl,
+  getJobReport,
+  saveJobReport,
+  signOffJobReport,
+} from '../services/jobCompletionReports';
+
+const REPORT_WRITE_ROLES = ['admin', 'operations_manager', 'operator'];
+const REPORTABLE_STATUSES = ['demobilizing', 'completed'];
+
+const EMPTY_INCIDENT = { occurredAt: '', severity: 'near_miss' as IncidentSeverity, description: '', actionTaken: '' };
+
+const formatDate = (value: string | null | undefined) => (value ? format(new Date(value), 'MMM d, yyyy') : '-');
+
+function RatingStars({ rating, onSelect }: { rating: number; onSelect?: (rating: number) => void }) {
+  return (
+    <div className="flex">
+      {[1, 2, 3, 4, 5].map((star) => (
+        <button
+          key={star}
+          type="button"
+          disabled={!onSelect}
+          onClick={() => onSelect?.(star)}
+          aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          className={onSelect ? 'cursor-pointer' : 'cursor-default'}
+        >
+          <svg
+            className={`h-6 w-6 ${star <= rating ? 'text-warning-400' : 'text-gray-300'}`}
+            fill="currentColor"
+            viewBox="0 0 20 20"
+          >
+            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+          </svg>
+        </button>
+      ))}
+    </div>
+  );
 }
 
-const SAFETY_CHECKS: SafetyCheck[] = [
-  { id: 'ppe', label: 'PPE Used Correctly', checked: true },
-  { id: 'site_clearance', label: 'Site Clearance Verified', checked: true },
-  { id: 'emergency_contacts', label: 'Emergency Contact Shared', checked: true },
-  { id: 'equipment_check', label: 'Equipment Pre-Check Complete', checked: true },
-  { id: 'hazards_identified', label: 'Hazards Identified & Marked', checked: true },
-  { id: 'communication', label: 'Communication Protocol Established', checked: true },
-];
-
 export function JobSummaryFeedback() {
   const { id } = useParams();
   const { user } = useAuthStore();
-  const [job, setJob] = useState<Job | null>(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [safetyChecks, setSafetyChecks] = useState<SafetyCheck[]>(SAFETY_CHECKS);
+  const [view, setView] = useState<JobReportView | null>(null);
+  const [isLoading, setIsLoading] = useState(Boolean(id));
+  const [isSaving, setIsSaving] = useState(false);
+  const [safetyChecks, setSafetyChecks] = useState<SafetyCheck[]>([]);
   const [safetyNotes, setSafetyNotes] = useState('');
+  const [incidents, setIncidents] = useState<JobIncident[]>([]);
+  const [newIncident, setNewIncident] = useState(EMPTY_INCIDENT);
+  const [workSummary, setWorkSummary] = useState('');
+  const [completedByName, setCompletedByName] = useState('');
+  const [completedBySignature, setCompletedBySignature] = useState<string | null>(null);
+  const [photoUrls, setPhotoUrls] = useState<Record<string, string>>({});
+  const photoUrlsRef = useRef<Record<string, string>>({});
+  const [photoCaption, setPhotoCaption] = useState('');
+  const [customerSignatory, setCustomerSignatory] = useState('');
+  const [customerRating, setCustomerRating] = useState(0);
+  const [customerComments, setCustomerComments] = useState('');
+  const [customerSignature, setCustomerSignature] = useState<string | null>(null);
   const [isDiscountRequested, setIsDiscountRequested] = useState(false);
   const [discountReason, setDiscountReason] = useState('');
   const [discountPercentage, setDiscountPercentage] = useState('');
-  const [feedback, setFeedback] = useState<CustomerFeedback | null>(null);
   const [toast, setToast] = useState<{
     show: boolean;
     title: string;
@@ -63,42 +106,49 @@ export function JobSummaryFeedback() {
     }
   }, [id]);
 
+  // Photos are served through an authenticated route, so load them as blobs
+  const photoIds = (view?.report?.photos || []).map(photo => photo.id);
+  useEffect(() => {
+    photoIds.filter(photoId => !photoUrls[photoId]).forEach(async (photoId) => {
+      try {
+        photoUrlsRef.current[photoId] = await fetchReportPhotoUrl(photoId);
+        setPhotoUrls({ ...photoUrlsRef.current });
+      } catch (error) {
+        console.error('Error loading photo:', error);
+      }
+    });
+  }, [photoIds.join(',')]);
+
+  useEffect(() => () => {
+    Object.values(photoUrlsRef.current).forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
   const fetchJobDetails = async () => {
     try {
-      // Mock job data since jobService is not available
-      const mockJob: Job = {
-        id: id!,
-        title: `Crane Rental - ${id}`,
-        leadId: 'lead_123',
-        customerId: 'cust_123',
-        customerName: 'ABC Construction Ltd.',
-        equipmentIds: ['eq_001'],
-        operatorIds: ['op_001'],
-        status: 'completed',
-        scheduledStartDate: new Date().toISOString(),
-        scheduledEndDate: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString(),
-        location: 'Mumbai Construction Site',
-        createdBy: 'user_123',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-      setJob(mockJob);
-
-      // Mock feedback data
-      setFeedback({
-        rating: 4.5,
-        comments: "Great service, very professional team. Equipment arrived on time.",
-        submittedAt: new Date().toISOString(),
-      });
+      const data = await getJobReport(id!);
+      setView(data);
+      setSafetyChecks(data.report?.safetyChecks || data.defaultSafetyChecks);
+      setSafetyNotes(data.report?.safetyNotes || '');
+      setIncidents(data.report?.incidents || []);
+      setWorkSummary(data.report?.workSummary || '');
+      setCompletedByName(data.report?.completedByName || user?.name || '');
+      setCompletedBySignature(data.report?.completedBySignature || null);
     } catch (error) {
       console.error('Error fetching job details:', error);
-      showToast('Error fetching job details', 'error');
+      showToast(error instanceof Error ? error.message : 'Error fetching job details', 'error');
     } finally {
       setIsLoading(false);
     }
   };
 
+  const report = view?.report || null;
+  const isSigned = Boolean(report?.customerSignedAt);
+  const canEdit = Boolean(
+    view && user && REPORT_WRITE_ROLES.includes(user.role) && REPORTABLE_STATUSES.includes(view.job.status) && !isSigned
+  );
+
   const handleSafetyCheckToggle = (checkId: string) => {
+    if (!canEdit) return;
     setSafetyChecks(prev =>
       prev.map(check =>
         check.id === checkId
@@ -108,13 +158,94 @@ export function JobSummaryFeedback() {
     );
   };
 
-  const handleSendFeedbackRequest = async () => {
+  const handleAddIncident = () => {
+    if (!newIncident.description.trim()) {
+      showToast('Describe the incident first', 'error');
+      return;
+    }
+    setIncidents(prev => [...prev, {
+      occurredAt: newIncident.occurredAt ? new Date(newIncident.occurredAt).toISOString() : null,
+      severity: newIncident.severity,
+      description: newIncident.description.trim(),
+      actionTaken: newIncident.actionTaken.trim() || null,
+    }]);
+    setNewIncident(EMPTY_INCIDENT);
+  };
+
+  const saveReport = async () => {
+    const saved = await saveJobReport(id!, {
+      safetyChecks,
+      safetyNotes,
+      incidents,
+      workSummary,
+      completedByName,
+      completedBySignature,
+    });
+    setView(prev => (prev ? { ...prev, report: saved } : prev));
+    return saved;
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      showToast('Feedback request sent successfully', 'success');
+      await saveReport();
+      showToast('Report saved', 'success');
     } catch (error) {
-      showToast('Error sending feedback request', 'error');
+      showToast(error instanceof Error ? error.message : 'Error saving report', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCustomerSignOff = async () => {
+    if (!customerSignature) return;
+    setIsSaving(true);
+    try {
+      // Sign what is on screen, including unsaved changes
+      await saveReport();
+      const signed = await signOffJobReport(id!, {
+        customerSignatory: customerSignatory.trim(),
+        rating: customerRating,
+        comments: customerComments.trim(),
+        signature: customerSignature,
+      });
+      setView(prev => (prev ? { ...prev, report: signed, hoursSummary: signed.hoursSummary } : prev));
+      showToast('Report signed by the customer', 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Error recording customer sign-off', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePhotoSelected = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setIsSaving(true);
+    try {
+      await addReportPhoto(id!, file, photoCaption.trim() || undefined);
+      setPhotoCaption('');
+      // The first photo starts the report, so reload it rather than patching it
+      const data = await getJobReport(id!);
+      setView(prev => (prev ? { ...prev, report: data.report } : data));
+      showToast('Photo added', 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Error adding photo', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeletePhoto = async (photoId: string) => {
+    try {
+      await deleteReportPhoto(photoId);
+      setView(prev => (prev && prev.report
+        ? { ...prev, report: { ...prev.report, photos: prev.report.photos.filter(photo => photo.id !== photoId) } }
+        : prev));
+      showToast('Photo deleted', 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Error deleting photo', 'error');
     }
   };
 
@@ -134,7 +265,7 @@ export function JobSummaryFeedback() {
   };
 
   const handleDownloadSummary = () => {
-    showToast('Summary downloaded successfully', 'success');
+    window.print();
   };
 
   const showToast = (
@@ -145,10 +276,16 @@ export function JobSummaryFeedback() {
     setTimeout(() => setToast({ show: false, title: '' }), 3000);
   };
 
-  if (!user || (user.role !== 'admin' && user.role !== 'operations_manager' && user.role !== 'sales_agent' && user.role !== 'support')) {
+  if (!id) {
     return (
-      <div className="p-4 text-center text-gray-500">
-        You don't have permission to access this page.
+      <div className="space-y-6 p-6">
+        <div>
+          <h1 className="text-2xl font-bold">Job Summary & Feedback</h1>
+          <p className="text-gray-500 mt-1">
+            Open a job's completion report from its details on the Job Scheduling page
+          </p>
+        </div>
+        {user && user.role !== 'operator' && <CustomerSatisfactionScores />}
       </div>
     );
   }
@@ -157,34 +294,41 @@ export function JobSummaryFeedback() {
     return <div className="p-6 text-center">Loading job summary...</div>;
   }
 
-  if (!job && !id) {
-    return (
-      <div className="p-6 text-center text-gray-500">
-        Select a job to view its summary and feedback
-      </div>
-    );
-  }
-
-  if (!job) {
+  if (!view) {
     return <div className="p-6 text-center text-gray-500">Job not found</div>;
   }
 
+  const { job, hoursSummary } = view;
+
   return (
     <div className="space-y-6 p-6">
       <div className="flex justify-between items-start">
         <div>
           <h1 className="text-2xl font-bold">Job Summary & Feedback</h1>
-          <p className="text-gray-500 mt-1">Job #{id}</p>
+          <p className="text-gray-500 mt-1">{job.title}</p>
+        </div>
+        <div className="flex gap-2">
+          {canEdit && (
+            <Button leftIcon={<Save size={16} />} disabled={isSaving} onClick={handleSave}>
+              Save Report
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            leftIcon={<Download size={16} />}
+            onClick={handleDownloadSummary}
+          >
+            Download Summary
+          </Button>
         </div>
-        <Button
-          variant="outline"
-          leftIcon={<Download size={16} />}
-          onClick={handleDownloadSummary}
-        >
-          Download Summary
-        </Button>
       </div>
 
+      {!REPORTABLE_STATUSES.includes(job.status) && (
+        <p className="text-sm text-amber-700 bg-amber-50 rounded-md p-3">
+          The completion report can be filled in once work on site has finished.
+        </p>
+      )}
+
       {/* Job Summary Card */}
       <Card>
         <CardHeader>
@@ -210,7 +354,7 @@ export function JobSummaryFeedback() {
                 <h3 className="text-sm font-medium text-gray-500">Equipment</h3>
                 <div className="mt-1 flex items-center gap-2">
                   <Truck className="h-5 w-5 text-gray-400" />
-                  <span>Tower Crane TC-80</span>
+                  <span>{job.equipment.map(e => e.name).join(', ') || 'No equipment assigned'}</span>
                 </div>
               </div>
             </div>
@@ -220,32 +364,24 @@ export function JobSummaryFeedback() {
                 <h3 className="text-sm font-medium text-gray-500">Operator</h3>
                 <div className="mt-1 flex items-center gap-2">
                   <User className="h-5 w-5 text-gray-400" />
-                  <span>Mike Operator</span>
+                  <span>{job.operators.map(o => o.name).join(', ') || 'No operator assigned'}</span>
                 </div>
               </div>
 
               <div>
-                <h3 className="text-sm font-medium text-gray-500">Duration</h3>
-                <div className="mt-1 space-y-1">
-                  <div className="flex items-center gap-2">
-                    <Calendar className="h-5 w-5 text-gray-400" />
-                    <span>{new Date(job.scheduledStartDate).toLocaleDateString()}</span>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <Clock className="h-5 w-5 text-gray-400" />
-                    <span>
-                      {new Date(job.scheduledStartDate).toLocaleTimeString()} - {new Date(job.scheduledEndDate).toLocaleTimeString()}
-                    </span>
-                  </div>
+                <h3 className="text-sm font-medium text-gray-500">Work on site</h3>
+                <div className="mt-1 flex items-center gap-2">
+                  <Calendar className="h-5 w-5 text-gray-400" />
+                  <span>
+                    {formatDate(job.actualStartDate || job.scheduledStartDate)} - {formatDate(job.actualEndDate || job.scheduledEndDate)}
+                  </span>
                 </div>
               </div>
 
               <div>
                 <h3 className="text-sm font-medium text-gray-500">Status</h3>
                 <div className="mt-1">
-                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-success-100 text-success-800">
-                    Completed
-                  </span>
+                  <StatusBadge status={job.status} />
                 </div>
               </div>
             </div>
@@ -253,6 +389,55 @@ export function JobSummaryFeedback() {
         </CardContent>
       </Card>
 
+      {/* Hours Worked */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Hours Worked</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {!hoursSummary || hoursSummary.logs === 0 ? (
+            <p className="text-gray-500 text-center py-4">No logbook entries for this job</p>
+          ) : (
+            <div className="space-y-3">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 pr-4 font-medium">Crane</th>
+                    <th className="py-1 pr-4 font-medium text-right">Days</th>
+                    <th className="py-1 pr-4 font-medium text-right">Worked</th>
+                    <th className="py-1 pr-4 font-medium text-right">Billable</th>
+                    <th className="py-1 font-medium text-right">Breakdown</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {hoursSummary.cranes.map(crane => (
+                    <tr key={crane.equipmentId} className="border-t border-gray-100">
+                      <td className="py-1 pr-4">{crane.name}</td>
+                      <td className="py-1 pr-4 text-right">{crane.days}</td>
+                      <td className="py-1 pr-4 text-right">{crane.workedHours} h</td>
+                      <td className="py-1 pr-4 text-right">{crane.billableHours} h</td>
+                      <td className="py-1 text-right">{crane.breakdownHours} h</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t border-gray-300 font-medium">
+                    <td className="py-1 pr-4">Total</td>
+                    <td className="py-1 pr-4 text-right">{hoursSummary.days}</td>
+                    <td className="py-1 pr-4 text-right">{hoursSummary.workedHours} h</td>
+                    <td className="py-1 pr-4 text-right">{hoursSummary.billableHours} h</td>
+                    <td className="py-1 text-right">{hoursSummary.breakdownHours} h</td>
+                  </tr>
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500">
+                {formatDate(hoursSummary.firstDate)} - {formatDate(hoursSummary.lastDate)} · {hoursSummary.dieselLitres} L diesel
+                {hoursSummary.unsignedLogs > 0 && ` · ${hoursSummary.unsignedLogs} log(s) not signed by the site supervisor`}
+                {isSigned ? ' · as at customer sign-off' : ' · live from the logbook'}
+              </p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Safety Observations */}
       <Card>
         <CardHeader>
@@ -272,6 +457,7 @@ export function JobSummaryFeedback() {
                         ? 'border-success-500 bg-success-500'
                         : 'border-gray-300'
                     }`}
+                    disabled={!canEdit}
                     onClick={() => handleSafetyCheckToggle(check.id)}
                   >
                     {check.checked && (
@@ -289,54 +475,241 @@ export function JobSummaryFeedback() {
               onChange={(e) => setSafetyNotes(e.target.value)}
               placeholder="Enter any additional safety observations..."
               rows={4}
+              maxLength={5000}
+              disabled={!canEdit}
             />
           </div>
         </CardContent>
       </Card>
 
-      {/* Customer Feedback */}
+      {/* Incidents */}
       <Card>
         <CardHeader>
-          <div className="flex justify-between items-center">
-            <CardTitle>Customer Feedback</CardTitle>
-            <Button
-              variant="outline"
-              leftIcon={<Send size={16} />}
-              onClick={handleSendFeedbackRequest}
-            >
-              Request Feedback
-            </Button>
+          <CardTitle>Incidents</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            {incidents.length === 0 ? (
+              <p className="text-gray-500 text-sm">No incidents recorded</p>
+            ) : (
+              <ul className="space-y-2">
+                {incidents.map((incident, index) => (
+                  <li key={index} className="flex justify-between gap-3 rounded-md border border-gray-200 p-3 text-sm">
+                    <div>
+                      <p className="font-medium">
+                        {INCIDENT_SEVERITY_LABELS[incident.severity]}
+                        {incident.occurredAt && ` · ${format(new Date(incident.occurredAt), 'MMM d, yyyy h:mm a')}`}
+                      </p>
+                      <p className="text-gray-700">{incident.description}</p>
+                      {incident.actionTaken && <p className="text-gray-500">Action taken: {incident.actionTaken}</p>}
+                    </div>
+                    {canEdit && (
+                      <button
+                        type="button"
+                        aria-label="Remove incident"
+                        className="text-gray-400 hover:text-red-600"
+                        onClick={() => setIncidents(prev => prev.filter((_, i) => i !== index))}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {canEdit && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 border-t border-gray-100 pt-4">
+                <Select
+                  label="Severity"
+                  value={newIncident.severity}
+                  options={Object.entries(INCIDENT_SEVERITY_LABELS).map(([value, label]) => ({ value, label }))}
+                  onChange={(value) => setNewIncident(prev => ({ ...prev, severity: value as IncidentSeverity }))}
+                />
+                <FormInput
+                  type="datetime-local"
+                  label="When"
+                  value={newIncident.occurredAt}
+                  onChange={(e) => setNewIncident(prev => ({ ...prev, occurredAt: e.target.value }))}
+                />
+                <div className="md:col-span-2">
+                  <TextArea
+                    label="What happened"
+                    rows={2}
+                    maxLength={5000}
+                    value={newIncident.description}
+                    onChange={(e) => setNewIncident(prev => ({ ...prev, description: e.target.value }))}
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <TextArea
+                    label="Action taken"
+                    rows={2}
+                    maxLength={5000}
+                    value={newIncident.actionTaken}
+                    onChange={(e) => setNewIncident(prev => ({ ...prev, actionTaken: e.target.value }))}
+                  />
+                </div>
+                <div className="md:col-span-2 flex justify-end">
+                  <Button variant="outline" size="sm" leftIcon={<Plus size={14} />} onClick={handleAddIncident}>
+                    Add Incident
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Site Photos */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Site Photos</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            {(report?.photos || []).length === 0 ? (
+              <p className="text-gray-500 text-sm">No photos added</p>
+            ) : (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {report!.photos.map(photo => (
+                  <figure key={photo.id} className="space-y-1">
+                    {photoUrls[photo.id] ? (
+                      <a href={photoUrls[photo.id]} target="_blank" rel="noreferrer">
+                        <img src={photoUrls[photo.id]} alt={photo.caption || photo.fileName || 'Site photo'} className="h-32 w-full rounded-md object-cover" />
+                      </a>
+                    ) : (
+                      <div className="h-32 w-full rounded-md bg-gray-100" />
+                    )}
+                    <figcaption className="flex justify-between gap-2 text-xs text-gray-600">
+                      <span>{photo.caption || photo.fileName}</span>
+                      {canEdit && (
+                        <button type="button" aria-label="Delete photo" className="text-gray-400 hover:text-red-600" onClick={() => handleDeletePhoto(photo.id)}>
+                          <Trash2 size={14} />
+                        </button>
+                      )}
+                    </figcaption>
+                  </figure>
+                ))}
+              </div>
+            )}
+
+            {canEdit && (
+              <div className="flex flex-col md:flex-row md:items-end gap-3">
+                <div className="flex-1">
+                  <FormInput
+                    label="Caption"
+                    maxLength={255}
+                    value={photoCaption}
+                    onChange={(e) => setPhotoCaption(e.target.value)}
+                  />
+                </div>
+                <label className={`mb-3 sm:mb-4 inline-flex items-center gap-2 rounded-md border border-gray-300 px-3 py-2 text-sm ${isSaving ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'}`}>
+                  <Camera size={16} />
+                  Add Photo
+                  <input type="file" accept="image/*" capture="environment" className="hidden" disabled={isSaving} onChange={handlePhotoSelected} />
+                </label>
+              </div>
+            )}
           </div>
+        </CardContent>
+      </Card>
+
+      {/* Work Summary and our sign-off */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Work Summary</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <TextArea
+              label="Work done"
+              value={workSummary}
+              onChange={(e) => setWorkSummary(e.target.value)}
+              placeholder="Lifts carried out, loads handled, anything left for the customer..."
+              rows={4}
+              maxLength={5000}
+              disabled={!canEdit}
+            />
+            <FormInput
+              label="Site in-charge"
+              maxLength={100}
+              value={completedByName}
+              onChange={(e) => setCompletedByName(e.target.value)}
+              disabled={!canEdit}
+            />
+            {completedBySignature ? (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Site in-charge signature</span>
+                <img src={completedBySignature} alt="Site in-charge signature" className="h-24 border border-gray-200 rounded-md bg-white" />
+                {canEdit && (
+                  <button type="button" onClick={() => setCompletedBySignature(null)} className="mt-1 text-sm text-blue-600 hover:underline">
+                    Sign again
+                  </button>
+                )}
+              </div>
+            ) : canEdit && (
+              <SignaturePad label="Site in-charge signature" onChange={setCompletedBySignature} />
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Customer Feedback */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Customer Feedback</CardTitle>
         </CardHeader>
         <CardContent>
-          {feedback ? (
+          {isSigned && report ? (
             <div className="space-y-4">
               <div className="flex items-center gap-2">
-                <div className="flex">
-                  {[1, 2, 3, 4, 5].map((star) => (
-                    <svg
-                      key={star}
-                      className={`h-5 w-5 ${
-                        star <= feedback.rating
-                          ? 'text-warning-400'
-                          : 'text-gray-300'
-                      }`}
-                      fill="currentColor"
-                      viewBox="0 0 20 20"
-                    >
-                      <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                    </svg>
-                  ))}
-                </div>
-                <span className="text-lg font-medium">{feedback.rating}</span>
+                <RatingStars rating={report.customerRating || 0} />
+                <span className="text-lg font-medium">{report.customerRating}</span>
               </div>
 
-              <p className="text-gray-600">{feedback.comments}</p>
+              {report.customerComments && <p className="text-gray-600">{report.customerComments}</p>}
 
+              {report.customerSignature && (
+                <img src={report.customerSignature} alt="Customer signature" className="h-24 border border-gray-200 rounded-md bg-white" />
+              )}
               <p className="text-sm text-gray-500">
-                Submitted on {new Date(feedback.submittedAt).toLocaleDateString()}
+                Signed by {report.customerSignatory} on {format(new Date(report.customerSignedAt!), 'MMM d, yyyy h:mm a')}
               </p>
             </div>
+          ) : canEdit ? (
+            <div className="space-y-4">
+              <FormInput
+                label="Customer representative"
+                required
+                maxLength={100}
+                value={customerSignatory}
+                onChange={(e) => setCustomerSignatory(e.target.value)}
+              />
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">How satisfied is the customer with the job?</span>
+                <RatingStars rating={customerRating} onSelect={setCustomerRating} />
+              </div>
+              <TextArea
+                label="Comments"
+                rows={3}
+                maxLength={5000}
+                value={customerComments}
+                onChange={(e) => setCustomerComments(e.target.value)}
+              />
+              <SignaturePad label="Customer signature" onChange={setCustomerSignature} />
+              <p className="text-xs text-gray-500">
+                By signing the customer confirms the work and hours above. The report cannot be changed afterwards.
+              </p>
+              <div className="flex justify-end">
+                <Button
+                  disabled={isSaving || !customerSignatory.trim() || customerRating === 0 || !customerSignature}
+                  onClick={handleCustomerSignOff}
+                >
+                  Customer Sign-Off
+                </Button>
+              </div>
+            </div>
           ) : (
             <p className="text-gray-500 text-center py-4">
               No feedback received yet
@@ -409,4 +782,4 @@ export function JobSummaryFeedback() {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,284 +1,279 @@
-import React, { useState, useEffect } from 'react';
-import { 
-  Calendar, 
-  CheckCircle2, 
-  Clock, 
-  MapPin, 
-  Truck, 
-  UserCircle, 
-  XCircle 
+import { useState, useEffect } from 'react';
+import { format, startOfWeek, subDays } from 'date-fns';
+import {
+  Calendar,
+  Clock,
+  MapPin,
+  PenLine,
+  Pencil,
+  Plus,
+  Trash2,
+  Truck,
 } from 'lucide-react';
 import { StatCard } from '../components/dashboard/StatCard';
 import { Card, CardHeader, CardTitle, CardContent } from '../components/common/Card';
 import { Button } from '../components/common/Button';
-import { StatusBadge } from '../components/common/StatusBadge';
-import { getJobsByOperator, getEquipmentById } from '../services/jobService';
-import { useAuthStore } from '../store/authStore';
-import { Job, Equipment } from '../types/job';
+import { Badge } from '../components/common/Badge';
 import { Toast } from '../components/common/Toast';
+import { JobLogForm } from '../components/logbook/JobLogForm';
+import { SupervisorSignOff } from '../components/logbook/SupervisorSignOff';
+import { useAuthStore } from '../store/authStore';
+import { JobLog, LogAssignment, deleteJobLog, getJobLogs, getLogAssignments } from '../services/jobLogs';
+import { JOB_STATUS_LABELS } from '../services/job';
+import { JobStatus } from '../types/job';
+
+// Logs shown on the page go back this many days
+const RECENT_DAYS = 14;
 
+type Panel =
+  | { type: 'new'; jobId?: string }
+  | { type: 'edit'; log: JobLog }
+  | { type: 'sign'; log: JobLog };
+
+const formatDay = (value: string) => format(new Date(`${value}T00:00:00`), 'EEE dd MMM');
+
+// Daily crane logbook: operators log their shifts on their phone and hand it
+// to the site supervisor to sign; managers can log for any operator
 export function OperatorDashboard() {
   const { user } = useAuthStore();
-  const [jobs, setJobs] = useState<Job[]>([]);
-  const [equipment, setEquipment] = useState<Record<string, Equipment>>({});
+  const [assignments, setAssignments] = useState<LogAssignment[]>([]);
+  const [operatorId, setOperatorId] = useState<string | null>(null);
+  const [logs, setLogs] = useState<JobLog[]>([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [panel, setPanel] = useState<Panel | null>(null);
   const [toast, setToast] = useState<{
     show: boolean;
     title: string;
-    description?: string;
-    variant?: 'success' | 'error' | 'warning' | 'info';
+    variant?: 'success' | 'error' | 'warning';
   }>({ show: false, title: '' });
-  
+
+  const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success') => {
+    setToast({ show: true, title, variant });
+    setTimeout(() => setToast({ show: false, title: '' }), 3000);
+  };
+
+  const fetchData = async () => {
+    try {
+      const [assignmentData, logData] = await Promise.all([
+        getLogAssignments(),
+        getJobLogs({ from: format(subDays(new Date(), RECENT_DAYS), 'yyyy-MM-dd') }),
+      ]);
+      setAssignments(assignmentData.assignments);
+      setOperatorId(assignmentData.operatorId);
+      setLogs(logData);
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch logbook', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   useEffect(() => {
-    const fetchData = async () => {
-      if (!user) return;
-      
-      try {
-        const jobsData = await getJobsByOperator(user.id);
-        setJobs(jobsData);
-        
-        // Fetch equipment for each job
-        const equipmentData: Record<string, Equipment> = {};
-        for (const job of jobsData) {
-          if (!equipmentData[job.equipmentId]) {
-            const equipmentInfo = await getEquipmentById(job.equipmentId);
-            if (equipmentInfo) {
-              equipmentData[job.equipmentId] = equipmentInfo;
-            }
-          }
-        }
-        setEquipment(equipmentData);
-      } catch (error) {
-        console.error('Error fetching operator data:', error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-    
-    fetchData();
+    if (user) fetchData();
   }, [user]);
-  
-  const handleJobAction = (jobId: string, action: 'accept' | 'reject' | 'complete') => {
-    setJobs(prev => 
-      prev.map(job => 
-        job.id === jobId 
-          ? { 
-              ...job, 
-              status: action === 'accept' 
-                ? 'accepted' 
-                : action === 'reject' 
-                  ? 'rejected' 
-                  : 'completed' 
-            }
-          : job
-      )
-    );
-    
-    // Show toast notification
-    setToast({
-      show: true,
-      title: action === 'accept' 
-        ? 'Job Accepted' 
-        : action === 'reject' 
-          ? 'Job Rejected' 
-          : 'Job Completed',
-      description: `Job for ${jobs.find(j => j.id === jobId)?.customerName} has been ${action}ed.`,
-      variant: action === 'reject' ? 'warning' : 'success',
-    });
-    
-    // Hide toast after 3 seconds
-    setTimeout(() => {
-      setToast(prev => ({ ...prev, show: false }));
-    }, 3000);
+
+  const handleSaved = (log: JobLog) => {
+    setPanel({ type: 'sign', log });
+    fetchData();
+  };
+
+  const handleSigned = () => {
+    setPanel(null);
+    fetchData();
+  };
+
+  const handleDelete = async (log: JobLog) => {
+    if (!window.confirm(`Delete the log of ${log.equipmentName} on ${formatDay(log.logDate)}?`)) return;
+    try {
+      await deleteJobLog(log.id);
+      showToast('Log deleted', 'success');
+      fetchData();
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to delete log', 'error');
+    }
   };
-  
-  // Count jobs by status
-  const scheduledJobsCount = jobs.filter(job => job.status === 'scheduled').length;
-  const acceptedJobsCount = jobs.filter(job => job.status === 'accepted').length;
-  const completedJobsCount = jobs.filter(job => job.status === 'completed').length;
-  
-  // Get upcoming jobs (scheduled or accepted)
-  const upcomingJobs = jobs.filter(job => 
-    job.status === 'scheduled' || job.status === 'accepted'
-  ).sort((a, b) => new Date(a.startDate).getTime() - new Date(b.startDate).getTime());
-  
+
+  const weekStart = format(startOfWeek(new Date(), { weekStartsOn: 1 }), 'yyyy-MM-dd');
+  const hoursThisWeek = logs
+    .filter(log => log.logDate >= weekStart)
+    .reduce((sum, log) => sum + log.workedHours, 0);
+  const awaitingSignOff = logs.filter(log => !log.signedAt).length;
+
   if (isLoading) {
-    return <div className="flex justify-center py-10">Loading dashboard...</div>;
+    return <div className="flex justify-center py-10">Loading logbook...</div>;
   }
-  
+
+  if (panel) {
+    return (
+      <div className="max-w-xl mx-auto">
+        <Card>
+          <CardHeader>
+            <CardTitle>
+              {panel.type === 'sign' ? 'Site Supervisor Sign-Off' : panel.type === 'edit' ? 'Edit Log' : 'Log Work'}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {panel.type === 'sign' ? (
+              <SupervisorSignOff
+                log={panel.log}
+                onSigned={handleSigned}
+                onCancel={() => setPanel(null)}
+                onMessage={showToast}
+              />
+            ) : (
+              <JobLogForm
+                assignments={assignments}
+                operatorId={operatorId}
+                log={panel.type === 'edit' ? panel.log : null}
+                defaultJobId={panel.type === 'new' ? panel.jobId : undefined}
+                onSaved={handleSaved}
+                onCancel={() => setPanel(null)}
+                onMessage={showToast}
+              />
+            )}
+          </CardContent>
+        </Card>
+        <Toast
+          title={toast.title}
+          variant={toast.variant}
+          isVisible={toast.show}
+          onClose={() => setToast({ show: false, title: '' })}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <StatCard
-          title="Scheduled Jobs"
-          value={scheduledJobsCount}
+          title="Open Jobs"
+          value={assignments.length}
           icon={<Calendar className="h-5 w-5 text-primary-600" />}
           variant="primary"
         />
         <StatCard
-          title="Accepted Jobs"
-          value={acceptedJobsCount}
-          icon={<CheckCircle2 className="h-5 w-5 text-success-600" />}
+          title="Hours This Week"
+          value={Math.round(hoursThisWeek * 10) / 10}
+          icon={<Clock className="h-5 w-5 text-success-600" />}
           variant="success"
         />
         <StatCard
-          title="Completed Jobs"
-          value={completedJobsCount}
-          icon={<Clock className="h-5 w-5 text-secondary-600" />}
+          title="Awaiting Sign-Off"
+          value={awaitingSignOff}
+          icon={<PenLine className="h-5 w-5 text-secondary-600" />}
           variant="secondary"
         />
       </div>
-      
+
       <Card>
         <CardHeader>
-          <CardTitle>Upcoming Jobs</CardTitle>
+          <CardTitle>{operatorId ? 'My Jobs' : 'Open Jobs'}</CardTitle>
         </CardHeader>
         <CardContent>
-          {upcomingJobs.length === 0 ? (
-            <p className="text-gray-500 text-center py-4">No upcoming jobs</p>
+          {assignments.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No scheduled or running jobs</p>
           ) : (
-            <div className="space-y-4">
-              {upcomingJobs.map((job) => (
-                <Card key={job.id} variant="bordered" className="overflow-hidden">
-                  <div className="flex flex-col md:flex-row">
-                    <div className="p-4 md:p-6 flex-1">
-                      <div className="flex justify-between">
-                        <h3 className="text-lg font-semibold">{job.customerName}</h3>
-                        <StatusBadge status={job.status} />
-                      </div>
-                      
-                      <div className="mt-4 space-y-2">
-                        <div className="flex items-center text-sm text-gray-600">
-                          <Truck className="mr-2 h-4 w-4 text-gray-400" />
-                          <span>{equipment[job.equipmentId]?.name || 'Equipment'}</span>
-                        </div>
-                        
-                        <div className="flex items-center text-sm text-gray-600">
-                          <MapPin className="mr-2 h-4 w-4 text-gray-400" />
-                          <span>{job.location}</span>
-                        </div>
-                        
-                        <div className="flex items-center text-sm text-gray-600">
-                          <Calendar className="mr-2 h-4 w-4 text-gray-400" />
-                          <span>
-                            {new Date(job.startDate).toLocaleDateString()} - {new Date(job.endDate).toLocaleDateString()}
-                          </span>
-                        </div>
-                        
-                        <div className="flex items-center text-sm text-gray-600">
-                          <Clock className="mr-2 h-4 w-4 text-gray-400" />
-                          <span>
-                            {new Date(job.startDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - 
-                            {new Date(job.endDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                          </span>
-                        </div>
-                      </div>
+            <div className="space-y-3">
+              {assignments.map(assignment => (
+                <Card key={assignment.jobId} variant="bordered" className="p-4">
+                  <div className="flex justify-between gap-2">
+                    <h3 className="font-semibold">{assignment.customerName}</h3>
+                    <Badge variant={assignment.status === 'scheduled' ? 'default' : 'success'}>
+                      {JOB_STATUS_LABELS[assignment.status as JobStatus] || assignment.status}
+                    </Badge>
+                  </div>
+                  <div className="mt-2 space-y-1 text-sm text-gray-600">
+                    <div className="flex items-center">
+                      <Truck className="mr-2 h-4 w-4 text-gray-400 shrink-0" />
+                      <span>{assignment.equipment.map(item => item.name).join(', ') || 'No crane assigned'}</span>
                     </div>
-                    
-                    <div className="border-t md:border-t-0 md:border-l border-gray-200 p-4 bg-gray-50 flex flex-row md:flex-col justify-center space-x-2 md:space-x-0 md:space-y-2">
-                      {job.status === 'scheduled' && (
-                        <>
-                          <Button
-                            variant="success"
-                            size="sm"
-                            leftIcon={<CheckCircle2 size={16} />}
-                            onClick={() => handleJobAction(job.id, 'accept')}
-                          >
-                            Accept
-                          </Button>
-                          <Button
-                            variant="destructive"
-                            size="sm"
-                            leftIcon={<XCircle size={16} />}
-                            onClick={() => handleJobAction(job.id, 'reject')}
-                          >
-                            Reject
-                          </Button>
-                        </>
-                      )}
-                      
-                      {job.status === 'accepted' && (
-                        <Button
-                          variant="secondary"
-                          size="sm"
-                          leftIcon={<CheckCircle2 size={16} />}
-                          onClick={() => handleJobAction(job.id, 'complete')}
-                        >
-                          Mark Complete
-                        </Button>
-                      )}
-                      
-                      {job.status === 'completed' && (
-                        <p className="text-sm text-gray-500 italic">Completed</p>
-                      )}
+                    <div className="flex items-center">
+                      <MapPin className="mr-2 h-4 w-4 text-gray-400 shrink-0" />
+                      <span>{assignment.location}</span>
+                    </div>
+                    <div className="flex items-center">
+                      <Calendar className="mr-2 h-4 w-4 text-gray-400 shrink-0" />
+                      <span>
+                        {new Date(assignment.scheduledStartDate).toLocaleDateString()} - {new Date(assignment.scheduledEndDate).toLocaleDateString()}
+                      </span>
                     </div>
                   </div>
+                  <Button
+                    className="mt-3"
+                    size="sm"
+                    fullWidth
+                    leftIcon={<Plus size={16} />}
+                    disabled={assignment.equipment.length === 0}
+                    onClick={() => setPanel({ type: 'new', jobId: assignment.jobId })}
+                  >
+                    Log Work
+                  </Button>
                 </Card>
               ))}
             </div>
           )}
         </CardContent>
       </Card>
-      
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        <Card>
-          <CardHeader>
-            <CardTitle>Equipment Assignment</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="space-y-4">
-              {Object.values(equipment).map((item) => (
-                <div key={item.id} className="flex items-start p-3 border rounded-md">
-                  <Truck className="h-5 w-5 text-gray-500 mr-3 mt-1" />
-                  <div>
-                    <h4 className="font-medium text-gray-900">{item.name}</h4>
-                    <p className="text-sm text-gray-500 mt-1">{item.description}</p>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent Logs</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {logs.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">Nothing logged in the last {RECENT_DAYS} days</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {logs.map(log => (
+                <div key={log.id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                  <div className="text-sm">
+                    <div className="font-medium text-gray-900">
+                      {formatDay(log.logDate)} · {log.equipmentName}
+                      {log.isSunday && <span className="ml-2 text-xs text-warning-600">Sunday</span>}
+                    </div>
+                    <div className="text-gray-500">
+                      {log.customerName}{!operatorId && ` · ${log.operatorName}`} · {log.startTime} - {log.endTime} · {log.workedHours} h
+                      {log.breakdownHours > 0 && ` (${log.breakdownHours} h breakdown)`}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    {log.signedAt ? (
+                      <Badge variant="success">Signed by {log.supervisorName}</Badge>
+                    ) : (
+                      <>
+                        <Badge variant="warning">Awaiting sign-off</Badge>
+                        <Button variant="ghost" size="sm" title="Sign off" onClick={() => setPanel({ type: 'sign', log })}>
+                          <PenLine className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" title="Edit" onClick={() => setPanel({ type: 'edit', log })}>
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title="Delete"
+                          className="text-error-600 hover:text-error-700 hover:bg-error-50"
+                          onClick={() => handleDelete(log)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </>
+                    )}
                   </div>
                 </div>
               ))}
-              
-              {Object.keys(equipment).length === 0 && (
-                <p className="text-gray-500 text-center py-4">No equipment assigned</p>
-              )}
             </div>
-          </CardContent>
-        </Card>
-        
-        <Card>
-          <CardHeader>
-            <CardTitle>Operator Information</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="flex items-center p-4 bg-gray-50 rounded-md">
-              <div className="mr-4">
-                <UserCircle className="h-16 w-16 text-gray-400" />
-              </div>
-              <div>
-                <h3 className="font-medium text-lg">{user?.name}</h3>
-                <p className="text-gray-500">{user?.email}</p>
-                <p className="text-gray-500 mt-1">Specialization: Mobile & Tower Cranes</p>
-                <p className="text-gray-500">License: #CR-2023-456</p>
-              </div>
-            </div>
-            
-            <div className="mt-4">
-              <Button variant="outline" size="sm" fullWidth>
-                Update Profile
-              </Button>
-            </div>
-          </CardContent>
-        </Card>
-      </div>
-      
-      {toast.show && (
-        <Toast
-          title={toast.title}
-          description={toast.description}
-          variant={toast.variant}
-          isVisible={toast.show}
-          onClose={() => setToast(prev => ({ ...prev, show: false }))}
-        />
-      )}
+          )}
+        </CardContent>
+      </Card>
+
+      <Toast
+        title={toast.title}
+        variant={toast.variant}
+        isVisible={toast.show}
+        onClose={() => setToast({ show: false, title: '' })}
+      />
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,321 @@
+import { useEffect, useState } from 'react';
+import { Award, Plus, RefreshCw } from 'lucide-react';
+import { Card, CardContent } from '../components/common/Card';
+import { Button } from '../components/common/Button';
+import { Badge } from '../components/common/Badge';
+import { FormInput } from '../components/common/FormInput';
+import { Modal } from '../components/common/Modal';
+import { Toast } from '../components/common/Toast';
+import { OperatorCertifications } from '../components/operators/OperatorCertifications';
+import { useAuthStore } from '../store/authStore';
+import { getAllOperators } from '../services/job';
+import { Operator } from '../types/job';
+import { CraneCategory } from '../types/equipment';
+import {
+  CertificationType,
+  OperatorCertification,
+  createCertificationType,
+  getCertificationTypes,
+  getOperatorCertifications,
+  updateCertificationType,
+} from '../services/operatorCertifications';
+
+const CATEGORY_LABELS: Record<CraneCategory, string> = {
+  mobile_crane: 'Mobile Crane',
+  tower_crane: 'Tower Crane',
+  crawler_crane: 'Crawler Crane',
+  pick_and_carry_crane: 'Pick & Carry Crane',
+};
+
+// Certifications expiring within this many days are flagged
+const EXPIRING_DAYS = 30;
+
+const emptyTypeForm = {
+  name: '',
+  issuingBody: '',
+  equipmentCategories: [] as CraneCategory[],
+  maxCapacityTons: '',
+  validityMonths: '',
+};
+
+const describeCoverage = (type: CertificationType) => {
+  if (type.equipmentCategories.length === 0) return 'Not a crane qualification';
+  const categories = type.equipmentCategories.map(category => CATEGORY_LABELS[category]).join(', ');
+  return type.maxCapacityTons ? `${categories} up to ${type.maxCapacityTons} t` : `${categories}, any capacity`;
+};
+
+export function Operators() {
+  const { user } = useAuthStore();
+  const isAdmin = user?.role === 'admin';
+  const [operators, setOperators] = useState<Operator[]>([]);
+  const [certifications, setCertifications] = useState<OperatorCertification[]>([]);
+  const [certificationTypes, setCertificationTypes] = useState<CertificationType[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedOperator, setSelectedOperator] = useState<Operator | null>(null);
+  const [showTypeForm, setShowTypeForm] = useState(false);
+  const [typeForm, setTypeForm] = useState(emptyTypeForm);
+  const [toast, setToast] = useState<{
+    show: boolean;
+    title: string;
+    variant?: 'success' | 'error' | 'warning';
+  }>({ show: false, title: '' });
+
+  const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success') => {
+    setToast({ show: true, title, variant });
+    setTimeout(() => setToast({ show: false, title: '' }), 3000);
+  };
+
+  const fetchData = async () => {
+    try {
+      const [operatorData, certificationData, typeData] = await Promise.all([
+        getAllOperators(),
+        getOperatorCertifications(),
+        getCertificationTypes(true),
+      ]);
+      setOperators(operatorData);
+      setCertifications(certificationData);
+      setCertificationTypes(typeData);
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to fetch operators', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const handleCreateType = async () => {
+    try {
+      await createCertificationType({
+        name: typeForm.name,
+        issuingBody: typeForm.issuingBody || undefined,
+        equipmentCategories: typeForm.equipmentCategories,
+        maxCapacityTons: typeForm.maxCapacityTons ? Number(typeForm.maxCapacityTons) : null,
+        validityMonths: typeForm.validityMonths ? Number(typeForm.validityMonths) : null,
+      });
+      showToast('Certification type created', 'success');
+      setTypeForm(emptyTypeForm);
+      setShowTypeForm(false);
+      await fetchData();
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to create certification type', 'error');
+    }
+  };
+
+  const handleToggleType = async (type: CertificationType) => {
+    try {
+      await updateCertificationType(type.id, { isActive: !type.isActive });
+      await fetchData();
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to update certification type', 'error');
+    }
+  };
+
+  const toggleCategory = (category: CraneCategory) => {
+    setTypeForm(prev => ({
+      ...prev,
+      equipmentCategories: prev.equipmentCategories.includes(category)
+        ? prev.equipmentCategories.filter(item => item !== category)
+        : [...prev.equipmentCategories, category],
+    }));
+  };
+
+  const certificationBadge = (certification: OperatorCertification) => {
+    if (certification.isExpired) return 'error';
+    if (certification.daysLeft !== null && certification.daysLeft <= EXPIRING_DAYS) return 'warning';
+    return 'success';
+  };
+
+  return (
+    <div className="space-y-4 p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold text-gray-900">Operators</h1>
+          <p className="text-sm text-gray-500">Licences and certifications, checked against the cranes operators are assigned to</p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchData} leftIcon={<RefreshCw size={14} />}>
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardContent>
+          {isLoading ? (
+            <div className="py-10 text-center text-gray-500">Loading operators...</div>
+          ) : operators.length === 0 ? (
+            <div className="py-10 text-center text-gray-500">No operators found.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Operator</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Specialisation</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Certifications</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {operators.map(operator => {
+                    const held = certifications.filter(certification => certification.operatorId === operator.id);
+                    return (
+                      <tr key={operator.id}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium text-gray-900">{operator.name}</div>
+                          <div className="text-xs text-gray-500">{operator.phone}</div>
+                        </td>
+                        <td className="px-3 py-2 text-gray-600">{operator.specialization || '-'}</td>
+                        <td className="px-3 py-2">
+                          <div className="flex flex-wrap gap-1">
+                            {held.length === 0 ? (
+                              <span className="text-gray-400">None recorded</span>
+                            ) : (
+                              held.map(certification => (
+                                <Badge key={certification.id} variant={certificationBadge(certification)}>
+                                  {certification.certificationTypeName}
+                                </Badge>
+                              ))
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            leftIcon={<Award className="h-4 w-4" />}
+                            onClick={() => setSelectedOperator(operator)}
+                          >
+                            Certifications
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="font-medium text-gray-900">Certification types</h2>
+            {isAdmin && (
+              <Button variant="ghost" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setShowTypeForm(!showTypeForm)}>
+                Add Type
+              </Button>
+            )}
+          </div>
+          {showTypeForm && (
+            <div className="grid grid-cols-2 gap-3 p-3 mb-4 bg-gray-50 rounded-md">
+              <FormInput
+                label="Name"
+                value={typeForm.name}
+                onChange={(e) => setTypeForm({ ...typeForm, name: e.target.value })}
+                required
+              />
+              <FormInput
+                label="Issuing body"
+                value={typeForm.issuingBody}
+                onChange={(e) => setTypeForm({ ...typeForm, issuingBody: e.target.value })}
+              />
+              <FormInput
+                label="Up to capacity (t, blank for any)"
+                type="number"
+                min="1"
+                value={typeForm.maxCapacityTons}
+                onChange={(e) => setTypeForm({ ...typeForm, maxCapacityTons: e.target.value })}
+              />
+              <FormInput
+                label="Usual validity (months)"
+                type="number"
+                min="1"
+                value={typeForm.validityMonths}
+                onChange={(e) => setTypeForm({ ...typeForm, validityMonths: e.target.value })}
+              />
+              <div className="col-span-2">
+                <div className="text-sm font-medium text-gray-700 mb-1">Qualifies for</div>
+                <div className="flex flex-wrap gap-4">
+                  {(Object.keys(CATEGORY_LABELS) as CraneCategory[]).map(category => (
+                    <label key={category} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={typeForm.equipmentCategories.includes(category)}
+                        onChange={() => toggleCategory(category)}
+                      />
+                      {CATEGORY_LABELS[category]}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="col-span-2 flex justify-end gap-2">
+                <Button variant="outline" size="sm" onClick={() => setShowTypeForm(false)}>
+                  Cancel
+                </Button>
+                <Button size="sm" disabled={!typeForm.name} onClick={handleCreateType}>
+                  Save Type
+                </Button>
+              </div>
+            </div>
+          )}
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Certification</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Qualifies for</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Validity</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {certificationTypes.map(type => (
+                <tr key={type.id} className={type.isActive ? '' : 'text-gray-400'}>
+                  <td className="px-3 py-2">
+                    <div className="font-medium">{type.name}</div>
+                    <div className="text-xs text-gray-500">{type.issuingBody || ''}</div>
+                  </td>
+                  <td className="px-3 py-2">{describeCoverage(type)}</td>
+                  <td className="px-3 py-2">{type.validityMonths ? `${type.validityMonths} months` : '-'}</td>
+                  <td className="px-3 py-2 text-right">
+                    {isAdmin && (
+                      <Button variant="ghost" size="sm" onClick={() => handleToggleType(type)}>
+                        {type.isActive ? 'Retire' : 'Restore'}
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      <Modal
+        title={selectedOperator ? `Certifications - ${selectedOperator.name}` : 'Certifications'}
+        isOpen={!!selectedOperator}
+        onClose={() => setSelectedOperator(null)}
+        size="xl"
+      >
+        {selectedOperator && (
+          <OperatorCertifications
+            operator={selectedOperator}
+            certificationTypes={certificationTypes.filter(type => type.isActive)}
+            onChanged={fetchData}
+            onMessage={showToast}
+          />
+        )}
+      </Modal>
+
+      <Toast
+        title={toast.title}
+        variant={toast.variant}
+        isVisible={toast.show}
+        onClose={() => setToast({ show: false, title: '' })}
+      />
+    </div>
+  );
+}
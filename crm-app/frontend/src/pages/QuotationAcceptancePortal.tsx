@@ -0,0 +1,285 @@
+import { useEffect, useRef, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  getPublicQuotation,
+  getPublicQuotationPreviewUrl,
+  PublicQuotationSummary,
+  respondToPublicQuotation
+} from '../services/quotation';
+
+type SignatureMode = 'typed' | 'drawn';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }).format(amount || 0);
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString('en-IN') : '-');
+
+// Customer-facing page reached through a tokenized link; no login required
+export function QuotationAcceptancePortal() {
+  const { token = '' } = useParams<{ token: string }>();
+  const [summary, setSummary] = useState<PublicQuotationSummary | null>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [signerName, setSignerName] = useState('');
+  const [signerEmail, setSignerEmail] = useState('');
+  const [comment, setComment] = useState('');
+  const [signatureMode, setSignatureMode] = useState<SignatureMode>('typed');
+  const [typedSignature, setTypedSignature] = useState('');
+  const [hasDrawing, setHasDrawing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState<string | null>(null);
+
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const isDrawingRef = useRef(false);
+
+  useEffect(() => {
+    getPublicQuotation(token)
+      .then(setSummary)
+      .catch(error => setLoadError(error instanceof Error ? error.message : 'Failed to load quotation'));
+  }, [token]);
+
+  const getCanvasPoint = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  const handlePointerDown = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    const context = event.currentTarget.getContext('2d');
+    if (!context) return;
+    const { x, y } = getCanvasPoint(event);
+    event.currentTarget.setPointerCapture(event.pointerId);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.strokeStyle = '#111827';
+    context.beginPath();
+    context.moveTo(x, y);
+    isDrawingRef.current = true;
+  };
+
+  const handlePointerMove = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    if (!isDrawingRef.current) return;
+    const context = event.currentTarget.getContext('2d');
+    if (!context) return;
+    const { x, y } = getCanvasPoint(event);
+    context.lineTo(x, y);
+    context.stroke();
+    setHasDrawing(true);
+  };
+
+  const handlePointerUp = () => {
+    isDrawingRef.current = false;
+  };
+
+  const clearDrawing = () => {
+    const canvas = canvasRef.current;
+    canvas?.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+    setHasDrawing(false);
+  };
+
+  const handleRespond = async (decision: 'accepted' | 'rejected') => {
+    setSubmitError(null);
+    if (!signerName.trim()) {
+      setSubmitError('Please enter your full name');
+      return;
+    }
+
+    const signatureData = signatureMode === 'typed'
+      ? typedSignature.trim()
+      : (hasDrawing && canvasRef.current ? canvasRef.current.toDataURL('image/png') : '');
+    if (!signatureData) {
+      setSubmitError(signatureMode === 'typed' ? 'Please type your signature' : 'Please draw your signature');
+      return;
+    }
+
+    if (!window.confirm(`Are you sure you want to ${decision === 'accepted' ? 'accept' : 'reject'} this quotation?`)) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await respondToPublicQuotation(token, {
+        decision,
+        signerName: signerName.trim(),
+        signerEmail: signerEmail.trim() || undefined,
+        signatureType: signatureMode,
+        signatureData,
+        comment: comment.trim() || undefined
+      });
+      setSummary(prev => prev ? { ...prev, state: 'responded', acceptance: result } : prev);
+    } catch (error) {
+      setSubmitError(error instanceof Error ? error.message : 'Failed to submit your response');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+        <div className="bg-white rounded-lg shadow p-8 max-w-md text-center">
+          <h1 className="text-xl font-semibold text-red-600 mb-2">Quotation Unavailable</h1>
+          <p className="text-gray-600">{loadError}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!summary) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const { quotation, acceptance, state } = summary;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="bg-white rounded-lg shadow p-6 flex flex-wrap justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-semibold text-gray-900">Quotation {quotation.quotationNumber}</h1>
+            <p className="text-gray-600">{quotation.customerName} · Revision {quotation.revision}</p>
+          </div>
+          <div className="text-right">
+            <p className="text-2xl font-semibold text-gray-900">{formatCurrency(quotation.totalCost)}</p>
+            <p className="text-sm text-gray-600">Valid until {formatDate(quotation.validUntil)}</p>
+          </div>
+        </div>
+
+        {(state === 'open' || state === 'responded') && (
+          <iframe
+            src={getPublicQuotationPreviewUrl(token)}
+            title="Quotation"
+            className="w-full bg-white rounded-lg shadow border-0"
+            style={{ height: '80vh' }}
+          />
+        )}
+
+        {state === 'responded' && acceptance && (
+          <div className={`rounded-lg p-6 border ${acceptance.decision === 'accepted' ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+            <p className={`font-medium ${acceptance.decision === 'accepted' ? 'text-green-800' : 'text-red-800'}`}>
+              This quotation was {acceptance.decision} by {acceptance.signerName} on {new Date(acceptance.signedAt).toLocaleString('en-IN')}.
+            </p>
+            <p className="text-sm text-gray-600 mt-1">Thank you. Our team will be in touch shortly.</p>
+          </div>
+        )}
+
+        {state !== 'open' && state !== 'responded' && (
+          <div className="bg-orange-50 border border-orange-200 rounded-lg p-6">
+            <p className="text-orange-800">{summary.message}</p>
+          </div>
+        )}
+
+        {state === 'open' && (
+          <div className="bg-white rounded-lg shadow p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Your Response</h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Full name *</label>
+                <input
+                  value={signerName}
+                  onChange={(e) => setSignerName(e.target.value)}
+                  maxLength={100}
+                  className="w-full border border-gray-300 rounded-md p-2 text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={signerEmail}
+                  onChange={(e) => setSignerEmail(e.target.value)}
+                  maxLength={100}
+                  className="w-full border border-gray-300 rounded-md p-2 text-sm"
+                />
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center gap-4 mb-2">
+                <span className="text-sm font-medium text-gray-700">Signature *</span>
+                {(['typed', 'drawn'] as SignatureMode[]).map(mode => (
+                  <label key={mode} className="flex items-center gap-1 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      checked={signatureMode === mode}
+                      onChange={() => setSignatureMode(mode)}
+                    />
+                    {mode === 'typed' ? 'Type' : 'Draw'}
+                  </label>
+                ))}
+              </div>
+              {signatureMode === 'typed' ? (
+                <input
+                  value={typedSignature}
+                  onChange={(e) => setTypedSignature(e.target.value)}
+                  maxLength={100}
+                  placeholder="Type your name as your signature"
+                  className="w-full border border-gray-300 rounded-md p-2 text-2xl italic"
+                  style={{ fontFamily: "'Brush Script MT', 'Segoe Script', cursive" }}
+                />
+              ) : (
+                <div>
+                  <canvas
+                    ref={canvasRef}
+                    width={600}
+                    height={160}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerLeave={handlePointerUp}
+                    className="w-full border border-gray-300 rounded-md bg-white touch-none"
+                  />
+                  <button type="button" onClick={clearDrawing} className="mt-1 text-sm text-blue-600 hover:underline">
+                    Clear
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Comment</label>
+              <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                rows={3}
+                className="w-full border border-gray-300 rounded-md p-2 text-sm"
+              />
+            </div>
+
+            {submitError && <p className="text-sm text-red-600">{submitError}</p>}
+
+            <p className="text-xs text-gray-500">
+              By signing you confirm the quotation above. Your name, signature, IP address and the time of signing are recorded.
+            </p>
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                disabled={isSubmitting}
+                onClick={() => handleRespond('accepted')}
+                className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-50"
+              >
+                Accept Quotation
+              </button>
+              <button
+                type="button"
+                disabled={isSubmitting}
+                onClick={() => handleRespond('rejected')}
+                className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm font-medium disabled:opacity-50"
+              >
+                Reject
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -23,11 +23,17 @@ import { useAuthStore } from '../store/authStore';
 import { Deal } from '../types/deal';
 import { Equipment, OrderType, CraneCategory, BaseRates } from '../types/equipment';
 import { QuotationInputs } from '../types/quotation';
+import { Customer, GST_STATES } from '../types/customer';
 import { getDealById } from '../services/deal';
+import { getCustomerById } from '../services/api/customerService';
 import { getEquipment, getEquipmentByCategory } from '../services/equipment';
-import { createQuotation, updateQuotation, getQuotationById } from '../services/quotation';
+import { createQuotation, updateQuotation, getQuotationById, calculateQuotationPricing } from '../services/quotation';
 import { formatCurrency } from '../utils/formatters';
+import { EquipmentRecommendations } from '../components/quotations/EquipmentRecommendations';
+import { EquipmentRecommendation } from '../services/equipmentRecommendations';
+import { resolveRates } from '../services/rateCards';
 import { useQuotationConfig, useConfigChangeListener } from '../hooks/useQuotationConfig';
+import { SurchargeLine, SurchargeRule, getSurchargeRules, priceSurcharges } from '../services/surcharges';
 
 const SHIFT_OPTIONS = [
   { value: 'single', label: 'Single Shift' },
@@ -66,6 +72,14 @@ const OTHER_FACTORS = [
 ];
 
 
+// GST state code of the customer, from the GSTIN or else the state
+const getCustomerRegion = (customer: Customer | null): string | null => {
+  const gstinCode = customer?.gstin?.trim().slice(0, 2);
+  if (gstinCode && GST_STATES.some(state => state.code === gstinCode)) return gstinCode;
+  const state = customer?.state?.trim().toLowerCase();
+  if (!state) return null;
+  return GST_STATES.find(option => option.code === state.padStart(2, '0') || option.name.toLowerCase() === state)?.code || null;
+};
 
 interface SelectedMachine {
   id: string;
@@ -81,8 +95,10 @@ interface SelectedMachine {
 interface QuotationFormState extends QuotationInputs {
   version: number;
   createdBy: string;
-  status: 'draft' | 'sent' | 'accepted' | 'rejected';
+  status: 'draft' | 'pending_approval' | 'sent' | 'accepted' | 'rejected' | 'expired';
   selectedMachines: SelectedMachine[];
+  // Set on a loaded quotation; its rate cards are the ones in force that day
+  createdAt?: string;
   customerName?: string;
   customerContact?: {
     name?: string;
@@ -117,6 +133,11 @@ export function QuotationCreation() {
   const [isSaving, setIsSaving] = useState(false);
   const [selectedEquipmentBaseRate, setSelectedEquipmentBaseRate] = useState<number>(0);
   const [isLoadingExistingData, setIsLoadingExistingData] = useState(false);
+  const [surchargeRules, setSurchargeRules] = useState<SurchargeRule[]>([]);
+  const [customerRegion, setCustomerRegion] = useState<string | null>(null);
+  const [surchargeLines, setSurchargeLines] = useState<SurchargeLine[]>([]);
+  // Rates of the selected cranes from the customer's or list rate cards, by equipment id
+  const [cardRates, setCardRates] = useState<Record<string, BaseRates>>({});
 
   const [toast, setToast] = useState<{
     show: boolean;
@@ -148,7 +169,7 @@ export function QuotationCreation() {
     usage: 'normal',
     riskFactor: 'low',
     extraCharge: 0,
-    incidentalCharges: [],
+    surcharges: [],
     otherFactorsCharge: 0,
     billing: 'gst',
     includeGst: true,
@@ -164,11 +185,6 @@ export function QuotationCreation() {
     dealType: DEAL_TYPES[0].value,
     sundayWorking: 'no',
     // Custom amounts for this quotation (override config defaults)
-    customIncidentAmounts: {
-      incident1: null,
-      incident2: null,
-      incident3: null,
-    },
     customRiggerAmount: null,
     customHelperAmount: null,
   });
@@ -216,7 +232,52 @@ export function QuotationCreation() {
 
   useEffect(() => {
     calculateQuotation();
-  }, [formData, selectedEquipmentBaseRate]);
+  }, [formData, selectedEquipmentBaseRate, surchargeRules, customerRegion]);
+
+  useEffect(() => {
+    getSurchargeRules()
+      .then(setSurchargeRules)
+      .catch(error => console.error('Error loading surcharge rules:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!deal?.customerId) {
+      setCustomerRegion(null);
+      return;
+    }
+    getCustomerById(deal.customerId).then(customer => setCustomerRegion(getCustomerRegion(customer)));
+  }, [deal?.customerId]);
+
+  // Price the selected cranes from the rate cards the server will use: the
+  // customer's card, else the list card, in force on the quotation date
+  const selectedMachineIds = formData.selectedMachines.map(machine => machine.id).join(',');
+  useEffect(() => {
+    if (!selectedMachineIds) return;
+    let cancelled = false;
+    Promise.all(selectedMachineIds.split(',').map(equipmentId =>
+      resolveRates(equipmentId, deal?.customerId || undefined, formData.createdAt)
+        .then(resolved => [equipmentId, resolved.rates] as const)
+        .catch(error => {
+          console.error(`Error resolving rates for ${equipmentId}:`, error);
+          return null;
+        })
+    )).then(results => {
+      if (cancelled) return;
+      const resolved: Record<string, BaseRates> = Object.fromEntries(
+        results.filter((result): result is readonly [string, BaseRates] => result !== null)
+      );
+      setCardRates(prev => ({ ...prev, ...resolved }));
+      setFormData(prev => ({
+        ...prev,
+        selectedMachines: prev.selectedMachines.map(machine => resolved[machine.id]
+          ? { ...machine, baseRates: resolved[machine.id], baseRate: resolved[machine.id][prev.orderType] }
+          : machine)
+      }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedMachineIds, deal?.customerId, formData.createdAt]);
 
   // Force recalculation after component mounts and configuration is loaded
   useEffect(() => {
@@ -407,7 +468,11 @@ export function QuotationCreation() {
             usage: quotationToLoad.usage || 'normal',
             riskFactor: quotationToLoad.riskFactor || 'low',
             extraCharge: Number(quotationToLoad.extraCharge) || 0,
-            incidentalCharges: quotationToLoad.incidentalCharges || [],
+            // Stored lines become selections again; auto rules are re-evaluated
+            surcharges: (quotationToLoad.surcharges || []).map((line: any) => ({
+              ruleId: line.ruleId,
+              customAmount: line.customAmount ?? null
+            })),
             otherFactorsCharge: Number(quotationToLoad.otherFactorsCharge) || 0,
             billing: quotationToLoad.billing || 'gst',
             includeGst: quotationToLoad.includeGst !== undefined ? quotationToLoad.includeGst : true,
@@ -432,11 +497,6 @@ export function QuotationCreation() {
               designation: dealData?.customer?.designation || ''
             },
             // Load custom amounts from database - preserve as custom only if different from config default
-            customIncidentAmounts: {
-              incident1: quotationToLoad.incident1 && Number(quotationToLoad.incident1) > 0 ? Number(quotationToLoad.incident1) : null,
-              incident2: quotationToLoad.incident2 && Number(quotationToLoad.incident2) > 0 ? Number(quotationToLoad.incident2) : null,
-              incident3: quotationToLoad.incident3 && Number(quotationToLoad.incident3) > 0 ? Number(quotationToLoad.incident3) : null,
-            },
             customRiggerAmount: quotationToLoad.riggerAmount && Number(quotationToLoad.riggerAmount) > 0 ? Number(quotationToLoad.riggerAmount) : null,
             customHelperAmount: quotationToLoad.helperAmount && Number(quotationToLoad.helperAmount) > 0 ? Number(quotationToLoad.helperAmount) : null,
             // Load date fields
@@ -464,18 +524,6 @@ export function QuotationCreation() {
             customerContact: updatedFormData.customerContact
           });
           
-          // Reconstruct incidentalCharges array based on loaded values
-          const reconstructedIncidentalCharges = [];
-          if (quotationToLoad.incident1 && Number(quotationToLoad.incident1) > 0) {
-            reconstructedIncidentalCharges.push('incident1');
-          }
-          if (quotationToLoad.incident2 && Number(quotationToLoad.incident2) > 0) {
-            reconstructedIncidentalCharges.push('incident2');
-          }
-          if (quotationToLoad.incident3 && Number(quotationToLoad.incident3) > 0) {
-            reconstructedIncidentalCharges.push('incident3');
-          }
-          
           // Reconstruct otherFactors array based on loaded values
           const reconstructedOtherFactors = [];
           if (quotationToLoad.riggerAmount && Number(quotationToLoad.riggerAmount) > 0) {
@@ -486,21 +534,10 @@ export function QuotationCreation() {
           }
           
           // Update the form data with reconstructed arrays
-          updatedFormData.incidentalCharges = quotationToLoad.incidentalCharges?.length > 0 
-            ? quotationToLoad.incidentalCharges 
-            : reconstructedIncidentalCharges;
           updatedFormData.otherFactors = quotationToLoad.otherFactors?.length > 0 
             ? quotationToLoad.otherFactors 
             : reconstructedOtherFactors;
           
-          console.log('[QuotationCreation] Incident values loading:', {
-            incident1: quotationToLoad.incident1,
-            incident2: quotationToLoad.incident2,
-            incident3: quotationToLoad.incident3,
-            reconstructedIncidentalCharges,
-            finalIncidentalCharges: updatedFormData.incidentalCharges
-          });
-          
           console.log('[QuotationCreation] Helper/Rigger values loading:', {
             riggerAmount: quotationToLoad.riggerAmount,
             helperAmount: quotationToLoad.helperAmount,
@@ -529,7 +566,7 @@ export function QuotationCreation() {
             extraCharges: Number(quotationToLoad.extraCharge) || Number(quotationToLoad.calculations?.extraCharges) || 0,
             riskAdjustment: Number(quotationToLoad.riskAdjustment) || Number(quotationToLoad.calculations?.riskAdjustment) || 0,
             riskUsageTotal: Number(quotationToLoad.riskUsageTotal) || Number(quotationToLoad.calculations?.riskUsageTotal) || 0,
-            incidentalCost: Number(quotationToLoad.calculations?.incidentalCost) || 0,
+            surchargeCost: Number(quotationToLoad.calculations?.surchargeCost) || 0,
             otherFactorsCost: Number(quotationToLoad.otherFactorsCharge) || Number(quotationToLoad.calculations?.otherFactorsCost) || 0,
             subtotal: Number(quotationToLoad.totalRent) || Number(quotationToLoad.calculations?.subtotal) || 0,
             gstAmount: Number(quotationToLoad.gstAmount) || Number(quotationToLoad.calculations?.gstAmount) || 0,
@@ -630,6 +667,10 @@ export function QuotationCreation() {
     console.log(`🔧 Getting base rate for ${equipment.name} with order type: ${orderType}`);
     console.log(`🔧 Equipment baseRates:`, equipment.baseRates);
 
+    if (cardRates[equipment.id]) {
+      return cardRates[equipment.id][orderType];
+    }
+
     // The backend should already provide the baseRates object
     if (equipment.baseRates && equipment.baseRates[orderType] !== undefined) {
       const rate = equipment.baseRates[orderType];
@@ -644,6 +685,10 @@ export function QuotationCreation() {
   // Helper function to get base rates object from equipment
   const getEquipmentBaseRates = (equipment: Equipment): BaseRates => {
     console.log(`🔧 Getting base rates object for ${equipment.name}`);
+
+    if (cardRates[equipment.id]) {
+      return cardRates[equipment.id];
+    }
     
     // The backend should already provide the baseRates object
     if (equipment.baseRates) {
@@ -733,6 +778,7 @@ export function QuotationCreation() {
         gstAmount: 0,
         totalAmount: 0,
       });
+      setSurchargeLines([]);
       return;
     }
 
@@ -753,23 +799,15 @@ export function QuotationCreation() {
     });
 
     // Calculate working cost based on whether we have machines or single equipment
-    let workingCost = 0;
-    if (hasMachines) {
-      workingCost = formData.selectedMachines.reduce((total, machine) => {
-        const baseRate = machine.baseRate * machine.quantity;
-        if (formData.orderType === 'monthly') {
-          return total + baseRate * Math.ceil(numberOfDays / 26);
-        } else {
-          return total + (baseRate * totalHours);
-        }
-      }, 0);
-    } else {
-      if (formData.orderType === 'monthly') {
-        workingCost = effectiveBaseRate * Math.ceil(numberOfDays / 26);
-      } else {
-        workingCost = effectiveBaseRate * totalHours;
-      }
-    }
+    const machineWorkingCost = (baseRate: number) =>
+      formData.orderType === 'monthly' ? baseRate * Math.ceil(numberOfDays / 26) : baseRate * totalHours;
+    const machineCosts = hasMachines
+      ? formData.selectedMachines.map(machine => ({
+          category: machine.machineType,
+          workingCost: machineWorkingCost(machine.baseRate * machine.quantity)
+        }))
+      : [{ category: formData.machineType, workingCost: machineWorkingCost(effectiveBaseRate) }];
+    let workingCost = machineCosts.reduce((total, machine) => total + machine.workingCost, 0);
 
     // Apply shift type multiplier from configuration
     let shiftMultiplier = 1;
@@ -782,21 +820,9 @@ export function QuotationCreation() {
     }
     workingCost = workingCost * shiftMultiplier;
 
-    // Apply day/night time multiplier from configuration  
-    let timeMultiplier = 1;
-    if (additionalParams?.dayNightFactors) {
-      if (formData.dayNight === 'day') {
-        timeMultiplier = additionalParams.dayNightFactors.day;
-      } else if (formData.dayNight === 'night') {
-        timeMultiplier = additionalParams.dayNightFactors.night;
-      }
-    }
-    workingCost = workingCost * timeMultiplier;
-
     console.log("💰 Working cost calculated:", {
-      baseWorkingCost: workingCost / (shiftMultiplier * timeMultiplier),
+      baseWorkingCost: workingCost / shiftMultiplier,
       shiftMultiplier,
-      timeMultiplier,
       finalWorkingCost: workingCost
     });
 
@@ -908,11 +934,11 @@ export function QuotationCreation() {
 
     // Risk & Usage calculation based on Monthly Base Rate of Equipment(s)
     // Calculate total monthly base rate for all selected equipment
-    // Always use the monthly base rate from availableEquipment to ensure accuracy
+    // Use the rate card's monthly rate, else the latest one from availableEquipment
     const totalMonthlyBaseRate = formData.selectedMachines.reduce((total, machine) => {
       // Find the equipment in availableEquipment to get the latest monthly rate
       const equipmentDetails = availableEquipment.find(eq => eq.id === machine.id);
-      const monthlyRate = equipmentDetails?.baseRates?.monthly || equipmentDetails?.baseRateMonthly || machine.baseRates?.monthly || 0;
+      const monthlyRate = cardRates[machine.id]?.monthly ?? (equipmentDetails?.baseRates?.monthly || equipmentDetails?.baseRateMonthly || machine.baseRates?.monthly || 0);
       
       console.log(`🔧 Risk & Usage - Equipment ${machine.name}:`, {
         machineId: machine.id,
@@ -968,10 +994,8 @@ export function QuotationCreation() {
     // Additional charges
     const extraCharges = Number(formData.extraCharge) || 0;
     
-    // Incidental charges - use custom amounts or config defaults, NO hardcoded fallbacks
     console.log("🔧 Config Debug - additionalParams loaded:", {
       hasAdditionalParams: !!additionalParams,
-      incidentalOptions: additionalParams?.incidentalOptions,
       riggerAmount: additionalParams?.riggerAmount,
       helperAmount: additionalParams?.helperAmount,
       riskFactors: additionalParams?.riskFactors,
@@ -983,7 +1007,6 @@ export function QuotationCreation() {
     const missingConfig = [];
     if (!additionalParams?.riggerAmount) missingConfig.push('riggerAmount');
     if (!additionalParams?.helperAmount) missingConfig.push('helperAmount');
-    if (!additionalParams?.incidentalOptions?.length) missingConfig.push('incidentalOptions');
     if (!additionalParams?.riskFactors) missingConfig.push('riskFactors');
     if (!additionalParams?.usageFactors) missingConfig.push('usageFactors');
     
@@ -994,40 +1017,19 @@ export function QuotationCreation() {
       console.log('✅ All config values successfully loaded from database config table');
     }
     
-    const incidentalTotal = formData.incidentalCharges.reduce((sum, val) => {
-      let amount = 0;
-      
-      // Use custom amount if provided, otherwise use config default
-      if (val === 'incident1') {
-        const custom = formData.customIncidentAmounts?.incident1;
-        const config = additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident1')?.amount;
-        amount = custom ?? config ?? 0;
-        console.log(`💰 Incident1 amount resolution: custom=${custom}, config=${config}, final=${amount}`);
-      } else if (val === 'incident2') {
-        const custom = formData.customIncidentAmounts?.incident2;
-        const config = additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident2')?.amount;
-        amount = custom ?? config ?? 0;
-        console.log(`💰 Incident2 amount resolution: custom=${custom}, config=${config}, final=${amount}`);
-      } else if (val === 'incident3') {
-        const custom = formData.customIncidentAmounts?.incident3;
-        const config = additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident3')?.amount;
-        amount = custom ?? config ?? 0;
-        console.log(`💰 Incident3 amount resolution: custom=${custom}, config=${config}, final=${amount}`);
-      } else {
-        // Only use config, no hardcoded fallback
-        const found = additionalParams?.incidentalOptions?.find(opt => opt.value === val);
-        amount = found ? found.amount : 0;
-        console.log(`💰 Other incident ${val} amount resolution: config=${found?.amount}, final=${amount}`);
-      }
-      
-      return sum + amount;
-    }, 0);
-
-    console.log("📋 Incidental charges:", {
-      incidentalCharges: formData.incidentalCharges,
-      customIncidentAmounts: formData.customIncidentAmounts,
-      incidentalTotal
+    // Surcharges - matching automatic rules plus the selected optional ones
+    const surcharges = priceSurcharges(surchargeRules, formData.surcharges, {
+      orderType: formData.orderType,
+      siteDistance: Number(formData.siteDistance) || 0,
+      nightShift: formData.dayNight === 'night',
+      sundayWorking: formData.sundayWorking === 'yes',
+      region: customerRegion,
+      numberOfDays,
+      machines: machineCosts.map(machine => ({ ...machine, workingCost: machine.workingCost * shiftMultiplier }))
     });
+    const surchargeTotal = surcharges.reduce((sum, line) => sum + line.amount, 0);
+
+    console.log("📋 Surcharges:", { surcharges, surchargeTotal });
 
     // Only use custom amounts or config table values - NO hardcoded defaults
     const riggerAmount = formData.customRiggerAmount ?? additionalParams?.riggerAmount ?? 0;
@@ -1067,7 +1069,7 @@ export function QuotationCreation() {
     });
 
     // Calculate subtotal using the combined Risk & Usage total
-    const subtotal = workingCost + foodAccomCost + mobDemobCost + riskUsageTotal + extraCharges + incidentalTotal + otherFactorsTotal;
+    const subtotal = workingCost + foodAccomCost + mobDemobCost + riskUsageTotal + extraCharges + surchargeTotal + otherFactorsTotal;
 
     // GST calculation
     const gstAmount = formData.includeGst ? subtotal * 0.18 : 0;
@@ -1084,7 +1086,7 @@ export function QuotationCreation() {
       riskAdjustment,
       riskUsageTotal, // New combined Risk & Usage total
       totalMonthlyBaseRate, // For debugging/reference
-      incidentalCost: incidentalTotal, // Add incidental cost to calculations
+      surchargeCost: surchargeTotal,
       otherFactorsCost: otherFactorsTotal,
       subtotal,
       gstAmount,
@@ -1094,6 +1096,7 @@ export function QuotationCreation() {
     console.log("🎯 Final calculations:", newCalculations);
 
     setCalculations(newCalculations);
+    setSurchargeLines(surcharges);
   };
 
   const showToast = (title: string, variant: 'success' | 'error' | 'warning' = 'success', description?: string) => {
@@ -1101,6 +1104,68 @@ export function QuotationCreation() {
     setTimeout(() => setToast({ show: false, title: '' }), 5000);
   };
 
+  // Adds a crane to the quotation, or one more of it if already added
+  const addMachine = (selected: Equipment) => {
+    // Check if this machine is already selected
+    const existingIndex = formData.selectedMachines.findIndex(m => m.id === selected.id);
+
+    if (existingIndex >= 0) {
+      // If already selected, increase quantity
+      setFormData(prev => ({
+        ...prev,
+        selectedMachines: prev.selectedMachines.map((m, i) => 
+          i === existingIndex ? { ...m, quantity: m.quantity + 1 } : m
+        )
+      }));
+    } else {
+      // Add new machine to the list
+      const baseRates = getEquipmentBaseRates(selected);
+      const newMachine = {
+        id: selected.id,
+        machineType: formData.machineType || selected.category,
+        equipmentId: selected.equipmentId,
+        name: selected.name,
+        baseRates: baseRates,
+        baseRate: getEquipmentBaseRate(selected, formData.orderType),
+        runningCostPerKm: selected.runningCostPerKm || 0,
+        quantity: 1
+      };
+
+      console.log(`🏗️ Added equipment to selection:`, {
+        name: selected.name,
+        runningCostPerKm: selected.runningCostPerKm,
+        hasRunningCost: !!selected.runningCostPerKm,
+        equipmentData: selected
+      });
+
+      setFormData(prev => ({
+        ...prev,
+        selectedMachines: [...prev.selectedMachines, newMachine]
+      }));
+    }
+  };
+
+  // Adds a recommended crane, which may not be in the equipment loaded for the machine type yet
+  const handleAddRecommended = async (recommendation: EquipmentRecommendation) => {
+    let selected = availableEquipment.find(eq => eq.id === recommendation.equipmentId);
+    if (!selected) {
+      try {
+        selected = (await getEquipment()).find(eq => eq.id === recommendation.equipmentId);
+      } catch (error) {
+        console.error('Error fetching equipment:', error);
+      }
+    }
+    if (!selected) {
+      showToast('Equipment not found', 'error');
+      return;
+    }
+    const equipment = selected;
+    if (!formData.machineType) {
+      setFormData(prev => ({ ...prev, machineType: equipment.category }));
+    }
+    addMachine(equipment);
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -1169,29 +1234,6 @@ export function QuotationCreation() {
         helperSelected: formData.otherFactors.includes('helper')
       });
 
-      // Calculate the exact amounts that will be sent to backend
-      // Only use config table values as defaults - NO hardcoded fallbacks
-      const incident1Amount = formData.incidentalCharges.includes('incident1') ? 
-        (formData.customIncidentAmounts?.incident1 ?? additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident1')?.amount ?? 0) : null;
-      const incident2Amount = formData.incidentalCharges.includes('incident2') ? 
-        (formData.customIncidentAmounts?.incident2 ?? additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident2')?.amount ?? 0) : null;
-      const incident3Amount = formData.incidentalCharges.includes('incident3') ? 
-        (formData.customIncidentAmounts?.incident3 ?? additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident3')?.amount ?? 0) : null;
-        
-      // Log incident amount sources for validation
-      (['incident1', 'incident2', 'incident3'] as const).forEach((incident, index) => {
-        if (formData.incidentalCharges.includes(incident)) {
-          const customAmount = formData.customIncidentAmounts?.[incident];
-          const configAmount = additionalParams?.incidentalOptions?.find(opt => opt.value === incident)?.amount;
-          const finalAmount = [incident1Amount, incident2Amount, incident3Amount][index];
-          console.log(`🔍 ${incident} amount source:`, {
-            customAmount,
-            configTableAmount: configAmount,
-            finalAmount,
-            source: customAmount ? 'CUSTOM' : (configAmount ? 'CONFIG_TABLE' : 'MISSING_CONFIG')
-          });
-        }
-      });
       // Only send config table values as defaults - NO hardcoded fallbacks
       const riggerAmountToSend = formData.otherFactors.includes('rigger') ? 
         (formData.customRiggerAmount ?? additionalParams?.riggerAmount ?? 0) : null;
@@ -1217,26 +1259,17 @@ export function QuotationCreation() {
       }
 
       console.log('🚀 SUBMISSION DEBUG - Exact amounts being sent to backend:', {
-        incidentChargesSelected: formData.incidentalCharges,
+        surchargesSelected: formData.surcharges,
         otherFactorsSelected: formData.otherFactors,
-        incident1Amount,
-        incident2Amount,
-        incident3Amount,
         riggerAmountToSend,
         helperAmountToSend,
         customAmounts: {
           rigger: formData.customRiggerAmount,
-          helper: formData.customHelperAmount,
-          incident1: formData.customIncidentAmounts?.incident1,
-          incident2: formData.customIncidentAmounts?.incident2,
-          incident3: formData.customIncidentAmounts?.incident3
+          helper: formData.customHelperAmount
         },
         configAmounts: {
           rigger: additionalParams?.riggerAmount,
-          helper: additionalParams?.helperAmount,
-          incident1: additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident1')?.amount,
-          incident2: additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident2')?.amount,
-          incident3: additionalParams?.incidentalOptions?.find(opt => opt.value === 'incident3')?.amount
+          helper: additionalParams?.helperAmount
         }
       });
 
@@ -1244,6 +1277,8 @@ export function QuotationCreation() {
         ...formData,  // Use EXACT form data without overrides
         dealId: currentDealId,
         leadId: leadId,
+        // An edited quotation keeps the rate cards of the day it was made
+        quoteDate: quotationId ? formData.createdAt : undefined,
         customerName: formData.customerName || deal?.customer?.name || '',
         customerContact: {
           name: formData.customerContact?.name || deal?.customer?.name || '',
@@ -1269,9 +1304,6 @@ export function QuotationCreation() {
         primaryEquipmentId: formData.selectedEquipment?.equipmentId || formData.selectedEquipment?.id || null,
         equipmentSnapshot: formData.selectedEquipment || null,
         // Send the APPLIED amounts (what's actually being used in calculations)
-        incident1: incident1Amount,
-        incident2: incident2Amount,
-        incident3: incident3Amount,
         riggerAmount: riggerAmountToSend,
         helperAmount: helperAmountToSend,
         // Also send custom amounts for reference
@@ -1292,6 +1324,20 @@ export function QuotationCreation() {
         }
       });
 
+      // Verify the totals against the server pricing engine before saving
+      const pricingPreview = await calculateQuotationPricing(quotationData);
+      if (pricingPreview.mismatches.length > 0) {
+        console.warn('⚠️ Server pricing differs from local calculation:', pricingPreview.mismatches);
+        setCalculations(pricingPreview.calculations);
+        setSurchargeLines(pricingPreview.surcharges);
+        showToast(
+          'Pricing updated from server',
+          'warning',
+          'Totals were recalculated using the latest rates. Please review and save again.'
+        );
+        return;
+      }
+
       if (quotationId) {
         await updateQuotation(quotationId, quotationData);
         showToast('Quotation updated successfully', 'success');
@@ -1588,43 +1634,7 @@ export function QuotationCreation() {
                         onChange={(value: string) => {
                           const selected = availableEquipment.find(eq => eq.id === value);
                           if (selected) {
-                            // Check if this machine is already selected
-                            const existingIndex = formData.selectedMachines.findIndex(m => m.id === selected.id);
-                            
-                            if (existingIndex >= 0) {
-                              // If already selected, increase quantity
-                              setFormData(prev => ({
-                                ...prev,
-                                selectedMachines: prev.selectedMachines.map((m, i) => 
-                                  i === existingIndex ? { ...m, quantity: m.quantity + 1 } : m
-                                )
-                              }));
-                            } else {
-                              // Add new machine to the list
-                              const baseRates = getEquipmentBaseRates(selected);
-                              const newMachine = {
-                                id: selected.id,
-                                machineType: formData.machineType,
-                                equipmentId: selected.equipmentId,
-                                name: selected.name,
-                                baseRates: baseRates,
-                                baseRate: getEquipmentBaseRate(selected, formData.orderType),
-                                runningCostPerKm: selected.runningCostPerKm || 0,
-                                quantity: 1
-                              };
-                              
-                              console.log(`🏗️ Added equipment to selection:`, {
-                                name: selected.name,
-                                runningCostPerKm: selected.runningCostPerKm,
-                                hasRunningCost: !!selected.runningCostPerKm,
-                                equipmentData: selected
-                              });
-                              
-                              setFormData(prev => ({
-                                ...prev,
-                                selectedMachines: [...prev.selectedMachines, newMachine]
-                              }));
-                            }
+                            addMachine(selected);
                           }
                         }}
                         options={[
@@ -1918,6 +1928,27 @@ export function QuotationCreation() {
               </Card>
             </div>
 
+            <EquipmentRecommendations
+              leadId={leadId || deal?.leadId || undefined}
+              category={formData.machineType || undefined}
+              rentalDays={formData.numberOfDays}
+              siteDistance={formData.siteDistance}
+              pricing={{
+                workingHours: formData.workingHours,
+                shift: formData.shift,
+                dayNight: formData.dayNight,
+                usage: formData.usage,
+                riskFactor: formData.riskFactor,
+                mobRelaxation: formData.mobRelaxation,
+                includeGst: formData.includeGst,
+                sundayWorking: formData.sundayWorking === 'yes',
+                surcharges: formData.surcharges,
+                customerId: deal?.customerId || undefined,
+              }}
+              selectedEquipmentIds={formData.selectedMachines.map(machine => machine.id)}
+              onAdd={handleAddRecommended}
+            />
+
             {/* Additional Charges Row */}
             <Card className="shadow-sm mb-6">
               <CardHeader className="pb-3">
@@ -1940,16 +1971,23 @@ export function QuotationCreation() {
                   />
                   
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Incidental Charges</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Surcharges</label>
                     <div className="bg-gray-50 rounded-lg p-4 space-y-3">
-                      {additionalParams?.incidentalOptions?.map(option => {
-                        const isSelected = formData.incidentalCharges.includes(option.value);
-                        const customAmountKey = option.value as 'incident1' | 'incident2' | 'incident3';
-                        const customAmount = formData.customIncidentAmounts?.[customAmountKey];
-                        const displayAmount = customAmount ?? option.amount;
-                        
+                      {surchargeRules
+                        .filter(rule => rule.active !== false)
+                        .filter(rule => rule.apply === 'optional' || surchargeLines.some(line => line.ruleId === rule.id))
+                        .map(rule => {
+                        const line = surchargeLines.find(applied => applied.ruleId === rule.id);
+                        const selection = formData.surcharges.find(selected => selected.ruleId === rule.id);
+                        const isAuto = rule.apply === 'auto';
+                        const isSelected = isAuto || !!selection;
+                        const customAmount = selection?.customAmount ?? null;
+                        const defaultLabel = rule.type === 'percent'
+                          ? `${rule.amount}% of working cost`
+                          : `₹${Number(rule.amount).toLocaleString('en-IN')}${rule.per === 'day' ? ' per day' : ''}`;
+
                         return (
-                          <div key={option.value} className={`rounded-md border-2 p-3 transition-all duration-200 ${
+                          <div key={rule.id} className={`rounded-md border-2 p-3 transition-all duration-200 ${
                             isSelected ? 'border-blue-200 bg-blue-50' : 'border-gray-200 bg-white hover:border-gray-300'
                           }`}>
                             <div className="flex items-center justify-between">
@@ -1957,31 +1995,27 @@ export function QuotationCreation() {
                                 <input
                                   type="checkbox"
                                   checked={isSelected}
+                                  disabled={isAuto}
                                   onChange={(e) => {
-                                    if (e.target.checked) {
-                                      setFormData(prev => ({
-                                        ...prev,
-                                        incidentalCharges: [...prev.incidentalCharges, option.value]
-                                      }));
-                                    } else {
-                                      setFormData(prev => ({
-                                        ...prev,
-                                        incidentalCharges: prev.incidentalCharges.filter(val => val !== option.value)
-                                      }));
-                                    }
+                                    setFormData(prev => ({
+                                      ...prev,
+                                      surcharges: e.target.checked
+                                        ? [...prev.surcharges, { ruleId: rule.id, customAmount: null }]
+                                        : prev.surcharges.filter(selected => selected.ruleId !== rule.id)
+                                    }));
                                   }}
                                   className="mr-3 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
                                 />
                                 <div className="flex-1">
                                   <div className="text-sm font-medium text-gray-900">
-                                    {option.label.split(' - ')[0]}
+                                    {rule.name}
                                   </div>
                                   <div className="text-xs text-gray-500">
-                                    Default: ₹{option.amount?.toLocaleString('en-IN')}
+                                    {isAuto ? 'Applied automatically' : 'Default'}: {defaultLabel}
                                   </div>
                                 </div>
                               </label>
-                              
+
                               {isSelected && (
                                 <div className="ml-4 flex items-center gap-2">
                                   <span className="text-xs text-gray-600 whitespace-nowrap">Custom:</span>
@@ -1990,27 +2024,29 @@ export function QuotationCreation() {
                                     value={customAmount ?? ''}
                                     onChange={(e) => {
                                       const value = e.target.value === '' ? null : Number(e.target.value);
-                                      setFormData(prev => ({
-                                        ...prev,
-                                        customIncidentAmounts: {
-                                          ...prev.customIncidentAmounts,
-                                          [customAmountKey]: value
-                                        }
-                                      }));
+                                      setFormData(prev => {
+                                        const others = prev.surcharges.filter(selected => selected.ruleId !== rule.id);
+                                        // An automatic surcharge without a custom amount needs no selection
+                                        const keep = !isAuto || value !== null;
+                                        return {
+                                          ...prev,
+                                          surcharges: keep ? [...others, { ruleId: rule.id, customAmount: value }] : others
+                                        };
+                                      });
                                     }}
-                                    placeholder={`${option.amount}`}
+                                    placeholder={line ? `${line.amount}` : ''}
                                     className="w-24 px-2 py-1 text-xs border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
                                     min="0"
                                   />
                                 </div>
                               )}
                             </div>
-                            
-                            {isSelected && (
+
+                            {line && (
                               <div className="mt-2 pt-2 border-t border-gray-200">
                                 <div className="text-xs font-medium text-blue-700">
-                                  Amount Applied: ₹{displayAmount?.toLocaleString('en-IN')}
-                                  {customAmount && customAmount !== option.amount && (
+                                  Amount Applied: ₹{line.amount.toLocaleString('en-IN')}
+                                  {line.customAmount !== null && (
                                     <span className="ml-1 text-green-600">(Custom)</span>
                                   )}
                                 </div>
@@ -2133,7 +2169,7 @@ export function QuotationCreation() {
                   </CardTitle>
                 </CardHeader>
                 <CardContent className="pt-4">
-                  <QuotationSummary calculations={calculations} formData={formData} additionalParams={additionalParams} />
+                  <QuotationSummary calculations={calculations} formData={formData} additionalParams={additionalParams} surcharges={surchargeLines} />
                   <div className="mt-4">
                     <label className="flex items-start gap-3 p-3 rounded-lg bg-gray-50 cursor-pointer hover:bg-gray-100 transition-colors duration-200">
                       <input
@@ -1,21 +1,17 @@
 import React from 'react';
 import { Clock, Users, Truck, AlertTriangle, IndianRupee, AlertCircle } from 'lucide-react';
 import { formatCurrency } from '../utils/formatters';
+import { SurchargeLine } from '../services/surcharges';
 
 interface QuotationSummaryProps {
   calculations: any;
   formData: any;
   additionalParams?: any;
+  surcharges?: SurchargeLine[];
   showGst?: boolean;
 }
 
-const INCIDENTAL_OPTIONS = [
-  { value: 'incident1', label: 'Incident 1 - ₹5,000', amount: 5000 },
-  { value: 'incident2', label: 'Incident 2 - ₹10,000', amount: 10000 },
-  { value: 'incident3', label: 'Incident 3 - ₹15,000', amount: 15000 },
-];
-
-export const QuotationSummary: React.FC<QuotationSummaryProps> = ({ calculations, formData, additionalParams, showGst = true }) => (
+export const QuotationSummary: React.FC<QuotationSummaryProps> = ({ calculations, formData, additionalParams, surcharges = [], showGst = true }) => (
   <div className="space-y-4">
     <div className="flex justify-between items-center">
       <div className="flex items-center gap-2">
@@ -60,16 +56,18 @@ export const QuotationSummary: React.FC<QuotationSummaryProps> = ({ calculations
     <div className="flex justify-between items-center">
       <div className="flex items-center gap-2">
         <AlertCircle className="w-4 h-4 text-indigo-600" />
-        <span className="text-sm font-semibold text-gray-900">Incidental Charges</span>
+        <span className="text-sm font-semibold text-gray-900">Surcharges</span>
       </div>
       <span className="font-bold text-gray-900">
-        {formatCurrency(calculations?.incidentalCost || 
-          (formData?.incidentalCharges || []).reduce((sum: number, val: string) => {
-            const found = INCIDENTAL_OPTIONS.find((opt: any) => opt.value === val);
-            return sum + (found ? found.amount : 0);
-          }, 0))}
+        {formatCurrency(calculations?.surchargeCost || surcharges.reduce((sum, line) => sum + line.amount, 0))}
       </span>
     </div>
+    {surcharges.map(line => (
+      <div key={line.ruleId} className="flex justify-between items-center pl-6 text-xs text-gray-600">
+        <span>{line.name}</span>
+        <span>{formatCurrency(line.amount)}</span>
+      </div>
+    ))}
     
     <div className="flex justify-between items-center">
       <div className="flex items-center gap-2">
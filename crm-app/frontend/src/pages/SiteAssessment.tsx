@@ -1,65 +1,92 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { 
-  Camera, 
+import {
+  Camera,
   Check,
-  FileImage, 
-  Link2, 
-  Phone, 
-  Plus, 
-  Send, 
-  Tag, 
-  Trash2, 
+  Edit2,
+  FileImage,
+  Send,
+  Tag,
+  Trash2,
   Upload,
   X
 } from 'lucide-react';
+import { format } from 'date-fns';
 import { Card, CardHeader, CardTitle, CardContent } from '../components/common/Card';
 import { Button } from '../components/common/Button';
 import { Input } from '../components/common/Input';
+import { Select } from '../components/common/Select';
 import { TextArea } from '../components/common/TextArea';
 import { Toast } from '../components/common/Toast';
 import { useAuthStore } from '../store/authStore';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getSiteAssessments, createSiteAssessment, updateSiteAssessment, SiteAssessment as SiteAssessmentType } from '../services/siteAssessmentService';
+import { getCustomers, Customer } from '../services/customer';
+import { getLeads, Lead } from '../services/lead';
+import {
+  GROUND_TYPE_LABELS,
+  MAX_SITE_MEDIA_SIZE_MB,
+  SITE_MEDIA_TYPES,
+  ConstraintNotes,
+  GroundType,
+  SiteAssessment as SiteAssessmentType,
+  SiteAssessmentFields,
+  SiteConstraintKey,
+  createSiteAssessment,
+  deleteAssessmentMedia,
+  deleteSiteAssessment,
+  fetchAssessmentMediaUrl,
+  getSiteAssessment,
+  getSiteAssessments,
+  updateSiteAssessment,
+  uploadAssessmentMedia,
+} from '../services/siteAssessmentService';
 
-interface SiteConstraint {
-  id: string;
+const ASSESSMENT_ROLES = ['admin', 'operations_manager', 'operator', 'sales_agent'];
+
+interface ChecklistItem {
+  id: SiteConstraintKey;
+  noteKey: keyof ConstraintNotes;
   label: string;
-  description?: string;
+  description: string;
 }
 
-const SITE_CONSTRAINTS: SiteConstraint[] = [
-  { 
-    id: 'road_access', 
-    label: 'Road Access',
-    description: 'Accessibility for crane transport'
-  },
-  { 
-    id: 'height_limits', 
-    label: 'Height Limits',
-    description: 'Overhead restrictions'
-  },
-  { 
-    id: 'crane_setup', 
-    label: 'Crane Setup Area',
-    description: 'Space available for crane positioning'
+const SITE_CHECKLIST: ChecklistItem[] = [
+  {
+    id: 'ground_bearing',
+    noteKey: 'groundBearing',
+    label: 'Ground Bearing',
+    description: 'Surface type and the load the ground can take under the outriggers'
   },
-  { 
-    id: 'power_lines', 
-    label: 'Power Lines',
+  {
+    id: 'overhead_lines',
+    noteKey: 'overheadLines',
+    label: 'Overhead Lines',
     description: 'Proximity to electrical infrastructure'
   },
-  { 
-    id: 'surface_type', 
-    label: 'Surface Type',
-    description: 'Ground conditions and stability'
+  {
+    id: 'access',
+    noteKey: 'access',
+    label: 'Access',
+    description: 'Narrowest width and lowest clearance on the route in'
   },
-  { 
-    id: 'other', 
+  {
+    id: 'slope',
+    noteKey: 'slope',
+    label: 'Slope',
+    description: 'Gradient of the crane setup area'
+  },
+  {
+    id: 'other',
+    noteKey: 'other',
     label: 'Other',
     description: 'Additional site-specific constraints'
   },
 ];
 
+const GROUND_TYPE_OPTIONS = [
+  { value: '', label: 'Select ground type' },
+  ...Object.entries(GROUND_TYPE_LABELS).map(([value, label]) => ({ value, label })),
+];
+
 interface UploadedFile {
   id: string;
   file: File;
@@ -67,76 +94,138 @@ interface UploadedFile {
   annotations?: string[];
 }
 
-interface SelectedConstraint extends SiteConstraint {
-  notes?: string;
+// Measurements are kept as typed so a half-entered number is not lost
+interface ChecklistForm {
+  groundType: string;
+  groundBearingCapacity: string;
+  groundMatsRequired: boolean;
+  overheadLinesPresent: boolean;
+  overheadLineClearanceM: string;
+  overheadLineVoltageKv: string;
+  accessWidthM: string;
+  accessHeightM: string;
+  slopeDegrees: string;
+  liftLoadTons: string;
+  liftRadiusM: string;
+  liftHeightM: string;
 }
 
+const EMPTY_CHECKLIST: ChecklistForm = {
+  groundType: '',
+  groundBearingCapacity: '',
+  groundMatsRequired: false,
+  overheadLinesPresent: false,
+  overheadLineClearanceM: '',
+  overheadLineVoltageKv: '',
+  accessWidthM: '',
+  accessHeightM: '',
+  slopeDegrees: '',
+  liftLoadTons: '',
+  liftRadiusM: '',
+  liftHeightM: '',
+};
+
+const toInput = (value: number | null) => (value === null || value === undefined ? '' : String(value));
+const toNumber = (value: string) => (value.trim() === '' ? null : Number(value));
+
 export function SiteAssessment() {
   const { user } = useAuthStore();
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [location, setLocation] = useState('');
   const [customerId, setCustomerId] = useState('');
+  const [leadId, setLeadId] = useState('');
+  const [notes, setNotes] = useState('');
   const [files, setFiles] = useState<UploadedFile[]>([]);
-  const [selectedConstraints, setSelectedConstraints] = useState<SelectedConstraint[]>([]);
+  const [checklist, setChecklist] = useState<ChecklistForm>(EMPTY_CHECKLIST);
+  const [flaggedConstraints, setFlaggedConstraints] = useState<SiteConstraintKey[]>([]);
+  const [constraintNotes, setConstraintNotes] = useState<ConstraintNotes>({});
   const [phoneNumber, setPhoneNumber] = useState('');
   const [isAnnotating, setIsAnnotating] = useState(false);
   const [selectedImage, setSelectedImage] = useState<UploadedFile | null>(null);
   const [existingAssessments, setExistingAssessments] = useState<SiteAssessmentType[]>([]);
+  const [editing, setEditing] = useState<SiteAssessmentType | null>(null);
+  const [thumbnails, setThumbnails] = useState<Record<string, string>>({});
+  const [customers, setCustomers] = useState<Customer[]>([]);
+  const [leads, setLeads] = useState<Lead[]>([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const [toast, setToast] = useState<{
     show: boolean;
     title: string;
     description?: string;
     variant?: 'success' | 'error' | 'warning';
   }>({ show: false, title: '' });
-  
+
   const fileInputRef = useRef<HTMLInputElement>(null);
-  
+  const filesRef = useRef<UploadedFile[]>([]);
+  const thumbnailsRef = useRef<Record<string, string>>({});
+  filesRef.current = files;
+  thumbnailsRef.current = thumbnails;
+
+  const fetchAssessments = async () => {
+    try {
+      const assessments = await getSiteAssessments();
+      setExistingAssessments(assessments);
+    } catch (error) {
+      console.error('Error fetching site assessments:', error);
+      showToast('Error loading site assessments', error instanceof Error ? error.message : undefined, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   useEffect(() => {
-    // Fetch existing site assessments when component mounts
-    const fetchAssessments = async () => {
-      try {
-        const assessments = await getSiteAssessments();
-        setExistingAssessments(assessments);
-        setIsLoading(false);
-      } catch (error) {
-        console.error('Error fetching site assessments:', error);
-        showToast('Error loading site assessments', 'error');
-        setIsLoading(false);
-      }
-    };
-    
     fetchAssessments();
+    getCustomers()
+      .then(setCustomers)
+      .catch(error => console.error('Error fetching customers:', error));
+    getLeads()
+      .then(setLeads)
+      .catch(error => console.error('Error fetching leads:', error));
   }, []);
-  
+
+  // Thumbnails of the media already stored for the assessment being edited
+  useEffect(() => {
+    const media = editing?.media || [];
+    let cancelled = false;
+    media.forEach(item => {
+      if (thumbnailsRef.current[item.id] || (item.mediaType === 'video' && !item.hasThumbnail)) return;
+      fetchAssessmentMediaUrl(item.id, 'thumbnail')
+        .then(url => {
+          if (cancelled) {
+            URL.revokeObjectURL(url);
+            return;
+          }
+          setThumbnails(prev => ({ ...prev, [item.id]: url }));
+        })
+        .catch(error => console.error('Error loading thumbnail:', error));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [editing]);
+
   const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
     const selectedFiles = Array.from(e.target.files || []);
-    
+
     // Validate file types and size
     const validFiles = selectedFiles.filter(file => {
-      const isValidType = [
-        'image/jpeg',
-        'image/png',
-        'image/webp',
-        'video/mp4',
-        'video/quicktime'
-      ].includes(file.type);
-      
-      const isValidSize = file.size <= 10 * 1024 * 1024; // 10MB limit
-      
+      const isValidType = SITE_MEDIA_TYPES.includes(file.type);
+      const isValidSize = file.size <= MAX_SITE_MEDIA_SIZE_MB * 1024 * 1024;
+
       if (!isValidType || !isValidSize) {
         showToast(
           'Invalid file',
-          `${file.name} is not supported. Please upload images (JPEG, PNG) or videos (MP4) under 10MB.`,
+          `${file.name} is not supported. Please upload images (JPEG, PNG, WebP) or videos (MP4, MOV) under ${MAX_SITE_MEDIA_SIZE_MB}MB.`,
           'error'
         );
         return false;
       }
-      
+
       return true;
     });
-    
+
     // Create preview URLs
     const newFiles = validFiles.map(file => ({
       id: Math.random().toString(36).substring(2, 9),
@@ -144,31 +233,32 @@ export function SiteAssessment() {
       preview: URL.createObjectURL(file),
       annotations: [],
     }));
-    
+
     setFiles(prev => [...prev, ...newFiles]);
+    e.target.value = '';
   };
-  
+
   const handleDrop = (e: React.DragEvent) => {
     e.preventDefault();
-    
+
     const droppedFiles = Array.from(e.dataTransfer.files);
     const fileInput = fileInputRef.current;
-    
+
     if (fileInput) {
       const dataTransfer = new DataTransfer();
       droppedFiles.forEach(file => dataTransfer.items.add(file));
       fileInput.files = dataTransfer.files;
-      
+
       // Trigger change event
       const event = new Event('change', { bubbles: true });
       fileInput.dispatchEvent(event);
     }
   };
-  
+
   const handleDragOver = (e: React.DragEvent) => {
     e.preventDefault();
   };
-  
+
   const removeFile = (id: string) => {
     setFiles(prev => {
       const updatedFiles = prev.filter(f => f.id !== id);
@@ -181,49 +271,66 @@ export function SiteAssessment() {
       return updatedFiles;
     });
   };
-  
-  const toggleConstraint = (constraint: SiteConstraint) => {
-    setSelectedConstraints(prev => {
-      const exists = prev.find(c => c.id === constraint.id);
-      if (exists) {
-        return prev.filter(c => c.id !== constraint.id);
-      }
-      return [...prev, { ...constraint }];
-    });
+
+  const handleDeleteMedia = async (mediaId: string) => {
+    if (!editing || !window.confirm('Delete this file from the assessment?')) return;
+    try {
+      await deleteAssessmentMedia(mediaId);
+      if (thumbnails[mediaId]) URL.revokeObjectURL(thumbnails[mediaId]);
+      setThumbnails(({ [mediaId]: _removed, ...rest }) => rest);
+      setEditing({ ...editing, media: editing.media.filter(item => item.id !== mediaId) });
+      showToast('Media deleted', undefined, 'success');
+    } catch (error) {
+      showToast('Error deleting media', error instanceof Error ? error.message : undefined, 'error');
+    }
+  };
+
+  const openMedia = async (mediaId: string) => {
+    try {
+      const url = await fetchAssessmentMediaUrl(mediaId);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      showToast('Error opening media', error instanceof Error ? error.message : undefined, 'error');
+    }
   };
-  
-  const updateConstraintNotes = (constraintId: string, notes: string) => {
-    setSelectedConstraints(prev =>
-      prev.map(c =>
-        c.id === constraintId
-          ? { ...c, notes }
-          : c
-      )
+
+  const updateChecklist = <K extends keyof ChecklistForm>(field: K, value: ChecklistForm[K]) => {
+    setChecklist(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleConstraint = (constraintId: SiteConstraintKey) => {
+    setFlaggedConstraints(prev =>
+      prev.includes(constraintId) ? prev.filter(id => id !== constraintId) : [...prev, constraintId]
     );
   };
-  
+
+  const updateConstraintNotes = (noteKey: keyof ConstraintNotes, value: string) => {
+    setConstraintNotes(prev => ({ ...prev, [noteKey]: value }));
+  };
+
   const handleRemoteAssessment = async () => {
     if (!phoneNumber.match(/^\+?[\d\s-]{10,}$/)) {
       showToast('Invalid phone number', 'Please enter a valid phone number', 'error');
       return;
     }
-    
+
     try {
       // Simulate API call
       await new Promise(resolve => setTimeout(resolve, 1000));
-      
+
       showToast(
         'Assessment link sent',
         `A remote assessment link has been sent to ${phoneNumber}`,
         'success'
       );
-      
+
       setPhoneNumber('');
     } catch (error) {
       showToast('Error sending link', 'Please try again later', 'error');
     }
   };
-  
+
   // Show toast helper function
   const showToast = (
     title: string,
@@ -233,14 +340,80 @@ export function SiteAssessment() {
     setToast({ show: true, title, description, variant });
     setTimeout(() => setToast({ show: false, title: '' }), 3000);
   };
-  
-  // Add the handleSubmit function for saving site assessment
+
+  const clearThumbnails = () => {
+    Object.values(thumbnailsRef.current).forEach(url => URL.revokeObjectURL(url));
+    setThumbnails({});
+  };
+
+  const resetForm = () => {
+    files.forEach(file => URL.revokeObjectURL(file.preview));
+    clearThumbnails();
+    setEditing(null);
+    setTitle('');
+    setDescription('');
+    setCustomerId('');
+    setLeadId('');
+    setLocation('');
+    setNotes('');
+    setFiles([]);
+    setChecklist(EMPTY_CHECKLIST);
+    setFlaggedConstraints([]);
+    setConstraintNotes({});
+    setPhoneNumber('');
+  };
+
+  const handleEdit = async (assessmentId: string) => {
+    try {
+      const assessment = await getSiteAssessment(assessmentId);
+      resetForm();
+      setEditing(assessment);
+      setTitle(assessment.title);
+      setDescription(assessment.description || '');
+      setCustomerId(assessment.customerId || '');
+      setLeadId(assessment.leadId || '');
+      setLocation(assessment.location);
+      setNotes(assessment.notes || '');
+      setChecklist({
+        groundType: assessment.groundType || '',
+        groundBearingCapacity: toInput(assessment.groundBearingCapacity),
+        groundMatsRequired: assessment.groundMatsRequired,
+        overheadLinesPresent: assessment.overheadLinesPresent,
+        overheadLineClearanceM: toInput(assessment.overheadLineClearanceM),
+        overheadLineVoltageKv: toInput(assessment.overheadLineVoltageKv),
+        accessWidthM: toInput(assessment.accessWidthM),
+        accessHeightM: toInput(assessment.accessHeightM),
+        slopeDegrees: toInput(assessment.slopeDegrees),
+        liftLoadTons: toInput(assessment.liftLoadTons),
+        liftRadiusM: toInput(assessment.liftRadiusM),
+        liftHeightM: toInput(assessment.liftHeightM),
+      });
+      setFlaggedConstraints(assessment.constraints);
+      setConstraintNotes(assessment.constraintNotes);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (error) {
+      showToast('Error loading site assessment', error instanceof Error ? error.message : undefined, 'error');
+    }
+  };
+
+  const handleDelete = async (assessment: SiteAssessmentType) => {
+    if (!window.confirm(`Delete the site assessment "${assessment.title}" and its photos and videos?`)) return;
+    try {
+      await deleteSiteAssessment(assessment.id);
+      if (editing?.id === assessment.id) resetForm();
+      setExistingAssessments(prev => prev.filter(item => item.id !== assessment.id));
+      showToast('Site assessment deleted', undefined, 'success');
+    } catch (error) {
+      showToast('Error deleting assessment', error instanceof Error ? error.message : undefined, 'error');
+    }
+  };
+
   const handleSubmit = async () => {
     if (!user) {
       showToast('Error', 'You need to be logged in to submit a site assessment', 'error');
       return;
     }
-    
+
     if (!title) {
       showToast('Missing title', 'Please provide a title for the site assessment', 'warning');
       return;
@@ -250,82 +423,216 @@ export function SiteAssessment() {
       showToast('Missing location', 'Please provide the site location', 'warning');
       return;
     }
-    
-    if (files.length === 0) {
+
+    if (!customerId && !leadId && !editing?.jobId) {
+      showToast('Missing customer', 'Please select the customer or lead this site is for', 'warning');
+      return;
+    }
+
+    if (files.length === 0 && !editing?.media.length) {
       showToast('Missing files', 'Please upload at least one site photo or video', 'warning');
       return;
     }
-    
+
+    const fields: SiteAssessmentFields = {
+      title,
+      description,
+      customerId: customerId || null,
+      leadId: leadId || null,
+      location,
+      notes,
+      constraints: flaggedConstraints,
+      constraintNotes,
+      groundType: (checklist.groundType || null) as GroundType | null,
+      groundBearingCapacity: toNumber(checklist.groundBearingCapacity),
+      groundMatsRequired: checklist.groundMatsRequired,
+      overheadLinesPresent: checklist.overheadLinesPresent,
+      overheadLineClearanceM: checklist.overheadLinesPresent ? toNumber(checklist.overheadLineClearanceM) : null,
+      overheadLineVoltageKv: checklist.overheadLinesPresent ? toNumber(checklist.overheadLineVoltageKv) : null,
+      accessWidthM: toNumber(checklist.accessWidthM),
+      accessHeightM: toNumber(checklist.accessHeightM),
+      slopeDegrees: toNumber(checklist.slopeDegrees),
+      liftLoadTons: toNumber(checklist.liftLoadTons),
+      liftRadiusM: toNumber(checklist.liftRadiusM),
+      liftHeightM: toNumber(checklist.liftHeightM),
+    };
+
+    setIsSubmitting(true);
     try {
-      // Extract image and video files
-      const imageFiles = files.filter(f => f.file.type.startsWith('image/'))
-        .map(f => `mock-url-${f.id}`);
-      
-      const videoFiles = files.filter(f => f.file.type.startsWith('video/'))
-        .map(f => `mock-url-${f.id}`);
-      
-      // Extract constraint IDs
-      const constraintIds = selectedConstraints.map(c => c.id);
-      
-      // Notes from constraints
-      const notes = selectedConstraints
-        .filter(c => c.notes)
-        .map(c => `${c.label}: ${c.notes}`)
-        .join('\n');
-      
-      const assessmentData: Omit<SiteAssessmentType, 'id' | 'createdAt' | 'updatedAt'> = {
-        title,
-        description,
-        customerId: customerId || 'unknown',
-        location,
-        constraints: constraintIds,
-        notes,
-        images: imageFiles,
-        videos: videoFiles,
-        createdBy: user.id
-      };
-      
-      // Save the assessment to PostgreSQL
-      const savedAssessment = await createSiteAssessment(assessmentData);
-      
-      // Update the local state with the new assessment
-      setExistingAssessments(prev => [...prev, savedAssessment]);
-      
-      // Clear the form
-      setTitle('');
-      setDescription('');
-      setCustomerId('');
-      setLocation('');
-      setFiles([]);
-      setSelectedConstraints([]);
-      setPhoneNumber('');
-      
-      showToast('Site assessment submitted successfully', undefined, 'success');
+      const saved = editing
+        ? await updateSiteAssessment(editing.id, fields)
+        : await createSiteAssessment(fields);
+
+      // Upload the staged files one at a time; the assessment is kept even if some fail
+      const failedUploads: string[] = [];
+      for (const file of files) {
+        try {
+          await uploadAssessmentMedia(saved.id, file.file);
+        } catch (error) {
+          console.error('Error uploading site media:', error);
+          failedUploads.push(file.file.name);
+        }
+      }
+
+      resetForm();
+      await fetchAssessments();
+
+      if (failedUploads.length > 0) {
+        showToast(
+          'Assessment saved, some uploads failed',
+          `Edit the assessment to add ${failedUploads.join(', ')} again`,
+          'warning'
+        );
+      } else {
+        showToast(editing ? 'Site assessment updated' : 'Site assessment submitted successfully', undefined, 'success');
+      }
     } catch (error) {
       console.error('Error submitting site assessment:', error);
-      showToast('Error submitting assessment', 'Please try again later', 'error');
+      showToast('Error submitting assessment', error instanceof Error ? error.message : 'Please try again later', 'error');
+    } finally {
+      setIsSubmitting(false);
     }
   };
-  
-  // Clean up preview URLs when component unmounts
-  React.useEffect(() => {
+
+  // Clean up preview and thumbnail URLs when component unmounts
+  useEffect(() => {
     return () => {
-      files.forEach(file => {
+      filesRef.current.forEach(file => {
         URL.revokeObjectURL(file.preview);
       });
+      Object.values(thumbnailsRef.current).forEach(url => URL.revokeObjectURL(url));
     };
   }, []);
-  
-  if (!user || (user.role !== 'sales_agent' && user.role !== 'operator' && user.role !== 'admin')) {
+
+  const renderMeasurements = (item: ChecklistItem) => {
+    switch (item.id) {
+      case 'ground_bearing':
+        return (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+            <Select
+              label="Ground type"
+              options={GROUND_TYPE_OPTIONS}
+              value={checklist.groundType}
+              onChange={(value) => updateChecklist('groundType', value)}
+            />
+            <Input
+              label="Bearing capacity (t/m²)"
+              type="number"
+              min={0}
+              step="0.1"
+              value={checklist.groundBearingCapacity}
+              onChange={(e) => updateChecklist('groundBearingCapacity', e.target.value)}
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={checklist.groundMatsRequired}
+                onChange={(e) => updateChecklist('groundMatsRequired', e.target.checked)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Ground mats / outrigger pads required
+            </label>
+          </div>
+        );
+      case 'overhead_lines':
+        return (
+          <div className="space-y-3 mt-3">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={checklist.overheadLinesPresent}
+                onChange={(e) => updateChecklist('overheadLinesPresent', e.target.checked)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Overhead lines near the setup area
+            </label>
+            {checklist.overheadLinesPresent && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <Input
+                  label="Clearance (m)"
+                  type="number"
+                  min={0}
+                  step="0.1"
+                  value={checklist.overheadLineClearanceM}
+                  onChange={(e) => updateChecklist('overheadLineClearanceM', e.target.value)}
+                />
+                <Input
+                  label="Voltage (kV)"
+                  type="number"
+                  min={0}
+                  step="0.1"
+                  value={checklist.overheadLineVoltageKv}
+                  onChange={(e) => updateChecklist('overheadLineVoltageKv', e.target.value)}
+                />
+              </div>
+            )}
+          </div>
+        );
+      case 'access':
+        return (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+            <Input
+              label="Access width (m)"
+              type="number"
+              min={0}
+              step="0.1"
+              value={checklist.accessWidthM}
+              onChange={(e) => updateChecklist('accessWidthM', e.target.value)}
+            />
+            <Input
+              label="Height clearance (m)"
+              type="number"
+              min={0}
+              step="0.1"
+              value={checklist.accessHeightM}
+              onChange={(e) => updateChecklist('accessHeightM', e.target.value)}
+            />
+          </div>
+        );
+      case 'slope':
+        return (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+            <Input
+              label="Slope (degrees)"
+              type="number"
+              min={0}
+              max={89}
+              step="0.5"
+              value={checklist.slopeDegrees}
+              onChange={(e) => updateChecklist('slopeDegrees', e.target.value)}
+            />
+          </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (!user || !ASSESSMENT_ROLES.includes(user.role)) {
     return (
       <div className="p-4 text-center text-gray-500">
         You don't have permission to access this page.
       </div>
     );
   }
-  
+
+  const storedMedia = editing?.media || [];
+  const mediaCount = files.length + storedMedia.length;
+
   return (
     <div className="space-y-6">
+      {editing && (
+        <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg p-3">
+          <p className="text-sm text-blue-800">
+            Editing <span className="font-medium">{editing.title}</span>
+            {editing.quotations.length > 0 && ` (priced on ${editing.quotations.map(q => q.quotationNumber || q.id).join(', ')})`}
+          </p>
+          <Button variant="outline" size="sm" onClick={resetForm}>
+            Cancel Edit
+          </Button>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Media Upload Section */}
         <Card>
@@ -343,10 +650,10 @@ export function SiteAssessment() {
                 type="file"
                 className="hidden"
                 multiple
-                accept="image/jpeg,image/png,image/webp,video/mp4,video/quicktime"
+                accept={SITE_MEDIA_TYPES.join(',')}
                 onChange={handleFileSelect}
               />
-              
+
               <div className="space-y-4">
                 <div className="flex justify-center">
                   <Upload className="h-12 w-12 text-gray-400" />
@@ -363,11 +670,57 @@ export function SiteAssessment() {
                   </p>
                 </div>
                 <p className="text-xs text-gray-400">
-                  Supported formats: JPEG, PNG, MP4 (max 10MB)
+                  Supported formats: JPEG, PNG, WebP, MP4, MOV (max {MAX_SITE_MEDIA_SIZE_MB}MB)
                 </p>
               </div>
             </div>
-            
+
+            {storedMedia.length > 0 && (
+              <div className="mt-6 grid grid-cols-2 sm:grid-cols-3 gap-4">
+                {storedMedia.map((media) => (
+                  <div
+                    key={media.id}
+                    className="relative group rounded-lg overflow-hidden border border-gray-200"
+                  >
+                    {thumbnails[media.id] ? (
+                      <img
+                        src={thumbnails[media.id]}
+                        alt={media.caption || media.fileName || 'Site media'}
+                        className="w-full h-32 object-cover"
+                      />
+                    ) : (
+                      <div className="w-full h-32 bg-gray-100 flex items-center justify-center text-gray-400">
+                        {media.mediaType === 'video' ? <FileImage size={24} /> : <Camera size={24} />}
+                      </div>
+                    )}
+
+                    <div className="absolute inset-0 bg-black/40 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center gap-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-white hover:text-white hover:bg-black/20"
+                        onClick={() => openMedia(media.id)}
+                      >
+                        <FileImage size={16} />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-white hover:text-white hover:bg-black/20"
+                        onClick={() => handleDeleteMedia(media.id)}
+                      >
+                        <Trash2 size={16} />
+                      </Button>
+                    </div>
+
+                    <div className="absolute bottom-0 left-0 right-0 bg-black/60 text-white text-xs p-1 truncate">
+                      {media.mediaType === 'video' ? 'Video: ' : ''}{media.caption || media.fileName}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {files.length > 0 && (
               <div className="mt-6 grid grid-cols-2 sm:grid-cols-3 gap-4">
                 {files.map((file) => (
@@ -387,7 +740,7 @@ export function SiteAssessment() {
                         className="w-full h-32 object-cover"
                       />
                     )}
-                    
+
                     <div className="absolute inset-0 bg-black/40 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center gap-2">
                       {file.file.type.startsWith('image/') && (
                         <Button
@@ -411,7 +764,7 @@ export function SiteAssessment() {
                         <Trash2 size={16} />
                       </Button>
                     </div>
-                    
+
                     <div className="absolute bottom-0 left-0 right-0 bg-black/60 text-white text-xs p-1 truncate">
                       {file.file.name}
                     </div>
@@ -421,67 +774,70 @@ export function SiteAssessment() {
             )}
           </CardContent>
         </Card>
-        
-        {/* Constraints Section */}
+
+        {/* Constraints Checklist Section */}
         <Card>
           <CardHeader>
             <CardTitle>Site Constraints</CardTitle>
           </CardHeader>
           <CardContent>
             <div className="space-y-4">
-              {SITE_CONSTRAINTS.map((constraint) => (
-                <div
-                  key={constraint.id}
-                  className={`p-4 rounded-lg border transition-colors ${
-                    selectedConstraints.some(c => c.id === constraint.id)
-                      ? 'border-primary-500 bg-primary-50'
-                      : 'border-gray-200 hover:border-gray-300'
-                  }`}
-                >
-                  <div className="flex items-start gap-3">
-                    <button
-                      className={`flex-shrink-0 w-5 h-5 rounded-full border-2 transition-colors ${
-                        selectedConstraints.some(c => c.id === constraint.id)
-                          ? 'border-primary-500 bg-primary-500'
-                          : 'border-gray-300'
-                      }`}
-                      onClick={() => toggleConstraint(constraint)}
-                    >
-                      {selectedConstraints.some(c => c.id === constraint.id) && (
-                        <Check className="text-white h-4 w-4" />
-                      )}
-                    </button>
-                    
-                    <div className="flex-1">
-                      <label className="font-medium text-gray-900">
-                        {constraint.label}
-                      </label>
-                      {constraint.description && (
+              {SITE_CHECKLIST.map((item) => {
+                const isFlagged = flaggedConstraints.includes(item.id);
+                return (
+                  <div
+                    key={item.id}
+                    className={`p-4 rounded-lg border transition-colors ${
+                      isFlagged
+                        ? 'border-primary-500 bg-primary-50'
+                        : 'border-gray-200 hover:border-gray-300'
+                    }`}
+                  >
+                    <div className="flex items-start gap-3">
+                      <button
+                        type="button"
+                        title={isFlagged ? 'Flagged as a problem on site' : 'Flag as a problem on site'}
+                        className={`flex-shrink-0 w-5 h-5 rounded-full border-2 transition-colors ${
+                          isFlagged
+                            ? 'border-primary-500 bg-primary-500'
+                            : 'border-gray-300'
+                        }`}
+                        onClick={() => toggleConstraint(item.id)}
+                      >
+                        {isFlagged && (
+                          <Check className="text-white h-4 w-4" />
+                        )}
+                      </button>
+
+                      <div className="flex-1">
+                        <label className="font-medium text-gray-900">
+                          {item.label}
+                        </label>
                         <p className="text-sm text-gray-500 mt-1">
-                          {constraint.description}
+                          {item.description}
                         </p>
-                      )}
-                      
-                      {selectedConstraints.some(c => c.id === constraint.id) && (
-                        <TextArea
-                          className="mt-3"
-                          placeholder="Add notes about this constraint..."
-                          value={
-                            selectedConstraints.find(c => c.id === constraint.id)?.notes || ''
-                          }
-                          onChange={(e) => updateConstraintNotes(constraint.id, e.target.value)}
-                          rows={2}
-                        />
-                      )}
+
+                        {renderMeasurements(item)}
+
+                        {(isFlagged || constraintNotes[item.noteKey]) && (
+                          <TextArea
+                            className="mt-3"
+                            placeholder="Add notes about this constraint..."
+                            value={constraintNotes[item.noteKey] || ''}
+                            onChange={(e) => updateConstraintNotes(item.noteKey, e.target.value)}
+                            rows={2}
+                          />
+                        )}
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           </CardContent>
         </Card>
       </div>
-      
+
       {/* Remote Assessment Section */}
       <Card>
         <CardHeader>
@@ -509,7 +865,7 @@ export function SiteAssessment() {
           </div>
         </CardContent>
       </Card>
-      
+
       {/* Site Details Section */}
       <Card>
         <CardHeader>
@@ -517,7 +873,7 @@ export function SiteAssessment() {
         </CardHeader>
         <CardContent>
           <div className="space-y-4">
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Title *
@@ -531,12 +887,35 @@ export function SiteAssessment() {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Customer ID
+                  Customer
                 </label>
-                <Input
+                <Select
+                  options={[
+                    { value: '', label: 'Select customer' },
+                    ...customers.map(customer => ({ value: customer.id, label: customer.name })),
+                  ]}
                   value={customerId}
-                  onChange={(e) => setCustomerId(e.target.value)}
-                  placeholder="Enter customer ID if available"
+                  onChange={setCustomerId}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Lead
+                </label>
+                <Select
+                  options={[
+                    { value: '', label: 'Select lead' },
+                    ...leads.map(lead => ({
+                      value: lead.id,
+                      label: `${lead.customerName}${lead.siteLocation ? ` - ${lead.siteLocation}` : ''}`,
+                    })),
+                  ]}
+                  value={leadId}
+                  onChange={(value) => {
+                    setLeadId(value);
+                    const lead = leads.find(item => item.id === value);
+                    if (lead && !location && lead.siteLocation) setLocation(lead.siteLocation);
+                  }}
                 />
               </div>
             </div>
@@ -551,6 +930,37 @@ export function SiteAssessment() {
                 required
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Lift requirements
+              </label>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <Input
+                  label="Heaviest load (t)"
+                  type="number"
+                  min={0}
+                  step="0.1"
+                  value={checklist.liftLoadTons}
+                  onChange={(e) => updateChecklist('liftLoadTons', e.target.value)}
+                />
+                <Input
+                  label="Working radius (m)"
+                  type="number"
+                  min={0}
+                  step="0.1"
+                  value={checklist.liftRadiusM}
+                  onChange={(e) => updateChecklist('liftRadiusM', e.target.value)}
+                />
+                <Input
+                  label="Hook height (m)"
+                  type="number"
+                  min={0}
+                  step="0.1"
+                  value={checklist.liftHeightM}
+                  onChange={(e) => updateChecklist('liftHeightM', e.target.value)}
+                />
+              </div>
+            </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Description
@@ -562,21 +972,38 @@ export function SiteAssessment() {
                 rows={3}
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Notes
+              </label>
+              <TextArea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Recommendations for the lift plan"
+                rows={2}
+              />
+            </div>
           </div>
         </CardContent>
       </Card>
 
       {/* Submit Section */}
-      <div className="flex justify-end mt-6">
+      <div className="flex justify-end gap-3 mt-6">
+        {editing && (
+          <Button variant="outline" onClick={resetForm} disabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
         <Button
           onClick={handleSubmit}
           className="flex items-center gap-2"
+          disabled={isSubmitting}
         >
           <Send size={16} />
-          Submit Assessment
+          {isSubmitting ? 'Saving...' : editing ? 'Save Changes' : 'Submit Assessment'}
         </Button>
       </div>
-      
+
       {/* Summary Section */}
       <Card>
         <CardHeader>
@@ -586,10 +1013,21 @@ export function SiteAssessment() {
           <div className="space-y-6">
             <div>
               <h3 className="text-sm font-medium text-gray-700 mb-2">
-                Uploaded Media ({files.length})
+                Media ({mediaCount})
               </h3>
-              {files.length > 0 ? (
+              {mediaCount > 0 ? (
                 <div className="flex flex-wrap gap-2">
+                  {storedMedia.map((media) => (
+                    <div
+                      key={media.id}
+                      className="text-sm text-gray-600 bg-gray-100 rounded-full px-3 py-1 flex items-center gap-2"
+                    >
+                      {media.mediaType === 'image' ? <Camera size={14} /> : <FileImage size={14} />}
+                      <span className="truncate max-w-[200px]">
+                        {media.caption || media.fileName}
+                      </span>
+                    </div>
+                  ))}
                   {files.map((file) => (
                     <div
                       key={file.id}
@@ -601,7 +1039,7 @@ export function SiteAssessment() {
                         <FileImage size={14} />
                       )}
                       <span className="truncate max-w-[200px]">
-                        {file.file.name}
+                        {file.file.name} (not uploaded yet)
                       </span>
                     </div>
                   ))}
@@ -610,38 +1048,95 @@ export function SiteAssessment() {
                 <p className="text-sm text-gray-500">No media uploaded yet</p>
               )}
             </div>
-            
+
             <div>
               <h3 className="text-sm font-medium text-gray-700 mb-2">
-                Tagged Constraints ({selectedConstraints.length})
+                Flagged Constraints ({flaggedConstraints.length})
               </h3>
-              {selectedConstraints.length > 0 ? (
+              {flaggedConstraints.length > 0 ? (
                 <div className="space-y-3">
-                  {selectedConstraints.map((constraint) => (
+                  {SITE_CHECKLIST.filter(item => flaggedConstraints.includes(item.id)).map((item) => (
                     <div
-                      key={constraint.id}
+                      key={item.id}
                       className="bg-gray-50 rounded-lg p-3"
                     >
                       <div className="flex items-center gap-2 text-sm font-medium text-gray-900">
                         <Tag size={14} />
-                        {constraint.label}
+                        {item.label}
                       </div>
-                      {constraint.notes && (
+                      {constraintNotes[item.noteKey] && (
                         <p className="mt-1 text-sm text-gray-600">
-                          {constraint.notes}
+                          {constraintNotes[item.noteKey]}
                         </p>
                       )}
                     </div>
                   ))}
                 </div>
               ) : (
-                <p className="text-sm text-gray-500">No constraints tagged yet</p>
+                <p className="text-sm text-gray-500">No constraints flagged yet</p>
               )}
             </div>
           </div>
         </CardContent>
       </Card>
-      
+
+      {/* Existing Assessments Section */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Site Assessments</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : existingAssessments.length === 0 ? (
+            <p className="text-sm text-gray-500">No site assessments yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 pr-4 font-medium">Title</th>
+                    <th className="py-1 pr-4 font-medium">For</th>
+                    <th className="py-1 pr-4 font-medium">Location</th>
+                    <th className="py-1 pr-4 font-medium">Flagged</th>
+                    <th className="py-1 pr-4 font-medium text-right">Media</th>
+                    <th className="py-1 pr-4 font-medium">Created</th>
+                    <th className="py-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {existingAssessments.map(assessment => (
+                    <tr key={assessment.id} className="border-t border-gray-100 align-top">
+                      <td className="py-2 pr-4 font-medium text-gray-900">{assessment.title}</td>
+                      <td className="py-2 pr-4">
+                        {assessment.customerName || assessment.leadName || '-'}
+                        {assessment.jobTitle && <div className="text-xs text-gray-500">Job: {assessment.jobTitle}</div>}
+                      </td>
+                      <td className="py-2 pr-4">{assessment.location}</td>
+                      <td className="py-2 pr-4">
+                        {assessment.constraints.length > 0
+                          ? SITE_CHECKLIST.filter(item => assessment.constraints.includes(item.id)).map(item => item.label).join(', ')
+                          : '-'}
+                      </td>
+                      <td className="py-2 pr-4 text-right">{assessment.mediaCount}</td>
+                      <td className="py-2 pr-4 whitespace-nowrap">{format(new Date(assessment.createdAt), 'MMM d, yyyy')}</td>
+                      <td className="py-2 whitespace-nowrap text-right">
+                        <Button variant="ghost" size="sm" onClick={() => handleEdit(assessment.id)}>
+                          <Edit2 size={14} />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(assessment)}>
+                          <Trash2 size={14} />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Image Annotation Modal */}
       <AnimatePresence>
         {isAnnotating && selectedImage && (
@@ -669,7 +1164,7 @@ export function SiteAssessment() {
                   <X size={20} />
                 </Button>
               </div>
-              
+
               <div className="p-4">
                 <div className="relative">
                   <img
@@ -679,7 +1174,7 @@ export function SiteAssessment() {
                   />
                   {/* Annotation canvas would go here */}
                 </div>
-                
+
                 <div className="mt-4 flex justify-end gap-3">
                   <Button variant="outline" onClick={() => {
                     setIsAnnotating(false);
@@ -701,7 +1196,7 @@ export function SiteAssessment() {
           </motion.div>
         )}
       </AnimatePresence>
-      
+
       {/* Toast Notifications */}
       {toast.show && (
         <Toast
@@ -714,4 +1209,4 @@ export function SiteAssessment() {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
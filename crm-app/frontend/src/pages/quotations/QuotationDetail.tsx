@@ -1,7 +1,25 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Button } from '../../components/ui/button';
-import { ArrowLeft, Edit, FileText, Settings, Eye, Printer, Download } from 'lucide-react';
+import { ArrowLeft, Edit, FileText, Settings, Eye, Printer, Download, Mail } from 'lucide-react';
+import { useAuthStore } from '../../store/authStore';
+import { getHeaders } from '../../services/apiHeaders';
+import {
+  convertQuotationToJob,
+  createQuotationAcceptanceLink,
+  decideQuotationApproval,
+  emailQuotationPdf,
+  extendQuotationValidity,
+  getQuotationAcceptance,
+  getQuotationApprovals,
+  getQuotationEmails,
+  QuotationAcceptance,
+  QuotationApproval,
+  QuotationEmail,
+  QuotationTaxBreakdown
+} from '../../services/quotation';
+import { createInvoiceFromQuotation } from '../../services/invoice';
+import { QuotationSiteAssessment } from '../../components/quotations/QuotationSiteAssessment';
 interface Quotation {
   id: string;
   quotation_number?: string; // Add human-readable quotation number
@@ -22,6 +40,10 @@ interface Quotation {
   risk_adjustment?: number;
   risk_usage_total?: number;
   gst_amount?: number;
+  tax?: QuotationTaxBreakdown;
+  valid_until?: string | null;
+  customer_id?: string | null;
+  site_assessment_id?: string | null;
   created_at: string;
 }
 
@@ -35,6 +57,16 @@ const QuotationDetail: React.FC = () => {
   const [availableTemplates, setAvailableTemplates] = useState<any[]>([]);
   const [selectedTemplate, setSelectedTemplate] = useState<string>('default');
   const [isTemplateLoading, setIsTemplateLoading] = useState(false);
+  const [pendingApproval, setPendingApproval] = useState<QuotationApproval | null>(null);
+  const [approvalReason, setApprovalReason] = useState('');
+  const [acceptance, setAcceptance] = useState<QuotationAcceptance | null>(null);
+  const [acceptanceLinkUrl, setAcceptanceLinkUrl] = useState<string | null>(null);
+  const [emails, setEmails] = useState<QuotationEmail[]>([]);
+  const [isEmailFormOpen, setIsEmailFormOpen] = useState(false);
+  const [isSendingEmail, setIsSendingEmail] = useState(false);
+  const [emailForm, setEmailForm] = useState({ to: '', cc: '', bcc: '', subject: '', message: '' });
+  const { user } = useAuthStore();
+  const canApprove = user?.role === 'admin' || user?.role === 'operations_manager';
   
   // Ref for the preview iframe
   const previewFrameRef = useRef<HTMLIFrameElement>(null);
@@ -43,9 +75,38 @@ const QuotationDetail: React.FC = () => {
     if (id) {
       fetchQuotation(id);
       loadAvailableTemplates();
+      loadEmails(id);
     }
   }, [id]);
 
+  useEffect(() => {
+    if (id && quotation?.status === 'pending_approval') {
+      getQuotationApprovals(id)
+        .then(approvals => setPendingApproval(approvals.find(a => a.status === 'pending') || null))
+        .catch(error => console.warn('Could not load approval request:', error));
+    } else {
+      setPendingApproval(null);
+    }
+  }, [id, quotation?.status]);
+
+  useEffect(() => {
+    if (id && ['sent', 'accepted', 'rejected'].includes(quotation?.status || '')) {
+      getQuotationAcceptance(id)
+        .then(result => setAcceptance(result.acceptance))
+        .catch(error => console.warn('Could not load customer acceptance:', error));
+    } else {
+      setAcceptance(null);
+    }
+  }, [id, quotation?.status]);
+
+  const loadEmails = async (quotationId: string) => {
+    try {
+      setEmails(await getQuotationEmails(quotationId));
+    } catch (error) {
+      console.warn('Could not load email history:', error);
+    }
+  };
+
   const loadAvailableTemplates = async () => {
     try {
       const response = await fetch('/api/templates/enhanced/list', {
@@ -106,7 +167,11 @@ const QuotationDetail: React.FC = () => {
           number_of_days: data.data.numberOfDays || data.data.number_of_days,
           working_hours: data.data.workingHours || data.data.working_hours,
           total_cost: data.data.totalCost || data.data.total_cost,
-          created_at: data.data.createdAt || data.data.created_at
+          gst_amount: data.data.gstAmount ?? data.data.gst_amount,
+          created_at: data.data.createdAt || data.data.created_at,
+          valid_until: data.data.validUntil || data.data.valid_until || null,
+          customer_id: data.data.customerId || data.data.customer_id || null,
+          site_assessment_id: data.data.siteAssessmentId || data.data.site_assessment_id || null
         };
         console.log('📋 Mapped quotation data:', mappedQuotation);
         setQuotation(mappedQuotation);
@@ -340,19 +405,21 @@ const QuotationDetail: React.FC = () => {
     try {
       if (!id) return;
       
-      const response = await fetch(`/api/quotations/${id}`, {
+      const response = await fetch(`/api/quotations/${id}/status`, {
         method: 'PUT',
         headers: {
-          'Content-Type': 'application/json',
+          ...getHeaders(),
           'X-Bypass-Auth': 'development-only-123'
         },
         body: JSON.stringify({ status: newStatus })
       });
 
       if (response.ok) {
-        // Update local state
-        setQuotation(prev => prev ? { ...prev, status: newStatus } : null);
-        alert(`Quotation status updated to ${newStatus}`);
+        // The server may hold the quotation for discount approval instead of sending it
+        const result = await response.json();
+        const appliedStatus = result.data?.status || newStatus;
+        setQuotation(prev => prev ? { ...prev, status: appliedStatus } : null);
+        alert(appliedStatus === newStatus ? `Quotation status updated to ${newStatus}` : result.message);
       } else {
         throw new Error('Failed to update status');
       }
@@ -362,6 +429,113 @@ const QuotationDetail: React.FC = () => {
     }
   };
 
+  const handleApprovalDecision = async (decision: 'approve' | 'reject') => {
+    if (!id) return;
+    if (!approvalReason.trim()) {
+      alert('Please enter a reason for this decision.');
+      return;
+    }
+    try {
+      const result = await decideQuotationApproval(id, decision, approvalReason.trim());
+      setQuotation(prev => prev ? { ...prev, status: result.status } : null);
+      setApprovalReason('');
+      alert(decision === 'approve' ? 'Discount approved and quotation sent' : 'Discount rejected; quotation returned to draft');
+    } catch (error) {
+      console.error('Error deciding approval:', error);
+      alert(error instanceof Error ? error.message : 'Failed to record approval decision');
+    }
+  };
+
+  const handleExtendValidity = async () => {
+    if (!id) return;
+    const reason = window.prompt('Reason for extending the validity (optional):');
+    if (reason === null) return;
+    try {
+      const result = await extendQuotationValidity(id, { reason: reason.trim() || undefined });
+      setQuotation(prev => prev ? { ...prev, status: result.status, valid_until: result.validUntil } : null);
+      alert(`Quotation is now valid until ${formatDate(result.validUntil)}`);
+    } catch (error) {
+      console.error('Error extending validity:', error);
+      alert(error instanceof Error ? error.message : 'Failed to extend quotation validity');
+    }
+  };
+
+  const handleCreateAcceptanceLink = async () => {
+    if (!id) return;
+    try {
+      const link = await createQuotationAcceptanceLink(id);
+      setAcceptanceLinkUrl(link.url || null);
+      if (link.url && navigator.clipboard) {
+        await navigator.clipboard.writeText(link.url).catch(() => undefined);
+      }
+      alert('Acceptance link created. Share it with the customer; earlier links no longer work.');
+    } catch (error) {
+      console.error('Error creating acceptance link:', error);
+      alert(error instanceof Error ? error.message : 'Failed to create acceptance link');
+    }
+  };
+
+  const openEmailForm = () => {
+    if (!quotation) return;
+    setEmailForm({
+      to: quotation.customer_email || '',
+      cc: '',
+      bcc: '',
+      subject: '',
+      message: ''
+    });
+    setIsEmailFormOpen(true);
+  };
+
+  const handleSendEmail = async () => {
+    if (!id || !emailForm.to.trim()) {
+      alert('Please enter at least one recipient');
+      return;
+    }
+    setIsSendingEmail(true);
+    try {
+      const result = await emailQuotationPdf(id, {
+        emailTo: emailForm.to,
+        cc: emailForm.cc || undefined,
+        bcc: emailForm.bcc || undefined,
+        subject: emailForm.subject.trim() || undefined,
+        message: emailForm.message.trim() || undefined,
+        templateId: selectedTemplate && selectedTemplate !== 'default' ? selectedTemplate : undefined
+      });
+      setQuotation(prev => prev ? { ...prev, status: result.status } : null);
+      setIsEmailFormOpen(false);
+      alert(`Quotation emailed to ${result.email.to.join(', ')}`);
+    } catch (error) {
+      console.error('Error emailing quotation:', error);
+      alert(error instanceof Error ? error.message : 'Failed to email quotation');
+    } finally {
+      setIsSendingEmail(false);
+      loadEmails(id);
+    }
+  };
+
+  const handleCreateInvoice = async () => {
+    if (!id) return;
+    try {
+      const invoice = await createInvoiceFromQuotation(id);
+      navigate(`/invoices?open=${invoice.id}`);
+    } catch (error) {
+      console.error('Error creating invoice:', error);
+      alert(error instanceof Error ? error.message : 'Failed to create invoice');
+    }
+  };
+
+  const handleConvertToJob = async () => {
+    if (!id) return;
+    try {
+      await convertQuotationToJob(id);
+      navigate('/jobs');
+    } catch (error) {
+      console.error('Error converting quotation to job:', error);
+      alert(error instanceof Error ? error.message : 'Failed to convert quotation into a job');
+    }
+  };
+
   const handleCreateDeal = () => {
     if (!quotation) return;
     
@@ -445,6 +619,7 @@ const QuotationDetail: React.FC = () => {
                 </h1>
                 <p className="text-gray-600">
                   Created on {formatDate(quotation.created_at)}
+                  {quotation.valid_until && ` · Valid until ${formatDate(quotation.valid_until)}`}
                 </p>
               </div>
             </div>
@@ -539,10 +714,28 @@ const QuotationDetail: React.FC = () => {
                       <span className="text-gray-700">Risk & Usage Total</span>
                       <span className="font-medium">{formatCurrency(quotation.risk_usage_total)}</span>
                     </div>
-                    <div className="flex items-center justify-between">
-                      <span className="text-gray-700">GST</span>
-                      <span className="font-medium">{formatCurrency(quotation.gst_amount)}</span>
-                    </div>
+                    {quotation.tax && quotation.tax.lines.length > 0 ? (
+                      quotation.tax.lines.map(line => (
+                        <div key={line.key} className="flex items-center justify-between">
+                          <span className="text-gray-700">{line.label}</span>
+                          <span className="font-medium">{formatCurrency(line.amount)}</span>
+                        </div>
+                      ))
+                    ) : (
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-700">GST</span>
+                        <span className="font-medium">{formatCurrency(quotation.gst_amount)}</span>
+                      </div>
+                    )}
+                    {quotation.tax?.placeOfSupply && (
+                      <div className="flex items-center justify-between col-span-2 text-gray-500">
+                        <span>Place of Supply</span>
+                        <span>
+                          {quotation.tax.placeOfSupply} ({quotation.tax.placeOfSupplyCode})
+                          {quotation.tax.customerGstin ? ` · GSTIN ${quotation.tax.customerGstin}` : ''}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex items-center justify-between col-span-2 pt-2 mt-2 border-t">
                       <span className="text-gray-900 font-semibold">Total Cost</span>
                       <span className="text-lg font-bold text-gray-900">{formatCurrency(quotation.total_cost)}</span>
@@ -552,6 +745,14 @@ const QuotationDetail: React.FC = () => {
               </div>
             </div>
 
+            <QuotationSiteAssessment
+              quotationId={quotation.id}
+              siteAssessmentId={quotation.site_assessment_id || null}
+              customerId={quotation.customer_id}
+              canEdit={['admin', 'sales_agent', 'operations_manager'].includes(user?.role || '')}
+              onChange={(siteAssessmentId) => setQuotation(prev => prev ? { ...prev, site_assessment_id: siteAssessmentId } : null)}
+            />
+
             {/* Status Management Section */}
             <div className="bg-white rounded-lg shadow-sm border p-6 mt-6">
               <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -565,11 +766,52 @@ const QuotationDetail: React.FC = () => {
                     quotation.status === 'accepted' ? 'bg-green-100 text-green-800' :
                     quotation.status === 'sent' ? 'bg-blue-100 text-blue-800' :
                     quotation.status === 'rejected' ? 'bg-red-100 text-red-800' :
+                    quotation.status === 'pending_approval' ? 'bg-yellow-100 text-yellow-800' :
+                    quotation.status === 'expired' ? 'bg-orange-100 text-orange-800' :
                     'bg-gray-100 text-gray-800'
                   }`}>
-                    {quotation.status.charAt(0).toUpperCase() + quotation.status.slice(1)}
+                    {quotation.status === 'pending_approval'
+                      ? 'Pending Approval'
+                      : quotation.status.charAt(0).toUpperCase() + quotation.status.slice(1)}
                   </span>
                 </div>
+
+                {quotation.status === 'pending_approval' && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 space-y-2">
+                    <p className="text-sm text-yellow-800">
+                      {pendingApproval
+                        ? `Quoted ${pendingApproval.discountPercent}% below list price (limit ${pendingApproval.thresholdPercent}%). Waiting for approval.`
+                        : 'This quotation is waiting for discount approval.'}
+                    </p>
+                    {canApprove && (
+                      <>
+                        <textarea
+                          value={approvalReason}
+                          onChange={(e) => setApprovalReason(e.target.value)}
+                          placeholder="Reason for approving or rejecting"
+                          className="w-full text-sm border border-gray-300 rounded-md p-2"
+                          rows={2}
+                        />
+                        <div className="grid grid-cols-2 gap-2">
+                          <Button
+                            onClick={() => handleApprovalDecision('approve')}
+                            className="bg-green-600 hover:bg-green-700 text-white"
+                            size="sm"
+                          >
+                            Approve &amp; Send
+                          </Button>
+                          <Button
+                            onClick={() => handleApprovalDecision('reject')}
+                            className="bg-red-600 hover:bg-red-700 text-white"
+                            size="sm"
+                          >
+                            Reject
+                          </Button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
                 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">Update Status</label>
@@ -583,40 +825,84 @@ const QuotationDetail: React.FC = () => {
                         Send to Customer
                       </Button>
                     )}
+                    {/* Accepted and rejected are recorded by the customer through the acceptance link */}
                     {quotation.status === 'sent' && (
-                      <>
-                        <Button 
-                          onClick={() => handleStatusChange('accepted')}
-                          className="bg-green-600 hover:bg-green-700 text-white"
-                          size="sm"
-                        >
-                          Mark Accepted
-                        </Button>
-                        <Button 
-                          onClick={() => handleStatusChange('rejected')}
-                          className="bg-red-600 hover:bg-red-700 text-white"
-                          size="sm"
-                        >
-                          Mark Rejected
-                        </Button>
-                      </>
-                    )}
-                    {(quotation.status === 'accepted' || quotation.status === 'rejected') && (
                       <Button 
                         onClick={() => handleStatusChange('draft')}
                         variant="outline"
                         size="sm"
                       >
-                        Reset to Draft
+                        Back to Draft
                       </Button>
                     )}
                   </div>
                 </div>
                 
+                {['draft', 'pending_approval', 'sent', 'expired'].includes(quotation.status) && (
+                  <div className={`rounded-lg p-3 border ${quotation.status === 'expired' ? 'bg-orange-50 border-orange-200' : 'bg-gray-50 border-gray-200'}`}>
+                    <p className={`text-sm ${quotation.status === 'expired' ? 'text-orange-700' : 'text-gray-700'}`}>
+                      {quotation.status === 'expired'
+                        ? `This quotation expired on ${quotation.valid_until ? formatDate(quotation.valid_until) : 'its validity date'}.`
+                        : `Valid until ${quotation.valid_until ? formatDate(quotation.valid_until) : 'not set'}.`}
+                    </p>
+                    <Button
+                      onClick={handleExtendValidity}
+                      variant="outline"
+                      className="mt-2"
+                      size="sm"
+                    >
+                      Extend Validity
+                    </Button>
+                  </div>
+                )}
+
+                {quotation.status === 'sent' && (
+                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+                    <p className="text-sm text-blue-700">
+                      Let the customer review and sign this quotation online.
+                    </p>
+                    <Button
+                      onClick={handleCreateAcceptanceLink}
+                      variant="outline"
+                      className="mt-2"
+                      size="sm"
+                    >
+                      Generate Acceptance Link
+                    </Button>
+                    {acceptanceLinkUrl && (
+                      <input
+                        readOnly
+                        value={acceptanceLinkUrl}
+                        onFocus={(e) => e.target.select()}
+                        className="mt-2 w-full text-xs border border-blue-200 rounded-md p-2 bg-white"
+                      />
+                    )}
+                  </div>
+                )}
+
+                {acceptance && acceptance.decision === quotation.status && (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-1">
+                    <p className="text-sm font-medium text-gray-900">
+                      {acceptance.decision === 'accepted' ? 'Accepted' : 'Rejected'} online by {acceptance.signerName}
+                    </p>
+                    {acceptance.signatureType === 'drawn' ? (
+                      <img src={acceptance.signatureData} alt="Customer signature" className="max-h-16 bg-white border border-gray-200 rounded" />
+                    ) : (
+                      <p className="text-lg italic text-gray-800">{acceptance.signatureData}</p>
+                    )}
+                    <p className="text-xs text-gray-500">
+                      {new Date(acceptance.signedAt).toLocaleString('en-IN')}{acceptance.ipAddress ? ` · IP ${acceptance.ipAddress}` : ''}
+                    </p>
+                    {acceptance.comment && (
+                      <p className="text-sm text-gray-700">"{acceptance.comment}"</p>
+                    )}
+                  </div>
+                )}
+
                 {quotation.status === 'accepted' && (
                   <div className="bg-green-50 border border-green-200 rounded-lg p-3">
                     <p className="text-sm text-green-700">
-                      ✅ This quotation has been accepted. Consider creating a deal from this quotation.
+                      ✅ This quotation has been accepted. Consider creating a deal, a job or an invoice from this quotation.
                     </p>
                     <Button 
                       onClick={() => handleCreateDeal()}
@@ -625,6 +911,20 @@ const QuotationDetail: React.FC = () => {
                     >
                       Create Deal
                     </Button>
+                    <Button 
+                      onClick={handleCreateInvoice}
+                      className="mt-2 ml-2 bg-white text-green-700 border border-green-600 hover:bg-green-50"
+                      size="sm"
+                    >
+                      Create Invoice
+                    </Button>
+                    <Button 
+                      onClick={handleConvertToJob}
+                      className="mt-2 ml-2 bg-white text-green-700 border border-green-600 hover:bg-green-50"
+                      size="sm"
+                    >
+                      Convert to Job
+                    </Button>
                   </div>
                 )}
               </div>
@@ -725,7 +1025,7 @@ const QuotationDetail: React.FC = () => {
         {/* Quick Actions */}
         <div className="bg-white rounded-lg shadow-sm border p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
             <Button
               onClick={handlePreview}
               className={`flex items-center justify-center space-x-2 ${isPreviewOpen ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-white text-blue-600 border border-blue-600 hover:bg-blue-50'}`}
@@ -747,6 +1047,13 @@ const QuotationDetail: React.FC = () => {
               <Download className="h-4 w-4" />
               <span>Download PDF</span>
             </Button>
+            <Button
+              onClick={openEmailForm}
+              className="flex items-center justify-center space-x-2 bg-white text-blue-600 border border-blue-600 hover:bg-blue-50"
+            >
+              <Mail className="h-4 w-4" />
+              <span>Email PDF</span>
+            </Button>
             <Button 
               onClick={() => navigate(`/quotation-creation?edit=${quotation.id}`)}
               className="flex items-center justify-center space-x-2"
@@ -756,6 +1063,96 @@ const QuotationDetail: React.FC = () => {
               <span>Edit Quotation</span>
             </Button>
           </div>
+
+          {isEmailFormOpen && (
+            <div className="mt-6 border-t pt-4 space-y-3">
+              <h4 className="font-medium text-gray-900">Email Quotation PDF</h4>
+              <p className="text-xs text-gray-500">Separate multiple addresses with commas.</p>
+              {([
+                ['to', 'To *'],
+                ['cc', 'Cc'],
+                ['bcc', 'Bcc'],
+                ['subject', 'Subject (optional)']
+              ] as const).map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    value={emailForm[field]}
+                    onChange={(e) => setEmailForm(prev => ({ ...prev, [field]: e.target.value }))}
+                    className="w-full text-sm border border-gray-300 rounded-md p-2"
+                  />
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Message (optional)</label>
+                <textarea
+                  value={emailForm.message}
+                  onChange={(e) => setEmailForm(prev => ({ ...prev, message: e.target.value }))}
+                  rows={4}
+                  className="w-full text-sm border border-gray-300 rounded-md p-2"
+                />
+              </div>
+              <div className="flex space-x-2">
+                <Button
+                  onClick={handleSendEmail}
+                  disabled={isSendingEmail}
+                  className="bg-blue-600 hover:bg-blue-700 text-white"
+                  size="sm"
+                >
+                  {isSendingEmail ? 'Sending...' : 'Send Email'}
+                </Button>
+                <Button onClick={() => setIsEmailFormOpen(false)} variant="outline" size="sm">
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {emails.length > 0 && (
+            <div className="mt-6 border-t pt-4">
+              <h4 className="font-medium text-gray-900 mb-2">Email History</h4>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1 pr-4">Date</th>
+                      <th className="py-1 pr-4">To</th>
+                      <th className="py-1 pr-4">Subject</th>
+                      <th className="py-1 pr-4">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {emails.map(email => (
+                      <tr key={email.id} className="border-t align-top">
+                        <td className="py-1 pr-4 whitespace-nowrap">{new Date(email.createdAt).toLocaleString('en-IN')}</td>
+                        <td className="py-1 pr-4">
+                          {email.to.join(', ')}
+                          {email.cc.length > 0 && <div className="text-xs text-gray-500">Cc: {email.cc.join(', ')}</div>}
+                        </td>
+                        <td className="py-1 pr-4">{email.subject}</td>
+                        <td className="py-1 pr-4">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                            email.status === 'sent' ? 'bg-green-100 text-green-800' :
+                            email.status === 'sending' ? 'bg-gray-100 text-gray-800' :
+                            'bg-red-100 text-red-800'
+                          }`}>
+                            {email.status}
+                          </span>
+                          {(email.errorMessage || email.rejectedRecipients.length > 0) && (
+                            <div className="text-xs text-red-600 mt-1">
+                              {email.rejectedRecipients.length > 0
+                                ? email.rejectedRecipients.map(r => `${r.recipient || 'recipient'}: ${r.reason}`).join('; ')
+                                : email.errorMessage}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -28,11 +28,6 @@ export interface ResourceRatesConfig {
 export interface AdditionalParamsConfig {
   riggerAmount: number;
   helperAmount: number;
-  incidentalOptions: Array<{
-    value: string;
-    label: string;
-    amount: number;
-  }>;
   usageFactors: {
     normal: number;
     medium: number;
@@ -47,10 +42,6 @@ export interface AdditionalParamsConfig {
     single: number;
     double: number;
   };
-  dayNightFactors: {
-    day: number;
-    night: number;
-  };
 
   updatedAt?: string;
 }
@@ -0,0 +1,155 @@
+import { getFileUploadHeaders, getHeaders } from './apiHeaders';
+
+export type EquipmentDocumentType =
+  | 'registration'
+  | 'fitness_certificate'
+  | 'insurance'
+  | 'load_test_certificate'
+  | 'third_party_inspection'
+  | 'pollution_certificate'
+  | 'road_tax'
+  | 'other';
+
+export type DocumentExpiryStatus = 'expired' | 'expiring' | 'valid' | 'no_expiry';
+
+export interface EquipmentDocument {
+  id: string;
+  equipmentId: string;
+  equipmentName: string;
+  equipmentCode: string;
+  documentType: EquipmentDocumentType;
+  documentNumber: string | null;
+  issuingAuthority: string | null;
+  issueDate: string | null;
+  expiryDate: string | null;
+  daysLeft: number | null;
+  expiryStatus: DocumentExpiryStatus;
+  isMandatory: boolean;
+  // The latest-expiring document of its type for the crane
+  isCurrent: boolean;
+  hasFile: boolean;
+  fileName: string | null;
+  fileMimeType: string | null;
+  fileSize: number | null;
+  notes: string | null;
+  uploadedBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface EquipmentDocumentInput {
+  equipmentId: string;
+  documentType: EquipmentDocumentType;
+  documentNumber?: string;
+  issuingAuthority?: string;
+  issueDate?: string;
+  expiryDate?: string;
+  isMandatory?: boolean;
+  notes?: string;
+  file?: File | null;
+}
+
+export interface MissingDocument {
+  equipmentId: string;
+  equipmentName: string;
+  equipmentCode: string;
+  documentType: EquipmentDocumentType;
+}
+
+export interface DocumentExpiryDashboard {
+  withinDays: number;
+  summary: { expired: number; expiring: number; missing: number };
+  documents: EquipmentDocument[];
+  missing: MissingDocument[];
+}
+
+export const DOCUMENT_TYPE_LABELS: Record<EquipmentDocumentType, string> = {
+  registration: 'Registration Certificate',
+  fitness_certificate: 'Fitness Certificate',
+  insurance: 'Insurance',
+  load_test_certificate: 'Load Test Certificate',
+  third_party_inspection: 'Third-Party Inspection',
+  pollution_certificate: 'Pollution Certificate',
+  road_tax: 'Road Tax',
+  other: 'Other',
+};
+
+// Mandatory by default; the backend applies the same rule when isMandatory is not sent
+export const MANDATORY_DOCUMENT_TYPES: EquipmentDocumentType[] = ['registration', 'fitness_certificate', 'insurance', 'load_test_certificate'];
+
+export const EXPIRY_STATUS_LABELS: Record<DocumentExpiryStatus, string> = {
+  expired: 'Expired',
+  expiring: 'Expiring',
+  valid: 'Valid',
+  no_expiry: 'No Expiry',
+};
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function documentRequest<T>(path: string, method: string, errorMessage: string, body?: FormData): Promise<T> {
+  const response = await fetch(`${apiUrl()}/equipment-documents${path}`, {
+    method,
+    headers: body ? getFileUploadHeaders() : getHeaders(),
+    body,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+const toFormData = (document: Partial<EquipmentDocumentInput>): FormData => {
+  const formData = new FormData();
+  Object.entries(document).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (key === 'file') {
+      formData.append('file', value as File);
+    } else {
+      formData.append(key, String(value));
+    }
+  });
+  return formData;
+};
+
+export async function getEquipmentDocuments(equipmentId: string): Promise<EquipmentDocument[]> {
+  const params = new URLSearchParams({ equipmentId });
+  return documentRequest<EquipmentDocument[]>(`?${params.toString()}`, 'GET', 'Failed to fetch equipment documents');
+}
+
+export async function getDocumentExpiry(withinDays?: number): Promise<DocumentExpiryDashboard> {
+  const query = withinDays !== undefined ? `?withinDays=${withinDays}` : '';
+  return documentRequest<DocumentExpiryDashboard>(`/expiry${query}`, 'GET', 'Failed to fetch document expiry');
+}
+
+export async function createEquipmentDocument(document: EquipmentDocumentInput): Promise<EquipmentDocument> {
+  return documentRequest<EquipmentDocument>('', 'POST', 'Failed to add document', toFormData(document));
+}
+
+export async function updateEquipmentDocument(
+  documentId: string,
+  changes: Partial<Omit<EquipmentDocumentInput, 'equipmentId'>>
+): Promise<EquipmentDocument> {
+  return documentRequest<EquipmentDocument>(`/${documentId}`, 'PUT', 'Failed to update document', toFormData(changes));
+}
+
+export async function deleteEquipmentDocument(documentId: string): Promise<void> {
+  await documentRequest<void>(`/${documentId}`, 'DELETE', 'Failed to delete document');
+}
+
+// Fetch the uploaded file with the auth headers and open it in a new tab
+export async function openDocumentFile(documentId: string): Promise<void> {
+  const response = await fetch(`${apiUrl()}/equipment-documents/${documentId}/file`, {
+    method: 'GET',
+    headers: getFileUploadHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.message || 'Failed to download document');
+  }
+  const url = URL.createObjectURL(await response.blob());
+  window.open(url, '_blank');
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
@@ -0,0 +1,94 @@
+import { getHeaders } from './apiHeaders';
+import { LiftOption } from './loadCharts';
+import { QuotationSurcharge } from '../types/quotation';
+
+export interface EquipmentRecommendationRequest {
+  // Fills in the category, start date, rental days and lift not given
+  leadId?: string;
+  // Takes the lift from this assessment instead of the lead's latest
+  siteAssessmentId?: string;
+  category?: string;
+  loadTons?: number;
+  radiusM?: number;
+  heightM?: number;
+  riggingTons?: number;
+  safetyMarginPercent?: number;
+  startDate?: string;
+  rentalDays?: number;
+  siteDistance?: number;
+  pricing?: {
+    workingHours?: number;
+    shift?: string;
+    dayNight?: string;
+    sundayWorking?: boolean;
+    usage?: string;
+    riskFactor?: string;
+    foodResources?: number;
+    accomResources?: number;
+    mobRelaxation?: number;
+    extraCharge?: number;
+    surcharges?: QuotationSurcharge[];
+    otherFactors?: string[];
+    includeGst?: boolean;
+    // Prices on this customer's negotiated rate cards
+    customerId?: string;
+  };
+}
+
+export interface EquipmentRecommendation {
+  equipmentId: string;
+  equipmentCode: string;
+  name: string;
+  category: string;
+  maxLiftingCapacity: number;
+  status: string;
+  suitable: boolean;
+  reason: string | null;
+  liftOption: LiftOption | null;
+  // Null when no start date was given
+  available: boolean | null;
+  unavailableReasons: string[];
+  orderType: string;
+  baseRate: number;
+  runningCostPerKm: number;
+  workingCost: number;
+  mobDemobCost: number;
+  totalAmount: number;
+  warnings: string[];
+  recommended: boolean;
+}
+
+export interface EquipmentRecommendationResult {
+  category: string | null;
+  serviceNeeded: string | null;
+  siteAssessmentId: string | null;
+  lift: {
+    totalLoadTons: number;
+    radiusM?: number;
+    heightM?: number | null;
+    safetyMarginPercent?: number;
+    requiredCapacityTons?: number;
+  } | null;
+  startDate: string | null;
+  endDate: string | null;
+  rentalDays: number;
+  siteDistance: number;
+  recommendations: EquipmentRecommendation[];
+  excluded: Pick<EquipmentRecommendation, 'equipmentId' | 'equipmentCode' | 'name' | 'category' | 'maxLiftingCapacity' | 'status' | 'reason'>[];
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+export async function getEquipmentRecommendations(request: EquipmentRecommendationRequest): Promise<EquipmentRecommendationResult> {
+  const response = await fetch(`${apiUrl()}/equipment/recommendations`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to fetch equipment recommendations');
+  }
+  return result.data;
+}
@@ -0,0 +1,90 @@
+import { getHeaders } from './apiHeaders';
+import { CraneCategory } from '../types/equipment';
+
+export type FleetSignal = 'high_demand' | 'underused' | 'loss_making';
+
+export const FLEET_SIGNAL_LABELS: Record<FleetSignal, string> = {
+  high_demand: 'High demand',
+  underused: 'Underused',
+  loss_making: 'Loss making',
+};
+
+export interface FleetFigures {
+  hireDays: number;
+  maintenanceDays: number;
+  availableDays: number;
+  utilizationPercent: number;
+  revenue: number;
+  maintenanceCost: number;
+  runningCost: number;
+  cost: number;
+  margin: number;
+  // Null when there was no revenue
+  marginPercent: number | null;
+}
+
+export interface CraneAnalytics extends FleetFigures {
+  equipmentId: string;
+  equipmentCode: string;
+  name: string;
+  category: CraneCategory;
+  maxLiftingCapacity: number;
+  status: string;
+  jobs: number;
+  invoicedRevenue: number;
+  acceptedRevenue: number;
+  workOrders: number;
+  dieselLitres: number;
+  signal: FleetSignal | null;
+}
+
+export interface FleetAnalytics {
+  from: string;
+  to: string;
+  periodDays: number;
+  config: {
+    dieselPricePerLitre: number;
+    lowUtilizationPercent: number;
+    highUtilizationPercent: number;
+  };
+  totals: FleetFigures & { cranes: number };
+  categories: (FleetFigures & { category: CraneCategory; cranes: number })[];
+  equipment: CraneAnalytics[];
+}
+
+export interface FleetTrendPoint {
+  // YYYY-MM
+  month: string;
+  utilizationPercent: number;
+  hireDays: number;
+  maintenanceDays: number;
+  revenue: number;
+  cost: number;
+  margin: number;
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function analyticsRequest<T>(path: string, params: Record<string, string | number | undefined>, errorMessage: string): Promise<T> {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') query.append(key, String(value));
+  });
+  const response = await fetch(`${apiUrl()}/dashboard/fleet-analytics${path}${query.toString() ? `?${query}` : ''}`, {
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+export async function getFleetAnalytics(params: { from?: string; to?: string; category?: string } = {}): Promise<FleetAnalytics> {
+  return analyticsRequest<FleetAnalytics>('', params, 'Failed to fetch fleet analytics');
+}
+
+export async function getFleetTrend(params: { months?: number; category?: string; equipmentId?: string } = {}): Promise<FleetTrendPoint[]> {
+  return analyticsRequest<FleetTrendPoint[]>('/trend', params, 'Failed to fetch fleet trend');
+}
@@ -0,0 +1,210 @@
+import { getHeaders } from './apiHeaders';
+import { QuotationTaxBreakdown } from './quotation';
+
+export type InvoiceStatus = 'draft' | 'issued' | 'partially_paid' | 'paid' | 'void';
+
+export interface InvoiceItem {
+  id: string;
+  lineNumber: number;
+  description: string;
+  sacCode: string | null;
+  quantity: number;
+  unit: string;
+  rate: number;
+  amount: number;
+}
+
+export interface Invoice {
+  id: string;
+  invoiceNumber: string | null;
+  financialYear: string | null;
+  status: InvoiceStatus;
+  sourceType: 'quotation' | 'job';
+  quotationId: string | null;
+  jobId: string | null;
+  dealId: string | null;
+  customerId: string;
+  customerName: string;
+  customerAddress: string | null;
+  customerGstin: string | null;
+  billingPeriodStart: string | null;
+  billingPeriodEnd: string | null;
+  billableDays: number | null;
+  subtotal: number;
+  tax: QuotationTaxBreakdown;
+  gstAmount: number;
+  totalAmount: number;
+  amountPaid: number;
+  tdsAmount: number;
+  balanceDue: number;
+  issueDate: string | null;
+  dueDate: string | null;
+  notes: string | null;
+  voidReason: string | null;
+  voidedAt: string | null;
+  createdBy: string | null;
+  issuedBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+  items?: InvoiceItem[];
+}
+
+export type PaymentMode = 'cash' | 'cheque' | 'neft' | 'rtgs' | 'imps' | 'upi' | 'card' | 'other';
+
+export interface InvoicePayment {
+  id: string;
+  invoiceId: string;
+  paymentDate: string;
+  amount: number;
+  tdsAmount: number;
+  tdsSection: string | null;
+  mode: PaymentMode;
+  reference: string | null;
+  notes: string | null;
+  recordedBy: string | null;
+  createdAt: string;
+}
+
+export interface InvoicePaymentInput {
+  amount: number;
+  tdsAmount?: number;
+  tdsSection?: string;
+  mode: PaymentMode;
+  reference?: string;
+  paymentDate?: string;
+  notes?: string;
+}
+
+export type AgeingBucketKey = 'current' | 'days0To30' | 'days31To60' | 'days61To90' | 'days90Plus';
+
+export type AgeingAmounts = Record<AgeingBucketKey, number> & { total: number };
+
+export interface ReceivablesAgeingCustomer extends AgeingAmounts {
+  customerId: string;
+  customerName: string;
+  invoices: {
+    id: string;
+    invoiceNumber: string;
+    dueDate: string;
+    daysOverdue: number;
+    balance: number;
+    bucket: AgeingBucketKey;
+  }[];
+}
+
+export interface ReceivablesAgeing {
+  asOf: string;
+  buckets: { key: AgeingBucketKey; label: string }[];
+  customers: ReceivablesAgeingCustomer[];
+  totals: AgeingAmounts;
+}
+
+export const PAYMENT_MODE_LABELS: Record<PaymentMode, string> = {
+  cash: 'Cash',
+  cheque: 'Cheque',
+  neft: 'NEFT',
+  rtgs: 'RTGS',
+  imps: 'IMPS',
+  upi: 'UPI',
+  card: 'Card',
+  other: 'Other',
+};
+
+export const INVOICE_STATUS_LABELS: Record<InvoiceStatus, string> = {
+  draft: 'Draft',
+  issued: 'Issued',
+  partially_paid: 'Partially Paid',
+  paid: 'Paid',
+  void: 'Void',
+};
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function invoiceRequest<T>(path: string, method: string, errorMessage: string, body?: Record<string, any>): Promise<T> {
+  const response = await fetch(`${apiUrl()}/invoices${path}`, {
+    method,
+    headers: body ? { ...getHeaders(), 'Content-Type': 'application/json' } : getHeaders(),
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+export async function getInvoices(
+  filters: { status?: InvoiceStatus; customerId?: string; jobId?: string; quotationId?: string } = {}
+): Promise<Invoice[]> {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  const query = params.toString() ? `?${params.toString()}` : '';
+  return (await invoiceRequest<Invoice[]>(query, 'GET', 'Failed to fetch invoices')) || [];
+}
+
+export async function getInvoiceById(invoiceId: string): Promise<Invoice> {
+  return invoiceRequest<Invoice>(`/${invoiceId}`, 'GET', 'Failed to fetch invoice');
+}
+
+export async function createInvoiceFromQuotation(quotationId: string, notes?: string): Promise<Invoice> {
+  return invoiceRequest<Invoice>(`/from-quotation/${quotationId}`, 'POST', 'Failed to create invoice', { notes });
+}
+
+export async function createInvoiceFromJob(
+  jobId: string,
+  { notes, includeExtraHours = false }: { notes?: string; includeExtraHours?: boolean } = {}
+): Promise<Invoice> {
+  return invoiceRequest<Invoice>(`/from-job/${jobId}`, 'POST', 'Failed to create invoice', { notes, includeExtraHours });
+}
+
+export async function issueInvoice(invoiceId: string): Promise<Invoice> {
+  return invoiceRequest<Invoice>(`/${invoiceId}/issue`, 'POST', 'Failed to issue invoice', {});
+}
+
+export async function voidInvoice(invoiceId: string, reason: string): Promise<Invoice> {
+  return invoiceRequest<Invoice>(`/${invoiceId}/void`, 'POST', 'Failed to void invoice', { reason });
+}
+
+export async function deleteInvoice(invoiceId: string): Promise<void> {
+  await invoiceRequest<void>(`/${invoiceId}`, 'DELETE', 'Failed to delete invoice');
+}
+
+export async function getInvoicePayments(invoiceId: string): Promise<InvoicePayment[]> {
+  return (await invoiceRequest<InvoicePayment[]>(`/${invoiceId}/payments`, 'GET', 'Failed to fetch payments')) || [];
+}
+
+export async function recordInvoicePayment(invoiceId: string, payment: InvoicePaymentInput): Promise<InvoicePayment> {
+  return invoiceRequest<InvoicePayment>(`/${invoiceId}/payments`, 'POST', 'Failed to record payment', { ...payment });
+}
+
+export async function deleteInvoicePayment(invoiceId: string, paymentId: string): Promise<void> {
+  await invoiceRequest<void>(`/${invoiceId}/payments/${paymentId}`, 'DELETE', 'Failed to delete payment');
+}
+
+export async function getReceivablesAgeing(asOf?: string): Promise<ReceivablesAgeing> {
+  const query = asOf ? `?asOf=${encodeURIComponent(asOf)}` : '';
+  return invoiceRequest<ReceivablesAgeing>(`/reports/ageing${query}`, 'GET', 'Failed to fetch receivables ageing');
+}
+
+/**
+ * Opens the invoice PDF (or its printable HTML when the server cannot render PDFs) in a new tab
+ */
+export async function openInvoicePdf(invoiceId: string, templateId?: string): Promise<void> {
+  const query = templateId ? `?templateId=${encodeURIComponent(templateId)}` : '';
+  const response = await fetch(`${apiUrl()}/invoices/${invoiceId}/pdf${query}`, {
+    method: 'GET',
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.error || 'Failed to generate invoice PDF');
+  }
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  window.open(url, '_blank');
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
@@ -1,4 +1,5 @@
 import { getHeaders } from './apiHeaders';
+import { CertificationGap } from './operatorCertifications';
 // Get a job by its ID from the backend API
 export async function getJobById(jobId: string): Promise<Job> {
   const apiUrl = import.meta.env.VITE_API_URL || '/api';
@@ -23,8 +24,100 @@ export const jobApiClient = {
   getJobEquipment,
   getJobOperators,
 };
-// Create a new job via backend API
-export async function createJob(job: Partial<Job>): Promise<Job> {
+export interface JobBooking {
+  jobId: string;
+  jobTitle: string;
+  customerName: string;
+  status: string;
+  scheduledStartDate: string;
+  scheduledEndDate: string;
+}
+
+export interface BookingConflict extends JobBooking {
+  resourceType: 'equipment' | 'operator';
+  resourceId: string;
+  resourceName: string | null;
+}
+
+export interface ResourceAvailability {
+  start: string;
+  end: string;
+  equipment: {
+    id: string;
+    equipmentId: string;
+    name: string;
+    category: string;
+    status: string;
+    available: boolean;
+    bookings: JobBooking[];
+  }[];
+  operators: {
+    id: string;
+    name: string;
+    specialization: string | null;
+    availability: string;
+    available: boolean;
+    bookings: JobBooking[];
+  }[];
+}
+
+// Thrown when equipment or operators are already booked on overlapping jobs
+export class BookingConflictError extends Error {
+  conflicts: BookingConflict[];
+  canOverride: boolean;
+
+  constructor(message: string, conflicts: BookingConflict[], canOverride: boolean) {
+    super(message);
+    this.name = 'BookingConflictError';
+    this.conflicts = conflicts;
+    this.canOverride = canOverride;
+  }
+}
+
+// Thrown when equipment is booked for maintenance; unlike job clashes this cannot be overridden
+export class MaintenanceConflictError extends Error {
+  windows: FleetMaintenanceWindow[];
+
+  constructor(message: string, windows: FleetMaintenanceWindow[]) {
+    super(message);
+    this.name = 'MaintenanceConflictError';
+    this.windows = windows;
+  }
+}
+
+export interface DocumentConflict {
+  equipmentId: string;
+  equipmentName: string | null;
+  documentType: string;
+  expiryDate: string;
+}
+
+// Thrown when a crane's mandatory documents expire before the job ends; cannot be overridden either
+export class DocumentConflictError extends Error {
+  documents: DocumentConflict[];
+
+  constructor(message: string, documents: DocumentConflict[]) {
+    super(message);
+    this.name = 'DocumentConflictError';
+    this.documents = documents;
+  }
+}
+
+// Thrown when certification enforcement is 'block' and operators lack a valid certification for the job's cranes
+export class CertificationConflictError extends Error {
+  gaps: CertificationGap[];
+
+  constructor(message: string, gaps: CertificationGap[]) {
+    super(message);
+    this.name = 'CertificationConflictError';
+    this.gaps = gaps;
+  }
+}
+
+// Create a new job via backend API. Admins can force a double booking with override and a reason.
+export async function createJob(
+  job: Partial<Job> & { override?: boolean; overrideReason?: string }
+): Promise<Job & { certificationWarnings?: CertificationGap[] }> {
   const apiUrl = import.meta.env.VITE_API_URL || '/api';
   const headers = {
     ...getHeaders(),
@@ -41,11 +134,179 @@ export async function createJob(job: Partial<Job>): Promise<Job> {
   if (!response.ok) {
     const errorText = await response.text();
     console.error('Failed to create job:', response.status, errorText);
+    if (response.status === 409) {
+      const result = JSON.parse(errorText || '{}');
+      if (result.maintenanceConflicts) {
+        throw new MaintenanceConflictError(result.error || 'Equipment is booked for maintenance', result.maintenanceConflicts);
+      }
+      if (result.documentConflicts) {
+        throw new DocumentConflictError(result.error || 'Equipment documents expire before the job ends', result.documentConflicts);
+      }
+      if (result.certificationConflicts) {
+        throw new CertificationConflictError(result.error || 'Operators are not certified for the assigned equipment', result.certificationConflicts);
+      }
+      throw new BookingConflictError(result.error || 'Booking conflict', result.conflicts, !!result.canOverride);
+    }
     throw new Error(`Failed to create job: ${errorText}`);
   }
   
   return response.json();
 }
+// Equipment and operator bookings for a date range (excludeJobId leaves out the job being edited)
+export async function getResourceAvailability(start: string, end: string, excludeJobId?: string): Promise<ResourceAvailability> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const params = new URLSearchParams({ start, end });
+  if (excludeJobId) params.set('excludeJobId', excludeJobId);
+  const response = await fetch(`${apiUrl}/jobs/availability?${params.toString()}`, {
+    method: 'GET',
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || 'Failed to fetch availability');
+  }
+  return result.data;
+}
+export interface FleetInterval {
+  type: 'busy' | 'free' | 'maintenance';
+  start: string;
+  end: string;
+  jobIds: string[];
+}
+
+export interface FleetMaintenanceWindow {
+  workOrderId: string;
+  equipmentId: string;
+  title: string;
+  type: 'preventive' | 'breakdown' | 'inspection';
+  status: 'planned' | 'in_progress';
+  start: string;
+  end: string;
+}
+
+export interface FleetEquipmentAvailability {
+  id: string;
+  equipmentId: string;
+  name: string;
+  category: string;
+  maxLiftingCapacity: number;
+  status: 'available' | 'in_use' | 'maintenance';
+  bookings: (JobBooking & { location: string })[];
+  maintenance: FleetMaintenanceWindow[];
+  intervals: FleetInterval[];
+}
+
+export interface FleetAvailability {
+  from: string;
+  to: string;
+  equipment: FleetEquipmentAvailability[];
+}
+
+// Busy/free/maintenance intervals per crane for a date range
+export async function getFleetAvailability(
+  from: string,
+  to: string,
+  filters: { category?: string; minCapacity?: number } = {}
+): Promise<FleetAvailability> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const params = new URLSearchParams({ from, to });
+  if (filters.category) params.set('category', filters.category);
+  if (filters.minCapacity) params.set('minCapacity', String(filters.minCapacity));
+  const response = await fetch(`${apiUrl}/equipment/availability?${params.toString()}`, {
+    method: 'GET',
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to fetch fleet availability');
+  }
+  return result.data;
+}
+// Move a job to a new scheduled window; double bookings are rejected like in createJob
+export async function rescheduleJob(
+  jobId: string,
+  scheduledStartDate: string,
+  scheduledEndDate: string,
+  override?: { overrideReason: string }
+): Promise<void> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/jobs/${jobId}/schedule`, {
+    method: 'PUT',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ scheduledStartDate, scheduledEndDate, ...(override ? { override: true, ...override } : {}) }),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 409 && result.conflicts) {
+    throw new BookingConflictError(result.error || 'Booking conflict', result.conflicts, !!result.canOverride);
+  }
+  if (!response.ok) {
+    throw new Error(result.error || 'Failed to reschedule job');
+  }
+}
+export const JOB_STATUS_LABELS: Record<JobStatus, string> = {
+  pending: 'Pending',
+  scheduled: 'Scheduled',
+  mobilizing: 'Mobilizing',
+  in_progress: 'In Progress',
+  demobilizing: 'Demobilizing',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+// Moves allowed from each status; mirrors JOB_TRANSITIONS in the backend jobLifecycleService
+export const JOB_TRANSITIONS: Record<JobStatus, JobStatus[]> = {
+  pending: ['scheduled', 'cancelled'],
+  scheduled: ['mobilizing', 'cancelled'],
+  mobilizing: ['in_progress', 'cancelled'],
+  in_progress: ['demobilizing'],
+  demobilizing: ['completed'],
+  completed: [],
+  cancelled: [],
+};
+
+export interface JobStatusChange {
+  id: string;
+  fromStatus: JobStatus;
+  toStatus: JobStatus;
+  reason: string | null;
+  changedBy: string | null;
+  changedByName: string | null;
+  changedAt: string;
+}
+
+// Move a job along its lifecycle; cancelling needs a reason. `at` backdates the change.
+export async function changeJobStatus(
+  jobId: string,
+  status: JobStatus,
+  { reason, at }: { reason?: string; at?: string } = {}
+): Promise<Job> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/jobs/${jobId}/status`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status, reason, at }),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || 'Failed to change job status');
+  }
+  return result;
+}
+
+export async function getJobStatusHistory(jobId: string): Promise<JobStatusChange[]> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/jobs/${jobId}/status-history`, {
+    method: 'GET',
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) throw new Error('Failed to fetch job status history');
+  return response.json();
+}
 // Fetch jobs by operator from backend API
 export async function getJobsByOperator(operatorId: string): Promise<Job[]> {
   const apiUrl = import.meta.env.VITE_API_URL || '/api';
@@ -181,7 +442,7 @@ export async function getLeadsWithWonDeals(): Promise<any[]> {
     throw new Error('Invalid leads data format');
   }
 }
-export type JobStatus = 'pending' | 'scheduled' | 'in_progress' | 'completed' | 'cancelled';
+export type JobStatus = 'pending' | 'scheduled' | 'mobilizing' | 'in_progress' | 'demobilizing' | 'completed' | 'cancelled';
 export type OperatorAvailability = 'available' | 'assigned' | 'on_leave' | 'inactive';
 
 export interface Equipment {
@@ -215,6 +476,7 @@ export interface JobLocation {
 export interface Job {
   id: string;
   title: string;
+  quotationId?: string | null;
   leadId: string;
   customerId: string;
   customerName: string;
@@ -226,6 +488,7 @@ export interface Job {
   scheduledEndDate: string;
   actualStartDate?: string | null;
   actualEndDate?: string | null;
+  cancellationReason?: string | null;
   location: string;
   notes?: string;
   createdBy: string;
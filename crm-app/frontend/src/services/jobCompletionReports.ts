@@ -0,0 +1,184 @@
+import { getFileUploadHeaders, getHeaders } from './apiHeaders';
+import { Job } from './job';
+
+export type IncidentSeverity = 'near_miss' | 'minor' | 'major';
+
+export const INCIDENT_SEVERITY_LABELS: Record<IncidentSeverity, string> = {
+  near_miss: 'Near miss',
+  minor: 'Minor',
+  major: 'Major',
+};
+
+export interface SafetyCheck {
+  id: string;
+  label: string;
+  checked: boolean;
+}
+
+export interface JobIncident {
+  occurredAt: string | null;
+  severity: IncidentSeverity;
+  description: string;
+  actionTaken: string | null;
+}
+
+export interface JobHoursSummary {
+  days: number;
+  logs: number;
+  workedHours: number;
+  billableHours: number;
+  breakdownHours: number;
+  engineHours: number;
+  dieselLitres: number;
+  unsignedLogs: number;
+  firstDate: string | null;
+  lastDate: string | null;
+  cranes: {
+    equipmentId: string;
+    name: string;
+    days: number;
+    workedHours: number;
+    billableHours: number;
+    breakdownHours: number;
+  }[];
+}
+
+export interface JobCompletionPhoto {
+  id: string;
+  reportId: string;
+  caption: string | null;
+  fileName: string | null;
+  fileMimeType: string | null;
+  fileSize: number | null;
+  uploadedBy: string | null;
+  createdAt: string;
+}
+
+export interface JobCompletionReport {
+  id: string;
+  jobId: string;
+  safetyChecks: SafetyCheck[];
+  safetyNotes: string | null;
+  incidents: JobIncident[];
+  // Captured when the customer signs
+  hoursSummary: JobHoursSummary | null;
+  workSummary: string | null;
+  completedByName: string | null;
+  completedBySignature: string | null;
+  customerRating: number | null;
+  customerComments: string | null;
+  customerSignatory: string | null;
+  customerSignature: string | null;
+  customerSignedAt: string | null;
+  photos: JobCompletionPhoto[];
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface JobCompletionReportInput {
+  safetyChecks?: SafetyCheck[];
+  safetyNotes?: string;
+  incidents?: JobIncident[];
+  workSummary?: string;
+  completedByName?: string;
+  completedBySignature?: string | null;
+}
+
+export interface JobReportView {
+  job: Job & {
+    equipment: { id: string; name: string }[];
+    operators: { id: string; name: string }[];
+  };
+  report: JobCompletionReport | null;
+  hoursSummary: JobHoursSummary | null;
+  defaultSafetyChecks: SafetyCheck[];
+}
+
+export type SatisfactionGroup = 'customer' | 'operator';
+
+export interface SatisfactionScore {
+  reports: number;
+  averageRating: number | null;
+  ratings: Record<1 | 2 | 3 | 4 | 5, number>;
+  lastRatedAt: string | null;
+}
+
+export interface SatisfactionScores {
+  groupBy: SatisfactionGroup;
+  overall: SatisfactionScore;
+  groups: (SatisfactionScore & { key: string; name: string })[];
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function reportRequest<T>(
+  path: string,
+  method: string,
+  errorMessage: string,
+  body?: Record<string, any> | FormData
+): Promise<T> {
+  const isUpload = body instanceof FormData;
+  const response = await fetch(`${apiUrl()}/job-reports${path}`, {
+    method,
+    headers: isUpload ? getFileUploadHeaders() : body ? { ...getHeaders(), 'Content-Type': 'application/json' } : getHeaders(),
+    body: isUpload ? body : body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+// The job with its report (null until saved) and the hours worked
+export async function getJobReport(jobId: string): Promise<JobReportView> {
+  return reportRequest<JobReportView>(`/jobs/${jobId}`, 'GET', 'Failed to fetch completion report');
+}
+
+export async function saveJobReport(jobId: string, report: JobCompletionReportInput): Promise<JobCompletionReport> {
+  return reportRequest<JobCompletionReport>(`/jobs/${jobId}`, 'PUT', 'Failed to save completion report', { ...report });
+}
+
+export async function signOffJobReport(
+  jobId: string,
+  signOff: { customerSignatory: string; rating: number; comments?: string; signature: string }
+): Promise<JobCompletionReport> {
+  return reportRequest<JobCompletionReport>(`/jobs/${jobId}/sign-off`, 'POST', 'Failed to record customer sign-off', { ...signOff });
+}
+
+export async function addReportPhoto(jobId: string, file: File, caption?: string): Promise<JobCompletionPhoto> {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (caption) formData.append('caption', caption);
+  return reportRequest<JobCompletionPhoto>(`/jobs/${jobId}/photos`, 'POST', 'Failed to add photo', formData);
+}
+
+export async function deleteReportPhoto(photoId: string): Promise<void> {
+  await reportRequest<void>(`/photos/${photoId}`, 'DELETE', 'Failed to delete photo');
+}
+
+// Object URL of a photo; revoke it with URL.revokeObjectURL once shown
+export async function fetchReportPhotoUrl(photoId: string): Promise<string> {
+  const response = await fetch(`${apiUrl()}/job-reports/photos/${photoId}/file`, {
+    method: 'GET',
+    headers: getFileUploadHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.message || 'Failed to load photo');
+  }
+  return URL.createObjectURL(await response.blob());
+}
+
+export async function getSatisfactionScores(
+  groupBy: SatisfactionGroup,
+  range: { from?: string; to?: string } = {}
+): Promise<SatisfactionScores> {
+  const params = new URLSearchParams({ groupBy });
+  if (range.from) params.set('from', range.from);
+  if (range.to) params.set('to', range.to);
+  return reportRequest<SatisfactionScores>(`/satisfaction?${params.toString()}`, 'GET', 'Failed to fetch satisfaction scores');
+}
@@ -0,0 +1,200 @@
+import { getHeaders } from './apiHeaders';
+
+export interface JobLog {
+  id: string;
+  jobId: string;
+  jobTitle: string;
+  customerName: string;
+  equipmentId: string;
+  equipmentName: string;
+  equipmentCode: string;
+  operatorId: string;
+  operatorName: string;
+  logDate: string;
+  // HH:mm; an end time before the start time runs into the next day
+  startTime: string;
+  endTime: string;
+  breakMinutes: number;
+  breakdownHours: number;
+  workedHours: number;
+  billableHours: number;
+  isSunday: boolean;
+  hourMeterStart: number | null;
+  hourMeterEnd: number | null;
+  engineHours: number | null;
+  dieselLitres: number;
+  workDescription: string | null;
+  remarks: string | null;
+  supervisorName: string | null;
+  supervisorSignature: string | null;
+  signedAt: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface JobLogInput {
+  jobId: string;
+  equipmentId: string;
+  operatorId?: string;
+  logDate: string;
+  startTime: string;
+  endTime: string;
+  breakMinutes?: number;
+  breakdownHours?: number;
+  hourMeterStart?: number | null;
+  hourMeterEnd?: number | null;
+  dieselLitres?: number;
+  workDescription?: string;
+  remarks?: string;
+}
+
+export interface LogAssignment {
+  jobId: string;
+  jobTitle: string;
+  customerName: string;
+  location: string;
+  status: string;
+  scheduledStartDate: string;
+  scheduledEndDate: string;
+  equipment: { id: string; name: string; code: string; engineHours: number }[];
+  operators: { id: string; name: string }[];
+}
+
+export type JobLogSummaryGroup = 'job' | 'equipment' | 'operator' | 'date';
+
+export interface JobLogTotals {
+  days: number;
+  logs: number;
+  workedHours: number;
+  billableHours: number;
+  breakdownHours: number;
+  engineHours: number;
+  dieselLitres: number;
+  sundayDays: number;
+  sundayHours: number;
+  unsignedLogs: number;
+  firstDate: string | null;
+  lastDate: string | null;
+}
+
+export interface JobLogSummary {
+  groupBy: JobLogSummaryGroup;
+  totals: JobLogTotals;
+  groups: (JobLogTotals & { key: string; name: string })[];
+}
+
+export interface JobLogFilters {
+  jobId?: string;
+  equipmentId?: string;
+  operatorId?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface ExtraHoursLine {
+  description: string;
+  sacCode: string | null;
+  quantity: number;
+  unit: string;
+  rate: number;
+  amount: number;
+}
+
+export interface JobHoursReconciliation {
+  jobId: string;
+  quotationId: string;
+  quotationNumber: string | null;
+  orderType: string;
+  contractedHoursPerDay: number;
+  policy: {
+    enabled: boolean;
+    multiplier: number;
+    dayFactor: number;
+    nightFactor: number;
+    nightStart: string;
+    nightEnd: string;
+    signedLogsOnly: boolean;
+  };
+  days: {
+    equipmentId: string;
+    equipmentName: string;
+    date: string;
+    logs: number;
+    billableHours: number;
+    contractedHours: number;
+    extraHours: number;
+    dayExtraHours: number;
+    nightExtraHours: number;
+  }[];
+  lines: ExtraHoursLine[];
+  totals: {
+    billableHours: number;
+    extraHours: number;
+    dayExtraHours: number;
+    nightExtraHours: number;
+    amount: number;
+    unsignedLogs: number;
+  };
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function jobLogRequest<T>(path: string, method: string, errorMessage: string, body?: Record<string, any>): Promise<T> {
+  const response = await fetch(`${apiUrl()}/job-logs${path}`, {
+    method,
+    headers: body ? { ...getHeaders(), 'Content-Type': 'application/json' } : getHeaders(),
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+const toQuery = (filters: Record<string, string | boolean | undefined>) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, String(value));
+  });
+  return params.toString() ? `?${params.toString()}` : '';
+};
+
+// Jobs to log work on; operators get their own, with their operator id
+export async function getLogAssignments(operatorId?: string): Promise<{ operatorId: string | null; assignments: LogAssignment[] }> {
+  return jobLogRequest(`/assignments${toQuery({ operatorId })}`, 'GET', 'Failed to fetch your jobs');
+}
+
+export async function getJobLogs(filters: JobLogFilters = {}): Promise<JobLog[]> {
+  return jobLogRequest<JobLog[]>(`${toQuery({ ...filters })}`, 'GET', 'Failed to fetch logs');
+}
+
+export async function createJobLog(log: JobLogInput): Promise<JobLog> {
+  return jobLogRequest<JobLog>('', 'POST', 'Failed to save log', { ...log });
+}
+
+export async function updateJobLog(logId: string, changes: Partial<JobLogInput>): Promise<JobLog> {
+  return jobLogRequest<JobLog>(`/${logId}`, 'PUT', 'Failed to update log', { ...changes });
+}
+
+export async function signOffJobLog(logId: string, supervisorName: string, signature: string): Promise<JobLog> {
+  return jobLogRequest<JobLog>(`/${logId}/sign-off`, 'POST', 'Failed to sign off log', { supervisorName, signature });
+}
+
+export async function deleteJobLog(logId: string): Promise<void> {
+  await jobLogRequest<void>(`/${logId}`, 'DELETE', 'Failed to delete log');
+}
+
+export async function getJobLogSummary(
+  groupBy: JobLogSummaryGroup,
+  filters: JobLogFilters & { signedOnly?: boolean } = {}
+): Promise<JobLogSummary> {
+  return jobLogRequest<JobLogSummary>(`/summary${toQuery({ groupBy, ...filters })}`, 'GET', 'Failed to fetch logbook summary');
+}
+
+// Logged hours against the accepted quotation, with the extra hours to bill
+export async function getJobHoursReconciliation(jobId: string): Promise<JobHoursReconciliation> {
+  return jobLogRequest<JobHoursReconciliation>(`/reconciliation/${jobId}`, 'GET', 'Failed to reconcile logged hours');
+}
@@ -0,0 +1,124 @@
+import { getHeaders } from './apiHeaders';
+
+export interface LoadChartPoint {
+  boomLengthM: number;
+  radiusM: number;
+  capacityTons: number;
+  hookHeightM: number | null;
+}
+
+export interface LoadChart {
+  id: string;
+  equipmentId: string;
+  configuration: string;
+  counterweightTons: number | null;
+  outriggerSetup: string | null;
+  boomPivotHeightM: number;
+  source: string | null;
+  notes: string | null;
+  isActive: boolean;
+  boomLengths: number[];
+  maxCapacityTons: number | null;
+  points: LoadChartPoint[];
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface LoadChartInput {
+  configuration: string;
+  counterweightTons?: number | null;
+  outriggerSetup?: string;
+  boomPivotHeightM?: number;
+  source?: string;
+  notes?: string;
+  isActive?: boolean;
+  // Either the capacities or the CSV they are read from
+  points?: LoadChartPoint[];
+  csv?: string;
+}
+
+export interface LiftCheckRequest {
+  loadTons?: number;
+  radiusM?: number;
+  heightM?: number | null;
+  riggingTons?: number;
+  // Defaults to the liftCheck config
+  safetyMarginPercent?: number;
+  category?: string;
+  equipmentIds?: string[];
+  // Fills in load, radius and height not given
+  siteAssessmentId?: string;
+}
+
+export interface LiftOption {
+  chartId: string;
+  configuration: string;
+  counterweightTons: number | null;
+  boomLengthM: number;
+  // Listed radius the capacity is read at (at or beyond the working radius)
+  chartRadiusM: number;
+  capacityTons: number;
+  hookHeightM: number;
+  utilizationPercent: number;
+}
+
+export interface LiftCheckCrane {
+  equipmentId: string;
+  equipmentCode: string;
+  name: string;
+  category: string;
+  maxLiftingCapacity: number;
+  status: string;
+  suitable: boolean;
+  reason: string | null;
+  option: LiftOption | null;
+}
+
+export interface LiftCheckResult {
+  loadTons: number;
+  riggingTons: number;
+  totalLoadTons: number;
+  radiusM: number;
+  heightM: number | null;
+  safetyMarginPercent: number;
+  requiredCapacityTons: number;
+  suitable: LiftCheckCrane[];
+  unsuitable: LiftCheckCrane[];
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function equipmentRequest<T>(path: string, method: string, errorMessage: string, body?: Record<string, any>): Promise<T> {
+  const response = await fetch(`${apiUrl()}/equipment${path}`, {
+    method,
+    headers: body ? { ...getHeaders(), 'Content-Type': 'application/json' } : getHeaders(),
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+export async function getLoadCharts(equipmentId: string): Promise<LoadChart[]> {
+  return equipmentRequest<LoadChart[]>(`/${equipmentId}/load-charts`, 'GET', 'Failed to fetch load charts');
+}
+
+export async function createLoadChart(equipmentId: string, chart: LoadChartInput): Promise<LoadChart> {
+  return equipmentRequest<LoadChart>(`/${equipmentId}/load-charts`, 'POST', 'Failed to add load chart', { ...chart });
+}
+
+export async function updateLoadChart(chartId: string, changes: Partial<LoadChartInput>): Promise<LoadChart> {
+  return equipmentRequest<LoadChart>(`/load-charts/${chartId}`, 'PUT', 'Failed to update load chart', { ...changes });
+}
+
+export async function deleteLoadChart(chartId: string): Promise<void> {
+  await equipmentRequest<void>(`/load-charts/${chartId}`, 'DELETE', 'Failed to delete load chart');
+}
+
+export async function checkLift(lift: LiftCheckRequest): Promise<LiftCheckResult> {
+  return equipmentRequest<LiftCheckResult>('/lift-check', 'POST', 'Failed to check the lift', { ...lift });
+}
@@ -0,0 +1,179 @@
+import { getHeaders } from './apiHeaders';
+import { BookingConflict } from './job';
+
+export type WorkOrderType = 'preventive' | 'breakdown' | 'inspection';
+export type WorkOrderStatus = 'planned' | 'in_progress' | 'completed' | 'cancelled';
+export type MaintenanceDueStatus = 'ok' | 'due_soon' | 'overdue';
+
+export interface MaintenancePlan {
+  id: string;
+  equipmentId: string;
+  equipmentName: string;
+  equipmentCode: string;
+  name: string;
+  description: string | null;
+  intervalDays: number | null;
+  intervalHours: number | null;
+  lastPerformedDate: string;
+  lastPerformedHours: number;
+  engineHours: number;
+  nextDueDate: string | null;
+  nextDueHours: number | null;
+  daysLeft: number | null;
+  hoursLeft: number | null;
+  dueStatus: MaintenanceDueStatus;
+  isActive: boolean;
+  alertSentAt: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface MaintenancePlanInput {
+  equipmentId: string;
+  name: string;
+  description?: string;
+  intervalDays?: number | null;
+  intervalHours?: number | null;
+  lastPerformedDate?: string;
+  lastPerformedHours?: number | null;
+}
+
+export interface WorkOrderPart {
+  name: string;
+  partNumber?: string | null;
+  quantity: number;
+  unitCost: number;
+}
+
+export interface MaintenanceWorkOrder {
+  id: string;
+  equipmentId: string;
+  equipmentName: string;
+  equipmentCode: string;
+  planId: string | null;
+  planName: string | null;
+  title: string;
+  type: WorkOrderType;
+  status: WorkOrderStatus;
+  plannedStart: string;
+  plannedEnd: string;
+  actualStart: string | null;
+  actualEnd: string | null;
+  engineHours: number | null;
+  labourCost: number;
+  parts: WorkOrderPart[];
+  partsCost: number;
+  totalCost: number;
+  downtimeHours: number | null;
+  performedBy: string | null;
+  notes: string | null;
+  createdBy: string | null;
+  completedBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+  // Jobs booked on the crane during the window, returned when the work order is created
+  affectedJobs?: BookingConflict[];
+}
+
+export interface WorkOrderInput {
+  equipmentId: string;
+  planId?: string | null;
+  title: string;
+  type: WorkOrderType;
+  plannedStart: string;
+  plannedEnd: string;
+  performedBy?: string;
+  notes?: string;
+}
+
+export interface WorkOrderCompletion {
+  actualEnd?: string;
+  engineHours?: number | null;
+  labourCost?: number;
+  parts?: WorkOrderPart[];
+  performedBy?: string;
+  notes?: string;
+}
+
+export const WORK_ORDER_TYPE_LABELS: Record<WorkOrderType, string> = {
+  preventive: 'Preventive',
+  breakdown: 'Breakdown',
+  inspection: 'Inspection',
+};
+
+export const WORK_ORDER_STATUS_LABELS: Record<WorkOrderStatus, string> = {
+  planned: 'Planned',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function maintenanceRequest<T>(path: string, method: string, errorMessage: string, body?: Record<string, any>): Promise<T> {
+  const response = await fetch(`${apiUrl()}/maintenance${path}`, {
+    method,
+    headers: body ? { ...getHeaders(), 'Content-Type': 'application/json' } : getHeaders(),
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+export async function getMaintenancePlans(filters: { equipmentId?: string; due?: boolean } = {}): Promise<MaintenancePlan[]> {
+  const params = new URLSearchParams();
+  if (filters.equipmentId) params.set('equipmentId', filters.equipmentId);
+  if (filters.due) params.set('due', 'true');
+  const query = params.toString() ? `?${params.toString()}` : '';
+  return maintenanceRequest<MaintenancePlan[]>(`/plans${query}`, 'GET', 'Failed to fetch maintenance plans');
+}
+
+export async function createMaintenancePlan(plan: MaintenancePlanInput): Promise<MaintenancePlan> {
+  return maintenanceRequest<MaintenancePlan>('/plans', 'POST', 'Failed to create maintenance plan', { ...plan });
+}
+
+export async function updateMaintenancePlan(planId: string, changes: Partial<MaintenancePlanInput> & { isActive?: boolean }): Promise<MaintenancePlan> {
+  return maintenanceRequest<MaintenancePlan>(`/plans/${planId}`, 'PUT', 'Failed to update maintenance plan', { ...changes });
+}
+
+export async function deleteMaintenancePlan(planId: string): Promise<void> {
+  await maintenanceRequest<void>(`/plans/${planId}`, 'DELETE', 'Failed to delete maintenance plan');
+}
+
+export async function getWorkOrders(filters: { equipmentId?: string; status?: WorkOrderStatus } = {}): Promise<MaintenanceWorkOrder[]> {
+  const params = new URLSearchParams();
+  if (filters.equipmentId) params.set('equipmentId', filters.equipmentId);
+  if (filters.status) params.set('status', filters.status);
+  const query = params.toString() ? `?${params.toString()}` : '';
+  return maintenanceRequest<MaintenanceWorkOrder[]>(`/work-orders${query}`, 'GET', 'Failed to fetch work orders');
+}
+
+export async function createWorkOrder(workOrder: WorkOrderInput): Promise<MaintenanceWorkOrder> {
+  return maintenanceRequest<MaintenanceWorkOrder>('/work-orders', 'POST', 'Failed to create work order', { ...workOrder });
+}
+
+export async function startWorkOrder(workOrderId: string): Promise<MaintenanceWorkOrder> {
+  return maintenanceRequest<MaintenanceWorkOrder>(`/work-orders/${workOrderId}/start`, 'POST', 'Failed to start work order', {});
+}
+
+export async function completeWorkOrder(workOrderId: string, completion: WorkOrderCompletion): Promise<MaintenanceWorkOrder> {
+  return maintenanceRequest<MaintenanceWorkOrder>(`/work-orders/${workOrderId}/complete`, 'POST', 'Failed to complete work order', { ...completion });
+}
+
+export async function cancelWorkOrder(workOrderId: string, reason?: string): Promise<MaintenanceWorkOrder> {
+  return maintenanceRequest<MaintenanceWorkOrder>(`/work-orders/${workOrderId}/cancel`, 'POST', 'Failed to cancel work order', { reason });
+}
+
+export async function recordEngineHours(equipmentId: string, engineHours: number): Promise<{ engineHours: number; plans: MaintenancePlan[] }> {
+  return maintenanceRequest<{ engineHours: number; plans: MaintenancePlan[] }>(
+    `/equipment/${equipmentId}/engine-hours`,
+    'PUT',
+    'Failed to record engine hours',
+    { engineHours }
+  );
+}
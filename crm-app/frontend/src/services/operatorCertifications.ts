@@ -0,0 +1,184 @@
+import { getFileUploadHeaders, getHeaders } from './apiHeaders';
+import { CraneCategory } from '../types/equipment';
+
+export type CertificationEnforcement = 'block' | 'warn' | 'off';
+
+export interface CertificationType {
+  id: string;
+  name: string;
+  issuingBody: string | null;
+  description: string | null;
+  // Crane categories this certification qualifies its holder for
+  equipmentCategories: CraneCategory[];
+  // Largest crane capacity covered; null covers every capacity
+  maxCapacityTons: number | null;
+  validityMonths: number | null;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CertificationTypeInput {
+  name: string;
+  issuingBody?: string;
+  description?: string;
+  equipmentCategories: CraneCategory[];
+  maxCapacityTons?: number | null;
+  validityMonths?: number | null;
+}
+
+export interface OperatorCertification {
+  id: string;
+  operatorId: string;
+  operatorName: string;
+  certificationTypeId: string;
+  certificationTypeName: string;
+  equipmentCategories: CraneCategory[];
+  maxCapacityTons: number | null;
+  certificateNumber: string | null;
+  issuingBody: string | null;
+  issueDate: string | null;
+  expiryDate: string | null;
+  daysLeft: number | null;
+  isExpired: boolean;
+  hasFile: boolean;
+  fileName: string | null;
+  fileMimeType: string | null;
+  fileSize: number | null;
+  notes: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface OperatorCertificationInput {
+  certificationTypeId: string;
+  certificateNumber?: string;
+  issuingBody?: string;
+  issueDate?: string;
+  expiryDate?: string;
+  notes?: string;
+  file?: File | null;
+}
+
+// An operator without a valid certification for a crane on the job
+export interface CertificationGap {
+  operatorId: string;
+  operatorName: string;
+  equipmentId: string;
+  equipmentName: string;
+  category: CraneCategory;
+  capacityTons: number;
+  reason: 'missing' | 'expired';
+  expiryDate: string | null;
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function operatorRequest<T>(path: string, method: string, errorMessage: string, body?: FormData | Record<string, any>): Promise<T> {
+  const isUpload = body instanceof FormData;
+  const response = await fetch(`${apiUrl()}/operators${path}`, {
+    method,
+    headers: isUpload ? getFileUploadHeaders() : getHeaders(),
+    body: isUpload ? body : body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || result.message || errorMessage);
+  }
+  return result;
+}
+
+const toFormData = (certification: Partial<OperatorCertificationInput>): FormData => {
+  const formData = new FormData();
+  Object.entries(certification).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    formData.append(key, key === 'file' ? (value as File) : String(value));
+  });
+  return formData;
+};
+
+export async function getCertificationTypes(includeInactive = false): Promise<CertificationType[]> {
+  const query = includeInactive ? '?includeInactive=true' : '';
+  return operatorRequest<CertificationType[]>(`/certification-types${query}`, 'GET', 'Failed to fetch certification types');
+}
+
+export async function createCertificationType(type: CertificationTypeInput): Promise<CertificationType> {
+  return operatorRequest<CertificationType>('/certification-types', 'POST', 'Failed to create certification type', { ...type });
+}
+
+export async function updateCertificationType(
+  typeId: string,
+  changes: Partial<CertificationTypeInput> & { isActive?: boolean }
+): Promise<CertificationType> {
+  return operatorRequest<CertificationType>(`/certification-types/${typeId}`, 'PUT', 'Failed to update certification type', { ...changes });
+}
+
+export async function getOperatorCertifications(operatorId?: string): Promise<OperatorCertification[]> {
+  const query = operatorId ? `?operatorId=${encodeURIComponent(operatorId)}` : '';
+  return operatorRequest<OperatorCertification[]>(`/certifications${query}`, 'GET', 'Failed to fetch certifications');
+}
+
+export async function createOperatorCertification(
+  operatorId: string,
+  certification: OperatorCertificationInput
+): Promise<OperatorCertification> {
+  return operatorRequest<OperatorCertification>(
+    `/${operatorId}/certifications`,
+    'POST',
+    'Failed to add certification',
+    toFormData(certification)
+  );
+}
+
+export async function updateOperatorCertification(
+  certificationId: string,
+  changes: Partial<OperatorCertificationInput>
+): Promise<OperatorCertification> {
+  return operatorRequest<OperatorCertification>(
+    `/certifications/${certificationId}`,
+    'PUT',
+    'Failed to update certification',
+    toFormData(changes)
+  );
+}
+
+export async function deleteOperatorCertification(certificationId: string): Promise<void> {
+  await operatorRequest<void>(`/certifications/${certificationId}`, 'DELETE', 'Failed to delete certification');
+}
+
+// Operators not certified for the given cranes until `end`, and how job assignment treats them
+export async function getCertificationGaps(
+  operatorIds: string[],
+  equipmentIds: string[],
+  end: string
+): Promise<{ enforcement: CertificationEnforcement; gaps: CertificationGap[] }> {
+  const params = new URLSearchParams({
+    operatorIds: operatorIds.join(','),
+    equipmentIds: equipmentIds.join(','),
+    end,
+  });
+  return operatorRequest(`/certification-gaps?${params.toString()}`, 'GET', 'Failed to check operator certifications');
+}
+
+// Fetch the scanned copy with the auth headers and open it in a new tab
+export async function openCertificationFile(certificationId: string): Promise<void> {
+  const response = await fetch(`${apiUrl()}/operators/certifications/${certificationId}/file`, {
+    method: 'GET',
+    headers: getFileUploadHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.error || result.message || 'Failed to download certification');
+  }
+  const url = URL.createObjectURL(await response.blob());
+  window.open(url, '_blank');
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
+
+export const describeCertificationGap = (gap: CertificationGap): string =>
+  gap.reason === 'expired'
+    ? `${gap.operatorName}'s certification for ${gap.equipmentName} expires ${gap.expiryDate ? new Date(`${gap.expiryDate}T00:00:00`).toLocaleDateString('en-IN') : ''}`
+    : `${gap.operatorName} has no certification for ${gap.equipmentName} (${gap.category.replace(/_/g, ' ')}, ${gap.capacityTons} t)`;
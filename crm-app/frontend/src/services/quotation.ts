@@ -1,4 +1,6 @@
 import { getHeaders } from './apiHeaders';
+import { Job } from '../types/job';
+import { SurchargeLine } from './surcharges';
 // Update an existing quotation via backend API
 export async function updateQuotation(quotationId: string, updates: Partial<Quotation>): Promise<Quotation> {
   const apiUrl = import.meta.env.VITE_API_URL || '/api';
@@ -14,6 +16,322 @@ export async function updateQuotation(quotationId: string, updates: Partial<Quot
   const result = await response.json();
   return result.data || result;
 }
+export interface QuotationPricingMismatch {
+  field: string;
+  submitted: number;
+  calculated: number;
+  difference: number;
+}
+
+// GST split by place of supply: CGST + SGST within the company's state, IGST across states
+export interface QuotationTax {
+  supplyType: 'intra_state' | 'inter_state';
+  placeOfSupply: string | null;
+  placeOfSupplyCode: string | null;
+  customerGstin: string | null;
+  cgstRate: number;
+  cgstAmount: number;
+  sgstRate: number;
+  sgstAmount: number;
+  igstRate: number;
+  igstAmount: number;
+}
+
+export interface QuotationTaxBreakdown extends QuotationTax {
+  rate: number;
+  gstAmount: number;
+  lines: Array<{ key: 'cgst' | 'sgst' | 'igst'; label: string; rate: number; amount: number }>;
+}
+
+export interface QuotationPricingPreview {
+  orderType: OrderType;
+  calculations: {
+    baseRate: number;
+    totalHours: number;
+    workingCost: number;
+    mobDemobCost: number;
+    foodAccomCost: number;
+    usageLoadFactor: number;
+    extraCharges: number;
+    riskAdjustment: number;
+    riskUsageTotal: number;
+    totalMonthlyBaseRate: number;
+    surchargeCost: number;
+    otherFactorsCost: number;
+    subtotal: number;
+    gstAmount: number;
+    totalAmount: number;
+  };
+  surcharges: SurchargeLine[];
+  tax: QuotationTax;
+  mismatches: QuotationPricingMismatch[];
+  warnings: string[];
+}
+// Preview the server-calculated pricing for quotation inputs
+export async function calculateQuotationPricing(inputs: Record<string, any>): Promise<QuotationPricingPreview> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/calculate`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify(inputs),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to calculate quotation pricing');
+  }
+  return result.data;
+}
+export interface QuotationApproval {
+  id: string;
+  quotationId: string;
+  quotationVersion: number;
+  requestedBy: string | null;
+  requestedRole: string | null;
+  listPrice: number;
+  quotedPrice: number;
+  discountPercent: number;
+  thresholdPercent: number;
+  status: 'pending' | 'approved' | 'rejected' | 'superseded';
+  decidedBy: string | null;
+  decisionReason: string | null;
+  decidedAt: string | null;
+  createdAt: string;
+}
+// Fetch the discount approval history of a quotation
+export async function getQuotationApprovals(quotationId: string): Promise<QuotationApproval[]> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/${quotationId}/approvals`, {
+    method: 'GET',
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error('Failed to fetch quotation approvals');
+  }
+  const result = await response.json();
+  return result.data || [];
+}
+// Approve or reject a pending discount; a reason is required
+export async function decideQuotationApproval(
+  quotationId: string,
+  decision: 'approve' | 'reject',
+  reason: string
+): Promise<{ id: string; status: string; approval: QuotationApproval }> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/${quotationId}/approval/${decision}`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reason }),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || `Failed to ${decision} quotation discount`);
+  }
+  return result.data;
+}
+// Extend quotation validity by a number of days (defaults to the configured period) or to a date
+export async function extendQuotationValidity(
+  quotationId: string,
+  options: { days?: number; validUntil?: string; reason?: string } = {}
+): Promise<{ id: string; status: string; validUntil: string; previousValidUntil: string | null; previousStatus: string }> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/${quotationId}/extend-validity`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify(options),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to extend quotation validity');
+  }
+  return result.data;
+}
+// Convert an accepted quotation into a scheduled job (dates, site and equipment come from the quotation)
+export async function convertQuotationToJob(
+  quotationId: string,
+  options: { startDate?: string; location?: string; title?: string; notes?: string } = {}
+): Promise<Job> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/${quotationId}/convert-to-job`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify(options),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to convert quotation into a job');
+  }
+  return result.data;
+}
+export interface QuotationAcceptance {
+  id: string;
+  quotationId: string;
+  revisionNumber: number;
+  decision: 'accepted' | 'rejected';
+  signerName: string;
+  signerEmail: string | null;
+  signatureType: 'typed' | 'drawn';
+  signatureData: string;
+  comment: string | null;
+  ipAddress: string | null;
+  signedAt: string;
+}
+
+export interface QuotationAcceptanceLink {
+  id: string;
+  quotationId: string;
+  revisionNumber: number;
+  expiresAt: string;
+  createdAt: string;
+  revokedAt: string | null;
+  usedAt: string | null;
+  token?: string;
+  url?: string;
+}
+// Create a customer acceptance link for a sent quotation (revokes earlier open links)
+export async function createQuotationAcceptanceLink(quotationId: string): Promise<QuotationAcceptanceLink> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/${quotationId}/acceptance-link`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to create acceptance link');
+  }
+  return result.data;
+}
+// Fetch the latest customer response and the acceptance links of a quotation
+export async function getQuotationAcceptance(
+  quotationId: string
+): Promise<{ acceptance: QuotationAcceptance | null; links: QuotationAcceptanceLink[] }> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/${quotationId}/acceptance`, {
+    method: 'GET',
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error('Failed to fetch quotation acceptance');
+  }
+  const result = await response.json();
+  return result.data || { acceptance: null, links: [] };
+}
+
+export interface QuotationEmail {
+  id: string;
+  quotationId: string;
+  revisionNumber: number | null;
+  from: string;
+  to: string[];
+  cc: string[];
+  bcc: string[];
+  subject: string;
+  message: string | null;
+  attachmentName: string | null;
+  messageId: string | null;
+  status: 'sending' | 'sent' | 'failed' | 'bounced';
+  rejectedRecipients: { recipient: string | null; reason: string }[];
+  smtpResponse: string | null;
+  errorMessage: string | null;
+  sentBy: string | null;
+  createdAt: string;
+  sentAt: string | null;
+  bouncedAt: string | null;
+}
+// Email the quotation PDF to the customer; a draft quotation becomes sent once delivered
+export async function emailQuotationPdf(
+  quotationId: string,
+  email: { emailTo: string; cc?: string; bcc?: string; subject?: string; message?: string; templateId?: string }
+): Promise<{ email: QuotationEmail; status: string }> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/print/email-pdf`, {
+    method: 'POST',
+    headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ quotationId, ...email }),
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || result.message || 'Failed to email quotation');
+  }
+  return result.data;
+}
+// Fetch the email history of a quotation, newest first
+export async function getQuotationEmails(quotationId: string): Promise<QuotationEmail[]> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/quotations/${quotationId}/emails`, {
+    method: 'GET',
+    headers: getHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error('Failed to fetch quotation emails');
+  }
+  const result = await response.json();
+  return result.data || [];
+}
+
+export type PublicQuotationState = 'open' | 'responded' | 'expired' | 'revoked' | 'superseded';
+
+export interface PublicQuotationSummary {
+  state: PublicQuotationState;
+  message: string | null;
+  quotation: {
+    quotationNumber: string;
+    customerName: string;
+    totalCost: number;
+    validUntil: string | null;
+    revision: string;
+  };
+  acceptance: { decision: 'accepted' | 'rejected'; signerName: string; signedAt: string } | null;
+}
+// Public portal: URL of the quotation preview for an acceptance token
+export function getPublicQuotationPreviewUrl(token: string): string {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  return `${apiUrl}/public/quotations/${encodeURIComponent(token)}/preview`;
+}
+// Public portal: fetch the quotation summary for an acceptance token (no login)
+export async function getPublicQuotation(token: string): Promise<PublicQuotationSummary> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const response = await fetch(`${apiUrl}/public/quotations/${encodeURIComponent(token)}`, {
+    method: 'GET',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to load quotation');
+  }
+  return result.data;
+}
+// Public portal: accept or reject the quotation with a typed or drawn signature
+export async function respondToPublicQuotation(
+  token: string,
+  response: {
+    decision: 'accepted' | 'rejected';
+    signerName: string;
+    signerEmail?: string;
+    signatureType: 'typed' | 'drawn';
+    signatureData: string;
+    comment?: string;
+  }
+): Promise<{ decision: 'accepted' | 'rejected'; signerName: string; signedAt: string }> {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const res = await fetch(`${apiUrl}/public/quotations/${encodeURIComponent(token)}/respond`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(response),
+  });
+  const result = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(result.message || 'Failed to submit your response');
+  }
+  return result.data;
+}
 // Fetch a single quotation by ID from backend API
 export async function getQuotationById(quotationId: string): Promise<Quotation> {
   const apiUrl = import.meta.env.VITE_API_URL || '/api';
@@ -73,6 +391,7 @@ export async function getQuotationsForLead(leadId: string): Promise<any[]> {
   return await res.json();
 }
 import { OrderType, BaseRates } from '../types/equipment';
+import { QuotationSurcharge } from '../types/quotation';
 
 export interface CustomerContact {
   name: string;
@@ -103,7 +422,8 @@ export interface QuotationInputs {
   usage: 'normal' | 'medium' | 'heavy';
   riskFactor: 'low' | 'medium' | 'high';
   extraCharge: number;
-  incidentalCharges: string[];  otherFactorsCharge: number;
+  surcharges: QuotationSurcharge[];
+  otherFactorsCharge: number;
   billing: 'gst' | 'non_gst';
   includeGst: boolean;
   shift: 'single' | 'double';
@@ -115,11 +435,6 @@ export interface QuotationInputs {
   sundayWorking: SundayWorking;
   otherFactors: string[];
   // Custom amounts for this quotation (override config defaults)
-  customIncidentAmounts?: {
-    incident1?: number | null;
-    incident2?: number | null;
-    incident3?: number | null;
-  };
   customRiggerAmount?: number | null;
   customHelperAmount?: number | null;
 }
@@ -166,9 +481,11 @@ export interface Quotation extends QuotationInputs {
   extraCharges?: number;
   riskAdjustment?: number;
   gstAmount?: number;
+  tax?: QuotationTaxBreakdown;
   version: number;
+  validUntil?: string | null;
   createdAt: string;
   updatedAt: string;
   createdBy: string;
-  status: 'draft' | 'sent' | 'accepted' | 'rejected';
+  status: 'draft' | 'pending_approval' | 'sent' | 'accepted' | 'rejected' | 'expired';
 }
\ No newline at end of file
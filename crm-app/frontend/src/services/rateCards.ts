@@ -0,0 +1,87 @@
+import { getHeaders } from './apiHeaders';
+import { BaseRates } from '../types/equipment';
+
+export type RateType = keyof BaseRates;
+
+export const RATE_TYPES: RateType[] = ['micro', 'small', 'monthly', 'yearly'];
+
+export interface RateCard {
+  id: string;
+  equipmentId: string;
+  equipmentName: string;
+  equipmentCode: string;
+  // Null for list rates
+  customerId: string | null;
+  customerName: string | null;
+  name: string | null;
+  // Null where the card leaves a rate to the list card or the equipment
+  rates: Record<RateType, number | null>;
+  effectiveFrom: string;
+  // Inclusive; null while current
+  effectiveTo: string | null;
+  notes: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface RateCardInput {
+  equipmentId: string;
+  customerId?: string | null;
+  name?: string;
+  rates: Partial<Record<RateType, number | null>>;
+  effectiveFrom: string;
+  effectiveTo?: string | null;
+  notes?: string;
+}
+
+export interface ResolvedRates {
+  equipmentId: string;
+  customerId: string | null;
+  date: string | null;
+  rates: Record<RateType, number>;
+  // Card each rate comes from; null for the equipment's own rate
+  rateCardIds: Record<RateType, string | null>;
+  customerRateCard: RateCard | null;
+  listRateCard: RateCard | null;
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function rateCardRequest<T>(path: string, method: string, errorMessage: string, body?: Record<string, any>): Promise<T> {
+  const response = await fetch(`${apiUrl()}/rate-cards${path}`, {
+    method,
+    headers: body ? { ...getHeaders(), 'Content-Type': 'application/json' } : getHeaders(),
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+export async function getRateCards(filters: { equipmentId?: string; customerId?: string; activeOn?: string } = {}): Promise<RateCard[]> {
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value) as [string, string][]);
+  return rateCardRequest<RateCard[]>(query.toString() ? `?${query}` : '', 'GET', 'Failed to fetch rate cards');
+}
+
+export async function resolveRates(equipmentId: string, customerId?: string, date?: string): Promise<ResolvedRates> {
+  const query = new URLSearchParams({ equipmentId });
+  if (customerId) query.append('customerId', customerId);
+  if (date) query.append('date', date);
+  return rateCardRequest<ResolvedRates>(`/resolve?${query}`, 'GET', 'Failed to resolve rates');
+}
+
+export async function createRateCard(rateCard: RateCardInput): Promise<RateCard> {
+  return rateCardRequest<RateCard>('', 'POST', 'Failed to add rate card', { ...rateCard });
+}
+
+export async function updateRateCard(rateCardId: string, changes: Partial<Omit<RateCardInput, 'equipmentId' | 'customerId'>>): Promise<RateCard> {
+  return rateCardRequest<RateCard>(`/${rateCardId}`, 'PUT', 'Failed to update rate card', { ...changes });
+}
+
+export async function deleteRateCard(rateCardId: string): Promise<void> {
+  await rateCardRequest<void>(`/${rateCardId}`, 'DELETE', 'Failed to delete rate card');
+}
@@ -0,0 +1,171 @@
+import { getFileUploadHeaders, getHeaders } from './apiHeaders';
+import { createThumbnail } from '../utils/mediaThumbnail';
+
+export type GroundType = 'concrete' | 'asphalt' | 'compacted_soil' | 'gravel' | 'soft_soil' | 'other';
+
+export const GROUND_TYPE_LABELS: Record<GroundType, string> = {
+  concrete: 'Concrete',
+  asphalt: 'Asphalt',
+  compacted_soil: 'Compacted soil',
+  gravel: 'Gravel',
+  soft_soil: 'Soft soil',
+  other: 'Other',
+};
+
+// Checklist items that can be flagged as a problem on site
+export type SiteConstraintKey = 'ground_bearing' | 'overhead_lines' | 'access' | 'slope' | 'other';
+
+export interface ConstraintNotes {
+  groundBearing?: string;
+  overheadLines?: string;
+  access?: string;
+  slope?: string;
+  other?: string;
+}
+
+export const SITE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/quicktime'];
+export const MAX_SITE_MEDIA_SIZE_MB = 100;
+
+export interface SiteAssessmentMedia {
+  id: string;
+  assessmentId: string;
+  mediaType: 'image' | 'video';
+  caption: string | null;
+  fileName: string | null;
+  fileMimeType: string | null;
+  fileSize: number | null;
+  hasThumbnail: boolean;
+  uploadedBy: string | null;
+  createdAt: string;
+}
+
+export interface SiteAssessmentFields {
+  title: string;
+  description?: string | null;
+  customerId?: string | null;
+  leadId?: string | null;
+  jobId?: string | null;
+  location: string;
+  constraints?: SiteConstraintKey[];
+  notes?: string | null;
+  groundType?: GroundType | null;
+  // t/m²
+  groundBearingCapacity?: number | null;
+  groundMatsRequired?: boolean;
+  overheadLinesPresent?: boolean;
+  overheadLineClearanceM?: number | null;
+  overheadLineVoltageKv?: number | null;
+  accessWidthM?: number | null;
+  accessHeightM?: number | null;
+  slopeDegrees?: number | null;
+  // Heaviest lift, checked against the crane load charts
+  liftLoadTons?: number | null;
+  liftRadiusM?: number | null;
+  liftHeightM?: number | null;
+  constraintNotes?: ConstraintNotes;
+}
+
+export interface SiteAssessment extends Required<SiteAssessmentFields> {
+  id: string;
+  customerName: string | null;
+  leadName: string | null;
+  jobTitle: string | null;
+  mediaCount: number;
+  // Only filled when fetching a single assessment
+  media: SiteAssessmentMedia[];
+  quotations: { id: string; quotationNumber: string | null; status: string }[];
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SiteAssessmentFilters {
+  customerId?: string;
+  leadId?: string;
+  jobId?: string;
+  quotationId?: string;
+  search?: string;
+}
+
+const apiUrl = () => import.meta.env.VITE_API_URL || '/api';
+
+async function assessmentRequest<T>(
+  path: string,
+  method: string,
+  errorMessage: string,
+  body?: Record<string, any> | FormData
+): Promise<T> {
+  const isUpload = body instanceof FormData;
+  const response = await fetch(`${apiUrl()}/site-assessments${path}`, {
+    method,
+    headers: isUpload ? getFileUploadHeaders() : body ? { ...getHeaders(), 'Content-Type': 'application/json' } : getHeaders(),
+    body: isUpload ? body : body ? JSON.stringify(body) : undefined,
+    credentials: 'include',
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || errorMessage);
+  }
+  return result.data;
+}
+
+export async function getSiteAssessments(filters: SiteAssessmentFilters = {}): Promise<SiteAssessment[]> {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  const query = params.toString();
+  return assessmentRequest<SiteAssessment[]>(query ? `?${query}` : '', 'GET', 'Failed to fetch site assessments');
+}
+
+export async function getSiteAssessment(id: string): Promise<SiteAssessment> {
+  return assessmentRequest<SiteAssessment>(`/${id}`, 'GET', 'Failed to fetch site assessment');
+}
+
+export async function createSiteAssessment(fields: SiteAssessmentFields): Promise<SiteAssessment> {
+  return assessmentRequest<SiteAssessment>('', 'POST', 'Failed to save site assessment', { ...fields });
+}
+
+export async function updateSiteAssessment(id: string, changes: Partial<SiteAssessmentFields>): Promise<SiteAssessment> {
+  return assessmentRequest<SiteAssessment>(`/${id}`, 'PUT', 'Failed to update site assessment', { ...changes });
+}
+
+export async function deleteSiteAssessment(id: string): Promise<void> {
+  await assessmentRequest<void>(`/${id}`, 'DELETE', 'Failed to delete site assessment');
+}
+
+// Uploads the photo or video with a thumbnail made in the browser
+export async function uploadAssessmentMedia(id: string, file: File, caption?: string): Promise<SiteAssessmentMedia> {
+  const formData = new FormData();
+  formData.append('file', file);
+  const thumbnail = await createThumbnail(file);
+  if (thumbnail) formData.append('thumbnail', thumbnail, 'thumbnail.jpg');
+  if (caption) formData.append('caption', caption);
+  return assessmentRequest<SiteAssessmentMedia>(`/${id}/media`, 'POST', 'Failed to upload media', formData);
+}
+
+export async function deleteAssessmentMedia(mediaId: string): Promise<void> {
+  await assessmentRequest<void>(`/media/${mediaId}`, 'DELETE', 'Failed to delete media');
+}
+
+// Object URL of a media file or its thumbnail; revoke it with URL.revokeObjectURL once shown
+export async function fetchAssessmentMediaUrl(mediaId: string, variant: 'file' | 'thumbnail' = 'file'): Promise<string> {
+  const response = await fetch(`${apiUrl()}/site-assessments/media/${mediaId}/${variant}`, {
+    method: 'GET',
+    headers: getFileUploadHeaders(),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.message || 'Failed to load media');
+  }
+  return URL.createObjectURL(await response.blob());
+}
+
+export async function attachAssessmentToQuotation(id: string, quotationId: string): Promise<SiteAssessment> {
+  return assessmentRequest<SiteAssessment>(`/${id}/quotations/${quotationId}`, 'PUT', 'Failed to attach site assessment');
+}
+
+export async function detachAssessmentFromQuotation(id: string, quotationId: string): Promise<SiteAssessment> {
+  return assessmentRequest<SiteAssessment>(`/${id}/quotations/${quotationId}`, 'DELETE', 'Failed to detach site assessment');
+}
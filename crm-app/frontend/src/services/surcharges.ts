@@ -0,0 +1,118 @@
+import { getConfig, updateConfig } from './configService';
+import { CraneCategory, OrderType } from '../types/equipment';
+import { QuotationSurcharge } from '../types/quotation';
+
+export type SurchargeType = 'percent' | 'fixed';
+export type SurchargePeriod = 'once' | 'day';
+export type SurchargeMode = 'auto' | 'optional';
+
+// Conditions left out match any quotation
+export interface SurchargeConditions {
+  orderTypes?: OrderType[];
+  categories?: CraneCategory[];
+  // Minimum inclusive, maximum exclusive
+  minDistanceKm?: number | null;
+  maxDistanceKm?: number | null;
+  nightShift?: boolean;
+  sundayWorking?: boolean;
+  // GST state codes of the customer
+  regions?: string[];
+}
+
+export interface SurchargeRule {
+  id: string;
+  name: string;
+  type: SurchargeType;
+  // Percentage of the working cost, or rupees
+  amount: number;
+  // Fixed rules only
+  per?: SurchargePeriod;
+  apply: SurchargeMode;
+  conditions: SurchargeConditions;
+  active: boolean;
+}
+
+// A surcharge as priced into a quotation
+export interface SurchargeLine extends QuotationSurcharge {
+  name: string;
+  type: SurchargeType;
+  rate: number;
+  per: SurchargePeriod | null;
+  apply: SurchargeMode;
+  amount: number;
+}
+
+export interface SurchargeContext {
+  orderType: OrderType;
+  siteDistance: number;
+  nightShift: boolean;
+  sundayWorking: boolean;
+  region: string | null;
+  numberOfDays: number;
+  machines: { category: string; workingCost: number }[];
+}
+
+export async function getSurchargeRules(): Promise<SurchargeRule[]> {
+  const config = await getConfig('surcharges');
+  return Array.isArray(config?.rules) ? config.rules : [];
+}
+
+export async function updateSurchargeRules(rules: SurchargeRule[]): Promise<SurchargeRule[]> {
+  const config = await updateConfig('surcharges', { rules });
+  return config.rules;
+}
+
+const hasItems = <T>(list?: T[]): list is T[] => Array.isArray(list) && list.length > 0;
+
+const isSet = (value?: number | null): value is number => value !== undefined && value !== null;
+
+export function surchargeRuleMatches(rule: SurchargeRule, context: SurchargeContext): boolean {
+  const conditions = rule.conditions || {};
+  const categories = context.machines.map(machine => machine.category);
+  if (hasItems(conditions.orderTypes) && !conditions.orderTypes.includes(context.orderType)) return false;
+  if (hasItems(conditions.categories) && !categories.some(category => conditions.categories!.includes(category as CraneCategory))) return false;
+  if (isSet(conditions.minDistanceKm) && context.siteDistance < conditions.minDistanceKm) return false;
+  if (isSet(conditions.maxDistanceKm) && context.siteDistance >= conditions.maxDistanceKm) return false;
+  if (conditions.nightShift === true && !context.nightShift) return false;
+  if (conditions.sundayWorking === true && !context.sundayWorking) return false;
+  if (hasItems(conditions.regions) && !conditions.regions.includes(context.region || '')) return false;
+  return true;
+}
+
+/**
+ * Surcharge lines of a quotation, as the server prices them: matching 'auto'
+ * rules plus the selected 'optional' ones
+ */
+export function priceSurcharges(rules: SurchargeRule[], selections: QuotationSurcharge[], context: SurchargeContext): SurchargeLine[] {
+  return rules
+    .filter(rule => rule.active !== false)
+    .flatMap(rule => {
+      const selection = selections.find(selected => selected.ruleId === rule.id);
+      if (rule.apply === 'optional' && !selection) return [];
+      if (!surchargeRuleMatches(rule, context)) return [];
+
+      const rate = Number(rule.amount) || 0;
+      let calculated: number;
+      if (rule.type === 'percent') {
+        const ruleCategories = rule.conditions?.categories;
+        const base = context.machines
+          .filter(machine => !hasItems(ruleCategories) || ruleCategories.includes(machine.category as CraneCategory))
+          .reduce((sum, machine) => sum + machine.workingCost, 0);
+        calculated = base * (rate / 100);
+      } else {
+        calculated = rule.per === 'day' ? rate * context.numberOfDays : rate;
+      }
+      const customAmount = selection && isSet(selection.customAmount) ? selection.customAmount : null;
+
+      return [{
+        ruleId: rule.id,
+        name: rule.name,
+        type: rule.type,
+        rate,
+        per: rule.type === 'fixed' ? rule.per || 'once' : null,
+        apply: rule.apply,
+        amount: Math.round((customAmount ?? calculated) * 100) / 100,
+        customAmount,
+      }];
+    });
+}
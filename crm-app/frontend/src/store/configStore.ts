@@ -33,11 +33,6 @@ interface ResourceRatesConfig {
 interface AdditionalParamsConfig {
   riggerAmount: number;
   helperAmount: number;
-  incidentalOptions: Array<{
-    value: string;
-    label: string;
-    amount: number;
-  }>;
   usageFactors: {
     normal: number;
     medium: number;
@@ -52,10 +47,6 @@ interface AdditionalParamsConfig {
     single: number;
     double: number;
   };
-  dayNightFactors: {
-    day: number;
-    night: number;
-  };
 
   updatedAt?: string;
 }
@@ -96,15 +87,9 @@ const DEFAULT_QUOTATION_CONFIG: QuotationConfig = { orderTypeLimits: { micro: {
 const DEFAULT_ADDITIONAL_PARAMS: AdditionalParamsConfig = { 
   riggerAmount: 40000, 
   helperAmount: 12000, 
-  incidentalOptions: [ 
-    { value: "incident1", label: "Incident 1 - ₹5,000", amount: 5000 }, 
-    { value: "incident2", label: "Incident 2 - ₹10,000", amount: 10000 }, 
-    { value: "incident3", label: "Incident 3 - ₹15,000", amount: 15000 } 
-  ], 
   usageFactors: { normal: 0, medium: 20, heavy: 50 }, 
   riskFactors: { low: 0, medium: 10, high: 20 }, 
-  shiftFactors: { single: 1.0, double: 1.8 }, 
-  dayNightFactors: { day: 1.0, night: 1.3 }
+  shiftFactors: { single: 1.0, double: 1.8 }
 };
 
 const CONFIG_CACHE_TIME = 5 * 60 * 1000; // 5 minutes
@@ -25,6 +25,7 @@ export interface Equipment {
   runningCostPerKm: number;
   description?: string;
   status: 'available' | 'in_use' | 'maintenance';
+  engineHours?: number; // latest hour meter reading
   createdAt: string;
   updatedAt: string;
   runningCost: number;
@@ -1,4 +1,4 @@
-export type JobStatus = 'pending' | 'scheduled' | 'in_progress' | 'completed' | 'cancelled';
+export type JobStatus = 'pending' | 'scheduled' | 'mobilizing' | 'in_progress' | 'demobilizing' | 'completed' | 'cancelled';
 export type OperatorAvailability = 'available' | 'assigned' | 'on_leave' | 'inactive';
 
 export interface Equipment {
@@ -32,6 +32,7 @@ export interface JobLocation {
 export interface Job {
   id: string;
   title: string;
+  quotationId?: string | null;
   leadId: string;
   customerId: string;
   customerName: string;
@@ -43,6 +44,7 @@ export interface Job {
   scheduledEndDate: string;
   actualStartDate?: string | null;
   actualEndDate?: string | null;
+  cancellationReason?: string | null;
   location: string;
   notes?: string;
   createdBy: string;
@@ -11,6 +11,15 @@ export interface CustomerContact {
 
 export type SundayWorking = 'yes' | 'no';
 
+// A surcharge rule applied to a quotation; stored lines also carry the priced amount
+export interface QuotationSurcharge {
+  ruleId: string;
+  // Replaces the calculated amount
+  customAmount: number | null;
+  name?: string;
+  amount?: number;
+}
+
 export interface QuotationInputs {
   machineType: string;
   selectedEquipment: {
@@ -29,7 +38,9 @@ export interface QuotationInputs {
   usage: 'normal' | 'medium' | 'heavy';
   riskFactor: 'low' | 'medium' | 'high';
   extraCharge: number;
-  incidentalCharges: string[];  otherFactorsCharge: number;
+  // Optional rules selected, and amounts entered by hand
+  surcharges: QuotationSurcharge[];
+  otherFactorsCharge: number;
   billing: 'gst' | 'non_gst';
   includeGst: boolean;
   shift: 'single' | 'double';
@@ -41,11 +52,6 @@ export interface QuotationInputs {
   sundayWorking: SundayWorking;
   otherFactors: string[];
   // Custom amounts for this quotation (override config defaults)
-  customIncidentAmounts?: {
-    incident1?: number | null;
-    incident2?: number | null;
-    incident3?: number | null;
-  };
   customRiggerAmount?: number | null;
   customHelperAmount?: number | null;
 }
@@ -78,8 +84,9 @@ export interface Quotation extends QuotationInputs {
   riskAdjustment?: number;
   gstAmount?: number;
   version: number;
+  validUntil?: string | null;
   createdAt: string;
   updatedAt: string;
   createdBy: string;
-  status: 'draft' | 'sent' | 'accepted' | 'rejected';
+  status: 'draft' | 'pending_approval' | 'sent' | 'accepted' | 'rejected' | 'expired';
 }
\ No newline at end of file
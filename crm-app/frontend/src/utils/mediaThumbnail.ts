@@ -0,0 +1,54 @@
+/**
+ * Small JPEG thumbnails of site photos and videos, made in the browser before
+ * upload so the backend needs no image tooling. Videos use a frame from just
+ * after the start.
+ */
+
+const MAX_THUMBNAIL_SIZE = 320;
+const VIDEO_FRAME_SECONDS = 1;
+
+function drawThumbnail(source: CanvasImageSource, width: number, height: number): Promise<Blob | null> {
+  const scale = Math.min(1, MAX_THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const context = canvas.getContext('2d');
+  if (!context) return Promise.resolve(null);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+}
+
+function imageThumbnail(url: string): Promise<Blob | null> {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => drawThumbnail(image, image.naturalWidth, image.naturalHeight).then(resolve);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
+
+function videoThumbnail(url: string): Promise<Blob | null> {
+  return new Promise(resolve => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => {
+      video.currentTime = Math.min(VIDEO_FRAME_SECONDS, (video.duration || 0) / 2);
+    };
+    video.onseeked = () => drawThumbnail(video, video.videoWidth, video.videoHeight).then(resolve);
+    video.onerror = () => resolve(null);
+    video.src = url;
+  });
+}
+
+// Null when the browser cannot decode the file; the upload goes ahead without one
+export async function createThumbnail(file: File): Promise<Blob | null> {
+  const url = URL.createObjectURL(file);
+  try {
+    if (file.type.startsWith('image/')) return await imageThumbnail(url);
+    if (file.type.startsWith('video/')) return await videoThumbnail(url);
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -14,7 +14,7 @@ export interface QuotationCalculations {
   riskAdjustment: number;
   usageLoadFactor: number;
   extraCharges: number;
-  incidentalCost: number;
+  surchargeCost: number;
   otherFactorsCost: number;
   subtotal: number;
   gstAmount: number;
@@ -99,9 +99,9 @@ export function calculateQuotationTotals(quotation: Quotation): QuotationCalcula
   
   const extraCharges = quotation.extraCharge || 0;
   
-  const incidentalRates = { incident1: 5000, incident2: 10000, incident3: 15000 };
-  const incidentalCost = (quotation.incidentalCharges || [])
-    .reduce((sum, inc) => sum + (incidentalRates[inc as keyof typeof incidentalRates] || 0), 0);
+  // Surcharge lines are stored priced
+  const surchargeCost = (quotation.surcharges || [])
+    .reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
   
   let otherFactorsCost = 0;
   if (quotation.otherFactors?.includes('rigger')) otherFactorsCost += 40000;
@@ -109,7 +109,7 @@ export function calculateQuotationTotals(quotation: Quotation): QuotationCalcula
   
   const subtotal = workingCost + foodAccomCost + transportCost + mobDemobCost + 
                   riskAdjustment + usageLoadFactor + extraCharges + 
-                  incidentalCost + otherFactorsCost;
+                  surchargeCost + otherFactorsCost;
   
   // Use database GST amount first, then calculate if needed
   const gstAmount = quotation.gstAmount ?? (quotation.includeGst ? Math.round(subtotal * 0.18) : 0);
@@ -123,7 +123,7 @@ export function calculateQuotationTotals(quotation: Quotation): QuotationCalcula
     riskAdjustment,
     usageLoadFactor,
     extraCharges,
-    incidentalCost,
+    surchargeCost,
     otherFactorsCost,
     subtotal,
     gstAmount,
@@ -147,7 +147,7 @@ export function calculateQuotationTotals(quotation: Quotation): QuotationCalcula
   return {
     workingCost, foodAccomCost, transportCost, mobDemobCost,
     riskAdjustment, usageLoadFactor, extraCharges,
-    incidentalCost, otherFactorsCost, subtotal, gstAmount, totalAmount
+    surchargeCost, otherFactorsCost, subtotal, gstAmount, totalAmount
   };
 }
 
@@ -935,7 +935,7 @@ function renderChargesTable(
   calculations: QuotationCalculations,
   wrapperStyle: string
 ): string {
-  const hasCharges = calculations.incidentalCost > 0 || calculations.extraCharges > 0;
+  const hasCharges = calculations.surchargeCost > 0 || calculations.extraCharges > 0;
   
   if (!hasCharges) {
     return '';
@@ -953,12 +953,12 @@ function renderChargesTable(
         </tr>
       </thead>
       <tbody>
-        ${calculations.incidentalCost > 0 ? `
+        ${calculations.surchargeCost > 0 ? `
           <tr>
-            <td>Incidental Charges</td>
-            <td>₹${calculations.incidentalCost.toLocaleString('en-IN')}</td>
-            <td>₹${(calculations.incidentalCost * 0.18).toLocaleString('en-IN')}</td>
-            <td>₹${(calculations.incidentalCost * 1.18).toLocaleString('en-IN')}</td>
+            <td>Surcharges</td>
+            <td>₹${calculations.surchargeCost.toLocaleString('en-IN')}</td>
+            <td>₹${(calculations.surchargeCost * 0.18).toLocaleString('en-IN')}</td>
+            <td>₹${(calculations.surchargeCost * 1.18).toLocaleString('en-IN')}</td>
           </tr>
         ` : ''}
         ${calculations.extraCharges > 0 ? `